@@ -140,6 +140,16 @@ describe('1_main.js - Core Application Logic', () => {
             expect(result.config.defaultSettings.confirmOnExit).toBe(false);
         });
 
+        test('should default the undo history depth to 50 unless a positive number is configured', () => {
+            expect(processConfig(baseConfig).config.defaultSettings.undoHistoryDepth).toBe(50);
+
+            baseConfig.defaultSettings.undoHistoryDepth = 10;
+            expect(processConfig(baseConfig).config.defaultSettings.undoHistoryDepth).toBe(10);
+
+            baseConfig.defaultSettings.undoHistoryDepth = -3;
+            expect(processConfig(baseConfig).config.defaultSettings.undoHistoryDepth).toBe(50);
+        });
+
         test('should detect language from URL query string (?lang=de)', () => {
             // Mock URL params
             window.location.search = '?lang=de';
@@ -156,6 +166,21 @@ describe('1_main.js - Core Application Logic', () => {
             expect(result.currentLanguage).toBe('en');
         });
 
+        test('should detect a language pack from the URL and complete it with English strings', () => {
+            window.location.search = '?it';
+            baseConfig.languages.it = { languageName: 'Italiano' };
+            global.applyLanguageFallback = jest.fn(function(languages) {
+                languages.it.pageTitle = languages.en.pageTitle;
+            });
+
+            var result = processConfig(baseConfig);
+            expect(global.applyLanguageFallback).toHaveBeenCalledWith(baseConfig.languages);
+            expect(result.currentLanguage).toBe('it');
+            expect(result.config.uiStrings.pageTitle).toBe('English');
+
+            delete global.applyLanguageFallback;
+        });
+
         test('should ensure default colors are set if missing', () => {
             var emptyConfig = { defaultSettings: { language: 'en' } };
             var result = processConfig(emptyConfig);
@@ -174,6 +199,31 @@ describe('1_main.js - Core Application Logic', () => {
              processConfig(baseConfig);
              expect(window.showReferenceMarkers).toBe(true);
         });
+
+        test('should pass the encoded backlog of a share link (#share=...)', () => {
+            global.getSharePayloadFromHash = jest.fn((hash) => hash.indexOf('#share=') === 0 ? hash.substring(7) : null);
+
+            window.location.hash = '#share=jabc';
+            expect(processConfig(baseConfig).sharedState).toBe('jabc');
+            expect(global.getSharePayloadFromHash).toHaveBeenCalledWith('#share=jabc');
+
+            window.location.hash = '';
+            expect(processConfig(baseConfig).sharedState).toBeNull();
+
+            delete global.getSharePayloadFromHash;
+        });
+
+        test('should detect the presenter view (#presenter)', () => {
+            global.isPresenterHash = jest.fn((hash) => hash === '#presenter');
+
+            window.location.hash = '#presenter';
+            expect(processConfig(baseConfig).presenterView).toBe(true);
+
+            window.location.hash = '';
+            expect(processConfig(baseConfig).presenterView).toBe(false);
+
+            delete global.isPresenterHash;
+        });
     });
 
     describe('applyColorSettings (DOM Manipulation)', () => {
@@ -303,4 +353,33 @@ describe('1_main.js - Core Application Logic', () => {
         });
     });
 
+    describe('Bootstrap (DOMContentLoaded)', () => {
+
+        afterEach(() => {
+            delete global.initStorageBackend;
+        });
+
+        test('should log a failed restore and still start the application', async () => {
+            console.error = jest.fn();
+            global.initStorageBackend = jest.fn(() => Promise.reject(new Error('Storage blocked')));
+            document.body.innerHTML =
+                '<script id="size-right-config" type="application/json">' +
+                JSON.stringify({
+                    scales: { metric: { values: [0, 1] } },
+                    defaultSettings: { language: 'en', scale: 'metric' },
+                    languages: { en: { pageTitle: 'Init Test' } }
+                }) +
+                '</script>';
+
+            document.dispatchEvent(new Event('DOMContentLoaded'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(console.error).toHaveBeenCalledWith('Initialization failed:', expect.objectContaining({ message: 'Storage blocked' }));
+            expect(global.loadFromLocalStorage).not.toHaveBeenCalled();
+            expect(global.renderAll).toHaveBeenCalledTimes(1);
+            expect(global.setupEventListeners).toHaveBeenCalledTimes(1);
+            expect(global.initSplit).toHaveBeenCalledTimes(1);
+        });
+    });
+
 });
\ No newline at end of file
@@ -67,6 +67,8 @@ global.calculateWsjfRanks = jest.fn((pbis) => {
 global.config = { uiStrings: {}, allTshirtSizes: [], pastelColorPalette: [], demoData: {} }; 
 global.generatePastelColors = jest.fn(() => []); 
 global.isPinReferenceEnabled = jest.fn(() => true); 
+// Numbers follow the UI language, so the real formatting is used
+global.formatNumber = require('./6_utils.js').formatNumber;
 
 if (!global.window) { global.window = {}; }
 global.window._equalizeGridRows = jest.fn();
@@ -82,6 +84,8 @@ const {
     renderAllVisualizations,
     renderCodVisualizations,
     renderWsjfVisualization, 
+    renderQuadrantVisualization,
+    renderConsistencyPanel,
     createChartStructure, 
     updateFilterButtonStates,
     updateReferenceSlots,
@@ -190,19 +194,22 @@ describe('applyUiStrings', () => {
     beforeEach(() => {
         // Setup comprehensive DOM structure to test all string injections
         document.body.innerHTML = '' +
-            '<title>Old Title</title><html lang="en"></html><h1 id="main-header"></h1><span id="main-claim"></span><button id="add-pbi-btn"></button>' +
-            '<button id="import-btn" title=""></button><button id="export-btn" title=""></button><button id="help-btn" title=""></button>' +
+            '<title>Old Title</title><html lang="en"></html><h1 id="main-header"></h1><span id="main-claim"></span><button id="add-pbi-btn"></button><select id="workspace-select" title=""></select>' +
+            '<button id="import-btn" title=""></button><button id="export-btn" title=""></button><button id="btn-undo" title=""></button><button id="btn-redo" title=""></button><button id="btn-snapshots" title=""></button><h2 id="snapshot-modal-title"></h2><p id="snapshot-modal-text"></p><input id="snapshot-name-input" placeholder=""><button id="btn-snapshot-save"></button><button id="btn-snapshot-close"></button><button id="btn-snapshot-compare-end"></button><p id="persistence-banner-text"></p><button id="btn-persistence-export"></button><button id="btn-persistence-retry"></button><button id="btn-share-link" title=""></button><button id="btn-presenter-view" title=""></button><p id="read-only-banner-text"></p><a id="read-only-exit-link"></a><input id="passphrase-input" placeholder=""><input id="passphrase-repeat-input" placeholder=""><button id="btn-passphrase-cancel"></button><button id="tab-btn-voting"></button><p id="voting-hint"></p><input id="voting-participant-input" placeholder=""><button id="btn-voting-add"></button><button id="btn-voting-reveal"></button><button id="btn-voting-new-round"></button><button id="tab-btn-priority"></button><p id="priority-hint"></p><label id="urgency-profile-label"></label><label id="urgency-deadline-label"></label><button id="help-btn" title=""></button>' +
             '<button id="reset-app-btn" title=""></button>' +
             '<button id="btn-csv-export" title=""></button>' +
             '<span id="legend-complexity"></span><span id="legend-effort"></span><span id="legend-doubt"></span>' +
             '<span id="legend-cod-bv"></span><span id="legend-cod-tc"></span><span id="legend-cod-rroe"></span>' +
             '<input id="pbi-title" placeholder=""><textarea id="pbi-notes" placeholder=""></textarea><button id="cancel-btn"></button>' +
             '<button id="save-btn"></button><button id="settings-btn" title=""></button><h2 id="settings-modal-title"></h2>' +
-            '<strong id="settings-modal-language-label"></strong><span id="settings-lang-option-de"></span><span id="settings-lang-option-en"></span>' +
+            '<strong id="settings-modal-language-label"></strong><div id="language-options-container"></div>' +
             '<button id="settings-cancel-btn"></button><button id="settings-save-btn"></button><button id="filter-job-size-btn"></button>' +
             '<button id="filter-cod-btn"></button><button id="filter-wsjf-btn"></button><button id="filter-tshirt-size-btn"></button>' +
             '<button id="tab-btn-jobsize"></button><button id="tab-btn-cod"></button><strong id="settings-modal-scale-label"></strong>' +
-            '<strong id="settings-modal-tshirt-label"></strong><span id="settings-scale-option-metric"></span><span id="settings-scale-option-safe"></span>' +
+            '<strong id="settings-modal-tshirt-label"></strong><span id="settings-label-tshirt-auto"></span><span id="settings-tshirt-mapping-hint"></span><label id="tshirt-calibration-label"></label><option id="tshirt-calibration-option-linear"></option><option id="tshirt-calibration-option-logarithmic"></option><option id="tshirt-calibration-option-quantile"></option><button id="btn-tshirt-calibrate"></button><span id="settings-scale-option-metric"></span><span id="settings-scale-option-safe"></span>' +
+            '<span id="settings-custom-scale-label"></span><input id="custom-scale-name" placeholder=""><input id="custom-scale-values" placeholder=""><input id="custom-scale-labels" placeholder=""><button id="btn-add-custom-scale"></button>' +
+            '<strong id="settings-modal-weights-label"></strong><span id="settings-weights-hint"></span><label id="weight-label-complexity"></label><label id="weight-label-effort"></label><label id="weight-label-doubt"></label><label id="weight-label-cod_bv"></label><label id="weight-label-cod_tc"></label><label id="weight-label-cod_rroe"></label><strong id="settings-modal-priority-label"></strong><strong id="settings-modal-capacity-label"></strong><span id="settings-capacity-hint"></span><label id="capacity-points-label"></label><label id="capacity-period-label"></label><option id="capacity-period-option-pi"></option><option id="capacity-period-option-iteration"></option><button id="tab-btn-dependencies"></button><div id="dependencies-hint"></div><button id="view-tab-quadrant-viz"></button><strong id="settings-modal-quadrant-label"></strong><span id="settings-quadrant-hint"></span><label id="quadrant-jobsize-label"></label><label id="quadrant-cod-label"></label>' +
+            '<label id="probabilistic-mode-toggle-container"><span id="probabilistic-mode-label"></span></label>' +
             '<strong id="settings-modal-general-label"></strong>' +
             '<span id="settings-label-show-res-warning"></span>' +
             '<input type="checkbox" id="setting-show-res-warning">' +
@@ -224,6 +231,11 @@ describe('applyUiStrings', () => {
             '<h2 id="reset-app-modal-title"></h2><p id="reset-app-text"></p>' +
             '<button id="reset-app-export-btn"></button><button id="reset-app-confirm-btn"></button><button id="reset-app-cancel-btn"></button>' +
             '<h2 id="csv-export-modal-title"></h2><p id="csv-export-text"></p><button id="btn-csv-export-cancel"></button><button id="btn-csv-export-confirm"></button>' +
+            '<button id="btn-csv-mapping-import" title=""></button><h2 id="csv-mapping-modal-title"></h2><p id="csv-mapping-text"></p><button id="csv-mapping-file-btn"></button>' +
+            '<label id="csv-mapping-source-label"></label><input id="csv-mapping-source"><label id="csv-mapping-fields-label"></label><label id="csv-mapping-preview-label"></label>' +
+            '<button id="btn-csv-mapping-cancel"></button><button id="btn-csv-mapping-confirm"></button>' +
+            '<button id="btn-merge-import" title=""></button><h2 id="merge-conflict-modal-title"></h2><p id="merge-conflict-text"></p><label id="merge-reference-label"></label>' +
+            '<button id="btn-merge-all-local"></button><button id="btn-merge-all-incoming"></button><button id="btn-merge-cancel"></button><button id="btn-merge-confirm"></button>' +
             '<button id="csv-sort-btn-job-size"></button><button id="csv-sort-btn-tshirt-size"></button><button id="csv-sort-btn-cod"></button>' +
             '<button id="csv-sort-btn-wsjf"></button><button id="csv-sort-custom-btn" title=""></button><button id="csv-sort-asc-btn" title=""></button><button id="csv-sort-desc-btn" title=""></button>' +
             '<div id="info-modal">' +
@@ -271,7 +283,7 @@ describe('applyUiStrings', () => {
             pageTitle: 'Test Page Title', mainHeader: 'Test Header', mainClaim: 'Test Claim', btnAddPbi: 'Add Button Text', btnImportTitle: 'Import Tooltip', btnExportTitle: 'Export Tooltip', helpButtonTitle: 'Help Tooltip',
             legendComplexity: 'Complexity Legend', legendEffort: 'Effort Legend', legendDoubt: 'Doubt Legend', legendCodBv: 'BV Legend', legendCodTc: 'TC Legend', legendCodRroe: 'RR/OE Legend',
             modalPlaceholderTitle: 'Enter Title', modalNotesPlaceholder: 'Enter Notes', btnCancel: 'Cancel', btnSave: 'Save', btnSettingsTitle: 'Settings Tooltip', modalTitleSettings: 'Settings Title',
-            modalLanguageLabel: 'Language:', langOptionDe: 'German', langOptionEn: 'English', settingsCancelBtn: 'Cancel Settings', settingsSaveBtn: 'Save Settings', filterJobSize: 'Job Size Filter',
+            modalLanguageLabel: 'Language:', settingsCancelBtn: 'Cancel Settings', settingsSaveBtn: 'Save Settings', filterJobSize: 'Job Size Filter',
             filterCoD: 'CoD Filter', filterWSJF: 'WSJF Filter', filterTshirtSize: 'T-Shirt Filter', filterCustomSort: 'Custom Sort Filter', tabJobSize: 'Job Size Tab', tabCoD: 'CoD Tab', modalScaleLabel: 'Scale:', modalTshirtLabel: 'T-Shirts:',
             scaleOptionMetric: 'Metric Scale', scaleOptionSAFe: 'SAFe Scale', tooltipSortAsc: 'Sort Asc', tooltipSortDesc: 'Sort Desc', tooltipFilterLock: 'Lock Sort', tooltipFilterUnlock: 'Unlock Sort',
             btnResetFiltersTitle: 'Reset Filters', modalLabelComplexity: 'Complexity Label', modalLabelEffort: 'Effort Label', modalLabelDoubt: 'Doubt Label', modalLabelCodBv: 'BV Label', modalLabelCodTc: 'TC Label',
@@ -299,6 +311,7 @@ describe('applyUiStrings', () => {
             btnResetAppExport: 'Export', btnResetAppDelete: 'Delete', btnResetAppCancel: 'Cancel',
             btnCsvExportTitle: 'CSV Export', modalTitleCsvExport: 'CSV Modal', csvExportText: 'CSV Text',
             btnCsvExportCancel: 'Cancel CSV', btnCsvExportConfirm: 'Confirm CSV',
+            btnCsvMappingImportTitle: 'CSV Mapping', modalTitleCsvMapping: 'Mapping Modal', csvMappingSourcePlaceholder: 'e.g. Jira',
             btnOpenAnyway: 'Open Anyway' 
         },
          pastelColorPalette: ['#DCBCBD', '#B6E2B7'],
@@ -333,6 +346,13 @@ describe('applyUiStrings', () => {
         expect(document.getElementById('btn-csv-export-confirm').textContent).toBe('Confirm CSV');
     });
 
+    test('should set title/text for CSV mapping import elements', () => {
+        applyUiStrings();
+        expect(document.getElementById('btn-csv-mapping-import').title).toBe('CSV Mapping');
+        expect(document.getElementById('csv-mapping-modal-title').textContent).toBe('Mapping Modal');
+        expect(document.getElementById('csv-mapping-source').placeholder).toBe('e.g. Jira');
+    });
+
      test('should set document title and lang attribute', () => { applyUiStrings(); expect(document.title).toBe('Test Page Title'); expect(document.documentElement.lang).toBe('en'); });
      test('should set textContent for various elements', () => { applyUiStrings(); expect(document.getElementById('main-header').textContent).toBe('Test Header'); expect(document.getElementById('add-pbi-btn').textContent).toBe('Add Button Text'); expect(document.getElementById('legend-complexity').textContent).toBe('Complexity Legend'); expect(document.getElementById('filter-job-size-btn').textContent).toBe('Job Size Filter'); });
      test('should set title attributes', () => { 
@@ -476,6 +496,13 @@ describe('2_render core rendering and reference pinning', function () {
     test('getSortedPbis treats reference item like others in custom sort', function () { var local = [ { id: 1, jobSize: 3, isReference: false, isLastItem: false }, { id: 2, jobSize: 5, isReference: true, isLastItem: false }, { id: 3, jobSize: 1, isReference: false, isLastItem: false }, { id: -1, isLastItem: true } ]; global.lockedPbiOrder = [1, 2, 3]; global.currentSortCriteria = 'custom'; var list = getSortedPbis(local, 'custom', 'asc', config); expect(list.length).toBe(4); expect(list[0].id).toBe(1); expect(list[1].id).toBe(2); expect(list[2].id).toBe(3); expect(list[3].id).toBe(-1); });
 
 
+    test('getSortedPbis sorts the wsjf criteria by the score of the active prioritization model', function () {
+        global.getPriorityScore = jest.fn(function (pbi) { return pbi.score !== undefined ? pbi.score : null; });
+        var local = [ { id: 1, score: 2 }, { id: 2 }, { id: 3, score: 7 }, { id: -1, isLastItem: true } ];
+        var list = getSortedPbis(local, 'wsjf', 'desc', config);
+        delete global.getPriorityScore;
+        expect(list.map(function (p) { return p.id; })).toEqual([3, 1, 2, -1]);
+    });
     // --- updateReferenceSlots ---
      test('updateReferenceSlots moves item to slots in default mode', () => { setThreePbisWithReferenceAndSpacer(); global.currentSortCriteria = 'jobSize'; renderPbiList(); renderRelativeSizingList(); updateReferenceSlots(); const leftSlot = document.getElementById('ref-slot-left'); const rightSlot = document.getElementById('ref-slot-right'); expect(leftSlot.style.display).toBe('block'); expect(leftSlot.querySelector('.pbi-item[data-id="2"]')).not.toBeNull(); expect(rightSlot.style.display).toBe('block'); expect(rightSlot.querySelector('.rs-item[data-id="2"]')).not.toBeNull(); expect(document.querySelector('#pbi-list .pbi-item[data-id="2"]')).toBeNull(); });
      test('updateReferenceSlots hides slots if no reference item', () => { global.pbis = [ { id: 1, title: 'A', isReference: false, isLastItem: false }, { id: -1, isLastItem: true } ]; renderPbiList(); renderRelativeSizingList(); updateReferenceSlots(); const leftSlot = document.getElementById('ref-slot-left'); const rightSlot = document.getElementById('ref-slot-right'); expect(leftSlot.style.display).toBe('none'); expect(rightSlot.style.display).toBe('none'); });
@@ -489,6 +516,141 @@ describe('2_render core rendering and reference pinning', function () {
      test('renderRelativeSizingList renders reference without special class in custom sort', function () { setThreePbisWithReferenceAndSpacer(); global.currentSortCriteria = 'custom'; global.lockedPbiOrder = [1, 2, 3]; renderRelativeSizingList(); const rsList = document.getElementById('relative-sizing-list'); const refItem = rsList.querySelector('.rs-item[data-id="2"]'); expect(refItem).not.toBeNull(); expect(refItem.classList.contains('reference-item')).toBe(false); });
      test('renderRelativeSizingList renders reference WITH special class in non-custom/non-wsjf sort', function () { setThreePbisWithReferenceAndSpacer(); global.currentSortCriteria = 'jobSize'; renderRelativeSizingList(); const rsList = document.getElementById('relative-sizing-list'); const refItem = rsList.querySelector('.rs-item[data-id="2"]'); expect(refItem).not.toBeNull(); expect(refItem.classList.contains('reference-item')).toBe(true); });
 
+    test('renderPbiList marks T-shirt sizes set by hand in auto mode', function () {
+        setThreePbisWithReferenceAndSpacer();
+        global.pbis[2].tshirtSizeOverride = true;
+        global.config.uiStrings.tooltipTshirtOverridden = 'Set manually';
+        global.isTshirtSizeOverridden = jest.fn(function (pbi) { return pbi.tshirtSizeOverride === true; });
+        renderPbiList();
+        delete global.isTshirtSizeOverridden;
+
+        var overridden = document.querySelector('#pbi-list .pbi-item[data-id="3"] .pbi-item-tshirt');
+        expect(overridden.classList.contains('is-overridden')).toBe(true);
+        expect(overridden.title).toBe('Set manually');
+        expect(document.querySelector('#pbi-list .pbi-item[data-id="1"] .pbi-item-tshirt').classList.contains('is-overridden')).toBe(false);
+    });
+
+    test('renderPbiList formats the Job Size for the UI language when no WSJF is available', function () {
+        setThreePbisWithReferenceAndSpacer();
+        Object.assign(global.pbis[0], { jobSize: 2.5, cod_bv: 0, cod_tc: 0, cod_rroe: 0, cod: 0 });
+        global.currentLanguage = 'de';
+        renderPbiList();
+        global.currentLanguage = 'en';
+
+        var details = document.querySelector('#pbi-list .pbi-item[data-id="1"] small').textContent;
+        expect(details).toContain('Job Size: 2,5');
+    });
+
+    // --- Snapshot Comparison ---
+    test('renderRelativeSizingList shows snapshot deltas, new items and the comparison bar', function () {
+        setThreePbisWithReferenceAndSpacer();
+        document.body.insertAdjacentHTML('beforeend', '<div id="snapshot-comparison-bar" class="hidden"><span id="snapshot-comparison-text"></span><span id="snapshot-comparison-removed"></span></div>');
+        global.activeSnapshotComparison = { id: 'snap1', name: 'Kickoff', timestamp: 0, backlogItems: [] };
+        global.compareWithSnapshot = jest.fn(() => ({
+            changes: { 1: { jobSize: { from: 5, to: 3 }, tshirtSize: { from: 'M', to: 'S' }, wsjfRank: { from: 3, to: 1 } } },
+            added: [3],
+            removed: [{ id: 9, title: 'Gone' }]
+        }));
+
+        renderRelativeSizingList();
+
+        const row = document.querySelector('#relative-sizing-list .rs-item[data-id="1"]');
+        const badges = Array.from(row.querySelectorAll('.snapshot-delta')).map(b => b.textContent);
+        expect(badges).toEqual(['-2', 'M→S', '▲2']);
+        expect(row.querySelector('.snapshot-delta.is-decrease').title).toContain('5');
+        expect(document.querySelector('.rs-item[data-id="3"]').classList.contains('snapshot-added')).toBe(true);
+        expect(document.getElementById('snapshot-comparison-bar').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('snapshot-comparison-removed').textContent).toContain('Gone');
+
+        global.activeSnapshotComparison = null;
+        renderRelativeSizingList();
+        expect(document.querySelectorAll('.snapshot-delta')).toHaveLength(0);
+        expect(document.getElementById('snapshot-comparison-bar').classList.contains('hidden')).toBe(true);
+    });
+
+    // --- Planning Poker ---
+    test('renderRelativeSizingList shows hidden vote counts and the revealed spread', function () {
+        setThreePbisWithReferenceAndSpacer();
+        global.getVoteStatistics = require('./6_utils.js').getVoteStatistics;
+        global.pbis[0].voting = {
+            revealed: false,
+            participants: [
+                { name: 'Ana', values: { complexity: 1 } },
+                { name: 'Ben', values: { complexity: 2 } },
+                { name: 'Cleo', values: { complexity: 13 } }
+            ]
+        };
+
+        renderRelativeSizingList();
+        let badge = document.querySelector('.rs-item[data-id="1"] .vote-badge');
+        expect(badge.textContent).toBe('●3');
+        expect(document.querySelectorAll('.vote-badge')).toHaveLength(1);
+
+        global.pbis[0].voting.revealed = true;
+        renderRelativeSizingList();
+        badge = document.querySelector('.rs-item[data-id="1"] .vote-badge');
+        expect(badge.textContent).toBe('1–13');
+        expect(badge.classList.contains('has-outliers')).toBe(true);
+        expect(badge.title).toContain('Cleo');
+
+        delete global.getVoteStatistics;
+    });
+
+    // --- Capacity Planning ---
+    test('renderPbiList and renderRelativeSizingList draw the capacity cut and flag split items', function () {
+        const utils = require('./6_utils.js');
+        setThreePbisWithReferenceAndSpacer();
+        global.currentSortCriteria = 'custom';
+        global.lockedPbiOrder = [1, 2, 3];
+        global.getCapacity = () => ({ points: 7, period: 'pi' });
+        global.calculateCapacityPlan = utils.calculateCapacityPlan;
+        global.formatCapacityPeriod = utils.formatCapacityPeriod;
+
+        renderPbiList();
+        renderRelativeSizingList();
+        ['#pbi-list .pbi-item', '#relative-sizing-list .rs-item'].forEach(function (selector) {
+            const cutItem = document.querySelector(selector + '.capacity-cut-before');
+            expect(cutItem.dataset.id).toBe('2'); // REF runs from 3 to 8 and no longer fits into the first 7 points
+            expect(cutItem.dataset.capacityLabel).toBe('End of PI 1 (capacity 7)');
+            expect(document.querySelectorAll(selector + '.capacity-cut-before')).toHaveLength(1);
+            expect(document.querySelector(selector + '[data-id="2"]').classList.contains('capacity-split')).toBe(true);
+            expect(document.querySelector(selector + '[data-id="3"]').classList.contains('capacity-split')).toBe(false);
+        });
+
+        global.getCapacity = () => ({ points: 0, period: 'pi' });
+        renderPbiList();
+        expect(document.querySelector('#pbi-list .capacity-cut-before')).toBeNull();
+
+        delete global.getCapacity;
+        delete global.calculateCapacityPlan;
+        delete global.formatCapacityPeriod;
+    });
+
+    // --- Dependencies ---
+    test('renderPbiList shows a dependency badge and flags dependencies listed further down', function () {
+        const utils = require('./6_utils.js');
+        setThreePbisWithReferenceAndSpacer();
+        global.currentSortCriteria = 'custom';
+        global.lockedPbiOrder = [1, 2, 3];
+        global.pbis[0].dependsOn = [3];
+        global.pbis[2].dependsOn = [1, 99];
+        global.buildDependencyMap = utils.buildDependencyMap;
+        global.findDependencyViolations = utils.findDependencyViolations;
+
+        renderPbiList();
+        const badgeA = document.querySelector('#pbi-list .pbi-item[data-id="1"] .dependency-badge');
+        const badgeC = document.querySelector('#pbi-list .pbi-item[data-id="3"] .dependency-badge');
+        expect(badgeA.textContent).toBe('↰ 1');
+        expect(badgeA.classList.contains('is-violated')).toBe(true);
+        expect(badgeA.title).toContain('C');
+        expect(badgeC.textContent).toBe('↰ 1'); // The link to the missing item is not counted
+        expect(badgeC.classList.contains('is-violated')).toBe(false);
+        expect(document.querySelector('#pbi-list .pbi-item[data-id="2"] .dependency-badge')).toBeNull();
+
+        delete global.buildDependencyMap;
+        delete global.findDependencyViolations;
+    });
+
     // --- Visualization Routing Logic ---
     // Test if the renderer correctly chooses between "Complete Visualization" and "Placeholder"
     test('renderAllVisualizations calls createStoryVisualization for complete items', () => {
@@ -862,6 +1024,132 @@ describe('renderWsjfVisualization Details', () => {
         const costLabelDiv = document.getElementById('wsjf-chart-current-total-cost');
         expect(costLabelDiv.classList.contains('cost-higher')).toBe(true);
     });
+
+    test('should report circular dependencies and dependencies violated by the current order', () => {
+        const utils = require('./6_utils.js');
+        global.findDependencyCycle = utils.findDependencyCycle;
+        global.findDependencyViolations = utils.findDependencyViolations;
+        const item = (id, title, cod, dependsOn) => ({ id: id, title: title, jobSize: 3, cod: cod, complexity: 1, effort: 1, doubt: 1, cod_bv: 1, cod_tc: 1, cod_rroe: 1, dependsOn: dependsOn });
+        const container = document.getElementById('wsjf-visualization-container');
+
+        renderWsjfVisualization([item(1, 'A', 30, [2]), item(2, 'B', 3, [])]);
+        expect(container.querySelector('#wsjf-dependency-error')).toBeNull();
+        expect(container.querySelector('#wsjf-chart-current-title-container .wsjf-dependency-violations').textContent).toBe('1 violated dependencies');
+
+        renderWsjfVisualization([item(1, 'A', 30, [2]), item(2, 'B', 3, [1])]);
+        expect(container.querySelector('#wsjf-dependency-error').textContent).toContain('A → B → A');
+        expect(container.querySelector('.wsjf-dependency-violations')).toBeNull();
+
+        delete global.findDependencyCycle;
+        delete global.findDependencyViolations;
+    });
+
+    test('should add the Monte Carlo forecast to both charts in the probabilistic mode', () => {
+        const item = (id, title, cod) => ({ id: id, title: title, jobSize: 3, cod: cod, complexity: 1, effort: 1, doubt: 1, cod_bv: 1, cod_tc: 1, cod_rroe: 1 });
+        const simulation = { iterations: 10, orders: {} };
+        global.requestMonteCarloSimulation = jest.fn((orders, onResult) => onResult(simulation));
+        global.renderMonteCarloForecast = jest.fn();
+        global.currentSortCriteria = 'cod';
+        global.currentSortDirection = 'asc';
+
+        global.isProbabilisticMode = false;
+        renderWsjfVisualization([item(1, 'A', 30), item(2, 'B', 3)]);
+        expect(global.requestMonteCarloSimulation).not.toHaveBeenCalled();
+
+        global.isProbabilisticMode = true;
+        renderWsjfVisualization([item(1, 'A', 30), item(2, 'B', 3)]);
+        const orders = global.requestMonteCarloSimulation.mock.calls[0][0];
+        expect(orders.optimal.map(pbi => pbi.id)).toEqual([1, 2]);
+        expect(orders.current.map(pbi => pbi.id)).toEqual([2, 1]);
+        expect(global.renderMonteCarloForecast.mock.calls.map(call => [call[0], call[2], call[3]])).toEqual([
+            ['wsjf-chart-optimal', simulation, 'optimal'],
+            ['wsjf-chart-current', simulation, 'current']
+        ]);
+
+        delete global.requestMonteCarloSimulation;
+        delete global.renderMonteCarloForecast;
+        delete global.isProbabilisticMode;
+    });
+});
+
+describe('renderQuadrantVisualization', () => {
+    const item = (id, title, jobSize, cod) => ({ id: id, title: title, jobSize: jobSize, cod: cod, complexity: 1, effort: 1, doubt: 1, cod_bv: 1, cod_tc: 1, cod_rroe: 1 });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="quadrant-visualization-container"></div>';
+        global.createQuadrantMatrix = jest.fn();
+        global.pbiIdToCustomColor = {};
+        global.config = { uiStrings: { quadrantChartNoData: 'No quadrant data' }, pastelColorPalette: ['#aaa', '#bbb'] };
+    });
+
+    afterEach(() => {
+        delete global.createQuadrantMatrix;
+    });
+
+    test('shows a message instead of the matrix if no item is complete', () => {
+        renderQuadrantVisualization([{ id: 1, title: 'A', jobSize: 3, cod: 0, complexity: 1, effort: 1, doubt: 1 }, { id: -1, isLastItem: true }]);
+
+        expect(document.querySelector('.quadrant-no-data').textContent).toBe('No quadrant data');
+        expect(global.createQuadrantMatrix).not.toHaveBeenCalled();
+    });
+
+    test('passes the complete items with their WSJF ranks and colors to the matrix', () => {
+        global.pbiIdToCustomColor = { 2: '#123456' };
+        renderQuadrantVisualization([item(1, 'A', 10, 10), item(2, 'B', 2, 10), { id: 3, title: 'C', jobSize: 3, cod: 0 }, { id: -1, isLastItem: true }]);
+
+        expect(global.createQuadrantMatrix).toHaveBeenCalledTimes(1);
+        const [container, plotted, styleMap] = global.createQuadrantMatrix.mock.calls[0];
+        expect(container.id).toBe('quadrant-visualization-container');
+        expect(plotted.map(pbi => pbi.id)).toEqual([1, 2]);
+        expect(styleMap).toEqual({ 2: { rank: 1, color: '#123456' }, 1: { rank: 2, color: '#bbb' } });
+    });
+});
+
+describe('renderConsistencyPanel', () => {
+    const item = (id, title, complexity) => ({ id: id, title: title, complexity: complexity, effort: 1, doubt: 1 });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="consistency-panel" class="hidden"><button id="consistency-panel-toggle"></button><ul id="consistency-findings" class="hidden"></ul></div>';
+        global.config = { uiStrings: { consistencySummary: '{count} findings', consistencyNoFindings: 'All consistent' } };
+        global.isConsistencyPanelExpanded = false;
+        global.findEstimationInconsistencies = jest.fn().mockReturnValue([]);
+        global.formatConsistencyFinding = jest.fn().mockReturnValue('Larger than the max reference');
+    });
+
+    afterEach(() => {
+        delete global.findEstimationInconsistencies;
+        delete global.formatConsistencyFinding;
+        delete global.isConsistencyPanelExpanded;
+    });
+
+    test('stays hidden without complete items and confirms consistent estimates', () => {
+        renderConsistencyPanel([item(1, 'A', 0), { id: -1, isLastItem: true }]);
+        expect(document.getElementById('consistency-panel').classList.contains('hidden')).toBe(true);
+
+        renderConsistencyPanel([item(1, 'A', 3)]);
+        const panel = document.getElementById('consistency-panel');
+        expect(panel.classList.contains('hidden')).toBe(false);
+        expect(panel.classList.contains('is-consistent')).toBe(true);
+        expect(document.getElementById('consistency-panel-toggle').textContent).toBe('All consistent');
+    });
+
+    test('lists the findings with the item IDs while the panel is expanded', () => {
+        const pbiList = [item(1, 'A', 3), item(2, 'B', 8)];
+        global.findEstimationInconsistencies.mockReturnValue([{ type: 'aboveMaxReference', pbi: pbiList[1], other: pbiList[0] }]);
+
+        renderConsistencyPanel(pbiList);
+        expect(document.getElementById('consistency-panel-toggle').textContent).toBe('▸ 1 findings');
+        expect(document.getElementById('consistency-findings').classList.contains('hidden')).toBe(true);
+
+        global.isConsistencyPanelExpanded = true;
+        renderConsistencyPanel(pbiList);
+        const entries = document.querySelectorAll('#consistency-findings .consistency-finding');
+        expect(document.getElementById('consistency-findings').classList.contains('hidden')).toBe(false);
+        expect(entries).toHaveLength(1);
+        expect(entries[0].dataset.id).toBe('2');
+        expect(entries[0].textContent).toBe('BLarger than the max reference');
+        expect(entries[0].classList.contains('consistency-finding-aboveMaxReference')).toBe(true);
+    });
 });
 
 describe('syncRelativeSizingHeaderPadding', () => {
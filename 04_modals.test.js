@@ -15,12 +15,22 @@
  * 3. Ensure Settings Persistence & Migration:
  * - Saving user preferences (Language, Colors, Scale).
  * - Migrating PBI values when switching scales (e.g., Safe -> Metric).
+ * - Adding and deleting custom scales.
  * 4. Validate Popup Interactions:
  * - T-Shirt size picker functionality.
  * - Relative Sizing value picker (updating logic).
  * 5. Verify Help Icon System:
  * - Wrapper generation and positioning logic.
  * - Backdrop interactions.
+ * 6. Check the CSV Export Options and the CSV Mapping Import:
+ * - Mapping preselection (remembered source vs. guessed columns).
+ * - Hand-over of the created items to the import pipeline.
+ * 7. Check the Merge Conflict Dialog:
+ * - Side-by-side rendering and per-field resolutions.
+ * 8. Check the Snapshot Dialog:
+ * - Listing, saving and the routing of Compare / Restore / Delete.
+ * 9. Check the Planning Poker Tab:
+ * - Hidden votes, the reveal and accepting the consensus.
  */
 
 // Defines globals needed for module execution/loading immediately
@@ -52,13 +62,41 @@ const {
     openSettingsModal,
     resetSettingsToDefault,
     saveAndCloseSettings,
+    addCustomScaleFromSettings,
+    proposeTshirtCalibration,
     showTshirtPopup,
     showValuePopup,
     updateModalNavButtons,
     getIsModalDirty,
     markModalAsDirty,
     updateHelpIcons, // Exported via modification
-    validateAndSyncModal // Exported via modification
+    validateAndSyncModal, // Exported via modification
+    renderCsvExportOptions,
+    readCsvExportOptions,
+    openCsvMappingModal,
+    prepareCsvMappingImport,
+    confirmCsvMappingImport,
+    openMergeConflictModal,
+    setAllMergeChoices,
+    confirmMergeConflicts,
+    openSnapshotModal,
+    saveSnapshotFromModal,
+    handleSnapshotListClick,
+    openPassphraseModal,
+    openJsonExportModal,
+    confirmPassphraseModal,
+    renderVotingTab,
+    handleVotingInput,
+    handleVotingTableClick,
+    addVotingParticipantFromModal,
+    revealVotesInModal,
+    getVotingFromModal,
+    renderPriorityInputs,
+    applyPriorityInputsToPbi,
+    loadUrgencyProfileIntoModal,
+    applyUrgencyInputsToPbi,
+    validateDependencyInputs,
+    applyDependencyInputsToPbi
 } = modalsModule;
 
 // --- Mocks for functions from other files/globals ---
@@ -82,6 +120,25 @@ global.updateSliderFill = jest.fn();
 // Mock getSortedPbis as it is crucial for navigation logic
 global.getSortedPbis = jest.fn((pbis) => pbis.filter(p => !p.isLastItem));
 
+// The planning poker, scale, weight, prioritization, urgency, capacity, undo depth, dependency, quadrant, T-shirt mapping, language, CSV option and number formatting logic is pure data handling, so the real implementation is used
+const votingUtils = require('./6_utils.js');
+['VOTING_FIELDS', 'createVoting', 'getKnownVotingParticipants', 'addVotingParticipant', 'removeVotingParticipant',
+    'setVotingValue', 'startNewVotingRound', 'hasVotes', 'getVoteStatistics', 'applyEstimateValue',
+    'getStoredScaleValues', 'storeScaleValues', 'convertPbiToScale', 'getScaleValueLabel', 'parseCustomScale',
+    'getCustomScales', 'applyCustomScales', 'JOB_SIZE_COMPONENTS', 'COD_COMPONENTS', 'normalizeComponentWeights',
+    'getComponentWeights', 'calculateJobSize', 'calculateCod', 'applyComponentWeights', 'PRIORITIZATION_MODELS',
+    'getActivePrioritizationModel', 'getPrioritizationModelName', 'getPriorityLabel', 'getPriorityValues', 'storePriorityValues',
+    'applyPrioritizationModel', 'URGENCY_PROFILES', 'getUrgencyProfile', 'getUrgencyProfileLabel', 'storeUrgencyProfile',
+    'CAPACITY_PERIODS', 'normalizeCapacity', 'getCapacity', 'applyCapacity',
+    'normalizeUndoHistoryDepth', 'getUndoHistoryDepth', 'applyUndoHistoryDepth',
+    'getDependencies', 'storeDependencies', 'buildDependencyMap', 'findDependencyCycle',
+    'normalizeQuadrantThresholds', 'getQuadrantThresholds', 'applyQuadrantThresholds',
+    'getSortedTshirtSizes', 'normalizeTshirtMapping', 'getTshirtMapping', 'applyTshirtMapping', 'getTshirtSizeDistribution',
+    'calibrateTshirtThresholds', 'getAvailableLanguages', 'CSV_EXPORT_CHOICES', 'normalizeCsvExportOptions', 'getCsvExportOptions',
+    'formatNumber'].forEach(name => {
+    global[name] = votingUtils[name];
+});
+
 // --- Global Config / State ---
 const setupGlobalState = () => {
     global.SCALES = { 
@@ -126,8 +183,8 @@ const setupGlobalState = () => {
             navNextItemSave: "Save & Next"
         },
         languages: { 
-            en: { pageTitle: 'English' },
-            de: { pageTitle: 'German' }
+            en: { pageTitle: 'English', languageName: 'English' },
+            de: { pageTitle: 'German', languageName: 'Deutsch' }
         },
         tshirtSizes: ['S', 'M', 'L'],
         allTshirtSizes: ['XS', 'S', 'M', 'L', 'XL'],
@@ -191,12 +248,31 @@ const setupDom = () => {
             <button id="tab-btn-cod"></button>
             <div id="tab-content-cod">
                 <div id="cod-hint"></div>
+                <div id="urgency-profile-container">
+                    <label id="urgency-profile-label"></label>
+                    <select id="pbi-urgency-profile"></select>
+                    <label id="urgency-deadline-label"></label>
+                    <input type="number" id="pbi-urgency-deadline">
+                </div>
                  <div class="modal-reset-container"><button id="reset-cod-btn"></button></div>
+                 <div id="dependency-options"></div>
                  
                  <a id="help-icon-cod_bv" style="display:none">?</a>
                  <a id="help-icon-cod_tc" style="display:none">?</a>
                  <a id="help-icon-cod_rroe" style="display:none">?</a>
             </div>
+
+            <button id="tab-btn-voting"></button>
+            <div id="tab-content-voting" class="hidden">
+                <div id="voting-table"></div>
+                <input type="text" id="voting-participant-input">
+                <button id="btn-voting-reveal"></button>
+            </div>
+
+            <button id="tab-btn-priority"></button>
+            <div id="tab-content-priority" class="hidden">
+                <div id="priority-inputs"></div>
+            </div>
             
             <input type="range" id="pbi-complexity" value="0">
             <input type="range" id="pbi-effort" value="0">
@@ -219,11 +295,33 @@ const setupDom = () => {
         </div>
         
         <div id="settings-modal" style="display: none;">
-            <input type="radio" name="language-setting" value="en">
-            <input type="radio" name="language-setting" value="de">
+            <div id="language-options-container">
+                <input type="radio" name="language-setting" value="en">
+                <input type="radio" name="language-setting" value="de">
+            </div>
             <div id="tshirt-sizes-options"></div>
+            <input type="checkbox" id="tshirt-auto-setting">
+            <div id="tshirt-mapping-container"></div>
+            <div id="tshirt-mapping-preview"></div>
+            <select id="tshirt-calibration-method"><option value="linear">Linear</option><option value="logarithmic">Log</option><option value="quantile">Quantile</option></select>
+            <div id="tshirt-calibration-proposal" class="hidden"></div>
             <input type="radio" name="scale-setting" value="safe">
             <input type="radio" name="scale-setting" value="metric">
+            <div id="custom-scale-options"></div>
+            <input type="text" id="custom-scale-name">
+            <input type="text" id="custom-scale-values">
+            <input type="text" id="custom-scale-labels">
+            <input type="number" id="weight-complexity-setting">
+            <input type="number" id="weight-effort-setting">
+            <input type="number" id="weight-doubt-setting">
+            <input type="number" id="weight-cod_bv-setting">
+            <input type="number" id="weight-cod_tc-setting">
+            <input type="number" id="weight-cod_rroe-setting">
+            <div id="priority-model-options"></div>
+            <input type="number" id="capacity-points-setting">
+            <select id="capacity-period-setting"><option value="pi">PI</option><option value="iteration">Iteration</option></select>
+            <input type="number" id="quadrant-jobsize-setting">
+            <input type="number" id="quadrant-cod-setting">
             <input type="color" id="color-complexity-setting">
             <input type="color" id="color-effort-setting">
             <input type="color" id="color-doubt-setting">
@@ -243,6 +341,7 @@ const setupDom = () => {
             <input type="color" id="setting-editor-c4">
             <input type="checkbox" id="setting-show-ref-markers">
             <input type="checkbox" id="setting-show-res-warning">
+            <input type="number" id="setting-undo-depth">
         </div>
         
         <div id="tooltip-backdrop"></div> 
@@ -574,6 +673,18 @@ describe('Settings Modal', () => {
             expect(document.querySelector('input[value="S"]').checked).toBe(true);
             expect(document.querySelector('input[value="M"]').checked).toBe(false);
         });
+
+        test('should list every available language with its own name', () => {
+            global.config.languages.fr = { pageTitle: 'French', languageName: 'Français' };
+            global.currentLanguage = 'fr';
+
+            openSettingsModal();
+
+            const radios = document.querySelectorAll('#language-options-container input[name="language-setting"]');
+            expect(Array.from(radios).map(radio => radio.value)).toEqual(['en', 'de', 'fr']);
+            expect(document.querySelector('input[name="language-setting"][value="fr"]').checked).toBe(true);
+            expect(document.getElementById('language-options-container').textContent).toContain('Français');
+        });
     });
 
     describe('resetSettingsToDefault', () => {
@@ -645,7 +756,7 @@ describe('Settings Modal', () => {
         
         test('should cache fibonacci values when switching to metric', () => {
             // Setup: PBI is 5 (Valid Fib)
-            global.pbis = [{ id: 1, complexity: 5, fibonacciValues: {} }];
+            global.pbis = [{ id: 1, complexity: 5, scaleValues: {} }];
             global.currentScale = 'safe'; 
             
             openSettingsModal();
@@ -655,12 +766,12 @@ describe('Settings Modal', () => {
             // Value should persist as 5 in metric
             expect(global.pbis[0].complexity).toBe(5);
             // Backup should have been created
-            expect(global.pbis[0].fibonacciValues.complexity).toBe(5);
+            expect(global.pbis[0].scaleValues.safe.complexity).toBe(5);
         });
 
         test('should snap to nearest higher fibonacci value when switching back from metric', () => {
             // Setup: PBI is 4 (Valid Metric, Invalid Fib)
-            global.pbis = [{ id: 1, complexity: 4, arithmeticValues: {} }];
+            global.pbis = [{ id: 1, complexity: 4, scaleValues: {} }];
             global.currentScale = 'metric';
             
             openSettingsModal();
@@ -700,6 +811,446 @@ describe('Settings Modal', () => {
     });
 });
 
+describe('Custom Scales in the Settings Modal', () => {
+    beforeEach(() => {
+        setupGlobalState();
+        setupDom();
+        global.alert = jest.fn();
+    });
+
+    const fillEditor = (name, values, labels) => {
+        document.getElementById('custom-scale-name').value = name;
+        document.getElementById('custom-scale-values').value = values;
+        document.getElementById('custom-scale-labels').value = labels || '';
+    };
+
+    test('an added scale is selected and applied on save, converting the values', () => {
+        global.pbis = [{ id: 1, complexity: 3, effort: 5, doubt: 1, cod_bv: 0, cod_tc: 0, cod_rroe: 0 }];
+        openSettingsModal();
+
+        fillEditor('Powers of two', '1, 2, 4, 8, 16', 'XS, S, M, L, XL');
+        expect(addCustomScaleFromSettings()).toBe(true);
+
+        const radio = document.querySelector('input[name="scale-setting"][value="custom-powers-of-two"]');
+        expect(radio.checked).toBe(true);
+        expect(radio.parentElement.textContent).toContain('Powers of two (1 XS,2 S,4 M,8 L,16 XL)');
+        expect(global.SCALES['custom-powers-of-two']).toBeUndefined();
+
+        saveAndCloseSettings();
+
+        expect(global.currentScale).toBe('custom-powers-of-two');
+        expect(global.SCALES['custom-powers-of-two'].values).toEqual([0, 1, 2, 4, 8, 16]);
+        expect(global.pbis[0]).toMatchObject({ complexity: 4, effort: 8, doubt: 1, jobSize: 13 });
+        expect(global.pbis[0].scaleValues.safe.complexity).toBe(3);
+    });
+
+    test('invalid input is reported and keeps the editor fields', () => {
+        openSettingsModal();
+        fillEditor('Broken', '1');
+
+        expect(addCustomScaleFromSettings()).toBe(false);
+
+        expect(global.alert).toHaveBeenCalledTimes(1);
+        expect(document.getElementById('custom-scale-name').value).toBe('Broken');
+        expect(document.querySelectorAll('.custom-scale-option')).toHaveLength(0);
+    });
+
+    test('deleting the selected scale falls back to the default scale', () => {
+        applyCustomScales([{ id: 'custom-linear', name: 'Linear', values: [0, 1, 2, 3, 10] }]);
+        global.currentScale = 'custom-linear';
+        global.pbis = [{ id: 1, complexity: 10, effort: 0, doubt: 0, cod_bv: 0, cod_tc: 0, cod_rroe: 0 }];
+        openSettingsModal();
+
+        document.querySelector('.custom-scale-delete-btn').click();
+
+        expect(document.querySelector('input[name="scale-setting"][value="safe"]').checked).toBe(true);
+
+        saveAndCloseSettings();
+
+        expect(global.currentScale).toBe('safe');
+        expect(global.SCALES['custom-linear']).toBeUndefined();
+        expect(global.pbis[0].complexity).toBe(8);
+    });
+});
+
+describe('Component Weights in the Settings Modal', () => {
+    beforeEach(() => {
+        setupGlobalState();
+        setupDom();
+        applyComponentWeights(null);
+    });
+
+    afterEach(() => {
+        delete window.componentWeights;
+    });
+
+    test('changed weights are applied on save and the totals are recalculated', () => {
+        global.pbis = [
+            { id: 1, complexity: 1, effort: 2, doubt: 3, jobSize: 6, cod_bv: 3, cod_tc: 2, cod_rroe: 1, cod: 6 },
+            { id: -1, isLastItem: true, jobSize: null, cod: null }
+        ];
+        openSettingsModal();
+        expect(document.getElementById('weight-cod_bv-setting').value).toBe('1');
+
+        document.getElementById('weight-cod_bv-setting').value = '2';
+        document.getElementById('weight-doubt-setting').value = '0.5';
+        saveAndCloseSettings();
+
+        expect(getComponentWeights()).toMatchObject({ cod_bv: 2, doubt: 0.5, effort: 1 });
+        expect(global.pbis[0]).toMatchObject({ jobSize: 4.5, cod: 9 });
+        expect(global.pbis[1]).toMatchObject({ jobSize: null, cod: null });
+    });
+
+    test('invalid weights become 1 and the reset restores the default weights', () => {
+        global.config.defaultSettings.componentWeights = { cod_bv: 3 };
+        openSettingsModal();
+
+        document.getElementById('weight-effort-setting').value = '';
+        resetSettingsToDefault();
+        expect(document.getElementById('weight-cod_bv-setting').value).toBe('3');
+        expect(document.getElementById('weight-effort-setting').value).toBe('1');
+    });
+
+    test('validateAndSyncModalLogic shows the weighted totals and WSJF', () => {
+        applyComponentWeights({ cod_bv: 2 });
+        const result = validateAndSyncModalLogic({
+            title: 'Weighted', complexityVal: 5, effortVal: 2, doubtVal: 1, codBvVal: 8, codTcVal: 5, codRroeVal: 3,
+            uiStrings: { jobsizeHint: '', jobsizeHintComplete: '{jobSize}', codHint: '', codHintComplete: '{codSize}' }
+        });
+
+        expect(result.jobSizeTotal).toBe(8);
+        expect(result.codTotal).toBe(24);
+        expect(result.wsjfValue).toBe('3');
+    });
+});
+
+describe('Prioritization Models in the Edit and Settings Modal', () => {
+    beforeEach(() => {
+        setupGlobalState();
+        setupDom();
+        applyPrioritizationModel('wsjf');
+    });
+
+    afterAll(() => {
+        applyPrioritizationModel('wsjf');
+    });
+
+    test('the priority tab is hidden for WSJF and shows the stored inputs of the active model', () => {
+        renderPriorityInputs(null);
+        expect(document.getElementById('tab-btn-priority').style.display).toBe('none');
+        expect(document.getElementById('priority-inputs').children.length).toBe(0);
+
+        applyPrioritizationModel('rice');
+        renderPriorityInputs({ id: 1, priority: { rice: { reach: 500, impact: 2 } } });
+
+        expect(document.getElementById('tab-btn-priority').style.display).toBe('');
+        expect(document.getElementById('priority-field-reach').value).toBe('500');
+        expect(document.getElementById('priority-field-impact').tagName).toBe('SELECT');
+        expect(document.getElementById('priority-field-impact').value).toBe('2');
+        expect(document.getElementById('priority-field-confidence').value).toBe('');
+    });
+
+    test('renderPriorityInputs formats the select options for the UI language', () => {
+        applyPrioritizationModel('rice');
+        renderPriorityInputs({ id: 1 });
+        const optionTexts = () => Array.from(document.getElementById('priority-field-impact').options).map(o => o.textContent);
+        expect(optionTexts()).toContain('0.5');
+
+        global.currentLanguage = 'de';
+        renderPriorityInputs({ id: 1 });
+        global.currentLanguage = 'en';
+        expect(optionTexts()).toContain('0,5');
+    });
+
+    test('applyPriorityInputsToPbi stores the inputs for the active model only', () => {
+        const pbi = { id: 1, priority: { ice: { impact: 5, confidence: 5, ease: 5 } } };
+        applyPrioritizationModel('rice');
+        renderPriorityInputs(pbi);
+
+        document.getElementById('priority-field-reach').value = '-20';
+        document.getElementById('priority-field-confidence').value = '80';
+        document.getElementById('priority-field-effort').value = '2.5';
+        applyPriorityInputsToPbi(pbi);
+
+        expect(pbi.priority.rice).toEqual({ reach: 0, confidence: 80, effort: 2.5 });
+        expect(pbi.priority.ice).toEqual({ impact: 5, confidence: 5, ease: 5 });
+
+        applyPrioritizationModel('wsjf');
+        applyPriorityInputsToPbi(pbi);
+        expect(pbi.priority.rice).toEqual({ reach: 0, confidence: 80, effort: 2.5 });
+    });
+
+    test('the settings list all models, activate the chosen one and reset to the default', () => {
+        global.pbis = [{ id: -1, isLastItem: true }];
+        openSettingsModal();
+
+        const radios = document.querySelectorAll('input[name="priority-model-setting"]');
+        expect(Array.from(radios).map(r => r.value)).toEqual(['wsjf', 'rice', 'ice', 'cd3', 'moscow']);
+        expect(document.querySelector('input[name="priority-model-setting"]:checked').value).toBe('wsjf');
+
+        document.querySelector('input[name="priority-model-setting"][value="moscow"]').checked = true;
+        saveAndCloseSettings();
+        expect(getActivePrioritizationModel()).toBe('moscow');
+
+        openSettingsModal();
+        resetSettingsToDefault();
+        expect(document.querySelector('input[name="priority-model-setting"]:checked').value).toBe('wsjf');
+    });
+});
+
+describe('Capacity in the Settings Modal', () => {
+    beforeEach(() => { setupGlobalState(); setupDom(); });
+
+    afterEach(() => {
+        delete window.capacitySettings;
+    });
+
+    test('the capacity is shown, applied on save and reset to the default', () => {
+        global.pbis = [{ id: -1, isLastItem: true }];
+        applyCapacity({ points: 20, period: 'iteration' });
+        openSettingsModal();
+
+        expect(document.getElementById('capacity-points-setting').value).toBe('20');
+        expect(document.getElementById('capacity-period-setting').value).toBe('iteration');
+
+        document.getElementById('capacity-points-setting').value = '35';
+        document.getElementById('capacity-period-setting').value = 'pi';
+        saveAndCloseSettings();
+        expect(getCapacity()).toEqual({ points: 35, period: 'pi' });
+
+        openSettingsModal();
+        resetSettingsToDefault();
+        expect(document.getElementById('capacity-points-setting').value).toBe('0');
+        saveAndCloseSettings();
+        expect(getCapacity().points).toBe(0);
+    });
+});
+
+describe('Undo History Depth in the Settings Modal', () => {
+    beforeEach(() => { setupGlobalState(); setupDom(); });
+
+    afterEach(() => {
+        delete window.undoHistoryDepth;
+        delete global.config.defaultSettings.undoHistoryDepth;
+        global.undoStack = [];
+    });
+
+    test('the undo depth is shown, applied on save and reset to the default', () => {
+        global.pbis = [{ id: -1, isLastItem: true }];
+        global.config.defaultSettings.undoHistoryDepth = 50;
+        global.undoStack = ['a', 'b', 'c', 'd'];
+        openSettingsModal();
+
+        expect(document.getElementById('setting-undo-depth').value).toBe('50');
+
+        document.getElementById('setting-undo-depth').value = '2';
+        saveAndCloseSettings();
+        expect(getUndoHistoryDepth()).toBe(2);
+        expect(global.undoStack).toEqual(['c', 'd']);
+
+        openSettingsModal();
+        resetSettingsToDefault();
+        expect(document.getElementById('setting-undo-depth').value).toBe('50');
+        document.getElementById('setting-undo-depth').value = 'abc';
+        saveAndCloseSettings();
+        expect(getUndoHistoryDepth()).toBe(50);
+    });
+});
+
+describe('Quadrant Thresholds in the Settings Modal', () => {
+    beforeEach(() => { setupGlobalState(); setupDom(); });
+
+    afterEach(() => {
+        delete window.quadrantThresholds;
+    });
+
+    test('the thresholds are shown, applied on save and reset to the median', () => {
+        global.pbis = [{ id: -1, isLastItem: true }];
+        applyQuadrantThresholds({ jobSize: 13, cod: 0 });
+        openSettingsModal();
+
+        expect(document.getElementById('quadrant-jobsize-setting').value).toBe('13');
+        expect(document.getElementById('quadrant-cod-setting').value).toBe('0');
+
+        document.getElementById('quadrant-jobsize-setting').value = '8';
+        document.getElementById('quadrant-cod-setting').value = 'abc';
+        saveAndCloseSettings();
+        expect(getQuadrantThresholds()).toEqual({ jobSize: 8, cod: 0 });
+
+        openSettingsModal();
+        resetSettingsToDefault();
+        expect(document.getElementById('quadrant-jobsize-setting').value).toBe('0');
+        saveAndCloseSettings();
+        expect(getQuadrantThresholds()).toEqual({ jobSize: 0, cod: 0 });
+    });
+});
+
+describe('T-Shirt Size Mapping in the Settings Modal', () => {
+    beforeEach(() => { setupGlobalState(); setupDom(); });
+
+    afterEach(() => {
+        delete window.tshirtMapping;
+    });
+
+    const item = (id, jobSize, overrides) => Object.assign({ id: id, title: 'Item ' + id, complexity: 1, effort: 1, doubt: 1, jobSize: jobSize }, overrides);
+
+    test('the limits of the checked sizes are shown with a live preview of the backlog', () => {
+        global.pbis = [item(1, 4), item(2, 8), item(3, 20), item(4, 3, { tshirtSize: 'L', tshirtSizeOverride: true }), item(5, 0, { doubt: 0 }), { id: -1, isLastItem: true }];
+        applyTshirtMapping({ auto: true, thresholds: { S: 5, M: 9 } });
+        openSettingsModal();
+
+        expect(document.getElementById('tshirt-auto-setting').checked).toBe(true);
+        const inputs = document.querySelectorAll('#tshirt-mapping-container input[data-size]');
+        expect(Array.from(inputs).map(input => input.dataset.size + '=' + input.value)).toEqual(['S=5', 'M=9']);
+        expect(document.querySelector('#tshirt-mapping-container .tshirt-mapping-rest').textContent).toBe('larger');
+
+        const chipText = () => Array.from(document.querySelectorAll('.tshirt-mapping-preview-chip')).map(chip => chip.textContent);
+        expect(chipText()).toEqual(['S1', 'M1', 'L2']);
+        expect(document.querySelector('.tshirt-mapping-preview-note').textContent).toBe('(1 set manually, 1 without Job Size)');
+
+        document.getElementById('tshirt-threshold-S-setting').value = '8';
+        document.getElementById('tshirt-threshold-S-setting').dispatchEvent(new Event('input'));
+        expect(chipText()).toEqual(['S2', 'M0', 'L2']);
+
+        const xlCheckbox = document.querySelector('input[name="tshirt-size-setting"][value="XL"]');
+        xlCheckbox.checked = true;
+        xlCheckbox.dispatchEvent(new Event('change'));
+        expect(document.getElementById('tshirt-threshold-S-setting').value).toBe('8');
+        expect(document.getElementById('tshirt-threshold-L-setting').value).toBe('13');
+        expect(chipText()).toEqual(['S2', 'M0', 'L1', 'XL1']);
+    });
+
+    test('the mapping is applied on save and reset to the default', () => {
+        global.pbis = [{ id: -1, isLastItem: true }];
+        openSettingsModal();
+        expect(document.getElementById('tshirt-auto-setting').checked).toBe(false);
+
+        document.getElementById('tshirt-auto-setting').checked = true;
+        document.getElementById('tshirt-threshold-M-setting').value = '11';
+        saveAndCloseSettings();
+        expect(getTshirtMapping().auto).toBe(true);
+        expect(getTshirtMapping().thresholds.M).toBe(11);
+
+        openSettingsModal();
+        resetSettingsToDefault();
+        expect(document.getElementById('tshirt-auto-setting').checked).toBe(false);
+        expect(document.getElementById('tshirt-threshold-M-setting').value).toBe('9');
+        saveAndCloseSettings();
+        expect(getTshirtMapping()).toEqual(normalizeTshirtMapping(null));
+    });
+
+    test('the calibration assistant proposes limits with item counts and applies them to the inputs', () => {
+        global.pbis = [
+            item(1, 3, { isReference: true, referenceType: 'min' }),
+            item(2, 21, { isReference: true, referenceType: 'max' }),
+            item(3, 8), item(4, 13)
+        ];
+        openSettingsModal();
+        document.getElementById('tshirt-calibration-method').value = 'linear';
+
+        expect(proposeTshirtCalibration()).toBe(true);
+        const proposal = document.getElementById('tshirt-calibration-proposal');
+        expect(proposal.classList.contains('hidden')).toBe(false);
+        expect(Array.from(proposal.querySelectorAll('.tshirt-mapping-preview-chip')).map(chip => chip.textContent)).toEqual(['S ≤ 92', 'M ≤ 151', 'L1']);
+        expect(document.getElementById('tshirt-threshold-S-setting').value).toBe('5');
+
+        proposal.querySelector('.tshirt-calibration-apply-btn').click();
+        expect(document.getElementById('tshirt-threshold-S-setting').value).toBe('9');
+        expect(document.getElementById('tshirt-threshold-M-setting').value).toBe('15');
+        expect(proposal.classList.contains('hidden')).toBe(true);
+        expect(Array.from(document.querySelectorAll('#tshirt-mapping-preview .tshirt-mapping-preview-chip')).map(chip => chip.textContent)).toEqual(['S2', 'M1', 'L1']);
+
+        saveAndCloseSettings();
+        expect(getTshirtMapping().thresholds).toMatchObject({ S: 9, M: 15 });
+    });
+
+    test('the calibration assistant reports missing reference items', () => {
+        global.pbis = [item(1, 3)];
+        global.alert = jest.fn();
+        openSettingsModal();
+
+        expect(proposeTshirtCalibration()).toBe(false);
+        expect(global.alert).toHaveBeenCalledWith(expect.stringContaining('reference item'));
+        expect(document.getElementById('tshirt-calibration-proposal').classList.contains('hidden')).toBe(true);
+    });
+});
+
+describe('Urgency Profile in the Edit Modal', () => {
+    beforeEach(() => { setupGlobalState(); setupDom(); });
+
+    test('showModal lists the profiles and shows the deadline only for a fixed date', () => {
+        showModal({ id: 1, title: 'Release', urgency: { profile: 'fixedDate', deadline: 12 } });
+
+        const select = document.getElementById('pbi-urgency-profile');
+        expect(Array.from(select.options).map(o => o.value)).toEqual(['standard', 'fixedDate', 'expedite', 'intangible']);
+        expect(select.value).toBe('fixedDate');
+        expect(document.getElementById('pbi-urgency-deadline').value).toBe('12');
+        expect(document.getElementById('pbi-urgency-deadline').style.display).toBe('');
+
+        showModal(null);
+        expect(select.value).toBe('standard');
+        expect(document.getElementById('pbi-urgency-deadline').style.display).toBe('none');
+    });
+
+    test('applyUrgencyInputsToPbi stores the profile and removes it for the standard profile', () => {
+        const pbi = { id: 1 };
+        loadUrgencyProfileIntoModal(pbi);
+
+        document.getElementById('pbi-urgency-profile').value = 'fixedDate';
+        document.getElementById('pbi-urgency-deadline').value = '8';
+        applyUrgencyInputsToPbi(pbi);
+        expect(pbi.urgency).toEqual({ profile: 'fixedDate', deadline: 8 });
+
+        document.getElementById('pbi-urgency-profile').value = 'expedite';
+        applyUrgencyInputsToPbi(pbi);
+        expect(pbi.urgency).toEqual({ profile: 'expedite', deadline: null });
+
+        document.getElementById('pbi-urgency-profile').value = 'standard';
+        applyUrgencyInputsToPbi(pbi);
+        expect(pbi.urgency).toBeUndefined();
+    });
+});
+
+describe('Dependencies in the Edit Modal', () => {
+    beforeEach(() => {
+        setupGlobalState();
+        setupDom();
+        global.alert = jest.fn();
+        global.pbis = [
+            { id: 1, title: 'Base' },
+            { id: 2, title: 'Feature', dependsOn: [1] },
+            { id: 3, title: 'Extension', dependsOn: [2] },
+            { id: -1, isLastItem: true }
+        ];
+    });
+
+    const checkbox = (id) => document.querySelector('input[name="pbi-dependency"][value="' + id + '"]');
+
+    test('showModal lists the other items and checks the current dependencies', () => {
+        showModal(global.pbis[1]);
+
+        const values = Array.from(document.querySelectorAll('input[name="pbi-dependency"]')).map(input => input.value);
+        expect(values).toEqual(['1', '3']);
+        expect(checkbox(1).checked).toBe(true);
+        expect(checkbox(3).checked).toBe(false);
+    });
+
+    test('a link that closes a cycle is rejected, other links are stored', () => {
+        showModal(global.pbis[0]);
+
+        checkbox(3).checked = true;
+        expect(validateDependencyInputs()).toBe(false);
+        expect(global.alert).toHaveBeenCalledWith(expect.stringContaining('Base → Extension → Feature → Base'));
+
+        checkbox(3).checked = false;
+        expect(validateDependencyInputs()).toBe(true);
+
+        const pbi = { id: 1, title: 'Base', dependsOn: [3] };
+        applyDependencyInputsToPbi(pbi);
+        expect(pbi.dependsOn).toBeUndefined();
+    });
+});
+
 describe('Popup Functions', () => {
     beforeEach(() => { setupGlobalState(); setupDom(); });
     
@@ -743,6 +1294,22 @@ describe('Popup Functions', () => {
             expect(document.querySelector('.tshirt-popup')).toBeNull();
             expect(global.renderAll).toHaveBeenCalled();
         });
+
+        test('in auto mode a picked size is kept as override and "Auto" removes it again', () => {
+            applyTshirtMapping({ auto: true });
+            const trigger = document.querySelector('.pbi-item-tshirt');
+            showTshirtPopup(trigger);
+            const options = Array.from(document.querySelectorAll('.tshirt-option'));
+            expect(options.map(el => el.textContent)).toEqual(['Auto', '-', 'S', 'M', 'L']);
+
+            options.find(el => el.textContent === 'L').click();
+            expect(global.pbis[0]).toMatchObject({ tshirtSize: 'L', tshirtSizeOverride: true });
+
+            showTshirtPopup(trigger);
+            document.querySelector('.tshirt-option-auto').click();
+            expect(global.pbis[0].tshirtSizeOverride).toBeUndefined();
+            delete window.tshirtMapping;
+        });
     });
     
     describe('showValuePopup', () => {
@@ -773,4 +1340,410 @@ describe('Popup Functions', () => {
             expect(global.renderAll).toHaveBeenCalled();
         });
     });
-});
\ No newline at end of file
+});
+
+describe('CSV Export Options', () => {
+    beforeEach(() => {
+        setupGlobalState();
+        global.config.uiStrings.csvDelimiterTab = 'Tabulator';
+        document.body.innerHTML = `
+            <div id="csv-export-options-container">
+                <select id="csv-export-delimiter" data-option="delimiter"></select>
+                <select id="csv-export-decimal" data-option="decimalSeparator"></select>
+                <select id="csv-export-quoting" data-option="quoting"></select>
+                <select id="csv-export-line-ending" data-option="lineEnding"></select>
+                <select id="csv-export-encoding" data-option="encoding"></select>
+                <input type="number" id="csv-export-wsjf-decimals">
+                <input type="checkbox" id="csv-export-bom">
+            </div>`;
+    });
+
+    afterEach(() => { delete window.csvExportOptions; });
+
+    test('renderCsvExportOptions lists the choices and preselects the active options', () => {
+        window.csvExportOptions = { delimiter: '\t', decimalSeparator: '.', bom: false, wsjfDecimals: 1 };
+
+        renderCsvExportOptions();
+
+        const delimiter = document.getElementById('csv-export-delimiter');
+        expect(delimiter.options).toHaveLength(3);
+        expect(delimiter.value).toBe('\t');
+        expect(delimiter.options[delimiter.selectedIndex].textContent).toBe('Tabulator');
+        expect(document.getElementById('csv-export-decimal').value).toBe('.');
+        expect(document.getElementById('csv-export-quoting').value).toBe('minimal');
+        expect(document.getElementById('csv-export-wsjf-decimals').value).toBe('1');
+        expect(document.getElementById('csv-export-bom').checked).toBe(false);
+        expect(document.getElementById('csv-export-bom').disabled).toBe(false);
+
+        renderCsvExportOptions({ encoding: 'windows-1252' });
+        expect(document.getElementById('csv-export-encoding').value).toBe('windows-1252');
+        expect(document.getElementById('csv-export-bom').disabled).toBe(true);
+    });
+
+    test('readCsvExportOptions returns the normalized choices of the dialog', () => {
+        renderCsvExportOptions();
+        document.getElementById('csv-export-delimiter').value = ',';
+        document.getElementById('csv-export-line-ending').value = 'lf';
+        document.getElementById('csv-export-wsjf-decimals').value = '9';
+        document.getElementById('csv-export-bom').checked = false;
+
+        expect(readCsvExportOptions()).toEqual({
+            delimiter: ',', decimalSeparator: ',', quoting: 'minimal', lineEnding: 'lf', encoding: 'utf-8', bom: false, wsjfDecimals: 4
+        });
+    });
+});
+
+describe('CSV Mapping Import', () => {
+    const utils = require('./6_utils.js');
+    const csv = 'Key,Summary,Story Points\nP-1,Login,13\nP-2,Logout,2\n';
+
+    beforeEach(() => {
+        setupGlobalState();
+        document.body.innerHTML = `
+            <div id="csv-mapping-modal" style="display: none;">
+                <span id="csv-mapping-file-name"></span>
+                <input id="csv-mapping-source"><datalist id="csv-mapping-source-list"></datalist>
+                <div id="csv-mapping-fields"></div>
+                <div id="csv-mapping-preview"></div>
+                <button id="btn-csv-mapping-confirm"></button>
+            </div>`;
+
+        global.alert = jest.fn();
+        global.parseCsv = utils.parseCsv;
+        global.detectCsvDelimiter = utils.detectCsvDelimiter;
+        global.guessCsvMapping = utils.guessCsvMapping;
+        global.findCsvMappingSource = utils.findCsvMappingSource;
+        global.getCsvColumnDefinitions = utils.getCsvColumnDefinitions;
+        global.buildPbisFromCsvMapping = utils.buildPbisFromCsvMapping;
+        global.loadCsvMappings = jest.fn(() => ({}));
+        global.saveCsvMapping = jest.fn();
+        global.applyCsvBacklogItems = jest.fn();
+    });
+
+    test('should open with an empty state and a disabled import button', () => {
+        global.loadCsvMappings.mockReturnValue({ Jira: { mapping: { title: 'Summary' } } });
+
+        openCsvMappingModal();
+
+        expect(document.getElementById('csv-mapping-modal').style.display).toBe('flex');
+        expect(document.getElementById('btn-csv-mapping-confirm').disabled).toBe(true);
+        expect(document.querySelectorAll('#csv-mapping-source-list option')).toHaveLength(1);
+    });
+
+    test('should preselect a remembered mapping when the header matches', () => {
+        global.loadCsvMappings.mockReturnValue({ Jira: { mapping: { title: 'Summary', effort: 'Story Points' } } });
+        openCsvMappingModal();
+
+        prepareCsvMappingImport(csv, 'jira.csv');
+
+        expect(document.getElementById('csv-mapping-source').value).toBe('Jira');
+        expect(document.getElementById('csv-mapping-select-title').value).toBe('Summary');
+        expect(document.getElementById('csv-mapping-select-effort').value).toBe('Story Points');
+        expect(document.querySelectorAll('#csv-mapping-preview th.is-mapped')).toHaveLength(2);
+        expect(document.getElementById('btn-csv-mapping-confirm').disabled).toBe(false);
+    });
+
+    test('should import via the shared pipeline, remember the mapping and report snapped values', () => {
+        openCsvMappingModal();
+        prepareCsvMappingImport(csv, 'jira.csv');
+        expect(document.getElementById('csv-mapping-select-title').value).toBe('Summary'); // Guessed
+
+        document.getElementById('csv-mapping-select-effort').value = 'Story Points';
+        document.getElementById('csv-mapping-source').value = 'Jira';
+        confirmCsvMappingImport();
+
+        expect(global.saveCsvMapping).toHaveBeenCalledWith('Jira', expect.objectContaining({ title: 'Summary', effort: 'Story Points' }));
+        expect(global.alert).toHaveBeenCalledTimes(1); // 13 -> 8
+        const [items, fileName] = global.applyCsvBacklogItems.mock.calls[0];
+        expect(items.map(p => p.effort)).toEqual([8, 2]);
+        expect(fileName).toBe('jira.csv');
+        expect(document.getElementById('csv-mapping-modal').style.display).toBe('none');
+    });
+
+    test('should keep the dialog open if no title column is mapped', () => {
+        openCsvMappingModal();
+        prepareCsvMappingImport(csv, 'jira.csv');
+        document.getElementById('csv-mapping-select-title').value = '';
+
+        confirmCsvMappingImport();
+
+        expect(global.alert).toHaveBeenCalled();
+        expect(global.applyCsvBacklogItems).not.toHaveBeenCalled();
+    });
+});
+
+describe('Merge Conflict Dialog', () => {
+    const utils = require('./6_utils.js');
+    let plan;
+
+    beforeEach(() => {
+        setupGlobalState();
+        document.body.innerHTML = `
+            <div id="merge-conflict-modal" style="display: none;">
+                <p id="merge-conflict-summary"></p>
+                <div id="merge-reference-group"><div id="merge-reference-list"></div></div>
+                <div id="merge-conflict-list"></div>
+            </div>`;
+
+        global.getMergeFieldDefinitions = utils.getMergeFieldDefinitions;
+        global.getCsvColumnDefinitions = utils.getCsvColumnDefinitions;
+        global.htmlToMarkdown = utils.htmlToMarkdown;
+        global.finishMergeImport = jest.fn();
+
+        global.pbis = [
+            { id: 1, title: 'Login', effort: 2, notes: '<b>old</b>', referenceType: 'min' },
+            { id: 2, title: 'Search', effort: 3, notes: '', referenceType: null }
+        ];
+        plan = {
+            additions: [{ id: 3, title: 'New' }],
+            unchangedCount: 0,
+            conflicts: [{ localId: 1, incoming: { effort: 5, notes: '<i>new</i>' }, fields: ['effort', 'notes'] }],
+            referenceConflicts: [{ type: 'min', localId: 1, incomingId: 2 }, { type: 'max', localId: null, incomingId: 3 }]
+        };
+    });
+
+    test('should list differing fields side by side with the local value preselected', () => {
+        openMergeConflictModal(plan);
+
+        expect(document.getElementById('merge-conflict-modal').style.display).toBe('flex');
+        const rows = document.querySelectorAll('#merge-conflict-list tr[data-field]');
+        expect(rows).toHaveLength(2);
+        expect(rows[1].textContent).toContain('**old**');
+        expect(rows[1].textContent).toContain('_new_');
+        expect(rows[0].querySelector('input[value="local"]').checked).toBe(true);
+        // Only the occupied MIN slot needs a decision
+        expect(document.querySelectorAll('#merge-reference-list .merge-reference')).toHaveLength(1);
+    });
+
+    test('should hand the per-field choices to the merge', () => {
+        openMergeConflictModal(plan);
+        document.querySelector('#merge-conflict-list tr[data-field="effort"] input[value="incoming"]').checked = true;
+
+        confirmMergeConflicts();
+
+        expect(global.finishMergeImport).toHaveBeenCalledWith(plan, {
+            fields: { 1: { effort: 'incoming', notes: 'local' } },
+            references: { min: 'local' }
+        });
+        expect(document.getElementById('merge-conflict-modal').style.display).toBe('none');
+    });
+
+    test('setAllMergeChoices should switch every decision at once', () => {
+        openMergeConflictModal(plan);
+        setAllMergeChoices('incoming');
+        confirmMergeConflicts();
+
+        expect(global.finishMergeImport.mock.calls[0][1]).toEqual({
+            fields: { 1: { effort: 'incoming', notes: 'incoming' } },
+            references: { min: 'incoming' }
+        });
+    });
+});
+
+describe('Snapshot Dialog', () => {
+    let snapshots;
+    const clickAction = (action, id) => {
+        const button = document.querySelector('#snapshot-list button[data-action="' + action + '"][data-snapshot-id="' + id + '"]');
+        handleSnapshotListClick({ target: button });
+    };
+
+    beforeEach(() => {
+        setupGlobalState();
+        document.body.innerHTML = `
+            <div id="snapshot-modal" style="display: none;">
+                <input type="text" id="snapshot-name-input">
+                <div id="snapshot-list"></div>
+            </div>`;
+
+        snapshots = [
+            { id: 'snap1', name: 'PI 24.2 kickoff', timestamp: 1700000000000, data: { backlogItems: [{ id: 1 }] } },
+            { id: 'snap2', name: 'PI 24.3 kickoff', timestamp: 1710000000000, data: { backlogItems: [{ id: 1 }, { id: 2 }] } }
+        ];
+        global.loadSnapshots = jest.fn(() => snapshots);
+        global.createSnapshot = jest.fn(() => ({ id: 'snap3' }));
+        global.deleteSnapshot = jest.fn();
+        global.restoreSnapshot = jest.fn();
+        global.startSnapshotComparison = jest.fn();
+        global.alert = jest.fn();
+        global.confirm = jest.fn(() => true);
+    });
+
+    test('should list the snapshots newest first and open the dialog', () => {
+        openSnapshotModal();
+
+        const rows = document.querySelectorAll('#snapshot-list .snapshot-row');
+        expect(document.getElementById('snapshot-modal').style.display).toBe('flex');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].dataset.snapshotId).toBe('snap2');
+        expect(rows[0].textContent).toContain('PI 24.3 kickoff');
+    });
+
+    test('should save a snapshot under the entered name and reject empty names', () => {
+        saveSnapshotFromModal();
+        expect(global.createSnapshot).not.toHaveBeenCalled();
+        expect(global.alert).toHaveBeenCalled();
+
+        document.getElementById('snapshot-name-input').value = '  PI 24.4 kickoff ';
+        saveSnapshotFromModal();
+        expect(global.createSnapshot).toHaveBeenCalledWith('PI 24.4 kickoff');
+        expect(document.getElementById('snapshot-name-input').value).toBe('');
+    });
+
+    test('should route compare, restore and delete to the snapshot functions', () => {
+        openSnapshotModal();
+
+        clickAction('compare', 'snap1');
+        expect(global.startSnapshotComparison).toHaveBeenCalledWith('snap1');
+        expect(document.getElementById('snapshot-modal').style.display).toBe('none');
+
+        openSnapshotModal();
+        clickAction('delete', 'snap2');
+        expect(global.confirm).toHaveBeenCalledWith(expect.stringContaining('PI 24.3 kickoff'));
+        expect(global.deleteSnapshot).toHaveBeenCalledWith('snap2');
+
+        clickAction('restore', 'snap1');
+        expect(global.restoreSnapshot).toHaveBeenCalledWith('snap1');
+    });
+});
+
+describe('Passphrase Dialog', () => {
+    const enter = (passphrase, repeat) => {
+        document.getElementById('passphrase-input').value = passphrase;
+        document.getElementById('passphrase-repeat-input').value = repeat;
+    };
+    const isErrorShown = () => !document.getElementById('passphrase-error').classList.contains('hidden');
+
+    beforeEach(() => {
+        setupGlobalState();
+        document.body.innerHTML = `
+            <div id="passphrase-modal" style="display: none;">
+                <h2 id="passphrase-modal-title"></h2>
+                <p id="passphrase-modal-text"></p>
+                <input type="password" id="passphrase-input">
+                <input type="password" id="passphrase-repeat-input">
+                <p id="passphrase-error" class="hidden"></p>
+                <button id="btn-passphrase-confirm"></button>
+            </div>`;
+        global.exportPbisAsJson = jest.fn(() => Promise.resolve());
+        global.alert = jest.fn();
+    });
+
+    test('export: rejects differing repetitions and exports with the passphrase', async () => {
+        openJsonExportModal();
+        expect(document.getElementById('passphrase-modal').style.display).toBe('flex');
+        expect(document.getElementById('passphrase-repeat-input').classList.contains('hidden')).toBe(false);
+
+        enter('secret', 'secre');
+        await confirmPassphraseModal();
+        expect(isErrorShown()).toBe(true);
+        expect(global.exportPbisAsJson).not.toHaveBeenCalled();
+
+        enter('secret', 'secret');
+        await confirmPassphraseModal();
+        expect(global.exportPbisAsJson).toHaveBeenCalledWith('secret');
+        expect(document.getElementById('passphrase-modal').style.display).toBe('none');
+    });
+
+    test('export: empty fields export an unencrypted file', async () => {
+        openJsonExportModal();
+        await confirmPassphraseModal();
+
+        expect(global.exportPbisAsJson).toHaveBeenCalledWith('');
+    });
+
+    test('import: a wrong passphrase keeps the dialog open for another attempt', async () => {
+        const wrong = new Error('Wrong passphrase');
+        wrong.isWrongPassphrase = true;
+        const onConfirm = jest.fn().mockRejectedValueOnce(wrong).mockResolvedValueOnce();
+
+        openPassphraseModal({ mode: 'import', fileName: 'backlog.json', onConfirm: onConfirm });
+        expect(document.getElementById('passphrase-repeat-input').classList.contains('hidden')).toBe(true);
+
+        await confirmPassphraseModal();
+        expect(onConfirm).not.toHaveBeenCalled();
+        expect(isErrorShown()).toBe(true);
+
+        enter('wrong', '');
+        await confirmPassphraseModal();
+        expect(document.getElementById('passphrase-error').textContent).toBe('Wrong passphrase');
+        expect(document.getElementById('passphrase-modal').style.display).toBe('flex');
+
+        enter('right', '');
+        await confirmPassphraseModal();
+        expect(onConfirm).toHaveBeenLastCalledWith('right');
+        expect(isErrorShown()).toBe(false);
+    });
+
+    test('import: other errors close the dialog and are reported', async () => {
+        openPassphraseModal({ mode: 'import', onConfirm: () => Promise.reject(new Error('Unexpected token')) });
+        enter('secret', '');
+
+        await confirmPassphraseModal();
+
+        expect(document.getElementById('passphrase-modal').style.display).toBe('none');
+        expect(global.alert).toHaveBeenCalledWith(expect.stringContaining('Unexpected token'));
+    });
+});
+
+
+describe('Planning Poker Tab', () => {
+    const vote = (participant, field, value) => {
+        const input = document.querySelector(`.vote-input[data-participant="${participant}"][data-field="${field}"]`);
+        input.value = value;
+        handleVotingInput({ target: input });
+    };
+
+    beforeEach(() => {
+        setupGlobalState();
+        setupDom();
+        global.alert = jest.fn();
+        global.pbis = [{ id: 1, title: 'Item', voting: { revealed: false, participants: [{ name: 'Ana', values: {} }] } }];
+        showModal(null);
+    });
+
+    test('a new item starts with the known participants and hides the votes', () => {
+        expect(getVotingFromModal().participants.map(p => p.name)).toEqual(['Ana']);
+
+        vote('Ana', 'complexity', '5');
+
+        const input = document.querySelector('.vote-input[data-participant="Ana"][data-field="complexity"]');
+        expect(input.type).toBe('password');
+        expect(getVotingFromModal().participants[0].values.complexity).toBe(5);
+        expect(document.querySelector('.voting-accept-btn')).toBeNull();
+    });
+
+    test('rejects values outside the active scale and duplicate participants', () => {
+        vote('Ana', 'effort', '4');
+        expect(global.alert).toHaveBeenCalled();
+        expect(getVotingFromModal().participants[0].values.effort).toBeUndefined();
+
+        document.getElementById('voting-participant-input').value = 'ana';
+        addVotingParticipantFromModal();
+        expect(global.alert).toHaveBeenCalledTimes(2);
+        expect(getVotingFromModal().participants).toHaveLength(1);
+    });
+
+    test('reveal shows the statistics and accept moves the consensus to the slider', () => {
+        ['Ben', 'Cleo'].forEach(name => {
+            document.getElementById('voting-participant-input').value = name;
+            addVotingParticipantFromModal();
+        });
+        vote('Ana', 'complexity', '3');
+        vote('Ben', 'complexity', '5');
+        vote('Cleo', 'complexity', '8');
+
+        revealVotesInModal();
+
+        expect(document.querySelector('.vote-input')).toBeNull();
+        const acceptBtn = document.querySelector('.voting-accept-btn[data-field="complexity"]');
+        expect(acceptBtn.textContent).toBe('Accept 5');
+
+        handleVotingTableClick({ target: acceptBtn });
+
+        const slider = document.getElementById('pbi-complexity');
+        expect(slider.value).toBe('5');
+        expect(slider.dataset.interacted).toBe('true');
+        expect(getIsModalDirty()).toBe(true);
+        expect(getVotingFromModal().revealed).toBe(true);
+    });
+});
@@ -23,6 +23,9 @@
 // Import all visualization functions
 const viz = require('./5_visualizations.js');
 
+// Numbers follow the UI language, so the real formatting is used
+global.formatNumber = require('./6_utils.js').formatNumber;
+
 // Helper function to set up CSS variables (mocking the browser's style system)
 function setupCssVariables() {
     document.documentElement.style.setProperty('--color-total', '#efefef');
@@ -369,7 +372,9 @@ describe('createCodChart', function() {
     });
 
     test('should set correct tooltips on blocks', function() {
+        global.currentLanguage = 'de'; // Numbers follow the UI language
         viz.createCodChart(chartId, pbiList, pbiStyles);
+        delete global.currentLanguage;
         
         // PBI A (Proc) in Seg 1
         var pbiA_proc = document.querySelector('.wsjf-delay-block.processing[data-pbi-id="1"]');
@@ -381,4 +386,206 @@ describe('createCodChart', function() {
         // Matches "Accumulated Cost 10" because the mock string "Accumulated Cost" has no colon
         expect(pbiB_wait.title).toContain('Accumulated Cost 10');
     });
+
+    test('should follow the urgency profiles of the items when they are available', function() {
+        var utils = require('./6_utils.js');
+        global.calculateDelayCost = utils.calculateDelayCost;
+        global.getUrgencyProfile = utils.getUrgencyProfile;
+        global.getUrgencyProfileLabel = utils.getUrgencyProfileLabel;
+
+        try {
+            // PBI B waits 2 units but its deadline is 1: only 1 unit of delay is charged
+            pbiList[1].urgency = { profile: 'fixedDate', deadline: 1 };
+            var totalCost = viz.createCodChart(chartId, pbiList, pbiStyles);
+
+            expect(totalCost).toBe(5);
+            expect(totalCost).toBe(utils.calculateScheduleDelayCost(pbiList));
+
+            var pbiB_wait = document.querySelector('.wsjf-delay-block.waiting[data-pbi-id="2"]');
+            expect(pbiB_wait.style.height).toBe((2.5/15)*100 + '%'); // Average CoD within the segment
+            expect(pbiB_wait.querySelector('.wsjf-delay-block-label').textContent).toBe('5');
+            expect(pbiB_wait.title).toContain('Urgency: Fixed date (Deadline (cumulative Job Size): 1)');
+        } finally {
+            delete global.calculateDelayCost;
+            delete global.getUrgencyProfile;
+            delete global.getUrgencyProfileLabel;
+        }
+    });
+
+    test('should draw the capacity boundaries and flag items that fit or are split', function() {
+        var utils = require('./6_utils.js');
+        global.getCapacity = function() { return { points: 3, period: 'pi' }; };
+        global.calculateCapacityPlan = utils.calculateCapacityPlan;
+        global.formatCapacityPeriod = utils.formatCapacityPeriod;
+
+        try {
+            viz.createCodChart(chartId, pbiList, pbiStyles);
+
+            var boundaries = document.querySelectorAll('#test-chart-area .wsjf-capacity-boundary');
+            expect(boundaries.length).toBe(1);
+            expect(boundaries[0].style.left).toBe('60%');
+
+            var periodLabels = document.querySelectorAll('#test-chart-area .wsjf-capacity-period-label');
+            expect(periodLabels.length).toBe(2);
+            expect(periodLabels[0].textContent).toBe('PI 1');
+            expect(periodLabels[0].classList.contains('is-next-period')).toBe(true);
+            expect(periodLabels[0].title).toBe('Fits into PI 1: PBI A');
+
+            var pbiA_proc = document.querySelector('.wsjf-delay-block.processing[data-pbi-id="1"]');
+            var pbiB_proc = document.querySelector('.wsjf-delay-block.processing[data-pbi-id="2"]');
+            expect(pbiA_proc.classList.contains('capacity-next-period')).toBe(true);
+            expect(pbiA_proc.title).toContain('Processing - Planned in PI 1');
+            expect(pbiB_proc.classList.contains('capacity-split')).toBe(true);
+            expect(pbiB_proc.title).toContain('Processing - Split across PI 1 and PI 2');
+        } finally {
+            delete global.getCapacity;
+            delete global.calculateCapacityPlan;
+            delete global.formatCapacityPeriod;
+        }
+    });
+
+    test('should flag items that are processed before one of their dependencies', function() {
+        global.findDependencyViolations = require('./6_utils.js').findDependencyViolations;
+
+        try {
+            pbiList[0].dependsOn = [2];
+            viz.createCodChart(chartId, pbiList, pbiStyles);
+
+            var pbiA_proc = document.querySelector('.wsjf-delay-block.processing[data-pbi-id="1"]');
+            var pbiB_proc = document.querySelector('.wsjf-delay-block.processing[data-pbi-id="2"]');
+            expect(pbiA_proc.classList.contains('dependency-violated')).toBe(true);
+            expect(pbiA_proc.title).toContain('Processing - Depends on PBI B (scheduled later)');
+            expect(pbiB_proc.classList.contains('dependency-violated')).toBe(false);
+        } finally {
+            delete global.findDependencyViolations;
+        }
+    });
+});
+
+describe('createQuadrantMatrix', function() {
+    var utils = require('./6_utils.js');
+    var container;
+    var pbiList = [
+        { id: 1, title: 'Quick', jobSize: 2, cod: 20 },
+        { id: 2, title: 'Bet', jobSize: 10, cod: 20 },
+        { id: 3, title: 'Filler', jobSize: 2, cod: 2 },
+        { id: 4, title: 'Pit', jobSize: 10, cod: 2 }
+    ];
+    var pbiStyles = {
+        1: { rank: 1, color: 'red' },
+        2: { rank: 2, color: 'blue' },
+        3: { rank: 3, color: 'green' },
+        4: { rank: 4, color: 'gray' }
+    };
+
+    beforeEach(function() {
+        setupGlobalMocks();
+        document.body.innerHTML = '<div id="quadrant-visualization-container"></div>';
+        container = document.getElementById('quadrant-visualization-container');
+        ['QUADRANTS', 'resolveQuadrantThresholds', 'getQuadrant', 'getQuadrantLabel'].forEach(function(name) {
+            global[name] = utils[name];
+        });
+    });
+
+    afterEach(function() {
+        ['QUADRANTS', 'resolveQuadrantThresholds', 'getQuadrant', 'getQuadrantLabel'].forEach(function(name) {
+            delete global[name];
+        });
+        delete window.quadrantThresholds;
+    });
+
+    test('should place every item in its quadrant with the WSJF rank and color', function() {
+        window.quadrantThresholds = { jobSize: 5, cod: 10 };
+
+        var counts = viz.createQuadrantMatrix(container, pbiList, pbiStyles);
+
+        expect(counts).toEqual({ quickWins: 1, bigBets: 1, fillIns: 1, moneyPits: 1 });
+        var points = container.querySelectorAll('.quadrant-point');
+        expect(Array.prototype.map.call(points, function(point) { return point.dataset.pbiId; })).toEqual(['4', '3', '2', '1']);
+
+        var quickWin = container.querySelector('.quadrant-point[data-pbi-id="1"]');
+        expect(quickWin.dataset.quadrant).toBe('quickWins');
+        expect(quickWin.textContent).toBe('1');
+        expect(quickWin.style.backgroundColor).toBe('red');
+        expect(quickWin.style.left).toBe((2 / 11) * 100 + '%');
+        expect(quickWin.style.bottom).toBe((20 / 22) * 100 + '%');
+        expect(quickWin.title).toContain('"Quick"\nQuick Wins\nItem: 1 - Job Size: 2 - CoD: 20');
+
+        expect(container.querySelector('.quadrant-threshold-x').style.left).toBe((5 / 11) * 100 + '%');
+        expect(container.querySelector('.quadrant-threshold-y').style.bottom).toBe((10 / 22) * 100 + '%');
+        expect(container.querySelector('.quadrant-field-moneyPits .quadrant-field-label').textContent).toBe('Money Pits (1)');
+    });
+
+    test('should use the medians of the items as automatic thresholds', function() {
+        var counts = viz.createQuadrantMatrix(container, pbiList.concat([{ id: 5, title: 'Middle', jobSize: 6, cod: 11 }]), pbiStyles);
+
+        expect(counts).toEqual({ quickWins: 1, bigBets: 1, fillIns: 2, moneyPits: 1 });
+        expect(container.querySelector('.quadrant-threshold-x').title).toBe('Job Size threshold: 6 (median)');
+        expect(container.querySelector('.quadrant-point[data-pbi-id="5"]').textContent).toBe('?');
+    });
+});
+
+describe('renderMonteCarloForecast', function() {
+    var simulation = {
+        iterations: 2000,
+        orders: {
+            optimal: { completion: { 1: { p50: 4, p85: 5 }, 2: { p50: 9, p85: 12 } }, cost: { p10: 30, p50: 36, p85: 44, p90: 47 } },
+            current: {
+                completion: { 2: { p50: 5, p85: 8 }, 1: { p50: 10, p85: 16 } },
+                accumulatedCost: { 2: { p10: 0, p50: 0, p90: 0 }, 1: { p10: 60, p50: 70, p90: 88 } },
+                cost: { p10: 60, p50: 70, p85: 81, p90: 88 }
+            }
+        }
+    };
+    var sortedPbis = [{ id: 2, title: 'Big', jobSize: 6 }, { id: 1, title: 'Small', jobSize: 2 }];
+    var pbiStyles = { 1: { rank: 1, color: 'red' }, 2: { rank: 2, color: 'blue' } };
+
+    beforeEach(function() {
+        setupGlobalMocks();
+        document.body.innerHTML =
+            '<div id="wsjf-chart-current-wrapper">' +
+                '<div id="wsjf-chart-current-title-container"><div id="wsjf-chart-current-total-cost"></div><h3 id="wsjf-chart-current-title"></h3></div>' +
+                '<div id="wsjf-chart-current-content"><div id="wsjf-chart-current-area"></div></div>' +
+            '</div>';
+    });
+
+    test('should show the cost band next to the total cost and one forecast lane per item', function() {
+        viz.renderMonteCarloForecast('wsjf-chart-current', sortedPbis, simulation, 'current', pbiStyles);
+
+        var band = document.getElementById('wsjf-chart-current-cost-band');
+        expect(band.previousSibling.id).toBe('wsjf-chart-current-total-cost');
+        expect(band.textContent).toBe('P50 70 · P85 81');
+        expect(band.title).toBe('Total delay cost in 2,000 simulated runs: 80% between 60 and 88, median 70');
+
+        var forecast = document.getElementById('wsjf-chart-current-forecast');
+        expect(forecast.previousSibling.id).toBe('wsjf-chart-current-content');
+        var bars = forecast.querySelectorAll('.wsjf-forecast-bar');
+        expect(Array.prototype.map.call(bars, function(bar) { return bar.dataset.pbiId; })).toEqual(['2', '1']);
+        expect(bars[1].textContent).toBe('1');
+        expect(bars[1].style.backgroundColor).toBe('red');
+        expect(bars[1].style.left).toBe((10 / 16) * 100 + '%');
+        expect(bars[1].style.width).toBe((6 / 16) * 100 + '%');
+        expect(bars[1].title).toBe('"Small": 50% likely done by 10, 85% likely done by 16');
+        expect(forecast.querySelector('.wsjf-forecast-axis').textContent).toBe('016');
+    });
+
+    test('should replace the elements of an earlier call', function() {
+        viz.renderMonteCarloForecast('wsjf-chart-current', sortedPbis, simulation, 'current', pbiStyles);
+        viz.renderMonteCarloForecast('wsjf-chart-current', sortedPbis, simulation, 'current', pbiStyles);
+
+        expect(document.querySelectorAll('.wsjf-cost-band').length).toBe(1);
+        expect(document.querySelectorAll('.wsjf-forecast').length).toBe(1);
+        expect(document.querySelectorAll('.wsjf-accumulated-cost-band').length).toBe(1);
+        expect(document.querySelectorAll('.wsjf-accumulated-cost-label').length).toBe(1);
+    });
+
+    test('should draw the band of the accumulated delay cost into the chart area', function() {
+        viz.renderMonteCarloForecast('wsjf-chart-current', sortedPbis, simulation, 'current', pbiStyles);
+
+        var chartArea = document.getElementById('wsjf-chart-current-area');
+        var area = chartArea.querySelector('.wsjf-accumulated-cost-band .wsjf-accumulated-cost-area');
+        expect(area.getAttribute('points')).toBe('0,100 75,0 100,0 100,' + (100 - 60 / 88 * 100) + ' 75,' + (100 - 60 / 88 * 100) + ' 0,100');
+        expect(chartArea.querySelector('.wsjf-accumulated-cost-median').getAttribute('points')).toBe('0,100 75,' + (100 - 70 / 88 * 100) + ' 100,' + (100 - 70 / 88 * 100));
+        expect(chartArea.querySelector('.wsjf-accumulated-cost-label').textContent).toBe('88');
+    });
 });
\ No newline at end of file
@@ -12,7 +12,16 @@
  * 2. Test Data Persistence & Transfer:
  * - LocalStorage operations (Save/Load/Reset).
  * - JSON Import/Export (Structure validation, Legacy support).
+ * - Save-File Schema (Version detection, Migration chain, Localized validation errors).
  * - CSV Export (Header generation, Data formatting).
+ * - CSV Import (Parsing, Markdown round trip, Scale validation report).
+ * - CSV Mapping Import (Delimiter detection, Remembered mappings, Scale snapping).
+ * - Merge Import (Matching by ID / title, Field resolutions, Reference conflicts).
+ * - Share Link (Compact payload, URL-safe encoding, Read-only viewer).
+ * - Encrypted Save Files (AES-GCM round trip, Wrong passphrase, Import detection).
+ * - Planning Poker (Vote statistics, Participants, Consensus, Schema).
+ * - Presenter View (BroadcastChannel / storage event sync between windows).
+ * - Custom Scales (Parsing, Per-scale value store, Scale conversion, Schema).
  * 3. Validate String & Color Utilities:
  * - `htmlToMarkdown`: Converting editor notes for export.
  * - `generatePastelColors`: Palette management and fallback logic.
@@ -60,8 +69,149 @@ const {
     clearLocalStorageAndReset,
     htmlToMarkdown,
     exportPbisAsCsv,
+    parseCsv,
+    markdownToHtml,
+    parseBacklogCsv,
+    detectCsvDelimiter,
+    loadCsvMappings,
+    saveCsvMapping,
+    findCsvMappingSource,
+    guessCsvMapping,
+    buildPbisFromCsvMapping,
+    buildMergePlan,
+    applyMergePlan,
+    getSaveFileSchemaVersion,
+    migrateSaveFile,
+    validateSaveFile,
+    formatSchemaErrors,
+    SAVE_FILE_SCHEMA_VERSION,
     saveToLocalStorage,
-    loadFromLocalStorage
+    loadFromLocalStorage,
+    loadWorkspaceIndex,
+    getActiveStorageKey,
+    initWorkspaces,
+    switchWorkspace,
+    createWorkspace,
+    duplicateWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    loadUndoHistory,
+    applyUndoHistoryDepth,
+    undoLastChange,
+    redoLastChange,
+    loadSnapshots,
+    saveSnapshots,
+    saveUndoHistory,
+    createSnapshot,
+    deleteSnapshot,
+    restoreSnapshot,
+    compareWithSnapshot,
+    startSnapshotComparison,
+    endSnapshotComparison,
+    diffStoredItems,
+    readStoredState,
+    writeStoredState,
+    removeStoredState,
+    migrateLocalStorageStates,
+    readStoredRecord,
+    initStorageBackend,
+    isIndexedDbStorageActive,
+    buildSharePayload,
+    expandSharePayload,
+    encodeSharePayload,
+    decodeSharePayload,
+    getSharePayloadFromHash,
+    openSharedView,
+    applyReadOnlyMode,
+    isEncryptedSaveFile,
+    encryptSaveFile,
+    decryptSaveFile,
+    createVoting,
+    getKnownVotingParticipants,
+    addVotingParticipant,
+    removeVotingParticipant,
+    setVotingValue,
+    startNewVotingRound,
+    getVoteStatistics,
+    applyEstimateValue,
+    isPresenterHash,
+    createPresenterChannel,
+    initPresenterSync,
+    notifyPresenters,
+    schedulePresenterBroadcast,
+    syncPresenterOpenItem,
+    handlePresenterMessage,
+    convertPbiToScale,
+    getScaleValueLabel,
+    parseCustomScale,
+    normalizeCustomScale,
+    getCustomScales,
+    applyCustomScales,
+    buildSaveState,
+    applySavedState,
+    normalizeComponentWeights,
+    getComponentWeights,
+    calculateJobSize,
+    calculateCod,
+    applyComponentWeights,
+    getActivePrioritizationModel,
+    storePriorityValues,
+    getMissingPriorityFields,
+    getPriorityScore,
+    formatPriorityScore,
+    applyPrioritizationModel,
+    getUrgencyProfile,
+    storeUrgencyProfile,
+    calculateDelayCost,
+    calculateScheduleDelayCost,
+    computeOptimalSchedule,
+    searchExactSchedule,
+    improveScheduleLocally,
+    normalizeCapacity,
+    getCapacity,
+    applyCapacity,
+    formatCapacityPeriod,
+    calculateCapacityPlan,
+    storeDependencies,
+    removeDependencyLinks,
+    findDependencyCycle,
+    orderByDependencies,
+    findDependencyViolations,
+    normalizeQuadrantThresholds,
+    getQuadrantThresholds,
+    applyQuadrantThresholds,
+    resolveQuadrantThresholds,
+    getQuadrant,
+    getQuadrantLabel,
+    findEstimationInconsistencies,
+    formatConsistencyFinding,
+    getJobSizeDistribution,
+    createSeededRandom,
+    sampleTriangular,
+    getPercentile,
+    simulateScheduleOutcomes,
+    buildMonteCarloTask,
+    buildMonteCarloWorkerSource,
+    requestMonteCarloSimulation,
+    getSortedTshirtSizes,
+    normalizeTshirtMapping,
+    getTshirtMapping,
+    applyTshirtMapping,
+    getTshirtSizeFromValue,
+    syncAutoTshirtSizes,
+    isTshirtSizeOverridden,
+    getTshirtSizeDistribution,
+    calibrateTshirtThresholds,
+    applyLanguageFallback,
+    getAvailableLanguages,
+    resolveLanguage,
+    DEFAULT_CSV_EXPORT_OPTIONS,
+    normalizeCsvExportOptions,
+    getCsvExportOptions,
+    applyCsvExportOptions,
+    buildBacklogCsv,
+    encodeWindows1252,
+    formatNumber
 } = require('./6_utils.js');
 
 // --- Global Mocks ---
@@ -279,6 +429,7 @@ describe('Loading from LocalStorage', () => {
 
         // Mock getItem on Storage.prototype
         jest.spyOn(Storage.prototype, 'getItem').mockReturnValue(mockSavedState);
+        global.config.languages.de = { uiString: 'Wert' };
 
         const result = loadFromLocalStorage();
 
@@ -304,6 +455,1984 @@ describe('Loading from LocalStorage', () => {
     });
 });
 
+describe('Workspaces', () => {
+    const storedState = (id) => JSON.parse(window.localStorage.getItem('sizeRight_workspace_' + id));
+
+    beforeEach(() => {
+        global.activeWorkspaceId = null;
+        global.ensureLastItemExists = jest.fn((items) => items);
+        global.renderWorkspaceSwitcher = jest.fn();
+        global.lastEditedPbiId = null;
+    });
+
+    afterEach(() => {
+        // Other suites use the legacy autosave key and save without history
+        global.activeWorkspaceId = null;
+        delete global.undoStack;
+        delete global.redoStack;
+        delete global.lastUndoState;
+    });
+
+    test('initWorkspaces moves the legacy autosave into the default workspace', () => {
+        window.localStorage.setItem('sizeRight_autosave_v1', JSON.stringify({ settings: { scale: 'safe' }, backlogItems: [{ id: 1, title: 'Old' }] }));
+
+        const index = initWorkspaces();
+
+        expect(index.activeId).toBe('default');
+        expect(index.workspaces).toEqual([{ id: 'default', name: 'Default' }]);
+        expect(global.activeWorkspaceId).toBe('default');
+        expect(window.localStorage.getItem('sizeRight_autosave_v1')).toBeNull();
+        expect(storedState('default').backlogItems[0].title).toBe('Old');
+    });
+
+    test('initWorkspaces keeps the legacy autosave and retries later if the copy fails', () => {
+        const legacy = JSON.stringify({ settings: { scale: 'safe' }, backlogItems: [{ id: 1, title: 'Old' }] });
+        window.localStorage.setItem('sizeRight_autosave_v1', legacy);
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('QuotaExceededError'); });
+
+        initWorkspaces();
+
+        expect(global.alert).toHaveBeenCalled();
+        expect(global.activeWorkspaceId).toBeNull();
+        expect(getActiveStorageKey()).toBe('sizeRight_autosave_v1');
+        expect(window.localStorage.getItem('sizeRight_autosave_v1')).toBe(legacy);
+        expect(loadWorkspaceIndex()).toBeNull();
+
+        Storage.prototype.setItem.mockRestore();
+        expect(initWorkspaces().activeId).toBe('default');
+        expect(storedState('default').backlogItems[0].title).toBe('Old');
+    });
+
+    test('initWorkspaces repairs an unknown active ID', () => {
+        window.localStorage.setItem('sizeRight_workspaces_v1', JSON.stringify({ activeId: 'gone', workspaces: [{ id: 'a', name: 'A' }] }));
+
+        expect(initWorkspaces().activeId).toBe('a');
+    });
+
+    test('workspaces keep separate backlogs and settings', () => {
+        initWorkspaces();
+        global.pbis = [{ id: 1, title: 'Team A item' }];
+        global.currentScale = 'metric';
+
+        const newId = createWorkspace('Team B');
+
+        expect(global.activeWorkspaceId).toBe(newId);
+        expect(global.pbis).toEqual([]);
+        expect(global.currentScale).toBe('safe');
+        expect(loadWorkspaceIndex().workspaces.map(ws => ws.name)).toEqual(['Default', 'Team B']);
+
+        global.pbis = [{ id: 7, title: 'Team B item' }];
+        switchWorkspace('default');
+
+        expect(global.pbis[0].title).toBe('Team A item');
+        expect(global.currentScale).toBe('metric');
+        expect(storedState(newId).backlogItems[0].title).toBe('Team B item');
+    });
+
+    test('duplicateWorkspace copies the current state, renameWorkspace changes the name', () => {
+        initWorkspaces();
+        global.pbis = [{ id: 1, title: 'Shared' }];
+
+        const copyId = duplicateWorkspace('default', 'Copy');
+        renameWorkspace(copyId, '  Renamed  ');
+
+        expect(global.pbis[0].title).toBe('Shared');
+        expect(loadWorkspaceIndex().workspaces[1]).toEqual({ id: copyId, name: 'Renamed' });
+    });
+
+    test('deleteWorkspace refuses the last workspace and switches away from the active one', () => {
+        initWorkspaces();
+        expect(deleteWorkspace('default')).toBe(false);
+
+        global.pbis = [{ id: 1, title: 'Default item' }];
+        saveToLocalStorage();
+        const otherId = createWorkspace('Other');
+
+        expect(deleteWorkspace(otherId)).toBe(true);
+        expect(global.activeWorkspaceId).toBe('default');
+        expect(global.pbis[0].title).toBe('Default item');
+        expect(window.localStorage.getItem('sizeRight_workspace_' + otherId)).toBeNull();
+    });
+});
+
+describe('Undo History', () => {
+    const editTitle = (title) => {
+        global.pbis = [{ id: 1, title: title, isReference: false }];
+        saveToLocalStorage();
+    };
+
+    beforeEach(() => {
+        global.activeWorkspaceId = null;
+        global.undoStack = [];
+        global.redoStack = [];
+        global.lastUndoState = null;
+        global.ensureLastItemExists = jest.fn((items) => items.concat([{ id: -1, isLastItem: true }]));
+        global.config.defaultSettings.undoHistoryDepth = 50;
+        global.pbis = [{ id: 1, title: 'Start', isReference: false }];
+        loadUndoHistory();
+    });
+
+    afterEach(() => {
+        // Other suites save without history
+        delete global.undoStack;
+        delete global.redoStack;
+        delete global.lastUndoState;
+    });
+
+    test('records one step per saved change and ignores unchanged saves', () => {
+        editTitle('First');
+        editTitle('First');
+        editTitle('Second');
+
+        expect(global.undoStack).toHaveLength(2);
+        expect(global.redoStack).toHaveLength(0);
+    });
+
+    test('undo and redo restore items, custom order and T-shirt sizes', () => {
+        global.lockedPbiOrder = [1];
+        global.config.tshirtSizes = ['S', 'M', 'L', 'XL'];
+        editTitle('Changed');
+
+        expect(undoLastChange()).toBe(true);
+        expect(global.pbis[0].title).toBe('Start');
+        expect(global.pbis[1].isLastItem).toBe(true);
+        expect(global.lockedPbiOrder).toEqual([]);
+        expect(global.config.tshirtSizes).toEqual(['S', 'M', 'L']);
+        expect(global.renderAll).toHaveBeenCalled();
+
+        expect(redoLastChange()).toBe(true);
+        expect(global.pbis[0].title).toBe('Changed');
+        expect(global.lockedPbiOrder).toEqual([1]);
+        expect(redoLastChange()).toBe(false);
+    });
+
+    test('undo restores the component weights together with the totals calculated with them', () => {
+        global.pbis = [{ id: 1, title: 'Start', complexity: 1, effort: 2, doubt: 3, jobSize: 6, cod_bv: 1, cod_tc: 1, cod_rroe: 1, cod: 3 }];
+        saveToLocalStorage();
+
+        applyComponentWeights({ complexity: 2, cod_bv: 3 }, global.pbis);
+        saveToLocalStorage();
+        expect(global.pbis[0]).toMatchObject({ jobSize: 7, cod: 5 });
+
+        undoLastChange();
+        expect(getComponentWeights()).toMatchObject({ complexity: 1, cod_bv: 1 });
+        expect(global.pbis[0]).toMatchObject({ jobSize: 6, cod: 3 });
+
+        redoLastChange();
+        expect(getComponentWeights()).toMatchObject({ complexity: 2, cod_bv: 3 });
+        expect(global.pbis[0]).toMatchObject({ jobSize: 7, cod: 5 });
+        delete window.componentWeights;
+    });
+
+    test('undo restores the T-shirt size mapping, so the auto sizes are not recalculated and the redo step stays', () => {
+        global.config.tshirtSizes = ['S', 'M', 'L'];
+        global.renderAll.mockImplementation(() => syncAutoTshirtSizes(global.pbis));
+        applyTshirtMapping({ auto: true, thresholds: { S: 5, M: 9 } });
+        global.pbis = [{ id: 1, title: 'A', complexity: 2, effort: 2, doubt: 3, jobSize: 7, tshirtSize: 'M' }];
+        saveToLocalStorage();
+
+        applyTshirtMapping({ auto: true, thresholds: { S: 8, M: 12 } });
+        syncAutoTshirtSizes(global.pbis);
+        saveToLocalStorage();
+        expect(global.pbis[0].tshirtSize).toBe('S');
+
+        undoLastChange();
+        expect(getTshirtMapping().thresholds.S).toBe(5);
+        expect(global.pbis[0].tshirtSize).toBe('M');
+
+        saveToLocalStorage();
+        expect(global.redoStack).toHaveLength(1);
+
+        global.renderAll.mockReset();
+        delete window.tshirtMapping;
+    });
+
+    test('a new change after undo clears the redo stack', () => {
+        editTitle('A');
+        undoLastChange();
+        expect(global.redoStack).toHaveLength(1);
+
+        editTitle('B');
+        expect(global.redoStack).toHaveLength(0);
+    });
+
+    test('the history is limited to the configured depth', () => {
+        delete window.undoHistoryDepth;
+        global.config.defaultSettings.undoHistoryDepth = 3;
+        ['1', '2', '3', '4', '5'].forEach(editTitle);
+
+        expect(global.undoStack).toHaveLength(3);
+
+        // The depth of the settings overrides the configured default and trims the existing steps
+        applyUndoHistoryDepth(2);
+        expect(global.undoStack).toHaveLength(2);
+        editTitle('6');
+        expect(global.undoStack).toHaveLength(2);
+        delete window.undoHistoryDepth;
+    });
+
+    test('the history survives a reload via LocalStorage', () => {
+        editTitle('Saved');
+        expect(JSON.parse(window.localStorage.getItem('sizeRight_autosave_v1_history')).undo).toHaveLength(1);
+
+        global.undoStack = [];
+        loadUndoHistory();
+        expect(global.undoStack).toHaveLength(1);
+
+        undoLastChange();
+        expect(global.pbis[0].title).toBe('Start');
+    });
+});
+
+describe('Snapshots', () => {
+    const item = (id, overrides) => Object.assign({ id: id, title: 'Item ' + id, complexity: 1, effort: 1, doubt: 1, jobSize: 3, cod_bv: 2, cod_tc: 2, cod_rroe: 2, cod: 6, tshirtSize: 'S' }, overrides);
+
+    beforeEach(() => {
+        global.activeWorkspaceId = null;
+        global.activeSnapshotComparison = null;
+        global.ensureLastItemExists = jest.fn((items) => items);
+        global.pbis = [item(1), item(2)];
+    });
+
+    afterEach(() => {
+        delete global.activeSnapshotComparison;
+    });
+
+    test('createSnapshot stores the current state in the export structure', () => {
+        const snapshot = createSnapshot('  PI 24.3 kickoff ');
+
+        expect(snapshot.name).toBe('PI 24.3 kickoff');
+        expect(createSnapshot('   ')).toBeNull();
+
+        const stored = loadSnapshots();
+        expect(stored).toHaveLength(1);
+        expect(stored[0].data.settings.scale).toBe('safe');
+        expect(stored[0].data.backlogItems.map(p => p.id)).toEqual([1, 2]);
+    });
+
+    test('deleteSnapshot removes the snapshot and ends its comparison', () => {
+        const snapshot = createSnapshot('Old');
+        startSnapshotComparison(snapshot.id);
+        expect(global.activeSnapshotComparison.name).toBe('Old');
+
+        deleteSnapshot(snapshot.id);
+
+        expect(loadSnapshots()).toHaveLength(0);
+        expect(global.activeSnapshotComparison).toBeNull();
+    });
+
+    test('restoreSnapshot replaces the backlog after confirmation', () => {
+        const snapshot = createSnapshot('Kickoff');
+        global.pbis = [item(3)];
+
+        restoreSnapshot(snapshot.id);
+
+        expect(global.confirm).toHaveBeenCalledWith(expect.stringContaining('Kickoff'));
+        expect(global.pbis.map(p => p.id)).toEqual([1, 2]);
+    });
+
+    test('compareWithSnapshot reports changed values, WSJF ranks, added and removed items', () => {
+        const previous = [item(1), item(2, { cod_bv: 5, cod: 9 }), item(4, { title: 'Dropped' })];
+        const current = [
+            item(1, { effort: 5, jobSize: 7, tshirtSize: 'M' }),
+            item(2, { cod_bv: 5, cod: 9 }),
+            item(3),
+            { id: -1, isLastItem: true }
+        ];
+
+        const result = compareWithSnapshot(current, previous);
+
+        expect(result.added).toEqual([3]);
+        expect(result.removed.map(p => p.title)).toEqual(['Dropped']);
+        expect(result.changes[1]).toEqual({
+            jobSize: { from: 3, to: 7 },
+            wsjfRank: { from: 2, to: 3 },
+            tshirtSize: { from: 'S', to: 'M' }
+        });
+        expect(result.changes[2]).toBeUndefined();
+    });
+
+    test('compareWithSnapshot treats incomplete values as null', () => {
+        const result = compareWithSnapshot([item(1, { effort: 0 })], [item(1)]);
+
+        expect(result.changes[1].jobSize).toEqual({ from: 3, to: null });
+        expect(result.changes[1].wsjfRank).toEqual({ from: 1, to: null });
+    });
+
+    test('endSnapshotComparison clears the comparison and re-renders', () => {
+        global.activeSnapshotComparison = { id: 'x' };
+        endSnapshotComparison();
+
+        expect(global.activeSnapshotComparison).toBeNull();
+        expect(global.renderAll).toHaveBeenCalled();
+    });
+});
+
+describe('Storage Backend (IndexedDB)', () => {
+    const item = (id, title) => ({ id: id, title: title || 'Item ' + id, notes: '' });
+
+    // Minimal stand-in for an IDBDatabase: records the operations of each transaction.
+    const createFakeDb = () => {
+        const db = { transactions: [] };
+        db.transaction = jest.fn(() => {
+            const tx = { ops: [], oncomplete: null, onabort: null, error: null };
+            tx.objectStore = (name) => ({
+                put: (record) => tx.ops.push(['put', name, record.key]),
+                delete: (key) => tx.ops.push(['delete', name, key])
+            });
+            db.transactions.push(tx);
+            return tx;
+        });
+        return db;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="persistence-banner" class="hidden"></div>';
+        global.storageDb = createFakeDb();
+        global.storageCache = {};
+        global.storageRecords = {};
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.storageDb = null;
+        global.storageCache = {};
+        global.storageRecords = {};
+    });
+
+    const state = (items) => ({ schemaVersion: SAVE_FILE_SCHEMA_VERSION, timestamp: 1, settings: { scale: 'safe' }, backlogItems: items });
+    const lastOps = () => global.storageDb.transactions[global.storageDb.transactions.length - 1].ops;
+
+    test('diffStoredItems only writes new and changed items and lists removed ones', () => {
+        const previous = { 1: JSON.stringify(item(1)), 2: JSON.stringify(item(2)), 3: JSON.stringify(item(3)) };
+        const result = diffStoredItems(previous, [item(2, 'Changed'), item(1), item(4)]);
+
+        expect(result.itemIds).toEqual([2, 1, 4]);
+        expect(result.put.map(p => p.id)).toEqual([2, 4]);
+        expect(result.remove).toEqual(['3']);
+        expect(diffStoredItems(previous, [item(1)], true).put).toHaveLength(1);
+    });
+
+    test('writeStoredState writes incrementally and keeps reads synchronous', async () => {
+        const first = writeStoredState('ws', state([item(1), item(2)]));
+        global.storageDb.transactions[0].oncomplete();
+        await expect(first).resolves.toBe(true);
+
+        writeStoredState('ws', state([item(2, 'Renamed'), item(3)]));
+
+        expect(lastOps()).toEqual([
+            ['put', 'items', 'ws|2'],
+            ['put', 'items', 'ws|3'],
+            ['delete', 'items', 'ws|1'],
+            ['put', 'states', 'ws']
+        ]);
+        expect(readStoredState('ws').backlogItems.map(p => p.title)).toEqual(['Renamed', 'Item 3']);
+        expect(readStoredState('missing')).toBeNull();
+    });
+
+    test('a failed transaction shows the banner and forces a full rewrite', async () => {
+        writeStoredState('ws', state([item(1), item(2)])).catch(() => {});
+        const failed = writeStoredState('ws', state([item(1), item(2, 'Big')]));
+        const tx = global.storageDb.transactions[1];
+        tx.error = new Error('QuotaExceededError');
+        tx.onabort();
+
+        await expect(failed).resolves.toBe(false);
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(false);
+
+        writeStoredState('ws', state([item(1), item(2, 'Big')]));
+        expect(lastOps().filter(op => op[0] === 'put' && op[1] === 'items')).toHaveLength(2);
+        global.storageDb.transactions[2].oncomplete();
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(true);
+    });
+
+    test('a write based on a failed one keeps the banner until a full rewrite succeeds', async () => {
+        writeStoredState('ws', state([item(1)]));
+        const second = writeStoredState('ws', state([item(1), item(2)]));
+        const third = writeStoredState('ws', state([item(1), item(2), item(3)]));
+        const [, tx2, tx3] = global.storageDb.transactions;
+
+        tx2.error = new Error('QuotaExceededError');
+        tx2.onabort();
+        tx3.oncomplete();
+
+        await expect(second).resolves.toBe(false);
+        await expect(third).resolves.toBe(false);
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(false);
+
+        writeStoredState('ws', state([item(1), item(2), item(3)]));
+        expect(lastOps().filter(op => op[0] === 'put' && op[1] === 'items')).toHaveLength(3);
+        global.storageDb.transactions[3].oncomplete();
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(true);
+    });
+
+    test('the undo history and the snapshots are stored in IndexedDB and feed the banner', async () => {
+        global.undoStack = ['a'];
+        global.redoStack = [];
+
+        saveUndoHistory();
+        expect(lastOps()).toEqual([['put', 'records', 'sizeRight_autosave_v1_history']]);
+        expect(readStoredRecord('sizeRight_autosave_v1_history')).toEqual({ undo: ['a'], redo: [] });
+        expect(window.localStorage.getItem('sizeRight_autosave_v1_history')).toBeNull();
+
+        const snapshots = [{ id: 's1', name: 'Kickoff', timestamp: 1, data: state([]) }];
+        expect(saveSnapshots(snapshots)).toBe(true);
+        expect(loadSnapshots()).toEqual(snapshots);
+
+        const historyTx = global.storageDb.transactions[0];
+        historyTx.error = new Error('QuotaExceededError');
+        historyTx.onabort();
+        global.storageDb.transactions[1].oncomplete();
+        const stateWrite = writeStoredState('sizeRight_autosave_v1', state([item(1)]));
+        global.storageDb.transactions[2].oncomplete();
+        await stateWrite;
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(false);
+
+        saveUndoHistory();
+        global.storageDb.transactions[3].oncomplete();
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(true);
+
+        delete global.undoStack;
+        delete global.redoStack;
+    });
+
+    test('removeStoredState deletes the state, its items and any localStorage copy', () => {
+        writeStoredState('ws', state([item(1)]));
+        window.localStorage.setItem('ws', '{}');
+
+        removeStoredState('ws');
+
+        expect(lastOps()).toEqual([['delete', 'items', 'ws|1'], ['delete', 'states', 'ws']]);
+        expect(readStoredState('ws')).toBeNull();
+        expect(window.localStorage.getItem('ws')).toBeNull();
+    });
+
+    test('migrateLocalStorageStates moves workspaces and keeps the newer state', async () => {
+        window.localStorage.setItem('sizeRight_workspaces_v1', JSON.stringify({ activeId: 'a', workspaces: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }] }));
+        window.localStorage.setItem('sizeRight_workspace_a', JSON.stringify(Object.assign(state([item(1, 'From localStorage')]), { timestamp: 5 })));
+        window.localStorage.setItem('sizeRight_workspace_b', JSON.stringify(Object.assign(state([item(2, 'Outdated')]), { timestamp: 5 })));
+        global.storageCache['sizeRight_workspace_b'] = { state: { timestamp: 9, settings: {}, itemIds: [3] }, items: { 3: JSON.stringify(item(3, 'Newer')) } };
+
+        const migration = migrateLocalStorageStates();
+        global.storageDb.transactions.forEach(tx => tx.oncomplete());
+        await migration;
+
+        expect(readStoredState('sizeRight_workspace_a').backlogItems[0].title).toBe('From localStorage');
+        expect(readStoredState('sizeRight_workspace_b').backlogItems[0].title).toBe('Newer');
+        expect(window.localStorage.getItem('sizeRight_workspace_a')).toBeNull();
+        expect(window.localStorage.getItem('sizeRight_workspace_b')).toBeNull();
+    });
+
+    test('migrateLocalStorageStates moves the undo history and the snapshots', async () => {
+        window.localStorage.setItem('sizeRight_workspaces_v1', JSON.stringify({ activeId: 'a', workspaces: [{ id: 'a', name: 'A' }] }));
+        window.localStorage.setItem('sizeRight_workspace_a_history', JSON.stringify({ undo: ['x'], redo: [] }));
+        window.localStorage.setItem('sizeRight_workspace_a_snapshots', JSON.stringify([{ id: 's1' }]));
+
+        const migration = migrateLocalStorageStates();
+        global.storageDb.transactions.forEach(tx => tx.oncomplete());
+        await migration;
+
+        expect(readStoredRecord('sizeRight_workspace_a_history')).toEqual({ undo: ['x'], redo: [] });
+        expect(readStoredRecord('sizeRight_workspace_a_snapshots')).toEqual([{ id: 's1' }]);
+        expect(window.localStorage.getItem('sizeRight_workspace_a_history')).toBeNull();
+        expect(window.localStorage.getItem('sizeRight_workspace_a_snapshots')).toBeNull();
+    });
+
+    test('migrateLocalStorageStates completes a workspace migration that failed in localStorage', async () => {
+        window.localStorage.setItem('sizeRight_autosave_v1', JSON.stringify(state([item(1, 'Old')])));
+
+        const migration = migrateLocalStorageStates();
+        global.storageDb.transactions.forEach(tx => tx.oncomplete());
+        await migration;
+
+        expect(readStoredState('sizeRight_workspace_default').backlogItems[0].title).toBe('Old');
+        expect(window.localStorage.getItem('sizeRight_autosave_v1')).toBeNull();
+        expect(loadWorkspaceIndex().activeId).toBe('default');
+        expect(global.activeWorkspaceId).toBe('default');
+        global.activeWorkspaceId = null;
+    });
+
+    test('initStorageBackend falls back to localStorage without IndexedDB', async () => {
+        global.storageDb = null;
+        await initStorageBackend();
+
+        expect(global.storageDb).toBeNull();
+        expect(isIndexedDbStorageActive()).toBe(false);
+    });
+
+    test('saveToLocalStorage shows the banner when localStorage is full', () => {
+        global.storageDb = null;
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('QuotaExceededError'); });
+
+        saveToLocalStorage();
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(false);
+
+        Storage.prototype.setItem.mockRestore();
+        saveToLocalStorage();
+        expect(document.getElementById('persistence-banner').classList.contains('hidden')).toBe(true);
+    });
+});
+
+describe('Share Link (Read-Only Viewer)', () => {
+    const { TextEncoder, TextDecoder } = require('util');
+    const item = (id, overrides) => Object.assign({ id: id, title: 'Item ' + id, complexity: 1, effort: 2, doubt: 3, jobSize: 6, cod_bv: 1, cod_tc: 1, cod_rroe: 1, cod: 3, tshirtSize: 'M', notes: '<p>secret</p>' }, overrides);
+
+    beforeEach(() => {
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+        global.isReadOnlyView = false;
+        global.storageDb = null;
+        global.ensureLastItemExists = jest.fn((items) => items);
+        global.destroySortable = jest.fn();
+        Object.defineProperty(window, 'location', {
+            writable: true,
+            value: { href: 'https://example.org/sizeright.html#share=abc', hash: '#share=abc', reload: jest.fn() }
+        });
+    });
+
+    afterEach(() => {
+        global.isReadOnlyView = false;
+        document.body.classList.remove('read-only-view');
+    });
+
+    test('buildSharePayload keeps values, references and the custom order but drops notes', () => {
+        global.pbis = [item(5, { referenceType: 'min', isReference: true }), item(9), { id: -1, isLastItem: true }];
+        global.initialCustomOrderSet = true;
+        global.lockedPbiOrder = [9, 5];
+
+        const payload = buildSharePayload();
+
+        expect(payload.i).toEqual([
+            ['Item 5', 1, 2, 3, 1, 1, 1, 'M', 'min'],
+            ['Item 9', 1, 2, 3, 1, 1, 1, 'M', null]
+        ]);
+        expect(payload.k).toEqual([1, 0]);
+        expect(JSON.stringify(payload)).not.toContain('secret');
+    });
+
+    test('expandSharePayload rebuilds items with recalculated sums and the custom order', () => {
+        const state = expandSharePayload({
+            v: 1, s: 'safe', z: ['S', 'M'], o: ['custom', 'asc'],
+            i: [['A', 1, 2, 3, 0, 1, 1, 'M', 'max'], ['B', 0, 1, 1, 2, 2, 2, 'S', null]],
+            k: [1, 0]
+        });
+
+        expect(state.settings.language).toBe('en');
+        expect(state.settings.sortCriteria).toBe('custom');
+        expect(state.backlogItems[0]).toEqual(expect.objectContaining({ id: 1, jobSize: 6, cod: null, referenceType: 'max', isReference: true, customSortIndex: 1 }));
+        expect(state.backlogItems[1]).toEqual(expect.objectContaining({ id: 2, jobSize: null, cod: 6, tshirtSize: null, customSortIndex: 0 }));
+        expect(() => expandSharePayload({ v: 2, i: [] })).toThrow();
+    });
+
+    test('encodeSharePayload and decodeSharePayload round trip without compression support', async () => {
+        const payload = { v: 1, s: 'safe', i: [['Ärger & Co: äöü', 1, 1, 1, 1, 1, 1, 'S', null]] };
+
+        const encoded = await encodeSharePayload(payload);
+
+        expect(encoded.charAt(0)).toBe('j');
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        await expect(decodeSharePayload(encoded)).resolves.toEqual(payload);
+        await expect(decodeSharePayload('x' + encoded.substring(1))).rejects.toThrow();
+    });
+
+    test('getSharePayloadFromHash only accepts share fragments', () => {
+        expect(getSharePayloadFromHash('#share=jabc')).toBe('jabc');
+        expect(getSharePayloadFromHash('#share=')).toBeNull();
+        expect(getSharePayloadFromHash('#other=1')).toBeNull();
+        expect(getSharePayloadFromHash('')).toBeNull();
+    });
+
+    test('openSharedView loads the shared backlog without writing it to the storage', async () => {
+        global.pbis = [item(1)];
+        global.isReadOnlyView = true;
+        const setItemSpy = jest.spyOn(Storage.prototype, 'setItem');
+        const encoded = await encodeSharePayload({ v: 1, s: 'safe', z: ['S', 'M', 'L'], o: ['jobSize', 'asc'], i: [['Shared', 1, 1, 1, 1, 1, 1, 'S', null]] });
+
+        const applied = await openSharedView(encoded);
+        saveToLocalStorage();
+
+        expect(applied).toBe(true);
+        expect(global.pbis.map(p => p.title)).toEqual(['Shared']);
+        expect(global.isReadOnlyView).toBe(true);
+        expect(setItemSpy).not.toHaveBeenCalled();
+    });
+
+    test('openSharedView leaves the read-only mode if the link is damaged', async () => {
+        global.isReadOnlyView = true;
+
+        const applied = await openSharedView('jnot-json');
+
+        expect(applied).toBe(false);
+        expect(global.isReadOnlyView).toBe(false);
+        expect(global.alert).toHaveBeenCalled();
+    });
+
+    test('applyReadOnlyMode disables the editing controls and shows the banner', () => {
+        document.body.innerHTML =
+            '<div id="edit-modal"><input id="pbi-title"><input type="range" id="pbi-effort"><div id="pbi-notes" contenteditable="true"></div></div>' +
+            '<div id="read-only-banner" class="hidden"><a id="read-only-exit-link" href="#"></a></div>';
+
+        applyReadOnlyMode();
+
+        expect(document.body.classList.contains('read-only-view')).toBe(true);
+        expect(document.getElementById('pbi-title').disabled).toBe(true);
+        expect(document.getElementById('pbi-effort').disabled).toBe(true);
+        expect(document.getElementById('pbi-notes').getAttribute('contenteditable')).toBe('false');
+        expect(global.destroySortable).toHaveBeenCalled();
+        expect(document.getElementById('read-only-banner').classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('read-only-exit-link').getAttribute('href')).toBe('https://example.org/sizeright.html');
+    });
+});
+
+describe('Encrypted Save Files', () => {
+    const { TextEncoder, TextDecoder } = require('util');
+    const originalCrypto = global.crypto;
+
+    beforeAll(() => {
+        Object.defineProperty(global, 'crypto', { value: require('crypto').webcrypto, configurable: true, writable: true });
+    });
+
+    afterAll(() => {
+        Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+    });
+
+    beforeEach(() => {
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+        global.openPassphraseModal = jest.fn();
+        global.closePassphraseModal = jest.fn();
+    });
+
+    test('encryptSaveFile hides the content and decryptSaveFile restores it', async () => {
+        const json = JSON.stringify({ backlogItems: [{ id: 1, title: 'Project Nightingale' }] });
+
+        const envelope = await encryptSaveFile(json, 'correct horse');
+
+        expect(isEncryptedSaveFile(envelope)).toBe(true);
+        expect(isEncryptedSaveFile({ backlogItems: [] })).toBe(false);
+        expect(envelope.kdf).toEqual(expect.objectContaining({ name: 'PBKDF2', hash: 'SHA-256' }));
+        expect(JSON.stringify(envelope)).not.toContain('Nightingale');
+        await expect(decryptSaveFile(envelope, 'correct horse')).resolves.toBe(json);
+    });
+
+    test('decryptSaveFile marks a wrong passphrase and rejects unknown formats', async () => {
+        const envelope = await encryptSaveFile('{}', 'correct horse');
+
+        await expect(decryptSaveFile(envelope, 'wrong horse')).rejects.toMatchObject({ isWrongPassphrase: true });
+        await expect(decryptSaveFile(Object.assign({}, envelope, { version: 2 }), 'correct horse')).rejects.not.toMatchObject({ isWrongPassphrase: true });
+    });
+
+    test('decryptSaveFile reports an invalid iteration count as a damaged file', async () => {
+        const envelope = await encryptSaveFile('{}', 'correct horse');
+        const withIterations = iterations => Object.assign({}, envelope, { kdf: Object.assign({}, envelope.kdf, { iterations: iterations }) });
+
+        for (const iterations of [undefined, 0, '600000', 1.5, 99999, 1e9]) {
+            const error = await decryptSaveFile(withIterations(iterations), 'correct horse').catch(e => e);
+            expect(error.message).toBe('The encrypted file is damaged or has an unknown format.');
+            expect(error.isWrongPassphrase).toBeUndefined();
+        }
+    });
+
+    test('exportPbisAsJson writes only the encrypted envelope if a passphrase is given', async () => {
+        global.pbis = [{ id: 1, title: 'Project Nightingale' }];
+
+        await exportPbisAsJson('correct horse');
+
+        const written = mockWritable.write.mock.calls[0][0].content[0];
+        expect(written).not.toContain('Nightingale');
+        expect(isEncryptedSaveFile(JSON.parse(written))).toBe(true);
+    });
+
+    test('handleImport asks for the passphrase and imports the decrypted file', async () => {
+        const envelope = await encryptSaveFile(JSON.stringify({ settings: {}, backlogItems: [{ id: 7, title: 'Secret' }] }), 'correct horse');
+
+        handleImport({ target: { files: [{ name: 'secret.json' }] } });
+        mockFileReader.onload({ target: { result: JSON.stringify(envelope) } });
+
+        expect(global.renderAll).not.toHaveBeenCalled();
+        const request = global.openPassphraseModal.mock.calls[0][0];
+        expect(request).toEqual(expect.objectContaining({ mode: 'import', fileName: 'secret.json' }));
+
+        await request.onConfirm('correct horse');
+
+        expect(global.closePassphraseModal).toHaveBeenCalled();
+        expect(global.pbis.some(p => p.title === 'Secret')).toBe(true);
+    });
+});
+
+describe('Planning Poker (Voting)', () => {
+    const votingWith = (votes) => {
+        const voting = createVoting(Object.keys(votes));
+        Object.keys(votes).forEach(name => setVotingValue(voting, name, 'complexity', votes[name]));
+        return voting;
+    };
+
+    beforeEach(() => {
+        global.SCALES = { safe: { values: [0, 1, 2, 3, 5, 8, 13, 20] } };
+        global.currentScale = 'safe';
+    });
+
+    test('getVoteStatistics computes spread, median, consensus and outliers', () => {
+        const stats = getVoteStatistics(votingWith({ Ana: 3, Ben: 5, Cleo: 5, Dan: 20 }), 'complexity');
+
+        expect(stats).toMatchObject({ count: 4, min: 3, max: 20, spread: 4, median: 5, consensus: 5 });
+        expect(stats.outliers).toEqual(['Dan']);
+    });
+
+    test('an even number of votes snaps the median to the larger scale value', () => {
+        const stats = getVoteStatistics(votingWith({ Ana: 3, Ben: 8 }), 'complexity');
+
+        expect(stats.median).toBe(5.5);
+        expect(stats.consensus).toBe(5);
+        expect(getVoteStatistics(votingWith({ Ana: 2, Ben: 3 }), 'complexity').consensus).toBe(3);
+        expect(getVoteStatistics(votingWith({ Ana: 2 }), 'effort')).toBeNull();
+    });
+
+    test('participants are unique and a new round keeps them but clears the votes', () => {
+        const voting = votingWith({ Ana: 3, Ben: 5 });
+        voting.revealed = true;
+
+        expect(addVotingParticipant(voting, ' ana ')).toBe(false);
+        expect(addVotingParticipant(voting, '')).toBe(false);
+        expect(addVotingParticipant(voting, 'Cleo')).toBe(true);
+        removeVotingParticipant(voting, 'Ben');
+        startNewVotingRound(voting);
+
+        expect(voting.participants.map(p => p.name)).toEqual(['Ana', 'Cleo']);
+        expect(voting.participants[0].values).toEqual({});
+        expect(voting.revealed).toBe(false);
+    });
+
+    test('getKnownVotingParticipants collects the names used in the backlog', () => {
+        global.pbis = [{ id: 1, voting: votingWith({ Ana: 3, Ben: 5 }) }, { id: 2, voting: createVoting(['ben', 'Cleo']) }, { id: 3 }];
+
+        expect(getKnownVotingParticipants()).toEqual(['Ana', 'Ben', 'Cleo']);
+    });
+
+    test('applyEstimateValue updates the value, the value store of the active scale and the sums', () => {
+        const pbi = { id: 1, complexity: 0, effort: 2, doubt: 1, cod_bv: 1, cod_tc: 1, cod_rroe: 1, cod: 3 };
+
+        applyEstimateValue(pbi, 'complexity', 5);
+        applyEstimateValue(pbi, 'cod_tc', 8);
+
+        expect(pbi.jobSize).toBe(8);
+        expect(pbi.cod).toBe(10);
+        expect(pbi.scaleValues.safe).toMatchObject({ complexity: 5, cod_tc: 8 });
+    });
+
+    test('the votes are kept in the save file and pass the schema check', () => {
+        const data = migrateSaveFile({
+            settings: { scale: 'safe' },
+            backlogItems: [{ id: 1, title: 'A', voting: votingWith({ Ana: 3 }) }]
+        });
+
+        expect(validateSaveFile(data)).toEqual([]);
+        expect(validateSaveFile(migrateSaveFile({
+            settings: { scale: 'safe' },
+            backlogItems: [{ id: 1, title: 'A', voting: { revealed: false, participants: [{ values: {} }] } }]
+        }))).toHaveLength(1);
+    });
+});
+
+describe('Presenter View (Multi-Window Sync)', () => {
+    // Delivers messages synchronously to all other channels with the same name, like BroadcastChannel does between windows.
+    class FakeBroadcastChannel {
+        constructor(name) {
+            this.name = name;
+            FakeBroadcastChannel.instances.push(this);
+        }
+        postMessage(data) {
+            FakeBroadcastChannel.instances
+                .filter(channel => channel !== this && channel.name === this.name && !channel.closed && channel.onmessage)
+                .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+        }
+        close() { this.closed = true; }
+    }
+    FakeBroadcastChannel.instances = [];
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="presenter-status" class="hidden"></div>
+            <div id="view-tabs">
+                <button id="view-tab-job-size-viz" class="view-tab-btn"></button>
+                <button id="view-tab-cod-viz" class="view-tab-btn active"></button>
+            </div>
+            <div id="edit-modal" style="display: none;"></div>`;
+        global.ensureLastItemExists = jest.fn((items) => items.concat([{ id: -1, isLastItem: true }]));
+        global.showModal = jest.fn();
+        global.toggleHighlight = jest.fn();
+        global.currentHighlightedColumn = null;
+        global.isPresenterView = false;
+    });
+
+    afterEach(() => {
+        delete global.BroadcastChannel;
+        global.isPresenterView = false;
+    });
+
+    test('isPresenterHash only accepts #presenter', () => {
+        expect(isPresenterHash('#presenter')).toBe(true);
+        expect(isPresenterHash('#share=abc')).toBe(false);
+        expect(isPresenterHash('')).toBe(false);
+    });
+
+    test('without BroadcastChannel, messages are passed via storage events', () => {
+        const onMessage = jest.fn();
+        const channel = createPresenterChannel(onMessage);
+
+        channel.post({ type: 'hello' });
+        expect(window.localStorage.getItem('sizeRight_presenterMessage')).toBeNull();
+
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'sizeRight_presenterMessage',
+            newValue: JSON.stringify({ message: { type: 'bye' }, nonce: '1' })
+        }));
+        channel.close();
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'sizeRight_presenterMessage',
+            newValue: JSON.stringify({ message: { type: 'bye' }, nonce: '2' })
+        }));
+
+        expect(onMessage).toHaveBeenCalledTimes(1);
+        expect(onMessage).toHaveBeenCalledWith({ type: 'bye' });
+    });
+
+    test('the facilitator window sends state, highlights and the open item once a presenter has connected', () => {
+        global.BroadcastChannel = FakeBroadcastChannel;
+        global.pbis = [{ id: 1, title: 'Login', complexity: 3 }, { id: -1, isLastItem: true }];
+        global.currentHighlightedColumn = 'effort';
+        const received = [];
+        initPresenterSync();
+        const presenter = new FakeBroadcastChannel('sizeRight_presenter');
+        presenter.onmessage = (event) => received.push(event.data);
+
+        notifyPresenters({ type: 'highlight', pbiId: 1, on: true });
+        expect(received).toHaveLength(0);
+
+        presenter.postMessage({ type: 'hello' });
+        expect(received[0]).toMatchObject({ type: 'state', viewTabId: 'view-tab-cod-viz', highlightedColumn: 'effort', openItemId: null });
+        expect(received[0].state.backlogItems.map(p => p.title)).toEqual(['Login']);
+
+        notifyPresenters({ type: 'highlight', pbiId: 1, on: true });
+        global.currentEditingId = 1;
+        document.getElementById('edit-modal').style.display = 'flex';
+        syncPresenterOpenItem();
+        syncPresenterOpenItem();
+        schedulePresenterBroadcast();
+        schedulePresenterBroadcast();
+        jest.advanceTimersByTime(100);
+
+        expect(received.slice(1).map(m => m.type)).toEqual(['highlight', 'open-item', 'state']);
+        expect(received[2].pbiId).toBe(1);
+        expect(received[3].openItemId).toBe(1);
+    });
+
+    test('the presenter view applies the state without saving it', () => {
+        global.isPresenterView = true;
+        global.isReadOnlyView = true;
+        const setItemSpy = jest.spyOn(Storage.prototype, 'setItem');
+        document.getElementById('presenter-status').classList.remove('hidden');
+
+        handlePresenterMessage({
+            type: 'state',
+            state: { settings: { scale: 'safe', sortCriteria: 'wsjf' }, backlogItems: [{ id: 7, title: 'Mirrored' }] },
+            viewTabId: 'view-tab-cod-viz',
+            highlightedColumn: 'cod_bv',
+            openItemId: 7
+        });
+
+        expect(global.pbis.map(p => p.id)).toEqual([7, -1]);
+        expect(global.currentSortCriteria).toBe('wsjf');
+        expect(global.currentHighlightedColumn).toBe('cod_bv');
+        expect(global.renderAll).toHaveBeenCalled();
+        expect(global.showModal).toHaveBeenCalledWith(global.pbis[0]);
+        expect(document.getElementById('presenter-status').classList.contains('hidden')).toBe(true);
+        expect(setItemSpy).not.toHaveBeenCalled();
+
+        handlePresenterMessage({ type: 'highlight', pbiId: 7, on: true });
+        expect(global.toggleHighlight).toHaveBeenCalledWith(7, true);
+
+        handlePresenterMessage({ type: 'bye' });
+        expect(document.getElementById('presenter-status').classList.contains('hidden')).toBe(false);
+
+        global.isReadOnlyView = false;
+        setItemSpy.mockRestore();
+    });
+});
+
+describe('Estimation Scales (Custom Scales)', () => {
+    const powersOfTwo = { id: 'custom-powers-of-two', name: 'Powers of two', values: [0, 1, 2, 4, 8, 16], labels: ['', 'XS', 'S', 'M', 'L', 'XL'] };
+
+    test('parseCustomScale sorts the values, adds the 0 and aligns the labels', () => {
+        const scale = parseCustomScale(' Powers of two ', '16; 8 4,2 1 4', 'XS, S, M, L, XL', ['custom-powers-of-two']);
+
+        expect(scale).toEqual({
+            id: 'custom-powers-of-two-2',
+            name: 'Powers of two',
+            values: [0, 1, 2, 4, 8, 16],
+            labels: ['', 'XS', 'S', 'M', 'L', 'XL']
+        });
+        expect(parseCustomScale('Linear', '0,1,2,3,4,5,6,7,8,9,10').labels).toEqual([]);
+    });
+
+    test('parseCustomScale rejects invalid input with localized messages', () => {
+        global.config.uiStrings.customScaleErrorValues = 'Values 1-{max}';
+        global.config.uiStrings.customScaleErrorLabels = 'Labels {count}';
+
+        expect(() => parseCustomScale('', '1,2')).toThrow('Please enter a name for the scale.');
+        expect(() => parseCustomScale('A', '1,2.5')).toThrow('Values 1-100');
+        expect(() => parseCustomScale('A', '5')).toThrow('Values 1-100');
+        expect(() => parseCustomScale('A', '1,2,3', 'S, M')).toThrow('Labels 3');
+    });
+
+    test('applyCustomScales replaces the custom scales but keeps the built-in ones', () => {
+        applyCustomScales([powersOfTwo, { id: 'safe', name: 'Hijack', values: [0, 1, 99] }]);
+
+        expect(global.SCALES.safe.values).toEqual([0, 1, 2, 3, 5, 8]);
+        expect(getCustomScales()).toEqual([powersOfTwo]);
+        expect(getScaleValueLabel('custom-powers-of-two', 8)).toBe('L');
+        expect(getScaleValueLabel('safe', 8)).toBe('');
+
+        applyCustomScales([]);
+        expect(global.SCALES['custom-powers-of-two']).toBeUndefined();
+    });
+
+    test('normalizeCustomScale repairs the order of imported values and rejects scales that break the editor rules', () => {
+        expect(normalizeCustomScale({ id: 'custom-shuffled', name: ' Shuffled ', values: [8, 2, 4, 2], labels: ['L', 'S', 'M', 'X'] })).toEqual({
+            id: 'custom-shuffled', name: 'Shuffled', values: [0, 2, 4, 8], labels: ['', 'S', 'M', 'L']
+        });
+        expect(normalizeCustomScale({ id: 'custom-a', values: [0, 1, 2], labels: ['x'] })).toEqual({ id: 'custom-a', name: 'custom-a', values: [0, 1, 2], labels: [] });
+
+        expect(normalizeCustomScale({ id: 'custom-"]', name: 'Quote', values: [0, 1, 2] })).toBeNull();
+        expect(normalizeCustomScale({ id: 'safe', name: 'Hijack', values: [0, 1, 2] })).toBeNull();
+        expect(normalizeCustomScale({ id: 'custom-big', name: 'Big', values: [0, 1, 1000] })).toBeNull();
+        expect(normalizeCustomScale({ id: 'custom-odd', name: 'Odd', values: [0, 1, 2.5] })).toBeNull();
+        expect(normalizeCustomScale({ id: 'custom-short', name: 'Short', values: [0, 5, 5] })).toBeNull();
+    });
+
+    test('applyCustomScales only applies imported scales that pass the editor rules', () => {
+        applyCustomScales([{ id: 'custom-shuffled', name: 'Shuffled', values: [8, 2, 4] }, { id: 'custom-"]', name: 'Quote', values: [0, 1, 2] }]);
+
+        expect(getCustomScales()).toEqual([{ id: 'custom-shuffled', name: 'Shuffled', values: [0, 2, 4, 8], labels: [] }]);
+        expect(global.SCALES['custom-"]']).toBeUndefined();
+
+        applyCustomScales([]);
+    });
+
+    test('validateSaveFile reports custom scales with an invalid id or values out of range', () => {
+        const data = migrateSaveFile({
+            settings: { scale: 'safe', customScales: [{ id: 'custom-"]', name: 'Quote', values: [0, 1, 200] }] },
+            backlogItems: []
+        });
+
+        expect(validateSaveFile(data).map(error => error.path.join('.') + ' ' + error.keyword)).toEqual([
+            'settings.customScales.0.id pattern', 'settings.customScales.0.values.2 maximum'
+        ]);
+    });
+
+    test('convertPbiToScale snaps up and restores the remembered values of the target scale', () => {
+        const pbi = { id: 1, complexity: 4, effort: 7, doubt: 1, cod_bv: 0, cod_tc: 0, cod_rroe: 0 };
+
+        convertPbiToScale(pbi, 'metric', 'safe');
+        expect(pbi).toMatchObject({ complexity: 5, effort: 8, doubt: 1, jobSize: 14, cod: null });
+
+        convertPbiToScale(pbi, 'safe', 'metric');
+        expect(pbi).toMatchObject({ complexity: 4, effort: 7, jobSize: 12 });
+
+        convertPbiToScale(pbi, 'metric', 'safe');
+        pbi.complexity = 2;
+        convertPbiToScale(pbi, 'safe', 'metric');
+        expect(pbi.complexity).toBe(2);
+        expect(pbi.effort).toBe(7);
+    });
+
+    test('the custom scales are saved with the settings and selected on load', () => {
+        applyCustomScales([powersOfTwo]);
+        global.currentScale = 'custom-powers-of-two';
+        global.pbis = [{ id: 1, title: 'A', complexity: 16 }];
+
+        const state = buildSaveState();
+        expect(state.settings.customScales).toEqual([powersOfTwo]);
+
+        applyCustomScales([]);
+        global.currentScale = 'safe';
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(applySavedState(JSON.parse(JSON.stringify(state)))).toBe(true);
+        expect(global.currentScale).toBe('custom-powers-of-two');
+        expect(global.SCALES['custom-powers-of-two'].values).toEqual(powersOfTwo.values);
+
+        applySavedState({ settings: { scale: 'custom-gone' }, backlogItems: [] });
+        expect(global.currentScale).toBe(global.config.defaultSettings.scale);
+    });
+
+    test('validateSaveFile checks the values against the custom scale of the file', () => {
+        const data = migrateSaveFile({
+            settings: { scale: 'custom-powers-of-two', customScales: [powersOfTwo] },
+            backlogItems: [{ id: 1, title: 'A', complexity: 16, effort: 3 }]
+        });
+
+        expect(validateSaveFile(data).map(error => error.path.join('.'))).toEqual(['backlogItems.0.effort']);
+    });
+
+    test('migrateSaveFile moves the old value buckets into the per-scale store', () => {
+        const data = migrateSaveFile({
+            schemaVersion: 2,
+            settings: { scale: 'safe' },
+            backlogItems: [{ id: 1, title: 'A', complexity: 5, arithmeticValues: { complexity: 4 }, fibonacciValues: { complexity: 5 } }]
+        });
+
+        expect(data.schemaVersion).toBe(3);
+        expect(data.backlogItems[0].scaleValues).toEqual({ metric: { complexity: 4 }, safe: { complexity: 5 } });
+        expect(data.backlogItems[0].arithmeticValues).toBeUndefined();
+        expect(data.backlogItems[0].fibonacciValues).toBeUndefined();
+    });
+
+    test('a share link carries the definition of the active custom scale', () => {
+        applyCustomScales([powersOfTwo]);
+        global.currentScale = 'custom-powers-of-two';
+        global.pbis = [{ id: 1, title: 'A', complexity: 16, effort: 4, doubt: 1 }];
+
+        const payload = buildSharePayload();
+        applyCustomScales([]);
+        const state = expandSharePayload(payload);
+
+        expect(state.settings.customScales).toEqual([powersOfTwo]);
+        expect(validateSaveFile(state)).toEqual([]);
+    });
+
+    test('generateSliderScales shows the labels and updateActiveScaleValue matches by value', () => {
+        applyCustomScales([powersOfTwo]);
+        global.currentScale = 'custom-powers-of-two';
+        document.body.innerHTML = '<input type="range" id="pbi-effort" value="8"><div class="slider-scale" data-slider-id="pbi-effort"></div>';
+
+        generateSliderScales();
+        updateActiveScaleValue(document.getElementById('pbi-effort'));
+
+        const ticks = Array.from(document.querySelectorAll('.slider-scale span'));
+        expect(ticks).toHaveLength(17);
+        expect(ticks.filter(span => !span.classList.contains('empty-scale-step')).map(span => span.textContent))
+            .toEqual(['0', 'XS', 'S', 'M', 'L', 'XL']);
+        expect(document.querySelector('.active-scale-value').title).toBe('8');
+    });
+});
+
+describe('Component Weights (Weighted Job Size & CoD)', () => {
+    const portfolioWeights = { complexity: 1, effort: 1, doubt: 1, cod_bv: 2, cod_tc: 1, cod_rroe: 1 };
+
+    afterEach(() => {
+        delete window.componentWeights;
+    });
+
+    test('normalizeComponentWeights falls back to 1 and caps large weights', () => {
+        expect(normalizeComponentWeights(null)).toEqual({ complexity: 1, effort: 1, doubt: 1, cod_bv: 1, cod_tc: 1, cod_rroe: 1 });
+        expect(normalizeComponentWeights({ complexity: 0, effort: -2, doubt: 'x', cod_bv: 2.5, cod_tc: 50 }))
+            .toEqual({ complexity: 1, effort: 1, doubt: 1, cod_bv: 2.5, cod_tc: 10, cod_rroe: 1 });
+    });
+
+    test('calculateJobSize and calculateCod use the current weights', () => {
+        const values = { complexity: 1, effort: 2, doubt: 3, cod_bv: 5, cod_tc: 3, cod_rroe: 1 };
+        expect(calculateJobSize(values)).toBe(6);
+        expect(calculateCod(values)).toBe(9);
+
+        applyComponentWeights({ complexity: 1.5, effort: 1, doubt: 0.1, cod_bv: 2 });
+        expect(calculateJobSize(values)).toBe(3.8);
+        expect(calculateCod(values)).toBe(14);
+    });
+
+    test('applyComponentWeights recalculates the totals of the passed items', () => {
+        const items = [
+            { id: 1, complexity: 1, effort: 1, doubt: 1, jobSize: 3, cod_bv: 3, cod_tc: 2, cod_rroe: 1, cod: 6 },
+            { id: 2, complexity: 1, effort: 0, doubt: 1, jobSize: null, cod_bv: 0, cod_tc: 2, cod_rroe: 1, cod: null },
+            { id: -1, isLastItem: true, jobSize: null, cod: null }
+        ];
+
+        applyComponentWeights(portfolioWeights, items);
+
+        expect(getComponentWeights()).toEqual(portfolioWeights);
+        expect(items[0]).toMatchObject({ jobSize: 3, cod: 9 });
+        expect(items[1]).toMatchObject({ jobSize: null, cod: null });
+        expect(items[2]).toMatchObject({ jobSize: null, cod: null });
+    });
+
+    test('applyEstimateValue calculates the weighted CoD', () => {
+        applyComponentWeights(portfolioWeights);
+        const pbi = { id: 1, complexity: 1, effort: 1, doubt: 1, cod_bv: 0, cod_tc: 2, cod_rroe: 1, cod: null };
+
+        applyEstimateValue(pbi, 'cod_bv', 3);
+
+        expect(pbi.cod).toBe(9);
+    });
+
+    test('the weights are saved with the settings and restored on load', () => {
+        applyComponentWeights(portfolioWeights);
+        global.pbis = [{ id: 1, title: 'A', complexity: 1, effort: 1, doubt: 1, jobSize: 3, cod_bv: 3, cod_tc: 2, cod_rroe: 1, cod: 9 }];
+
+        const state = buildSaveState();
+        expect(state.settings.componentWeights).toEqual(portfolioWeights);
+        expect(validateSaveFile(state)).toEqual([]);
+
+        applyComponentWeights(null);
+        applySavedState(JSON.parse(JSON.stringify(state)));
+        expect(getComponentWeights()).toEqual(portfolioWeights);
+        expect(global.pbis[0].cod).toBe(9);
+
+        applySavedState({ settings: { scale: 'safe' }, backlogItems: [] });
+        expect(getComponentWeights().cod_bv).toBe(1);
+    });
+
+    test('a share link carries non-default weights and the recipient gets the weighted totals', () => {
+        global.pbis = [{ id: 1, title: 'A', complexity: 1, effort: 2, doubt: 3, cod_bv: 3, cod_tc: 2, cod_rroe: 1 }];
+        expect(buildSharePayload().w).toBeUndefined();
+
+        applyComponentWeights(portfolioWeights);
+        const payload = buildSharePayload();
+        expect(payload.w).toEqual([1, 1, 1, 2, 1, 1]);
+
+        applyComponentWeights(null);
+        const state = expandSharePayload(payload);
+        expect(state.settings.componentWeights).toEqual(portfolioWeights);
+        expect(state.backlogItems[0]).toMatchObject({ jobSize: 6, cod: 9 });
+    });
+});
+
+describe('Prioritization Models (WSJF, RICE, ICE, CD3, MoSCoW)', () => {
+    const prioritizedItem = () => ({
+        id: 1, title: 'A', complexity: 1, effort: 2, doubt: 3, jobSize: 6, cod_bv: 3, cod_tc: 2, cod_rroe: 1, cod: 6,
+        priority: {
+            rice: { reach: 500, impact: 2, confidence: 80, effort: 4 },
+            ice: { impact: 8, confidence: 5, ease: 2 },
+            cd3: { duration: 3 },
+            moscow: { bucket: 'should' }
+        }
+    });
+
+    afterEach(() => {
+        applyPrioritizationModel('wsjf');
+    });
+
+    test('getPriorityScore calculates the score of every model', () => {
+        const pbi = prioritizedItem();
+        expect(getPriorityScore(pbi)).toBe(1);
+        expect(getPriorityScore(pbi, 'rice')).toBe(200);
+        expect(getPriorityScore(pbi, 'ice')).toBe(80);
+        expect(getPriorityScore(pbi, 'cd3')).toBe(2);
+        expect(getPriorityScore(pbi, 'moscow')).toBe(3);
+
+        applyPrioritizationModel('ice');
+        expect(getPriorityScore(pbi)).toBe(80);
+    });
+
+    test('missing inputs give no score and are listed for the tooltip', () => {
+        const pbi = { id: 1, cod_bv: 3, cod_tc: 0, cod_rroe: 1, cod: null, priority: { rice: { reach: 500 }, cd3: { duration: 2 } } };
+
+        expect(getPriorityScore(pbi, 'rice')).toBeNull();
+        expect(getMissingPriorityFields(pbi, 'rice')).toEqual(['Impact', 'Confidence (%)', 'Effort (person-months)']);
+        expect(getPriorityScore(pbi, 'cd3')).toBeNull();
+        expect(getMissingPriorityFields(pbi, 'cd3')).toHaveLength(1);
+        expect(getPriorityScore(pbi, 'moscow')).toBeNull();
+        expect(getPriorityScore({ id: 2, priority: { rice: { reach: 1, impact: 1, confidence: 50, effort: 0 } } }, 'rice')).toBeNull();
+    });
+
+    test('formatPriorityScore shows the MoSCoW bucket and two decimals otherwise', () => {
+        const pbi = prioritizedItem();
+        pbi.priority.cd3.duration = 4;
+
+        expect(formatPriorityScore(pbi, 'moscow')).toBe('Should have');
+        expect(formatPriorityScore(pbi, 'cd3')).toBe('1.50');
+        expect(formatPriorityScore({ id: 2 }, 'ice')).toBeNull();
+
+        global.currentLanguage = 'de';
+        expect(formatPriorityScore(pbi, 'cd3')).toBe('1,50');
+        global.currentLanguage = 'en';
+    });
+
+    test('storePriorityValues drops empty inputs and removes empty entries', () => {
+        const pbi = { id: 1 };
+        storePriorityValues(pbi, 'ice', { impact: 4, confidence: null, ease: '' });
+        expect(pbi.priority).toEqual({ ice: { impact: 4 } });
+
+        storePriorityValues(pbi, 'ice', { impact: null });
+        expect(pbi.priority).toBeUndefined();
+    });
+
+    test('the model is saved with the settings and unknown models fall back to WSJF', () => {
+        applyPrioritizationModel('rice');
+        global.pbis = [prioritizedItem()];
+
+        const state = buildSaveState();
+        expect(state.settings.prioritizationModel).toBe('rice');
+        expect(state.backlogItems[0].priority.rice.reach).toBe(500);
+        expect(validateSaveFile(state)).toEqual([]);
+
+        applyPrioritizationModel('wsjf');
+        applySavedState(JSON.parse(JSON.stringify(state)));
+        expect(getActivePrioritizationModel()).toBe('rice');
+
+        applySavedState({ settings: { scale: 'safe', prioritizationModel: 'kano' }, backlogItems: [] });
+        expect(getActivePrioritizationModel()).toBe('wsjf');
+    });
+
+    test('a share link carries the model and the inputs of the items', () => {
+        global.pbis = [prioritizedItem(), { id: 2, title: 'B' }];
+        expect(buildSharePayload().m).toBeUndefined();
+
+        applyPrioritizationModel('moscow');
+        const payload = buildSharePayload();
+        expect(payload.m).toBe('moscow');
+        expect(payload.i[0][9]).toEqual({ bucket: 'should' });
+        expect(payload.i[1][9]).toBeUndefined();
+
+        const state = expandSharePayload(payload);
+        expect(state.settings.prioritizationModel).toBe('moscow');
+        expect(state.backlogItems[0].priority).toEqual({ moscow: { bucket: 'should' } });
+        expect(state.backlogItems[1].priority).toBeUndefined();
+    });
+});
+
+describe('Urgency Profiles & Optimal Schedule', () => {
+    const item = (id, cod, jobSize, urgency) => Object.assign({ id: id, title: 'Item ' + id, cod: cod, jobSize: jobSize }, urgency ? { urgency: urgency } : {});
+    const ids = (list) => list.map(pbi => pbi.id);
+
+    test('calculateDelayCost follows the CoD curve of each profile', () => {
+        expect(calculateDelayCost(item(1, 10, 1), 4, 8)).toBe(40);
+        expect(calculateDelayCost(item(1, 10, 1, { profile: 'fixedDate', deadline: 3 }), 2, 8)).toBe(0);
+        expect(calculateDelayCost(item(1, 10, 1, { profile: 'fixedDate', deadline: 3 }), 4, 8)).toBe(10);
+        expect(calculateDelayCost(item(1, 10, 1, { profile: 'expedite' }), 4, 8)).toBe(120);
+        expect(calculateDelayCost(item(1, 10, 1, { profile: 'intangible' }), 4, 8)).toBe(10);
+        expect(calculateDelayCost(item(1, 10, 1, { profile: 'unknown' }), 4, 8)).toBe(40);
+    });
+
+    test('storeUrgencyProfile keeps the deadline for fixed dates only and removes the standard profile', () => {
+        const pbi = { id: 1 };
+        storeUrgencyProfile(pbi, 'fixedDate', -5);
+        expect(pbi.urgency).toEqual({ profile: 'fixedDate', deadline: 0 });
+        expect(getUrgencyProfile(pbi)).toEqual({ profile: 'fixedDate', deadline: 0 });
+
+        storeUrgencyProfile(pbi, 'intangible', 5);
+        expect(pbi.urgency).toEqual({ profile: 'intangible', deadline: null });
+
+        storeUrgencyProfile(pbi, 'standard');
+        expect(pbi.urgency).toBeUndefined();
+        expect(getUrgencyProfile(pbi)).toEqual({ profile: 'standard', deadline: null });
+    });
+
+    test('computeOptimalSchedule keeps the WSJF order while every CoD is constant', () => {
+        const list = [item(1, 5, 5), item(2, 20, 2), item(3, 8, 1)];
+        expect(ids(computeOptimalSchedule(list))).toEqual([2, 3, 1]);
+        expect(ids(list)).toEqual([1, 2, 3]);
+    });
+
+    test('computeOptimalSchedule moves items with a later deadline or rising cost behind others', () => {
+        const deadline = [item(1, 30, 1, { profile: 'fixedDate', deadline: 2 }), item(2, 10, 1)];
+        expect(calculateScheduleDelayCost(deadline)).toBe(10);
+        expect(ids(computeOptimalSchedule(deadline))).toEqual([2, 1]);
+
+        const rising = [item(1, 30, 1, { profile: 'intangible' }), item(2, 10, 1)];
+        expect(ids(computeOptimalSchedule(rising))).toEqual([2, 1]);
+        expect(calculateScheduleDelayCost(computeOptimalSchedule(rising))).toBe(7.5);
+    });
+
+    test('the exact search finds the cheapest of all orders and the local search matches it on small backlogs', () => {
+        const list = [
+            item(1, 12, 3), item(2, 9, 1, { profile: 'fixedDate', deadline: 6 }), item(3, 4, 2, { profile: 'expedite' }),
+            item(4, 20, 4, { profile: 'intangible' }), item(5, 7, 2), item(6, 15, 5, { profile: 'fixedDate', deadline: 3 })
+        ];
+        const permutations = (rest) => rest.length <= 1 ? [rest] :
+            rest.reduce((all, pbi, i) => all.concat(permutations(rest.slice(0, i).concat(rest.slice(i + 1))).map(p => [pbi].concat(p))), []);
+        const bruteForceMin = Math.min.apply(null, permutations(list).map(calculateScheduleDelayCost));
+
+        expect(calculateScheduleDelayCost(searchExactSchedule(list))).toBeCloseTo(bruteForceMin, 6);
+        expect(calculateScheduleDelayCost(computeOptimalSchedule(list))).toBeCloseTo(bruteForceMin, 6);
+        expect(calculateScheduleDelayCost(improveScheduleLocally(list))).toBeLessThanOrEqual(calculateScheduleDelayCost(list));
+    });
+
+    test('the local search handles large backlogs within its budget', () => {
+        const profiles = [undefined, { profile: 'fixedDate', deadline: 200 }, { profile: 'expedite' }, { profile: 'intangible' }];
+        const list = Array.from({ length: 300 }, (_, i) => item(i + 1, 1 + (i * 7) % 30, 1 + (i * 13) % 20, profiles[i % 4]));
+
+        const order = improveScheduleLocally(list);
+
+        expect(ids(order).slice().sort((a, b) => a - b)).toEqual(ids(list));
+        expect(calculateScheduleDelayCost(order)).toBeLessThan(calculateScheduleDelayCost(list));
+    });
+
+    test('computeOptimalSchedule reuses its result until an input of the search changes', () => {
+        const list = Array.from({ length: 20 }, (_, i) => item(i + 1, 1 + (i * 7) % 30, 1 + (i * 13) % 20, i % 3 ? undefined : { profile: 'intangible' }));
+        const first = computeOptimalSchedule(list);
+
+        const copies = list.map(pbi => Object.assign({}, pbi, { title: 'Renamed' }));
+        const reused = computeOptimalSchedule(copies);
+        expect(ids(reused)).toEqual(ids(first));
+        expect(reused.every(pbi => copies.indexOf(pbi) !== -1)).toBe(true);
+
+        copies[1].cod = 1000;
+        expect(computeOptimalSchedule(copies)[0]).toBe(copies[1]);
+    });
+
+    test('the urgency profile is validated in save files and travels with a share link', () => {
+        global.pbis = [{ id: 1, title: 'Release', urgency: { profile: 'fixedDate', deadline: 8 } }, { id: 2, title: 'B' }];
+        const state = buildSaveState();
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(validateSaveFile(Object.assign({}, state, { backlogItems: [{ id: 1, title: 'A', urgency: { profile: 'soon' } }] })).length).toBeGreaterThan(0);
+
+        const payload = buildSharePayload();
+        expect(payload.i[0][10]).toEqual(['fixedDate', 8]);
+        expect(payload.i[1][10]).toBeUndefined();
+
+        const expanded = expandSharePayload(JSON.parse(JSON.stringify(payload)));
+        expect(expanded.backlogItems[0].urgency).toEqual({ profile: 'fixedDate', deadline: 8 });
+        expect(expanded.backlogItems[1].urgency).toBeUndefined();
+    });
+});
+
+describe('Capacity Planning (PI / Iteration Boundaries)', () => {
+    const item = (id, jobSize) => ({ id: id, title: 'Item ' + id, jobSize: jobSize });
+
+    afterEach(() => {
+        delete window.capacitySettings;
+    });
+
+    test('normalizeCapacity ignores invalid points and unknown periods', () => {
+        expect(normalizeCapacity(null)).toEqual({ points: 0, period: 'pi' });
+        expect(normalizeCapacity({ points: '-4', period: 'sprint' })).toEqual({ points: 0, period: 'pi' });
+        expect(normalizeCapacity({ points: '20', period: 'iteration' })).toEqual({ points: 20, period: 'iteration' });
+
+        applyCapacity({ points: 12 });
+        expect(getCapacity()).toEqual({ points: 12, period: 'pi' });
+        expect(formatCapacityPeriod(2)).toBe('PI 2');
+        expect(formatCapacityPeriod(1, 'iteration')).toBe('Iteration 1');
+    });
+
+    test('calculateCapacityPlan assigns periods, flags split items and places the cut', () => {
+        const plan = calculateCapacityPlan([item(1, 4), item(2, 6), item(3, 0), item(4, 5), item(5, 3), item(6, 8)], { points: 10 });
+
+        expect(plan.boundaries).toEqual([10, 20]);
+        expect(plan.items[1]).toEqual({ start: 0, end: 4, period: 1, lastPeriod: 1, isSplit: false, fitsNextPeriod: true });
+        expect(plan.items[2].fitsNextPeriod).toBe(true); // Ends exactly on the boundary
+        expect(plan.items[3]).toBeUndefined(); // Without a Job Size the item takes no capacity
+        expect(plan.items[4]).toMatchObject({ period: 2, lastPeriod: 2, isSplit: false, fitsNextPeriod: false });
+        expect(plan.items[6]).toMatchObject({ start: 18, end: 26, period: 2, lastPeriod: 3, isSplit: true });
+        expect(plan.cutBeforeId).toBe(4);
+
+        expect(calculateCapacityPlan([item(1, 4)], { points: 0 })).toEqual({ points: 0, items: {}, boundaries: [], cutBeforeId: null });
+    });
+
+    test('the capacity is saved, validated and travels with a share link', () => {
+        applyCapacity({ points: 15, period: 'iteration' });
+        global.pbis = [{ id: 1, title: 'A' }];
+        const state = buildSaveState();
+        expect(state.settings.capacity).toEqual({ points: 15, period: 'iteration' });
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(validateSaveFile(Object.assign({}, state, { settings: { capacity: { points: -1 } } })).length).toBeGreaterThan(0);
+
+        const payload = buildSharePayload();
+        expect(payload.p).toEqual([15, 'iteration']);
+        expect(expandSharePayload(JSON.parse(JSON.stringify(payload))).settings.capacity).toEqual({ points: 15, period: 'iteration' });
+
+        applyCapacity(null);
+        expect(buildSharePayload().p).toBeUndefined();
+
+        applyImportedData({ settings: { scale: 'safe', capacity: { points: 30, period: 'pi' } }, backlogItems: [] }, 'plan.json');
+        expect(getCapacity()).toEqual({ points: 30, period: 'pi' });
+    });
+});
+
+describe('Dependencies (Depends-On Links)', () => {
+    const item = (id, cod, jobSize, dependsOn) => Object.assign({ id: id, title: 'Item ' + id, cod: cod, jobSize: jobSize }, dependsOn ? { dependsOn: dependsOn } : {});
+    const ids = (list) => list.map(pbi => pbi.id);
+
+    test('storeDependencies drops self-links and duplicates and removes empty lists', () => {
+        const pbi = { id: 1 };
+        storeDependencies(pbi, [2, 1, 2, 3]);
+        expect(pbi.dependsOn).toEqual([2, 3]);
+
+        storeDependencies(pbi, [1]);
+        expect(pbi.dependsOn).toBeUndefined();
+
+        const list = [item(1, 1, 1, [2, 3]), item(2, 1, 1, [3]), item(3, 1, 1)];
+        removeDependencyLinks(list, 3);
+        expect(list[0].dependsOn).toEqual([2]);
+        expect(list[1].dependsOn).toBeUndefined();
+    });
+
+    test('findDependencyCycle returns the items of a cycle and ignores links to missing items', () => {
+        expect(findDependencyCycle([item(1, 1, 1, [2]), item(2, 1, 1, [99])])).toBeNull();
+        expect(ids(findDependencyCycle([item(1, 1, 1, [2]), item(2, 1, 1, [3]), item(3, 1, 1, [1])]))).toEqual([1, 2, 3, 1]);
+    });
+
+    test('orderByDependencies keeps the preferred order where the links allow it', () => {
+        const list = [item(1, 1, 1, [3]), item(2, 1, 1), item(3, 1, 1, [4]), item(4, 1, 1)];
+        expect(ids(orderByDependencies(list))).toEqual([2, 4, 3, 1]);
+        expect(findDependencyViolations(list).map(v => [v.pbi.id, v.dependency.id])).toEqual([[1, 3], [3, 4]]);
+        expect(findDependencyViolations(orderByDependencies(list))).toEqual([]);
+    });
+
+    test('computeOptimalSchedule respects the dependencies and ignores them in case of a cycle', () => {
+        // Item 1 has the highest WSJF but needs item 3 first
+        const list = [item(1, 30, 1, [3]), item(2, 10, 1), item(3, 2, 2)];
+        const schedule = computeOptimalSchedule(list);
+        expect(findDependencyViolations(schedule)).toEqual([]);
+        expect(ids(schedule)).toEqual([3, 1, 2]);
+        expect(ids(improveScheduleLocally([list[2], list[0], list[1]]))).toEqual([3, 1, 2]);
+
+        const cyclic = [item(1, 30, 1, [2]), item(2, 10, 1, [1])];
+        expect(ids(computeOptimalSchedule(cyclic))).toEqual([1, 2]);
+    });
+
+    test('the dependencies are validated in save files and travel with a share link', () => {
+        global.pbis = [{ id: 101, title: 'Base' }, { id: 102, title: 'Feature', dependsOn: [101] }];
+        const state = buildSaveState();
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(validateSaveFile(Object.assign({}, state, { backlogItems: [{ id: 1, title: 'A', dependsOn: 'x' }] })).length).toBeGreaterThan(0);
+
+        const payload = buildSharePayload();
+        expect(payload.i[1][11]).toEqual([0]);
+        expect(payload.i[0][11]).toBeUndefined();
+
+        const expanded = expandSharePayload(JSON.parse(JSON.stringify(payload)));
+        expect(expanded.backlogItems[1].dependsOn).toEqual([1]);
+        expect(expanded.backlogItems[0].dependsOn).toBeUndefined();
+    });
+});
+
+describe('Quadrant Matrix (Value vs. Size)', () => {
+    const item = (id, jobSize, cod) => ({ id: id, title: 'Item ' + id, jobSize: jobSize, cod: cod });
+
+    afterEach(() => {
+        delete window.quadrantThresholds;
+    });
+
+    test('resolveQuadrantThresholds uses the configured values or the medians of the items', () => {
+        expect(normalizeQuadrantThresholds({ jobSize: '8', cod: -3 })).toEqual({ jobSize: 8, cod: 0 });
+
+        const items = [item(1, 1, 5), item(2, 3, 20), item(3, 8, 8), item(4, 13, 1)];
+        expect(resolveQuadrantThresholds(items)).toEqual({ jobSize: 5.5, cod: 6.5, isAutoJobSize: true, isAutoCod: true });
+
+        applyQuadrantThresholds({ jobSize: 10 });
+        expect(getQuadrantThresholds()).toEqual({ jobSize: 10, cod: 0 });
+        expect(resolveQuadrantThresholds(items)).toEqual({ jobSize: 10, cod: 6.5, isAutoJobSize: false, isAutoCod: true });
+        expect(resolveQuadrantThresholds([])).toEqual({ jobSize: 10, cod: 0, isAutoJobSize: false, isAutoCod: true });
+    });
+
+    test('getQuadrant sorts items into the four fields; items on a threshold count as small or low', () => {
+        const thresholds = { jobSize: 5, cod: 10 };
+        expect(getQuadrant(item(1, 2, 20), thresholds)).toBe('quickWins');
+        expect(getQuadrant(item(2, 8, 20), thresholds)).toBe('bigBets');
+        expect(getQuadrant(item(3, 2, 3), thresholds)).toBe('fillIns');
+        expect(getQuadrant(item(4, 8, 3), thresholds)).toBe('moneyPits');
+        expect(getQuadrant(item(5, 5, 10), thresholds)).toBe('fillIns');
+        expect(getQuadrantLabel('moneyPits')).toBe('Money Pits');
+    });
+
+    test('the thresholds are saved, validated and travel with a share link', () => {
+        applyQuadrantThresholds({ jobSize: 13, cod: 20 });
+        global.pbis = [{ id: 1, title: 'A' }];
+        const state = buildSaveState();
+        expect(state.settings.quadrantThresholds).toEqual({ jobSize: 13, cod: 20 });
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(validateSaveFile(Object.assign({}, state, { settings: { quadrantThresholds: { cod: -1 } } })).length).toBeGreaterThan(0);
+
+        const payload = buildSharePayload();
+        expect(payload.q).toEqual([13, 20]);
+        expect(expandSharePayload(JSON.parse(JSON.stringify(payload))).settings.quadrantThresholds).toEqual({ jobSize: 13, cod: 20 });
+
+        applyQuadrantThresholds(null);
+        expect(buildSharePayload().q).toBeUndefined();
+
+        applyImportedData({ settings: { scale: 'safe', quadrantThresholds: { jobSize: 8, cod: 0 } }, backlogItems: [] }, 'matrix.json');
+        expect(getQuadrantThresholds()).toEqual({ jobSize: 8, cod: 0 });
+    });
+});
+
+describe('Estimation Consistency', () => {
+    const item = (id, complexity, effort, doubt, jobSize, tshirtSize, referenceType) => ({
+        id: id, title: 'Item ' + id, complexity: complexity, effort: effort, doubt: doubt, jobSize: jobSize, tshirtSize: tshirtSize,
+        isReference: !!referenceType, referenceType: referenceType || null
+    });
+
+    test('flags items that contradict the min and max references', () => {
+        const minRef = item(1, 3, 3, 2, 8, 'S', 'min');
+        const maxRef = item(2, 8, 8, 5, 21, 'L', 'max');
+        const smallerButLarger = item(3, 2, 3, 1, 13, 'S');
+        const smallerButLargerShirt = item(4, 1, 2, 2, 5, 'M');
+        const consistent = item(5, 5, 5, 3, 13, 'M');
+        const tooLarge = item(6, 8, 13, 8, 29, 'XL');
+        const incomplete = item(7, 1, 0, 1, 0, 'XL');
+
+        const findings = findEstimationInconsistencies([minRef, maxRef, smallerButLarger, smallerButLargerShirt, consistent, tooLarge, incomplete]);
+
+        expect(findings.map((f) => [f.type, f.pbi.id, f.measure])).toEqual([
+            ['belowMinReference', 3, 'jobSize'],
+            ['belowMinReference', 4, 'tshirtSize'],
+            ['aboveMaxReference', 6, 'jobSize']
+        ]);
+        expect(findings[0]).toMatchObject({ other: minRef, value: 13, otherValue: 8 });
+        expect(findings[1]).toMatchObject({ value: 'M', otherValue: 'S' });
+    });
+
+    test('flags pairs with identical dimensions but different T-shirt sizes and formats the findings', () => {
+        const first = item(1, 3, 5, 2, 10, 'M');
+        const second = item(2, 3, 5, 2, 10, 'L');
+        const withoutSize = item(3, 3, 5, 2, 10, null);
+
+        const findings = findEstimationInconsistencies([first, second, withoutSize, { id: -1, isLastItem: true }]);
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({ type: 'tshirtMismatch', pbi: second, other: first, value: 'L', otherValue: 'M' });
+        expect(formatConsistencyFinding(findings[0])).toBe('Same Complexity, Effort and Uncertainty as "Item 1", but T-shirt size L instead of M.');
+
+        global.config.uiStrings.consistencyAboveMaxReference = '> {other}: {measure} {value}/{otherValue}';
+        expect(formatConsistencyFinding({ type: 'aboveMaxReference', other: first, measure: 'jobSize', value: 13, otherValue: 10 })).toBe('> Item 1: JS 13/10');
+        delete global.config.uiStrings.consistencyAboveMaxReference;
+    });
+
+    test('reports nothing without references or consistent estimates', () => {
+        expect(findEstimationInconsistencies([item(1, 1, 1, 1, 3, 'XS'), item(2, 5, 5, 5, 15, 'L')])).toEqual([]);
+        expect(findEstimationInconsistencies(null)).toEqual([]);
+    });
+});
+
+describe('Monte Carlo Simulation', () => {
+    const item = (id, jobSize, doubt, cod, urgency) => ({ id: id, title: 'Item ' + id, jobSize: jobSize, doubt: doubt, cod: cod, urgency: urgency });
+
+    afterEach(() => {
+        delete window.componentWeights;
+    });
+
+    test('the size distribution is spread by the weighted Doubt', () => {
+        expect(getJobSizeDistribution(item(1, 10, 4, 5))).toEqual({ min: 8, mode: 10, max: 18 });
+        window.componentWeights = { doubt: 2 };
+        expect(getJobSizeDistribution(item(1, 10, 4, 5))).toEqual({ min: 6, mode: 10, max: 26 });
+    });
+
+    test('seeded random numbers are reproducible and the samples stay within the distribution', () => {
+        const first = createSeededRandom(42);
+        const second = createSeededRandom(42);
+        const values = [first(), first(), first()];
+        expect([second(), second(), second()]).toEqual(values);
+        values.forEach((value) => { expect(value).toBeGreaterThanOrEqual(0); expect(value).toBeLessThan(1); });
+
+        const distribution = { min: 2, mode: 4, max: 10 };
+        const random = createSeededRandom(7);
+        for (let i = 0; i < 200; i++) {
+            const sample = sampleTriangular(distribution, random);
+            expect(sample).toBeGreaterThanOrEqual(2);
+            expect(sample).toBeLessThanOrEqual(10);
+        }
+        expect(sampleTriangular({ min: 5, mode: 5, max: 5 }, random)).toBe(5);
+
+        expect(getPercentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 0.85)).toBe(9);
+        expect(getPercentile([1, 2, 3, 4], 0.5)).toBe(2);
+        expect(getPercentile([], 0.5)).toBe(0);
+    });
+
+    test('without Doubt the simulation matches the deterministic schedule', () => {
+        const a = item(1, 5, 0, 10);
+        const b = item(2, 3, 0, 4);
+        const result = simulateScheduleOutcomes(Object.assign(buildMonteCarloTask({ optimal: [a, b], current: [b, a] }), { iterations: 20 }));
+
+        expect(result.iterations).toBe(20);
+        expect(result.orders.optimal.completion).toEqual({ 1: { p50: 5, p85: 5 }, 2: { p50: 8, p85: 8 } });
+        expect(result.orders.optimal.cost).toEqual({ p10: 20, p50: 20, p85: 20, p90: 20 });
+        expect(result.orders.optimal.accumulatedCost).toEqual({ 1: { p10: 0, p50: 0, p90: 0 }, 2: { p10: 20, p50: 20, p90: 20 } });
+        expect(result.orders.current.cost.p50).toBe(30);
+    });
+
+    test('Doubt widens the forecast; the worker script runs the same simulation', () => {
+        const task = buildMonteCarloTask({ current: [item(1, 10, 4, 10), item(2, 6, 1, 3, { profile: 'intangible' })] });
+        const result = simulateScheduleOutcomes(task);
+        const completion = result.orders.current.completion;
+
+        expect(completion[1].p50).toBeGreaterThan(8);
+        expect(completion[1].p85).toBeGreaterThan(completion[1].p50);
+        expect(completion[2].p85).toBeGreaterThan(completion[1].p85);
+        expect(result.orders.current.cost.p90).toBeGreaterThan(result.orders.current.cost.p10);
+        expect(result.orders.current.accumulatedCost[2]).toEqual({
+            p10: result.orders.current.cost.p10, p50: result.orders.current.cost.p50, p90: result.orders.current.cost.p90
+        });
+
+        const workerScope = { postMessage: jest.fn() };
+        new Function('self', buildMonteCarloWorkerSource())(workerScope);
+        workerScope.onmessage({ data: { requestId: 3, task: task } });
+        expect(workerScope.postMessage).toHaveBeenCalledWith({ requestId: 3, result: result });
+    });
+
+    test('requestMonteCarloSimulation simulates in the page without workers and reuses an unchanged result', () => {
+        const orders = { current: [item(1, 4, 2, 6), item(2, 3, 1, 2)] };
+        const onResult = jest.fn();
+
+        requestMonteCarloSimulation(orders, onResult);
+        requestMonteCarloSimulation(orders, onResult);
+
+        expect(onResult).toHaveBeenCalledTimes(2);
+        expect(onResult.mock.calls[1][0]).toBe(onResult.mock.calls[0][0]);
+        expect(onResult.mock.calls[0][0].orders.current.completion[2].p50).toBeGreaterThan(6);
+    });
+});
+
+describe('T-Shirt Size Mapping (Auto Sizing)', () => {
+    const item = (id, jobSize, overrides) => Object.assign({ id: id, title: 'Item ' + id, complexity: 1, effort: 1, doubt: 1, jobSize: jobSize, tshirtSize: null }, overrides);
+
+    afterEach(() => {
+        delete window.tshirtMapping;
+        global.isReadOnlyView = false;
+    });
+
+    test('normalizeTshirtMapping fills in the defaults for missing or invalid limits', () => {
+        expect(normalizeTshirtMapping(null)).toEqual({ auto: false, thresholds: { XS: 4, S: 5, M: 9, L: 13, XL: 18 } });
+        expect(normalizeTshirtMapping({ auto: true, thresholds: { S: '6', M: 4, L: -2 } }))
+            .toEqual({ auto: true, thresholds: { XS: 4, S: 6, M: 4, L: 13, XL: 18 } });
+        expect(getSortedTshirtSizes(['XL', 'S', 'XS'])).toEqual(['XS', 'S', 'XL']);
+    });
+
+    test('getTshirtSizeFromValue picks the first enabled size whose limit is not exceeded', () => {
+        expect(getTshirtSizeFromValue(3)).toBe('S');
+        expect(getTshirtSizeFromValue(5)).toBe('S');
+        expect(getTshirtSizeFromValue(5.5)).toBe('M');
+        expect(getTshirtSizeFromValue(9)).toBe('M');
+        expect(getTshirtSizeFromValue(10)).toBe('L');
+        expect(getTshirtSizeFromValue(100)).toBe('L');
+        expect(getTshirtSizeFromValue(0)).toBeNull();
+        expect(getTshirtSizeFromValue(5, null, [])).toBeNull();
+
+        const mapping = { thresholds: { XS: 2 } };
+        expect(getTshirtSizeFromValue(2, mapping, ['XL', 'XS'])).toBe('XS');
+        expect(getTshirtSizeFromValue(3, mapping, ['XL', 'XS'])).toBe('XL');
+        expect(getTshirtSizeFromValue(5, { thresholds: { S: 6, M: 4 } })).toBe('S');
+    });
+
+    test('syncAutoTshirtSizes derives the sizes in auto mode and keeps manual overrides', () => {
+        const items = [
+            item(1, 4, { tshirtSize: 'L' }),
+            item(2, 12),
+            item(3, 3, { tshirtSize: 'L', tshirtSizeOverride: true }),
+            item(4, 2, { doubt: 0, tshirtSize: 'M' }),
+            { id: 99, isLastItem: true }
+        ];
+
+        expect(syncAutoTshirtSizes(items)).toBe(0);
+        expect(items[0].tshirtSize).toBe('L');
+
+        applyTshirtMapping({ auto: true });
+        global.isReadOnlyView = true;
+        expect(syncAutoTshirtSizes(items)).toBe(0);
+
+        global.isReadOnlyView = false;
+        expect(syncAutoTshirtSizes(items)).toBe(3);
+        expect(items.map(pbi => pbi.tshirtSize)).toEqual(['S', 'L', 'L', null, undefined]);
+        expect(isTshirtSizeOverridden(items[2])).toBe(true);
+        expect(isTshirtSizeOverridden(items[0])).toBe(false);
+        expect(syncAutoTshirtSizes(items)).toBe(0);
+
+        applyTshirtMapping({ auto: false });
+        expect(isTshirtSizeOverridden(items[2])).toBe(false);
+    });
+
+    test('getTshirtSizeDistribution previews a mapping without changing the items', () => {
+        const items = [item(1, 4), item(2, 7), item(3, 8), item(4, 20, { tshirtSize: 'S', tshirtSizeOverride: true }), item(5, 5, { effort: 0 })];
+        const distribution = getTshirtSizeDistribution(items, { thresholds: { S: 7 } }, ['M', 'S', 'L']);
+
+        expect(Object.keys(distribution.counts)).toEqual(['S', 'M', 'L']);
+        expect(distribution).toEqual({ counts: { S: 3, M: 1, L: 0 }, overridden: 1, unsized: 1 });
+        expect(items[0].tshirtSize).toBeNull();
+    });
+
+    test('the mapping is saved, validated and imported with the settings', () => {
+        applyTshirtMapping({ auto: true, thresholds: { S: 6 } });
+        global.pbis = [item(1, 4, { tshirtSize: 'S', tshirtSizeOverride: true })];
+        const state = buildSaveState();
+        expect(state.settings.tshirtMapping).toEqual(getTshirtMapping());
+        expect(state.backlogItems[0].tshirtSizeOverride).toBe(true);
+        expect(validateSaveFile(state)).toEqual([]);
+        expect(validateSaveFile(Object.assign({}, state, { settings: { tshirtMapping: { auto: 'yes' } } })).length).toBeGreaterThan(0);
+
+        applyImportedData({ settings: { scale: 'safe', tshirtMapping: { auto: false, thresholds: { S: 3 } } }, backlogItems: [] }, 'sizes.json');
+        expect(getTshirtMapping()).toEqual({ auto: false, thresholds: { XS: 4, S: 3, M: 9, L: 13, XL: 18 } });
+    });
+
+    test('calibrateTshirtThresholds spaces the limits between the reference items', () => {
+        const items = [
+            item(1, 3, { isReference: true, referenceType: 'min' }),
+            item(2, 21, { isReference: true, referenceType: 'max' }),
+            item(3, 4), item(4, 5), item(5, 6), item(6, 8), item(7, 30), item(8, 10, { doubt: 0 })
+        ];
+        const sizes = ['XL', 'S', 'M', 'L'];
+
+        expect(calibrateTshirtThresholds(items, sizes, 'linear')).toEqual({ S: 7.5, M: 12, L: 16.5 });
+        expect(calibrateTshirtThresholds(items, sizes, 'logarithmic')).toEqual({ S: 4.9, M: 7.9, L: 12.9 });
+        expect(calibrateTshirtThresholds(items, sizes, 'quantile')).toEqual({ S: 4, M: 5, L: 8 });
+    });
+
+    test('calibrateTshirtThresholds needs both references with a range and two sizes', () => {
+        const min = item(1, 5, { isReference: true, referenceType: 'min' });
+        const max = item(2, 13, { isReference: true, referenceType: 'max' });
+
+        expect(() => calibrateTshirtThresholds([min], ['S', 'M'], 'linear')).toThrow('min and a max reference');
+        expect(() => calibrateTshirtThresholds([min, Object.assign({}, max, { jobSize: 5 })], ['S', 'M'], 'linear')).toThrow('larger Job Size');
+        expect(() => calibrateTshirtThresholds([min, max], ['S'], 'linear')).toThrow('at least two');
+        expect(calibrateTshirtThresholds([min, max], ['S', 'M'], 'unknown')).toEqual({ S: 9 });
+    });
+});
+
+describe('Language Packs', () => {
+    test('applyLanguageFallback fills missing strings with English and reports them', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const languages = {
+            en: { languageName: 'English', btnSave: 'Save', btnCancel: 'Cancel', emptyHint: '', documentationHtml: '<h1>Doc</h1>' },
+            de: { languageName: 'Deutsch', btnSave: 'Speichern', btnCancel: 'Abbrechen', emptyHint: '', documentationHtml: '<h1>Doku</h1>' },
+            fr: { btnSave: 'Enregistrer' }
+        };
+
+        const missing = applyLanguageFallback(languages);
+
+        expect(missing).toEqual({ fr: ['languageName', 'btnCancel'] });
+        expect(languages.fr.btnCancel).toBe('Cancel');
+        expect(languages.fr.btnSave).toBe('Enregistrer');
+        expect(languages.fr.emptyHint).toBe('');
+        expect(languages.fr.documentationHtml).toBe('<h1>Doc</h1>');
+        expect(languages.fr.languageName).toBeUndefined();
+        expect(warnSpy).toHaveBeenCalledTimes(1);
+        expect(warnSpy.mock.calls[0][0]).toContain('"fr"');
+        expect(warnSpy.mock.calls[0][0]).toContain('btnCancel');
+        warnSpy.mockRestore();
+    });
+
+    test('applyLanguageFallback completes nested objects key by key and keeps translated ones', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const languages = {
+            en: { languageName: 'English', updateChecker: { title: 'Update', text: 'New version' } },
+            de: { languageName: 'Deutsch', updateChecker: { title: 'Aktualisierung', text: 'Neue Version' } },
+            it: { languageName: 'Italiano', updateChecker: { title: 'Aggiornamento' } }
+        };
+
+        expect(applyLanguageFallback(languages)).toEqual({ it: ['updateChecker.text'] });
+        expect(languages.de.updateChecker).toEqual({ title: 'Aktualisierung', text: 'Neue Version' });
+        expect(languages.it.updateChecker).toEqual({ title: 'Aggiornamento', text: 'New version' });
+        warnSpy.mockRestore();
+    });
+
+    test('applyLanguageFallback finds no untranslated strings in the shipped German language file', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const languages = JSON.parse(JSON.stringify(require('./language.json')));
+        const germanUpdateChecker = JSON.stringify(languages.de.updateChecker);
+
+        expect(applyLanguageFallback(languages).de).toBeUndefined();
+        expect(JSON.stringify(languages.de.updateChecker)).toBe(germanUpdateChecker);
+        expect(warnSpy).not.toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    test('getAvailableLanguages lists the languages with their own names', () => {
+        const originalLanguages = global.config.languages;
+        global.config.languages = { de: { languageName: 'Deutsch' }, en: { languageName: 'English' }, it: {} };
+
+        expect(getAvailableLanguages()).toEqual([
+            { code: 'de', name: 'Deutsch' },
+            { code: 'en', name: 'English' },
+            { code: 'it', name: 'it' }
+        ]);
+        global.config.languages = originalLanguages;
+    });
+
+    test('resolveLanguage replaces unknown languages of a saved backlog with the default language', () => {
+        expect(resolveLanguage('en')).toBe('en');
+        expect(resolveLanguage('fr')).toBe('en');
+        expect(resolveLanguage(undefined)).toBe('en');
+
+        applySavedState({ settings: { language: 'fr', scale: 'safe' }, backlogItems: [] });
+        expect(global.currentLanguage).toBe('en');
+        expect(global.config.uiStrings).toBe(global.config.languages.en);
+    });
+
+    test('openDocumentation falls back to the English documentation', () => {
+        global.window.open.mockClear();
+        global.currentLanguage = 'fr';
+        openDocumentation();
+        global.currentLanguage = 'en';
+
+        expect(global.window.open).toHaveBeenCalled();
+        const written = global.window.open.mock.results[0].value.document.write.mock.calls[0][0];
+        expect(written).toContain('English Doc');
+    });
+});
+
+describe('CSV Export Options & Number Formatting', () => {
+    const pbi = { id: 1, title: 'Login, "SSO"', complexity: 1, effort: 2, doubt: 3, jobSize: 6, tshirtSize: 'M', cod_bv: 5, cod_tc: 3, cod_rroe: 1, cod: 9, notes: '' };
+
+    afterEach(() => {
+        delete window.csvExportOptions;
+        global.currentLanguage = 'en';
+    });
+
+    test('normalizeCsvExportOptions falls back to the defaults for unknown choices', () => {
+        expect(normalizeCsvExportOptions(null)).toEqual(DEFAULT_CSV_EXPORT_OPTIONS);
+        expect(normalizeCsvExportOptions({ delimiter: '|', decimalSeparator: '.', quoting: 'all', lineEnding: 'lf', bom: 'no', wsjfDecimals: '7' }))
+            .toEqual({ delimiter: ';', decimalSeparator: '.', quoting: 'all', lineEnding: 'lf', encoding: 'utf-8', bom: true, wsjfDecimals: 4 });
+
+        applyCsvExportOptions({ delimiter: '\t' });
+        expect(getCsvExportOptions().delimiter).toBe('\t');
+    });
+
+    test('buildBacklogCsv writes the Excel format of earlier versions by default', () => {
+        const csv = buildBacklogCsv([pbi]);
+
+        expect(csv.startsWith('\uFEFFTitle;Comp;Eff;Dbt;JS;Size')).toBe(true);
+        expect(csv).toContain('"Login, ""SSO""";1;2;3;6;M;5;3;1;9;1,50;;\r\n');
+    });
+
+    test('buildBacklogCsv follows the delimiter, decimal, quoting, line ending, BOM and WSJF options', () => {
+        const options = { delimiter: ',', decimalSeparator: '.', quoting: 'text', lineEnding: 'lf', bom: false, wsjfDecimals: 1 };
+        const csv = buildBacklogCsv([pbi], options);
+
+        expect(csv.startsWith('"Title","Comp"')).toBe(true);
+        expect(csv).toContain('"Login, ""SSO""",1,2,3,6,"M",5,3,1,9,1.5,"",""\n');
+        expect(csv).not.toContain('\r\n');
+
+        // Comma as delimiter and decimal separator: the numbers are quoted
+        const ambiguous = buildBacklogCsv([pbi], { delimiter: ',', decimalSeparator: ',', quoting: 'minimal' });
+        expect(ambiguous).toContain(',"1,50",');
+
+        const tabbed = buildBacklogCsv([pbi], { delimiter: '\t', quoting: 'all', wsjfDecimals: 0 });
+        expect(tabbed).toContain('"Login, ""SSO"""\t"1"\t"2"');
+        expect(tabbed).toContain('\t"2"\t""\t""\r\n');
+    });
+
+    test('buildBacklogCsv writes the BOM only for UTF-8 and encodeWindows1252 maps the code page', () => {
+        expect(buildBacklogCsv([pbi], { encoding: 'windows-1252', bom: true }).startsWith('Title;')).toBe(true);
+
+        expect(Array.from(encodeWindows1252('Aä€–😀'))).toEqual([0x41, 0xE4, 0x80, 0x96, 0x3F]);
+        expect(encodeWindows1252('')).toHaveLength(0);
+    });
+
+    test('parseBacklogCsv reads a file written with other export options', () => {
+        const csv = buildBacklogCsv([pbi], { delimiter: ',', decimalSeparator: '.', quoting: 'all', bom: false });
+        const { backlogItems, errors } = parseBacklogCsv(csv);
+
+        expect(errors).toEqual([]);
+        expect(backlogItems[0]).toMatchObject({ title: 'Login, "SSO"', complexity: 1, effort: 2, doubt: 3, cod_bv: 5, tshirtSize: 'M' });
+    });
+
+    test('formatNumber follows the UI language instead of the browser default', () => {
+        global.currentLanguage = 'de';
+        expect(formatNumber(1234.5)).toBe('1.234,5');
+        expect(formatNumber(1.5, 2)).toBe('1,50');
+
+        global.currentLanguage = 'en';
+        expect(formatNumber(1234.5)).toBe('1,234.5');
+        expect(formatNumber(1.5, 2)).toBe('1.50');
+
+        global.currentLanguage = 'not a locale!';
+        expect(formatNumber(1.5, 2)).toBe('1.50');
+        expect(formatNumber(undefined)).toBe('undefined');
+    });
+});
+
+describe('Save-File Schema', () => {
+    const validItem = (overrides) => Object.assign({ id: 1, title: 'A', complexity: 1, effort: 2, doubt: 3, cod_bv: 5, cod_tc: 8, cod_rroe: 1 }, overrides);
+
+    test('getSaveFileSchemaVersion should detect versioned and unversioned formats', () => {
+        expect(getSaveFileSchemaVersion([])).toBe(0);
+        expect(getSaveFileSchemaVersion({ settings: {}, backlogItems: [] })).toBe(1);
+        expect(getSaveFileSchemaVersion({ schemaVersion: 2, backlogItems: [] })).toBe(2);
+        expect(getSaveFileSchemaVersion({ randomField: 'nothing' })).toBe(-1);
+        expect(getSaveFileSchemaVersion({ schemaVersion: '2' })).toBe(-1);
+    });
+
+    test('migrateSaveFile should run the whole chain without touching the input', () => {
+        const legacy = [{ id: 1, title: 'Old', isReference: true }];
+
+        const migrated = migrateSaveFile(legacy);
+
+        expect(migrated.schemaVersion).toBe(SAVE_FILE_SCHEMA_VERSION);
+        expect(migrated.settings).toBeNull();
+        expect(migrated.backlogItems[0]).toMatchObject({ referenceType: 'min', isReference: true });
+        expect(legacy[0].referenceType).toBeUndefined();
+    });
+
+    test('migrateSaveFile should reject unknown and newer formats with localized messages', () => {
+        global.config.uiStrings.schemaErrorTooNew = 'Too new: {version}';
+        global.config.uiStrings.schemaErrorUnknownFormat = 'Unknown';
+
+        expect(() => migrateSaveFile({ schemaVersion: 99, backlogItems: [] })).toThrow('Too new: 99');
+        expect(() => migrateSaveFile({ randomField: 'nothing' })).toThrow('Unknown');
+    });
+
+    test('validateSaveFile should report the exact item and field', () => {
+        global.config.uiStrings.schemaPathItem = 'item {index}';
+        global.config.uiStrings.schemaErrorScaleValue = '{path} must be a scale value';
+        const data = migrateSaveFile({
+            settings: { scale: 'safe' },
+            backlogItems: [validItem(), validItem(), validItem(), validItem({ cod_tc: 4 }), validItem({ title: 7 })]
+        });
+
+        const errors = validateSaveFile(data);
+
+        expect(formatSchemaErrors(errors).split('\n')).toEqual([
+            'item 4: cod_tc must be a scale value',
+            'item 5: title must be of type string'
+        ]);
+    });
+
+    test('validateSaveFile should report values above the maximum of a setting', () => {
+        global.config.uiStrings.schemaErrorMaximum = '{path} must not exceed {expected}';
+        const data = migrateSaveFile({
+            settings: { scale: 'safe', csvExport: { wsjfDecimals: 99 } },
+            backlogItems: [validItem()]
+        });
+
+        const errors = validateSaveFile(data);
+
+        expect(errors).toEqual([expect.objectContaining({ path: ['settings', 'csvExport', 'wsjfDecimals'], keyword: 'maximum', expected: 4 })]);
+        expect(formatSchemaErrors(errors)).toBe('settings.csvExport.wsjfDecimals must not exceed 4');
+    });
+
+    test('validateSaveFile should report component weights outside the range of the Settings Modal', () => {
+        global.config.uiStrings.schemaErrorExclusiveMinimum = '{path} must be above {expected}';
+        const data = migrateSaveFile({
+            settings: { scale: 'safe', componentWeights: { complexity: 0, effort: 2.5, cod_bv: 50 } },
+            backlogItems: [validItem()]
+        });
+
+        const errors = validateSaveFile(data);
+
+        expect(errors.map(error => error.path.join('.') + ' ' + error.keyword)).toEqual([
+            'settings.componentWeights.complexity exclusiveMinimum', 'settings.componentWeights.cod_bv maximum'
+        ]);
+        expect(formatSchemaErrors(errors).split('\n')[0]).toBe('settings.componentWeights.complexity must be above 0');
+    });
+
+    test('validateSaveFile should check legacy files against the fallback scale', () => {
+        const data = migrateSaveFile([validItem({ effort: 7 })]);
+
+        expect(validateSaveFile(data, 'metric')).toEqual([]);
+        expect(validateSaveFile(data, 'safe')).toHaveLength(1);
+    });
+
+    test('applyImportedData should alert the localized report and keep the backlog', () => {
+        global.config.uiStrings.importError = 'Error!';
+        global.pbis = [validItem({ title: 'Keep me' })];
+        const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        applyImportedData({ settings: { scale: 'safe' }, backlogItems: [validItem(), { id: 2 }] }, 'bad.json');
+
+        expect(alertSpy).toHaveBeenCalledWith('Error!\nItem 2: "title" is missing');
+        expect(global.pbis[0].title).toBe('Keep me');
+        consoleSpy.mockRestore();
+    });
+
+    test('saveToLocalStorage should stamp the schema version', () => {
+        global.pbis = [validItem()];
+        const setItemSpy = jest.spyOn(Storage.prototype, 'setItem');
+
+        saveToLocalStorage();
+
+        const saved = JSON.parse(setItemSpy.mock.calls[setItemSpy.mock.calls.length - 1][1]);
+        expect(saved.schemaVersion).toBe(SAVE_FILE_SCHEMA_VERSION);
+        setItemSpy.mockRestore();
+    });
+});
+
 describe('Export Helpers', () => {
     describe('htmlToMarkdown', () => {
         test('should convert basic formatting', () => {
@@ -377,6 +2506,236 @@ describe('Export Helpers', () => {
     });
 });
 
+describe('CSV Import', () => {
+    const header = 'Title;Comp;Eff;Dbt;JS;Size;BV;TC;RR;CoD;WSJF;Notes;Ref';
+
+    describe('parseCsv', () => {
+        test('should strip the BOM and split quoted fields', () => {
+            const rows = parseCsv('\uFEFFa;"b;c";"say ""hi"""\r\n1;2;3\r\n');
+            expect(rows).toEqual([['a', 'b;c', 'say "hi"'], ['1', '2', '3']]);
+        });
+
+        test('should keep line breaks inside quotes and skip empty lines', () => {
+            const rows = parseCsv('a;"line 1\nline 2"\n\n;\nb;c');
+            expect(rows).toEqual([['a', 'line 1\nline 2'], ['b', 'c']]);
+        });
+    });
+
+    describe('markdownToHtml', () => {
+        test('should convert the formatting written by htmlToMarkdown', () => {
+            expect(markdownToHtml('**Bold** and _Italic_')).toBe('<div><b>Bold</b> and <i>Italic</i></div>');
+            expect(markdownToHtml('[Link](http://test.com)')).toBe('<div><a href="http://test.com">Link</a></div>');
+        });
+
+        test('should group list items and escape raw HTML', () => {
+            expect(markdownToHtml('- A\n- B\n<script>')).toBe('<ul><li>A</li><li>B</li></ul><div>&lt;script&gt;</div>');
+        });
+
+        test('should survive a round trip through htmlToMarkdown', () => {
+            const html = '<div><b>Bold</b></div><div>Line 2</div>';
+            expect(markdownToHtml(htmlToMarkdown(html))).toBe(html);
+        });
+    });
+
+    describe('parseBacklogCsv', () => {
+        test('should rebuild items from the export layout', () => {
+            const csv = '\uFEFF' + header + '\r\n' +
+                'Item A;1;2;3;6;M;5;3;1;9;1,50;**Note**;min\r\n';
+
+            const { backlogItems, errors } = parseBacklogCsv(csv);
+
+            expect(errors).toEqual([]);
+            expect(backlogItems).toHaveLength(1);
+            expect(backlogItems[0]).toMatchObject({
+                title: 'Item A', complexity: 1, effort: 2, doubt: 3, jobSize: 6,
+                cod_bv: 5, cod_tc: 3, cod_rroe: 1, cod: 9,
+                tshirtSize: 'M', isReference: true, referenceType: 'min',
+                notes: '<div><b>Note</b></div>'
+            });
+            expect(backlogItems[0].scaleValues.safe.cod_bv).toBe(5);
+        });
+
+        test('should accept headers of another language and decimal commas', () => {
+            global.config.languages.de = { modalPlaceholderTitle: 'Titel', colComplexity: 'Komplexität' };
+            const csv = 'Titel;Komplexität\nItem B;2,0\n';
+
+            const { backlogItems, errors } = parseBacklogCsv(csv);
+
+            expect(errors).toEqual([]);
+            expect(backlogItems[0].title).toBe('Item B');
+            expect(backlogItems[0].complexity).toBe(2);
+            expect(backlogItems[0].jobSize).toBe(2);
+        });
+
+        test('should report values that are not on the active scale per row', () => {
+            const csv = header + '\n' +
+                'Ok;1;1;1;;-;;;;;;;\n' +
+                'Bad;4;1;13;;L;1;x;1;;;;\n';
+
+            const { backlogItems, errors } = parseBacklogCsv(csv);
+
+            expect(errors).toEqual([
+                { row: 3, column: 'Comp', value: '4' },
+                { row: 3, column: 'Dbt', value: '13' },
+                { row: 3, column: 'TC', value: 'x' }
+            ]);
+            expect(backlogItems[1].complexity).toBe(0);
+            expect(backlogItems[1].tshirtSize).toBeNull(); // Job Size incomplete after rejection
+        });
+
+        test('should throw if no title column is present', () => {
+            expect(() => parseBacklogCsv('Foo;Bar\n1;2')).toThrow();
+        });
+    });
+
+    test('handleImport routes .csv files to the CSV importer', () => {
+        const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+        global.currentSortCriteria = 'custom';
+
+        handleImport({ target: { files: [{ name: 'backlog.csv' }] } });
+        mockFileReader.onload({ target: { result: header + '\nImported;1;2;3;;;;;;;;;\n' } });
+
+        expect(global.pbis).toHaveLength(1);
+        expect(global.pbis[0].title).toBe('Imported');
+        expect(global.currentScale).toBe('safe'); // Current settings are kept
+        expect(global.currentSortCriteria).toBe('creationOrder');
+        expect(global.lastImportedFileName).toBe('backlog.json');
+        expect(alertSpy).toHaveBeenCalledTimes(1); // Only the success message
+    });
+});
+
+describe('CSV Mapping Import', () => {
+    test('detectCsvDelimiter should ignore separators inside quotes', () => {
+        expect(detectCsvDelimiter('"Summary; long",Key,Story Points\n')).toBe(',');
+        expect(detectCsvDelimiter('Title\tEffort\n')).toBe('\t');
+        expect(detectCsvDelimiter('Title\n')).toBe(';');
+    });
+
+    test('guessCsvMapping should recognize common Jira and Azure DevOps columns', () => {
+        const mapping = guessCsvMapping(['Issue key', 'Summary', 'Description', 'Eff']);
+        expect(mapping).toEqual({ title: 'Summary', notes: 'Description', effort: 'Eff' });
+    });
+
+    test('should remember mappings per source and find them again by header', () => {
+        saveCsvMapping('Jira', { title: 'Summary', effort: 'Story Points', notes: '' });
+        saveCsvMapping('Azure DevOps', { title: 'Title', effort: 'Effort' });
+
+        const mappings = loadCsvMappings();
+        expect(mappings.Jira.mapping).toEqual({ title: 'Summary', effort: 'Story Points' });
+        expect(findCsvMappingSource(['Key', 'Summary', 'Story Points'], mappings)).toBe('Jira');
+        expect(findCsvMappingSource(['Summary'], mappings)).toBeNull(); // Mapped column missing
+    });
+
+    test('buildPbisFromCsvMapping should snap off-scale values and skip rows without title', () => {
+        const rows = [
+            ['Summary', 'Story Points', 'Value', 'Description'],
+            ['Login', '13', '4', 'Line 1\n- Point'],
+            ['', '1', '1', ''],
+            ['Logout', '2', '', '']
+        ];
+
+        const { backlogItems, snappedCount } = buildPbisFromCsvMapping(rows, {
+            title: 'Summary', effort: 'Story Points', cod_bv: 'Value', notes: 'Description'
+        });
+
+        expect(snappedCount).toBe(2);
+        expect(backlogItems).toHaveLength(2);
+        expect(backlogItems[0]).toMatchObject({ title: 'Login', effort: 8, cod_bv: 3, complexity: 0, isReference: false });
+        expect(backlogItems[0].notes).toBe('<div>Line 1</div><ul><li>Point</li></ul>');
+        expect(backlogItems[1]).toMatchObject({ title: 'Logout', effort: 2, cod_bv: 0 });
+    });
+});
+
+describe('Merge Import', () => {
+    const item = (id, title, overrides) => Object.assign({
+        id: id, title: title, complexity: 1, effort: 2, doubt: 3, jobSize: 6,
+        cod_bv: 1, cod_tc: 1, cod_rroe: 1, cod: 3, tshirtSize: 'M', notes: '',
+        isReference: false, referenceType: null
+    }, overrides);
+
+    test('buildMergePlan should match by id, fall back to the title and collect differences', () => {
+        const local = [item(1, 'Login'), item(2, 'Search'), item(3, 'Export'), { id: -1, isLastItem: true }];
+        const incoming = [
+            item(1, 'Login'),                          // unchanged
+            item(99, ' search ', { effort: 5 }),       // title fallback, differs
+            item(3, 'Export', { notes: '<div>x</div>' }),
+            item(4, 'Reporting'),
+            item(undefined, 'Archive')                 // no id -> new id
+        ];
+
+        const plan = buildMergePlan(local, incoming);
+
+        expect(plan.unchangedCount).toBe(1);
+        expect(plan.conflicts).toHaveLength(2);
+        expect(plan.conflicts[0]).toMatchObject({ localId: 3, fields: ['notes'] });
+        expect(plan.conflicts[1]).toMatchObject({ localId: 2, fields: ['title', 'effort'] });
+        expect(plan.additions.map(p => p.title)).toEqual(['Reporting', 'Archive']);
+        expect(plan.additions[0].id).toBe(4);
+        expect(typeof plan.additions[1].id).toBe('number');
+    });
+
+    test('buildMergePlan should snap values of another scale and report reference conflicts', () => {
+        const local = [item(1, 'A', { referenceType: 'min', isReference: true }), item(2, 'B')];
+        const incoming = [item(1, 'A'), item(2, 'B', { referenceType: 'min', isReference: true, effort: 4 }), item(5, 'C', { referenceType: 'max' })];
+
+        const plan = buildMergePlan(local, incoming);
+
+        expect(plan.conflicts[0]).toMatchObject({ localId: 2, fields: ['effort'] });
+        expect(plan.conflicts[0].incoming.effort).toBe(3); // 4 is not on the SAFe scale
+        expect(plan.referenceConflicts).toEqual([
+            { type: 'min', localId: 1, incomingId: 2 },
+            { type: 'max', localId: null, incomingId: 5 }
+        ]);
+        expect(plan.additions[0].referenceType).toBeNull();
+    });
+
+    test('applyMergePlan should apply per-field choices and append new items to the custom order', () => {
+        global.pbis = [item(1, 'A', { referenceType: 'min', isReference: true }), item(2, 'B'), { id: -1, isLastItem: true }];
+        global.lockedPbiOrder = [2, 1];
+        const incoming = [item(2, 'B2', { effort: 8, doubt: 0, referenceType: 'min' }), item(7, 'New')];
+
+        const plan = buildMergePlan(global.pbis, incoming);
+        const result = applyMergePlan(plan, {
+            fields: { 2: { title: 'local', effort: 'incoming', doubt: 'incoming' } },
+            references: { min: 'incoming' }
+        });
+
+        expect(result).toEqual({ added: 1, updated: 1 });
+        const b = global.pbis.find(p => p.id === 2);
+        expect(b).toMatchObject({ title: 'B', effort: 8, doubt: 0, jobSize: 9, tshirtSize: null, referenceType: 'min' });
+        expect(b.scaleValues.safe.effort).toBe(8);
+        expect(global.pbis.find(p => p.id === 1).referenceType).toBeNull();
+        expect(global.pbis[global.pbis.length - 1].isLastItem).toBe(true);
+        expect(global.lockedPbiOrder).toEqual([2, 1, 7]);
+    });
+
+    test('applyMergePlan recalculates the totals of new items instead of keeping those of the other file', () => {
+        global.pbis = [item(1, 'A'), { id: -1, isLastItem: true }];
+        global.lockedPbiOrder = [];
+        // Totals from a file with other weights and another scale (4 is not on the SAFe scale)
+        const incoming = [item(5, 'New', { effort: 4, jobSize: 42, cod: 17 }), item(6, 'Open', { doubt: 0, jobSize: 3, tshirtSize: 'S' })];
+
+        applyMergePlan(buildMergePlan(global.pbis, incoming));
+
+        expect(global.pbis.find(p => p.id === 5)).toMatchObject({ effort: 3, jobSize: 7, cod: 3 });
+        expect(global.pbis.find(p => p.id === 6)).toMatchObject({ jobSize: null, tshirtSize: null });
+    });
+
+    test('handleImport in merge mode keeps the current settings and backlog', () => {
+        global.pbis = [item(1, 'A')];
+        global.currentScale = 'metric';
+        const data = { settings: { scale: 'safe' }, backlogItems: [item(1, 'A'), item(2, 'B')] };
+
+        handleImport({ target: { files: [{ name: 'team-b.json' }] } }, 'merge');
+        mockFileReader.onload({ target: { result: JSON.stringify(data) } });
+
+        expect(global.pbis.map(p => p.title)).toEqual(['A', 'B']);
+        expect(global.currentScale).toBe('metric');
+        expect(global.lastImportedFileName).toBeNull();
+        expect(global.confirm).not.toHaveBeenCalled();
+    });
+});
+
 describe('Math & Logic Utils', () => {
     describe('calculateWSJF', () => {
         test('should calculate correct values', () => {
@@ -544,6 +2903,18 @@ describe('Import/Export Data', () => {
         expect(global.window.showSaveFilePicker).toHaveBeenCalled();
     });
 
+    test('exportPbisAsJson writes the settings of the save state and drops stale item fields', async () => {
+        global.pbis = [{ id: 1, title: 'A', wsjfRankColor: '#old', customSortIndex: 4 }, { id: 2, title: 'B' }];
+        global.lockedPbiOrder = [2];
+        global.pbiIdToCustomColor = { 2: '#123456' };
+
+        await exportPbisAsJson();
+
+        const written = JSON.parse(mockWritable.write.mock.calls[0][0].content[0]);
+        expect(written.settings).toEqual(JSON.parse(JSON.stringify(buildSaveState().settings)));
+        expect(written.backlogItems).toEqual([{ id: 1, title: 'A' }, { id: 2, title: 'B', wsjfRankColor: '#123456', customSortIndex: 0 }]);
+    });
+
     test('handleImport parses JSON and calls applyImportedData', () => {
         const fileContent = { settings: {}, backlogItems: [] };
         mockFileReader.result = JSON.stringify(fileContent);
@@ -598,6 +2969,7 @@ describe('Import/Export Data', () => {
             };
 
             const alertSpy = jest.spyOn(window, 'alert').mockImplementation(() => {});
+            global.config.languages.hu = { uiString: 'érték' };
             
             // Execute
             applyImportedData(newData, 'new_format.json');
@@ -45,6 +45,7 @@ let config, SCALES;
 let pbis = [];
 let currentLanguage;
 let currentScale;
+let currentPrioritizationModel = 'wsjf';
 let currentEditingId = null;
 let currentSortCriteria = 'jobSize'; 
 let currentSortDirection = 'asc'; 
@@ -59,8 +60,21 @@ let preLockSortDirection = 'asc';
 let initialCustomOrderSet = false; 
 let pbiIdToCustomColor = {};
 let isOptimalChartCollapsed = true;
+let isProbabilisticMode = false;
 let exportSortCriteria = 'jobSize';
 let exportSortDirection = 'asc';
+let activeWorkspaceId = null;
+let undoStack = [];
+let redoStack = [];
+let lastUndoState = null;
+let activeSnapshotComparison = null;
+let isConsistencyPanelExpanded = false;
+let storageDb = null;
+let storageCache = {};
+let storageRecords = {};
+let isReadOnlyView = false;
+let sharedViewPayload = null;
+let isPresenterView = false;
 
 window.isResolutionWarningDismissed = false;
 
@@ -142,15 +156,20 @@ function ensureLastItemExists(pbisArray) {
  * <li>1. URL query parameters (`?lang=en` or simple query `?en`).</li>
  * <li>2. Default setting defined in the configuration (`defaultSettings.language`).</li>
  * </ul>
+ * Beforehand, all languages (including the language packs `language.<code>.json` collected by the build) are completed with the English strings (`applyLanguageFallback`).
  * </li>
+ * <li><b>Share Links:</b> Detects a shared backlog in the URL fragment (`#share=...`), which starts the read-only viewer.</li>
+ * <li><b>Presenter View:</b> Detects the fragment `#presenter` of a window that mirrors the facilitator window.</li>
  * <li><b>State Initialization:</b> Prepares the final object for the global application state.</li>
  * </ol>
  *
  * <br><b>Global State Synchronization:</b>
- * The function writes specific flags (such as `showReferenceMarkers`) directly to the global `window` object to allow quick access for CSS classes and UI logic.
+ * The function writes specific flags (such as `showReferenceMarkers`, the default `componentWeights`, the default `capacitySettings`, the default `undoHistoryDepth`, the default `quadrantThresholds`, the default `tshirtMapping` and the default `csvExportOptions`) directly to the global `window` object to allow quick access for CSS classes and UI logic.
+ * The default prioritization model (`defaultSettings.prioritizationModel`) is activated as well.
  *
  * @param {Object} configObject - The raw configuration object (usually from an external JSON or config.js).
- * @returns {Object} A state object containing the validated `config`, `SCALES`, initial `pbis`, `currentLanguage`, and `currentScale`.
+ * @returns {Object} A state object containing the validated `config`, `SCALES`, initial `pbis`, `currentLanguage`, `currentScale`,
+ * the encoded `sharedState` of a share link (or `null`) and the `presenterView` flag.
  * @global
  */
 function processConfig(configObject) {
@@ -160,6 +179,9 @@ function processConfig(configObject) {
     if (typeof newConfig.defaultSettings.confirmOnExit !== 'boolean') {
         newConfig.defaultSettings.confirmOnExit = false;
     }
+    if (!(newConfig.defaultSettings.undoHistoryDepth > 0)) {
+        newConfig.defaultSettings.undoHistoryDepth = 50;
+    }
 
     if (typeof window !== 'undefined') {
         if (typeof newConfig.defaultSettings.showReferenceMarkers === 'boolean') {
@@ -167,6 +189,25 @@ function processConfig(configObject) {
         } else {
             window.showReferenceMarkers = true;
         }
+        if (typeof normalizeComponentWeights === 'function') {
+            window.componentWeights = normalizeComponentWeights(newConfig.defaultSettings.componentWeights);
+        }
+        if (typeof normalizeCapacity === 'function') {
+            window.capacitySettings = normalizeCapacity(newConfig.defaultSettings.capacity);
+        }
+        window.undoHistoryDepth = newConfig.defaultSettings.undoHistoryDepth;
+        if (typeof normalizeQuadrantThresholds === 'function') {
+            window.quadrantThresholds = normalizeQuadrantThresholds(newConfig.defaultSettings.quadrantThresholds);
+        }
+        if (typeof normalizeTshirtMapping === 'function') {
+            window.tshirtMapping = normalizeTshirtMapping(newConfig.defaultSettings.tshirtMapping);
+        }
+        if (typeof normalizeCsvExportOptions === 'function') {
+            window.csvExportOptions = normalizeCsvExportOptions(newConfig.defaultSettings.csvExport);
+        }
+    }
+    if (typeof applyPrioritizationModel === 'function') {
+        applyPrioritizationModel(newConfig.defaultSettings.prioritizationModel);
     }
 
     if (!newConfig.defaultColors) {
@@ -192,6 +233,10 @@ function processConfig(configObject) {
         newConfig.editorColors = JSON.parse(JSON.stringify(newConfig.defaultEditorColors));
     }
 
+    if (newConfig.languages && typeof applyLanguageFallback === 'function') {
+        applyLanguageFallback(newConfig.languages);
+    }
+
     let newCurrentLanguage = newConfig.defaultSettings.language;
 
     if (typeof window !== 'undefined' && window.location) {
@@ -222,6 +267,16 @@ function processConfig(configObject) {
         newConfig.uiStrings = newConfig.languages[newCurrentLanguage];
     }
 
+    var sharedState = null;
+    if (typeof window !== 'undefined' && window.location && typeof getSharePayloadFromHash === 'function') {
+        sharedState = getSharePayloadFromHash(window.location.hash);
+    }
+
+    var presenterView = false;
+    if (typeof window !== 'undefined' && window.location && typeof isPresenterHash === 'function') {
+        presenterView = isPresenterHash(window.location.hash);
+    }
+
     const initialPbis = Array.isArray(newConfig.initialPbis) ? newConfig.initialPbis : [];
 
     return {
@@ -229,7 +284,9 @@ function processConfig(configObject) {
         SCALES: newConfig.scales,
         pbis: initialPbis,
         currentLanguage: newCurrentLanguage,
-        currentScale: newConfig.defaultSettings.scale
+        currentScale: newConfig.defaultSettings.scale,
+        sharedState: sharedState,
+        presenterView: presenterView
     };
 }
 
@@ -267,6 +324,9 @@ function loadConfigAndInit() {
         pbis = newState.pbis;
         currentLanguage = newState.currentLanguage;
         currentScale = newState.currentScale;
+        sharedViewPayload = newState.sharedState;
+        isPresenterView = newState.presenterView === true;
+        isReadOnlyView = !!newState.sharedState || isPresenterView;
 
         applyUiStrings();
         pbis = ensureLastItemExists(pbis);
@@ -375,9 +435,13 @@ function displayVersionInfo() {
 if (typeof window !== 'undefined') {
     document.addEventListener('DOMContentLoaded', () => {
         loadConfigAndInit();
-        
-        if (typeof loadFromLocalStorage === 'function') {
-            var loaded = loadFromLocalStorage();
+
+        // A share link shows a read-only copy of the shared backlog; the own workspaces are neither loaded nor changed.
+        var sharedViewReady = (sharedViewPayload && typeof openSharedView === 'function') ? openSharedView(sharedViewPayload) : Promise.resolve(false);
+        var isStarted = false;
+
+        var startApplication = (loaded) => {
+            isStarted = true;
             if (loaded) {
                 if (typeof ensureLastItemExists === 'function') {
                     pbis = ensureLastItemExists(pbis);
@@ -389,18 +453,52 @@ if (typeof window !== 'undefined') {
                     applyUiStrings();
                 }
             }
-        }
 
-        applyColorSettings(config.colors);
-        displayVersionInfo();
-        checkForUpdates();
-        renderAll();
-        requestAnimationFrame(syncRelativeSizingHeaderPadding);
-        syncRelativeSizingHeaderPadding();
-        setupEventListeners();
-        initSplit();
-        updateAllSliderFills();
-        initResizeHandler();
+            if (!isReadOnlyView && typeof loadUndoHistory === 'function') {
+                loadUndoHistory();
+            }
+
+            applyColorSettings(config.colors);
+            displayVersionInfo();
+            checkForUpdates();
+            renderAll();
+            requestAnimationFrame(syncRelativeSizingHeaderPadding);
+            syncRelativeSizingHeaderPadding();
+            setupEventListeners();
+            initSplit();
+            updateAllSliderFills();
+            initResizeHandler();
+
+            if (isPresenterView && typeof startPresenterView === 'function') {
+                startPresenterView();
+            } else if (isReadOnlyView && typeof applyReadOnlyMode === 'function') {
+                applyReadOnlyMode();
+            } else if (typeof initPresenterSync === 'function') {
+                initPresenterSync();
+            }
+        };
+
+        sharedViewReady.then((isSharedView) => {
+            if (isSharedView) return true;
+            // The presenter view gets its data from the facilitator window only (see startPresenterView).
+            if (isPresenterView) return false;
+
+            if (typeof initWorkspaces === 'function') {
+                initWorkspaces();
+            }
+
+            // IndexedDB opens asynchronously, so the saved state can only be restored once the backend is ready.
+            var storageReady = (typeof initStorageBackend === 'function') ? initStorageBackend() : Promise.resolve();
+
+            return storageReady.then(() => (typeof loadFromLocalStorage === 'function') ? loadFromLocalStorage() : false);
+        }).then(startApplication).catch((error) => {
+            console.error('Initialization failed:', error);
+            // If restoring the workspace failed, the app still starts with the default state of loadConfigAndInit.
+            // An error during the start itself is only logged, as the event listeners must not be attached twice.
+            if (!isStarted) {
+                startApplication(false);
+            }
+        });
     });
 }
 
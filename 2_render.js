@@ -175,7 +175,13 @@ function applyUiStrings() {
     setText('main-claim', s.mainClaim);
     setText('add-pbi-btn', s.btnAddPbi);
     setTitle('import-btn', s.btnImportTitle);
+    setTitle('btn-merge-import', s.btnMergeImportTitle);
     setTitle('export-btn', s.btnExportTitle);
+    setTitle('btn-undo', s.btnUndoTitle);
+    setTitle('btn-redo', s.btnRedoTitle);
+    setTitle('btn-snapshots', s.btnSnapshotsTitle);
+    setTitle('btn-share-link', s.btnShareLinkTitle);
+    setTitle('btn-presenter-view', s.btnPresenterViewTitle);
     setTitle('help-btn', s.helpButtonTitle);
     setText('legend-complexity', s.legendComplexity);
     setText('legend-effort', s.legendEffort);
@@ -183,6 +189,8 @@ function applyUiStrings() {
     setText('legend-cod-bv', s.modalLabelCodBv);
     setText('legend-cod-tc', s.modalLabelCodTc);
     setText('legend-cod-rroe', s.modalLabelCodRroe);
+    setText('probabilistic-mode-label', s.probabilisticModeLabel);
+    setTitle('probabilistic-mode-toggle-container', s.probabilisticModeTooltip);
     setPlaceholder('pbi-title', s.modalPlaceholderTitle);
     setPlaceholder('pbi-notes', s.modalNotesPlaceholder);
     setText('cancel-btn', s.btnCancel);
@@ -191,25 +199,67 @@ function applyUiStrings() {
     setTitle('reset-app-btn', s.btnResetAppTitle);
     setText('settings-modal-title', s.modalTitleSettings);
     setText('settings-modal-language-label', s.modalLanguageLabel);
-    setText('settings-lang-option-de', s.langOptionDe);
-    setText('settings-lang-option-en', s.langOptionEn);
     setText('settings-cancel-btn', s.btnCancel);
     setText('settings-save-btn', s.btnSave);
     setTitle('modal-prev-btn', s.tooltipModalPrev);
     setTitle('modal-next-btn', s.tooltipModalNext);
     setText('filter-job-size-btn', s.filterJobSize);
     setText('filter-cod-btn', s.filterCoD);
-    setText('filter-wsjf-btn', s.filterWSJF);
+    setText('filter-wsjf-btn', getPrioritySortLabel(s.filterWSJF));
     setText('filter-tshirt-size-btn', s.filterTshirtSize);
     setTitle('custom-sort-btn', s.filterCustomSort);
     setText('tab-btn-jobsize', s.tabJobSize);
     setText('tab-btn-cod', s.tabCoD);
+    setText('tab-btn-voting', s.tabVoting);
+    setText('voting-hint', s.votingHint);
+    setText('tab-btn-priority', s.tabPriority);
+    setText('priority-hint', s.priorityHint);
+    setText('tab-btn-dependencies', s.tabDependencies);
+    setText('dependencies-hint', s.dependenciesHint);
+    setText('urgency-profile-label', s.urgencyProfileLabel || 'Urgency profile');
+    setText('urgency-deadline-label', s.urgencyDeadlineLabel || 'Deadline (cumulative Job Size)');
+    setPlaceholder('voting-participant-input', s.votingParticipantPlaceholder);
+    setText('btn-voting-add', s.btnVotingAdd);
+    setText('btn-voting-reveal', s.btnVotingReveal);
+    setText('btn-voting-new-round', s.btnVotingNewRound);
     setText('settings-modal-scale-label', s.modalScaleLabel);
     setText('settings-modal-tshirt-label', s.modalTshirtLabel);
+    setText('settings-label-tshirt-auto', s.settingsTshirtAutoLabel);
+    setText('settings-tshirt-mapping-hint', s.settingsTshirtMappingHint);
+    setText('tshirt-calibration-label', s.tshirtCalibrationLabel);
+    setText('tshirt-calibration-option-linear', s.tshirtCalibrationLinear);
+    setText('tshirt-calibration-option-logarithmic', s.tshirtCalibrationLogarithmic);
+    setText('tshirt-calibration-option-quantile', s.tshirtCalibrationQuantile);
+    setText('btn-tshirt-calibrate', s.btnTshirtCalibrate);
     setText('settings-modal-general-label', s.settingsModalGeneralLabel);
     setText('settings-label-show-res-warning', s.settingsLabelShowResWarning);
+    setText('settings-label-undo-depth', s.settingsLabelUndoDepth);
     setText('settings-scale-option-metric', s.scaleOptionMetric);
     setText('settings-scale-option-safe', s.scaleOptionSAFe);
+    setText('settings-custom-scale-label', s.settingsCustomScaleLabel);
+    setPlaceholder('custom-scale-name', s.customScaleNamePlaceholder);
+    setPlaceholder('custom-scale-values', s.customScaleValuesPlaceholder);
+    setPlaceholder('custom-scale-labels', s.customScaleLabelsPlaceholder);
+    setText('btn-add-custom-scale', s.btnAddCustomScale);
+    setText('settings-modal-weights-label', s.settingsWeightsLabel);
+    setText('settings-weights-hint', s.settingsWeightsHint);
+    setText('settings-modal-priority-label', s.settingsPriorityModelLabel);
+    setText('settings-modal-capacity-label', s.settingsCapacityLabel);
+    setText('settings-capacity-hint', s.settingsCapacityHint);
+    setText('capacity-points-label', s.capacityPointsLabel);
+    setText('capacity-period-label', s.capacityPeriodLabel);
+    setText('capacity-period-option-pi', s.capacityPeriodPi);
+    setText('capacity-period-option-iteration', s.capacityPeriodIteration);
+    setText('settings-modal-quadrant-label', s.settingsQuadrantLabel);
+    setText('settings-quadrant-hint', s.settingsQuadrantHint);
+    setText('quadrant-jobsize-label', s.quadrantJobSizeThresholdLabel);
+    setText('quadrant-cod-label', s.quadrantCodThresholdLabel);
+    setText('weight-label-complexity', s.colorComplexity);
+    setText('weight-label-effort', s.colorEffort);
+    setText('weight-label-doubt', s.colorDoubt);
+    setText('weight-label-cod_bv', s.colorBv);
+    setText('weight-label-cod_tc', s.colorTc);
+    setText('weight-label-cod_rroe', s.colorRrOe);
     setTitle('sort-asc-btn', s.tooltipSortAsc);
     setTitle('sort-desc-btn', s.tooltipSortDesc);
     setTitle('filter-lock-btn', isFilterLocked ? s.tooltipFilterUnlock : s.tooltipFilterLock);
@@ -252,6 +302,47 @@ function applyUiStrings() {
     setText('csv-export-text', s.csvExportText);
     setText('btn-csv-export-cancel', s.btnCsvExportCancel);
     setText('btn-csv-export-confirm', s.btnCsvExportConfirm);
+    setText('csv-export-options-label', s.csvExportOptionsLabel);
+    setText('csv-export-delimiter-label', s.csvExportDelimiterLabel);
+    setText('csv-export-decimal-label', s.csvExportDecimalLabel);
+    setText('csv-export-quoting-label', s.csvExportQuotingLabel);
+    setText('csv-export-line-ending-label', s.csvExportLineEndingLabel);
+    setText('csv-export-encoding-label', s.csvExportEncodingLabel);
+    setText('csv-export-wsjf-decimals-label', s.csvExportWsjfDecimalsLabel);
+    setText('csv-export-bom-label', s.csvExportBomLabel);
+
+    setTitle('btn-csv-mapping-import', s.btnCsvMappingImportTitle);
+    setText('csv-mapping-modal-title', s.modalTitleCsvMapping);
+    setText('csv-mapping-text', s.csvMappingText);
+    setText('csv-mapping-file-btn', s.btnCsvMappingChooseFile);
+    setText('csv-mapping-source-label', s.csvMappingSourceLabel);
+    setPlaceholder('csv-mapping-source', s.csvMappingSourcePlaceholder);
+    setText('csv-mapping-fields-label', s.csvMappingFieldsLabel);
+    setText('csv-mapping-preview-label', s.csvMappingPreviewLabel);
+    setText('btn-csv-mapping-cancel', s.btnCsvMappingCancel);
+    setText('btn-csv-mapping-confirm', s.btnCsvMappingConfirm);
+
+    setText('merge-conflict-modal-title', s.modalTitleMergeConflicts);
+    setText('merge-conflict-text', s.mergeConflictText);
+    setText('btn-merge-all-local', s.btnMergeAllLocal);
+    setText('btn-merge-all-incoming', s.btnMergeAllIncoming);
+    setText('merge-reference-label', s.mergeReferenceLabel);
+    setText('btn-merge-cancel', s.btnMergeCancel);
+    setText('btn-merge-confirm', s.btnMergeConfirm);
+    setText('snapshot-modal-title', s.modalTitleSnapshots);
+    setText('snapshot-modal-text', s.snapshotModalText);
+    setPlaceholder('snapshot-name-input', s.snapshotNamePlaceholder);
+    setText('btn-snapshot-save', s.btnSnapshotSave);
+    setText('btn-snapshot-close', s.btnSnapshotClose);
+    setText('btn-snapshot-compare-end', s.btnSnapshotCompareEnd);
+    setText('persistence-banner-text', s.persistenceErrorBanner);
+    setText('btn-persistence-export', s.btnPersistenceExport);
+    setText('btn-persistence-retry', s.btnPersistenceRetry);
+    setText('read-only-banner-text', s.readOnlyBannerText);
+    setText('read-only-exit-link', s.readOnlyExitLink);
+    setPlaceholder('passphrase-input', s.passphrasePlaceholder);
+    setPlaceholder('passphrase-repeat-input', s.passphraseRepeatPlaceholder);
+    setText('btn-passphrase-cancel', s.btnPassphraseCancel);
 
     setText('settings-modal-editor-color-label', s.settingsEditorColorLabel);
     setText('label-editor-c1', s.editorColor1);
@@ -262,7 +353,7 @@ function applyUiStrings() {
     setText('csv-sort-btn-job-size', s.filterJobSize);
     setText('csv-sort-btn-tshirt-size', s.filterTshirtSize);
     setText('csv-sort-btn-cod', s.filterCoD);
-    setText('csv-sort-btn-wsjf', s.filterWSJF);
+    setText('csv-sort-btn-wsjf', getPrioritySortLabel(s.filterWSJF));
     setTitle('csv-sort-custom-btn', s.filterCustomSort);
     setTitle('csv-sort-asc-btn', s.tooltipSortAsc);
     setTitle('csv-sort-desc-btn', s.tooltipSortDesc);
@@ -390,10 +481,11 @@ function applyUiStrings() {
     setText('view-tab-job-size-viz', s.tabJobSizeViz);
     setText('view-tab-cod-viz', s.tabCoDViz);
     setText('view-tab-wsjf-viz', s.tabWsjfViz);
+    setText('view-tab-quadrant-viz', s.tabQuadrantViz);
     setText('view-tab-relative-sizing', s.tabRelativeSizing);
     setText('rs-group-header-job-size', s.groupJobSize);
     setText('rs-group-header-cod', s.groupCoD);
-    setText('rs-group-header-wsjf', s.groupWsjf);
+    setText('rs-group-header-wsjf', getPrioritySortLabel(s.groupWsjf));
 
     spanEl = document.getElementById('rs-col-header-complexity');
     if (spanEl) {
@@ -453,8 +545,8 @@ function applyUiStrings() {
 
     spanEl = document.getElementById('rs-col-header-wsjf');
     if (spanEl) {
-        spanEl.textContent = s.colWsjf || '';
-         if (spanEl.parentElement) { spanEl.parentElement.title = s.tooltipWsjf || ''; }
+        spanEl.textContent = getPrioritySortLabel(s.colWsjf || '');
+         if (spanEl.parentElement) { spanEl.parentElement.title = getPrioritySortLabel(s.tooltipWsjf || ''); }
          else { /* console.warn('applyUiStrings: Parent element for ID "rs-col-header-wsjf" not found.'); */ }
     } else { /* console.warn('applyUiStrings: Element with ID "rs-col-header-wsjf" not found.'); */ }
 
@@ -475,6 +567,139 @@ function applyUiStrings() {
     if (typeof updateRefMarkerButtonState === 'function') {
         updateRefMarkerButtonState();
     }
+
+    setTitle('workspace-select', s.workspaceSelectTitle);
+    renderWorkspaceSwitcher();
+}
+
+
+/**
+ * Returns the score of a Backlog Item in the active prioritization model. This is the value behind the sort criteria <code>'wsjf'</code>.
+ * Uses <code>getPriorityScore</code> (6_utils.js); without it, the classic WSJF is calculated.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @returns {number|null} The score, or <code>null</code> if inputs are missing.
+ */
+function getActivePriorityScore(pbi) {
+    if (typeof getPriorityScore === 'function') return getPriorityScore(pbi);
+    var isComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0 &&
+                     pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0;
+    return (isComplete && pbi.jobSize > 0) ? (pbi.cod || 0) / pbi.jobSize : null;
+}
+
+
+/**
+ * Returns the label of the score sort (filter button, legends, CSV export) for the active prioritization model.
+ * WSJF keeps the given localized text; the other models show their name (e.g. "RICE").
+ *
+ * @param {string} wsjfText - The text used for WSJF.
+ * @returns {string} The label.
+ */
+function getPrioritySortLabel(wsjfText) {
+    if (typeof getActivePrioritizationModel !== 'function' || getActivePrioritizationModel() === 'wsjf') return wsjfText;
+    return getPrioritizationModelName();
+}
+
+
+/**
+ * Calculates the capacity plan for the order shown in the PBI list and the Relative Sizing table (see <code>calculateCapacityPlan</code>).
+ * Only items with a complete Job Size take capacity, so unestimated items never move the cut line.
+ *
+ * @param {Array<Object>} sortedPbis - The items in display order.
+ * @returns {Object|null} The plan, or <code>null</code> if no capacity is configured.
+ */
+function getListCapacityPlan(sortedPbis) {
+    if (typeof getCapacity !== 'function' || typeof calculateCapacityPlan !== 'function') return null;
+    var capacity = getCapacity();
+    if (capacity.points <= 0) return null;
+
+    var plannable = sortedPbis.filter(function(pbi) {
+        return pbi && !pbi.isLastItem && pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+    });
+    return calculateCapacityPlan(plannable, capacity);
+}
+
+
+/**
+ * Marks a row of the PBI list or the Relative Sizing table according to the capacity plan.
+ * <ul>
+ * <li><b>Cut Line:</b> The first item that does not completely fit into the next period gets <code>capacity-cut-before</code>;
+ * the line and its label (<code>data-capacity-label</code>) are drawn by CSS, so the row heights of the aligned columns do not change.</li>
+ * <li><b>Split Items:</b> Items that cross a period boundary get <code>capacity-split</code> and a tooltip naming both periods.</li>
+ * </ul>
+ *
+ * @param {HTMLElement} element - The row.
+ * @param {Object} pbi - The item of the row.
+ * @param {Object|null} plan - The plan from <code>getListCapacityPlan</code>.
+ */
+function applyCapacityMarkers(element, pbi, plan) {
+    if (!plan) return;
+    var s = config.uiStrings || {};
+
+    if (plan.cutBeforeId === pbi.id) {
+        element.classList.add('capacity-cut-before');
+        element.dataset.capacityLabel = (s.capacityCutLabel || 'End of {period} (capacity {points})')
+            .replace('{period}', formatCapacityPeriod(1))
+            .replace('{points}', plan.points);
+    }
+
+    var entry = plan.items[pbi.id];
+    if (entry && entry.isSplit) {
+        element.classList.add('capacity-split');
+        if (!element.title) {
+            element.title = (s.capacitySplitTooltip || 'Split across {from} and {to}')
+                .replace('{from}', formatCapacityPeriod(entry.period))
+                .replace('{to}', formatCapacityPeriod(entry.lastPeriod));
+        }
+    }
+}
+
+
+/**
+ * Resolves the dependencies of the listed items and finds the items that are listed before one of their dependencies.
+ * Returns <code>null</code> without the utility module.
+ *
+ * @param {Array<Object>} sortedPbis - The items in the order of the list.
+ * @returns {{map: Object, violated: Object}|null} The dependency map (<code>buildDependencyMap</code>) and a map <code>{ [id]: [titles of the later dependencies] }</code>.
+ */
+function getListDependencyInfo(sortedPbis) {
+    if (typeof buildDependencyMap !== 'function' || typeof findDependencyViolations !== 'function') return null;
+
+    var listedPbis = sortedPbis.filter(function(pbi) { return pbi && !pbi.isLastItem; });
+    var violated = {};
+    findDependencyViolations(listedPbis).forEach(function(violation) {
+        violated[violation.pbi.id] = (violated[violation.pbi.id] || []).concat(violation.dependency.title);
+    });
+    return { map: buildDependencyMap(listedPbis), violated: violated };
+}
+
+
+/**
+ * Adds the dependency badge (e.g. "↰ 2") behind the title of an item in the PBI list.
+ * The tooltip names the items it depends on; if one of them is listed further down, the badge is flagged (<code>is-violated</code>).
+ *
+ * @param {HTMLElement} element - The list row.
+ * @param {Object} pbi - The item of the row.
+ * @param {Object|null} dependencyInfo - The result of <code>getListDependencyInfo</code>.
+ */
+function applyDependencyBadge(element, pbi, dependencyInfo) {
+    var dependencies = dependencyInfo ? dependencyInfo.map[pbi.id] : null;
+    var titleElement = element.querySelector('.pbi-title-text');
+    if (!dependencies || dependencies.length === 0 || !titleElement) return;
+
+    var s = config.uiStrings || {};
+    var badge = document.createElement('span');
+    badge.className = 'dependency-badge';
+    badge.textContent = '↰ ' + dependencies.length;
+    badge.title = (s.dependencyBadgeTooltip || 'Depends on: {items}')
+        .replace('{items}', dependencies.map(function(dependency) { return dependency.title; }).join(', '));
+
+    var violatedTitles = dependencyInfo.violated[pbi.id];
+    if (violatedTitles) {
+        badge.classList.add('is-violated');
+        badge.title += '\n' + (s.dependencyViolatedTooltip || 'Depends on {items} (scheduled later)').replace('{items}', violatedTitles.join(', '));
+    }
+    titleElement.parentNode.appendChild(badge);
 }
 
 
@@ -492,8 +717,9 @@ function applyUiStrings() {
  * <ul>
  * <li><b>'custom' / 'lock':</b> Reconstructs the order based on an array of IDs (`lockedPbiOrder`). This restores the user's Drag-and-Drop arrangement. Items found in the data but missing from the lock-list are appended at the end.</li>
  * <li><b>'tshirtSize':</b> Maps string values (S, M, L) to numeric indices using `configData.allTshirtSizes` to ensure logical sizing order (XXS < XS < S...).</li>
- * <li><b>'wsjf':</b> Calculates the Weighted Shortest Job First score dynamically:
+ * <li><b>'wsjf':</b> Sorts by the score of the active prioritization model (<code>getActivePriorityScore</code>). For the default model this is the Weighted Shortest Job First score:
  * $$WSJF = \frac{\text{Cost of Delay}}{\text{Job Size}}$$
+ * RICE, ICE, CD3 and MoSCoW use their own scores; items without a score are treated as 0.
  * </li>
  * <li><b>Standard Properties:</b> Sorts numerically by fields like `jobSize`, `cod`, etc. Uses the Title as a fallback tie-breaker.</li>
  * </ul>
@@ -584,18 +810,11 @@ function getSortedPbis(pbisToSort, criteria, direction, configData, isWsjfTabAct
                 valA = sizeOrder[a.tshirtSize] || 999;
                 valB = sizeOrder[b.tshirtSize] || 999;
             } else if (criteria === 'wsjf') {
+                var scoreA = getActivePriorityScore(a);
+                var scoreB = getActivePriorityScore(b);
 
-                var isJobSizeCompleteA = (a.complexity > 0 && a.effort > 0 && a.doubt > 0);
-                var isCodCompleteA = (a.cod_bv > 0 && a.cod_tc > 0 && a.cod_rroe > 0);
-                
-                var isJobSizeCompleteB = (b.complexity > 0 && b.effort > 0 && b.doubt > 0);
-                var isCodCompleteB = (b.cod_bv > 0 && b.cod_tc > 0 && b.cod_rroe > 0);
-
-                const sumA = a.jobSize || 1;
-                const sumB = b.jobSize || 1;
-                
-                valA = (isJobSizeCompleteA && isCodCompleteA) ? ((a.cod || 0) / sumA) : 0;
-                valB = (isJobSizeCompleteB && isCodCompleteB) ? ((b.cod || 0) / sumB) : 0;
+                valA = scoreA !== null ? scoreA : 0;
+                valB = scoreB !== null ? scoreB : 0;
 
             } else {
                 valA = typeof a[criteria] === 'number' ? a[criteria] : 0;
@@ -653,7 +872,8 @@ function getSortedPbis(pbisToSort, criteria, direction, configData, isWsjfTabAct
  * <li><b>Data Availability:</b> Most buttons (Export, Sort, Filter) are disabled if the list is empty (`!hasPbis`).</li>
  * <li><b>Metric-Specific Filtering:</b>
  * <ul>
- * <li><b>CoD & WSJF:</b> Buttons are only enabled if at least one item has a calculated Cost of Delay (`isAnyCoDAvailable`).</li>
+ * <li><b>CoD & WSJF:</b> Buttons are only enabled if at least one item has a calculated Cost of Delay (`isAnyCoDAvailable`).
+ * With an alternative prioritization model (RICE, ICE, CD3, MoSCoW), the score button instead requires at least one item with a score of this model.</li>
  * <li><b>T-Shirt Size:</b> The button is only enabled if at least one item has an assigned T-Shirt size.</li>
  * </ul>
  * </li>
@@ -671,6 +891,8 @@ function updateFilterButtonStates() {
     const realPbis = pbis.filter(function(p) { return !p.isLastItem; });
     const hasPbis = realPbis.length > 0;
     const isAnyCoDAvailable = realPbis.some(pbi => pbi.cod && pbi.cod > 0);
+    const isWsjfModel = typeof getActivePrioritizationModel !== 'function' || getActivePrioritizationModel() === 'wsjf';
+    const isAnyScoreAvailable = isWsjfModel ? isAnyCoDAvailable : realPbis.some(pbi => getActivePriorityScore(pbi) !== null);
     const isAnyTshirtSizeAvailable = realPbis.some(pbi => pbi.tshirtSize);
     
     const jobSizeBtn = document.getElementById('filter-job-size-btn');
@@ -688,7 +910,7 @@ function updateFilterButtonStates() {
 
     if (jobSizeBtn) jobSizeBtn.disabled = !hasPbis || isFilterLocked;
     if (codBtn) codBtn.disabled = !hasPbis || !isAnyCoDAvailable || isFilterLocked;
-    if (wsjfBtn) wsjfBtn.disabled = !hasPbis || !isAnyCoDAvailable || isFilterLocked;
+    if (wsjfBtn) wsjfBtn.disabled = !hasPbis || !isAnyScoreAvailable || isFilterLocked;
     if (tshirtSizeBtn) tshirtSizeBtn.disabled = !hasPbis || !isAnyTshirtSizeAvailable || isFilterLocked;
 
     const isCustomSort = currentSortCriteria === 'custom';
@@ -705,7 +927,7 @@ function updateFilterButtonStates() {
 
     const defaultCriteria = 'creationOrder';
 
-    if (hasPbis && !isAnyCoDAvailable && (currentSortCriteria === 'cod' || currentSortCriteria === 'wsjf')) {
+    if (hasPbis && ((!isAnyCoDAvailable && currentSortCriteria === 'cod') || (!isAnyScoreAvailable && currentSortCriteria === 'wsjf'))) {
         currentSortCriteria = defaultCriteria;
         document.querySelector('.filter-btn.active')?.classList.remove('active');
     }
@@ -730,15 +952,23 @@ function updateFilterButtonStates() {
  * <br><b>Core Concept: Economic Sequencing</b>
  * This function visualizes the "Cost of Delay" (CoD) over time. It compares:
  * <ol>
- * <li><b>Optimal Order:</b> PBIs sorted strictly by their WSJF score ($WSJF = \frac{CoD}{JobSize}$). This represents the theoretical minimum total cost.</li>
+ * <li><b>Optimal Order:</b> The order with the lowest total delay cost, computed by <code>computeOptimalSchedule</code>. With constant CoD this is the WSJF order ($WSJF = \frac{CoD}{JobSize}$);
+ * items with an urgency profile (deadline, expedite, rising cost) can move away from their WSJF position, and every item follows the items it depends on.</li>
  * <li><b>Current Order:</b> The PBIs in the order currently selected by the user (e.g., custom drag-order or sorted by Name).</li>
  * </ol>
  *
  * <br><b>Visualization Logic:</b>
  * <ul>
  * <li><b>Filtering:</b> Only PBIs with both a valid `cod` > 0 and `jobSize` > 0 are included. Incomplete items are ignored for this chart.</li>
- * <li><b>Ranking & Styling:</b> Assigns a rank and a pastel color to each PBI based on its WSJF score. These colors are persistent to help the user identify the same item in both charts.</li>
+ * <li><b>Ranking & Styling:</b> Assigns a rank and a pastel color to each PBI based on its WSJF score. These colors are persistent to help the user identify the same item in both charts.
+ * The ranks stay the WSJF ranks of the list, so a deviating optimal schedule is visible in the numbering of the optimal chart.</li>
  * <li><b>Cost Calculation:</b> Calculates the "Cumulative Cost of Delay". If the current order is less efficient than the optimal one, the UI displays a percentage-based "Waste" or "Higher Cost" indicator.</li>
+ * <li><b>Dependencies:</b> A circular dependency (<code>findDependencyCycle</code>) is reported above the charts, as the optimal order then has to ignore the links.
+ * Otherwise, the number of dependencies violated by the current order is shown next to its title.</li>
+ * <li><b>Probabilistic Mode:</b> While <code>isProbabilisticMode</code> is on, both orders are simulated in the background
+ * (<code>requestMonteCarloSimulation</code>, item sizes spread by their Doubt). When the result arrives, each chart gets the band
+ * of its accumulated delay cost and the P50/P85 completion points of its items (<code>renderMonteCarloForecast</code>).
+ * A result that arrives after the charts have been rendered again is dropped.</li>
  * </ul>
  *
  * <br><b>UI States:</b>
@@ -820,7 +1050,9 @@ function renderWsjfVisualization(pbisToRender) {
         };
     });
 
-    var idealSortedPbis = pbisForRanking.map(function(item){ return item.originalPbi; });
+    var idealSortedPbis = (typeof computeOptimalSchedule === 'function')
+        ? computeOptimalSchedule(validPbis)
+        : pbisForRanking.map(function(item){ return item.originalPbi; });
     var currentSortedPbis = validPbis.slice();
 
     var compareFn;
@@ -845,8 +1077,8 @@ function renderWsjfVisualization(pbisToRender) {
         };
     } else if (currentSortCriteria === 'wsjf') {
          compareFn = function(a, b) {
-             var valA = (a.cod / (a.jobSize || 1));
-             var valB = (b.cod / (b.jobSize || 1));
+             var valA = getActivePriorityScore(a) || 0;
+             var valB = getActivePriorityScore(b) || 0;
              return valA - valB;
          };
     } else {
@@ -888,12 +1120,30 @@ function renderWsjfVisualization(pbisToRender) {
         return;
     }
 
+    var dependencyCycle = (typeof findDependencyCycle === 'function') ? findDependencyCycle(validPbis) : null;
+    if (dependencyCycle) {
+        var cycleMessage = document.createElement('div');
+        cycleMessage.id = 'wsjf-dependency-error';
+        cycleMessage.textContent = (uiStrings.dependencyCycleError || 'Circular dependency: {items}. The optimal order ignores all dependencies until the cycle is resolved.')
+            .replace('{items}', dependencyCycle.map(function(pbi) { return pbi.title; }).join(' → '));
+        container.insertBefore(cycleMessage, container.firstChild);
+    } else if (typeof findDependencyViolations === 'function') {
+        var violationCount = findDependencyViolations(currentSortedPbis).length;
+        var currentTitleContainer = document.getElementById('wsjf-chart-current-title-container');
+        if (violationCount > 0 && currentTitleContainer) {
+            var violationNote = document.createElement('span');
+            violationNote.className = 'wsjf-dependency-violations';
+            violationNote.textContent = (uiStrings.dependencyViolationsLabel || '{count} violated dependencies').replace('{count}', violationCount);
+            currentTitleContainer.appendChild(violationNote);
+        }
+    }
+
     var optimalCostValueSpan = document.getElementById('wsjf-chart-optimal-total-cost-value');
     var currentCostValueSpan = document.getElementById('wsjf-chart-current-total-cost-value');
     var currentCostLabelDiv = document.getElementById('wsjf-chart-current-total-cost');
 
     if (optimalCostValueSpan) {
-        optimalCostValueSpan.textContent = optimalCost.toLocaleString();
+        optimalCostValueSpan.textContent = formatNumber(optimalCost);
     }
 
     if (currentCostValueSpan && currentCostLabelDiv) {
@@ -909,13 +1159,80 @@ function renderWsjfVisualization(pbisToRender) {
              costClass = 'cost-optimal';
         }
 
-        currentCostValueSpan.textContent = currentCost.toLocaleString() + costSuffix;
+        currentCostValueSpan.textContent = formatNumber(currentCost) + costSuffix;
         currentCostLabelDiv.className = 'wsjf-total-cost ' + costClass;
     }
+
+    if (typeof isProbabilisticMode !== 'undefined' && isProbabilisticMode
+        && typeof requestMonteCarloSimulation === 'function' && typeof renderMonteCarloForecast === 'function') {
+        requestMonteCarloSimulation({ optimal: idealSortedPbis, current: currentSortedPbis }, function(simulation) {
+            if (!optimalChartWrapper.isConnected || !currentChartWrapper.isConnected) return;
+            renderMonteCarloForecast('wsjf-chart-optimal', idealSortedPbis, simulation, 'optimal', pbiIdToStyleMap);
+            renderMonteCarloForecast('wsjf-chart-current', currentSortedPbis, simulation, 'current', pbiIdToStyleMap);
+        });
+    }
 }
 renderWsjfVisualization.warned = false;
 
 
+/**
+ * Renders the quadrant matrix panel (value vs. size) with <code>createQuadrantMatrix</code>.
+ * <br><b>Logic:</b>
+ * <ul>
+ * <li><b>Filtering:</b> Like the WSJF charts, only items with a complete Job Size and a complete CoD are plotted.</li>
+ * <li><b>Ranking & Styling:</b> The points get the same WSJF ranks and pastel colors as the blocks of the WSJF charts,
+ * including custom colors from the `pbiIdToCustomColor` map, so an item can be recognized in both views.</li>
+ * <li><b>No Data:</b> Without plottable items, a short message is shown instead of the matrix.</li>
+ * </ul>
+ *
+ * @param {Array<Object>} [pbisToRender] - Optional subset of PBIs to plot. Defaults to the global `pbis` array.
+ */
+function renderQuadrantVisualization(pbisToRender) {
+    var container = document.getElementById("quadrant-visualization-container");
+    if (!container) return;
+    container.innerHTML = "";
+    var uiStrings = config.uiStrings;
+    var pbisForProcessing = Array.isArray(pbisToRender) ? pbisToRender : (Array.isArray(pbis) ? pbis : []);
+
+    var validPbis = pbisForProcessing.filter(function(pbi) {
+        if (!pbi || pbi.isLastItem) return false;
+        return (pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0) && (pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0);
+    });
+
+    if (validPbis.length === 0) {
+        var noDataMessage = document.createElement('div');
+        noDataMessage.className = 'quadrant-no-data';
+        noDataMessage.textContent = uiStrings.quadrantChartNoData || "No items with a complete Job Size and Cost of Delay available.";
+        container.appendChild(noDataMessage);
+        return;
+    }
+
+    var pbisForRanking = validPbis.map(function(pbi) {
+        return { id: pbi.id, wsjf: (pbi.cod / (pbi.jobSize || 1)) };
+    });
+    pbisForRanking.sort(function(a, b) { return b.wsjf - a.wsjf; });
+
+    var pbiIdToStyleMap = {};
+    var colorPalette = (config && config.pastelColorPalette) || ['#e0e0e0'];
+    if (colorPalette.length === 0) colorPalette = ['#e0e0e0'];
+
+    pbisForRanking.forEach(function(item, index) {
+        var rank = index + 1;
+        var defaultColor = colorPalette[(rank - 1) % colorPalette.length];
+        var finalColor = (typeof pbiIdToCustomColor !== 'undefined' && pbiIdToCustomColor[item.id])
+                        ? pbiIdToCustomColor[item.id]
+                        : defaultColor;
+        pbiIdToStyleMap[item.id] = { rank: rank, color: finalColor };
+    });
+
+    if (typeof createQuadrantMatrix === 'function') {
+        createQuadrantMatrix(container, validPbis, pbiIdToStyleMap);
+    } else {
+        console.error("createQuadrantMatrix function is not defined! Cannot render the quadrant matrix.");
+    }
+}
+
+
 /**
  * Factory function that constructs the HTML boilerplate for a WSJF chart container.
  * <br><b>Structural Components:</b>
@@ -1136,7 +1453,7 @@ function updateRelativeSizingHeaders() {
  * * <br><b>Execution Sequence:</b>
  * <ol>
  * <li><b>Data Preparation:</b> Calls `ensureLastItemExists` to make sure the "Add New" placeholder 
- * is present in the array before rendering.</li>
+ * is present in the array before rendering. In auto mode, the T-shirt sizes are derived from the Job Sizes first (`syncAutoTshirtSizes`).</li>
  * <li><b>UI State Sync:</b> Updates visibility flags, legend descriptions, filter button states, 
  * and table headers to match the current configuration.</li>
  * <li><b>Component Rendering:</b> Triggers the individual render functions for:
@@ -1145,6 +1462,7 @@ function updateRelativeSizingHeaders() {
  * <li>The Job Size Bubble Visualization.</li>
  * <li>The Cost of Delay (CoD) Bubble Visualization.</li>
  * <li>The WSJF Economic Chart.</li>
+ * <li>The Quadrant Matrix (value vs. size).</li>
  * <li>The Relative Sizing Table.</li>
  * </ul>
  * </li>
@@ -1157,6 +1475,7 @@ function updateRelativeSizingHeaders() {
  * <li>Triggers a visual "pulse" effect for the last edited item to guide the user.</li>
  * </ul>
  * </li>
+ * <li><b>Presenter View:</b> Sends the new state to connected presenter windows (`schedulePresenterBroadcast`).</li>
  * </ol>
  * * <br><b>Performance Note:</b>
  * The use of `requestAnimationFrame` is critical here to avoid "layout thrashing" and to ensure 
@@ -1172,6 +1491,10 @@ function renderAll() {
         splitRootElement.classList.toggle('custom-sort-active', currentSortCriteria === 'custom');
     }
 
+    if (typeof syncAutoTshirtSizes === 'function') {
+        syncAutoTshirtSizes(pbis);
+    }
+
     var pbisForRendering; 
     if (typeof ensureLastItemExists === 'function') {
         var ensuredPbis = ensureLastItemExists(pbis); 
@@ -1206,6 +1529,7 @@ function renderAll() {
     renderAllVisualizations(pbisForRendering);
     renderCodVisualizations(pbisForRendering);
     renderWsjfVisualization(pbisForRendering);
+    renderQuadrantVisualization(pbisForRendering);
     renderRelativeSizingList(pbisForRendering); 
 
     updateReferenceSlots();
@@ -1220,6 +1544,8 @@ function renderAll() {
         if (typeof destroySortable === 'function') destroySortable();
         if (typeof initSortable === 'function') initSortable();
     });
+
+    if (typeof schedulePresenterBroadcast === 'function') schedulePresenterBroadcast();
 }
 
 
@@ -1232,6 +1558,8 @@ function renderAll() {
  * <li><b>WSJF Ranking:</b> When the WSJF tab is active, it calculates relative ranks ($CoD / JobSize$) and assigns persistent pastel colors to items based on their position.</li>
  * <li><b>Reference Pinning:</b> Visualizes "Min" and "Max" anchors using specific icons and classes, provided the view is not in "Custom Sort" or "WSJF" mode.</li>
  * <li><b>Relevance Feedback:</b> Adds the `is-irrelevant-to-sort` class to items that lack the data required for the currently active sort criteria (e.g., hiding a PBI's prominence when sorting by WSJF but it lacks a CoD value).</li>
+ * <li><b>Capacity:</b> If a capacity is configured, draws the cut line of the next PI or iteration and flags split items in the displayed order (`applyCapacityMarkers`).</li>
+ * <li><b>Dependencies:</b> Items that depend on other items show a badge with the number of dependencies; it is flagged if a dependency is listed further down (`applyDependencyBadge`).</li>
  * </ol>
  *
  * <br><b>Technical Implementation Details:</b>
@@ -1283,6 +1611,8 @@ function renderPbiList(pbisToRender) {
     }
 
     var sortedPbisToRender = getSortedPbis(pbisForProcessing, currentSortCriteria, currentSortDirection, config, isWsjfTabActive);
+    var capacityPlan = getListCapacityPlan(sortedPbisToRender);
+    var dependencyInfo = getListDependencyInfo(sortedPbisToRender);
 
     pbiListContainer.classList.toggle('is-sortable-active', isCustomSortActive && !isFilterLocked);
 
@@ -1365,7 +1695,7 @@ function renderPbiList(pbisToRender) {
              if (currentSortCriteria === 'creationOrder' || currentSortCriteria === 'custom' || currentSortCriteria === 'lock') { isIrrelevantToSort = false; }
              else if (currentSortCriteria === "jobSize" && !isJobSizeComplete) { isIrrelevantToSort = true; }
              else if (currentSortCriteria === "cod" && !hasValidCod) { isIrrelevantToSort = true; }
-             else if (currentSortCriteria === "wsjf" && !hasValidWsjf) { isIrrelevantToSort = true; }
+             else if (currentSortCriteria === "wsjf" && getActivePriorityScore(pbi) === null) { isIrrelevantToSort = true; }
              else if (currentSortCriteria === "tshirtSize" && !pbi.tshirtSize) { isIrrelevantToSort = true; }
              else if ((currentSortCriteria === "complexity" || currentSortCriteria === "effort" || currentSortCriteria === "doubt") && (!pbi[currentSortCriteria] || pbi[currentSortCriteria] <= 0)) { isIrrelevantToSort = true; }
              else if ((currentSortCriteria === "cod_bv" || currentSortCriteria === "cod_tc" || currentSortCriteria === "cod_rroe") && (!pbi[currentSortCriteria] || pbi[currentSortCriteria] <= 0)) { isIrrelevantToSort = true; }
@@ -1375,11 +1705,11 @@ function renderPbiList(pbisToRender) {
         var jobSize = isJobSizeComplete ? pbi.jobSize : null;
         var detailsText;
         if (hasValidWsjf) {
-            var wsjfValue = (pbi.cod / jobSize).toFixed(2).replace(".", ",");
-            detailsText = uiStrings.pbiInfoJobSize + ": " + jobSize + " - " + uiStrings.pbiInfoCoD + ": " + pbi.cod + " - " + uiStrings.pbiInfoWSJF + ": " + wsjfValue;
+            var wsjfValue = formatNumber(pbi.cod / jobSize, 2);
+            detailsText = uiStrings.pbiInfoJobSize + ": " + formatNumber(jobSize) + " - " + uiStrings.pbiInfoCoD + ": " + formatNumber(pbi.cod) + " - " + uiStrings.pbiInfoWSJF + ": " + wsjfValue;
         } else {
-            var jobSizeDisplay = jobSize !== null ? jobSize : uiStrings.pbiInfoNA;
-            var codDisplay = hasValidCod ? pbi.cod : uiStrings.pbiInfoNA;
+            var jobSizeDisplay = jobSize !== null ? formatNumber(jobSize) : uiStrings.pbiInfoNA;
+            var codDisplay = hasValidCod ? formatNumber(pbi.cod) : uiStrings.pbiInfoNA;
             detailsText = uiStrings.pbiInfoJobSize + ": " + jobSizeDisplay + " - " + uiStrings.pbiInfoCoD + ": " + codDisplay + " - " + uiStrings.pbiInfoWSJF + ": " + uiStrings.pbiInfoNA;
         }
 
@@ -1393,6 +1723,9 @@ function renderPbiList(pbisToRender) {
             if (!pbi.effort) missing.push(uiStrings.colEffort);
             if (!pbi.doubt) missing.push(uiStrings.colDoubt);
             if (missing.length > 0) { tshirtTooltip = ' title="' + uiStrings.tooltipJobSizeNa.replace('{missingValues}', missing.join(', ')) + '"'; }
+        } else if (typeof isTshirtSizeOverridden === 'function' && isTshirtSizeOverridden(pbi)) {
+            tshirtClasses += " is-overridden";
+            tshirtTooltip = ' title="' + (uiStrings.tooltipTshirtOverridden || "Set manually - not derived from the Job Size") + '"';
         }
         var tshirtHtml = '<div class="' + tshirtClasses + '"' + tshirtTooltip + '>' + tshirtSize + '</div>';
 
@@ -1448,6 +1781,9 @@ function renderPbiList(pbisToRender) {
             tshirtElement.classList.add("is-wide");
         }
 
+        applyCapacityMarkers(pbiItem, pbi, capacityPlan);
+        applyDependencyBadge(pbiItem, pbi, dependencyInfo);
+
         pbiListContainer.appendChild(pbiItem);
     });
 }
@@ -1533,7 +1869,7 @@ function renderAllVisualizations() {
                     isIrrelevant = true;
                 } else if (currentSortCriteria === "cod" && !hasValidCod) {
                     isIrrelevant = true;
-                } else if (currentSortCriteria === "wsjf" && !hasValidWsjf) {
+                } else if (currentSortCriteria === "wsjf" && getActivePriorityScore(pbi) === null) {
                     isIrrelevant = true;
                 } else if (currentSortCriteria === "tshirtSize" && !pbi.tshirtSize) {
                      isIrrelevant = true;
@@ -1589,6 +1925,10 @@ function renderAllVisualizations() {
             var tshirtElement = document.createElement("div");
             var tshirtClasses = "story-title-tshirt story-title-tshirt-clickable";
             
+            if (typeof isTshirtSizeOverridden === 'function' && isTshirtSizeOverridden(pbi)) {
+                tshirtClasses += " is-overridden";
+                tshirtElement.title = uiStrings.tooltipTshirtOverridden || "Set manually - not derived from the Job Size";
+            }
             tshirtElement.className = tshirtClasses;
             tshirtElement.textContent = pbi.tshirtSize || "-";
             tshirtElement.style.marginBottom = "0"; 
@@ -1604,7 +1944,7 @@ function renderAllVisualizations() {
         if (hasValidWsjf) {
             var wsjfElement = document.createElement("div");
             wsjfElement.className = "story-title-wsjf";
-            var wsjfValue = (pbi.cod / jobSize).toFixed(2).replace(".", ",");
+            var wsjfValue = formatNumber(pbi.cod / jobSize, 2);
             wsjfElement.textContent = uiStrings.pbiInfoWSJF + ": " + wsjfValue;
             metaTagsContainer.appendChild(wsjfElement);
         } else if (isWsjfTabActive) {
@@ -1716,7 +2056,7 @@ function renderCodVisualizations() {
                 isIrrelevantToSort = true;
             } else if (currentSortCriteria === "cod" && !hasValidCod) {
                 isIrrelevantToSort = true;
-            } else if (currentSortCriteria === "wsjf" && (!isJobSizeComplete || !hasValidCod)) {
+            } else if (currentSortCriteria === "wsjf" && getActivePriorityScore(pbi) === null) {
                 isIrrelevantToSort = true;
             } else if (currentSortCriteria === "tshirtSize" && !pbi.tshirtSize) {
                  isIrrelevantToSort = true;
@@ -1772,7 +2112,7 @@ function renderCodVisualizations() {
             var wsjfElement = document.createElement("div");
             wsjfElement.className = "story-title-wsjf";
             if (isJobSizeComplete) {
-                var wsjfValue = (pbi.cod / jobSize).toFixed(2).replace(".", ",");
+                var wsjfValue = formatNumber(pbi.cod / jobSize, 2);
                 wsjfElement.textContent = uiStrings.pbiInfoWSJF + ": " + wsjfValue;
             } else {
                 wsjfElement.textContent = uiStrings.pbiInfoWSJF + ": " + uiStrings.pbiInfoNA;
@@ -1841,6 +2181,14 @@ function renderCodVisualizations() {
  * within the column currently selected via `currentHighlightedColumn`.</li>
  * <li><b>Sort Relevance:</b> Items that lack data for the active global sort criteria 
  * are faded out using the `.is-irrelevant-to-sort` class.</li>
+ * <li><b>Snapshot Comparison:</b> While `activeSnapshotComparison` is set, the Job Size, CoD and WSJF cells show the
+ * deltas against the snapshot (`appendSnapshotDelta`), new items get the `.snapshot-added` class and a bar above the table
+ * summarizes the comparison including removed items (`renderSnapshotComparisonBar`).</li>
+ * <li><b>Consistency Check:</b> A panel above the table lists estimates that contradict the reference items (`renderConsistencyPanel`).</li>
+ * <li><b>Planning Poker:</b> Input cells of items with votes show the state of the voting (`appendVoteBadge`).</li>
+ * <li><b>Prioritization Model:</b> With RICE, ICE, CD3 or MoSCoW active, the last column group shows the inputs and the score of that model
+ * instead of WSJF (`updatePriorityColumnHeaders`).</li>
+ * <li><b>Capacity:</b> The same cut line and split flags as in the PBI list mark which rows fit into the next PI or iteration (`applyCapacityMarkers`).</li>
  * </ul>
  *
  * <br><b>Layout Management:</b>
@@ -1861,7 +2209,18 @@ function renderRelativeSizingList(pbisToRender) {
     var isWsjfTabActive = wsjfPanel && !wsjfPanel.classList.contains('hidden');
     var isCustomSortActive = currentSortCriteria === 'custom'; 
 
+    var priorityModelId = (typeof getActivePrioritizationModel === 'function') ? getActivePrioritizationModel() : 'wsjf';
+    var priorityFields = (priorityModelId !== 'wsjf') ? PRIORITIZATION_MODELS[priorityModelId].fields : [];
+    updatePriorityColumnHeaders(priorityModelId, priorityFields);
+
     const sortedPbis = getSortedPbis(pbisForProcessing, currentSortCriteria, currentSortDirection, config, isWsjfTabActive); 
+    var capacityPlan = getListCapacityPlan(sortedPbis);
+
+    var comparison = (typeof activeSnapshotComparison !== 'undefined' && activeSnapshotComparison && typeof compareWithSnapshot === 'function')
+        ? compareWithSnapshot(pbisForProcessing, activeSnapshotComparison.backlogItems)
+        : null;
+    renderSnapshotComparisonBar(comparison);
+    renderConsistencyPanel(pbisForProcessing);
 
     const titleMap = {
         'complexity': uiStrings.tooltipComplexity,
@@ -1889,6 +2248,7 @@ function renderRelativeSizingList(pbisToRender) {
                              '<div class="rs-cell"></div>' +
                              '<div class="rs-cell"></div>' +
                              '<div class="rs-cell calculated"></div>' +
+                             '<div class="rs-cell"></div>'.repeat(priorityFields.length) +
                              '<div class="rs-cell calculated"></div>';
             container.appendChild(item);
             return;
@@ -1912,7 +2272,7 @@ function renderRelativeSizingList(pbisToRender) {
                 isIrrelevantToSort = true;
             } else if (currentSortCriteria === "cod" && !hasValidCod) {
                 isIrrelevantToSort = true;
-            } else if (currentSortCriteria === "wsjf" && (!isJobSizeComplete || !hasValidCod)) {
+            } else if (currentSortCriteria === "wsjf" && getActivePriorityScore(pbi) === null) {
                 isIrrelevantToSort = true;
             } else if (currentSortCriteria === "tshirtSize" && !pbi.tshirtSize) {
                  isIrrelevantToSort = true;
@@ -1927,6 +2287,12 @@ function renderRelativeSizingList(pbisToRender) {
             item.classList.add("is-irrelevant-to-sort");
         }
 
+        var itemChanges = comparison ? comparison.changes[pbi.id] : null;
+        if (comparison && comparison.added.indexOf(pbi.id) !== -1) {
+            item.classList.add("snapshot-added");
+            item.title = uiStrings.snapshotAddedTooltip || "New since the snapshot";
+        }
+
         const columns = {
             'complexity': pbi.complexity,
             'effort': pbi.effort,
@@ -1990,16 +2356,45 @@ function renderRelativeSizingList(pbisToRender) {
                     cell.title = cellTitle;
                 }
             }
+            if (key === 'jobSize') {
+                appendSnapshotDelta(cell, 'jobSize', itemChanges);
+                appendSnapshotDelta(cell, 'tshirtSize', itemChanges);
+            } else if (key === 'cod') {
+                appendSnapshotDelta(cell, 'cod', itemChanges);
+            } else {
+                appendVoteBadge(cell, pbi, key);
+            }
             item.appendChild(cell);
         }
 
+        priorityFields.forEach(function(field) {
+            const cell = document.createElement('div');
+            cell.className = 'rs-cell rs-priority-cell';
+            cell.textContent = formatPriorityValue(field, getPriorityValues(pbi, priorityModelId)[field.key]);
+            cell.title = getPriorityLabel(field);
+            item.appendChild(cell);
+        });
+
         const wsjfCell = document.createElement('div');
         wsjfCell.className = 'rs-cell calculated';
         if ('wsjf' === currentHighlightedColumn) {
             wsjfCell.classList.add('highlighted');
         }
-        if (hasValidCod && isJobSizeComplete) {
-            wsjfCell.textContent = (pbi.cod / pbi.jobSize).toFixed(2).replace('.', ',');
+        if (priorityModelId !== 'wsjf') {
+            var modelName = getPrioritizationModelName(priorityModelId);
+            var scoreText = formatPriorityScore(pbi, priorityModelId);
+            if (scoreText !== null) {
+                wsjfCell.textContent = scoreText;
+                wsjfCell.title = modelName;
+            } else {
+                wsjfCell.textContent = uiStrings.pbiInfoNA;
+                wsjfCell.classList.add('is-na-value');
+                wsjfCell.title = (uiStrings.tooltipPriorityNa || '{model} cannot be calculated. Missing: {missingValues}')
+                    .replace('{model}', modelName)
+                    .replace('{missingValues}', getMissingPriorityFields(pbi, priorityModelId).join(', '));
+            }
+        } else if (hasValidCod && isJobSizeComplete) {
+            wsjfCell.textContent = formatNumber(pbi.cod / pbi.jobSize, 2);
             wsjfCell.title = uiStrings.tooltipWsjf;
         } else {
             wsjfCell.textContent = uiStrings.pbiInfoNA;
@@ -2013,14 +2408,254 @@ function renderRelativeSizingList(pbisToRender) {
                 wsjfCell.title = uiStrings.tooltipWsjf;
             }
         }
+        if (priorityModelId === 'wsjf') {
+            appendSnapshotDelta(wsjfCell, 'wsjfRank', itemChanges);
+        }
         item.appendChild(wsjfCell);
 
+        applyCapacityMarkers(item, pbi, capacityPlan);
+
         container.appendChild(item);
     });
     requestAnimationFrame(syncRelativeSizingHeaderPadding);
 }
 
 
+/**
+ * Adapts the score column group of the Relative Sizing table to the active prioritization model.
+ * <br><b>WSJF:</b> The group keeps its single WSJF column and the grid layout of the stylesheet.
+ * <br><b>Other models:</b> One header per input of the model (e.g. Reach, Impact, Confidence, Effort for RICE) is inserted before the score column,
+ * the group and the score column are named after the model, and the grid is widened through the CSS variables
+ * <code>--rs-grid-columns</code> and <code>--rs-group-columns</code> (set on the header and the list, so rows and headers stay aligned).
+ * The input columns have no <code>data-sort-by</code>, as the table is sorted by the score of the model.
+ *
+ * @param {string} modelId - The active prioritization model.
+ * @param {Array<Object>} fields - The input fields of the model (empty for WSJF).
+ */
+function updatePriorityColumnHeaders(modelId, fields) {
+    var scoreHeader = document.querySelector('#relative-sizing-header .rs-col-header[data-sort-by="wsjf"]');
+    if (!scoreHeader) return;
+
+    var headerRow = scoreHeader.parentNode;
+    headerRow.querySelectorAll('.rs-priority-col-header').forEach(function(el) { el.remove(); });
+    fields.forEach(function(field) {
+        var header = document.createElement('div');
+        header.className = 'rs-col-header rs-priority-col-header';
+        var text = document.createElement('span');
+        text.className = 'rs-header-text';
+        text.textContent = getPriorityLabel(field);
+        header.appendChild(text);
+        headerRow.insertBefore(header, scoreHeader);
+    });
+
+    var s = config.uiStrings || {};
+    var groupHeader = document.getElementById('rs-group-header-wsjf');
+    if (groupHeader) groupHeader.textContent = getPrioritySortLabel(s.groupWsjf || '');
+    var scoreText = document.getElementById('rs-col-header-wsjf');
+    if (scoreText) {
+        scoreText.textContent = getPrioritySortLabel(s.colWsjf || '');
+        scoreHeader.title = getPrioritySortLabel(s.tooltipWsjf || '');
+    }
+
+    var isWsjf = (modelId === 'wsjf');
+    ['relative-sizing-header', 'relative-sizing-list'].forEach(function(id) {
+        var el = document.getElementById(id);
+        if (!el) return;
+        if (isWsjf) {
+            el.style.removeProperty('--rs-grid-columns');
+            el.style.removeProperty('--rs-group-columns');
+        } else {
+            el.style.setProperty('--rs-grid-columns', 'repeat(3, 1fr) 0.9fr repeat(4, 1fr) repeat(' + fields.length + ', 1fr) 0.9fr');
+            el.style.setProperty('--rs-group-columns', '3.9fr 4fr ' + (fields.length + 0.9) + 'fr');
+        }
+    });
+}
+
+
+/**
+ * Appends a delta badge for one compared value to a cell of the Relative Sizing table.
+ * <br><b>Display:</b>
+ * <ul>
+ * <li><b>Job Size / CoD:</b> The difference, e.g. <code>+3</code> or <code>-2</code>.</li>
+ * <li><b>WSJF Rank:</b> The movement in the ranking, e.g. <code>▲2</code> (moved up by two places).</li>
+ * <li><b>T-Shirt Size:</b> The old and new size, e.g. <code>M→L</code>.</li>
+ * <li>If a value was or became incomplete, the badge shows <code>*</code>.</li>
+ * </ul>
+ * The tooltip names the value in the snapshot and now.
+ *
+ * @param {HTMLElement} cell - The table cell.
+ * @param {string} field - <code>'jobSize'</code>, <code>'cod'</code>, <code>'wsjfRank'</code> or <code>'tshirtSize'</code>.
+ * @param {Object|null} itemChanges - The changes of the item as returned by <code>compareWithSnapshot</code>.
+ */
+function appendSnapshotDelta(cell, field, itemChanges) {
+    if (!itemChanges || !itemChanges[field]) return;
+
+    var s = config.uiStrings || {};
+    var change = itemChanges[field];
+    var badge = document.createElement('span');
+    badge.className = 'snapshot-delta';
+
+    if (field === 'tshirtSize') {
+        badge.textContent = (change.from || '–') + '→' + (change.to || '–');
+        badge.classList.add('is-changed');
+    } else if (change.from === null || change.to === null) {
+        badge.textContent = '*';
+        badge.classList.add('is-changed');
+    } else if (field === 'wsjfRank') {
+        var places = change.from - change.to;
+        badge.textContent = (places > 0 ? '▲' : '▼') + Math.abs(places);
+        badge.classList.add(places > 0 ? 'is-increase' : 'is-decrease');
+    } else {
+        var diff = change.to - change.from;
+        badge.textContent = (diff > 0 ? '+' : '') + diff;
+        badge.classList.add(diff > 0 ? 'is-increase' : 'is-decrease');
+    }
+
+    badge.title = (s.snapshotDeltaTooltip || 'Snapshot: {from} – now: {to}')
+        .replace('{from}', change.from === null ? (s.pbiInfoNA || 'N/A') : change.from)
+        .replace('{to}', change.to === null ? (s.pbiInfoNA || 'N/A') : change.to);
+    cell.appendChild(badge);
+}
+
+
+/**
+ * Appends a planning poker badge to an input cell of the Relative Sizing table.
+ * <br><b>Display:</b>
+ * <ul>
+ * <li><b>Hidden votes:</b> <code>●3</code> - the number of votes given so far.</li>
+ * <li><b>Revealed votes:</b> The spread (e.g. <code>3–8</code>) or the unanimous value. If some votes are outliers, the badge is highlighted.</li>
+ * </ul>
+ * The tooltip lists the individual votes, the median, the consensus and the outliers. Clicking the cell opens the value popup, where the consensus can be accepted.
+ *
+ * @param {HTMLElement} cell - The table cell.
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} field - One of <code>VOTING_FIELDS</code>.
+ */
+function appendVoteBadge(cell, pbi, field) {
+    if (!pbi.voting || typeof getVoteStatistics !== 'function') return;
+
+    var stats = getVoteStatistics(pbi.voting, field);
+    if (!stats) return;
+
+    var s = config.uiStrings || {};
+    var badge = document.createElement('span');
+    badge.className = 'vote-badge';
+
+    if (!pbi.voting.revealed) {
+        badge.textContent = '●' + stats.count;
+        badge.title = (s.votingHiddenBadge || '{count} hidden votes').replace('{count}', stats.count);
+        cell.appendChild(badge);
+        return;
+    }
+
+    badge.textContent = (stats.min === stats.max) ? String(stats.min) : stats.min + '–' + stats.max;
+    var tooltip = (s.votingTooltip || 'Votes: {votes} · Median {median} · Consensus {consensus}')
+        .replace('{votes}', stats.votes.map(function(vote) { return vote.name + ' ' + vote.value; }).join(', '))
+        .replace('{median}', stats.median)
+        .replace('{consensus}', stats.consensus);
+
+    if (stats.outliers.length > 0) {
+        badge.classList.add('has-outliers');
+        tooltip += '\n' + (s.votingOutliersTooltip || 'Outliers: {names}').replace('{names}', stats.outliers.join(', '));
+    }
+    badge.title = tooltip;
+    cell.appendChild(badge);
+}
+
+
+/**
+ * Shows or hides the bar above the Relative Sizing table that summarizes an active snapshot comparison.
+ * Removed items cannot be shown as rows (they no longer exist), so their titles are listed in the bar.
+ *
+ * @param {Object|null} comparison - The result of <code>compareWithSnapshot</code>, or <code>null</code> to hide the bar.
+ */
+function renderSnapshotComparisonBar(comparison) {
+    var bar = document.getElementById('snapshot-comparison-bar');
+    if (!bar) return;
+
+    if (!comparison || typeof activeSnapshotComparison === 'undefined' || !activeSnapshotComparison) {
+        bar.classList.add('hidden');
+        return;
+    }
+
+    var s = config.uiStrings || {};
+    var text = (s.snapshotComparisonInfo || 'Comparison with "{name}" ({date}): {added} added, {changed} changed, {removed} removed')
+        .replace('{name}', activeSnapshotComparison.name)
+        .replace('{date}', new Date(activeSnapshotComparison.timestamp).toLocaleString(currentLanguage))
+        .replace('{added}', comparison.added.length)
+        .replace('{changed}', Object.keys(comparison.changes).length)
+        .replace('{removed}', comparison.removed.length);
+
+    var textEl = document.getElementById('snapshot-comparison-text');
+    if (textEl) textEl.textContent = text;
+
+    var removedEl = document.getElementById('snapshot-comparison-removed');
+    if (removedEl) {
+        removedEl.textContent = comparison.removed.length > 0
+            ? (s.snapshotComparisonRemoved || 'Removed: {titles}').replace('{titles}', comparison.removed.map(function(pbi) { return pbi.title; }).join(', '))
+            : '';
+    }
+
+    bar.classList.remove('hidden');
+}
+
+
+/**
+ * Renders the consistency check above the Relative Sizing table (see <code>findEstimationInconsistencies</code>).
+ * <br><b>States:</b>
+ * <ul>
+ * <li><b>Hidden:</b> No item has a complete Job Size yet.</li>
+ * <li><b>Consistent:</b> A single line confirms that no findings exist.</li>
+ * <li><b>Findings:</b> The header shows the number of findings and toggles the list (<code>isConsistencyPanelExpanded</code>).
+ * Each entry carries the item ID in <code>data-id</code>, so a click can jump to the row in the table.</li>
+ * </ul>
+ *
+ * @param {Array<Object>} pbiList - The items shown in the Relative Sizing table.
+ */
+function renderConsistencyPanel(pbiList) {
+    var panel = document.getElementById('consistency-panel');
+    var toggle = document.getElementById('consistency-panel-toggle');
+    var list = document.getElementById('consistency-findings');
+    if (!panel || !toggle || !list || typeof findEstimationInconsistencies !== 'function') return;
+
+    var hasCompleteItems = (pbiList || []).some(function(pbi) {
+        return !pbi.isLastItem && pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+    });
+    if (!hasCompleteItems) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    var s = config.uiStrings || {};
+    var findings = findEstimationInconsistencies(pbiList);
+    var isExpanded = findings.length > 0 && typeof isConsistencyPanelExpanded !== 'undefined' && isConsistencyPanelExpanded;
+
+    panel.classList.remove('hidden');
+    panel.classList.toggle('is-consistent', findings.length === 0);
+    toggle.textContent = findings.length === 0
+        ? (s.consistencyNoFindings || 'Consistency check: all estimates are consistent with the references')
+        : (isExpanded ? '▾ ' : '▸ ') + (s.consistencySummary || 'Consistency check: {count} findings').replace('{count}', findings.length);
+    toggle.title = findings.length > 0 ? (s.consistencyToggleTooltip || 'Show or hide the findings') : '';
+
+    list.innerHTML = '';
+    list.classList.toggle('hidden', !isExpanded);
+    findings.forEach(function(finding) {
+        var entry = document.createElement('li');
+        entry.className = 'consistency-finding consistency-finding-' + finding.type;
+        entry.dataset.id = finding.pbi.id;
+        entry.title = s.consistencyJumpTooltip || 'Show the item in the table';
+
+        var title = document.createElement('span');
+        title.className = 'consistency-finding-title';
+        title.textContent = finding.pbi.title;
+        entry.appendChild(title);
+        entry.appendChild(document.createTextNode(formatConsistencyFinding(finding)));
+
+        list.appendChild(entry);
+    });
+}
+
+
 /**
  * Manages the "Sticky Reference Slots" that keep Min/Max reference items visible.
  * <br><b>Concept: Persistent Anchors</b>
@@ -2277,7 +2912,7 @@ function updateLegendSortInfo() {
         switch (currentSortCriteria) {
             case "jobSize":     sortCriteriaText = uiStrings.filterJobSize; break;
             case "cod":         sortCriteriaText = uiStrings.filterCoD; break;
-            case "wsjf":        sortCriteriaText = uiStrings.filterWSJF; break;
+            case "wsjf":        sortCriteriaText = getPrioritySortLabel(uiStrings.filterWSJF); break;
             case "tshirtSize":  sortCriteriaText = uiStrings.filterTshirtSize; break;
             case "custom":      sortCriteriaText = uiStrings.filterCustomSort; break;
             case "complexity":  sortCriteriaText = uiStrings.colComplexity; break;
@@ -2354,7 +2989,7 @@ function updateCodLegendSortInfo() {
         switch (currentSortCriteria) {
             case "jobSize":     sortCriteriaText = uiStrings.filterJobSize; break;
             case "cod":         sortCriteriaText = uiStrings.filterCoD; break;
-            case "wsjf":        sortCriteriaText = uiStrings.filterWSJF; break;
+            case "wsjf":        sortCriteriaText = getPrioritySortLabel(uiStrings.filterWSJF); break;
             case "tshirtSize":  sortCriteriaText = uiStrings.filterTshirtSize; break;
             case "custom":      sortCriteriaText = uiStrings.filterCustomSort; break;
             case "complexity":  sortCriteriaText = uiStrings.colComplexity; break;
@@ -2432,7 +3067,7 @@ function updateWsjfLegendSortInfo() {
         switch (currentSortCriteria) {
             case "jobSize":     sortCriteriaText = uiStrings.filterJobSize; break;
             case "cod":         sortCriteriaText = uiStrings.filterCoD; break;
-            case "wsjf":        sortCriteriaText = uiStrings.filterWSJF; break;
+            case "wsjf":        sortCriteriaText = getPrioritySortLabel(uiStrings.filterWSJF); break;
             case "tshirtSize":  sortCriteriaText = uiStrings.filterTshirtSize; break;
             case "custom":      sortCriteriaText = uiStrings.filterCustomSort; break;
             case "complexity":  sortCriteriaText = uiStrings.colComplexity; break;
@@ -2663,7 +3298,7 @@ function updateExportModalUI() {
         switch(exportSortCriteria) {
             case 'jobSize': critLabel = s.filterJobSize; break;
             case 'cod': critLabel = s.filterCoD; break;
-            case 'wsjf': critLabel = s.filterWSJF; break;
+            case 'wsjf': critLabel = getPrioritySortLabel(s.filterWSJF); break;
             case 'tshirtSize': critLabel = s.filterTshirtSize; break;
             case 'custom': critLabel = s.filterCustomSort; break;
             default: critLabel = exportSortCriteria;
@@ -2685,6 +3320,53 @@ function updateExportModalUI() {
 }
 
 
+/**
+ * Fills the workspace switcher (`#workspace-select`) in the header.
+ * <br><b>Structure:</b>
+ * <ul>
+ * <li><b>Workspaces:</b> One option per workspace of the index; the active one is selected.</li>
+ * <li><b>Actions:</b> An option group with "New", "Rename", "Duplicate" and "Delete". Their values carry the prefix `action:`,
+ * so the change handler (<code>handleWorkspaceSelectChange</code>) can tell them apart from workspace IDs.
+ * "Delete" is disabled while only one workspace exists.</li>
+ * </ul>
+ */
+function renderWorkspaceSwitcher() {
+    var select = document.getElementById('workspace-select');
+    if (!select || typeof loadWorkspaceIndex !== 'function') return;
+
+    var index = loadWorkspaceIndex();
+    if (!index) return;
+
+    var s = config.uiStrings || {};
+    select.innerHTML = '';
+
+    index.workspaces.forEach(function(ws) {
+        var option = document.createElement('option');
+        option.value = ws.id;
+        option.textContent = ws.name;
+        select.appendChild(option);
+    });
+
+    var actions = document.createElement('optgroup');
+    actions.label = s.workspaceActionsLabel || 'Workspace';
+    [
+        ['action:new', s.workspaceActionNew || 'New workspace...'],
+        ['action:rename', s.workspaceActionRename || 'Rename...'],
+        ['action:duplicate', s.workspaceActionDuplicate || 'Duplicate...'],
+        ['action:delete', s.workspaceActionDelete || 'Delete...']
+    ].forEach(function(entry) {
+        var option = document.createElement('option');
+        option.value = entry[0];
+        option.textContent = entry[1];
+        if (entry[0] === 'action:delete' && index.workspaces.length <= 1) option.disabled = true;
+        actions.appendChild(option);
+    });
+    select.appendChild(actions);
+
+    select.value = index.activeId;
+}
+
+
 /**
  * @ignore
  * CommonJS Module Export Definition (UI & Rendering Core).
@@ -2737,11 +3419,17 @@ if (typeof module !== 'undefined' && module.exports) {
         renderAllVisualizations,
         renderCodVisualizations,
         renderWsjfVisualization,
+        renderQuadrantVisualization,
+        renderConsistencyPanel,
         createChartStructure,
         renderRelativeSizingList,
         updateReferenceSlots,
         ensureReferenceFirstInVisualizations,
         syncRelativeSizingHeaderPadding, 
-        updateExportModalUI
+        updateExportModalUI,
+        renderWorkspaceSwitcher,
+        appendSnapshotDelta,
+        appendVoteBadge,
+        renderSnapshotComparisonBar
     };
 }
\ No newline at end of file
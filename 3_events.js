@@ -49,6 +49,7 @@ let isDragging = false;
  * 1. <b>Custom Sort Order:</b> `currentSortCriteria` must be 'custom'. Dragging is disabled when sorting by Name, WSJF, or Job Size to prevent logical conflicts.
  * 2. <b>No Active Filter:</b> `isFilterLocked` must be false. You cannot reorder a filtered subset of the list, as this would corrupt the global index.
  * 3. <b>Singleton Pattern:</b> Checks `!sortableInstance` to ensure we don't attach multiple event listeners to the same DOM element.
+ * 4. <b>Editable Backlog:</b> The read-only viewer of a share link (`isReadOnlyView`) never allows reordering.
  *
  * <br><b>Configuration Details:</b>
  * <ul>
@@ -73,6 +74,8 @@ let isDragging = false;
  * </ul>
  */
 function initSortable() {
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
+
     if (currentSortCriteria === 'custom' && !isFilterLocked && !sortableInstance) {
         const pbiListElement = document.getElementById('pbi-list');
         if (pbiListElement) {
@@ -340,11 +343,13 @@ function handleSortEnd(evt) {
  * <li><b>The Visualizations:</b> The bubble clusters in both the "Job Size" and "Cost of Delay" columns (`.story-visualization`).</li>
  * <li><b>The Reference Scale:</b> The corresponding item in the Reference Ruler (`.rs-item`), if visible.</li>
  * <li><b>The WSJF Chart:</b> The specific block representing this item in the cumulative cost chart (`.wsjf-delay-block`).</li>
+ * <li><b>The Quadrant Matrix:</b> The point of this item in the value-vs-size matrix (`.quadrant-point`).</li>
  * </ul>
  *
  * <br><b>Technical Detail:</b>
  * Note that the WSJF chart blocks use a different CSS class (`highlighted-block`) than the other elements (`highlighted`)
  * due to specific styling requirements (e.g., border handling vs. background color changes).
+ * <br><b>Presenter View:</b> The highlight is mirrored in connected presenter windows (`notifyPresenters`).
  *
  * @param {number|string} pbiId - The unique identifier of the PBI to highlight.
  * @param {boolean} shouldHighlight - `true` to activate the highlight, `false` to remove it.
@@ -370,6 +375,15 @@ function toggleHighlight(pbiId, shouldHighlight) {
     wsjfBlocksToToggle.forEach(function(block) {
         block.classList.toggle("highlighted-block", shouldHighlight);
     });
+
+    var quadrantPoints = document.querySelectorAll('.quadrant-point[data-pbi-id="' + stringPbiId + '"]');
+    quadrantPoints.forEach(function(point) {
+        point.classList.toggle("highlighted", shouldHighlight);
+    });
+
+    if (typeof notifyPresenters === 'function') {
+        notifyPresenters({ type: 'highlight', pbiId: pbiId, on: shouldHighlight });
+    }
 }
 
 
@@ -525,6 +539,7 @@ function handlePbiListClick(e) {
                 pbiToDelete.referenceType = null;
             }
             pbis = pbis.filter(function(p) { return p.id != pbiId; });
+            if (typeof removeDependencyLinks === 'function') removeDependencyLinks(pbis, pbiId);
             lockedPbiOrder = lockedPbiOrder.filter(id => id != pbiId);
             if (typeof pbiIdToCustomColor !== 'undefined') {
                  delete pbiIdToCustomColor[pbiId];
@@ -580,10 +595,15 @@ function handlePbiListClick(e) {
  * <br><b>Data Transformation:</b>
  * 1. <b>Scale Mapping:</b> Converts the raw slider positions (0-10) into actual estimation values using the active scale (Linear or Fibonacci).
  * 2. <b>Aggregation:</b>
- * - Calculates \`jobSize\` = Complexity + Effort + Doubt (only if all > 0).
- * - Calculates \`cod\` = BV + TC + RR/OE (only if all > 0).
+ * - Calculates \`jobSize\` = weighted sum of Complexity, Effort and Doubt (only if all > 0, see \`calculateJobSize\`).
+ * - Calculates \`cod\` = weighted sum of BV, TC and RR/OE (only if all > 0, see \`calculateCod\`).
  * 3. <b>T-Shirt Size Handling:</b> If the Job Size becomes incomplete (any component is 0), the T-Shirt size is forcibly invalidated (\`null\`).
- * 4. <b>Memory Synchronization (Fix):</b> Ensures that \`fibonacciValues\` and \`arithmeticValues\` are correctly updated so that reopening the modal loads the saved values.
+ * 4. <b>Memory Synchronization:</b> Remembers the values for the active scale (\`storeScaleValues\`), so that reopening the modal loads the saved values.
+ * 5. <b>Voting:</b> Stores the planning poker votes of the "Voting" tab as \`voting\` (removed if no participant is left).
+ * 6. <b>Prioritization:</b> Stores the inputs of the "Prioritization" tab for the active model in \`priority\` (\`applyPriorityInputsToPbi\`).
+ * 7. <b>Urgency:</b> Stores the urgency profile of the "Cost of Delay" tab as \`urgency\` (\`applyUrgencyInputsToPbi\`).
+ * 8. <b>Dependencies:</b> Stores the checked items of the "Dependencies" tab as \`dependsOn\` (\`applyDependencyInputsToPbi\`).
+ * Nothing is saved if the links would create a cycle (\`validateDependencyInputs\` shows an alert).
  *
  * <br><b>Side Effects:</b>
  * - Updates \`lastEditedPbiId\` so the item is highlighted after render.
@@ -597,6 +617,8 @@ function savePbiFromModal(shouldClose) {
     var titleInput = document.getElementById("pbi-title");
     
     if (!titleInput) return;
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
+    if (typeof validateDependencyInputs === 'function' && !validateDependencyInputs()) return;
 
     var title = titleInput.value.trim();
     var scaleValues = SCALES[currentScale].values;
@@ -633,10 +655,10 @@ function savePbiFromModal(shouldClose) {
     var notes = notesInput.innerHTML;
 
     var isJobSizeComplete = complexity > 0 && effort > 0 && doubt > 0;
-    var jobSizeValue = isJobSizeComplete ? (complexity + effort + doubt) : null;
+    var jobSizeValue = isJobSizeComplete ? calculateJobSize({ complexity: complexity, effort: effort, doubt: doubt }) : null;
 
     var isCodComplete = codBv > 0 && codTc > 0 && codRroe > 0;
-    var codValue = isCodComplete ? (codBv + codTc + codRroe) : null;
+    var codValue = isCodComplete ? calculateCod({ cod_bv: codBv, cod_tc: codTc, cod_rroe: codRroe }) : null;
 
     // Helper to capture current inputs for memory buckets
     var currentInputValues = {
@@ -655,7 +677,8 @@ function savePbiFromModal(shouldClose) {
         cod_rroe: codRroe,
         cod: codValue,
         tshirtSize: null,
-        notes: notes
+        notes: notes,
+        voting: (typeof getVotingFromModal === 'function') ? getVotingFromModal() : undefined
     };
 
     if (!isJobSizeComplete) {
@@ -672,50 +695,24 @@ function savePbiFromModal(shouldClose) {
         if (pbiIndex > -1) {
             var pbiToUpdate = pbis[pbiIndex];
 
-            // --- SYNC MEMORY BUCKETS (Start) ---
-            if (!pbiToUpdate.arithmeticValues) pbiToUpdate.arithmeticValues = {};
-            if (!pbiToUpdate.fibonacciValues) pbiToUpdate.fibonacciValues = {};
-
-            if (currentScale === 'fibonacci' || currentScale === 'safe') {
-                Object.assign(pbiToUpdate.fibonacciValues, currentInputValues);
-
-                const props = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
-                props.forEach(function(prop) {
-                    var modalValue = Number(currentInputValues[prop]);
-                    var activePbiValue = Number(pbiToUpdate[prop]);
-                    var existingArithValue = pbiToUpdate.arithmeticValues[prop];
-
-                    // Sync to arithmetic only if value changed or backup is missing
-                    var hasChanged = (modalValue !== activePbiValue);
-                    var isBackupMissing = (existingArithValue === undefined || existingArithValue === null);
-
-                    if (hasChanged || isBackupMissing) {
-                        pbiToUpdate.arithmeticValues[prop] = modalValue;
-                    }
-                });
-            } 
-            else if (currentScale === 'metric' || currentScale === 'arithmetic') {
-                Object.assign(pbiToUpdate.arithmeticValues, currentInputValues);
-            }
-            else {
-                // Fallback / Other scales
-                Object.assign(pbiToUpdate.arithmeticValues, currentInputValues);
-                Object.assign(pbiToUpdate.fibonacciValues, currentInputValues);
-            }
-            // --- SYNC MEMORY BUCKETS (End) ---
+            storeScaleValues(pbiToUpdate, currentScale, currentInputValues);
 
             // Merge main data
             pbis[pbiIndex] = Object.assign({}, pbiToUpdate, pbiData);
+            if (typeof applyPriorityInputsToPbi === 'function') applyPriorityInputsToPbi(pbis[pbiIndex]);
+            if (typeof applyUrgencyInputsToPbi === 'function') applyUrgencyInputsToPbi(pbis[pbiIndex]);
+            if (typeof applyDependencyInputsToPbi === 'function') applyDependencyInputsToPbi(pbis[pbiIndex]);
         }
     } else {
         // Create new item
         var newPbi = Object.assign({ 
             id: Date.now(), 
-            isReference: false,
-            // Initialize buckets for new item
-            arithmeticValues: Object.assign({}, currentInputValues),
-            fibonacciValues: Object.assign({}, currentInputValues)
+            isReference: false
         }, pbiData);
+        storeScaleValues(newPbi, currentScale, currentInputValues);
+        if (typeof applyPriorityInputsToPbi === 'function') applyPriorityInputsToPbi(newPbi);
+        if (typeof applyUrgencyInputsToPbi === 'function') applyUrgencyInputsToPbi(newPbi);
+        if (typeof applyDependencyInputsToPbi === 'function') applyDependencyInputsToPbi(newPbi);
 
         pbis.push(newPbi);
         lastEditedPbiId = newPbi.id;
@@ -746,14 +743,10 @@ function savePbiFromModal(shouldClose) {
  * <li><b>Validation:</b> Ensures a Title is present (shows Alert if missing).</li>
  * <li><b>Data Extraction:</b> Reads all 6 slider inputs and the Rich Text notes field.</li>
  * <li><b>Scale Translation:</b> Uses `getVal` to convert the raw slider steps (0, 1, 2...) into meaningful values based on the active `currentScale` (e.g., Step 3 -> Value 5 in Fibonacci).</li>
- * <li><b>Derived Calculations:</b> Automatically computes the sums for Job Size (C+E+D) and Cost of Delay (BV+TC+RR/OE).</li>
- * <li><b>Dual-State Persistance (The "Memory" Feature):</b>
- * To support switching estimation scales without data loss, the function saves inputs into specific buckets:
- * <ul>
- * <li>If currently in <b>Fibonacci</b> mode: It updates `pbi.fibonacciValues`. Crucially, it <i>also</i> updates `pbi.arithmeticValues` if the values have changed, ensuring the linear scale stays in sync.</li>
- * <li>If currently in <b>Linear</b> mode: It updates `pbi.arithmeticValues`.</li>
- * </ul>
- * This allows a user to estimate in Linear, switch to Fibonacci, and switch back without their Linear values being "snapped" or corrupted.
+ * <li><b>Derived Calculations:</b> Automatically computes the weighted sums for Job Size (C+E+D) and Cost of Delay (BV+TC+RR/OE) with the component weights of the settings.</li>
+ * <li><b>Per-Scale Persistance (The "Memory" Feature):</b>
+ * To support switching estimation scales without data loss, the function remembers the inputs for the active scale (`storeScaleValues`).
+ * This allows a user to estimate in Linear, switch to Fibonacci, and switch back without their Linear values being "snapped" or corrupted (see `convertPbiToScale`).
  * </li>
  * <li><b>Create vs. Update:</b>
  * <ul>
@@ -761,6 +754,12 @@ function savePbiFromModal(shouldClose) {
  * <li><b>Create:</b> Instantiates a new PBI object with a timestamp ID and inserts it into the list (handling the special "Last Item" placeholder correctly).</li>
  * </ul>
  * </li>
+ * <li><b>T-Shirt Size:</b> In auto mode, the size is derived from the new Job Size (`getTshirtSizeFromValue`) unless it was set by hand (`tshirtSizeOverride`).
+ * An incomplete Job Size removes the size and the override.</li>
+ * <li><b>Voting:</b> Stores the planning poker votes of the "Voting" tab as `voting` (removed if no participant is left).</li>
+ * <li><b>Prioritization:</b> Stores the inputs of the "Prioritization" tab for the active model in `priority` (`applyPriorityInputsToPbi`).</li>
+ * <li><b>Urgency:</b> Stores the urgency profile of the "Cost of Delay" tab as `urgency` (`applyUrgencyInputsToPbi`).</li>
+ * <li><b>Dependencies:</b> Stores the checked items of the "Dependencies" tab as `dependsOn` (`applyDependencyInputsToPbi`); links that would create a cycle are rejected with an alert before anything is changed (`validateDependencyInputs`).</li>
  * <li><b>Cleanup:</b> Resets the `isModalDirty` flag, clears form inputs, and hides the modal.</li>
  * </ol>
  *
@@ -776,6 +775,7 @@ function handleSavePbi() {
         alert(config.uiStrings.alertTitleRequired || "Please enter a title.");
         return;
     }
+    if (typeof validateDependencyInputs === 'function' && !validateDependencyInputs()) return;
 
     var scaleValues = SCALES[currentScale].values;
     var isNumericScale = (scaleValues.length > 0 && typeof scaleValues[0] === 'number');
@@ -796,20 +796,16 @@ function handleSavePbi() {
     var c = getVal('pbi-complexity');
     var e = getVal('pbi-effort');
     var d = getVal('pbi-doubt');
-    var jobSize = c + e + d;
+    var jobSize = calculateJobSize({ complexity: c, effort: e, doubt: d });
 
     var bv = getVal('pbi-cod-bv');
     var tc = getVal('pbi-cod-tc');
     var rroe = getVal('pbi-cod-rroe');
-    var cod = bv + tc + rroe;
+    var cod = calculateCod({ cod_bv: bv, cod_tc: tc, cod_rroe: rroe });
 
     var tshirtVal = null;
-    if (isNumericScale) {
-        if (typeof getTshirtSizeFromValue === 'function') {
-            tshirtVal = getTshirtSizeFromValue(jobSize);
-        } else if (typeof window.getTshirtSizeFromValue === 'function') {
-            tshirtVal = window.getTshirtSizeFromValue(jobSize);
-        }
+    if (c > 0 && e > 0 && d > 0 && typeof getTshirtMapping === 'function' && getTshirtMapping().auto && typeof getTshirtSizeFromValue === 'function') {
+        tshirtVal = getTshirtSizeFromValue(jobSize);
     }
 
     var notesDiv = document.getElementById("pbi-notes");
@@ -820,36 +816,12 @@ function handleSavePbi() {
         cod_bv: bv, cod_tc: tc, cod_rroe: rroe
     };
 
+    var voting = (typeof getVotingFromModal === 'function') ? getVotingFromModal() : undefined;
+
     if (currentEditingId) {
         var pbi = pbis.find(function(p) { return p.id === currentEditingId; });
         if (pbi) {
-            if (!pbi.arithmeticValues) pbi.arithmeticValues = {};
-            if (!pbi.fibonacciValues) pbi.fibonacciValues = {};
-
-            if (currentScale === 'fibonacci' || currentScale === 'safe') {
-                Object.assign(pbi.fibonacciValues, currentInputValues);
-
-                const props = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
-                props.forEach(function(prop) {
-                    var modalValue = Number(currentInputValues[prop]);
-                    var activePbiValue = Number(pbi[prop]);
-                    var existingArithValue = pbi.arithmeticValues[prop];
-
-                    var hasChanged = (modalValue !== activePbiValue);
-                    var isBackupMissing = (existingArithValue === undefined || existingArithValue === null);
-
-                    if (hasChanged || isBackupMissing) {
-                        pbi.arithmeticValues[prop] = modalValue;
-                    }
-                });
-            } 
-            else if (currentScale === 'metric' || currentScale === 'arithmetic') {
-                Object.assign(pbi.arithmeticValues, currentInputValues);
-            }
-            else {
-                Object.assign(pbi.arithmeticValues, currentInputValues);
-                Object.assign(pbi.fibonacciValues, currentInputValues);
-            }
+            storeScaleValues(pbi, currentScale, currentInputValues);
 
             pbi.title = title;
             pbi.complexity = c;
@@ -861,11 +833,20 @@ function handleSavePbi() {
             pbi.cod_rroe = rroe;
             pbi.cod = cod;
             pbi.notes = notesHtml;
+            if (voting) {
+                pbi.voting = voting;
+            } else {
+                delete pbi.voting;
+            }
+            if (typeof applyPriorityInputsToPbi === 'function') applyPriorityInputsToPbi(pbi);
+            if (typeof applyUrgencyInputsToPbi === 'function') applyUrgencyInputsToPbi(pbi);
+            if (typeof applyDependencyInputsToPbi === 'function') applyDependencyInputsToPbi(pbi);
             
             var isJobSizeComplete = c > 0 && e > 0 && d > 0;
             if (!isJobSizeComplete) {
                 pbi.tshirtSize = null;
-            } else if (tshirtVal) {
+                delete pbi.tshirtSizeOverride;
+            } else if (tshirtVal && !pbi.tshirtSizeOverride) {
                 pbi.tshirtSize = tshirtVal;
             }
             
@@ -885,10 +866,13 @@ function handleSavePbi() {
             cod: cod,
             tshirtSize: tshirtVal,
             notes: notesHtml,
-            creationDate: new Date().toISOString(),
-            arithmeticValues: Object.assign({}, currentInputValues),
-            fibonacciValues: Object.assign({}, currentInputValues)
+            creationDate: new Date().toISOString()
         };
+        storeScaleValues(newPbi, currentScale, currentInputValues);
+        if (voting) newPbi.voting = voting;
+        if (typeof applyPriorityInputsToPbi === 'function') applyPriorityInputsToPbi(newPbi);
+        if (typeof applyUrgencyInputsToPbi === 'function') applyUrgencyInputsToPbi(newPbi);
+        if (typeof applyDependencyInputsToPbi === 'function') applyDependencyInputsToPbi(newPbi);
         
         var lastIndex = pbis.length - 1;
         if (lastIndex >= 0 && pbis[lastIndex].isLastItem) {
@@ -970,6 +954,104 @@ function handleModalNavClick(direction) {
 }
 
 
+/**
+ * Handles changes of the workspace switcher (`#workspace-select`) in the header.
+ * <br><b>Logic:</b>
+ * <ul>
+ * <li><b>Workspace ID:</b> Switches to that workspace (`switchWorkspace`), which saves the current one first.</li>
+ * <li><b>`action:new`:</b> Asks for a name and creates an empty workspace.</li>
+ * <li><b>`action:rename`:</b> Asks for a new name for the active workspace.</li>
+ * <li><b>`action:duplicate`:</b> Copies the active workspace under a new name and switches to the copy.</li>
+ * <li><b>`action:delete`:</b> Deletes the active workspace after confirmation.</li>
+ * </ul>
+ * Afterwards the switcher is always re-rendered, so that an action entry never stays selected
+ * (also when the user cancels a prompt).
+ *
+ * @param {Event} event - The change event of the select element.
+ */
+function handleWorkspaceSelectChange(event) {
+    var value = event.target.value;
+    var s = config.uiStrings || {};
+    var index = loadWorkspaceIndex();
+    var active = index ? index.workspaces.find(function(ws) { return ws.id === index.activeId; }) : null;
+    var activeName = active ? active.name : '';
+    var name;
+
+    if (value === 'action:new') {
+        name = prompt(s.workspacePromptNew || "Name of the new workspace:", "");
+        if (name && name.trim()) createWorkspace(name.trim());
+    } else if (value === 'action:rename') {
+        name = prompt(s.workspacePromptRename || "New name of the workspace:", activeName);
+        if (name && name.trim() && active) renameWorkspace(active.id, name.trim());
+    } else if (value === 'action:duplicate') {
+        name = prompt(s.workspacePromptDuplicate || "Name of the copy:", activeName + (s.workspaceCopySuffix || " (Copy)"));
+        if (name && name.trim() && active) duplicateWorkspace(active.id, name.trim());
+    } else if (value === 'action:delete') {
+        var question = (s.workspaceConfirmDelete || 'Delete the workspace "{name}" with all its items? This cannot be undone.').replace('{name}', activeName);
+        if (active && confirm(question)) deleteWorkspace(active.id);
+    } else if (value) {
+        switchWorkspace(value);
+    }
+
+    renderWorkspaceSwitcher();
+}
+
+
+/**
+ * Global keyboard shortcuts for the undo history.
+ * <br><b>Shortcuts:</b> <code>Ctrl+Z</code> (or <code>Cmd+Z</code>) undoes, <code>Ctrl+Shift+Z</code> and <code>Ctrl+Y</code> redo.
+ * <br><b>Scope:</b> The shortcuts are ignored while the user types in a text field or the notes editor (which keep their
+ * native text undo), while a modal is open and while the value popup is shown, so that the backlog never changes behind a dialog.
+ * The read-only viewer of a share link has no history.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleUndoRedoKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
+
+    var key = (event.key || '').toLowerCase();
+    var isUndo = key === 'z' && !event.shiftKey;
+    var isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    var target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+    var isModalOpen = Array.prototype.some.call(document.querySelectorAll('.modal'), function(modal) {
+        return modal.style.display === 'flex' || modal.style.display === 'block';
+    });
+    if (isModalOpen || activePopupPbiId !== null) return;
+
+    event.preventDefault();
+    if (isUndo) {
+        undoLastChange();
+    } else {
+        redoLastChange();
+    }
+}
+
+
+/**
+ * Jumps from a finding of the consistency check to its item in the Relative Sizing table.
+ * <br><b>Mechanism:</b> The item is marked as <code>lastEditedPbiId</code>, so the next <code>renderAll</code> scrolls to it and
+ * flashes the row (<code>highlightAndScrollToLastEditedPbi</code>). If another view is active, the Relative Sizing tab is opened first,
+ * which renders as part of the tab switch.
+ *
+ * @param {number|string} pbiId - The ID of the item.
+ */
+function jumpToRelativeSizingItem(pbiId) {
+    lastEditedPbiId = pbiId;
+
+    var tab = document.getElementById('view-tab-relative-sizing');
+    if (tab && !tab.classList.contains('active')) {
+        tab.click();
+    } else {
+        renderAll();
+    }
+}
+
+
 /**
  * Initializes all global DOM event listeners for the application.
  * <br><b>Role (The Bootstrapper):</b>
@@ -987,7 +1069,8 @@ function handleModalNavClick(direction) {
  *
  * <li><b>Navigation & View Control:</b>
  * <ul>
- * <li>Binds clicks for the main View Tabs (Job Size, CoD, WSJF, Relative Sizing).</li>
+ * <li>Binds clicks for the main View Tabs (Job Size, CoD, WSJF, Quadrant Matrix, Relative Sizing).</li>
+ * <li>Switches the probabilistic mode of the WSJF charts (`isProbabilisticMode`, Monte Carlo forecast).</li>
  * <li>Handles the <b>Filter & Sorting Toolbar</b> (Asc/Desc, Filter by Metric, Custom Sort).</li>
  * <li>Implements the <b>Filter Lock</b> logic (`isFilterLocked`), which prevents sorting while a filter is active to preserve index integrity.</li>
  * </ul>
@@ -996,10 +1079,12 @@ function handleModalNavClick(direction) {
  * <li><b>Cross-View Highlighting (Pointer Events):</b>
  * Adds global `pointerover` and `pointerout` listeners.
  * <i>Logic:</i> When the user hovers over an item in the List, this code immediately finds and highlights the corresponding bubbles in the Visualization columns, creating a cohesive visual experience.
+ * The points of the quadrant matrix highlight their item the same way; clicking a point opens the edit dialog.
  * </li>
  *
  * <li><b>Data Management:</b>
- * Wires up JSON Import/Export, CSV Export configuration, and the "Factory Reset" modal.
+ * Wires up JSON Import/Export, CSV Export configuration, Undo/Redo (buttons and shortcuts), and the "Factory Reset" modal.
+ * The findings of the consistency check jump to their row in the Relative Sizing table (`jumpToRelativeSizingItem`).
  * </li>
  *
  * <li><b>Responsiveness:</b>
@@ -1044,14 +1129,29 @@ function setupEventListeners() {
         });
     }
 
-    document.getElementById("export-btn").addEventListener("click", exportPbisAsJson);
+    document.getElementById("export-btn").addEventListener("click", openJsonExportModal);
+    var undoBtn = document.getElementById("btn-undo");
+    var redoBtn = document.getElementById("btn-redo");
+    if (undoBtn) undoBtn.addEventListener("click", undoLastChange);
+    if (redoBtn) redoBtn.addEventListener("click", redoLastChange);
+    document.addEventListener("keydown", handleUndoRedoKeydown);
     document.getElementById("import-btn").addEventListener("click", function() {
         document.getElementById("import-file-input").click()
     });
     document.getElementById("import-file-input").addEventListener("change", handleImport);
+    document.getElementById("btn-merge-import").addEventListener("click", function() {
+        document.getElementById("merge-file-input").click()
+    });
+    document.getElementById("merge-file-input").addEventListener("change", function(e) {
+        handleImport(e, 'merge');
+    });
     document.getElementById("add-pbi-btn").addEventListener("click", function() {
         showModal()
     });
+    var workspaceSelect = document.getElementById("workspace-select");
+    if (workspaceSelect) {
+        workspaceSelect.addEventListener("change", handleWorkspaceSelectChange);
+    }
     document.getElementById("cancel-btn").addEventListener("click", function() {
         editModal.style.display = "none"
     });
@@ -1398,6 +1498,34 @@ function setupEventListeners() {
         });
     }
 
+    var quadrantContainer = document.getElementById('quadrant-visualization-container');
+    if (quadrantContainer) {
+        quadrantContainer.addEventListener("pointerover", function(e) {
+            if (isDragging) { return; }
+            if (document.querySelector('.is-just-edited')) { return; }
+            var point = e.target.closest(".quadrant-point");
+            if (point && point.dataset.pbiId) {
+                toggleHighlight(parseInt(point.dataset.pbiId, 10), true);
+            }
+        });
+        quadrantContainer.addEventListener("pointerout", function(e) {
+            var point = e.target.closest(".quadrant-point");
+            if (point && point.dataset.pbiId && !point.contains(e.relatedTarget)) {
+                toggleHighlight(parseInt(point.dataset.pbiId, 10), false);
+            }
+        });
+        quadrantContainer.addEventListener("click", function(e) {
+            var point = e.target.closest(".quadrant-point");
+            if (!point) { return; }
+            var pbiId = parseInt(point.dataset.pbiId, 10);
+            var pbiToEdit = pbis.find(function(p) { return p.id === pbiId; });
+            if (pbiToEdit) {
+                toggleHighlight(pbiId, false);
+                showModal(pbiToEdit);
+            }
+        });
+    }
+
     var wsjfPanelContainer = document.getElementById('panel-wsjf-viz');
     if (wsjfPanelContainer) {
         wsjfPanelContainer.addEventListener('click', function(e) {
@@ -1419,12 +1547,25 @@ function setupEventListeners() {
         console.warn("WSJF Panel container not found, cannot add collapse listener.");
     }
 
+    var probabilisticModeToggle = document.getElementById('probabilistic-mode-toggle');
+    if (probabilisticModeToggle) {
+        probabilisticModeToggle.addEventListener('change', function() {
+            isProbabilisticMode = probabilisticModeToggle.checked;
+            renderAll();
+        });
+    }
+
     var settingsModal = document.getElementById("settings-modal");
     document.getElementById("settings-btn").addEventListener("click", openSettingsModal);
     document.getElementById("help-btn").addEventListener("click", openDocumentation);
     document.getElementById("settings-cancel-btn").addEventListener("click", function() { settingsModal.style.display = "none" });
     document.getElementById("settings-save-btn").addEventListener("click", saveAndCloseSettings);
     document.getElementById("reset-settings-btn").addEventListener("click", resetSettingsToDefault);
+    document.getElementById("btn-add-custom-scale").addEventListener("click", addCustomScaleFromSettings);
+    var tshirtCalibrateBtn = document.getElementById("btn-tshirt-calibrate");
+    if (tshirtCalibrateBtn) {
+        tshirtCalibrateBtn.addEventListener("click", proposeTshirtCalibration);
+    }
     var infoModal = document.getElementById("info-modal");
     document.getElementById("info-btn").addEventListener("click", function() {
         infoModal.style.display = "flex";
@@ -1612,29 +1753,52 @@ function setupEventListeners() {
         renderAll();
     });
 
-    var tabJobSize = document.getElementById("tab-btn-jobsize");
-    var tabCoD = document.getElementById("tab-btn-cod");
-    var contentJobSize = document.getElementById("tab-content-jobsize");
-    var contentCoD = document.getElementById("tab-content-cod");
-    tabJobSize.addEventListener("click", function() {
-        tabJobSize.classList.add("active");
-        tabCoD.classList.remove("active");
-        contentJobSize.classList.remove("hidden");
-        contentCoD.classList.add("hidden");
+    document.getElementById("tab-btn-jobsize").addEventListener("click", function() {
+        activateModalTab('jobsize');
         if (typeof updateResetJobSizeButtonVisibility === 'function') updateResetJobSizeButtonVisibility();
     });
-    tabCoD.addEventListener("click", function() {
-        tabCoD.classList.add("active");
-        tabJobSize.classList.remove("active");
-        contentCoD.classList.remove("hidden");
-        contentJobSize.classList.add("hidden");
+    document.getElementById("tab-btn-cod").addEventListener("click", function() {
+        activateModalTab('cod');
         if (typeof updateResetCoDButtonVisibility === 'function') updateResetCoDButtonVisibility();
     });
+    document.getElementById("tab-btn-voting").addEventListener("click", function() {
+        activateModalTab('voting');
+    });
+    document.getElementById("tab-btn-dependencies").addEventListener("click", function() {
+        activateModalTab('dependencies');
+    });
+    document.getElementById("tab-btn-priority").addEventListener("click", function() {
+        activateModalTab('priority');
+    });
+    document.getElementById("priority-inputs").addEventListener("input", function() {
+        if (typeof markModalAsDirty === 'function') markModalAsDirty();
+    });
+    document.getElementById("pbi-urgency-profile").addEventListener("change", function() {
+        if (typeof updateUrgencyDeadlineVisibility === 'function') updateUrgencyDeadlineVisibility();
+        if (typeof markModalAsDirty === 'function') markModalAsDirty();
+    });
+    document.getElementById("pbi-urgency-deadline").addEventListener("input", function() {
+        if (typeof markModalAsDirty === 'function') markModalAsDirty();
+    });
+    document.getElementById("dependency-options").addEventListener("change", function() {
+        if (typeof markModalAsDirty === 'function') markModalAsDirty();
+    });
+
+    var votingTable = document.getElementById("voting-table");
+    votingTable.addEventListener("change", handleVotingInput);
+    votingTable.addEventListener("click", handleVotingTableClick);
+    document.getElementById("btn-voting-add").addEventListener("click", addVotingParticipantFromModal);
+    document.getElementById("voting-participant-input").addEventListener("keydown", function(e) {
+        if (e.key === 'Enter') addVotingParticipantFromModal();
+    });
+    document.getElementById("btn-voting-reveal").addEventListener("click", revealVotesInModal);
+    document.getElementById("btn-voting-new-round").addEventListener("click", startNewVotingRoundInModal);
 
     const viewTabs = {
         'view-tab-job-size-viz': 'panel-job-size-viz',
         'view-tab-cod-viz': 'panel-cod-viz',
         'view-tab-wsjf-viz': 'panel-wsjf-viz',
+        'view-tab-quadrant-viz': 'panel-quadrant-viz',
         'view-tab-relative-sizing': 'panel-relative-sizing'
     };
 
@@ -1670,7 +1834,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('relative-sizing-header').addEventListener('click', function(e) {
-        const header = e.target.closest('.rs-col-header');
+        const header = e.target.closest('.rs-col-header[data-sort-by]');
         if (!header) return;
         const highlightBtn = e.target.closest('.highlight-btn');
         const sortBy = header.dataset.sortBy;
@@ -1780,6 +1944,9 @@ function setupEventListeners() {
             if (typeof updateExportModalUI === 'function') {
                 updateExportModalUI();
             }
+            if (typeof renderCsvExportOptions === 'function') {
+                renderCsvExportOptions();
+            }
             csvModal.style.display = "flex";
         }
     });
@@ -1787,6 +1954,14 @@ function setupEventListeners() {
     document.getElementById("btn-csv-export-cancel").addEventListener("click", function() {
         if (csvModal) csvModal.style.display = "none";
     });
+
+    var csvEncodingSelect = document.getElementById("csv-export-encoding");
+    if (csvEncodingSelect) {
+        csvEncodingSelect.addEventListener("change", function() {
+            var bomCheckbox = document.getElementById("csv-export-bom");
+            if (bomCheckbox) bomCheckbox.disabled = this.value !== 'utf-8';
+        });
+    }
  
     function setExportSort(crit) {
         exportSortCriteria = crit;
@@ -1818,8 +1993,15 @@ function setupEventListeners() {
         if (typeof exportPbisAsCsv === 'function' && typeof getSortedPbis === 'function') {
             
             var sortedList = getSortedPbis(pbis, exportSortCriteria, exportSortDirection, config, false);
+
+            var exportOptions;
+            if (typeof readCsvExportOptions === 'function' && typeof applyCsvExportOptions === 'function') {
+                exportOptions = readCsvExportOptions();
+                applyCsvExportOptions(exportOptions);
+                if (typeof saveToLocalStorage === 'function') saveToLocalStorage();
+            }
             
-            exportPbisAsCsv(sortedList);
+            exportPbisAsCsv(sortedList, exportOptions);
             
         } else {
             console.error("Export functions not found!");
@@ -1827,6 +2009,58 @@ function setupEventListeners() {
         
         if (csvModal) csvModal.style.display = "none";
     });
+
+    var csvMappingModal = document.getElementById("csv-mapping-modal");
+
+    document.getElementById("btn-csv-mapping-import").addEventListener("click", function() {
+        if (typeof openCsvMappingModal === 'function') openCsvMappingModal();
+    });
+    document.getElementById("csv-mapping-file-btn").addEventListener("click", function() {
+        document.getElementById("csv-mapping-file-input").click();
+    });
+    document.getElementById("csv-mapping-file-input").addEventListener("change", handleCsvMappingFileSelect);
+    document.getElementById("csv-mapping-source").addEventListener("change", applyCsvMappingSource);
+    document.getElementById("btn-csv-mapping-cancel").addEventListener("click", function() {
+        if (csvMappingModal) csvMappingModal.style.display = "none";
+    });
+    document.getElementById("btn-csv-mapping-confirm").addEventListener("click", confirmCsvMappingImport);
+
+    document.getElementById("btn-merge-all-local").addEventListener("click", function() { setAllMergeChoices('local'); });
+    document.getElementById("btn-merge-all-incoming").addEventListener("click", function() { setAllMergeChoices('incoming'); });
+    document.getElementById("btn-merge-cancel").addEventListener("click", cancelMergeConflicts);
+    document.getElementById("btn-merge-confirm").addEventListener("click", confirmMergeConflicts);
+
+    document.getElementById("btn-snapshots").addEventListener("click", openSnapshotModal);
+    document.getElementById("btn-snapshot-save").addEventListener("click", saveSnapshotFromModal);
+    document.getElementById("snapshot-name-input").addEventListener("keydown", function(e) {
+        if (e.key === 'Enter') saveSnapshotFromModal();
+    });
+    document.getElementById("snapshot-list").addEventListener("click", handleSnapshotListClick);
+    document.getElementById("btn-snapshot-close").addEventListener("click", closeSnapshotModal);
+    document.getElementById("btn-snapshot-compare-end").addEventListener("click", endSnapshotComparison);
+
+    document.getElementById("consistency-panel-toggle").addEventListener("click", function() {
+        isConsistencyPanelExpanded = !isConsistencyPanelExpanded;
+        renderAll();
+    });
+    document.getElementById("consistency-findings").addEventListener("click", function(e) {
+        var finding = e.target.closest(".consistency-finding");
+        if (finding) jumpToRelativeSizingItem(finding.dataset.id);
+    });
+
+    document.getElementById("btn-share-link").addEventListener("click", copyShareLink);
+    document.getElementById("btn-presenter-view").addEventListener("click", openPresenterWindow);
+
+    document.getElementById("btn-passphrase-cancel").addEventListener("click", closePassphraseModal);
+    document.getElementById("btn-passphrase-confirm").addEventListener("click", confirmPassphraseModal);
+    ["passphrase-input", "passphrase-repeat-input"].forEach(function(id) {
+        document.getElementById(id).addEventListener("keydown", function(e) {
+            if (e.key === 'Enter') confirmPassphraseModal();
+        });
+    });
+
+    document.getElementById("btn-persistence-export").addEventListener("click", exportPbisAsJson);
+    document.getElementById("btn-persistence-retry").addEventListener("click", retryPersistence);
 }
 
 
@@ -1926,6 +2160,7 @@ document.addEventListener('DOMContentLoaded', function() {
                     pbiToDelete.referenceType = null;
                 }
                 pbis = pbis.filter(function(p) { return p.id !== pbiId; });
+                if (typeof removeDependencyLinks === 'function') removeDependencyLinks(pbis, pbiId);
                  lockedPbiOrder = lockedPbiOrder.filter(id => id !== pbiId);
                  if (pbis.filter(p => !p.isLastItem && !p.isReference).length === 0) {
                       initialCustomOrderSet = false;
@@ -1955,6 +2190,7 @@ document.addEventListener('DOMContentLoaded', function() {
  * <li>`handlePbiListClick`: The central router for all list interactions (Edit, Delete, Reference).</li>
  * <li>`toggleHighlight`: The visual sync engine connecting List, Bubbles, and Charts.</li>
  * <li>`updateFilterLockButtonState` / `deactivateFilterLock`: Controls the "Freeze View" logic.</li>
+ * <li>`jumpToRelativeSizingItem`: Opens the Relative Sizing table at an item named by the consistency check.</li>
  * </ul>
  * </li>
  *
@@ -1963,6 +2199,8 @@ document.addEventListener('DOMContentLoaded', function() {
  * <li>`handleSavePbi`: The robust save handler (Validation -> Calculation -> Storage -> Render).</li>
  * <li>`savePbiFromModal`: The silent/auto-save handler used during navigation.</li>
  * <li>`handleModalNavClick`: The navigation logic linking saving and view switching.</li>
+ * <li>`handleWorkspaceSelectChange`: Switching, creating, renaming, duplicating and deleting workspaces.</li>
+ * <li>`handleUndoRedoKeydown`: The Ctrl+Z / Ctrl+Shift+Z shortcuts of the undo history.</li>
  * </ul>
  * </li>
  * </ul>
@@ -1979,6 +2217,9 @@ if (typeof module !== 'undefined' && module.exports) {
         handleSortEnd,
         handleSavePbi,
         handleModalNavClick,
+        handleWorkspaceSelectChange,
+        handleUndoRedoKeydown,
+        jumpToRelativeSizingItem,
         savePbiFromModal,
         handlePasteInNote,
         handleSliderInput
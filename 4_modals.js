@@ -383,9 +383,13 @@ function updateHelpIcons() {
  * 4. <b>Rich Text:</b> Initializes the notes editor with the stored HTML.
  * 5. <b>Navigation:</b> Updates the "Prev/Next" buttons based on the item's position in the list.
  * 6. <b>Help Icons:</b> Calls \`updateHelpIcons\` to show/hide documentation links based on config.
+ * 7. <b>Voting:</b> Loads a copy of the item's planning poker votes into the "Voting" tab (\`loadVotingIntoModal\`).
+ * 8. <b>Prioritization:</b> Renders the inputs of the active prioritization model into the "Prioritization" tab (\`renderPriorityInputs\`).
+ * 9. <b>Urgency:</b> Preselects the urgency profile and deadline of the item in the "Cost of Delay" tab (\`loadUrgencyProfileIntoModal\`).
+ * 10. <b>Dependencies:</b> Lists the other items in the "Dependencies" tab and checks the ones the item depends on (\`loadDependenciesIntoModal\`).
  *
  * @param {Object|null} pbi - The Backlog Item object to edit, or \`null\` to create a new one.
- * @param {Object} [options] - Optional settings (e.g., \`{ defaultTab: 'cod' }\` to open specific tab).
+ * @param {Object} [options] - Optional settings (e.g., \`{ defaultTab: 'cod' }\` or \`{ defaultTab: 'voting' }\` to open specific tab).
  */
 function showModal(pbi, options) {
     var modal = document.getElementById("edit-modal");
@@ -414,8 +418,7 @@ function showModal(pbi, options) {
         
         titleInput.value = pbi.title || "";
         
-        var useFib = (currentScale === 'fibonacci' || currentScale === 'safe');
-        var sourceVals = useFib ? (pbi.fibonacciValues || {}) : (pbi.arithmeticValues || {});
+        var sourceVals = getStoredScaleValues(pbi, currentScale);
         
         complexityInput.value = (sourceVals.complexity !== undefined) ? sourceVals.complexity : (pbi.complexity || "0");
         effortInput.value = (sourceVals.effort !== undefined) ? sourceVals.effort : (pbi.effort || "0");
@@ -483,22 +486,13 @@ function showModal(pbi, options) {
 
     updateHelpIcons();
 
-    var tabJobSize = document.getElementById("tab-btn-jobsize");
-    var tabCoD = document.getElementById("tab-btn-cod");
-    var contentJobSize = document.getElementById("tab-content-jobsize");
-    var contentCoD = document.getElementById("tab-content-cod");
+    loadVotingIntoModal(pbi);
+    renderPriorityInputs(pbi);
+    loadUrgencyProfileIntoModal(pbi);
+    loadDependenciesIntoModal(pbi);
 
-    if (options && options.defaultTab === 'cod') {
-        if (tabCoD) tabCoD.classList.add("active");
-        if (tabJobSize) tabJobSize.classList.remove("active");
-        if (contentCoD) contentCoD.classList.remove("hidden");
-        if (contentJobSize) contentJobSize.classList.add("hidden");
-    } else {
-        if (tabJobSize) tabJobSize.classList.add("active");
-        if (tabCoD) tabCoD.classList.remove("active");
-        if (contentJobSize) contentJobSize.classList.remove("hidden");
-        if (contentCoD) contentCoD.classList.add("hidden");
-    }
+    var defaultTab = options && (options.defaultTab === 'cod' || options.defaultTab === 'voting') ? options.defaultTab : 'jobsize';
+    activateModalTab(defaultTab);
 
     modal.style.display = "flex";
     titleInput.focus();
@@ -511,22 +505,26 @@ function showModal(pbi, options) {
  * Before showing the modal, this function ensures that every form control (radio button, checkbox, color picker) 
  * accurately reflects the current internal state of the application (`config` object and global variables).
  * <br><b>Initialization Logic:</b>
- * 1. <b>Language & Scale:</b> Iterates through radio groups to check the active `currentLanguage` and `currentScale`.
+ * 1. <b>Language & Scale:</b> Lists the available languages (`renderLanguageOptions`) and checks the active `currentLanguage` and `currentScale`.
  * 2. <b>T-Shirt Sizes (Dynamic Rendering):</b> 
  * - Clears the previous list.
  * - <b>Sorting:</b> Uses a `correctOrderMap` to enforce a logical clothing size order (XXS -> XXL) instead of alphabetical sorting. Unknown sizes are pushed to the end.
  * - <b>Generation:</b> Dynamically builds checkboxes based on `config.allTshirtSizes` and checks them if they are active in `config.tshirtSizes`.
+ * - <b>Auto Sizing:</b> Checks the auto checkbox and shows the Job Size limit of every checked size with a live preview of the backlog (`renderTshirtMappingSettings`).
+ * Checking or unchecking a size updates the limits and the preview.
  * 3. <b>Color Configuration:</b> 
  * - <b>Visualization Colors:</b> Populates inputs for the Bubble Cluster (Complexity, Effort, Doubt) and WSJF charts (BV, TC, RR/OE).
  * - <b>Editor Colors:</b> Populates the 4 highlight colors used in the rich-text editor, falling back to defaults if undefined.
- * 4. <b>Feature Toggles:</b> 
+ * 4. <b>Component Weights:</b> Fills the six weight inputs with the current weights (`getComponentWeights`).
+ * The prioritization models are listed as radio options with the active model checked (`renderPriorityModelOptions`).
+ * The capacity inputs show the points per period and the period type (`getCapacity`).
+ * The quadrant inputs show the Job Size and CoD thresholds of the quadrant matrix (`getQuadrantThresholds`, 0 = median).
+ * 5. <b>Feature Toggles:</b> 
  * - Syncs the "Reference Markers" checkbox with `window.showReferenceMarkers`.
  * - Syncs the "Resolution Warning" checkbox (Inverted logic: Checked means the warning is <i>not</i> dismissed).
  */
 function openSettingsModal() {
-    document.querySelectorAll('input[name="language-setting"]').forEach(radio => {
-        radio.checked = radio.value === currentLanguage;
-    });
+    renderLanguageOptions(currentLanguage);
 
     const tshirtOptionsContainer = document.getElementById('tshirt-sizes-options');
     tshirtOptionsContainer.innerHTML = '';
@@ -546,11 +544,24 @@ function openSettingsModal() {
         checkbox.name = 'tshirt-size-setting';
         checkbox.value = size;
         checkbox.checked = isChecked;
+        checkbox.addEventListener('change', function() { renderTshirtMappingSettings(); });
         label.appendChild(checkbox);
         label.appendChild(document.createTextNode(' ' + size));
         tshirtOptionsContainer.appendChild(label);
     });
 
+    const tshirtMapping = getTshirtMapping();
+    const tshirtAutoCheckbox = document.getElementById('tshirt-auto-setting');
+    if (tshirtAutoCheckbox) tshirtAutoCheckbox.checked = tshirtMapping.auto;
+    renderTshirtMappingSettings(tshirtMapping);
+
+    pendingCustomScales = getCustomScales();
+    renderCustomScaleOptions();
+    ['custom-scale-name', 'custom-scale-values', 'custom-scale-labels'].forEach(function(id) {
+        var input = document.getElementById(id);
+        if (input) input.value = '';
+    });
+
     document.querySelectorAll('input[name="scale-setting"]').forEach(radio => {
         radio.checked = radio.value === currentScale;
     });
@@ -581,6 +592,26 @@ function openSettingsModal() {
     if(inpC3) inpC3.value = ec["3"];
     if(inpC4) inpC4.value = ec["4"];
 
+    var weights = getComponentWeights();
+    JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).forEach(function(field) {
+        var weightInput = document.getElementById('weight-' + field + '-setting');
+        if (weightInput) weightInput.value = weights[field];
+    });
+
+    renderPriorityModelOptions(getActivePrioritizationModel());
+
+    var capacity = getCapacity();
+    var capacityPointsInput = document.getElementById('capacity-points-setting');
+    var capacityPeriodSelect = document.getElementById('capacity-period-setting');
+    if (capacityPointsInput) capacityPointsInput.value = capacity.points;
+    if (capacityPeriodSelect) capacityPeriodSelect.value = capacity.period;
+
+    var quadrantThresholds = getQuadrantThresholds();
+    var quadrantJobSizeInput = document.getElementById('quadrant-jobsize-setting');
+    var quadrantCodInput = document.getElementById('quadrant-cod-setting');
+    if (quadrantJobSizeInput) quadrantJobSizeInput.value = quadrantThresholds.jobSize;
+    if (quadrantCodInput) quadrantCodInput.value = quadrantThresholds.cod;
+
     var refMarkerCheckbox = document.getElementById('setting-show-ref-markers');
     if (refMarkerCheckbox && typeof window !== 'undefined') {
         refMarkerCheckbox.checked = window.showReferenceMarkers;
@@ -591,6 +622,9 @@ function openSettingsModal() {
         resWarningCheckbox.checked = !window.isResolutionWarningDismissed;
     }
 
+    var undoDepthInput = document.getElementById('setting-undo-depth');
+    if (undoDepthInput) undoDepthInput.value = getUndoHistoryDepth();
+
     document.getElementById('settings-modal').style.display = 'flex';
 }
 
@@ -604,6 +638,12 @@ function openSettingsModal() {
  * <li><b>Application Preferences:</b> Restores default Language (e.g., English) and Estimation Scale (e.g., Fibonacci).</li>
  * <li><b>T-Shirt Sizes:</b> Checks/unchecks boxes to match the standard set (e.g., S, M, L, XL) defined in `config.defaultSettings.tshirtSizes`.</li>
  * <li><b>Rich Text Editor:</b> Resets the 4 custom highlight colors for the Quill editor back to the default palette (Green, Blue, Gold, Red).</li>
+ * <li><b>Component Weights:</b> Resets the weights to `config.defaultSettings.componentWeights` (1 for every component, unless configured otherwise).</li>
+ * <li><b>Prioritization Model:</b> Selects `config.defaultSettings.prioritizationModel` (WSJF, unless configured otherwise).</li>
+ * <li><b>Capacity:</b> Restores `config.defaultSettings.capacity` (no capacity, unless configured otherwise).</li>
+ * <li><b>Quadrant Matrix:</b> Restores `config.defaultSettings.quadrantThresholds` (median thresholds, unless configured otherwise).</li>
+ * <li><b>T-Shirt Size Mapping:</b> Restores `config.defaultSettings.tshirtMapping` (manual sizes, unless configured otherwise) and updates the preview.</li>
+ * <li><b>Undo History:</b> Restores `config.defaultSettings.undoHistoryDepth` (50 steps, unless configured otherwise).</li>
  * <li><b>Feature Toggles:</b>
  * <ul>
  * <li>Reference Markers: Re-enables visual indicators for reference items (default: true).</li>
@@ -630,7 +670,8 @@ function resetSettingsToDefault() {
     document.getElementById('color-number-tc-setting').value = config.defaultColors.numberTc;
     document.getElementById('color-number-rroe-setting').value = config.defaultColors.numberRrOe;
 
-    document.querySelector('input[name="language-setting"][value="' + config.defaultSettings.language + '"]').checked = true;
+    const defaultLanguageRadio = document.querySelector('input[name="language-setting"][value="' + config.defaultSettings.language + '"]');
+    if (defaultLanguageRadio) defaultLanguageRadio.checked = true;
     document.querySelector('input[name="scale-setting"][value="' + config.defaultSettings.scale + '"]').checked = true;
 
     const defaultTshirts = config.defaultSettings.tshirtSizes;
@@ -638,6 +679,11 @@ function resetSettingsToDefault() {
         checkbox.checked = defaultTshirts.indexOf(checkbox.value) !== -1;
     });
 
+    var defaultTshirtMapping = normalizeTshirtMapping(config.defaultSettings.tshirtMapping);
+    var tshirtAutoCheckbox = document.getElementById('tshirt-auto-setting');
+    if (tshirtAutoCheckbox) tshirtAutoCheckbox.checked = defaultTshirtMapping.auto;
+    renderTshirtMappingSettings(defaultTshirtMapping);
+
     var dec = config.defaultEditorColors || { "1": "#279745", "2": "#2560d1", "3": "#937404", "4": "#c90000" };
     var inpC1 = document.getElementById('setting-editor-c1');
     var inpC2 = document.getElementById('setting-editor-c2');
@@ -649,6 +695,27 @@ function resetSettingsToDefault() {
     if(inpC3) inpC3.value = dec["3"];
     if(inpC4) inpC4.value = dec["4"];
 
+    var defaultWeights = normalizeComponentWeights(config.defaultSettings.componentWeights);
+    JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).forEach(function(field) {
+        var weightInput = document.getElementById('weight-' + field + '-setting');
+        if (weightInput) weightInput.value = defaultWeights[field];
+    });
+
+    var defaultModelRadio = document.querySelector('input[name="priority-model-setting"][value="' + (config.defaultSettings.prioritizationModel || 'wsjf') + '"]');
+    if (defaultModelRadio) defaultModelRadio.checked = true;
+
+    var defaultCapacity = normalizeCapacity(config.defaultSettings.capacity);
+    var capacityPointsInput = document.getElementById('capacity-points-setting');
+    var capacityPeriodSelect = document.getElementById('capacity-period-setting');
+    if (capacityPointsInput) capacityPointsInput.value = defaultCapacity.points;
+    if (capacityPeriodSelect) capacityPeriodSelect.value = defaultCapacity.period;
+
+    var defaultQuadrantThresholds = normalizeQuadrantThresholds(config.defaultSettings.quadrantThresholds);
+    var quadrantJobSizeInput = document.getElementById('quadrant-jobsize-setting');
+    var quadrantCodInput = document.getElementById('quadrant-cod-setting');
+    if (quadrantJobSizeInput) quadrantJobSizeInput.value = defaultQuadrantThresholds.jobSize;
+    if (quadrantCodInput) quadrantCodInput.value = defaultQuadrantThresholds.cod;
+
     var refMarkerCheckbox = document.getElementById('setting-show-ref-markers');
     if (refMarkerCheckbox) {
         var defaultState = (config.defaultSettings.showReferenceMarkers !== false);
@@ -659,6 +726,9 @@ function resetSettingsToDefault() {
     if (resWarningCheckbox) {
         resWarningCheckbox.checked = true;
     }
+
+    var undoDepthInput = document.getElementById('setting-undo-depth');
+    if (undoDepthInput) undoDepthInput.value = normalizeUndoHistoryDepth(config.defaultSettings.undoHistoryDepth);
 }
 
 
@@ -669,19 +739,31 @@ function resetSettingsToDefault() {
  * <br><b>Key Operations:</b>
  * <ol>
  * <li><b>T-Shirt Size Validation:</b> Ensures at least one size is selected. If the user unchecks all, it reverts to the default set.</li>
+ * <li><b>T-Shirt Size Mapping:</b> Activates the auto mode and the Job Size limits of the sizes (`applyTshirtMapping`). In auto mode, `renderAll` re-derives
+ * the sizes of all items that were not set by hand, so a new scale, new weights or new limits take effect right away.</li>
  *
  * <li><b>Scale Migration Strategy (Data Quantization):</b>
- * If the estimation scale changes (e.g., from Linear 1-10 to Fibonacci):
+ * If the estimation scale changes (e.g., from Linear 1-10 to Fibonacci or to a custom scale), every item is converted by `convertPbiToScale`:
  * <ul>
- * <li><b>Snapshotting:</b> Caches the current values into `arithmeticValues` or `fibonacciValues` to preserve precision if the user switches back later.</li>
- * <li><b>Snapping:</b> Uses `getNextHigherValue` to force existing values to align with the new scale's grid.
+ * <li><b>Snapshotting:</b> Remembers the current values for the old scale (`pbi.scaleValues`) to preserve precision if the user switches back later.</li>
+ * <li><b>Snapping:</b> Uses `getNextHigherScaleValue` to force existing values to align with the new scale's grid.
  * <i>Example:</i> A value of "4" in Linear becomes "5" in Fibonacci. This acts like a step function.
- * 
+ * Values remembered for the new scale are restored instead, as long as the item was not re-estimated in the meantime.
  * </li>
- * <li><b>Recalculation:</b> Automatically sums up `jobSize` (Complexity + Effort + Doubt) and `cod` based on the new snapped values.</li>
+ * <li><b>Recalculation:</b> Recalculates `jobSize` (Complexity + Effort + Doubt) and `cod` as weighted sums based on the new snapped values.</li>
  * </ul>
  * </li>
  *
+ * <li><b>Custom Scales:</b> Scales added or deleted in the modal (`pendingCustomScales`) are applied to `SCALES` first, so they can be selected right away.
+ * If the selected scale no longer exists, the default scale is used.</li>
+ *
+ * <li><b>Component Weights:</b> Reads the six weight inputs (invalid entries become 1, see `normalizeComponentWeights`).
+ * If a weight changed, `jobSize` and `cod` of every item are recalculated (`applyComponentWeights`), so sorting, WSJF ranks and charts use the new weights.</li>
+ * <li><b>Prioritization Model:</b> Activates the selected model (`applyPrioritizationModel`). An active score sort follows the new model.</li>
+ * <li><b>Capacity:</b> Activates the points per period and the period type (`applyCapacity`); an empty or invalid number switches the capacity display off.</li>
+ * <li><b>Quadrant Matrix:</b> Activates the Job Size and CoD thresholds (`applyQuadrantThresholds`); an empty or invalid number uses the median of the plotted items.</li>
+ * <li><b>Undo History:</b> Activates the maximum number of undo steps (`applyUndoHistoryDepth`); an empty or invalid number uses the configured default.</li>
+ *
  * <li><b>Language Switching:</b> Swaps the `config.uiStrings` pointer and triggers a UI refresh.</li>
  *
  * <li><b>Editor Color Refactoring (Global Find & Replace):</b>
@@ -708,78 +790,62 @@ function saveAndCloseSettings() {
         config.tshirtSizes = config.defaultSettings.tshirtSizes;
     }
 
+    if (pendingCustomScales) {
+        applyCustomScales(pendingCustomScales);
+        pendingCustomScales = null;
+    }
+
     const oldScale = currentScale;
-    const newScale = document.querySelector('input[name="scale-setting"]:checked').value;
+    const checkedScale = document.querySelector('input[name="scale-setting"]:checked');
+    const newScale = (checkedScale && SCALES[checkedScale.value]) ? checkedScale.value : config.defaultSettings.scale;
     
     if (oldScale !== newScale) {
-        const newScaleValues = SCALES[newScale].values;
-        const propertiesToUpdate = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
-        
-        const getNextHigherValue = function(val, scaleVals) {
-            if (val === 0) return 0;
-            if (scaleVals.includes(val)) return val;
-            const nextVal = scaleVals.find(v => v >= val);
-            return nextVal !== undefined ? nextVal : scaleVals[scaleVals.length - 1];
-        };
-
         pbis.forEach(function(pbi) {
-            if (!pbi.arithmeticValues) pbi.arithmeticValues = {};
-            if (!pbi.fibonacciValues) pbi.fibonacciValues = {};
-
-            if (newScale === 'fibonacci' || newScale === 'safe') {
-                propertiesToUpdate.forEach(function(prop) {
-                     pbi.arithmeticValues[prop] = pbi[prop];
-                });
-
-                propertiesToUpdate.forEach(function(prop) {
-                    const currentVal = pbi[prop];
-                    const newVal = getNextHigherValue(currentVal, newScaleValues);
-                    pbi[prop] = newVal;
-                    pbi.fibonacciValues[prop] = newVal;
-                });
-            }
-            else if (newScale === 'metric' || newScale === 'arithmetic') { 
-                 propertiesToUpdate.forEach(function(prop) {
-                     pbi.fibonacciValues[prop] = pbi[prop];
-                 });
-
-                 propertiesToUpdate.forEach(function(prop) {
-                     if (pbi.arithmeticValues && pbi.arithmeticValues[prop] !== undefined) {
-                         pbi[prop] = pbi.arithmeticValues[prop];
-                     } else {
-                         pbi.arithmeticValues[prop] = pbi[prop];
-                     }
-                 });
-            }
-            else {
-                 propertiesToUpdate.forEach(function(prop) {
-                    const currentVal = pbi[prop];
-                    if (typeof currentVal === 'number' && newScaleValues.indexOf(currentVal) === -1) {
-                         pbi[prop] = getNextHigherValue(currentVal, newScaleValues);
-                    }
-                 });
-            }
+            if (!pbi || pbi.isLastItem) return;
 
-            if (pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0) {
-                 pbi.jobSize = pbi.complexity + pbi.effort + pbi.doubt;
-            } else {
-                pbi.jobSize = null;
-            }
+            convertPbiToScale(pbi, oldScale, newScale);
+        });
+    }
 
-            if (pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0) {
-                pbi.cod = pbi.cod_bv + pbi.cod_tc + pbi.cod_rroe;
-            } else {
-                pbi.cod = null;
-            }
-            
-            if (typeof window.getTshirtSizeFromValue === 'function' && typeof SCALES[newScale].values[0] === 'number') {
-                 pbi.tshirtSize = pbi.jobSize ? window.getTshirtSizeFromValue(pbi.jobSize) : null;
-            }
+    var oldWeights = getComponentWeights();
+    var newWeights = {};
+    JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).forEach(function(field) {
+        var weightInput = document.getElementById('weight-' + field + '-setting');
+        newWeights[field] = weightInput ? parseFloat(weightInput.value) : oldWeights[field];
+    });
+    newWeights = normalizeComponentWeights(newWeights);
+    var weightsChanged = JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).some(function(field) {
+        return newWeights[field] !== oldWeights[field];
+    });
+    if (weightsChanged) {
+        applyComponentWeights(newWeights, pbis);
+    }
+
+    var checkedModel = document.querySelector('input[name="priority-model-setting"]:checked');
+    if (checkedModel) {
+        applyPrioritizationModel(checkedModel.value);
+    }
+
+    var capacityPointsInput = document.getElementById('capacity-points-setting');
+    var capacityPeriodSelect = document.getElementById('capacity-period-setting');
+    if (capacityPointsInput) {
+        applyCapacity({
+            points: capacityPointsInput.value,
+            period: capacityPeriodSelect ? capacityPeriodSelect.value : getCapacity().period
         });
     }
 
-    const selectedLanguage = document.querySelector('input[name="language-setting"]:checked').value;
-    if (currentLanguage !== selectedLanguage) {
+    var quadrantJobSizeInput = document.getElementById('quadrant-jobsize-setting');
+    var quadrantCodInput = document.getElementById('quadrant-cod-setting');
+    if (quadrantJobSizeInput && quadrantCodInput) {
+        applyQuadrantThresholds({ jobSize: quadrantJobSizeInput.value, cod: quadrantCodInput.value });
+    }
+
+    applyTshirtMapping(readTshirtMappingSettings());
+
+    const selectedLanguageRadio = document.querySelector('input[name="language-setting"]:checked');
+    const selectedLanguage = selectedLanguageRadio ? selectedLanguageRadio.value : currentLanguage;
+    if (currentLanguage !== selectedLanguage && config.languages[selectedLanguage]) {
         currentLanguage = selectedLanguage;
         config.uiStrings = config.languages[currentLanguage];
         const notificationContainer = document.getElementById('update-notification-container');
@@ -843,6 +909,11 @@ function saveAndCloseSettings() {
         }
     }
 
+    var undoDepthInput = document.getElementById('setting-undo-depth');
+    if (undoDepthInput) {
+        applyUndoHistoryDepth(undoDepthInput.value);
+    }
+
     applyColorSettings(config.colors);
 
     currentScale = newScale;
@@ -857,6 +928,359 @@ function saveAndCloseSettings() {
 }
 
 
+/**
+ * The custom scales as edited in the open Settings Modal.
+ * They are only applied to `SCALES` when the modal is saved, so "Cancel" discards added or deleted scales.
+ */
+let pendingCustomScales = null;
+
+
+/**
+ * Renders one radio option per custom scale below the built-in scales of the Settings Modal.
+ * <br><b>Layout:</b> Each option shows the name and the values (with their labels, e.g. "1 XS"), followed by a delete button.
+ * <br><b>Selection:</b> The checked scale is kept across re-renders; if it was deleted, the default scale is selected.
+ */
+function renderCustomScaleOptions() {
+    const container = document.getElementById('custom-scale-options');
+    if (!container) return;
+
+    const s = config.uiStrings || {};
+    const checkedRadio = document.querySelector('input[name="scale-setting"]:checked');
+    const checkedValue = checkedRadio ? checkedRadio.value : currentScale;
+
+    container.innerHTML = '';
+    (pendingCustomScales || []).forEach(function(scale) {
+        const label = document.createElement('label');
+        label.className = 'custom-scale-option';
+
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'scale-setting';
+        radio.value = scale.id;
+        label.appendChild(radio);
+
+        const valuesText = scale.values.map(function(value, index) {
+            const valueLabel = (scale.labels || [])[index];
+            return valueLabel ? value + ' ' + valueLabel : String(value);
+        }).filter(function(text, index) { return scale.values[index] > 0; }).join(',');
+
+        const text = document.createElement('span');
+        text.textContent = ' ' + scale.name + ' (' + valuesText + ')';
+        label.appendChild(text);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'custom-scale-delete-btn';
+        deleteBtn.textContent = '×';
+        deleteBtn.title = s.btnDeleteCustomScaleTitle || "Delete scale";
+        deleteBtn.addEventListener('click', function() {
+            removeCustomScaleFromSettings(scale.id);
+        });
+        label.appendChild(deleteBtn);
+
+        container.appendChild(label);
+    });
+
+    const radioToCheck = document.querySelector('input[name="scale-setting"][value="' + checkedValue + '"]') ||
+        document.querySelector('input[name="scale-setting"][value="' + config.defaultSettings.scale + '"]');
+    if (radioToCheck) radioToCheck.checked = true;
+}
+
+
+/**
+ * Adds a custom scale from the editor fields of the Settings Modal (name, values and optional labels).
+ * <br><b>Validation:</b> `parseCustomScale` checks the input; errors are shown as alert and the fields are kept for correction.
+ * <br><b>Selection:</b> The new scale is selected, as adding it is usually followed by switching to it.
+ * It only takes effect when the modal is saved.
+ *
+ * @returns {boolean} `true` if the scale was added.
+ */
+function addCustomScaleFromSettings() {
+    const nameInput = document.getElementById('custom-scale-name');
+    const valuesInput = document.getElementById('custom-scale-values');
+    const labelsInput = document.getElementById('custom-scale-labels');
+    if (!nameInput || !valuesInput) return false;
+
+    if (!pendingCustomScales) pendingCustomScales = getCustomScales();
+
+    const takenIds = Object.keys(SCALES).concat(pendingCustomScales.map(function(scale) { return scale.id; }));
+    let scale;
+    try {
+        scale = parseCustomScale(nameInput.value, valuesInput.value, labelsInput ? labelsInput.value : '', takenIds);
+    } catch (e) {
+        alert(e.message);
+        return false;
+    }
+
+    pendingCustomScales.push(scale);
+    nameInput.value = '';
+    valuesInput.value = '';
+    if (labelsInput) labelsInput.value = '';
+
+    renderCustomScaleOptions();
+    const newRadio = document.querySelector('input[name="scale-setting"][value="' + scale.id + '"]');
+    if (newRadio) newRadio.checked = true;
+    return true;
+}
+
+
+/**
+ * Removes a custom scale from the Settings Modal. The values remembered for it stay on the items (`pbi.scaleValues`),
+ * but are no longer used. If the scale was selected, the default scale is selected instead.
+ *
+ * @param {string} scaleId - The id of the custom scale.
+ */
+function removeCustomScaleFromSettings(scaleId) {
+    if (!pendingCustomScales) pendingCustomScales = getCustomScales();
+    pendingCustomScales = pendingCustomScales.filter(function(scale) { return scale.id !== scaleId; });
+    renderCustomScaleOptions();
+}
+
+
+/**
+ * Renders one radio option per available UI language into the Settings Modal (`getAvailableLanguages`).
+ * Every language is labelled with its own name (e.g. "Deutsch", "Français"), so the list also works for users who do not read the current UI language.
+ *
+ * @param {string} checkedLanguage - The language code to preselect.
+ */
+function renderLanguageOptions(checkedLanguage) {
+    var container = document.getElementById('language-options-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+    getAvailableLanguages().forEach(function(language) {
+        var label = document.createElement('label');
+        var radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'language-setting';
+        radio.value = language.code;
+        radio.checked = language.code === checkedLanguage;
+
+        var name = document.createElement('span');
+        name.className = 'language-option-name';
+        name.textContent = language.name;
+
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(' '));
+        label.appendChild(name);
+        container.appendChild(label);
+    });
+}
+
+
+/**
+ * Returns the T-shirt sizes checked in the open Settings Modal, in logical order (XXS -> XXL).
+ *
+ * @returns {Array<string>} The checked sizes.
+ */
+function getCheckedTshirtSizeSettings() {
+    const sizes = [];
+    document.querySelectorAll('input[name="tshirt-size-setting"]:checked').forEach(function(checkbox) {
+        sizes.push(checkbox.value);
+    });
+    return getSortedTshirtSizes(sizes);
+}
+
+
+/**
+ * Renders one Job Size limit input per checked T-shirt size in the Settings Modal ("S ≤ 5", "M ≤ 9", ...).
+ * <br><b>Layout:</b> The largest checked size has no input, as it takes all larger items ("XL: larger").
+ * <br><b>Values:</b> Limits already typed into the modal are kept across re-renders (e.g. when a size is checked); otherwise the limits of `mapping` are shown.
+ * Every change updates the live preview (`updateTshirtMappingPreview`). An open calibration proposal no longer fits the sizes and is closed.
+ *
+ * @param {Object} [mapping] - The mapping to show. Defaults to the values of the modal, or `getTshirtMapping()` when it is opened.
+ */
+function renderTshirtMappingSettings(mapping) {
+    const container = document.getElementById('tshirt-mapping-container');
+    if (!container) return;
+
+    const s = config.uiStrings || {};
+    const thresholds = normalizeTshirtMapping(mapping || readTshirtMappingSettings()).thresholds;
+    const sizes = getCheckedTshirtSizeSettings();
+
+    container.innerHTML = '';
+    sizes.forEach(function(size, index) {
+        const item = document.createElement('div');
+        item.className = 'tshirt-mapping-item';
+
+        const label = document.createElement('label');
+        item.appendChild(label);
+
+        if (index < sizes.length - 1) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '1';
+            input.step = '1';
+            input.id = 'tshirt-threshold-' + size + '-setting';
+            input.dataset.size = size;
+            input.value = thresholds[size];
+            input.addEventListener('input', updateTshirtMappingPreview);
+            label.htmlFor = input.id;
+            label.textContent = size + ' ≤';
+            item.appendChild(input);
+        } else {
+            label.textContent = size;
+            const rest = document.createElement('span');
+            rest.className = 'tshirt-mapping-rest';
+            rest.textContent = s.tshirtMappingRest || "larger";
+            item.appendChild(rest);
+        }
+
+        container.appendChild(item);
+    });
+
+    hideTshirtCalibrationProposal();
+    updateTshirtMappingPreview();
+}
+
+
+/**
+ * Reads the T-shirt size mapping from the Settings Modal (auto checkbox and limit inputs).
+ * Sizes without an input (unchecked or the largest checked size) keep their current limit.
+ *
+ * @returns {{auto: boolean, thresholds: Object}} The normalized mapping (see `normalizeTshirtMapping`).
+ */
+function readTshirtMappingSettings() {
+    const current = getTshirtMapping();
+    const autoCheckbox = document.getElementById('tshirt-auto-setting');
+    const thresholds = Object.assign({}, current.thresholds);
+    document.querySelectorAll('#tshirt-mapping-container input[data-size]').forEach(function(input) {
+        const value = parseFloat(input.value);
+        if (isFinite(value) && value > 0) thresholds[input.dataset.size] = value;
+    });
+    return normalizeTshirtMapping({
+        auto: autoCheckbox ? autoCheckbox.checked : current.auto,
+        thresholds: thresholds
+    });
+}
+
+
+/**
+ * Shows the live preview of the T-shirt size mapping: how many items of the current backlog would get each checked size
+ * with the limits of the modal (`getTshirtSizeDistribution`). Sizes set by hand and items without a complete Job Size are counted separately.
+ */
+function updateTshirtMappingPreview() {
+    const preview = document.getElementById('tshirt-mapping-preview');
+    if (!preview) return;
+
+    const s = config.uiStrings || {};
+    const distribution = getTshirtSizeDistribution(pbis, readTshirtMappingSettings(), getCheckedTshirtSizeSettings());
+
+    preview.innerHTML = '';
+    const title = document.createElement('span');
+    title.textContent = s.tshirtMappingPreviewLabel || "Current backlog:";
+    preview.appendChild(title);
+
+    Object.keys(distribution.counts).forEach(function(size) {
+        const chip = document.createElement('span');
+        chip.className = 'tshirt-mapping-preview-chip';
+        chip.dataset.size = size;
+        chip.textContent = size;
+        const count = document.createElement('strong');
+        count.textContent = distribution.counts[size];
+        chip.appendChild(count);
+        preview.appendChild(chip);
+    });
+
+    const notes = [];
+    if (distribution.overridden > 0) {
+        notes.push((s.tshirtMappingPreviewOverridden || "{count} set manually").replace('{count}', distribution.overridden));
+    }
+    if (distribution.unsized > 0) {
+        notes.push((s.tshirtMappingPreviewUnsized || "{count} without Job Size").replace('{count}', distribution.unsized));
+    }
+    if (notes.length > 0) {
+        const note = document.createElement('span');
+        note.className = 'tshirt-mapping-preview-note';
+        note.textContent = '(' + notes.join(', ') + ')';
+        preview.appendChild(note);
+    }
+}
+
+
+/**
+ * Calibration assistant of the Settings Modal: proposes the T-shirt size limits from the Job Sizes of the reference items
+ * with the chosen spacing (`calibrateTshirtThresholds`) and shows how many current items would get each size.
+ * <br><b>Two Steps:</b> The proposal is only shown; "Apply" copies it into the limit inputs (`applyTshirtCalibration`), and saving the modal activates it.
+ * <br><b>Errors:</b> Missing reference items or too few sizes are reported as alert.
+ *
+ * @returns {boolean} `true` if a proposal is shown.
+ */
+function proposeTshirtCalibration() {
+    const proposal = document.getElementById('tshirt-calibration-proposal');
+    const methodSelect = document.getElementById('tshirt-calibration-method');
+    if (!proposal) return false;
+
+    const s = config.uiStrings || {};
+    const sizes = getCheckedTshirtSizeSettings();
+    let thresholds;
+    try {
+        thresholds = calibrateTshirtThresholds(pbis, sizes, methodSelect ? methodSelect.value : 'linear');
+    } catch (e) {
+        alert(e.message);
+        return false;
+    }
+
+    const mapping = readTshirtMappingSettings();
+    const distribution = getTshirtSizeDistribution(pbis, { thresholds: Object.assign({}, mapping.thresholds, thresholds) }, sizes);
+
+    proposal.innerHTML = '';
+    const title = document.createElement('span');
+    title.textContent = s.tshirtCalibrationProposalLabel || "Proposal:";
+    proposal.appendChild(title);
+
+    sizes.forEach(function(size) {
+        const chip = document.createElement('span');
+        chip.className = 'tshirt-mapping-preview-chip';
+        chip.dataset.size = size;
+        chip.textContent = thresholds[size] !== undefined ? size + ' ≤ ' + thresholds[size] : size;
+        const count = document.createElement('strong');
+        count.textContent = distribution.counts[size];
+        count.title = s.tshirtCalibrationCountTooltip || "Items of the current backlog";
+        chip.appendChild(count);
+        proposal.appendChild(chip);
+    });
+
+    const applyBtn = document.createElement('button');
+    applyBtn.type = 'button';
+    applyBtn.className = 'btn-secondary tshirt-calibration-apply-btn';
+    applyBtn.textContent = s.btnTshirtCalibrationApply || "Apply";
+    applyBtn.addEventListener('click', function() {
+        applyTshirtCalibration(thresholds);
+    });
+    proposal.appendChild(applyBtn);
+
+    proposal.classList.remove('hidden');
+    return true;
+}
+
+
+/**
+ * Copies a calibration proposal into the limit inputs of the Settings Modal, updates the live preview and closes the proposal.
+ *
+ * @param {Object} thresholds - The proposed limits per size (see `calibrateTshirtThresholds`).
+ */
+function applyTshirtCalibration(thresholds) {
+    Object.keys(thresholds).forEach(function(size) {
+        const input = document.getElementById('tshirt-threshold-' + size + '-setting');
+        if (input) input.value = thresholds[size];
+    });
+    hideTshirtCalibrationProposal();
+    updateTshirtMappingPreview();
+}
+
+
+/**
+ * Hides an open calibration proposal, e.g. because the checked sizes changed and it no longer fits.
+ */
+function hideTshirtCalibrationProposal() {
+    const proposal = document.getElementById('tshirt-calibration-proposal');
+    if (!proposal) return;
+    proposal.innerHTML = '';
+    proposal.classList.add('hidden');
+}
+
+
 /**
  * Pure Business Logic: Validates user inputs and calculates derived metrics (Job Size, CoD, WSJF).
  * <br><b>Architecture (Separation of Concerns):</b>
@@ -872,12 +1296,10 @@ function saveAndCloseSettings() {
  *
  * <br><b>Calculation Logic (WSJF):</b>
  * Weighted Shortest Job First is calculated only if both the Numerator (CoD) and Denominator (Job Size) are fully estimated.
+ * Both are the weighted sums of their components (`calculateJobSize`, `calculateCod`), so the modal shows the same score as the list.
  * <br><b>Formatting:</b>
- * The function includes specific string manipulation for the WSJF score:
- * <ul>
- * <li>Truncates trailing zeros (e.g., `5.50` -> `5.5`, `4.00` -> `4`).</li>
- * <li>Replaces decimal dots with commas for European locale consistency (`.` -> `,`).</li>
- * </ul>
+ * The WSJF score is rounded to two decimals without trailing zeros (e.g., `5.50` -> `5.5`, `4.00` -> `4`)
+ * and formatted for the UI language (`formatNumber`, e.g. `5,5` in German).
  *
  * @param {Object} inputs - The raw form values (title, slider numbers, localization strings).
  * @returns {Object} A state object containing boolean flags (e.g., `isSaveDisabled`), status messages (`jobsizeHintText`), and calculated values.
@@ -894,7 +1316,7 @@ function validateAndSyncModalLogic(inputs) {
 
     var hasTitle = title.trim() !== '';
     var isJobsizeComplete = complexityVal > 0 && effortVal > 0 && doubtVal > 0;
-    var jobSize = isJobsizeComplete ? (complexityVal + effortVal + doubtVal) : null;
+    var jobSize = isJobsizeComplete ? calculateJobSize({ complexity: complexityVal, effort: effortVal, doubt: doubtVal }) : null;
 
     var jobsizeHintText = uiStrings.jobsizeHint;
     var jobsizeHintIsComplete = false;
@@ -905,7 +1327,7 @@ function validateAndSyncModalLogic(inputs) {
 
     var isSaveDisabled = !hasTitle;
     var isCoDComplete = codBvVal > 0 && codTcVal > 0 && codRroeVal > 0;
-    var codTotal = isCoDComplete ? (codBvVal + codTcVal + codRroeVal) : null;
+    var codTotal = isCoDComplete ? calculateCod({ cod_bv: codBvVal, cod_tc: codTcVal, cod_rroe: codRroeVal }) : null;
 
     var codHintText = uiStrings.codHint;
     var codHintIsComplete = false;
@@ -916,13 +1338,7 @@ function validateAndSyncModalLogic(inputs) {
 
     var wsjfValue = null;
     if (isCoDComplete && jobSize !== null && jobSize > 0 && codTotal !== null) {
-        var score = (codTotal / jobSize).toFixed(2);
-        if (score.endsWith('.00')) {
-            score = score.slice(0, -3);
-        } else if (score.endsWith('0')) {
-            score = score.slice(0, -1);
-        }
-        wsjfValue = score.replace('.', ',');
+        wsjfValue = formatNumber(Math.round(codTotal / jobSize * 100) / 100);
     }
 
     return {
@@ -1093,11 +1509,17 @@ function validateAndSyncModal() {
  * 2. <b>Positioning:</b> Calculates coordinates to center the popup exactly over the clicked trigger element (`clickedElement`).
  * 3. <b>Interaction:</b>
  * - <b>Selection:</b> Clicking an option saves the size, closes the popup, and triggers a re-render.
+ * - <b>Auto Sizing:</b> While the sizes are derived from the Job Size, a picked size is kept as manual override (`tshirtSizeOverride`).
+ * The additional "Auto" option removes the override, so `renderAll` derives the size again.
  * - <b>Cancellation:</b> Clicking the background overlay (outside the popup) invokes `closePopup()` to discard the action cleanly.
  *
+ * <br><b>Read-Only Viewer:</b> The popup is not shown for the backlog of a share link.
+ *
  * @param {HTMLElement} clickedElement - The DOM element (usually a badge or button) that triggered the popup. Used for positioning.
  */
 function showTshirtPopup(clickedElement) {
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
+
     const pbiItem = clickedElement.closest('[data-id]');
     if (!pbiItem) return;
 
@@ -1120,7 +1542,8 @@ function showTshirtPopup(clickedElement) {
         return indexA - indexB;
     });
     
-    const sizesWithOptions = ['-'].concat(sizes);
+    const isAutoSizing = getTshirtMapping().auto;
+    const sizesWithOptions = (isAutoSizing ? ['auto'] : []).concat(['-'], sizes);
     
     const popup = document.createElement('div');
     popup.className = 'tshirt-popup';
@@ -1148,8 +1571,17 @@ function showTshirtPopup(clickedElement) {
         const option = document.createElement('div');
         option.className = 'tshirt-option';
         option.textContent = size;
+        if (size === 'auto') {
+            option.classList.add('tshirt-option-auto');
+            option.textContent = (config.uiStrings && config.uiStrings.tshirtOptionAuto) || "Auto";
+        }
         option.addEventListener('click', function() {
-            pbi.tshirtSize = (size === '-') ? null : size;
+            if (size === 'auto') {
+                delete pbi.tshirtSizeOverride;
+            } else {
+                pbi.tshirtSize = (size === '-') ? null : size;
+                if (isAutoSizing) pbi.tshirtSizeOverride = true;
+            }
             lastEditedPbiId = pbi.id;
             activePopupPbiId = null; 
             closePopup();
@@ -1188,18 +1620,26 @@ function showTshirtPopup(clickedElement) {
  * <br><b>Auto-Calculation Logic:</b>
  * When a new value is selected, the function immediately updates dependent aggregates to keep the data consistent:
  * <ul>
- * <li><b>Job Size Group:</b> If updating Complexity, Effort, or Doubt, it checks if all three are now present. If so, it sums them up to update `pbi.jobSize`. If any becomes 0, `jobSize` is invalidated (set to null).</li>
+ * <li><b>Job Size Group:</b> If updating Complexity, Effort, or Doubt, it checks if all three are now present. If so, their weighted sum updates `pbi.jobSize`. If any becomes 0, `jobSize` is invalidated (set to null).</li>
  * <li><b>CoD Group:</b> If updating BV, TC, or RR/OE, it performs a similar check and summation for `pbi.cod`.</li>
- * <li><b>Data Sync:</b> Crucially, it updates `pbi.arithmeticValues` and `pbi.fibonacciValues` to ensure the Edit Modal reflects these changes later.</li>
+ * <li><b>Data Sync:</b> Crucially, it remembers the value for the active scale (`pbi.scaleValues`) to ensure the Edit Modal reflects these changes later.</li>
  * </ul>
  *
  * <br><b>Rendering:</b>
  * Uses the same Overlay/Popup positioning logic as `showTshirtPopup` to center the menu over the clicked cell.
  * Populates the menu options based on the currently active `SCALES[currentScale].values` (e.g., Fibonacci numbers).
+ * Values with a label (custom scales) show the label, with the number as tooltip.
+ *
+ * <br><b>Planning Poker:</b> If the votes of the item are revealed, each option shows how many participants voted for it,
+ * and the consensus value is highlighted, so the facilitator can accept it with one click.
+ *
+ * <br><b>Read-Only Viewer:</b> The popup is not shown for the backlog of a share link.
  *
  * @param {HTMLElement} clickedCell - The table cell element (td or div) that was clicked.
  */
 function showValuePopup(clickedCell) {
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
+
     const pbiId = parseInt(clickedCell.dataset.pbiId, 10);
     const valueType = clickedCell.dataset.valueType;
     const pbi = pbis.find(function(p) { return p.id === pbiId; });
@@ -1210,6 +1650,7 @@ function showValuePopup(clickedCell) {
     clickedCell.classList.add('popup-trigger-active'); 
 
     const values = SCALES[currentScale].values;
+    const voteStats = (pbi.voting && pbi.voting.revealed && typeof getVoteStatistics === 'function') ? getVoteStatistics(pbi.voting, valueType) : null;
     
     const popup = document.createElement('div');
     popup.className = 'tshirt-popup'; 
@@ -1237,32 +1678,23 @@ function showValuePopup(clickedCell) {
     values.forEach(function(value) {
         const option = document.createElement('div');
         option.className = 'tshirt-option';    
-        option.textContent = (value === 0) ? '-' : value;
+        const valueLabel = getScaleValueLabel(currentScale, value);
+        option.textContent = (value === 0) ? '-' : (valueLabel || value);
+        if (valueLabel) option.title = String(value);
+
+        if (voteStats) {
+            const voteCount = voteStats.votes.filter(function(vote) { return vote.value === value; }).length;
+            if (voteCount > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'vote-count';
+                badge.textContent = voteCount;
+                option.appendChild(badge);
+            }
+            if (value === voteStats.consensus) option.classList.add('is-vote-consensus');
+        }
 
         option.addEventListener('click', function() {
-            pbi[valueType] = value;
-            
-            if (!pbi.arithmeticValues) { pbi.arithmeticValues = {}; }
-            if (!pbi.fibonacciValues) { pbi.fibonacciValues = {}; }
-            
-            pbi.arithmeticValues[valueType] = value;
-            pbi.fibonacciValues[valueType] = value;
-
-            if (['complexity', 'effort', 'doubt'].indexOf(valueType) > -1) {
-                if (pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0) {
-                    pbi.jobSize = pbi.complexity + pbi.effort + pbi.doubt;
-                } else {
-                    pbi.jobSize = null;
-                    pbi.tshirtSize = null;
-                }
-            }
-            if (['cod_bv', 'cod_tc', 'cod_rroe'].indexOf(valueType) > -1) {
-                if (pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0) {
-                    pbi.cod = pbi.cod_bv + pbi.cod_tc + pbi.cod_rroe;
-                } else {
-                    pbi.cod = null;
-                }
-            }
+            applyEstimateValue(pbi, valueType, value);
 
             lastEditedPbiId = pbi.id; 
             activePopupPbiId = null; 
@@ -1289,6 +1721,1520 @@ function showValuePopup(clickedCell) {
 }
 
 
+// ===================================================================================
+// CSV EXPORT OPTIONS
+// ===================================================================================
+
+
+/**
+ * Fills the format options of the CSV export dialog.
+ * <br><b>Logic:</b> The selects are built from <code>CSV_EXPORT_CHOICES</code> (labels from the language file) and preselect the given options.
+ * The WSJF decimals and the BOM checkbox are set directly; the BOM checkbox is disabled unless the encoding is UTF-8.
+ *
+ * @param {Object} [options] - The options to show. Defaults to <code>getCsvExportOptions()</code>.
+ */
+function renderCsvExportOptions(options) {
+    var s = config.uiStrings || {};
+    var current = normalizeCsvExportOptions(options || getCsvExportOptions());
+
+    document.querySelectorAll('#csv-export-options-container select[data-option]').forEach(function(select) {
+        var key = select.dataset.option;
+        select.innerHTML = '';
+        (CSV_EXPORT_CHOICES[key] || []).forEach(function(choice) {
+            var option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = s[choice.labelKey] || choice.label;
+            option.selected = choice.value === current[key];
+            select.appendChild(option);
+        });
+    });
+
+    var decimalsInput = document.getElementById('csv-export-wsjf-decimals');
+    if (decimalsInput) decimalsInput.value = current.wsjfDecimals;
+    var bomCheckbox = document.getElementById('csv-export-bom');
+    if (bomCheckbox) {
+        bomCheckbox.checked = current.bom;
+        bomCheckbox.disabled = current.encoding !== 'utf-8';
+    }
+}
+
+
+/**
+ * Reads the format options of the CSV export dialog. Options without a control keep their current value.
+ *
+ * @returns {Object} The normalized options (see <code>normalizeCsvExportOptions</code>).
+ */
+function readCsvExportOptions() {
+    var options = getCsvExportOptions();
+
+    document.querySelectorAll('#csv-export-options-container select[data-option]').forEach(function(select) {
+        options[select.dataset.option] = select.value;
+    });
+
+    var decimalsInput = document.getElementById('csv-export-wsjf-decimals');
+    if (decimalsInput) options.wsjfDecimals = decimalsInput.value;
+    var bomCheckbox = document.getElementById('csv-export-bom');
+    if (bomCheckbox) options.bom = bomCheckbox.checked;
+
+    return normalizeCsvExportOptions(options);
+}
+
+
+// ===================================================================================
+// CSV MAPPING IMPORT (JIRA / AZURE DEVOPS)
+// ===================================================================================
+
+
+let csvMappingImport = null;
+
+/**
+ * Opens the "CSV with Column Mapping" import dialog in its initial (empty) state.
+ * <br><b>Initialization:</b>
+ * <ul>
+ * <li>Discards any file that was loaded during a previous, cancelled session.</li>
+ * <li>Fills the source suggestions (`datalist`) with the names of all remembered mappings, so the user can pick "Jira" or "Azure DevOps" again.</li>
+ * <li>Disables the Import button until a file with at least one row has been loaded.</li>
+ * </ul>
+ */
+function openCsvMappingModal() {
+    csvMappingImport = null;
+
+    var s = config.uiStrings || {};
+    var sourceInput = document.getElementById('csv-mapping-source');
+    var sourceList = document.getElementById('csv-mapping-source-list');
+    var fileNameLabel = document.getElementById('csv-mapping-file-name');
+
+    if (sourceInput) sourceInput.value = '';
+    if (fileNameLabel) fileNameLabel.textContent = s.csvMappingNoFile || 'No file selected';
+
+    if (sourceList) {
+        sourceList.innerHTML = '';
+        Object.keys(loadCsvMappings()).forEach(function(source) {
+            var option = document.createElement('option');
+            option.value = source;
+            sourceList.appendChild(option);
+        });
+    }
+
+    renderCsvMappingFields({});
+    renderCsvMappingPreview();
+
+    var modal = document.getElementById('csv-mapping-modal');
+    if (modal) modal.style.display = 'flex';
+}
+
+
+/**
+ * Event handler for the file input inside the mapping dialog.
+ * Reads the selected file as text and hands it to <code>prepareCsvMappingImport</code>.
+ * Like <code>handleImport</code>, it clears the input afterwards so the same file can be selected again.
+ *
+ * @param {Event} event - The DOM `change` event of `#csv-mapping-file-input`.
+ */
+function handleCsvMappingFileSelect(event) {
+    var file = event.target.files[0];
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function(e) {
+        prepareCsvMappingImport(e.target.result, file.name);
+    };
+    reader.onerror = function(e) {
+        console.error("File reading error:", e);
+        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + "File could not be read.");
+    };
+    reader.readAsText(file);
+
+    if (event.target) {
+        event.target.value = '';
+    }
+}
+
+
+/**
+ * Parses a loaded CSV file and prefills the mapping dialog.
+ * <br><b>Workflow:</b>
+ * <ol>
+ * <li><b>Parsing:</b> Detects the separator (<code>detectCsvDelimiter</code>) and splits the file with <code>parseCsv</code>.</li>
+ * <li><b>Source Recognition:</b> If a remembered mapping fits the header row (<code>findCsvMappingSource</code>), its name is
+ * entered as source and its mapping is applied.</li>
+ * <li><b>Fallback:</b> Otherwise <code>guessCsvMapping</code> proposes a mapping based on well-known column names.</li>
+ * </ol>
+ *
+ * @param {string} csvText - The raw file content.
+ * @param {string} fileName - The name of the selected file.
+ */
+function prepareCsvMappingImport(csvText, fileName) {
+    var s = config.uiStrings || {};
+    var rows = parseCsv(csvText, detectCsvDelimiter(csvText));
+
+    if (rows.length < 2) {
+        alert((s.importError || "Error") + "\n" + (s.csvMappingErrorNoRows || "The file does not contain any backlog items."));
+        return;
+    }
+
+    csvMappingImport = { rows: rows, fileName: fileName };
+
+    var fileNameLabel = document.getElementById('csv-mapping-file-name');
+    if (fileNameLabel) fileNameLabel.textContent = fileName;
+
+    var mappings = loadCsvMappings();
+    var source = findCsvMappingSource(rows[0], mappings);
+    var sourceInput = document.getElementById('csv-mapping-source');
+
+    if (source) {
+        if (sourceInput) sourceInput.value = source;
+        renderCsvMappingFields(mappings[source].mapping);
+    } else {
+        renderCsvMappingFields(guessCsvMapping(rows[0]));
+    }
+
+    renderCsvMappingPreview();
+}
+
+
+/**
+ * Applies a remembered mapping when the user selects (or types) the name of a known source.
+ * Unknown names are ignored, so typing a new source name does not discard the current selection.
+ */
+function applyCsvMappingSource() {
+    var sourceInput = document.getElementById('csv-mapping-source');
+    if (!sourceInput || !csvMappingImport) return;
+
+    var stored = loadCsvMappings()[sourceInput.value.trim()];
+    if (stored && stored.mapping) {
+        renderCsvMappingFields(stored.mapping);
+        renderCsvMappingPreview();
+    }
+}
+
+
+/**
+ * Builds one dropdown per importable PBI field, listing all columns of the loaded file.
+ * <br><b>Fields:</b> Title, the three Job Size components, T-Shirt Size, the three CoD components and Notes —
+ * i.e. all non-derived columns of <code>getCsvColumnDefinitions</code> except the reference flag.
+ * <br><b>Stale Mappings:</b> A mapped column that does not exist in the current file is not preselected.
+ *
+ * @param {Object} mapping - Map of PBI field to CSV column header used for the preselection.
+ */
+function renderCsvMappingFields(mapping) {
+    var container = document.getElementById('csv-mapping-fields');
+    if (!container) return;
+    container.innerHTML = '';
+
+    var s = config.uiStrings || {};
+    var headers = csvMappingImport ? csvMappingImport.rows[0] : [];
+
+    getCsvColumnDefinitions(s).forEach(function(column) {
+        if (column.derived || column.field === 'reference') return;
+
+        var row = document.createElement('div');
+        row.className = 'csv-mapping-field';
+
+        var label = document.createElement('label');
+        label.htmlFor = 'csv-mapping-select-' + column.field;
+        label.textContent = column.label;
+
+        var select = document.createElement('select');
+        select.id = 'csv-mapping-select-' + column.field;
+        select.dataset.field = column.field;
+        select.disabled = headers.length === 0;
+
+        var emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = s.csvMappingNotMapped || '- not mapped -';
+        select.appendChild(emptyOption);
+
+        headers.forEach(function(header) {
+            var option = document.createElement('option');
+            option.value = header;
+            option.textContent = header;
+            select.appendChild(option);
+        });
+
+        if (mapping && mapping[column.field] && headers.indexOf(mapping[column.field]) !== -1) {
+            select.value = mapping[column.field];
+        }
+
+        select.addEventListener('change', renderCsvMappingPreview);
+
+        row.appendChild(label);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
+}
+
+
+/**
+ * Reads the current selection of all mapping dropdowns.
+ *
+ * @returns {Object} Map of PBI field to CSV column header (unmapped fields have an empty string).
+ */
+function getCsvMappingFromModal() {
+    var mapping = {};
+    document.querySelectorAll('#csv-mapping-fields select').forEach(function(select) {
+        mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+}
+
+
+/**
+ * Renders a preview table with the header and the first rows of the loaded file.
+ * <br><b>Visual Feedback:</b>
+ * Columns that are currently mapped receive the `.is-mapped` class and show the target field beneath the column name,
+ * so the user can verify the assignment against real data before importing.
+ * The Import button is enabled only while a file is loaded.
+ */
+function renderCsvMappingPreview() {
+    var container = document.getElementById('csv-mapping-preview');
+    var confirmBtn = document.getElementById('btn-csv-mapping-confirm');
+    if (confirmBtn) confirmBtn.disabled = !csvMappingImport;
+    if (!container) return;
+    container.innerHTML = '';
+    if (!csvMappingImport) return;
+
+    var s = config.uiStrings || {};
+    var maxPreviewRows = 5;
+    var headers = csvMappingImport.rows[0];
+    var dataRows = csvMappingImport.rows.slice(1);
+    var mapping = getCsvMappingFromModal();
+
+    var fieldLabels = {};
+    getCsvColumnDefinitions(s).forEach(function(column) { fieldLabels[column.field] = column.label; });
+
+    var headerToField = {};
+    Object.keys(mapping).forEach(function(field) {
+        if (mapping[field]) headerToField[mapping[field]] = field;
+    });
+
+    var table = document.createElement('table');
+    var headRow = document.createElement('tr');
+    headers.forEach(function(header) {
+        var th = document.createElement('th');
+        th.textContent = header;
+        if (headerToField[header]) {
+            th.classList.add('is-mapped');
+            var target = document.createElement('small');
+            target.textContent = fieldLabels[headerToField[header]];
+            th.appendChild(target);
+        }
+        headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+
+    dataRows.slice(0, maxPreviewRows).forEach(function(cells) {
+        var tr = document.createElement('tr');
+        headers.forEach(function(header, index) {
+            var td = document.createElement('td');
+            td.textContent = cells[index] !== undefined ? cells[index] : '';
+            if (headerToField[header]) td.classList.add('is-mapped');
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+
+    container.appendChild(table);
+
+    var info = document.createElement('div');
+    info.className = 'csv-mapping-preview-info';
+    info.textContent = (s.csvMappingPreviewInfo || 'Showing {shown} of {total} rows')
+        .replace('{shown}', Math.min(maxPreviewRows, dataRows.length))
+        .replace('{total}', dataRows.length);
+    container.appendChild(info);
+}
+
+
+/**
+ * Creates the Backlog Items from the loaded file and imports them.
+ * <br><b>Workflow:</b>
+ * <ol>
+ * <li><b>Validation:</b> A title column is mandatory; without it the dialog stays open and the user is alerted.</li>
+ * <li><b>Conversion:</b> <code>buildPbisFromCsvMapping</code> creates the PBIs and snaps off-scale values.</li>
+ * <li><b>Memory:</b> If a source name was entered, the mapping is remembered via <code>saveCsvMapping</code>.</li>
+ * <li><b>Import:</b> The dialog closes, the number of snapped values is reported (if any) and the items are handed to
+ * <code>applyCsvBacklogItems</code> — the same pipeline the regular CSV import uses (including the overwrite confirmation).</li>
+ * </ol>
+ */
+function confirmCsvMappingImport() {
+    if (!csvMappingImport) return;
+
+    var s = config.uiStrings || {};
+    var mapping = getCsvMappingFromModal();
+
+    if (!mapping.title) {
+        alert(s.csvMappingErrorNoTitle || "Please assign a column to the title.");
+        return;
+    }
+
+    var result = buildPbisFromCsvMapping(csvMappingImport.rows, mapping);
+    if (result.backlogItems.length === 0) {
+        alert((s.importError || "Error") + "\n" + (s.csvMappingErrorNoRows || "The file does not contain any backlog items."));
+        return;
+    }
+
+    var sourceInput = document.getElementById('csv-mapping-source');
+    if (sourceInput && sourceInput.value.trim()) {
+        saveCsvMapping(sourceInput.value.trim(), mapping);
+    }
+
+    var fileName = csvMappingImport.fileName;
+    csvMappingImport = null;
+
+    var modal = document.getElementById('csv-mapping-modal');
+    if (modal) modal.style.display = 'none';
+
+    if (result.snappedCount > 0) {
+        alert((s.csvMappingSnappedInfo || "{count} values were not on the active scale and have been snapped to the nearest scale value.")
+            .replace('{count}', result.snappedCount));
+    }
+
+    applyCsvBacklogItems(result.backlogItems, fileName);
+}
+
+
+// ===================================================================================
+// MERGE IMPORT (CONFLICT DIALOG)
+// ===================================================================================
+
+
+let pendingMergePlan = null;
+
+/**
+ * Opens the merge conflict dialog for a plan created by <code>buildMergePlan</code>.
+ * <br><b>Content:</b>
+ * <ul>
+ * <li><b>Summary:</b> Number of new, unchanged and differing items.</li>
+ * <li><b>Conflicts:</b> One card per matched item, listing every differing field with the local and the incoming value side by side.
+ * Each field has its own radio pair, so the facilitator can merge field by field. The local value is preselected.</li>
+ * <li><b>Reference Items:</b> If the file marks a different item as Reference MIN / MAX, the facilitator decides explicitly which one stays.</li>
+ * </ul>
+ *
+ * @param {Object} plan - The merge plan.
+ */
+function openMergeConflictModal(plan) {
+    pendingMergePlan = plan;
+
+    var s = config.uiStrings || {};
+    var summary = document.getElementById('merge-conflict-summary');
+    if (summary) {
+        summary.textContent = (s.mergeSummary || '{added} new, {unchanged} unchanged, {conflicts} with differences')
+            .replace('{added}', plan.additions.length)
+            .replace('{unchanged}', plan.unchangedCount)
+            .replace('{conflicts}', plan.conflicts.length);
+    }
+
+    renderMergeConflicts(plan);
+    renderMergeReferenceConflicts(plan);
+
+    var modal = document.getElementById('merge-conflict-modal');
+    if (modal) modal.style.display = 'flex';
+}
+
+
+/**
+ * Formats a PBI field value for the side-by-side comparison.
+ * Notes are shown as Markdown (plain text); unset values (`0`, empty, `null`) are shown as a dash.
+ *
+ * @param {string} field - The PBI field name.
+ * @param {*} value - The raw value.
+ * @returns {string} The display text.
+ */
+function formatMergeValue(field, value) {
+    if (value === null || value === undefined || value === '' || value === 0) return '–';
+    if (field === 'notes') {
+        return (typeof htmlToMarkdown === 'function') ? htmlToMarkdown(value) : String(value);
+    }
+    return String(value);
+}
+
+
+/**
+ * Creates a labelled radio button for one side (local / incoming) of a merge decision.
+ *
+ * @param {string} name - The name of the radio group.
+ * @param {string} value - `'local'` or `'incoming'`.
+ * @param {string} text - The value shown next to the radio button.
+ * @param {boolean} checked - Whether this side is preselected.
+ * @returns {HTMLLabelElement} The label element containing the radio button.
+ */
+function createMergeChoice(name, value, text, checked) {
+    var label = document.createElement('label');
+    label.className = 'merge-choice';
+
+    var radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = name;
+    radio.value = value;
+    radio.checked = checked;
+
+    var span = document.createElement('span');
+    span.textContent = text;
+
+    label.appendChild(radio);
+    label.appendChild(span);
+    return label;
+}
+
+
+/**
+ * Renders one comparison card per conflicting item into `#merge-conflict-list`.
+ *
+ * @param {Object} plan - The merge plan.
+ */
+function renderMergeConflicts(plan) {
+    var container = document.getElementById('merge-conflict-list');
+    if (!container) return;
+    container.innerHTML = '';
+
+    var s = config.uiStrings || {};
+    var labels = {};
+    getMergeFieldDefinitions(s).forEach(function(column) { labels[column.field] = column.label; });
+
+    plan.conflicts.forEach(function(conflict) {
+        var local = pbis.find(function(p) { return p.id === conflict.localId; });
+        if (!local) return;
+
+        var card = document.createElement('div');
+        card.className = 'merge-conflict';
+
+        var header = document.createElement('div');
+        header.className = 'merge-conflict-header';
+        header.textContent = local.title;
+        card.appendChild(header);
+
+        var table = document.createElement('table');
+        var headRow = document.createElement('tr');
+        [s.mergeColumnField || 'Field', s.mergeColumnLocal || 'Local', s.mergeColumnIncoming || 'Incoming'].forEach(function(text) {
+            var th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        table.appendChild(headRow);
+
+        conflict.fields.forEach(function(field) {
+            var name = 'merge-field-' + conflict.localId + '-' + field;
+            var tr = document.createElement('tr');
+            tr.dataset.localId = conflict.localId;
+            tr.dataset.field = field;
+
+            var labelCell = document.createElement('td');
+            labelCell.textContent = labels[field] || field;
+
+            var localCell = document.createElement('td');
+            localCell.appendChild(createMergeChoice(name, 'local', formatMergeValue(field, local[field]), true));
+
+            var incomingCell = document.createElement('td');
+            incomingCell.appendChild(createMergeChoice(name, 'incoming', formatMergeValue(field, conflict.incoming[field]), false));
+
+            tr.appendChild(labelCell);
+            tr.appendChild(localCell);
+            tr.appendChild(incomingCell);
+            table.appendChild(tr);
+        });
+
+        card.appendChild(table);
+        container.appendChild(card);
+    });
+}
+
+
+/**
+ * Renders the explicit decisions for Reference MIN / MAX into `#merge-reference-list`.
+ * Only slots that are occupied locally are shown; empty local slots are filled automatically.
+ *
+ * @param {Object} plan - The merge plan.
+ */
+function renderMergeReferenceConflicts(plan) {
+    var container = document.getElementById('merge-reference-list');
+    var group = document.getElementById('merge-reference-group');
+    if (!container) return;
+    container.innerHTML = '';
+
+    var s = config.uiStrings || {};
+    var findTitle = function(id) {
+        var item = pbis.find(function(p) { return p.id === id; }) || plan.additions.find(function(p) { return p.id === id; });
+        return item ? item.title : '–';
+    };
+
+    var visibleConflicts = plan.referenceConflicts.filter(function(conflict) { return conflict.localId !== null; });
+    visibleConflicts.forEach(function(conflict) {
+        var row = document.createElement('div');
+        row.className = 'merge-reference';
+        row.dataset.type = conflict.type;
+
+        var label = document.createElement('span');
+        label.className = 'merge-reference-label';
+        label.textContent = conflict.type === 'min' ? (s.navRefMin || 'REFERENCE ITEM MIN') : (s.navRefMax || 'REFERENCE ITEM MAX');
+
+        row.appendChild(label);
+        row.appendChild(createMergeChoice('merge-reference-' + conflict.type, 'local', findTitle(conflict.localId), true));
+        row.appendChild(createMergeChoice('merge-reference-' + conflict.type, 'incoming', findTitle(conflict.incomingId), false));
+        container.appendChild(row);
+    });
+
+    if (group) group.style.display = visibleConflicts.length > 0 ? '' : 'none';
+}
+
+
+/**
+ * Selects the same side for every decision in the dialog ("Keep all local" / "Take all incoming").
+ *
+ * @param {string} choice - `'local'` or `'incoming'`.
+ */
+function setAllMergeChoices(choice) {
+    document.querySelectorAll('#merge-conflict-modal input[type="radio"][value="' + choice + '"]').forEach(function(radio) {
+        radio.checked = true;
+    });
+}
+
+
+/**
+ * Reads the decisions of the facilitator from the dialog.
+ *
+ * @returns {{fields: Object, references: Object}} The resolutions in the format expected by <code>applyMergePlan</code>.
+ */
+function getMergeResolutionsFromModal() {
+    var resolutions = { fields: {}, references: {} };
+
+    document.querySelectorAll('#merge-conflict-list tr[data-field]').forEach(function(row) {
+        var checked = row.querySelector('input[type="radio"]:checked');
+        if (!checked) return;
+        var pbi = pbis.find(function(p) { return String(p.id) === row.dataset.localId; });
+        if (!pbi) return;
+        if (!resolutions.fields[pbi.id]) resolutions.fields[pbi.id] = {};
+        resolutions.fields[pbi.id][row.dataset.field] = checked.value;
+    });
+
+    document.querySelectorAll('#merge-reference-list .merge-reference').forEach(function(row) {
+        var checked = row.querySelector('input[type="radio"]:checked');
+        if (checked) resolutions.references[row.dataset.type] = checked.value;
+    });
+
+    return resolutions;
+}
+
+
+/**
+ * Applies the pending merge with the decisions made in the dialog and closes it.
+ */
+function confirmMergeConflicts() {
+    if (!pendingMergePlan) return;
+
+    var plan = pendingMergePlan;
+    var resolutions = getMergeResolutionsFromModal();
+    pendingMergePlan = null;
+
+    var modal = document.getElementById('merge-conflict-modal');
+    if (modal) modal.style.display = 'none';
+
+    finishMergeImport(plan, resolutions);
+}
+
+
+/**
+ * Discards the pending merge. The current backlog stays unchanged.
+ */
+function cancelMergeConflicts() {
+    pendingMergePlan = null;
+
+    var modal = document.getElementById('merge-conflict-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+
+// ===================================================================================
+// SNAPSHOTS
+// ===================================================================================
+
+
+/**
+ * Opens the snapshot dialog, which lists the snapshots of the active workspace
+ * and lets the user save the current state under a new name.
+ */
+function openSnapshotModal() {
+    var nameInput = document.getElementById('snapshot-name-input');
+    if (nameInput) nameInput.value = '';
+
+    renderSnapshotList();
+
+    var modal = document.getElementById('snapshot-modal');
+    if (modal) modal.style.display = 'flex';
+    if (nameInput) nameInput.focus();
+}
+
+
+/**
+ * Renders the snapshots into `#snapshot-list`, newest first.
+ * Each row shows name, date and number of items and offers "Compare", "Restore" and "Delete".
+ * The buttons carry `data-action` and `data-snapshot-id` and are handled by <code>handleSnapshotListClick</code>.
+ */
+function renderSnapshotList() {
+    var container = document.getElementById('snapshot-list');
+    if (!container) return;
+    container.innerHTML = '';
+
+    var s = config.uiStrings || {};
+    var snapshots = loadSnapshots().slice().reverse();
+
+    if (snapshots.length === 0) {
+        var empty = document.createElement('p');
+        empty.className = 'snapshot-empty';
+        empty.textContent = s.snapshotListEmpty || 'No snapshots saved yet.';
+        container.appendChild(empty);
+        return;
+    }
+
+    snapshots.forEach(function(snapshot) {
+        var row = document.createElement('div');
+        row.className = 'snapshot-row';
+        row.dataset.snapshotId = snapshot.id;
+
+        var info = document.createElement('div');
+        info.className = 'snapshot-info';
+
+        var name = document.createElement('span');
+        name.className = 'snapshot-name';
+        name.textContent = snapshot.name;
+
+        var meta = document.createElement('span');
+        meta.className = 'snapshot-meta';
+        var itemCount = (snapshot.data && Array.isArray(snapshot.data.backlogItems)) ? snapshot.data.backlogItems.length : 0;
+        meta.textContent = (s.snapshotMeta || '{date} · {count} items')
+            .replace('{date}', new Date(snapshot.timestamp).toLocaleString(currentLanguage))
+            .replace('{count}', itemCount);
+
+        info.appendChild(name);
+        info.appendChild(meta);
+        row.appendChild(info);
+
+        var actions = document.createElement('div');
+        actions.className = 'snapshot-actions';
+        [
+            ['compare', s.btnSnapshotCompare || 'Compare'],
+            ['restore', s.btnSnapshotRestore || 'Restore'],
+            ['delete', s.btnSnapshotDelete || 'Delete']
+        ].forEach(function(entry) {
+            var button = document.createElement('button');
+            button.dataset.action = entry[0];
+            button.dataset.snapshotId = snapshot.id;
+            button.textContent = entry[1];
+            if (entry[0] === 'delete') button.className = 'snapshot-delete-btn';
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+
+        container.appendChild(row);
+    });
+}
+
+
+/**
+ * Saves the current state under the name entered in the dialog and refreshes the list.
+ * An empty name is rejected; a full LocalStorage is reported.
+ */
+function saveSnapshotFromModal() {
+    var s = config.uiStrings || {};
+    var nameInput = document.getElementById('snapshot-name-input');
+    var name = nameInput ? nameInput.value.trim() : '';
+
+    if (!name) {
+        alert(s.snapshotNameRequired || 'Please enter a name for the snapshot.');
+        return;
+    }
+
+    if (!createSnapshot(name)) {
+        alert(s.snapshotSaveError || 'The snapshot could not be saved. The browser storage may be full.');
+        return;
+    }
+
+    if (nameInput) nameInput.value = '';
+    renderSnapshotList();
+}
+
+
+/**
+ * Handles the row buttons of the snapshot list (event delegation).
+ * <ul>
+ * <li><b>compare:</b> Closes the dialog and starts the comparison view.</li>
+ * <li><b>restore:</b> Closes the dialog and restores the snapshot (with confirmation).</li>
+ * <li><b>delete:</b> Deletes the snapshot after confirmation.</li>
+ * </ul>
+ *
+ * @param {MouseEvent} event - The click event inside `#snapshot-list`.
+ */
+function handleSnapshotListClick(event) {
+    var button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    var s = config.uiStrings || {};
+    var snapshotId = button.dataset.snapshotId;
+
+    if (button.dataset.action === 'compare') {
+        closeSnapshotModal();
+        startSnapshotComparison(snapshotId);
+    } else if (button.dataset.action === 'restore') {
+        closeSnapshotModal();
+        restoreSnapshot(snapshotId);
+    } else if (button.dataset.action === 'delete') {
+        var snapshot = loadSnapshots().find(function(item) { return item.id === snapshotId; });
+        var question = (s.snapshotConfirmDelete || 'Delete the snapshot "{name}"?').replace('{name}', snapshot ? snapshot.name : '');
+        if (confirm(question)) {
+            deleteSnapshot(snapshotId);
+            renderSnapshotList();
+        }
+    }
+}
+
+
+/**
+ * Closes the snapshot dialog.
+ */
+function closeSnapshotModal() {
+    var modal = document.getElementById('snapshot-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+
+// ===================================================================================
+// ENCRYPTED FILES (PASSPHRASE DIALOG)
+// ===================================================================================
+
+
+let pendingPassphraseRequest = null;
+
+/**
+ * Opens the passphrase dialog.
+ * <br><b>Modes:</b>
+ * <ul>
+ * <li><b>export:</b> The passphrase is optional and has to be entered twice. Leaving both fields empty exports a plain file.</li>
+ * <li><b>import:</b> The passphrase of an encrypted file is required. A wrong passphrase keeps the dialog open, so the user can try again.</li>
+ * </ul>
+ *
+ * @param {Object} request - The request.
+ * @param {string} request.mode - <code>'export'</code> or <code>'import'</code>.
+ * @param {Function} request.onConfirm - Called with the passphrase; may return a Promise, whose rejection is shown in the dialog.
+ * @param {string} [request.fileName] - The name of the encrypted file (import only).
+ */
+function openPassphraseModal(request) {
+    pendingPassphraseRequest = request;
+
+    var s = config.uiStrings || {};
+    var isExport = request.mode === 'export';
+
+    var title = document.getElementById('passphrase-modal-title');
+    if (title) title.textContent = isExport ? (s.passphraseExportTitle || 'Export Backlog & Settings') : (s.passphraseImportTitle || 'Encrypted File');
+
+    var text = document.getElementById('passphrase-modal-text');
+    if (text) {
+        text.textContent = isExport
+            ? (s.passphraseExportText || 'Optionally protect the file with a passphrase. Leave the fields empty to export an unencrypted file.')
+            : (s.passphraseImportText || 'The file "{file}" is encrypted. Please enter its passphrase.').replace('{file}', request.fileName || '');
+    }
+
+    var confirmBtn = document.getElementById('btn-passphrase-confirm');
+    if (confirmBtn) {
+        confirmBtn.textContent = isExport ? (s.btnPassphraseExport || 'Export') : (s.btnPassphraseImport || 'Decrypt & Import');
+        confirmBtn.disabled = false;
+    }
+
+    var input = document.getElementById('passphrase-input');
+    var repeatInput = document.getElementById('passphrase-repeat-input');
+    if (input) input.value = '';
+    if (repeatInput) {
+        repeatInput.value = '';
+        repeatInput.classList.toggle('hidden', !isExport);
+    }
+    showPassphraseError('');
+
+    var modal = document.getElementById('passphrase-modal');
+    if (modal) modal.style.display = 'flex';
+    if (input) input.focus();
+}
+
+
+/**
+ * Shows a message below the passphrase fields, or hides it for an empty text.
+ *
+ * @param {string} message - The message.
+ */
+function showPassphraseError(message) {
+    var errorEl = document.getElementById('passphrase-error');
+    if (!errorEl) return;
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+}
+
+
+/**
+ * Opens the passphrase dialog for the JSON export ("Export" button of the toolbar).
+ */
+function openJsonExportModal() {
+    openPassphraseModal({
+        mode: 'export',
+        onConfirm: function(passphrase) {
+            closePassphraseModal();
+            return exportPbisAsJson(passphrase);
+        }
+    });
+}
+
+
+/**
+ * Checks the entered passphrase and hands it to the pending request.
+ * <br><b>Error Handling:</b>
+ * <ul>
+ * <li>Differing repetition (export) or an empty passphrase (import) are shown in the dialog.</li>
+ * <li>Errors marked with <code>isWrongPassphrase</code> keep the dialog open for another attempt.</li>
+ * <li>All other errors close the dialog and are reported like a failed import.</li>
+ * </ul>
+ *
+ * @returns {Promise} Resolves once the request was handled.
+ */
+function confirmPassphraseModal() {
+    if (!pendingPassphraseRequest) return Promise.resolve();
+
+    var s = config.uiStrings || {};
+    var request = pendingPassphraseRequest;
+    var input = document.getElementById('passphrase-input');
+    var repeatInput = document.getElementById('passphrase-repeat-input');
+    var passphrase = input ? input.value : '';
+
+    if (request.mode === 'export') {
+        if (passphrase !== (repeatInput ? repeatInput.value : '')) {
+            showPassphraseError(s.passphraseMismatch || 'The passphrases do not match.');
+            return Promise.resolve();
+        }
+    } else if (!passphrase) {
+        showPassphraseError(s.passphraseRequired || 'Please enter the passphrase.');
+        return Promise.resolve();
+    }
+
+    var confirmBtn = document.getElementById('btn-passphrase-confirm');
+    if (confirmBtn) confirmBtn.disabled = true;
+    showPassphraseError('');
+
+    return Promise.resolve().then(function() {
+        return request.onConfirm(passphrase);
+    }).catch(function(e) {
+        if (e && e.isWrongPassphrase) {
+            showPassphraseError(e.message);
+            if (input) {
+                input.value = '';
+                input.focus();
+            }
+            return;
+        }
+        console.error('Passphrase request failed:', e);
+        closePassphraseModal();
+        alert((s.importError || 'Error') + "\n" + (e && e.message ? e.message : e));
+    }).then(function() {
+        if (confirmBtn) confirmBtn.disabled = false;
+    });
+}
+
+
+/**
+ * Closes the passphrase dialog and drops the pending request (e.g. the encrypted file is not imported).
+ */
+function closePassphraseModal() {
+    pendingPassphraseRequest = null;
+
+    var input = document.getElementById('passphrase-input');
+    var repeatInput = document.getElementById('passphrase-repeat-input');
+    if (input) input.value = '';
+    if (repeatInput) repeatInput.value = '';
+
+    var modal = document.getElementById('passphrase-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+
+// ===================================================================================
+// PLANNING POKER (VOTING TAB)
+// ===================================================================================
+
+
+let modalVoting = null;
+
+/**
+ * Maps the voting fields to the sliders of the edit dialog.
+ */
+const VOTING_SLIDER_IDS = {
+    complexity: 'pbi-complexity',
+    effort: 'pbi-effort',
+    doubt: 'pbi-doubt',
+    cod_bv: 'pbi-cod-bv',
+    cod_tc: 'pbi-cod-tc',
+    cod_rroe: 'pbi-cod-rroe'
+};
+
+
+/**
+ * Switches the tabs of the edit dialog ("Job Size", "Cost of Delay", "Voting", "Dependencies", "Prioritization").
+ *
+ * @param {string} name - <code>'jobsize'</code>, <code>'cod'</code>, <code>'voting'</code>, <code>'dependencies'</code> or <code>'priority'</code>.
+ */
+function activateModalTab(name) {
+    ['jobsize', 'cod', 'voting', 'dependencies', 'priority'].forEach(function(tabName) {
+        var tab = document.getElementById('tab-btn-' + tabName);
+        var content = document.getElementById('tab-content-' + tabName);
+        if (tab) tab.classList.toggle('active', tabName === name);
+        if (content) content.classList.toggle('hidden', tabName !== name);
+    });
+}
+
+
+/**
+ * Loads the voting of the edited item into the dialog (<code>modalVoting</code>).
+ * The dialog works on a copy: votes are only stored on the item by <code>savePbiFromModal</code>, so "Cancel" discards them like any other change.
+ * Items without a voting start with the participants known from other items.
+ *
+ * @param {Object|null} pbi - The edited item, or <code>null</code> for a new one.
+ */
+function loadVotingIntoModal(pbi) {
+    modalVoting = (pbi && pbi.voting)
+        ? JSON.parse(JSON.stringify(pbi.voting))
+        : createVoting(getKnownVotingParticipants());
+    renderVotingTab();
+}
+
+
+/**
+ * Returns the voting of the dialog for saving, or <code>undefined</code> if no participant was added.
+ *
+ * @returns {Object|undefined} A copy of the voting.
+ */
+function getVotingFromModal() {
+    if (!modalVoting || modalVoting.participants.length === 0) return undefined;
+    return JSON.parse(JSON.stringify(modalVoting));
+}
+
+
+/**
+ * Renders the voting grid into `#voting-table`.
+ * <br><b>Hidden Votes:</b> Until the votes are revealed, every vote is a password field, so participants entering their
+ * vote one after another on the facilitator's screen do not see the other votes.
+ * <br><b>Revealed Votes:</b> The votes are shown as numbers; outliers (see <code>getVoteStatistics</code>) are marked.
+ * Below the votes, a row each shows the spread and the median, and an "Accept" button per field applies the consensus to the slider.
+ */
+function renderVotingTab() {
+    var container = document.getElementById('voting-table');
+    if (!container || !modalVoting) return;
+    container.innerHTML = '';
+
+    var s = config.uiStrings || {};
+    var labels = {
+        complexity: s.colComplexity, effort: s.colEffort, doubt: s.colDoubt,
+        cod_bv: s.colBv, cod_tc: s.colTc, cod_rroe: s.colRrOe
+    };
+
+    var revealBtn = document.getElementById('btn-voting-reveal');
+    if (revealBtn) revealBtn.disabled = modalVoting.revealed || !hasVotes(modalVoting);
+
+    if (modalVoting.participants.length === 0) {
+        var empty = document.createElement('p');
+        empty.className = 'voting-empty';
+        empty.textContent = s.votingNoParticipants || 'Add the participants of the estimation to start voting.';
+        container.appendChild(empty);
+        return;
+    }
+
+    var stats = {};
+    VOTING_FIELDS.forEach(function(field) {
+        stats[field] = modalVoting.revealed ? getVoteStatistics(modalVoting, field) : null;
+    });
+
+    var appendRow = function(className, firstCellContent, cellFactory) {
+        var row = document.createElement('div');
+        row.className = 'voting-row ' + className;
+        var first = document.createElement('div');
+        first.className = 'voting-cell voting-name';
+        if (typeof firstCellContent === 'string') {
+            first.textContent = firstCellContent;
+        } else {
+            first.appendChild(firstCellContent);
+        }
+        row.appendChild(first);
+        VOTING_FIELDS.forEach(function(field) {
+            var cell = document.createElement('div');
+            cell.className = 'voting-cell';
+            cellFactory(cell, field);
+            row.appendChild(cell);
+        });
+        container.appendChild(row);
+    };
+
+    appendRow('voting-header', s.votingColParticipant || 'Participant', function(cell, field) {
+        cell.textContent = labels[field] || field;
+    });
+
+    modalVoting.participants.forEach(function(participant) {
+        var nameCell = document.createElement('span');
+        nameCell.textContent = participant.name;
+        var removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'voting-remove-btn';
+        removeBtn.dataset.action = 'remove';
+        removeBtn.dataset.participant = participant.name;
+        removeBtn.title = s.votingRemoveParticipant || 'Remove participant';
+        removeBtn.textContent = '×';
+        nameCell.appendChild(removeBtn);
+
+        appendRow('voting-participant', nameCell, function(cell, field) {
+            var value = participant.values[field];
+            if (modalVoting.revealed) {
+                cell.textContent = value > 0 ? value : '-';
+                if (stats[field] && stats[field].outliers.indexOf(participant.name) !== -1) cell.classList.add('vote-outlier');
+                return;
+            }
+            var input = document.createElement('input');
+            input.type = 'password';
+            input.className = 'vote-input';
+            input.inputMode = 'numeric';
+            input.autocomplete = 'off';
+            input.value = value > 0 ? value : '';
+            input.dataset.participant = participant.name;
+            input.dataset.field = field;
+            cell.appendChild(input);
+        });
+    });
+
+    if (!modalVoting.revealed) return;
+
+    appendRow('voting-summary', s.votingRowSpread || 'Spread', function(cell, field) {
+        var fieldStats = stats[field];
+        cell.textContent = !fieldStats ? '-' : (fieldStats.min === fieldStats.max ? String(fieldStats.min) : fieldStats.min + '–' + fieldStats.max);
+        if (fieldStats && fieldStats.outliers.length > 0) cell.classList.add('vote-outlier');
+    });
+    appendRow('voting-summary', s.votingRowMedian || 'Median', function(cell, field) {
+        cell.textContent = stats[field] ? String(stats[field].median) : '-';
+    });
+    appendRow('voting-summary', '', function(cell, field) {
+        if (!stats[field]) return;
+        var acceptBtn = document.createElement('button');
+        acceptBtn.type = 'button';
+        acceptBtn.className = 'voting-accept-btn';
+        acceptBtn.dataset.action = 'accept';
+        acceptBtn.dataset.field = field;
+        acceptBtn.textContent = (s.btnVotingAccept || 'Accept {value}').replace('{value}', stats[field].consensus);
+        cell.appendChild(acceptBtn);
+    });
+}
+
+
+/**
+ * Stores a hidden vote typed into the voting grid (delegated <code>change</code> event of `#voting-table`).
+ * Only values of the active scale are accepted; an empty field removes the vote.
+ *
+ * @param {Event} event - The change event.
+ */
+function handleVotingInput(event) {
+    var input = event.target;
+    if (!modalVoting || !input.classList || !input.classList.contains('vote-input')) return;
+
+    var s = config.uiStrings || {};
+    var text = input.value.trim().replace(',', '.');
+    var value = text === '' ? null : Number(text);
+    var scaleValues = SCALES[currentScale].values.filter(function(v) { return v > 0; });
+
+    if (value !== null && scaleValues.indexOf(value) === -1) {
+        input.value = '';
+        input.classList.add('is-invalid');
+        alert((s.votingInvalidValue || 'Please enter a value of the active scale: {values}').replace('{values}', scaleValues.join(', ')));
+        return;
+    }
+
+    input.classList.remove('is-invalid');
+    setVotingValue(modalVoting, input.dataset.participant, input.dataset.field, value);
+    markModalAsDirty();
+
+    var revealBtn = document.getElementById('btn-voting-reveal');
+    if (revealBtn) revealBtn.disabled = !hasVotes(modalVoting);
+}
+
+
+/**
+ * Handles the buttons inside the voting grid (event delegation): "Remove participant" and "Accept consensus".
+ *
+ * @param {MouseEvent} event - The click event inside `#voting-table`.
+ */
+function handleVotingTableClick(event) {
+    var button = event.target.closest('button[data-action]');
+    if (!button || !modalVoting) return;
+
+    if (button.dataset.action === 'remove') {
+        removeVotingParticipant(modalVoting, button.dataset.participant);
+        markModalAsDirty();
+        renderVotingTab();
+    } else if (button.dataset.action === 'accept') {
+        acceptVotingConsensus(button.dataset.field);
+    }
+}
+
+
+/**
+ * Adds the participant entered in `#voting-participant-input`.
+ * Empty and duplicate names are rejected with a message.
+ */
+function addVotingParticipantFromModal() {
+    var input = document.getElementById('voting-participant-input');
+    if (!input || !modalVoting) return;
+
+    if (!addVotingParticipant(modalVoting, input.value)) {
+        if (input.value.trim()) {
+            var s = config.uiStrings || {};
+            alert(s.votingParticipantExists || 'A participant with this name already exists.');
+        }
+        return;
+    }
+
+    input.value = '';
+    markModalAsDirty();
+    renderVotingTab();
+    input.focus();
+}
+
+
+/**
+ * Reveals all votes at once ("Reveal votes" button).
+ */
+function revealVotesInModal() {
+    if (!modalVoting || !hasVotes(modalVoting)) return;
+    modalVoting.revealed = true;
+    markModalAsDirty();
+    renderVotingTab();
+}
+
+
+/**
+ * Clears all votes for another round ("New round" button), e.g. after the outliers explained their estimates.
+ */
+function startNewVotingRoundInModal() {
+    if (!modalVoting) return;
+    startNewVotingRound(modalVoting);
+    markModalAsDirty();
+    renderVotingTab();
+}
+
+
+/**
+ * Applies the consensus of one field to its slider. The value is stored on the item when the dialog is saved,
+ * so the facilitator can still adjust it before.
+ *
+ * @param {string} field - One of <code>VOTING_FIELDS</code>.
+ */
+function acceptVotingConsensus(field) {
+    var stats = getVoteStatistics(modalVoting, field);
+    var input = document.getElementById(VOTING_SLIDER_IDS[field]);
+    if (!stats || !input) return;
+
+    var scaleValues = SCALES[currentScale].values;
+    var isNumericScale = (scaleValues.length > 0 && typeof scaleValues[0] === 'number');
+    input.value = isNumericScale ? stats.consensus : scaleValues.indexOf(stats.consensus);
+    input.dataset.interacted = "true";
+    input.dataset.zeroLocked = "true";
+
+    if (typeof updateSliderFill === 'function') updateSliderFill(input);
+    if (typeof updateActiveScaleValue === 'function') updateActiveScaleValue(input);
+    if (typeof updateSliderValues === 'function') updateSliderValues();
+    if (typeof validateAndSyncModal === 'function') validateAndSyncModal();
+    markModalAsDirty();
+}
+
+
+// ===================================================================================
+// PRIORITIZATION MODEL (PRIORITY TAB & SETTINGS)
+// ===================================================================================
+
+
+/**
+ * Renders the inputs of the active prioritization model into the "Prioritization" tab of the edit dialog.
+ * <br><b>Visibility:</b> WSJF has no inputs of its own (it uses the sliders), so the tab is hidden while WSJF is active.
+ * <br><b>Inputs:</b> Numeric fields become number inputs with the limits of the model; fields with options become a selection
+ * with an empty entry for "not set". The stored values of the item for this model (<code>getPriorityValues</code>) are preselected.
+ *
+ * @param {Object|null} pbi - The edited item, or <code>null</code> for a new one.
+ */
+function renderPriorityInputs(pbi) {
+    var tabBtn = document.getElementById('tab-btn-priority');
+    var container = document.getElementById('priority-inputs');
+    if (!container) return;
+
+    var modelId = getActivePrioritizationModel();
+    var fields = PRIORITIZATION_MODELS[modelId].fields;
+    if (tabBtn) tabBtn.style.display = fields.length > 0 ? '' : 'none';
+
+    var values = getPriorityValues(pbi, modelId);
+    container.innerHTML = '';
+
+    fields.forEach(function(field) {
+        var inputId = 'priority-field-' + field.key;
+        var label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.textContent = getPriorityLabel(field);
+
+        var input;
+        if (field.options) {
+            input = document.createElement('select');
+            input.appendChild(new Option('-', ''));
+            field.options.forEach(function(option) {
+                var isObject = typeof option === 'object';
+                input.appendChild(new Option(isObject ? getPriorityLabel(option) : formatNumber(option), String(isObject ? option.value : option)));
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            if (field.step !== undefined) input.step = field.step;
+        }
+        input.id = inputId;
+        input.dataset.field = field.key;
+        input.value = (values[field.key] !== undefined && values[field.key] !== null) ? String(values[field.key]) : '';
+
+        container.appendChild(label);
+        container.appendChild(input);
+    });
+}
+
+
+/**
+ * Reads the inputs of the "Prioritization" tab.
+ * Numeric options and number inputs are converted to numbers; empty or invalid inputs become <code>null</code>.
+ * Number inputs are clamped to the limits of the field.
+ *
+ * @returns {Object} The inputs by field of the active model.
+ */
+function readPriorityInputs() {
+    var modelId = getActivePrioritizationModel();
+    var values = {};
+
+    PRIORITIZATION_MODELS[modelId].fields.forEach(function(field) {
+        var input = document.getElementById('priority-field-' + field.key);
+        var raw = input ? input.value : '';
+        if (raw === '') {
+            values[field.key] = null;
+            return;
+        }
+
+        var isTextOption = field.options && typeof field.options[0] === 'object';
+        if (isTextOption) {
+            values[field.key] = raw;
+            return;
+        }
+
+        var number = parseFloat(raw);
+        if (!isFinite(number)) {
+            values[field.key] = null;
+            return;
+        }
+        if (field.min !== undefined) number = Math.max(number, field.min);
+        if (field.max !== undefined) number = Math.min(number, field.max);
+        values[field.key] = number;
+    });
+
+    return values;
+}
+
+
+/**
+ * Stores the inputs of the "Prioritization" tab on an item (see <code>storePriorityValues</code>).
+ * Does nothing while WSJF is active, so the inputs of the other models stay untouched.
+ *
+ * @param {Object} pbi - The item being saved.
+ */
+function applyPriorityInputsToPbi(pbi) {
+    var modelId = getActivePrioritizationModel();
+    if (modelId === 'wsjf') return;
+    storePriorityValues(pbi, modelId, readPriorityInputs());
+}
+
+
+/**
+ * Renders one radio option per prioritization model into the Settings Modal, each with its formula (e.g. "RICE – Reach × Impact × Confidence / Effort").
+ *
+ * @param {string} checkedModelId - The model to preselect.
+ */
+function renderPriorityModelOptions(checkedModelId) {
+    var container = document.getElementById('priority-model-options');
+    if (!container) return;
+
+    var s = config.uiStrings || {};
+    container.innerHTML = '';
+
+    Object.keys(PRIORITIZATION_MODELS).forEach(function(modelId) {
+        var model = PRIORITIZATION_MODELS[modelId];
+        var label = document.createElement('label');
+        var radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'priority-model-setting';
+        radio.value = modelId;
+        radio.checked = modelId === checkedModelId;
+
+        var description = document.createElement('span');
+        description.className = 'priority-model-description';
+        description.textContent = ' – ' + (s[model.descriptionKey] || model.description);
+
+        label.appendChild(radio);
+        label.appendChild(document.createTextNode(' ' + getPrioritizationModelName(modelId)));
+        label.appendChild(description);
+        container.appendChild(label);
+    });
+}
+
+
+// ===================================================================================
+// URGENCY PROFILE (COST OF DELAY TAB)
+// ===================================================================================
+
+
+/**
+ * Fills the urgency profile selection of the "Cost of Delay" tab and preselects the profile of the item (see <code>getUrgencyProfile</code>).
+ * New items start with the standard profile.
+ *
+ * @param {Object|null} pbi - The edited item, or <code>null</code> for a new one.
+ */
+function loadUrgencyProfileIntoModal(pbi) {
+    var select = document.getElementById('pbi-urgency-profile');
+    var deadlineInput = document.getElementById('pbi-urgency-deadline');
+    if (!select || !deadlineInput) return;
+
+    var urgency = getUrgencyProfile(pbi);
+    select.innerHTML = '';
+    Object.keys(URGENCY_PROFILES).forEach(function(profileId) {
+        select.appendChild(new Option(getUrgencyProfileLabel(profileId), profileId));
+    });
+    select.value = urgency.profile;
+    deadlineInput.value = (urgency.deadline !== null) ? String(urgency.deadline) : '';
+
+    updateUrgencyDeadlineVisibility();
+}
+
+
+/**
+ * Shows the deadline input only while the "Fixed date" profile is selected.
+ */
+function updateUrgencyDeadlineVisibility() {
+    var select = document.getElementById('pbi-urgency-profile');
+    var isFixedDate = !!select && select.value === 'fixedDate';
+    ['pbi-urgency-deadline', 'urgency-deadline-label'].forEach(function(id) {
+        var el = document.getElementById(id);
+        if (el) el.style.display = isFixedDate ? '' : 'none';
+    });
+}
+
+
+/**
+ * Stores the urgency profile of the "Cost of Delay" tab on an item (see <code>storeUrgencyProfile</code>).
+ * An empty or invalid deadline is stored as <code>null</code>, which lets the cost start at time 0.
+ *
+ * @param {Object} pbi - The item being saved.
+ */
+function applyUrgencyInputsToPbi(pbi) {
+    var select = document.getElementById('pbi-urgency-profile');
+    var deadlineInput = document.getElementById('pbi-urgency-deadline');
+    if (!select) return;
+
+    var deadline = deadlineInput ? parseFloat(deadlineInput.value) : NaN;
+    storeUrgencyProfile(pbi, select.value, isFinite(deadline) ? deadline : null);
+}
+
+
+// ===================================================================================
+// DEPENDENCIES (DEPENDENCIES TAB)
+// ===================================================================================
+
+
+/**
+ * Fills the "Dependencies" tab with one checkbox per other item; the items the edited item depends on are checked (see <code>getDependencies</code>).
+ * The placeholder item and the edited item itself are not offered.
+ *
+ * @param {Object|null} pbi - The edited item, or <code>null</code> for a new one.
+ */
+function loadDependenciesIntoModal(pbi) {
+    var container = document.getElementById('dependency-options');
+    if (!container) return;
+
+    var s = config.uiStrings || {};
+    var selectedIds = getDependencies(pbi).map(String);
+    var candidates = pbis.filter(function(item) { return !item.isLastItem && (!pbi || item.id !== pbi.id); });
+
+    container.innerHTML = '';
+    if (candidates.length === 0) {
+        var emptyHint = document.createElement('div');
+        emptyHint.className = 'dependency-options-empty';
+        emptyHint.textContent = s.dependencyNoItems || 'There are no other items yet.';
+        container.appendChild(emptyHint);
+        return;
+    }
+
+    candidates.forEach(function(item) {
+        var label = document.createElement('label');
+        label.className = 'dependency-option';
+
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = 'pbi-dependency';
+        checkbox.value = String(item.id);
+        checkbox.checked = selectedIds.indexOf(String(item.id)) !== -1;
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + item.title));
+        container.appendChild(label);
+    });
+}
+
+
+/**
+ * Reads the checked dependencies of the "Dependencies" tab.
+ *
+ * @returns {Array<number|string>} The ids of the checked items (with their original type).
+ */
+function getDependencyInputs() {
+    var checkedValues = Array.from(document.querySelectorAll('#dependency-options input[name="pbi-dependency"]:checked'))
+        .map(function(checkbox) { return checkbox.value; });
+    return pbis
+        .filter(function(item) { return checkedValues.indexOf(String(item.id)) !== -1; })
+        .map(function(item) { return item.id; });
+}
+
+
+/**
+ * Checks whether the checked dependencies would close a cycle with the links of the other items (e.g. A depends on B, B depends on A).
+ * Shows an alert naming the items of the cycle, so the edited item is not saved with an order that can never be satisfied.
+ * A new item cannot be part of a cycle, as no other item can depend on it yet.
+ *
+ * @returns {boolean} <code>true</code> if the dependencies can be saved.
+ */
+function validateDependencyInputs() {
+    if (!currentEditingId || !document.getElementById('dependency-options')) return true;
+
+    var selectedIds = getDependencyInputs();
+    var candidateList = pbis
+        .filter(function(item) { return !item.isLastItem; })
+        .map(function(item) { return item.id === currentEditingId ? Object.assign({}, item, { dependsOn: selectedIds }) : item; });
+
+    var cycle = findDependencyCycle(candidateList);
+    if (!cycle) return true;
+
+    var cycleText = cycle.map(function(item) { return item.title; }).join(' → ');
+    alert((config.uiStrings.alertDependencyCycle || 'These dependencies would create a cycle: {items}. Please remove one of the links.').replace('{items}', cycleText));
+    return false;
+}
+
+
+/**
+ * Stores the checked dependencies of the "Dependencies" tab on an item (see <code>storeDependencies</code>).
+ *
+ * @param {Object} pbi - The item being saved.
+ */
+function applyDependencyInputsToPbi(pbi) {
+    if (!document.getElementById('dependency-options')) return;
+    storeDependencies(pbi, getDependencyInputs());
+}
+
+
 /**
  * @ignore
     * CommonJS Module Export Definition (UI Interaction Controllers).
@@ -1300,6 +3246,11 @@ function showValuePopup(clickedCell) {
  * <li><b>Modal Lifecycle:</b> `showModal`, `getIsModalDirty`, `markModalAsDirty` - Verifies that the edit dialog opens with the correct data and tracks unsaved changes.</li>
  * <li><b>Settings Management:</b> `openSettingsModal`, `saveAndCloseSettings`, `resetSettingsToDefault` - Allows testing the configuration subsystem, including complex migrations (like scale changes) and color theming.</li>
  * <li><b>Popup Controls:</b> `showTshirtPopup`, `showValuePopup` - Tests the logic behind context menus and inline editing.</li>
+ * <li><b>Merge Import:</b> `openMergeConflictModal`, `confirmMergeConflicts` - Verifies that the side-by-side decisions are translated into the resolutions applied to the backlog.</li>
+ * <li><b>Snapshots:</b> `renderSnapshotList`, `handleSnapshotListClick` - Verifies the listing of saved states and the routing of Compare / Restore / Delete.</li>
+ * <li><b>Encrypted Files:</b> `openPassphraseModal`, `confirmPassphraseModal` - Verifies the passphrase checks and that a wrong passphrase can be retried.</li>
+ * <li><b>Planning Poker:</b> `renderVotingTab`, `handleVotingInput`, `acceptVotingConsensus` - Verifies hidden votes, the reveal and that the consensus reaches the slider.</li>
+ * <li><b>CSV Mapping Import:</b> `prepareCsvMappingImport`, `confirmCsvMappingImport` - Verifies source recognition, mapping preselection and the hand-over to the import pipeline.</li>
  * <li><b>Validation Logic:</b> `validateAndSyncModalLogic` - Crucial for unit testing. It allows verifying that invalid inputs correctly disable the "Save" button without needing to instantiate a real button in the DOM.</li>
  * </ul>
  * <br><b>Testing Strategy:</b>
@@ -1315,12 +3266,72 @@ if (typeof module !== 'undefined' && module.exports) {
         openSettingsModal,
         resetSettingsToDefault,
         saveAndCloseSettings,
+        renderCustomScaleOptions,
+        addCustomScaleFromSettings,
+        removeCustomScaleFromSettings,
+        renderLanguageOptions,
+        getCheckedTshirtSizeSettings,
+        renderTshirtMappingSettings,
+        readTshirtMappingSettings,
+        updateTshirtMappingPreview,
+        proposeTshirtCalibration,
+        applyTshirtCalibration,
+        hideTshirtCalibrationProposal,
         showTshirtPopup,
         showValuePopup,
         getIsModalDirty,
         markModalAsDirty,
         updateModalNavButtons,
         validateAndSyncModal,
-        updateHelpIcons
+        updateHelpIcons,
+        renderCsvExportOptions,
+        readCsvExportOptions,
+        openCsvMappingModal,
+        handleCsvMappingFileSelect,
+        prepareCsvMappingImport,
+        applyCsvMappingSource,
+        renderCsvMappingFields,
+        getCsvMappingFromModal,
+        renderCsvMappingPreview,
+        confirmCsvMappingImport,
+        openMergeConflictModal,
+        formatMergeValue,
+        renderMergeConflicts,
+        renderMergeReferenceConflicts,
+        setAllMergeChoices,
+        getMergeResolutionsFromModal,
+        confirmMergeConflicts,
+        cancelMergeConflicts,
+        openSnapshotModal,
+        renderSnapshotList,
+        saveSnapshotFromModal,
+        handleSnapshotListClick,
+        closeSnapshotModal,
+        openPassphraseModal,
+        showPassphraseError,
+        openJsonExportModal,
+        confirmPassphraseModal,
+        closePassphraseModal,
+        activateModalTab,
+        loadVotingIntoModal,
+        getVotingFromModal,
+        renderVotingTab,
+        handleVotingInput,
+        handleVotingTableClick,
+        addVotingParticipantFromModal,
+        revealVotesInModal,
+        startNewVotingRoundInModal,
+        acceptVotingConsensus,
+        renderPriorityInputs,
+        readPriorityInputs,
+        applyPriorityInputsToPbi,
+        renderPriorityModelOptions,
+        loadUrgencyProfileIntoModal,
+        updateUrgencyDeadlineVisibility,
+        applyUrgencyInputsToPbi,
+        loadDependenciesIntoModal,
+        getDependencyInputs,
+        validateDependencyInputs,
+        applyDependencyInputsToPbi
     };
 }
\ No newline at end of file
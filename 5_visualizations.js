@@ -796,7 +796,8 @@ function createCodVisualization(pbi, wrapper) {
  * <br><b>Concept (The Economics of Queues):</b>
  * This function visualizes the cumulative economic cost incurred over time based on the sequence in which items are processed.
  * <ul>
- * <li><b>Y-Axis:</b> The sum of the "Cost of Delay" (CoD) of all items currently <i>waiting</i> in the queue.</li>
+ * <li><b>Y-Axis:</b> The sum of the "Cost of Delay" (CoD) of all items currently <i>waiting</i> in the queue.
+ * With urgency profiles (<code>URGENCY_PROFILES</code>) the CoD of an item changes over time; each block then shows its average CoD within the segment.</li>
  * <li><b>X-Axis:</b> The cumulative time elapsed (Job Size).</li>
  * <li><b>The Goal:</b> To minimize the total area under the curve (Total Accumulated Delay Cost). WSJF aims to reduce this area fastest by tackling high-CoD items early.</li>
  * </ul>
@@ -805,11 +806,18 @@ function createCodVisualization(pbi, wrapper) {
  * The function iterates through the `sortedPbiList` to simulate the passage of time:
  * 1. <b>Segment Creation:</b> For each PBI, it creates a vertical "slice" (segment) of the chart. The width is the PBI's duration (`jobSize`).
  * 2. <b>Cost Calculation:</b> While a PBI is being "processed" (the width of the slice), all <i>other</i> remaining items are waiting. 
- * The height of the graph represents the sum of the CoD of these waiting items.
+ * The height of the graph represents the sum of the CoD of these waiting items. The cost of each waiting item in the slice is the area under its
+ * CoD curve (<code>calculateDelayCost</code> at the end minus at the start of the slice), so deadlines, expedited and rising costs are respected.
+ * Without the utility module, every CoD is treated as constant.
  * 3. <b>Stack Visualization:</b> Inside each segment, it renders a visual stack:
  * - <b>Colored Block:</b> The item currently being processed (at the top).
  * - <b>Grey Blocks:</b> The items waiting in the queue (below), scaled by their CoD.
- * 4. <b>Total Cost Accumulation:</b> It calculates <code>Cost * Duration</code> for the segment and adds it to `totalCalculatedDelayCost`.
+ * 4. <b>Total Cost Accumulation:</b> It adds the delay cost of the segment to `totalCalculatedDelayCost` and the cost of each waiting item to its accumulated cost label.
+ * Segments are calculated first, so the y-axis can scale to the highest stack (rising or expedited costs may exceed the initial sum).
+ * 5. <b>Capacity:</b> If a capacity per PI or iteration is set (<code>getCapacity</code>), the boundaries of the periods are drawn (<code>renderCapacityBoundaries</code>).
+ * Processing blocks that fit into the next period are marked (<code>capacity-next-period</code>), blocks that cross a boundary are flagged as split (<code>capacity-split</code>).
+ * 6. <b>Dependencies:</b> Items processed before one of their dependencies (<code>findDependencyViolations</code>) are flagged (<code>dependency-violated</code>)
+ * and their tooltip names the missing items. The optimal order never violates a dependency, so this only shows up in the current order.
  *
  * <br><b>DOM Manipulation:</b>
  * It dynamically constructs the chart using absolute positioning and flexbox within the provided container IDs.
@@ -848,14 +856,48 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
     xAxisContainer.innerHTML = '';
 
     var totalJobSize = 0;
-    var maxTotalCod = 0;
     var accumulatedDelayCostMap = {};
     sortedPbiList.forEach(function(pbi){
         totalJobSize += pbi.jobSize;
-        maxTotalCod += pbi.cod;
         accumulatedDelayCostMap[pbi.id] = 0;
     });
 
+    var delayCostUntil = (typeof calculateDelayCost === 'function')
+        ? calculateDelayCost
+        : function(pbi, time) { return pbi.cod * time; };
+
+    var segments = [];
+    var segmentStart = 0;
+    var remainingPbis = sortedPbiList.slice();
+    sortedPbiList.forEach(function(currentPbi) {
+        if (currentPbi.jobSize <= 0) return;
+
+        var segmentEnd = segmentStart + currentPbi.jobSize;
+        var rateMap = {};
+        var stackHeight = 0;
+        var segmentCost = 0;
+        remainingPbis.forEach(function(p) {
+            var costInSegment = delayCostUntil(p, segmentEnd, totalJobSize) - delayCostUntil(p, segmentStart, totalJobSize);
+            rateMap[p.id] = costInSegment / currentPbi.jobSize;
+            stackHeight += rateMap[p.id];
+            if (p.id !== currentPbi.id) segmentCost += costInSegment;
+        });
+        remainingPbis = remainingPbis.filter(function(p){ return p.id !== currentPbi.id; });
+
+        segments.push({
+            pbi: currentPbi,
+            waitingPbis: remainingPbis.slice(),
+            rateMap: rateMap,
+            stackHeight: stackHeight,
+            cost: segmentCost
+        });
+        segmentStart = segmentEnd;
+    });
+
+    var maxTotalCod = 0;
+    sortedPbiList.forEach(function(pbi){ maxTotalCod += pbi.cod; });
+    segments.forEach(function(segment){ maxTotalCod = Math.max(maxTotalCod, segment.stackHeight); });
+
     if (totalJobSize <= 0 || maxTotalCod <= 0) {
         chartArea.innerHTML = '<p style="text-align:center; color:#999;">' + (uiStrings.wsjfChartNoData || 'No valid data to display.') + '</p>';
         yAxisMaxLabel.textContent = '0';
@@ -872,8 +914,8 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
         return 0;
     }
 
-    yAxisMaxLabel.textContent = maxTotalCod.toLocaleString();
-    yAxisMaxLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', maxTotalCod.toLocaleString());
+    yAxisMaxLabel.textContent = formatNumber(maxTotalCod);
+    yAxisMaxLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', formatNumber(maxTotalCod));
     yAxisZeroLabel.textContent = '0';
     yAxisZeroLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', '0');
 
@@ -883,7 +925,6 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
 
     var totalCalculatedDelayCost = 0;
     var currentTime = 0;
-    var remainingPbis = sortedPbiList.slice();
 
     var startLabel = document.createElement('div');
     startLabel.className = 'wsjf-time-label wsjf-time-label-start';
@@ -892,49 +933,52 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
     startLabel.title = (uiStrings.wsjfChartTooltipXAxisLabel || 'Cumulative Job Size: {value}').replace('{value}', '0');
     xAxisContainer.appendChild(startLabel);
 
-    var initialWaitingCodSum = 0;
-    sortedPbiList.forEach(function(p){ initialWaitingCodSum += p.cod; });
+    var initialWaitingCodSum = segments.length > 0 ? segments[0].stackHeight : 0;
     if (Math.abs(initialWaitingCodSum - maxTotalCod) > 0.01) { 
         var initialYLabel = document.createElement('div');
         initialYLabel.className = 'wsjf-y-axis-label wsjf-y-axis-intermediate';
         var initialYPercent = (initialWaitingCodSum / maxTotalCod) * 100;
         initialYLabel.style.bottom = initialYPercent + '%';
         initialYLabel.style.transform = 'translateY(50%)';
-        initialYLabel.textContent = initialWaitingCodSum.toLocaleString();
-        initialYLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', initialWaitingCodSum.toLocaleString());
+        initialYLabel.textContent = formatNumber(initialWaitingCodSum);
+        initialYLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', formatNumber(initialWaitingCodSum));
         chartArea.appendChild(initialYLabel); 
     }
 
-    sortedPbiList.forEach(function(currentPbi) {
-        if (currentPbi.jobSize <= 0) return;
+    var capacityPlan = (typeof getCapacity === 'function' && typeof calculateCapacityPlan === 'function')
+        ? calculateCapacityPlan(sortedPbiList, getCapacity())
+        : null;
 
-        var segmentDuration = currentPbi.jobSize;
-        var sumOfWaitingCodForYLabel = 0;
-        remainingPbis.forEach(function(p){ sumOfWaitingCodForYLabel += p.cod; });
-        remainingPbis = remainingPbis.filter(function(p){ return p.id !== currentPbi.id; });
-        var sumOfWaitingCodForCost = 0;
-        remainingPbis.forEach(function(p){ sumOfWaitingCodForCost += p.cod; });
+    var violatedDependencies = {};
+    if (typeof findDependencyViolations === 'function') {
+        findDependencyViolations(sortedPbiList).forEach(function(violation) {
+            violatedDependencies[violation.pbi.id] = (violatedDependencies[violation.pbi.id] || []).concat(violation.dependency.title);
+        });
+    }
 
+    segments.forEach(function(segment, segmentIndex) {
+        var currentPbi = segment.pbi;
+        var segmentDuration = currentPbi.jobSize;
+        var nextSegment = segments[segmentIndex + 1];
+        var sumOfWaitingCodForCost = nextSegment ? nextSegment.stackHeight : 0;
 
-        var segmentCost = sumOfWaitingCodForCost * segmentDuration;
-        totalCalculatedDelayCost += segmentCost;
+        totalCalculatedDelayCost += segment.cost;
         var segmentWidthPercent = (segmentDuration / totalJobSize) * 100;
 
         var segmentContainer = document.createElement('div');
         segmentContainer.className = 'wsjf-segment-container';
         segmentContainer.style.width = segmentWidthPercent + '%';
 
-        remainingPbis.forEach(function(waitingPbi) {
-            var costInThisSegment = waitingPbi.cod * segmentDuration;
-            accumulatedDelayCostMap[waitingPbi.id] += costInThisSegment;
+        segment.waitingPbis.forEach(function(waitingPbi) {
+            accumulatedDelayCostMap[waitingPbi.id] += segment.rateMap[waitingPbi.id] * segmentDuration;
         });
 
-        var pbiStack = remainingPbis.slice().reverse();
+        var pbiStack = segment.waitingPbis.slice().reverse();
         pbiStack.push(currentPbi);
 
         pbiStack.forEach(function(pbiInStack, index){
             var isProcessing = (pbiInStack.id === currentPbi.id);
-            var blockHeightPercent = (pbiInStack.cod / maxTotalCod) * 100;
+            var blockHeightPercent = (segment.rateMap[pbiInStack.id] / maxTotalCod) * 100;
 
             if (blockHeightPercent > 0) {
                 var delayBlock = document.createElement('div');
@@ -953,22 +997,49 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
                 if (isProcessing) {
                     label.textContent = styleInfo.rank;
                 } else {
-                    label.textContent = accumulatedDelayCostMap[pbiInStack.id].toLocaleString();
+                    label.textContent = formatNumber(accumulatedDelayCostMap[pbiInStack.id]);
                 }
 
-                var wsjfValue = (pbiInStack.cod / (pbiInStack.jobSize || 1)).toFixed(2).replace('.', ',');
+                var wsjfValue = formatNumber(pbiInStack.cod / (pbiInStack.jobSize || 1), 2);
                 var titleLine1 = '"' + pbiInStack.title + '"';
                 var titleLine2 = isProcessing ? (uiStrings.wsjfChartTooltipProcessing || 'Processing') : (uiStrings.wsjfChartTooltipWaiting || 'Waiting');
+
+                var capacityEntry = (isProcessing && capacityPlan) ? capacityPlan.items[pbiInStack.id] : null;
+                if (capacityEntry) {
+                    if (capacityEntry.fitsNextPeriod) delayBlock.classList.add('capacity-next-period');
+                    if (capacityEntry.isSplit) {
+                        delayBlock.classList.add('capacity-split');
+                        titleLine2 += ' - ' + (uiStrings.capacitySplitTooltip || 'Split across {from} and {to}')
+                            .replace('{from}', formatCapacityPeriod(capacityEntry.period))
+                            .replace('{to}', formatCapacityPeriod(capacityEntry.lastPeriod));
+                    } else {
+                        titleLine2 += ' - ' + (uiStrings.capacityPlannedTooltip || 'Planned in {period}').replace('{period}', formatCapacityPeriod(capacityEntry.period));
+                    }
+                }
+
+                if (isProcessing && violatedDependencies[pbiInStack.id]) {
+                    delayBlock.classList.add('dependency-violated');
+                    titleLine2 += ' - ' + (uiStrings.dependencyViolatedTooltip || 'Depends on {items} (scheduled later)')
+                        .replace('{items}', violatedDependencies[pbiInStack.id].join(', '));
+                }
                 var titleLine3 = (uiStrings.wsjfChartTooltipItem || 'Item') + ': ' + styleInfo.rank
                                + ' - ' + (uiStrings.wsjfChartTooltipJobSize || 'Job Size') + ': ' + pbiInStack.jobSize
                                + ' - ' + (uiStrings.wsjfChartTooltipCod || 'CoD') + ': ' + pbiInStack.cod
                                + ' - WSJF: ' + wsjfValue;
 
+                var urgency = (typeof getUrgencyProfile === 'function') ? getUrgencyProfile(pbiInStack) : { profile: 'standard' };
+                if (urgency.profile !== 'standard') {
+                    titleLine3 += ' - ' + (uiStrings.wsjfChartTooltipUrgency || 'Urgency') + ': ' + getUrgencyProfileLabel(urgency.profile);
+                    if (urgency.deadline !== null) {
+                        titleLine3 += ' (' + (uiStrings.urgencyDeadlineLabel || 'Deadline (cumulative Job Size)') + ': ' + urgency.deadline + ')';
+                    }
+                }
+
                 if (isProcessing) {
                     delayBlock.title = titleLine1 + '\n' + titleLine2 + '\n' + titleLine3;
                     label.title = delayBlock.title;
                 } else {
-                    var titleLine4 = (uiStrings.wsjfChartLabelAccumulatedCost || 'Accumulated Delay Cost:') + ' ' + accumulatedDelayCostMap[pbiInStack.id].toLocaleString();
+                    var titleLine4 = (uiStrings.wsjfChartLabelAccumulatedCost || 'Accumulated Delay Cost:') + ' ' + formatNumber(accumulatedDelayCostMap[pbiInStack.id]);
                     delayBlock.title = titleLine1 + '\n' + titleLine2 + '\n' + titleLine3 + '\n' + titleLine4;
                     label.title = delayBlock.title;
                 }
@@ -994,8 +1065,8 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
         var yPercent = (sumOfWaitingCodForCost / maxTotalCod) * 100;
         yLabel.style.bottom = yPercent + '%'; 
         yLabel.style.transform = 'translateY(50%)';
-        yLabel.textContent = sumOfWaitingCodForCost.toLocaleString();
-        yLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', sumOfWaitingCodForCost.toLocaleString());
+        yLabel.textContent = formatNumber(sumOfWaitingCodForCost);
+        yLabel.title = (uiStrings.wsjfChartTooltipYAxisLabel || 'Sum of Waiting Cost of Delay: {value}').replace('{value}', formatNumber(sumOfWaitingCodForCost));
         chartArea.appendChild(yLabel);
 
         if (Math.abs(currentTime - totalJobSize) < 0.01) {
@@ -1007,10 +1078,395 @@ function createCodChart(chartIdPrefix, sortedPbiList, pbiIdToStyle) {
 
     });
 
+    if (capacityPlan && capacityPlan.points > 0) {
+        renderCapacityBoundaries(chartArea, capacityPlan, totalJobSize, sortedPbiList);
+    }
+
     return totalCalculatedDelayCost;
 }
 
 
+/**
+ * Draws the capacity boundaries (end of each PI or iteration) into a Cost of Delay chart.
+ * <br><b>Elements:</b>
+ * <ul>
+ * <li><b>Boundaries:</b> A vertical line (<code>.wsjf-capacity-boundary</code>) at every multiple of the capacity within the planned work.</li>
+ * <li><b>Period Labels:</b> A label per period (<code>.wsjf-capacity-period-label</code>, e.g. "PI 1") centered over its part of the x-axis.
+ * Its tooltip names the items that completely fit into that period; the label of the next period is emphasized (<code>is-next-period</code>).</li>
+ * </ul>
+ *
+ * @param {HTMLElement} chartArea - The chart area of <code>createCodChart</code> (positioned relatively).
+ * @param {Object} capacityPlan - The plan from <code>calculateCapacityPlan</code> for the same order.
+ * @param {number} totalJobSize - The total Job Size shown on the x-axis.
+ * @param {Array<Object>} sortedPbiList - The items in the order of the chart.
+ */
+function renderCapacityBoundaries(chartArea, capacityPlan, totalJobSize, sortedPbiList) {
+    var uiStrings = config.uiStrings || {};
+    var periodCount = capacityPlan.boundaries.length + 1;
+
+    capacityPlan.boundaries.forEach(function(boundary, index) {
+        var line = document.createElement('div');
+        line.className = 'wsjf-capacity-boundary';
+        line.style.left = (boundary / totalJobSize) * 100 + '%';
+        line.title = (uiStrings.capacityBoundaryTooltip || 'End of {period} (cumulative Job Size {value})')
+            .replace('{period}', formatCapacityPeriod(index + 1))
+            .replace('{value}', formatNumber(boundary));
+        chartArea.appendChild(line);
+    });
+
+    for (var period = 1; period <= periodCount; period++) {
+        var periodStart = (period - 1) * capacityPlan.points;
+        var periodEnd = Math.min(period * capacityPlan.points, totalJobSize);
+        var fittingTitles = sortedPbiList.filter(function(pbi) {
+            var entry = capacityPlan.items[pbi.id];
+            return entry && entry.period === period && !entry.isSplit;
+        }).map(function(pbi) { return pbi.title; });
+
+        var label = document.createElement('div');
+        label.className = 'wsjf-capacity-period-label' + (period === 1 ? ' is-next-period' : '');
+        label.style.left = ((periodStart + periodEnd) / 2 / totalJobSize) * 100 + '%';
+        label.textContent = formatCapacityPeriod(period);
+        label.title = fittingTitles.length > 0
+            ? (uiStrings.capacityFitsTooltip || 'Fits into {period}: {items}').replace('{period}', formatCapacityPeriod(period)).replace('{items}', fittingTitles.join(', '))
+            : formatCapacityPeriod(period);
+        chartArea.appendChild(label);
+    }
+}
+
+
+/**
+ * Adds the results of the probabilistic mode (<code>simulateScheduleOutcomes</code>) to a Cost of Delay chart.
+ * <br><b>Elements:</b>
+ * <ul>
+ * <li><b>Cost Band:</b> Next to the total delay cost of the chart, the median (P50) and the P85 of the simulated totals
+ * (<code>.wsjf-cost-band</code>). The tooltip names the range in which 80% of the runs ended (P10 to P90).
+ * The band is also drawn into the chart (<code>renderAccumulatedCostBand</code>).</li>
+ * <li><b>Completion Forecast:</b> Below the chart, one lane per item in the order of the chart with a bar from the P50 to the P85
+ * of its completion point (<code>.wsjf-forecast-bar</code>), colored and numbered like its block. The tooltip reads e.g.
+ * "85% likely done by 60". All orders of the simulation share the scale of the lanes, so the forecasts of both charts can be compared.</li>
+ * </ul>
+ * Calling the function again replaces the elements of an earlier call.
+ *
+ * @param {string} chartIdPrefix - The DOM ID prefix of the chart (e.g. "wsjf-chart-current").
+ * @param {Array<Object>} sortedPbiList - The items in the order of the chart.
+ * @param {Object} simulation - The result of <code>simulateScheduleOutcomes</code>.
+ * @param {string} orderKey - The order of this chart in the simulation (e.g. "current").
+ * @param {Object} pbiIdToStyle - A lookup map <code>{ [id]: { color, rank } }</code> with the WSJF ranks and colors.
+ */
+function renderMonteCarloForecast(chartIdPrefix, sortedPbiList, simulation, orderKey, pbiIdToStyle) {
+    var titleContainer = document.getElementById(chartIdPrefix + '-title-container');
+    var chartOuter = document.getElementById(chartIdPrefix + '-content');
+    var outcome = simulation && simulation.orders[orderKey];
+    if (!titleContainer || !chartOuter || !outcome) return;
+
+    var uiStrings = config.uiStrings || {};
+    var formatValue = function(value) { return formatNumber(Math.round(value)); };
+
+    var oldBand = document.getElementById(chartIdPrefix + '-cost-band');
+    if (oldBand) oldBand.remove();
+    var oldForecast = document.getElementById(chartIdPrefix + '-forecast');
+    if (oldForecast) oldForecast.remove();
+    var chartArea = document.getElementById(chartIdPrefix + '-area');
+    if (chartArea) renderAccumulatedCostBand(chartArea, sortedPbiList, outcome);
+
+    var costBand = document.createElement('span');
+    costBand.id = chartIdPrefix + '-cost-band';
+    costBand.className = 'wsjf-cost-band';
+    costBand.textContent = (uiStrings.monteCarloCostBand || 'P50 {p50} · P85 {p85}')
+        .replace('{p50}', formatValue(outcome.cost.p50))
+        .replace('{p85}', formatValue(outcome.cost.p85));
+    costBand.title = (uiStrings.monteCarloCostBandTooltip || 'Total delay cost in {iterations} simulated runs: 80% between {p10} and {p90}, median {p50}')
+        .replace('{iterations}', formatNumber(simulation.iterations))
+        .replace('{p10}', formatValue(outcome.cost.p10))
+        .replace('{p50}', formatValue(outcome.cost.p50))
+        .replace('{p90}', formatValue(outcome.cost.p90));
+    var totalCost = document.getElementById(chartIdPrefix + '-total-cost');
+    titleContainer.insertBefore(costBand, totalCost ? totalCost.nextSibling : titleContainer.firstChild);
+
+    var axisMax = 0;
+    Object.keys(simulation.orders).forEach(function(key) {
+        var completion = simulation.orders[key].completion;
+        Object.keys(completion).forEach(function(id) { axisMax = Math.max(axisMax, completion[id].p85); });
+    });
+    if (axisMax <= 0) return;
+
+    var forecast = document.createElement('div');
+    forecast.id = chartIdPrefix + '-forecast';
+    forecast.className = 'wsjf-forecast';
+
+    var heading = document.createElement('div');
+    heading.className = 'wsjf-forecast-heading';
+    heading.textContent = uiStrings.monteCarloForecastTitle || 'Completion forecast (P50 to P85, cumulative Job Size)';
+    forecast.appendChild(heading);
+
+    var lanes = document.createElement('div');
+    lanes.className = 'wsjf-forecast-lanes';
+    sortedPbiList.forEach(function(pbi) {
+        var completion = outcome.completion[pbi.id];
+        if (!completion) return;
+        var styleInfo = pbiIdToStyle[pbi.id] || { rank: '?', color: '#ccc' };
+
+        var lane = document.createElement('div');
+        lane.className = 'wsjf-forecast-lane';
+
+        var bar = document.createElement('div');
+        bar.className = 'wsjf-forecast-bar';
+        bar.dataset.pbiId = pbi.id;
+        bar.style.left = (completion.p50 / axisMax) * 100 + '%';
+        bar.style.width = Math.max(0, (completion.p85 - completion.p50) / axisMax) * 100 + '%';
+        bar.style.backgroundColor = styleInfo.color;
+        bar.textContent = styleInfo.rank;
+        bar.title = (uiStrings.monteCarloItemTooltip || '"{title}": 50% likely done by {p50}, 85% likely done by {p85}')
+            .replace('{title}', pbi.title)
+            .replace('{p50}', formatValue(completion.p50))
+            .replace('{p85}', formatValue(completion.p85));
+
+        lane.appendChild(bar);
+        lanes.appendChild(lane);
+    });
+    forecast.appendChild(lanes);
+
+    var axis = document.createElement('div');
+    axis.className = 'wsjf-forecast-axis';
+    var axisStart = document.createElement('span');
+    axisStart.textContent = '0';
+    var axisEnd = document.createElement('span');
+    axisEnd.textContent = formatValue(axisMax);
+    axis.appendChild(axisStart);
+    axis.appendChild(axisEnd);
+    forecast.appendChild(axis);
+
+    chartOuter.parentNode.insertBefore(forecast, chartOuter.nextSibling);
+}
+
+
+/**
+ * Draws the band of the accumulated delay cost (<code>accumulatedCost</code> of <code>simulateScheduleOutcomes</code>) into a Cost of Delay chart.
+ * <br><b>Elements:</b>
+ * <ul>
+ * <li><b>Band:</b> An SVG overlay (<code>.wsjf-accumulated-cost-band</code>) across the chart area. At the start of each item on the x-axis,
+ * the area spans the P10 to P90 of the delay cost accumulated up to that item, the line marks the median (P50).
+ * After the last item the band stays level, so its right edge is the P10 - P90 range of the total delay cost.</li>
+ * <li><b>Scale:</b> The band has its own scale; the top of the chart is the highest P90. A label in the top right corner
+ * (<code>.wsjf-accumulated-cost-label</code>) shows that value.</li>
+ * </ul>
+ * The overlay ignores the mouse, so the tooltips of the blocks below stay available. Calling the function again replaces the elements of an earlier call.
+ *
+ * @param {HTMLElement} chartArea - The chart area of <code>createCodChart</code> (positioned relatively).
+ * @param {Array<Object>} sortedPbiList - The items in the order of the chart.
+ * @param {Object} outcome - The result of the simulation for this order (<code>simulation.orders[key]</code>).
+ */
+function renderAccumulatedCostBand(chartArea, sortedPbiList, outcome) {
+    var uiStrings = config.uiStrings || {};
+    chartArea.querySelectorAll('.wsjf-accumulated-cost-band, .wsjf-accumulated-cost-label').forEach(function(el) { el.remove(); });
+
+    var accumulatedCost = outcome.accumulatedCost || {};
+    var totalJobSize = 0;
+    sortedPbiList.forEach(function(pbi) { if (pbi.jobSize > 0) totalJobSize += pbi.jobSize; });
+
+    var points = [];
+    var start = 0;
+    sortedPbiList.forEach(function(pbi) {
+        if (!(pbi.jobSize > 0)) return;
+        if (accumulatedCost[pbi.id]) points.push({ x: start, band: accumulatedCost[pbi.id] });
+        start += pbi.jobSize;
+    });
+    if (points.length === 0 || totalJobSize <= 0) return;
+    points.push({ x: totalJobSize, band: points[points.length - 1].band });
+
+    var maxCost = 0;
+    points.forEach(function(point) { maxCost = Math.max(maxCost, point.band.p90); });
+    if (maxCost <= 0) return;
+
+    var toCoordinates = function(point, percentile) {
+        return ((point.x / totalJobSize) * 100) + ',' + (100 - (point.band[percentile] / maxCost) * 100);
+    };
+
+    var NS = 'http://www.w3.org/2000/svg';
+    var svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('class', 'wsjf-accumulated-cost-band');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    var area = document.createElementNS(NS, 'polygon');
+    area.setAttribute('class', 'wsjf-accumulated-cost-area');
+    area.setAttribute('points', points.map(function(point) { return toCoordinates(point, 'p90'); })
+        .concat(points.slice().reverse().map(function(point) { return toCoordinates(point, 'p10'); })).join(' '));
+    svg.appendChild(area);
+
+    var median = document.createElementNS(NS, 'polyline');
+    median.setAttribute('class', 'wsjf-accumulated-cost-median');
+    median.setAttribute('points', points.map(function(point) { return toCoordinates(point, 'p50'); }).join(' '));
+    median.setAttribute('vector-effect', 'non-scaling-stroke');
+    svg.appendChild(median);
+    chartArea.appendChild(svg);
+
+    var label = document.createElement('div');
+    label.className = 'wsjf-accumulated-cost-label';
+    label.textContent = formatNumber(Math.round(maxCost));
+    label.title = (uiStrings.monteCarloAccumulatedCostTooltip || 'Accumulated delay cost (band: P10 to P90, line: median). Top of the chart: {value}')
+        .replace('{value}', formatNumber(Math.round(maxCost)));
+    chartArea.appendChild(label);
+}
+
+
+/**
+ * Renders the value-vs-size quadrant matrix: every item is a point with its Job Size on the x-axis and its Cost of Delay on the y-axis.
+ * <br><b>Quadrants:</b>
+ * The thresholds (<code>resolveQuadrantThresholds</code>, the configured values or the medians of the items) split the area into four fields:
+ * <ul>
+ * <li><b>Quick Wins:</b> High CoD, small Job Size (top left).</li>
+ * <li><b>Big Bets:</b> High CoD, large Job Size (top right).</li>
+ * <li><b>Fill-Ins:</b> Low CoD, small Job Size (bottom left).</li>
+ * <li><b>Money Pits:</b> Low CoD, large Job Size (bottom right).</li>
+ * </ul>
+ * Each field shows its name and the number of items in it.
+ *
+ * <br><b>Points:</b>
+ * A point (<code>.quadrant-point</code>) carries the WSJF rank and the rank color of <code>pbiIdToStyle</code>, so it matches the blocks of the WSJF charts.
+ * It is stamped with <code>data-pbi-id</code> for the cross-highlighting (<code>toggleHighlight</code>) and the click that opens the edit dialog.
+ * Points are drawn from the lowest to the highest rank, so rank 1 stays on top if points overlap.
+ *
+ * <br><b>Scaling:</b> Both axes start at 0 and end 10% above the largest value (or threshold), so no point sits on the border of the area.
+ *
+ * @param {HTMLElement} container - The element to render into (its content is replaced).
+ * @param {Array<Object>} pbiList - The items to plot (complete Job Size and CoD).
+ * @param {Object} pbiIdToStyle - A lookup map <code>{ [id]: { color, rank } }</code> with the WSJF ranks and colors.
+ * @returns {Object|null} The number of items per quadrant (<code>{ quickWins, bigBets, fillIns, moneyPits }</code>), or <code>null</code> if the matrix could not be drawn.
+ */
+function createQuadrantMatrix(container, pbiList, pbiIdToStyle) {
+    var uiStrings = config.uiStrings || {};
+    if (typeof resolveQuadrantThresholds !== 'function' || typeof getQuadrant !== 'function' || typeof QUADRANTS === 'undefined') {
+        console.error("Quadrant utilities are not defined! Cannot render the quadrant matrix.");
+        return null;
+    }
+
+    container.innerHTML = '';
+    var thresholds = resolveQuadrantThresholds(pbiList);
+    var maxJobSize = thresholds.jobSize;
+    var maxCod = thresholds.cod;
+    pbiList.forEach(function(pbi) {
+        maxJobSize = Math.max(maxJobSize, pbi.jobSize);
+        maxCod = Math.max(maxCod, pbi.cod);
+    });
+    maxJobSize = (maxJobSize || 1) * 1.1;
+    maxCod = (maxCod || 1) * 1.1;
+
+    var toXPercent = function(value) { return (value / maxJobSize) * 100; };
+    var toYPercent = function(value) { return (value / maxCod) * 100; };
+    var thresholdX = toXPercent(thresholds.jobSize);
+    var thresholdY = toYPercent(thresholds.cod);
+
+    var counts = {};
+    var quadrantItems = {};
+    Object.keys(QUADRANTS).forEach(function(key) { counts[key] = 0; quadrantItems[key] = []; });
+    pbiList.forEach(function(pbi) {
+        var quadrant = getQuadrant(pbi, thresholds);
+        counts[quadrant]++;
+        quadrantItems[quadrant].push(pbi.title);
+    });
+
+    var chart = document.createElement('div');
+    chart.className = 'quadrant-chart';
+
+    var yAxisLabel = document.createElement('div');
+    yAxisLabel.className = 'quadrant-axis-label quadrant-axis-label-y';
+    yAxisLabel.textContent = uiStrings.quadrantAxisCod || 'Cost of Delay';
+    chart.appendChild(yAxisLabel);
+
+    var chartArea = document.createElement('div');
+    chartArea.id = 'quadrant-chart-area';
+    chartArea.className = 'quadrant-chart-area';
+    chart.appendChild(chartArea);
+
+    Object.keys(QUADRANTS).forEach(function(key) {
+        var quadrantInfo = QUADRANTS[key];
+        var field = document.createElement('div');
+        field.className = 'quadrant-field quadrant-field-' + key;
+        field.dataset.quadrant = key;
+        field.style.left = quadrantInfo.largeJobSize ? thresholdX + '%' : '0%';
+        field.style.width = (quadrantInfo.largeJobSize ? 100 - thresholdX : thresholdX) + '%';
+        field.style.bottom = quadrantInfo.highCod ? thresholdY + '%' : '0%';
+        field.style.height = (quadrantInfo.highCod ? 100 - thresholdY : thresholdY) + '%';
+
+        var label = document.createElement('span');
+        label.className = 'quadrant-field-label';
+        label.textContent = getQuadrantLabel(key) + ' (' + counts[key] + ')';
+        label.title = quadrantItems[key].length > 0
+            ? getQuadrantLabel(key) + ': ' + quadrantItems[key].join(', ')
+            : (uiStrings.quadrantCountTooltip || '{count} items').replace('{count}', 0);
+        field.appendChild(label);
+        chartArea.appendChild(field);
+    });
+
+    [
+        { axis: 'x', value: thresholds.jobSize, isAuto: thresholds.isAutoJobSize, field: uiStrings.quadrantAxisJobSize || 'Job Size' },
+        { axis: 'y', value: thresholds.cod, isAuto: thresholds.isAutoCod, field: uiStrings.quadrantAxisCod || 'Cost of Delay' }
+    ].forEach(function(threshold) {
+        var line = document.createElement('div');
+        line.className = 'quadrant-threshold quadrant-threshold-' + threshold.axis;
+        if (threshold.axis === 'x') {
+            line.style.left = thresholdX + '%';
+        } else {
+            line.style.bottom = thresholdY + '%';
+        }
+        var tooltipTemplate = threshold.isAuto
+            ? (uiStrings.quadrantThresholdAutoTooltip || '{field} threshold: {value} (median)')
+            : (uiStrings.quadrantThresholdTooltip || '{field} threshold: {value}');
+        line.title = tooltipTemplate.replace('{field}', threshold.field).replace('{value}', formatNumber(threshold.value));
+
+        var valueLabel = document.createElement('span');
+        valueLabel.className = 'quadrant-threshold-value';
+        valueLabel.textContent = formatNumber(threshold.value);
+        line.appendChild(valueLabel);
+        chartArea.appendChild(line);
+    });
+
+    var pointsByRank = pbiList.slice().sort(function(a, b) {
+        var rankA = (pbiIdToStyle[a.id] && pbiIdToStyle[a.id].rank) || 0;
+        var rankB = (pbiIdToStyle[b.id] && pbiIdToStyle[b.id].rank) || 0;
+        return rankB - rankA;
+    });
+
+    pointsByRank.forEach(function(pbi) {
+        var styleInfo = pbiIdToStyle[pbi.id] || { rank: '?', color: '#ccc' };
+        var quadrant = getQuadrant(pbi, thresholds);
+
+        var point = document.createElement('div');
+        point.className = 'quadrant-point';
+        point.dataset.pbiId = pbi.id;
+        point.dataset.quadrant = quadrant;
+        point.style.left = toXPercent(pbi.jobSize) + '%';
+        point.style.bottom = toYPercent(pbi.cod) + '%';
+        point.style.backgroundColor = styleInfo.color;
+        point.textContent = styleInfo.rank;
+
+        var wsjfValue = formatNumber(pbi.cod / (pbi.jobSize || 1), 2);
+        point.title = '"' + pbi.title + '"\n' + getQuadrantLabel(quadrant) + '\n'
+            + (uiStrings.wsjfChartTooltipItem || 'Item') + ': ' + styleInfo.rank
+            + ' - ' + (uiStrings.wsjfChartTooltipJobSize || 'Job Size') + ': ' + formatNumber(pbi.jobSize)
+            + ' - ' + (uiStrings.wsjfChartTooltipCod || 'CoD') + ': ' + formatNumber(pbi.cod)
+            + ' - WSJF: ' + wsjfValue;
+        chartArea.appendChild(point);
+    });
+
+    var xAxis = document.createElement('div');
+    xAxis.className = 'quadrant-x-axis';
+    var zeroLabel = document.createElement('span');
+    zeroLabel.className = 'quadrant-axis-zero';
+    zeroLabel.textContent = '0';
+    xAxis.appendChild(zeroLabel);
+    var xAxisLabel = document.createElement('div');
+    xAxisLabel.className = 'quadrant-axis-label quadrant-axis-label-x';
+    xAxisLabel.textContent = uiStrings.quadrantAxisJobSize || 'Job Size';
+    xAxis.appendChild(xAxisLabel);
+    chart.appendChild(xAxis);
+
+    container.appendChild(chart);
+    return counts;
+}
+
+
 /**
  * @ignore
  * CommonJS Module Export Definition (Visualization Subsystem).
@@ -1032,6 +1488,10 @@ if (typeof module !== 'undefined' && module.exports) {
         createCodVisualization: createCodVisualization,
         createCodPlaceholderVisualization: createCodPlaceholderVisualization,
         createCodChart: createCodChart,
+        renderCapacityBoundaries: renderCapacityBoundaries,
+        renderMonteCarloForecast: renderMonteCarloForecast,
+        renderAccumulatedCostBand: renderAccumulatedCostBand,
+        createQuadrantMatrix: createQuadrantMatrix,
         setBubbleClusterOptions: (typeof window !== 'undefined' && window.setBubbleClusterOptions) ? window.setBubbleClusterOptions : null
     };
 }
\ No newline at end of file
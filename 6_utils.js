@@ -480,6 +480,7 @@ function findNearestScaleValue(val, scaleValues) {
  * Synchronizes the text display of all estimation sliders with their current input values.
  * <br><b>Scope:</b>
  * Iterates through a predefined map of Slider IDs (Input) to Label IDs (Span) for both Job Size and Cost of Delay metrics.
+ * If the active scale defines a label for the value, it is shown next to the number, e.g. "8 (L)".
  * <br><b>UX Feature (Ghost Values):</b>
  * Handles the visual distinction for <b>New Items</b> vs. <b>Edited Items</b>.
  * <ul>
@@ -507,7 +508,8 @@ function updateSliderValues() {
 
         if (valueSpan && slider) {
             var val = slider.value;
-            valueSpan.textContent = val;
+            var label = getScaleValueLabel(currentScale, val);
+            valueSpan.textContent = label ? val + ' (' + label + ')' : val;
 
             var hasInteracted = slider.dataset.interacted === 'true';
             if (isNewItem && !hasInteracted) {
@@ -692,6 +694,7 @@ function initSplit() {
  * <li><b>Gaps (Fibonacci):</b> For scales like Fibonacci (1, 2, 3, 5, 8...), the function generates empty spacers (`empty-scale-step`) for missing numbers (e.g., 4, 6, 7). 
  * This ensures that the physical distance between "5" and "8" is visually larger than between "1" and "2", correctly representing the magnitude of effort.</li>
  * <li><b>Indices (T-Shirt):</b> Maps the slider's numeric index (0, 1, 2) to the corresponding string label ("S", "M", "L").</li>
+ * <li><b>Labels (Custom Scales):</b> If the scale defines a label for a value, the tick shows the label (the number is kept as tooltip and in <code>data-value</code>).</li>
  * </ul>
  * <br><b>Reference Anchoring:</b>
  * Checks if the currently pinned Reference Items (Min/Max) match a specific value on this scale.
@@ -705,6 +708,7 @@ function generateSliderScales() {
     var scaleValues = SCALES[currentScale].values;
     var isNumeric = typeof scaleValues[0] === 'number';
     var maxValue = isNumeric ? Math.max.apply(null, scaleValues) : scaleValues.length - 1;
+    var hasLabels = (SCALES[currentScale].labels || []).some(function(label) { return !!label; });
     
     var refMin = (typeof getReferencePbi === 'function') ? getReferencePbi(pbis, 'min') : null;
     var refMax = (typeof getReferencePbi === 'function') ? getReferencePbi(pbis, 'max') : null;
@@ -729,7 +733,9 @@ function generateSliderScales() {
             var displayValue = isNumeric ? i : scaleValues[i];
 
             if (isPresentInScale) {
-                span.textContent = displayValue;
+                span.textContent = (isNumeric && getScaleValueLabel(currentScale, i)) || displayValue;
+                span.dataset.value = i;
+                if (hasLabels && isNumeric) span.title = String(i);
                 
                 if (propName && typeof window !== 'undefined' && window.showReferenceMarkers) {
                     if (refMin && refMin[propName] === displayValue) {
@@ -868,6 +874,7 @@ function updateResetCoDButtonVisibility() {
  * <b>NOT</b> highlighted. This creates a clear visual distinction between "No Estimate made yet" and "Lowest Estimate selected".
  * <br><b>DOM Connection:</b>
  * It dynamically finds the corresponding label container by matching the slider's ID with the container's <code>data-slider-id</code> attribute.
+ * Ticks are matched by their <code>data-value</code> (set by <code>generateSliderScales</code>), since a labeled tick does not show the number.
  *
  * @param {HTMLInputElement} slider - The slider input element that triggered the event.
  */
@@ -879,7 +886,8 @@ function updateActiveScaleValue(slider) {
     var currentValue = slider.value;
 
     scaleContainer.querySelectorAll('span').forEach(function(span) {
-        var isActive = (currentValue > 0 && span.textContent == currentValue);
+        var spanValue = (span.dataset.value !== undefined) ? span.dataset.value : span.textContent;
+        var isActive = (currentValue > 0 && spanValue == currentValue);
         span.classList.toggle('active-scale-value', isActive);
     });
 }
@@ -898,10 +906,12 @@ function updateActiveScaleValue(slider) {
  * 3. <b>Injection:</b> Merges the Header, TOC, and Content, then injects them into the `<div id="wrapper">` of the template.
  * 4. <b>Rendering:</b> Opens a new `window` and uses `document.write` to render the final HTML.
  * <br><b>Error Handling:</b>
+ * Falls back to the English documentation if the current language has none (or is unknown).
  * Detects if a Popup Blocker prevented the window from opening and alerts the user.
  */
 function openDocumentation() {
-    var documentationString = config.languages[currentLanguage].documentationHtml;
+    var languages = config.languages || {};
+    var documentationString = (languages[currentLanguage] || {}).documentationHtml || (languages[FALLBACK_LANGUAGE] || {}).documentationHtml;
     if (!documentationString) {
         console.error('Documentation HTML for language "' + currentLanguage + '" not found in config.');
         alert("Documentation could not be opened.");
@@ -978,12 +988,11 @@ function openDocumentation() {
 
 
 /**
- * Serializes and persists the complete application state to the browser's LocalStorage.
- * <br><b>Storage Key:</b> <code>'sizeRight_autosave_v1'</code>
+ * Builds a save state of the complete application, in the same structure as the JSON export.
  * <br><b>Data Scope:</b>
  * The function creates a snapshot object containing two main sections:
  * <ol>
- * <li><b>Settings:</b> Current configuration including Language, Scale, Colors, Sort Criteria, and UI flags (e.g., Reference Markers visibility).</li>
+ * <li><b>Settings:</b> Current configuration including Language, Scale (and the custom scales), Colors, Sort Criteria, and UI flags (e.g., Reference Markers visibility).</li>
  * <li><b>Backlog Items (PBIs):</b> The actual user data.</li>
  * </ol>
  * <br><b>Data Transformation & Cleanup:</b>
@@ -993,75 +1002,142 @@ function openDocumentation() {
  * <li><b>Enrichment (Custom Sort):</b> Maps the current position from `lockedPbiOrder` into a `customSortIndex` property on each PBI. This ensures the Drag-and-Drop order is restored correctly after a page reload.</li>
  * <li><b>Visuals:</b> Persists custom WSJF rank colors if they were modified by the user.</li>
  * </ul>
- * <br><b>Error Handling:</b>
- * Wraps the storage operation in a <code>try-catch</code> block to handle potential <code>QuotaExceededError</code> (storage full) or security restrictions (Private Browsing modes).
+ *
+ * @returns {Object} The state <code>{ schemaVersion, timestamp, settings, backlogItems }</code>.
  */
-function saveToLocalStorage() {
-    if (typeof window === 'undefined' || !window.localStorage) return;
+function buildSaveState() {
+    var markersState = true;
+    if (typeof window.showReferenceMarkers === 'boolean') {
+        markersState = window.showReferenceMarkers;
+    }
 
-    try {
-        var markersState = true;
-        if (typeof window.showReferenceMarkers === 'boolean') {
-            markersState = window.showReferenceMarkers;
+    var settings = {
+        language: currentLanguage,
+        scale: currentScale,
+        tshirtSizes: config.tshirtSizes,
+        colors: config.colors,
+        editorColors: config.editorColors || config.defaultEditorColors,
+        sortCriteria: currentSortCriteria,
+        sortDirection: currentSortDirection,
+        preLockSortCriteria: preLockSortCriteria, 
+        preLockSortDirection: preLockSortDirection,
+        showReferenceMarkers: markersState,
+        isResolutionWarningDismissed: window.isResolutionWarningDismissed,
+        undoHistoryDepth: getUndoHistoryDepth(),
+        componentWeights: getComponentWeights(),
+        prioritizationModel: getActivePrioritizationModel(),
+        capacity: getCapacity(),
+        quadrantThresholds: getQuadrantThresholds(),
+        tshirtMapping: getTshirtMapping(),
+        csvExport: getCsvExportOptions(),
+        customScales: getCustomScales()
+    };
+
+    var pbisToSave = pbis.filter(function(pbi) {
+        return pbi && !pbi.isLastItem;
+    }).map(function(pbi) {
+        var savePbi = JSON.parse(JSON.stringify(pbi));
+        
+        if (typeof pbiIdToCustomColor !== 'undefined' && pbiIdToCustomColor[savePbi.id]) {
+            savePbi.wsjfRankColor = pbiIdToCustomColor[savePbi.id];
         }
 
-        var settings = {
-            language: currentLanguage,
-            scale: currentScale,
-            tshirtSizes: config.tshirtSizes,
-            colors: config.colors,
-            editorColors: config.editorColors || config.defaultEditorColors,
-            sortCriteria: currentSortCriteria,
-            sortDirection: currentSortDirection,
-            preLockSortCriteria: preLockSortCriteria, 
-            preLockSortDirection: preLockSortDirection,
-            showReferenceMarkers: markersState,
-            isResolutionWarningDismissed: window.isResolutionWarningDismissed 
-        };
+        var indexInCustomOrder = lockedPbiOrder.indexOf(savePbi.id);
+        if (indexInCustomOrder !== -1) {
+            savePbi.customSortIndex = indexInCustomOrder;
+        }
+        return savePbi;
+    });
 
-        var pbisToSave = pbis.filter(function(pbi) {
-            return pbi && !pbi.isLastItem;
-        }).map(function(pbi) {
-            var savePbi = JSON.parse(JSON.stringify(pbi));
-            
-            if (typeof pbiIdToCustomColor !== 'undefined' && pbiIdToCustomColor[savePbi.id]) {
-                savePbi.wsjfRankColor = pbiIdToCustomColor[savePbi.id];
-            }
+    return {
+        schemaVersion: SAVE_FILE_SCHEMA_VERSION,
+        timestamp: Date.now(),
+        settings: settings,
+        backlogItems: pbisToSave
+    };
+}
 
-            var indexInCustomOrder = lockedPbiOrder.indexOf(savePbi.id);
-            if (indexInCustomOrder !== -1) {
-                savePbi.customSortIndex = indexInCustomOrder;
-            }
-            return savePbi;
-        });
 
-        var state = {
-            timestamp: Date.now(),
-            settings: settings,
-            backlogItems: pbisToSave
-        };
+/**
+ * Serializes and persists the complete application state to the browser storage.
+ * <br><b>Storage Key:</b> The key of the active workspace (see <code>getActiveStorageKey</code>), or <code>'sizeRight_autosave_v1'</code>
+ * as long as workspaces are not initialized.
+ * <br><b>Backend:</b> IndexedDB with per-item records if available, LocalStorage otherwise (see <code>writeStoredState</code>).
+ * The function name is kept from the LocalStorage-only versions.
+ * <br><b>Data Scope:</b> The state built by <code>buildSaveState</code> (Settings and Backlog Items, without the spacer, including the custom sort index).
+ * <br><b>Error Handling:</b>
+ * Failed writes, such as a <code>QuotaExceededError</code> (storage full) or security restrictions (Private Browsing modes),
+ * show the "not saved" banner via <code>reportPersistenceResult</code> instead of interrupting the user.
+ * <br><b>Read-Only Viewer:</b> Nothing is saved while a share link is shown, so the own workspaces of the recipient stay untouched.
+ * <br><b>Undo History:</b> Saving to the active workspace also records an undo step (<code>recordUndoHistory</code>) if items, custom order, T-shirt sizes or scale have changed.
+ *
+ * @param {string} [storageKey] - The key to write to. Defaults to the active workspace.
+ */
+function saveToLocalStorage(storageKey) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return;
 
-        window.localStorage.setItem('sizeRight_autosave_v1', JSON.stringify(state));
+    try {
+        writeStoredState(storageKey || getActiveStorageKey(), buildSaveState());
     } catch (e) {
-        console.warn('Failed to save to localStorage:', e);
+        reportPersistenceResult(false, e, storageKey || getActiveStorageKey());
     }
+
+    if (!storageKey) recordUndoHistory();
 }
 
 
 /**
- * Hydrates the application state by retrieving and parsing data from the browser's LocalStorage.
- * <br><b>Storage Key:</b> <code>'sizeRight_autosave_v1'</code>
+ * Hydrates the application state by retrieving and parsing data from the browser storage.
+ * <br><b>Storage Key:</b> The key of the active workspace (see <code>getActiveStorageKey</code>), or <code>'sizeRight_autosave_v1'</code>
+ * as long as workspaces are not initialized.
+ * <br><b>Backend:</b> Reads via <code>readStoredState</code>, i.e. from the IndexedDB cache or from LocalStorage.
  * <br><b>Purpose:</b>
  * Restores the user's session exactly as they left it. This includes the content (Backlog Items) 
  * and the configuration (Language, Colors, Sorting).
+ * <br><b>Migration:</b> Older autosaves are brought up to the current schema via <code>migrateSaveFile</code>. Schema violations are logged, not rejected, to avoid losing the session.
+ * The state itself is applied by <code>applySavedState</code>.
+ *
+ * @param {string} [storageKey] - The key to read from. Defaults to the active workspace.
+ * @returns {boolean} <code>true</code> if data was successfully loaded and applied, <code>false</code> if no data was found or an error occurred.
+ */
+function loadFromLocalStorage(storageKey) {
+    if (typeof window === 'undefined' || !window.localStorage) return false;
+
+    try {
+        var storedState = readStoredState(storageKey || getActiveStorageKey());
+        if (!storedState) return false;
+
+        var data = migrateSaveFile(storedState);
+
+        // Never discard an autosave: schema violations are only reported, since the next save would overwrite the data.
+        var schemaErrors = validateSaveFile(data, currentScale);
+        if (schemaErrors.length > 0) {
+            console.warn('Autosave does not match the save-file schema:\n' + formatSchemaErrors(schemaErrors));
+        }
+        
+        return applySavedState(data);
+
+    } catch (e) {
+        console.error('Error loading from localStorage:', e);
+        return false;
+    }
+}
+
+
+/**
+ * Applies a saved state (already migrated to the current schema) to the global application state.
+ * Used for the autosave (<code>loadFromLocalStorage</code>) and the read-only share viewer (<code>openSharedView</code>).
  *
  * <h3>Data Restoration Logic:</h3>
  * <ul>
- * <li><b>Sanitization:</b> Checks if the loaded data is valid JSON and contains an array of PBIs.</li>
+ * <li><b>Sanitization:</b> Checks if the data contains an array of PBIs.</li>
  * <li><b>Settings Merge:</b> Uses <code>Object.assign</code> to merge saved settings with the current <code>config.default...</code>. 
  * <i>Why?</i> This ensures backward compatibility. If a newer version of the app introduces new color keys, 
  * loading an old save file won't crash the app because missing keys are filled with defaults.</li>
  * <li><b>Visual State:</b> Restores specific UI flags like <code>showReferenceMarkers</code> and <code>isResolutionWarningDismissed</code>.</li>
+ * <li><b>Custom Scales:</b> Replaces the user-defined scales (<code>applyCustomScales</code>) before the scale is selected; unknown scales fall back to the default.</li>
+ * <li><b>Component Weights:</b> Restores the weights the totals of the file were calculated with (<code>applyComponentWeights</code>); files without weights use 1 for every component.</li>
  * </ul>
  *
  * <h3>Custom Sort Reconstruction:</h3>
@@ -1073,1216 +1149,7429 @@ function saveToLocalStorage() {
  * <li>Finally, it rebuilds the global <code>lockedPbiOrder</code> array so the "Custom Sort" view works immediately.</li>
  * </ol>
  *
- * @returns {boolean} <code>true</code> if data was successfully loaded and applied, <code>false</code> if no data was found or an error occurred.
+ * @param {Object} data - The state <code>{ settings, backlogItems }</code>.
+ * @returns {boolean} <code>true</code> if the state was applied, <code>false</code> if it contains no backlog items array.
  */
-function loadFromLocalStorage() {
-    if (typeof window === 'undefined' || !window.localStorage) return false;
+function applySavedState(data) {
+    var importedSettings = data.settings;
+    var importedPbis = data.backlogItems;
 
-    try {
-        var jsonStr = window.localStorage.getItem('sizeRight_autosave_v1');
-        if (!jsonStr) return false;
+    if (!Array.isArray(importedPbis)) return false;
 
-        var data = JSON.parse(jsonStr);
-        
-        var importedSettings = data.settings;
-        var importedPbis = data.backlogItems;
+    if (typeof pbiIdToCustomColor !== 'undefined') pbiIdToCustomColor = {};
+    if (typeof lockedPbiOrder !== 'undefined') lockedPbiOrder = [];
+    if (typeof initialCustomOrderSet !== 'undefined') initialCustomOrderSet = false;
 
-        if (!Array.isArray(importedPbis)) return false;
+    var pbisWithSortIndex = [];
+    var pbisWithoutSortIndex = [];
 
-        if (typeof pbiIdToCustomColor !== 'undefined') pbiIdToCustomColor = {};
-        if (typeof lockedPbiOrder !== 'undefined') lockedPbiOrder = [];
-        if (typeof initialCustomOrderSet !== 'undefined') initialCustomOrderSet = false;
+    importedPbis.forEach(function(pbi) {
+        if (!pbi) return;
 
-        var pbisWithSortIndex = [];
-        var pbisWithoutSortIndex = [];
+        if (pbi.isReference === true && !pbi.referenceType) {
+            pbi.referenceType = 'min';
+        }
+        pbi.isReference = (pbi.referenceType === 'min' || pbi.referenceType === 'max');
 
-        importedPbis.forEach(function(pbi) {
-            if (!pbi) return;
+        if (pbi.wsjfRankColor && typeof pbiIdToCustomColor !== 'undefined') {
+            pbiIdToCustomColor[pbi.id] = pbi.wsjfRankColor;
+        }
 
-            if (pbi.isReference === true && !pbi.referenceType) {
-                pbi.referenceType = 'min';
-            }
-            pbi.isReference = (pbi.referenceType === 'min' || pbi.referenceType === 'max');
+        if (typeof pbi.customSortIndex === 'number' && pbi.customSortIndex >= 0) {
+            pbisWithSortIndex.push(pbi);
+            initialCustomOrderSet = true;
+        } else {
+            pbisWithoutSortIndex.push(pbi);
+        }
+    });
 
-            if (pbi.wsjfRankColor && typeof pbiIdToCustomColor !== 'undefined') {
-                pbiIdToCustomColor[pbi.id] = pbi.wsjfRankColor;
-            }
+    if (initialCustomOrderSet && typeof lockedPbiOrder !== 'undefined') {
+        pbisWithSortIndex.sort(function(a, b) {
+            return a.customSortIndex - b.customSortIndex;
+        });
+        lockedPbiOrder = pbisWithSortIndex.map(function(pbi) { return pbi.id; });
+        pbisWithoutSortIndex.forEach(function(pbi) {
+            lockedPbiOrder.push(pbi.id);
+        });
+    }
+
+    if (importedSettings) {
+        applyCustomScales(importedSettings.customScales);
+        applyComponentWeights(importedSettings.componentWeights);
+        applyPrioritizationModel(importedSettings.prioritizationModel);
+        applyCapacity(importedSettings.capacity);
+        applyQuadrantThresholds(importedSettings.quadrantThresholds);
+        applyTshirtMapping(importedSettings.tshirtMapping);
+        applyCsvExportOptions(importedSettings.csvExport);
+        applyUndoHistoryDepth(importedSettings.undoHistoryDepth);
+        currentLanguage = resolveLanguage(importedSettings.language);
+        currentScale = importedSettings.scale || config.defaultSettings.scale;
+        if (SCALES && !SCALES[currentScale]) currentScale = config.defaultSettings.scale;
+        config.tshirtSizes = Array.isArray(importedSettings.tshirtSizes) ? importedSettings.tshirtSizes : config.defaultSettings.tshirtSizes;
+        
+        if (importedSettings.colors) config.colors = importedSettings.colors;
+        if (importedSettings.editorColors) config.editorColors = importedSettings.editorColors;
 
-            if (typeof pbi.customSortIndex === 'number' && pbi.customSortIndex >= 0) {
-                pbisWithSortIndex.push(pbi);
-                initialCustomOrderSet = true;
+        if (typeof window !== 'undefined') {
+            if (typeof importedSettings.showReferenceMarkers === 'boolean') {
+                window.showReferenceMarkers = importedSettings.showReferenceMarkers;
             } else {
-                pbisWithoutSortIndex.push(pbi);
+                window.showReferenceMarkers = true;
             }
-        });
-
-        if (initialCustomOrderSet && typeof lockedPbiOrder !== 'undefined') {
-            pbisWithSortIndex.sort(function(a, b) {
-                return a.customSortIndex - b.customSortIndex;
-            });
-            lockedPbiOrder = pbisWithSortIndex.map(function(pbi) { return pbi.id; });
-            pbisWithoutSortIndex.forEach(function(pbi) {
-                lockedPbiOrder.push(pbi.id);
-            });
+        }
+        
+        if (typeof importedSettings.isResolutionWarningDismissed === 'boolean') {
+            window.isResolutionWarningDismissed = importedSettings.isResolutionWarningDismissed;
         }
 
-        if (importedSettings) {
-            currentLanguage = importedSettings.language || config.defaultSettings.language;
-            currentScale = importedSettings.scale || config.defaultSettings.scale;
-            config.tshirtSizes = Array.isArray(importedSettings.tshirtSizes) ? importedSettings.tshirtSizes : config.defaultSettings.tshirtSizes;
-            
-            if (importedSettings.colors) config.colors = importedSettings.colors;
-            if (importedSettings.editorColors) config.editorColors = importedSettings.editorColors;
-
-            if (typeof window !== 'undefined') {
-                if (typeof importedSettings.showReferenceMarkers === 'boolean') {
-                    window.showReferenceMarkers = importedSettings.showReferenceMarkers;
-                } else {
-                    window.showReferenceMarkers = true;
-                }
+        if (importedSettings.colors) {
+                config.colors = Object.assign({}, config.defaultColors, importedSettings.colors);
+            } else if (config.defaultColors) {
+                config.colors = JSON.parse(JSON.stringify(config.defaultColors));
             }
             
-            if (typeof importedSettings.isResolutionWarningDismissed === 'boolean') {
-                window.isResolutionWarningDismissed = importedSettings.isResolutionWarningDismissed;
-            }
-
-            if (importedSettings.colors) {
-                    config.colors = Object.assign({}, config.defaultColors, importedSettings.colors);
-                } else if (config.defaultColors) {
-                    config.colors = JSON.parse(JSON.stringify(config.defaultColors));
-                }
-                
-                if (importedSettings.editorColors) {
-                    config.editorColors = Object.assign({}, config.defaultEditorColors, importedSettings.editorColors);
-                } else if (config.defaultEditorColors) {
-                    config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
-                }
-
-            if (config.languages && config.languages[currentLanguage]) {
-                config.uiStrings = config.languages[currentLanguage];
+            if (importedSettings.editorColors) {
+                config.editorColors = Object.assign({}, config.defaultEditorColors, importedSettings.editorColors);
+            } else if (config.defaultEditorColors) {
+                config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
             }
 
-            currentSortCriteria = importedSettings.sortCriteria || 'creationOrder';
-            currentSortDirection = importedSettings.sortDirection || 'asc';
-            isFilterLocked = (currentSortCriteria === 'lock');
-            
-            preLockSortCriteria = importedSettings.preLockSortCriteria || (isFilterLocked ? 'creationOrder' : currentSortCriteria);
-            preLockSortDirection = importedSettings.preLockSortDirection || (isFilterLocked ? 'asc' : currentSortDirection);
+        if (config.languages && config.languages[currentLanguage]) {
+            config.uiStrings = config.languages[currentLanguage];
         }
 
-        pbis = importedPbis;
-        return true;
-
-    } catch (e) {
-        console.error('Error loading from localStorage:', e);
-        return false;
+        currentSortCriteria = importedSettings.sortCriteria || 'creationOrder';
+        currentSortDirection = importedSettings.sortDirection || 'asc';
+        isFilterLocked = (currentSortCriteria === 'lock');
+        
+        preLockSortCriteria = importedSettings.preLockSortCriteria || (isFilterLocked ? 'creationOrder' : currentSortCriteria);
+        preLockSortDirection = importedSettings.preLockSortDirection || (isFilterLocked ? 'asc' : currentSortDirection);
     }
+
+    pbis = importedPbis;
+    return true;
 }
 
 
+// ===================================================================================
+// STORAGE BACKEND (INDEXEDDB)
+// ===================================================================================
+
+
 /**
- * Asynchronously bundles the current application state and triggers a file download (JSON).
- * <br><b>Data Scope:</b>
- * The export includes both the <b>Backlog Items</b> and the <b>Global Configuration</b> (Settings, Colors, View Preferences).
- * This allows a complete state restoration when importing the file later.
- *
- * <h3>Data Preparation Logic:</h3>
+ * IndexedDB layout of the saved states.
+ * <br><b>Why?</b> LocalStorage holds only a few megabytes per origin and has to rewrite the complete state as one string on every change.
+ * Notes with pasted content quickly exceed that limit, after which nothing is saved anymore.
  * <ul>
- * <li><b>Spacer Removal:</b> Filters out the internal "Last Item" (Spacer) to prevent duplication on import.</li>
- * <li><b>Sort Order Persistence:</b> The application holds the Drag-and-Drop order in a temporary global array (`lockedPbiOrder`). 
- * During export, this order is mapped into a persistent property `customSortIndex` on each PBI object, ensuring the manual order is saved.</li>
- * <li><b>Color Merging:</b> Merges transient `wsjfRankColor` definitions from the `pbiIdToCustomColor` lookup table directly into the PBI objects.</li>
- * </ul>
- *
- * <h3>Save Strategy (Progressive Enhancement):</h3>
- * This function utilizes the modern <b>File System Access API</b> (`showSaveFilePicker`) if supported by the browser.
- * <ul>
- * <li><b>Modern Browsers:</b> Opens a native "Save As" dialog, allowing the user to choose the directory and filename directly.</li>
- * <li><b>Legacy / Fallback:</b> If the API is unsupported (or if the user cancels/fails the modern dialog), it falls back to the traditional method: 
- * creating a temporary `<a>` tag with a `blob:` URL and triggering a click to download to the default "Downloads" folder.</li>
+ * <li><code>'states'</code>: One record per storage key (workspace) <code>{ key, schemaVersion, timestamp, settings, itemIds }</code>.
+ * <code>itemIds</code> keeps the order of the backlog items.</li>
+ * <li><code>'items'</code>: One record per backlog item <code>{ key: '&lt;storage key&gt;|&lt;id&gt;', stateKey, data }</code>,
+ * so a change to one item only rewrites that item.</li>
+ * <li><code>'records'</code>: Other data of a workspace that grows with its use, stored as a whole <code>{ key, value }</code>:
+ * the undo history (<code>'&lt;storage key&gt;_history'</code>) and the snapshots (<code>'&lt;storage key&gt;_snapshots'</code>).</li>
  * </ul>
+ * The workspace index and small preferences remain in LocalStorage.
+ */
+var STORAGE_DB_NAME = 'sizeRight_storage';
+var STORAGE_DB_VERSION = 2;
+var STORAGE_STATE_STORE = 'states';
+var STORAGE_ITEM_STORE = 'items';
+var STORAGE_RECORD_STORE = 'records';
+
+
+/**
+ * Checks whether the saved states are kept in IndexedDB.
+ * If the browser offers no IndexedDB (or opening it failed), LocalStorage is used as before.
  *
- * <h3>Filename Logic:</h3>
- * <ul>
- * <li>If the current session was loaded from a file, it suggests the original filename (overwriting workflow).</li>
- * <li>Otherwise, it generates a timestamped filename (e.g., `2023-10-27_14-30 - Backlog & Settings.json`).</li>
- * </ul>
+ * @returns {boolean} <code>true</code> if the IndexedDB backend is active.
  */
-async function exportPbisAsJson() {
-    var markersState = true;
-    if (typeof window !== 'undefined' && typeof window.showReferenceMarkers === 'boolean') {
-        markersState = window.showReferenceMarkers;
-    }
+function isIndexedDbStorageActive() {
+    return typeof storageDb !== 'undefined' && storageDb !== null;
+}
 
-    var settings = {
-        language: currentLanguage,
-        scale: currentScale,
-        tshirtSizes: config.tshirtSizes,
-        colors: config.colors,
-        editorColors: config.editorColors || config.defaultEditorColors,
-        sortCriteria: currentSortCriteria,
-        sortDirection: currentSortDirection,
-        preLockSortCriteria: preLockSortCriteria, 
-        preLockSortDirection: preLockSortDirection,
-        showReferenceMarkers: markersState,
-        isResolutionWarningDismissed: window.isResolutionWarningDismissed 
-    };
 
-    var pbisToExport = pbis.filter(function(pbi) {
-        return pbi && !pbi.isLastItem;
-    }).map(function(pbi) {
+/**
+ * Returns the key of an item record in the <code>'items'</code> store.
+ *
+ * @param {string} stateKey - The storage key of the state (workspace).
+ * @param {number|string} itemId - The ID of the backlog item.
+ * @returns {string} The record key.
+ */
+function getStoredItemKey(stateKey, itemId) {
+    return stateKey + '|' + itemId;
+}
 
-        var exportPbi = JSON.parse(JSON.stringify(pbi));
 
-        if (typeof pbiIdToCustomColor !== 'undefined' && pbiIdToCustomColor[exportPbi.id]) {
-            exportPbi.wsjfRankColor = pbiIdToCustomColor[exportPbi.id];
-        } else {
-             delete exportPbi.wsjfRankColor;
+/**
+ * Opens (and on first use creates) the IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or <code>null</code> if IndexedDB is not available.
+ */
+function openStorageDatabase() {
+    return new Promise(function(resolve) {
+        if (typeof window === 'undefined' || !window.indexedDB) {
+            resolve(null);
+            return;
         }
 
-        var indexInCustomOrder = lockedPbiOrder.indexOf(exportPbi.id);
-        if (indexInCustomOrder !== -1) {
-            exportPbi.customSortIndex = indexInCustomOrder;
-        } else {
-             delete exportPbi.customSortIndex;
+        var request;
+        try {
+            request = window.indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+        } catch (e) {
+            console.warn('Failed to open IndexedDB:', e);
+            resolve(null);
+            return;
         }
 
-        return exportPbi;
+        request.onupgradeneeded = function() {
+            var db = request.result;
+            if (!db.objectStoreNames.contains(STORAGE_STATE_STORE)) {
+                db.createObjectStore(STORAGE_STATE_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(STORAGE_ITEM_STORE)) {
+                db.createObjectStore(STORAGE_ITEM_STORE, { keyPath: 'key' }).createIndex('stateKey', 'stateKey');
+            }
+            if (!db.objectStoreNames.contains(STORAGE_RECORD_STORE)) {
+                db.createObjectStore(STORAGE_RECORD_STORE, { keyPath: 'key' });
+            }
+        };
+        request.onsuccess = function() { resolve(request.result); };
+        request.onerror = function() {
+            console.warn('Failed to open IndexedDB:', request.error);
+            resolve(null);
+        };
     });
+}
 
-    var exportData = {
-        settings: settings,
-        backlogItems: pbisToExport
-    };
 
-    var dataStr = JSON.stringify(exportData, null, 2);
-    var blob = new Blob([dataStr], { type: 'application/json' });
+/**
+ * Reads all states, items and records from IndexedDB into the in-memory caches <code>storageCache</code> and <code>storageRecords</code>.
+ * <br><b>Cache Format:</b> <code>{ &lt;storage key&gt;: { state: { schemaVersion, timestamp, settings, itemIds }, items: { &lt;id&gt;: JSON string } } }</code>.
+ * The serialized items double as the base for the incremental writes in <code>writeStoredState</code>.
+ * The records are kept as JSON strings, too (<code>{ &lt;record key&gt;: JSON string }</code>).
+ *
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<{states: Object, records: Object}>} The caches.
+ */
+function loadStoredStates(db) {
+    return new Promise(function(resolve, reject) {
+        var tx = db.transaction([STORAGE_STATE_STORE, STORAGE_ITEM_STORE, STORAGE_RECORD_STORE], 'readonly');
+        var statesRequest = tx.objectStore(STORAGE_STATE_STORE).getAll();
+        var itemsRequest = tx.objectStore(STORAGE_ITEM_STORE).getAll();
+        var recordsRequest = tx.objectStore(STORAGE_RECORD_STORE).getAll();
+
+        tx.oncomplete = function() {
+            var cache = {};
+            statesRequest.result.forEach(function(record) {
+                cache[record.key] = {
+                    state: {
+                        schemaVersion: record.schemaVersion,
+                        timestamp: record.timestamp,
+                        settings: record.settings,
+                        itemIds: record.itemIds || []
+                    },
+                    items: {}
+                };
+            });
+            itemsRequest.result.forEach(function(record) {
+                if (cache[record.stateKey] && record.data) {
+                    cache[record.stateKey].items[record.data.id] = JSON.stringify(record.data);
+                }
+            });
+            var records = {};
+            recordsRequest.result.forEach(function(record) {
+                records[record.key] = JSON.stringify(record.value);
+            });
+            resolve({ states: cache, records: records });
+        };
+        tx.onabort = function() { reject(tx.error); };
+    });
+}
 
-    var fileName;
-    if (lastImportedFileName) {
-        fileName = lastImportedFileName.endsWith('.json') ? lastImportedFileName : lastImportedFileName + '.json';
-    } else {
-        var timestamp = new Date();
-        var pad = function(num) { return num.toString().padStart(2, '0'); };
-        fileName = timestamp.getFullYear() + '-' + pad(timestamp.getMonth() + 1) + '-' + pad(timestamp.getDate()) + '_' + (pad(timestamp.getHours()) + '-' + pad(timestamp.getMinutes())) + ' - Backlog & Settings.json';
+
+/**
+ * Compares the backlog items of a state with the last written version and determines the required writes.
+ *
+ * @param {Object} previousItems - The serialized items of the last write <code>{ &lt;id&gt;: JSON string }</code>.
+ * @param {Array<Object>} backlogItems - The items to save.
+ * @param {boolean} [writeAll] - <code>true</code> to write every item, e.g. after a failed write.
+ * @returns {Object} <code>{ items, itemIds, put, remove }</code>: the new serialized items and order,
+ * the items to write and the IDs (as strings) of the items to delete.
+ */
+function diffStoredItems(previousItems, backlogItems, writeAll) {
+    previousItems = previousItems || {};
+    var result = { items: {}, itemIds: [], put: [], remove: [] };
+
+    (backlogItems || []).forEach(function(pbi) {
+        if (!pbi) return;
+        var json = JSON.stringify(pbi);
+        result.items[pbi.id] = json;
+        result.itemIds.push(pbi.id);
+        if (writeAll || previousItems[pbi.id] !== json) result.put.push(pbi);
+    });
+
+    Object.keys(previousItems).forEach(function(id) {
+        if (!result.items.hasOwnProperty(id)) result.remove.push(id);
+    });
+
+    return result;
+}
+
+
+/**
+ * Reads a saved state from the active backend.
+ *
+ * @param {string} key - The storage key.
+ * @returns {Object|null} The state <code>{ schemaVersion, timestamp, settings, backlogItems }</code>, or <code>null</code> if none exists.
+ * @throws {SyntaxError} If the LocalStorage entry is corrupted.
+ */
+function readStoredState(key) {
+    if (!isIndexedDbStorageActive()) {
+        var jsonStr = window.localStorage.getItem(key);
+        return jsonStr ? JSON.parse(jsonStr) : null;
     }
 
-    var fallbackSave = function() {
-        var url = URL.createObjectURL(blob);
-        var a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    var entry = storageCache[key];
+    if (!entry) return null;
+
+    return {
+        schemaVersion: entry.state.schemaVersion,
+        timestamp: entry.state.timestamp,
+        settings: entry.state.settings ? JSON.parse(JSON.stringify(entry.state.settings)) : entry.state.settings,
+        backlogItems: entry.state.itemIds.filter(function(id) {
+            return entry.items.hasOwnProperty(id);
+        }).map(function(id) {
+            return JSON.parse(entry.items[id]);
+        })
     };
+}
 
-    if (window.showSaveFilePicker) {
+
+/**
+ * Writes a state to the active backend.
+ * <br><b>IndexedDB:</b> The cache is updated immediately, so reads stay synchronous. Only added or changed items are written,
+ * removed items are deleted, and the settings record is replaced; all in one transaction.
+ * If the transaction fails (e.g. <code>QuotaExceededError</code>), the next write rewrites all items of the state.
+ * Writes that were started before the failure was known are based on the missing items, so they are reported as failed, too.
+ * <br><b>LocalStorage:</b> The state is stored as one JSON string, as in earlier versions.
+ * <br>In both cases, the outcome is reported to <code>reportPersistenceResult</code>, which shows or hides the "not saved" banner.
+ *
+ * @param {string} key - The storage key.
+ * @param {Object} state - The state <code>{ schemaVersion, timestamp, settings, backlogItems }</code>.
+ * @returns {Promise<boolean>} Resolves to <code>true</code> once the state is stored.
+ */
+function writeStoredState(key, state) {
+    if (!isIndexedDbStorageActive()) {
         try {
-            var handle = await window.showSaveFilePicker({
-                suggestedName: fileName,
-                types: [{
-                    description: 'JSON Files',
-                    accept: { 'application/json': ['.json'] },
-                }],
-            });
-            var writable = await handle.createWritable();
-            await writable.write(blob);
-            await writable.close();
-        } catch (err) {
-            if (err.name !== 'AbortError') {
-                console.error('showSaveFilePicker failed, falling back to traditional download.', err);
-                fallbackSave();
-            } else {
-                console.log('User cancelled the save file dialog.');
-            }
+            window.localStorage.setItem(key, JSON.stringify(state));
+        } catch (e) {
+            reportPersistenceResult(false, e, key);
+            return Promise.resolve(false);
         }
-    } else {
-        console.warn('File System Access API not supported, falling back to traditional download.');
-        fallbackSave();
+        reportPersistenceResult(true, null, key);
+        return Promise.resolve(true);
     }
-}
 
+    var previous = storageCache[key];
+    var changes = diffStoredItems(previous ? previous.items : {}, state.backlogItems, !previous || previous.needsFullWrite);
+    var entry = {
+        state: {
+            schemaVersion: state.schemaVersion,
+            timestamp: state.timestamp,
+            settings: state.settings ? JSON.parse(JSON.stringify(state.settings)) : state.settings,
+            itemIds: changes.itemIds
+        },
+        items: changes.items
+    };
+    storageCache[key] = entry;
+
+    return new Promise(function(resolve) {
+        var fail = function(error) {
+            // The newest entry may already be based on this write, so the flag goes to the cache, not only to this entry
+            entry.needsFullWrite = true;
+            if (storageCache[key]) storageCache[key].needsFullWrite = true;
+            reportPersistenceResult(false, error, key);
+            resolve(false);
+        };
 
-/**
- * Core logic for ingesting external JSON data into the application state.
- * <br><b>Format Support (Backward Compatibility):</b>
- * This function intelligently handles two file structures:
+        try {
+            var tx = storageDb.transaction([STORAGE_STATE_STORE, STORAGE_ITEM_STORE], 'readwrite');
+            var itemStore = tx.objectStore(STORAGE_ITEM_STORE);
+
+            changes.put.forEach(function(pbi) {
+                itemStore.put({ key: getStoredItemKey(key, pbi.id), stateKey: key, data: pbi });
+            });
+            changes.remove.forEach(function(id) {
+                itemStore.delete(getStoredItemKey(key, id));
+            });
+            tx.objectStore(STORAGE_STATE_STORE).put(Object.assign({ key: key }, entry.state));
+
+            tx.oncomplete = function() {
+                if (entry.needsFullWrite) {
+                    fail(new Error('An earlier write of "' + key + '" failed; the stored items are incomplete.'));
+                    return;
+                }
+                reportPersistenceResult(true, null, key);
+                resolve(true);
+            };
+            tx.onabort = function() { fail(tx.error); };
+        } catch (e) {
+            fail(e);
+        }
+    });
+}
+
+
+/**
+ * Deletes a saved state (settings and items) from both backends.
+ *
+ * @param {string} key - The storage key.
+ */
+function removeStoredState(key) {
+    if (typeof window !== 'undefined' && window.localStorage) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            console.warn('Failed to remove the saved state from localStorage:', e);
+        }
+    }
+
+    if (!isIndexedDbStorageActive()) return;
+
+    var entry = storageCache[key];
+    delete storageCache[key];
+
+    try {
+        var tx = storageDb.transaction([STORAGE_STATE_STORE, STORAGE_ITEM_STORE], 'readwrite');
+        var itemStore = tx.objectStore(STORAGE_ITEM_STORE);
+        if (entry) {
+            entry.state.itemIds.forEach(function(id) {
+                itemStore.delete(getStoredItemKey(key, id));
+            });
+        }
+        tx.objectStore(STORAGE_STATE_STORE).delete(key);
+    } catch (e) {
+        console.warn('Failed to remove the saved state from IndexedDB:', e);
+    }
+}
+
+
+/**
+ * Reads a record (undo history or snapshots) from the active backend.
+ *
+ * @param {string} key - The record key.
+ * @returns {*} The stored value, or <code>null</code> if none exists.
+ * @throws {SyntaxError} If the LocalStorage entry is corrupted.
+ */
+function readStoredRecord(key) {
+    if (!isIndexedDbStorageActive()) {
+        return JSON.parse(window.localStorage.getItem(key));
+    }
+    return storageRecords.hasOwnProperty(key) ? JSON.parse(storageRecords[key]) : null;
+}
+
+
+/**
+ * Writes a record (undo history or snapshots) to the active backend.
+ * <br><b>IndexedDB:</b> The cache is updated immediately; the outcome of the transaction is reported to <code>reportPersistenceResult</code>.
+ * <br><b>LocalStorage:</b> A full storage throws, so the caller can shrink the value and try again (see <code>saveUndoHistory</code>).
+ *
+ * @param {string} key - The record key.
+ * @param {*} value - The value (must be serializable as JSON).
+ * @returns {Promise<boolean>} Resolves to <code>true</code> once the record is stored.
+ * @throws {Error} In LocalStorage mode, if the value does not fit.
+ */
+function writeStoredRecord(key, value) {
+    if (!isIndexedDbStorageActive()) {
+        window.localStorage.setItem(key, JSON.stringify(value));
+        reportPersistenceResult(true, null, key);
+        return Promise.resolve(true);
+    }
+
+    storageRecords[key] = JSON.stringify(value);
+
+    return new Promise(function(resolve) {
+        var fail = function(error) {
+            reportPersistenceResult(false, error, key);
+            resolve(false);
+        };
+
+        try {
+            var tx = storageDb.transaction([STORAGE_RECORD_STORE], 'readwrite');
+            tx.objectStore(STORAGE_RECORD_STORE).put({ key: key, value: value });
+            tx.oncomplete = function() {
+                reportPersistenceResult(true, null, key);
+                resolve(true);
+            };
+            tx.onabort = function() { fail(tx.error); };
+        } catch (e) {
+            fail(e);
+        }
+    });
+}
+
+
+/**
+ * Deletes a record from both backends.
+ *
+ * @param {string} key - The record key.
+ */
+function removeStoredRecord(key) {
+    if (typeof window !== 'undefined' && window.localStorage) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            console.warn('Failed to remove the record from localStorage:', e);
+        }
+    }
+
+    if (!isIndexedDbStorageActive()) return;
+
+    delete storageRecords[key];
+    try {
+        storageDb.transaction([STORAGE_RECORD_STORE], 'readwrite').objectStore(STORAGE_RECORD_STORE).delete(key);
+    } catch (e) {
+        console.warn('Failed to remove the record from IndexedDB:', e);
+    }
+}
+
+
+/**
+ * Deletes all saved states from IndexedDB (used by the factory reset).
+ *
+ * @returns {Promise} Resolves once the stores are cleared (or immediately if IndexedDB is not in use).
+ */
+function clearStoredStates() {
+    if (!isIndexedDbStorageActive()) return Promise.resolve();
+
+    storageCache = {};
+    storageRecords = {};
+    return new Promise(function(resolve) {
+        try {
+            var tx = storageDb.transaction([STORAGE_STATE_STORE, STORAGE_ITEM_STORE, STORAGE_RECORD_STORE], 'readwrite');
+            tx.objectStore(STORAGE_STATE_STORE).clear();
+            tx.objectStore(STORAGE_ITEM_STORE).clear();
+            tx.objectStore(STORAGE_RECORD_STORE).clear();
+            tx.oncomplete = resolve;
+            tx.onabort = function() {
+                console.warn('Failed to clear IndexedDB:', tx.error);
+                resolve();
+            };
+        } catch (e) {
+            console.warn('Failed to clear IndexedDB:', e);
+            resolve();
+        }
+    });
+}
+
+
+/**
+ * Moves the states of all workspaces (and a leftover legacy autosave) from LocalStorage into IndexedDB,
+ * together with their undo histories and snapshots.
+ * <br><b>Conflicts:</b> If IndexedDB already holds a state for the same key (e.g. written while IndexedDB was temporarily unavailable),
+ * the newer one by <code>timestamp</code> wins.
+ * <br><b>Safety:</b> A LocalStorage entry is only removed after its transaction has completed.
+ * <br><b>Pending Workspace Migration:</b> Without a workspace index, <code>initWorkspaces</code> could not copy the legacy autosave
+ * (e.g. because LocalStorage was full). It is then moved into the "Default" workspace here, and <code>initWorkspaces</code> completes the index.
+ *
+ * @returns {Promise} Resolves once all migrations have finished.
+ */
+function migrateLocalStorageStates() {
+    if (!isIndexedDbStorageActive() || typeof window === 'undefined' || !window.localStorage) return Promise.resolve();
+
+    var keys = [LEGACY_AUTOSAVE_KEY];
+    var index = loadWorkspaceIndex();
+    if (index) {
+        index.workspaces.forEach(function(ws) { keys.push(getWorkspaceStorageKey(ws.id)); });
+    }
+
+    var recordKeys = [];
+    keys.forEach(function(key) {
+        recordKeys.push(getUndoHistoryStorageKey(key), getSnapshotStorageKey(key));
+    });
+    var recordMigrations = recordKeys.map(function(key) {
+        var value = null;
+        try {
+            value = JSON.parse(window.localStorage.getItem(key));
+        } catch (e) {
+            console.warn('Skipping the corrupted localStorage entry "' + key + '":', e);
+            return Promise.resolve();
+        }
+        if (value === null) return Promise.resolve();
+        if (storageRecords.hasOwnProperty(key)) {
+            window.localStorage.removeItem(key);
+            return Promise.resolve();
+        }
+        return writeStoredRecord(key, value).then(function(success) {
+            if (success) window.localStorage.removeItem(key);
+        });
+    });
+
+    return Promise.all(recordMigrations.concat(keys.map(function(key) {
+        var targetKey = (key === LEGACY_AUTOSAVE_KEY && !index) ? getWorkspaceStorageKey('default') : key;
+        var state = null;
+        try {
+            state = JSON.parse(window.localStorage.getItem(key));
+        } catch (e) {
+            console.warn('Skipping the corrupted localStorage entry "' + key + '":', e);
+            return Promise.resolve();
+        }
+        if (!state || !Array.isArray(state.backlogItems)) return Promise.resolve();
+
+        var existing = storageCache[targetKey];
+        if (existing && (existing.state.timestamp || 0) >= (state.timestamp || 0)) {
+            window.localStorage.removeItem(key);
+            return Promise.resolve();
+        }
+
+        return writeStoredState(targetKey, state).then(function(success) {
+            if (!success) return;
+            window.localStorage.removeItem(key);
+            if (targetKey !== key) initWorkspaces();
+        });
+    })));
+}
+
+
+/**
+ * Prepares the storage backend at startup (called before the saved state is loaded).
+ * Opens IndexedDB, fills <code>storageCache</code> and migrates existing LocalStorage data.
+ * If IndexedDB cannot be used, <code>storageDb</code> stays <code>null</code> and LocalStorage remains the backend.
+ *
+ * @returns {Promise} Resolves once the backend is ready; never rejects.
+ */
+function initStorageBackend() {
+    return openStorageDatabase().then(function(db) {
+        if (!db) return null;
+        return loadStoredStates(db).then(function(caches) {
+            storageDb = db;
+            storageCache = caches.states;
+            storageRecords = caches.records;
+            return migrateLocalStorageStates();
+        });
+    }).catch(function(e) {
+        console.warn('IndexedDB is not usable, falling back to localStorage:', e);
+        storageDb = null;
+        storageCache = {};
+        storageRecords = {};
+    });
+}
+
+
+/**
+ * The storage keys whose last write failed (see <code>reportPersistenceResult</code>).
+ */
+let failedPersistenceKeys = {};
+
+
+/**
+ * Shows or hides the "not saved" banner depending on the outcome of the writes.
+ * <br><b>Why?</b> A failing autosave used to be visible in the console only, so users kept working on changes that were lost on reload.
+ * <br><b>Per Key:</b> The state, the undo history and the snapshots are written separately. The banner stays visible until
+ * the last write of every failed key has succeeded (e.g. via its "Try again" button after freeing space, see <code>retryPersistence</code>),
+ * so a successful state write does not hide a failed history write.
+ *
+ * @param {boolean} success - Whether the write succeeded.
+ * @param {Error} [error] - The error of a failed write.
+ * @param {string} [key] - The storage key of the write.
+ */
+function reportPersistenceResult(success, error, key) {
+    key = key || getActiveStorageKey();
+    if (success) {
+        delete failedPersistenceKeys[key];
+    } else {
+        console.error('Failed to save the application state:', error);
+        failedPersistenceKeys[key] = true;
+    }
+
+    if (typeof document === 'undefined') return;
+    var banner = document.getElementById('persistence-banner');
+    if (banner) banner.classList.toggle('hidden', Object.keys(failedPersistenceKeys).length === 0);
+}
+
+
+/**
+ * Writes the state, the undo history and the snapshots of the active workspace again ("Try again" button of the banner).
+ * Failures of other workspaces are forgotten, as they cannot be repeated from here; their next write reports again.
+ */
+function retryPersistence() {
+    failedPersistenceKeys = {};
+    saveToLocalStorage();
+    saveUndoHistory();
+    saveSnapshots(loadSnapshots());
+}
+
+
+// ===================================================================================
+// WORKSPACES (KEYED STORAGE)
+// ===================================================================================
+
+
+/**
+ * Storage layout of the workspaces.
+ * <ul>
+ * <li><code>'sizeRight_workspaces_v1'</code>: The index <code>{ activeId, workspaces: [{ id, name }] }</code> (always in LocalStorage).</li>
+ * <li><code>'sizeRight_workspace_&lt;id&gt;'</code>: One save state per workspace, in the same format as the former autosave
+ * (in IndexedDB if available, see <code>writeStoredState</code>).</li>
+ * <li><code>'sizeRight_autosave_v1'</code>: The single autosave of earlier versions. It is moved into the "Default" workspace by <code>initWorkspaces</code>.</li>
+ * </ul>
+ */
+var WORKSPACE_INDEX_KEY = 'sizeRight_workspaces_v1';
+var WORKSPACE_KEY_PREFIX = 'sizeRight_workspace_';
+var LEGACY_AUTOSAVE_KEY = 'sizeRight_autosave_v1';
+
+
+/**
+ * Returns the LocalStorage key that holds the state of a workspace.
+ *
+ * @param {string} workspaceId - The ID of the workspace.
+ * @returns {string} The storage key.
+ */
+function getWorkspaceStorageKey(workspaceId) {
+    return WORKSPACE_KEY_PREFIX + workspaceId;
+}
+
+
+/**
+ * Returns the LocalStorage key of the active workspace.
+ * Before <code>initWorkspaces</code> has run (e.g. in isolated tests), the legacy autosave key is used.
+ *
+ * @returns {string} The storage key used by <code>saveToLocalStorage</code> and <code>loadFromLocalStorage</code>.
+ */
+function getActiveStorageKey() {
+    if (typeof activeWorkspaceId !== 'undefined' && activeWorkspaceId) {
+        return getWorkspaceStorageKey(activeWorkspaceId);
+    }
+    return LEGACY_AUTOSAVE_KEY;
+}
+
+
+/**
+ * Reads the workspace index from LocalStorage.
+ *
+ * @returns {Object|null} The index <code>{ activeId, workspaces }</code>, or <code>null</code> if it is missing or corrupted.
+ */
+function loadWorkspaceIndex() {
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+    try {
+        var index = JSON.parse(window.localStorage.getItem(WORKSPACE_INDEX_KEY));
+        if (index && Array.isArray(index.workspaces) && index.workspaces.length > 0) {
+            return index;
+        }
+    } catch (e) {
+        console.warn('Failed to read the workspace index:', e);
+    }
+    return null;
+}
+
+
+/**
+ * Writes the workspace index to LocalStorage.
+ *
+ * @param {Object} index - The index <code>{ activeId, workspaces }</code>.
+ */
+function saveWorkspaceIndex(index) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    try {
+        window.localStorage.setItem(WORKSPACE_INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+        console.warn('Failed to save the workspace index:', e);
+    }
+}
+
+
+/**
+ * Prepares the workspaces at startup and selects the active one.
+ * <br><b>Migration:</b>
+ * On the first start after the update, no index exists yet. A "Default" workspace is created and the existing
+ * <code>'sizeRight_autosave_v1'</code> data (if any) is moved into it, so no session is lost.
+ * If the copy fails (e.g. the storage is full, as both copies exist for a moment), the index is not saved and the app keeps working
+ * on the legacy key (<code>activeWorkspaceId</code> stays <code>null</code>). The user is told, and the migration is retried on the next start.
+ * <br><b>Repair:</b> If the stored active ID no longer exists, the first workspace becomes active.
+ *
+ * @returns {Object} The workspace index.
+ */
+function initWorkspaces() {
+    var index = loadWorkspaceIndex();
+
+    if (!index) {
+        var s = (config && config.uiStrings) || {};
+        index = {
+            activeId: 'default',
+            workspaces: [{ id: 'default', name: s.workspaceDefaultName || 'Default' }]
+        };
+
+        if (typeof window !== 'undefined' && window.localStorage) {
+            var legacyState = null;
+            try {
+                legacyState = window.localStorage.getItem(LEGACY_AUTOSAVE_KEY);
+                if (legacyState) {
+                    window.localStorage.setItem(getWorkspaceStorageKey('default'), legacyState);
+                }
+            } catch (e) {
+                console.error('Failed to migrate the autosave into the default workspace:', e);
+                alert(s.workspaceMigrationError || "Your saved backlog could not be moved into the new workspaces, probably because the browser storage is full. It stays available, but workspaces cannot be used until the move succeeds on a later start.");
+                activeWorkspaceId = null;
+                return index;
+            }
+            if (legacyState) {
+                try {
+                    window.localStorage.removeItem(LEGACY_AUTOSAVE_KEY);
+                } catch (e) {
+                    console.warn('Failed to remove the migrated autosave:', e);
+                }
+            }
+        }
+    }
+
+    var isKnown = index.workspaces.some(function(ws) { return ws.id === index.activeId; });
+    if (!isKnown) index.activeId = index.workspaces[0].id;
+
+    saveWorkspaceIndex(index);
+    activeWorkspaceId = index.activeId;
+    return index;
+}
+
+
+/**
+ * Builds the initial save state of a new, empty workspace from the application defaults.
+ * The current language is kept, as it is a preference of the user rather than of the backlog.
+ * The same applies to the custom scales, so they can be selected in the new workspace, too, and to the component weights of the portfolio.
+ *
+ * @returns {Object} A save state for <code>loadFromLocalStorage</code>.
+ */
+function getDefaultWorkspaceState() {
+    return {
+        schemaVersion: SAVE_FILE_SCHEMA_VERSION,
+        timestamp: Date.now(),
+        settings: {
+            language: currentLanguage,
+            scale: config.defaultSettings.scale,
+            tshirtSizes: config.defaultSettings.tshirtSizes,
+            colors: config.defaultColors ? JSON.parse(JSON.stringify(config.defaultColors)) : config.colors,
+            editorColors: config.defaultEditorColors ? JSON.parse(JSON.stringify(config.defaultEditorColors)) : config.editorColors,
+            sortCriteria: 'creationOrder',
+            sortDirection: 'asc',
+            showReferenceMarkers: config.defaultSettings.showReferenceMarkers !== undefined ? config.defaultSettings.showReferenceMarkers : true,
+            isResolutionWarningDismissed: window.isResolutionWarningDismissed,
+            componentWeights: getComponentWeights(),
+            prioritizationModel: (config.defaultSettings && config.defaultSettings.prioritizationModel) || 'wsjf',
+            capacity: normalizeCapacity(config.defaultSettings && config.defaultSettings.capacity),
+            quadrantThresholds: normalizeQuadrantThresholds(config.defaultSettings && config.defaultSettings.quadrantThresholds),
+            tshirtMapping: normalizeTshirtMapping(config.defaultSettings && config.defaultSettings.tshirtMapping),
+            csvExport: normalizeCsvExportOptions(config.defaultSettings && config.defaultSettings.csvExport),
+            customScales: getCustomScales()
+        },
+        backlogItems: []
+    };
+}
+
+
+/**
+ * Activates another workspace.
+ * <br><b>Workflow:</b>
+ * <ol>
+ * <li>Persists the current workspace (unless it was just deleted).</li>
+ * <li>Marks the target as active in the index and restores its state via <code>loadFromLocalStorage</code>.</li>
+ * <li>Refreshes the whole UI (colors, strings, sliders, lists), like after an import.</li>
+ * </ol>
+ *
+ * @param {string} workspaceId - The ID of the workspace to activate.
+ * @param {boolean} [skipSave] - <code>true</code> if the current workspace must not be saved (e.g. because it was deleted).
+ */
+function switchWorkspace(workspaceId, skipSave) {
+    var index = loadWorkspaceIndex();
+    if (!index || !index.workspaces.some(function(ws) { return ws.id === workspaceId; })) return;
+
+    if (!skipSave) saveToLocalStorage();
+
+    index.activeId = workspaceId;
+    saveWorkspaceIndex(index);
+    activeWorkspaceId = workspaceId;
+
+    if (!loadFromLocalStorage()) {
+        writeStoredState(getActiveStorageKey(), getDefaultWorkspaceState());
+        loadFromLocalStorage();
+    }
+
+    pbis = ensureLastItemExists(pbis);
+    if (typeof loadUndoHistory === 'function') loadUndoHistory();
+    activeSnapshotComparison = null;
+    lastImportedFileName = null;
+    lastEditedPbiId = null;
+
+    if (typeof applyColorSettings === 'function') applyColorSettings(config.colors);
+    if (typeof applyUiStrings === 'function') applyUiStrings();
+    if (typeof syncSliderMax === 'function') syncSliderMax();
+    if (typeof generateSliderScales === 'function') generateSliderScales();
+    if (typeof renderAll === 'function') renderAll();
+    if (typeof updateFilterLockButtonState === 'function') updateFilterLockButtonState();
+    if (typeof updateRefMarkerButtonState === 'function') updateRefMarkerButtonState();
+
+    var splitRootElement = document.getElementById('split-root');
+    if (splitRootElement) {
+        splitRootElement.classList.toggle('filter-locked', isFilterLocked);
+    }
+
+    if (typeof renderWorkspaceSwitcher === 'function') renderWorkspaceSwitcher();
+}
+
+
+/**
+ * Creates a new workspace and switches to it.
+ *
+ * @param {string} name - The display name.
+ * @param {Object} [initialState] - The save state to start with. Defaults to an empty backlog with default settings.
+ * @returns {string|null} The ID of the new workspace, or <code>null</code> if the name is empty.
+ */
+function createWorkspace(name, initialState) {
+    name = String(name || '').trim();
+    var index = loadWorkspaceIndex();
+    if (!name || !index) return null;
+
+    var id = 'ws' + Date.now();
+    while (index.workspaces.some(function(ws) { return ws.id === id; })) id += '_';
+
+    // Reading back catches a failed LocalStorage write; the IndexedDB cache is updated synchronously.
+    writeStoredState(getWorkspaceStorageKey(id), initialState || getDefaultWorkspaceState());
+    if (!readStoredState(getWorkspaceStorageKey(id))) {
+        console.warn('Failed to create the workspace.');
+        return null;
+    }
+
+    index.workspaces.push({ id: id, name: name });
+    saveWorkspaceIndex(index);
+    switchWorkspace(id);
+    return id;
+}
+
+
+/**
+ * Creates a copy of a workspace (backlog, settings and sort state) and switches to it.
+ *
+ * @param {string} workspaceId - The ID of the workspace to copy.
+ * @param {string} name - The display name of the copy.
+ * @returns {string|null} The ID of the copy, or <code>null</code> on failure.
+ */
+function duplicateWorkspace(workspaceId, name) {
+    if (workspaceId === activeWorkspaceId) saveToLocalStorage();
+
+    var state = null;
+    try {
+        state = readStoredState(getWorkspaceStorageKey(workspaceId));
+    } catch (e) {
+        console.warn('Failed to read the workspace to duplicate:', e);
+    }
+    if (!state) return null;
+
+    return createWorkspace(name, state);
+}
+
+
+/**
+ * Renames a workspace.
+ *
+ * @param {string} workspaceId - The ID of the workspace.
+ * @param {string} name - The new display name (empty names are ignored).
+ */
+function renameWorkspace(workspaceId, name) {
+    name = String(name || '').trim();
+    var index = loadWorkspaceIndex();
+    if (!name || !index) return;
+
+    index.workspaces.forEach(function(ws) {
+        if (ws.id === workspaceId) ws.name = name;
+    });
+    saveWorkspaceIndex(index);
+
+    if (typeof renderWorkspaceSwitcher === 'function') renderWorkspaceSwitcher();
+}
+
+
+/**
+ * Deletes a workspace and its data. The last remaining workspace cannot be deleted.
+ * If the active workspace is deleted, the first remaining one is activated.
+ *
+ * @param {string} workspaceId - The ID of the workspace.
+ * @returns {boolean} <code>true</code> if the workspace was deleted.
+ */
+function deleteWorkspace(workspaceId) {
+    var index = loadWorkspaceIndex();
+    if (!index || index.workspaces.length <= 1) return false;
+
+    index.workspaces = index.workspaces.filter(function(ws) { return ws.id !== workspaceId; });
+    saveWorkspaceIndex(index);
+
+    try {
+        removeStoredState(getWorkspaceStorageKey(workspaceId));
+        removeStoredRecord(getUndoHistoryStorageKey(getWorkspaceStorageKey(workspaceId)));
+        removeStoredRecord(getSnapshotStorageKey(getWorkspaceStorageKey(workspaceId)));
+    } catch (e) {
+        console.warn('Failed to delete the workspace data:', e);
+    }
+
+    if (workspaceId === activeWorkspaceId) {
+        switchWorkspace(index.workspaces[0].id, true);
+    } else if (typeof renderWorkspaceSwitcher === 'function') {
+        renderWorkspaceSwitcher();
+    }
+    return true;
+}
+
+
+// ===================================================================================
+// UNDO / REDO HISTORY
+// ===================================================================================
+
+
+/**
+ * Normalizes the maximum number of undo steps (e.g. from a save file or the settings modal).
+ * Missing, zero or invalid values fall back to <code>config.defaultSettings.undoHistoryDepth</code> (normalized by <code>processConfig</code>, default 50).
+ *
+ * @param {*} [depth] - The raw setting.
+ * @returns {number} The history depth (a whole number of at least 1).
+ */
+function normalizeUndoHistoryDepth(depth) {
+    var value = Math.floor(Number(depth));
+    if (value > 0) return value;
+    var defaultDepth = (typeof config !== 'undefined' && config && config.defaultSettings) ? Math.floor(Number(config.defaultSettings.undoHistoryDepth)) : NaN;
+    return (defaultDepth > 0) ? defaultDepth : 50;
+}
+
+
+/**
+ * Returns the maximum number of undo steps currently in effect (<code>window.undoHistoryDepth</code>, see <code>applyUndoHistoryDepth</code>).
+ *
+ * @returns {number} The history depth.
+ */
+function getUndoHistoryDepth() {
+    return normalizeUndoHistoryDepth(typeof window !== 'undefined' ? window.undoHistoryDepth : null);
+}
+
+
+/**
+ * Activates a maximum number of undo steps. If the undo stack holds more steps, the oldest ones are dropped;
+ * the trimmed history is persisted with the next recorded step.
+ *
+ * @param {*} [depth] - The new setting (normalized, see <code>normalizeUndoHistoryDepth</code>).
+ */
+function applyUndoHistoryDepth(depth) {
+    if (typeof window !== 'undefined') {
+        window.undoHistoryDepth = normalizeUndoHistoryDepth(depth);
+    }
+    var maxDepth = getUndoHistoryDepth();
+    if (typeof undoStack !== 'undefined' && undoStack.length > maxDepth) {
+        undoStack.splice(0, undoStack.length - maxDepth);
+    }
+}
+
+
+/**
+ * Returns the storage key of the undo history that belongs to a save state (see <code>writeStoredRecord</code>).
+ * Each workspace has its own history next to its state (<code>'&lt;stateKey&gt;_history'</code>).
+ *
+ * @param {string} [storageKey] - The key of the save state. Defaults to the active workspace.
+ * @returns {string} The storage key of the history.
+ */
+function getUndoHistoryStorageKey(storageKey) {
+    return (storageKey || getActiveStorageKey()) + '_history';
+}
+
+
+/**
+ * Captures the part of the application state that undo/redo restores.
+ * <br><b>Scope:</b>
+ * <ul>
+ * <li><b>Backlog Items:</b> All values, notes, T-shirt sizes and reference flags (without the spacer).</li>
+ * <li><b>Custom Sort Order:</b> <code>lockedPbiOrder</code> (drag & drop).</li>
+ * <li><b>Settings that change items:</b> The active T-shirt sizes, the scale (a scale change snaps all values)
+ * and the component weights (the stored <code>jobSize</code> and <code>cod</code> were calculated with them).</li>
+ * <li><b>T-shirt Size Mapping:</b> In auto mode, the sizes follow the mapping on every render (<code>syncAutoTshirtSizes</code>),
+ * so restored sizes only stay if the mapping they were derived from is restored, too.</li>
+ * </ul>
+ * Purely visual preferences (language, colors, sorting) are not part of the history.
+ *
+ * @returns {string} The state serialized as JSON, so that states can be compared as strings.
+ */
+function captureUndoState() {
+    return JSON.stringify({
+        backlogItems: pbis.filter(function(pbi) { return pbi && !pbi.isLastItem; }),
+        lockedPbiOrder: lockedPbiOrder,
+        tshirtSizes: config.tshirtSizes,
+        scale: currentScale,
+        componentWeights: getComponentWeights(),
+        tshirtMapping: getTshirtMapping()
+    });
+}
+
+
+/**
+ * Records a history step if the state has changed since the last step.
+ * <br><b>Trigger:</b> Called by <code>saveToLocalStorage</code>. Since every mutation of the backlog is persisted there
+ * (list actions, drag & drop, value popup, modal save, settings, imports), no caller has to record its own steps.
+ * <br><b>Logic:</b> The previous state is pushed onto the undo stack (trimmed to <code>getUndoHistoryDepth</code>)
+ * and the redo stack is cleared, as a new change invalidates the undone steps.
+ */
+function recordUndoHistory() {
+    if (typeof lastUndoState === 'undefined') return;
+
+    var state = captureUndoState();
+    if (state === lastUndoState) return;
+
+    if (lastUndoState !== null) {
+        undoStack.push(lastUndoState);
+        var depth = getUndoHistoryDepth();
+        if (undoStack.length > depth) undoStack.splice(0, undoStack.length - depth);
+        redoStack = [];
+    }
+    lastUndoState = state;
+
+    saveUndoHistory();
+    updateUndoRedoButtonState();
+}
+
+
+/**
+ * Persists the undo and redo stacks of the active workspace, so they survive a page reload.
+ * <br><b>Backend:</b> IndexedDB if available, LocalStorage otherwise (see <code>writeStoredRecord</code>).
+ * If the LocalStorage quota is exceeded, the oldest steps are dropped until the history fits; if even the empty history
+ * does not fit, the "not saved" banner is shown.
+ */
+function saveUndoHistory() {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+
+    var key = getUndoHistoryStorageKey();
+    while (true) {
+        try {
+            writeStoredRecord(key, { undo: undoStack, redo: redoStack });
+            return;
+        } catch (e) {
+            if (undoStack.length === 0) {
+                reportPersistenceResult(false, e, key);
+                return;
+            }
+            undoStack.splice(0, Math.ceil(undoStack.length / 2));
+        }
+    }
+}
+
+
+/**
+ * Restores the undo and redo stacks of the active workspace and takes the current state as the starting point.
+ * <br><b>Usage:</b> Called after startup and after switching workspaces, once the backlog has been loaded.
+ */
+function loadUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+
+    if (typeof window !== 'undefined' && window.localStorage) {
+        try {
+            var stored = readStoredRecord(getUndoHistoryStorageKey());
+            if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+                undoStack = stored.undo.slice(-getUndoHistoryDepth());
+                redoStack = stored.redo;
+            }
+        } catch (e) {
+            console.warn('Failed to load the undo history:', e);
+        }
+    }
+
+    lastUndoState = captureUndoState();
+    updateUndoRedoButtonState();
+}
+
+
+/**
+ * Applies a recorded history state to the application.
+ * <br><b>Workflow:</b> Restores items, custom order, T-shirt sizes, scale, component weights and T-shirt size mapping,
+ * re-renders everything and persists the result.
+ * Steps recorded before the weights were part of the history get their totals recalculated with the current weights instead.
+ * <br><b>No New Step:</b> <code>lastUndoState</code> is taken after the render, so the subsequent save does not record a step
+ * (and does not clear the redo stack), even if the render adjusted the state (e.g. auto T-shirt sizes of a step recorded without its mapping).
+ *
+ * @param {string} serializedState - A state created by <code>captureUndoState</code>.
+ */
+function restoreUndoState(serializedState) {
+    var state = JSON.parse(serializedState);
+    var scaleChanged = state.scale && state.scale !== currentScale && SCALES[state.scale];
+
+    pbis = ensureLastItemExists(state.backlogItems || []);
+    lockedPbiOrder = state.lockedPbiOrder || [];
+    if (Array.isArray(state.tshirtSizes)) config.tshirtSizes = state.tshirtSizes;
+    if (scaleChanged) currentScale = state.scale;
+    if (state.componentWeights) {
+        applyComponentWeights(state.componentWeights);
+    } else {
+        applyComponentWeights(getComponentWeights(), pbis);
+    }
+    if (state.tshirtMapping) applyTshirtMapping(state.tshirtMapping);
+
+    lastEditedPbiId = null;
+
+    if (scaleChanged) {
+        if (typeof syncSliderMax === 'function') syncSliderMax();
+        if (typeof generateSliderScales === 'function') generateSliderScales();
+    }
+    if (typeof renderAll === 'function') renderAll();
+    lastUndoState = captureUndoState();
+
+    saveToLocalStorage();
+    saveUndoHistory();
+    updateUndoRedoButtonState();
+}
+
+
+/**
+ * Reverts the last recorded change (Ctrl+Z).
+ *
+ * @returns {boolean} <code>true</code> if a step was undone.
+ */
+function undoLastChange() {
+    if (typeof undoStack === 'undefined' || undoStack.length === 0) return false;
+
+    redoStack.push(captureUndoState());
+    restoreUndoState(undoStack.pop());
+    return true;
+}
+
+
+/**
+ * Re-applies the last undone change (Ctrl+Shift+Z).
+ *
+ * @returns {boolean} <code>true</code> if a step was redone.
+ */
+function redoLastChange() {
+    if (typeof redoStack === 'undefined' || redoStack.length === 0) return false;
+
+    undoStack.push(captureUndoState());
+    restoreUndoState(redoStack.pop());
+    return true;
+}
+
+
+/**
+ * Enables or disables the Undo/Redo toolbar buttons depending on the stacks.
+ */
+function updateUndoRedoButtonState() {
+    var undoBtn = document.getElementById('btn-undo');
+    var redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) undoBtn.disabled = undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = redoStack.length === 0;
+}
+
+
+// ===================================================================================
+// SNAPSHOTS (NAMED STATES & COMPARISON)
+// ===================================================================================
+
+
+/**
+ * Returns the storage key of the snapshots that belong to a save state (see <code>writeStoredRecord</code>).
+ * Like the undo history, snapshots are kept per workspace (<code>'&lt;stateKey&gt;_snapshots'</code>).
+ *
+ * @param {string} [storageKey] - The key of the save state. Defaults to the active workspace.
+ * @returns {string} The storage key of the snapshot list.
+ */
+function getSnapshotStorageKey(storageKey) {
+    return (storageKey || getActiveStorageKey()) + '_snapshots';
+}
+
+
+/**
+ * Reads the snapshots of the active workspace.
+ *
+ * @returns {Array<Object>} The snapshots <code>{ id, name, timestamp, data }</code>, oldest first. <code>data</code> has the structure of the JSON export.
+ */
+function loadSnapshots() {
+    if (typeof window === 'undefined' || !window.localStorage) return [];
+    try {
+        var snapshots = readStoredRecord(getSnapshotStorageKey());
+        return Array.isArray(snapshots) ? snapshots : [];
+    } catch (e) {
+        console.warn('Failed to read the snapshots:', e);
+        return [];
+    }
+}
+
+
+/**
+ * Writes the snapshots of the active workspace.
+ * <br><b>Backend:</b> IndexedDB if available, LocalStorage otherwise (see <code>writeStoredRecord</code>).
+ * A full LocalStorage is reported directly; a failing IndexedDB transaction only later, via the "not saved" banner.
+ *
+ * @param {Array<Object>} snapshots - The complete snapshot list.
+ * @returns {boolean} <code>true</code> on success, <code>false</code> if the storage is full or unavailable.
+ */
+function saveSnapshots(snapshots) {
+    if (typeof window === 'undefined' || !window.localStorage) return false;
+    var key = getSnapshotStorageKey();
+    try {
+        writeStoredRecord(key, snapshots);
+        return true;
+    } catch (e) {
+        reportPersistenceResult(false, e, key);
+        return false;
+    }
+}
+
+
+/**
+ * Saves the current state as a named snapshot (e.g. "PI 24.3 kickoff").
+ * The snapshot uses the export structure (<code>buildSaveState</code>), so it can be restored like an imported file.
+ *
+ * @param {string} name - The display name.
+ * @returns {Object|null} The new snapshot, or <code>null</code> if the name is empty or the storage is full.
+ */
+function createSnapshot(name) {
+    name = String(name || '').trim();
+    if (!name) return null;
+
+    var snapshots = loadSnapshots();
+    var snapshot = {
+        id: 'snap' + Date.now(),
+        name: name,
+        timestamp: Date.now(),
+        data: buildSaveState()
+    };
+    while (snapshots.some(function(existing) { return existing.id === snapshot.id; })) snapshot.id += '_';
+
+    snapshots.push(snapshot);
+    return saveSnapshots(snapshots) ? snapshot : null;
+}
+
+
+/**
+ * Deletes a snapshot. An active comparison with this snapshot is ended.
+ *
+ * @param {string} snapshotId - The ID of the snapshot.
+ */
+function deleteSnapshot(snapshotId) {
+    saveSnapshots(loadSnapshots().filter(function(snapshot) { return snapshot.id !== snapshotId; }));
+
+    if (typeof activeSnapshotComparison !== 'undefined' && activeSnapshotComparison && activeSnapshotComparison.id === snapshotId) {
+        endSnapshotComparison();
+    }
+}
+
+
+/**
+ * Restores a snapshot: backlog and settings are replaced via <code>applyImportedData</code> (after confirmation).
+ * As the restore is saved like any other change, it can be reverted with Undo.
+ *
+ * @param {string} snapshotId - The ID of the snapshot.
+ */
+function restoreSnapshot(snapshotId) {
+    var snapshot = loadSnapshots().find(function(item) { return item.id === snapshotId; });
+    if (!snapshot) return;
+
+    var s = config.uiStrings || {};
+    applyImportedData(JSON.parse(JSON.stringify(snapshot.data)), null, {
+        confirm: (s.snapshotConfirmRestore || 'Replace the current backlog and settings with the snapshot "{name}"?').replace('{name}', snapshot.name),
+        success: (s.snapshotRestoreSuccess || 'Snapshot "{name}" restored.').replace('{name}', snapshot.name)
+    });
+}
+
+
+/**
+ * Compares the current backlog with the items of a snapshot.
+ * <br><b>Matching:</b> Items are matched by their ID.
+ * <br><b>Compared Values:</b>
+ * <ul>
+ * <li><b>Job Size</b> and <b>CoD:</b> Only complete values count; incomplete ones are compared as <code>null</code>.</li>
+ * <li><b>WSJF Rank:</b> Computed separately for both states with <code>calculateWsjfRanks</code>, so an item can move in rank without changing itself.</li>
+ * <li><b>T-Shirt Size</b></li>
+ * </ul>
+ *
+ * @param {Array<Object>} currentPbis - The current backlog (the spacer is ignored).
+ * @param {Array<Object>} snapshotItems - The backlog items of the snapshot.
+ * @returns {{changes: Object, added: Array, removed: Array<Object>}} <code>changes</code> maps an item ID to
+ * <code>{ field: { from, to } }</code> for every changed value; <code>added</code> lists the IDs of new items;
+ * <code>removed</code> lists the snapshot items that no longer exist.
+ */
+function compareWithSnapshot(currentPbis, snapshotItems) {
+    var current = (currentPbis || []).filter(function(pbi) { return pbi && !pbi.isLastItem; });
+    var previous = (snapshotItems || []).filter(function(pbi) { return pbi && !pbi.isLastItem; });
+
+    var jobSizeOf = function(pbi) {
+        return (pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0 && pbi.jobSize > 0) ? pbi.jobSize : null;
+    };
+    var codOf = function(pbi) {
+        return (pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0 && pbi.cod > 0) ? pbi.cod : null;
+    };
+    // Only fully rated items take part in the ranking, like in the WSJF column.
+    var isRated = function(pbi) { return jobSizeOf(pbi) !== null && codOf(pbi) !== null; };
+
+    var currentRanks = calculateWsjfRanks(current.filter(isRated));
+    var previousRanks = calculateWsjfRanks(previous.filter(isRated));
+
+    var previousById = {};
+    previous.forEach(function(pbi) { previousById[pbi.id] = pbi; });
+
+    var result = { changes: {}, added: [], removed: [] };
+
+    current.forEach(function(pbi) {
+        var old = previousById[pbi.id];
+        if (!old) {
+            result.added.push(pbi.id);
+            return;
+        }
+
+        var values = {
+            jobSize: [jobSizeOf(old), jobSizeOf(pbi)],
+            cod: [codOf(old), codOf(pbi)],
+            wsjfRank: [previousRanks[old.id] || null, currentRanks[pbi.id] || null],
+            tshirtSize: [old.tshirtSize || null, pbi.tshirtSize || null]
+        };
+
+        var itemChanges = {};
+        Object.keys(values).forEach(function(field) {
+            if (values[field][0] !== values[field][1]) {
+                itemChanges[field] = { from: values[field][0], to: values[field][1] };
+            }
+        });
+        if (Object.keys(itemChanges).length > 0) result.changes[pbi.id] = itemChanges;
+    });
+
+    var currentIds = {};
+    current.forEach(function(pbi) { currentIds[pbi.id] = true; });
+    result.removed = previous.filter(function(pbi) { return !currentIds[pbi.id]; });
+
+    return result;
+}
+
+
+/**
+ * Starts the comparison view: the Relative Sizing table shows the deltas against the snapshot until the comparison is ended.
+ * The snapshot items are kept in <code>activeSnapshotComparison</code>, so the deltas follow further edits live.
+ *
+ * @param {string} snapshotId - The ID of the snapshot.
+ */
+function startSnapshotComparison(snapshotId) {
+    var snapshot = loadSnapshots().find(function(item) { return item.id === snapshotId; });
+    if (!snapshot) return;
+
+    activeSnapshotComparison = {
+        id: snapshot.id,
+        name: snapshot.name,
+        timestamp: snapshot.timestamp,
+        backlogItems: (snapshot.data && snapshot.data.backlogItems) || []
+    };
+
+    var relativeSizingTab = document.getElementById('view-tab-relative-sizing');
+    if (relativeSizingTab && !relativeSizingTab.classList.contains('active')) {
+        relativeSizingTab.click();
+    } else if (typeof renderAll === 'function') {
+        renderAll();
+    }
+}
+
+
+/**
+ * Ends the comparison view and removes all deltas from the Relative Sizing table.
+ */
+function endSnapshotComparison() {
+    activeSnapshotComparison = null;
+    if (typeof renderAll === 'function') renderAll();
+}
+
+
+/**
+ * Asynchronously bundles the current application state and triggers a file download (JSON).
+ * <br><b>Data Scope:</b>
+ * The export includes both the <b>Backlog Items</b> and the <b>Global Configuration</b> (Settings, Colors, View Preferences).
+ * This allows a complete state restoration when importing the file later.
+ *
+ * <h3>Data Preparation Logic:</h3>
+ * The settings and Backlog Items are taken from <code>buildSaveState</code>, so the export and the autosave always contain the same data.
+ * Only the export-specific fields of the items are adjusted:
+ * <ul>
+ * <li><b>Sort Order Persistence:</b> `customSortIndex` is kept only for items in the current Drag-and-Drop order (`lockedPbiOrder`).</li>
+ * <li><b>Color Merging:</b> `wsjfRankColor` is kept only for items with an entry in the `pbiIdToCustomColor` lookup table.</li>
+ * </ul>
+ *
+ * <h3>Save Strategy (Progressive Enhancement):</h3>
+ * This function utilizes the modern <b>File System Access API</b> (`showSaveFilePicker`) if supported by the browser.
+ * <ul>
+ * <li><b>Modern Browsers:</b> Opens a native "Save As" dialog, allowing the user to choose the directory and filename directly.</li>
+ * <li><b>Legacy / Fallback:</b> If the API is unsupported (or if the user cancels/fails the modern dialog), it falls back to the traditional method: 
+ * creating a temporary `<a>` tag with a `blob:` URL and triggering a click to download to the default "Downloads" folder.</li>
+ * </ul>
+ *
+ * <h3>Filename Logic:</h3>
+ * <ul>
+ * <li>If the current session was loaded from a file, it suggests the original filename (overwriting workflow).</li>
+ * <li>Otherwise, it generates a timestamped filename (e.g., `2023-10-27_14-30 - Backlog & Settings.json`).</li>
+ * </ul>
+ *
+ * <h3>Encryption (Optional):</h3>
+ * If a passphrase is given, the file content is encrypted in the browser with <code>encryptSaveFile</code> (AES-GCM, key derived with PBKDF2)
+ * and only the encrypted envelope is written. <code>handleImport</code> recognizes such files and asks for the passphrase.
+ * Without WebCrypto support, the export is aborted with a message instead of silently writing a plain file.
+ *
+ * @param {string} [passphrase] - Encrypts the file if set. Other values (e.g. the click event of a listener) export a plain file.
+ */
+async function exportPbisAsJson(passphrase) {
+    var state = buildSaveState();
+
+    // buildSaveState copies the items as they are; stale values from an earlier import must not end up in the file.
+    state.backlogItems.forEach(function(exportPbi) {
+        if (typeof pbiIdToCustomColor === 'undefined' || !pbiIdToCustomColor[exportPbi.id]) {
+            delete exportPbi.wsjfRankColor;
+        }
+        if (lockedPbiOrder.indexOf(exportPbi.id) === -1) {
+            delete exportPbi.customSortIndex;
+        }
+    });
+
+    var exportData = {
+        schemaVersion: state.schemaVersion,
+        settings: state.settings,
+        backlogItems: state.backlogItems
+    };
+
+    var dataStr = JSON.stringify(exportData, null, 2);
+
+    if (typeof passphrase === 'string' && passphrase !== '') {
+        var s = config.uiStrings || {};
+        if (!isEncryptionAvailable()) {
+            alert(s.encryptionUnavailable || "Encryption is not available in this browser. Please open the application via HTTPS or as a local file.");
+            return;
+        }
+        try {
+            dataStr = JSON.stringify(await encryptSaveFile(dataStr, passphrase), null, 2);
+        } catch (e) {
+            console.error('Encryption failed:', e);
+            alert((s.encryptionError || "The file could not be encrypted.") + "\n" + e.message);
+            return;
+        }
+    }
+
+    var blob = new Blob([dataStr], { type: 'application/json' });
+
+    var fileName;
+    if (lastImportedFileName) {
+        fileName = lastImportedFileName.endsWith('.json') ? lastImportedFileName : lastImportedFileName + '.json';
+    } else {
+        var timestamp = new Date();
+        var pad = function(num) { return num.toString().padStart(2, '0'); };
+        fileName = timestamp.getFullYear() + '-' + pad(timestamp.getMonth() + 1) + '-' + pad(timestamp.getDate()) + '_' + (pad(timestamp.getHours()) + '-' + pad(timestamp.getMinutes())) + ' - Backlog & Settings.json';
+    }
+
+    var fallbackSave = function() {
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    if (window.showSaveFilePicker) {
+        try {
+            var handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: [{
+                    description: 'JSON Files',
+                    accept: { 'application/json': ['.json'] },
+                }],
+            });
+            var writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('showSaveFilePicker failed, falling back to traditional download.', err);
+                fallbackSave();
+            } else {
+                console.log('User cancelled the save file dialog.');
+            }
+        }
+    } else {
+        console.warn('File System Access API not supported, falling back to traditional download.');
+        fallbackSave();
+    }
+}
+
+
+/**
+ * The version of the save-file format written by <code>exportPbisAsJson</code> and <code>saveToLocalStorage</code>.
+ * <br><b>History:</b>
+ * <ul>
+ * <li><b>0:</b> A plain array of Backlog Items (no settings).</li>
+ * <li><b>1:</b> An object <code>{ settings, backlogItems }</code> without version field.</li>
+ * <li><b>2:</b> Like 1, plus <code>schemaVersion</code>. The reference flags are normalized (<code>referenceType</code> is the single source of truth).</li>
+ * <li><b>3:</b> The two value buckets <code>arithmeticValues</code> and <code>fibonacciValues</code> are replaced by the per-scale store <code>scaleValues</code>;
+ * the settings may contain <code>customScales</code>.</li>
+ * </ul>
+ * Raise this number together with a new entry in <code>SAVE_FILE_MIGRATIONS</code> whenever the format changes.
+ */
+var SAVE_FILE_SCHEMA_VERSION = 3;
+
+
+/**
+ * The chain of migration functions. <code>SAVE_FILE_MIGRATIONS[n]</code> converts a file of version <code>n</code> into version <code>n + 1</code>.
+ * <br><b>Contract:</b> Each step receives a deep copy and may modify it freely; it must not touch the global state.
+ */
+var SAVE_FILE_MIGRATIONS = [
+    // 0 -> 1: Wrap the legacy array. Settings stay empty, so the import falls back to the defaults (as it always did).
+    function(data) {
+        return { settings: null, backlogItems: data };
+    },
+    // 1 -> 2: Normalize the reference flags and stamp the version.
+    function(data) {
+        (data.backlogItems || []).forEach(function(pbi) {
+            if (!pbi || typeof pbi !== 'object') return;
+            if (pbi.isReference === true && !pbi.referenceType) {
+                pbi.referenceType = 'min';
+            }
+            if (pbi.referenceType !== 'min' && pbi.referenceType !== 'max') {
+                pbi.referenceType = null;
+            }
+            pbi.isReference = pbi.referenceType !== null;
+        });
+        data.schemaVersion = 2;
+        return data;
+    },
+    // 2 -> 3: Move the Metric/Fibonacci buckets into the per-scale value store.
+    function(data) {
+        (data.backlogItems || []).forEach(function(pbi) {
+            if (!pbi || typeof pbi !== 'object') return;
+            if (pbi.arithmeticValues || pbi.fibonacciValues) {
+                pbi.scaleValues = Object.assign({
+                    metric: pbi.arithmeticValues || {},
+                    safe: pbi.fibonacciValues || {}
+                }, pbi.scaleValues);
+            }
+            delete pbi.arithmeticValues;
+            delete pbi.fibonacciValues;
+        });
+        data.schemaVersion = 3;
+        return data;
+    }
+];
+
+
+/**
+ * Determines the schema version of raw save-file data.
+ * Files without <code>schemaVersion</code> are recognized by their shape (array = 0, settings/backlogItems object = 1).
+ *
+ * @param {*} data - The parsed JSON data.
+ * @returns {number} The detected version, or <code>-1</code> if the data is not a SizeRight save file.
+ */
+function getSaveFileSchemaVersion(data) {
+    if (Array.isArray(data)) return 0;
+    if (!data || typeof data !== 'object') return -1;
+    if (data.hasOwnProperty('schemaVersion')) {
+        return (typeof data.schemaVersion === 'number' && Math.floor(data.schemaVersion) === data.schemaVersion && data.schemaVersion >= 0) ? data.schemaVersion : -1;
+    }
+    if (data.hasOwnProperty('settings') && data.hasOwnProperty('backlogItems')) return 1;
+    return -1;
+}
+
+
+/**
+ * Brings save-file data of any known version up to <code>SAVE_FILE_SCHEMA_VERSION</code> by running the migration chain.
+ * The input is not modified.
+ *
+ * @param {*} data - The parsed JSON data.
+ * @returns {Object} The migrated data (<code>{ schemaVersion, settings, backlogItems }</code>).
+ * @throws {Error} With a localized message if the format is unknown or newer than this version of the app.
+ */
+function migrateSaveFile(data) {
+    var s = (config && config.uiStrings) || {};
+    var version = getSaveFileSchemaVersion(data);
+
+    if (version === -1) {
+        throw new Error(s.schemaErrorUnknownFormat || "The file is not a SizeRight backlog (neither a list of items nor settings and backlogItems were found).");
+    }
+    if (version > SAVE_FILE_SCHEMA_VERSION) {
+        throw new Error((s.schemaErrorTooNew || "The file was created with a newer version of SizeRight (file format {version}). Please update the app.")
+            .replace("{version}", version));
+    }
+
+    var migrated = JSON.parse(JSON.stringify(data));
+    for (var v = version; v < SAVE_FILE_SCHEMA_VERSION; v++) {
+        migrated = SAVE_FILE_MIGRATIONS[v](migrated);
+    }
+    return migrated;
+}
+
+
+/**
+ * Builds the JSON Schema of the current save-file format.
+ * <br><b>Scale Values:</b>
+ * The estimation fields are restricted to the values of the given scale (<code>enum</code>). The custom <code>format: "scale-value"</code>
+ * annotation only selects the error message ("must be a scale value"). If the scale is unknown, only the type is checked.
+ *
+ * @param {string} scale - The scale the Backlog Items were estimated with.
+ * @param {Array<Object>} [customScales] - The custom scales of the file (see <code>findScaleValues</code>).
+ * @returns {Object} The JSON Schema.
+ */
+function getSaveFileSchema(scale, customScales) {
+    var scaleValues = findScaleValues(scale, customScales);
+    var estimate = { type: 'number', format: 'scale-value' };
+    if (scaleValues) estimate.enum = scaleValues;
+    // Same range as normalizeComponentWeights, so a weight of 0 or above the cap is reported instead of being replaced silently
+    var weight = { type: 'number', exclusiveMinimum: 0, maximum: COMPONENT_WEIGHT_MAX };
+
+    return {
+        type: 'object',
+        required: ['schemaVersion', 'backlogItems'],
+        properties: {
+            schemaVersion: { type: 'integer', enum: [SAVE_FILE_SCHEMA_VERSION] },
+            settings: {
+                type: ['object', 'null'],
+                properties: {
+                    language: { type: 'string' },
+                    scale: { type: 'string' },
+                    tshirtSizes: { type: 'array', items: { type: 'string' } },
+                    colors: { type: 'object' },
+                    editorColors: { type: 'object' },
+                    sortCriteria: { type: 'string' },
+                    sortDirection: { type: 'string', enum: ['asc', 'desc'] },
+                    showReferenceMarkers: { type: 'boolean' },
+                    isResolutionWarningDismissed: { type: 'boolean' },
+                    undoHistoryDepth: { type: 'integer', minimum: 1 },
+                    prioritizationModel: { type: 'string', enum: Object.keys(PRIORITIZATION_MODELS) },
+                    capacity: {
+                        type: 'object',
+                        properties: {
+                            points: { type: 'number', minimum: 0 },
+                            period: { type: 'string', enum: Object.keys(CAPACITY_PERIODS) }
+                        }
+                    },
+                    quadrantThresholds: {
+                        type: 'object',
+                        properties: {
+                            jobSize: { type: 'number', minimum: 0 },
+                            cod: { type: 'number', minimum: 0 }
+                        }
+                    },
+                    tshirtMapping: {
+                        type: 'object',
+                        properties: {
+                            auto: { type: 'boolean' },
+                            thresholds: { type: 'object' }
+                        }
+                    },
+                    csvExport: {
+                        type: 'object',
+                        properties: {
+                            delimiter: { type: 'string', enum: [';', ',', '\t'] },
+                            decimalSeparator: { type: 'string', enum: [',', '.'] },
+                            quoting: { type: 'string', enum: ['minimal', 'text', 'all'] },
+                            lineEnding: { type: 'string', enum: ['crlf', 'lf'] },
+                            encoding: { type: 'string', enum: ['utf-8', 'windows-1252'] },
+                            bom: { type: 'boolean' },
+                            wsjfDecimals: { type: 'integer', minimum: 0, maximum: 4 }
+                        }
+                    },
+                    componentWeights: {
+                        type: 'object',
+                        properties: {
+                            complexity: weight,
+                            effort: weight,
+                            doubt: weight,
+                            cod_bv: weight,
+                            cod_tc: weight,
+                            cod_rroe: weight
+                        }
+                    },
+                    customScales: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'name', 'values'],
+                            properties: {
+                                id: { type: 'string', pattern: CUSTOM_SCALE_ID_PATTERN.source },
+                                name: { type: 'string' },
+                                values: { type: 'array', items: { type: 'integer', minimum: 0, maximum: CUSTOM_SCALE_MAX_VALUE } },
+                                labels: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            },
+            backlogItems: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'title'],
+                    properties: {
+                        id: { type: ['number', 'string'] },
+                        title: { type: 'string' },
+                        complexity: estimate,
+                        effort: estimate,
+                        doubt: estimate,
+                        cod_bv: estimate,
+                        cod_tc: estimate,
+                        cod_rroe: estimate,
+                        jobSize: { type: ['number', 'null'] },
+                        cod: { type: ['number', 'null'] },
+                        tshirtSize: { type: ['string', 'null'] },
+                        tshirtSizeOverride: { type: 'boolean' },
+                        notes: { type: 'string' },
+                        isReference: { type: 'boolean' },
+                        referenceType: { type: ['string', 'null'], enum: ['min', 'max', null] },
+                        customSortIndex: { type: 'integer', minimum: 0 },
+                        wsjfRankColor: { type: 'string' },
+                        scaleValues: { type: 'object' },
+                        priority: { type: 'object' },
+                        dependsOn: { type: 'array', items: { type: ['number', 'string'] } },
+                        urgency: {
+                            type: 'object',
+                            required: ['profile'],
+                            properties: {
+                                profile: { type: 'string', enum: ['standard', 'fixedDate', 'expedite', 'intangible'] },
+                                deadline: { type: ['number', 'null'], minimum: 0 }
+                            }
+                        },
+                        voting: {
+                            type: 'object',
+                            properties: {
+                                revealed: { type: 'boolean' },
+                                participants: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['name'],
+                                        properties: {
+                                            name: { type: 'string' },
+                                            values: { type: 'object' }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+
+/**
+ * A minimal JSON Schema validator covering the keywords used by <code>getSaveFileSchema</code>:
+ * <code>type</code>, <code>required</code>, <code>properties</code>, <code>items</code>, <code>enum</code>, <code>minimum</code>, <code>exclusiveMinimum</code>, <code>maximum</code> and <code>pattern</code>.
+ * <br><b>Why not a library?</b> The app is distributed as a single HTML file without external dependencies.
+ *
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The (sub-)schema.
+ * @param {Array<string|number>} [path] - The path of <code>value</code> within the document.
+ * @returns {Array<{path: Array, keyword: string, expected: *, schema: Object}>} All violations (empty if valid).
+ */
+function validateJsonSchema(value, schema, path) {
+    path = path || [];
+    var errors = [];
+
+    var typeOf = function(v) {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        if (typeof v === 'number' && Math.floor(v) === v) return 'integer';
+        return typeof v;
+    };
+    var matchesType = function(v, type) {
+        var actual = typeOf(v);
+        return actual === type || (type === 'number' && actual === 'integer');
+    };
+
+    if (schema.type) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(function(type) { return matchesType(value, type); })) {
+            errors.push({ path: path, keyword: 'type', expected: types, schema: schema });
+            return errors;
+        }
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        errors.push({ path: path, keyword: 'enum', expected: schema.enum, schema: schema });
+    }
+
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+        errors.push({ path: path, keyword: 'minimum', expected: schema.minimum, schema: schema });
+    }
+
+    if (typeof schema.exclusiveMinimum === 'number' && typeof value === 'number' && value <= schema.exclusiveMinimum) {
+        errors.push({ path: path, keyword: 'exclusiveMinimum', expected: schema.exclusiveMinimum, schema: schema });
+    }
+
+    if (typeof schema.maximum === 'number' && typeof value === 'number' && value > schema.maximum) {
+        errors.push({ path: path, keyword: 'maximum', expected: schema.maximum, schema: schema });
+    }
+
+    if (typeof schema.pattern === 'string' && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: path, keyword: 'pattern', expected: schema.pattern, schema: schema });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(function(key) {
+            if (!value.hasOwnProperty(key)) {
+                errors.push({ path: path.concat(key), keyword: 'required', expected: key, schema: schema });
+            }
+        });
+        Object.keys(schema.properties || {}).forEach(function(key) {
+            if (value.hasOwnProperty(key) && value[key] !== undefined) {
+                errors = errors.concat(validateJsonSchema(value[key], schema.properties[key], path.concat(key)));
+            }
+        });
+    }
+
+    if (typeOf(value) === 'array' && schema.items) {
+        value.forEach(function(item, index) {
+            errors = errors.concat(validateJsonSchema(item, schema.items, path.concat(index)));
+        });
+    }
+
+    return errors;
+}
+
+
+/**
+ * Validates migrated save-file data against the schema of the current version.
+ * The estimation values are checked against the scale stored in the file (or <code>fallbackScale</code> if the file has no settings),
+ * which may be one of the custom scales defined in the file.
+ *
+ * @param {Object} data - The migrated data (see <code>migrateSaveFile</code>).
+ * @param {string} [fallbackScale] - The scale to check against if the file does not name one.
+ * @returns {Array<Object>} The schema violations (see <code>validateJsonSchema</code>).
+ */
+function validateSaveFile(data, fallbackScale) {
+    var settings = (data && data.settings) || {};
+    return validateJsonSchema(data, getSaveFileSchema(settings.scale || fallbackScale, settings.customScales));
+}
+
+
+/**
+ * Translates schema violations into a localized, human-readable report, e.g. <i>"Item 4: cod_tc must be a scale value (1, 2, 3, 5, 8)"</i>.
+ * <br><b>Paths:</b> Positions within <code>backlogItems</code> are shown 1-based as "Item n", other paths are joined with dots.
+ * The report is capped at 10 lines.
+ *
+ * @param {Array<Object>} errors - The violations returned by <code>validateSaveFile</code>.
+ * @returns {string} One line per violation.
+ */
+function formatSchemaErrors(errors) {
+    var s = (config && config.uiStrings) || {};
+    var maxLines = 10;
+
+    var formatPath = function(path) {
+        var prefix = '';
+        var rest = path;
+        if (path[0] === 'backlogItems' && typeof path[1] === 'number') {
+            prefix = (s.schemaPathItem || "Item {index}").replace("{index}", path[1] + 1);
+            rest = path.slice(2);
+        }
+        var joined = rest.join('.');
+        if (prefix && joined) return prefix + ": " + joined;
+        return prefix || joined || (s.schemaPathRoot || "File");
+    };
+
+    var lines = errors.slice(0, maxLines).map(function(err) {
+        var target = formatPath(err.keyword === 'required' ? err.path.slice(0, -1) : err.path);
+        var template;
+        var expected = err.expected;
+
+        if (err.keyword === 'required') {
+            template = s.schemaErrorRequired || "{path}: \"{expected}\" is missing";
+        } else if (err.keyword === 'type') {
+            template = s.schemaErrorType || "{path} must be of type {expected}";
+            expected = err.expected.join(" | ");
+        } else if (err.keyword === 'enum' && err.schema.format === 'scale-value') {
+            template = s.schemaErrorScaleValue || "{path} must be a scale value ({expected})";
+            expected = err.expected.filter(function(v) { return v !== 0; }).join(", "); // 0 = "not set"
+        } else if (err.keyword === 'enum') {
+            template = s.schemaErrorEnum || "{path} must be one of: {expected}";
+            expected = err.expected.map(function(v) { return JSON.stringify(v); }).join(", ");
+        } else if (err.keyword === 'exclusiveMinimum') {
+            template = s.schemaErrorExclusiveMinimum || "{path} must be greater than {expected}";
+        } else if (err.keyword === 'maximum') {
+            template = s.schemaErrorMaximum || "{path} must be at most {expected}";
+        } else if (err.keyword === 'pattern') {
+            template = s.schemaErrorPattern || "{path} has an invalid format";
+        } else {
+            template = s.schemaErrorMinimum || "{path} must be at least {expected}";
+        }
+
+        return template.replace("{path}", target).replace("{expected}", expected);
+    });
+
+    if (errors.length > maxLines) {
+        lines.push((s.csvImportReportMore || "... and {count} more.").replace("{count}", errors.length - maxLines));
+    }
+    return lines.join("\n");
+}
+
+
+/**
+ * Migrates and validates save-file data in one step, as required before any import.
+ *
+ * @param {*} data - The parsed JSON data.
+ * @param {string} [fallbackScale] - The scale to check the values against if the file has no settings.
+ * @returns {Object} The migrated, valid data.
+ * @throws {Error} With a localized report if the data cannot be migrated or violates the schema.
+ */
+function prepareSaveFile(data, fallbackScale) {
+    var migrated = migrateSaveFile(data);
+    var errors = validateSaveFile(migrated, fallbackScale);
+    if (errors.length > 0) {
+        throw new Error(formatSchemaErrors(errors));
+    }
+    return migrated;
+}
+
+
+/**
+ * Core logic for ingesting external JSON data into the application state.
+ * <br><b>Format Support (Backward Compatibility):</b>
+ * This function intelligently handles two file structures:
+ * <ul>
+ * <li><b>Modern Format (State Object):</b> An object containing <code>{ settings: {...}, backlogItems: [...] }</code>. This restores the full environment including language, colors, and sort preferences.</li>
+ * <li><b>Legacy Format (Array):</b> A simple array of PBI objects. In this case, the Backlog is populated, but all Settings (Colors, Scale) are reset to application defaults to ensure a clean state.</li>
+ * </ul>
+ * The format is not guessed here: <code>prepareSaveFile</code> migrates every known version to the current schema and validates it.
+ * Invalid files are rejected with a localized report naming the exact item and field.
+ *
+ * <h3>Restoration Logic:</h3>
+ * <ul>
+ * <li><b>Custom Sort Reconstruction:</b> The function reads the <code>customSortIndex</code> from each imported item to rebuild the global <code>lockedPbiOrder</code> array. This ensures that a list manually sorted via Drag-and-Drop looks exactly the same after import.</li>
+ * <li><b>Visual State:</b> Restores custom colors (WSJF Ranks) and Reference Markers.</li>
+ * <li><b>Global Reset:</b> Before applying, it clears specific global state variables (`pbiIdToCustomColor`, `lockedPbiOrder`) to prevent mixing old and new data traces.</li>
+ * </ul>
+ *
+ * <br><b>User Interaction:</b>
+ * If the current session already contains data (non-spacer items), it triggers a browser <code>confirm()</code> dialog to prevent accidental data loss.
+ * Upon success, it updates <code>lastImportedFileName</code>, triggers a full re-render, and forces a save to LocalStorage.
+ *
+ * @param {object|Array} data - The parsed JSON data from the file.
+ * @param {string} [fileName] - The name of the file (used for tracking and defaulting future exports).
+ * @param {Object} [messages] - Replaces the default texts, e.g. when a snapshot is restored.
+ * @param {string} [messages.confirm] - The confirmation question (default: <code>confirmImport</code>).
+ * @param {string} [messages.success] - The success message (default: <code>importSuccess</code>).
+ */
+function applyImportedData(data, fileName, messages) {
+    messages = messages || {};
+
+    try {
+        if (getSaveFileSchemaVersion(data) === 0) {
+            console.warn("Importing old format (array of PBIs). Settings will be reset to defaults.");
+        }
+
+        var defaultScale = (config && config.defaultSettings) ? config.defaultSettings.scale : currentScale;
+        var saveFile = prepareSaveFile(data, defaultScale);
+        var importedSettings = saveFile.settings;
+        var importedPbis = saveFile.backlogItems;
+
+        var applyImport = function() {
+            if (typeof pbiIdToCustomColor !== 'undefined') {
+                pbiIdToCustomColor = {};
+            }
+            if (typeof lockedPbiOrder !== 'undefined') {
+                lockedPbiOrder = [];
+            }
+            if (typeof initialCustomOrderSet !== 'undefined') {
+                initialCustomOrderSet = false;
+            }
+
+            var pbisWithSortIndex = [];
+            var pbisWithoutSortIndex = [];
+
+            importedPbis.forEach(function(pbi) {
+                if (!pbi) return;
+
+                if (pbi.isReference === true && !pbi.referenceType) {
+                    pbi.referenceType = 'min';
+                }
+
+                pbi.isReference = (pbi.referenceType === 'min' || pbi.referenceType === 'max');
+
+                if (pbi.wsjfRankColor && typeof pbi.wsjfRankColor === 'string' && typeof pbiIdToCustomColor !== 'undefined') {
+                    pbiIdToCustomColor[pbi.id] = pbi.wsjfRankColor;
+                }
+
+                if (typeof pbi.customSortIndex === 'number' && pbi.customSortIndex >= 0) {
+                    pbisWithSortIndex.push(pbi);
+                    initialCustomOrderSet = true;
+                } else {
+                    pbisWithoutSortIndex.push(pbi);
+                }
+            });
+
+            if (initialCustomOrderSet && typeof lockedPbiOrder !== 'undefined') {
+                pbisWithSortIndex.sort(function(a, b) {
+                    return a.customSortIndex - b.customSortIndex;
+                });
+                lockedPbiOrder = pbisWithSortIndex.map(function(pbi) { return pbi.id; });
+                pbisWithoutSortIndex.forEach(function(pbi) {
+                    lockedPbiOrder.push(pbi.id);
+                });
+            }
+
+            if (importedSettings) {
+                applyCustomScales(importedSettings.customScales);
+                applyComponentWeights(importedSettings.componentWeights);
+                applyPrioritizationModel(importedSettings.prioritizationModel);
+                applyCapacity(importedSettings.capacity);
+                applyQuadrantThresholds(importedSettings.quadrantThresholds);
+                applyTshirtMapping(importedSettings.tshirtMapping);
+                applyCsvExportOptions(importedSettings.csvExport);
+                applyUndoHistoryDepth(importedSettings.undoHistoryDepth);
+                currentLanguage = resolveLanguage(importedSettings.language);
+                currentScale = importedSettings.scale || config.defaultSettings.scale;
+                if (SCALES && !SCALES[currentScale]) currentScale = config.defaultSettings.scale;
+                config.tshirtSizes = Array.isArray(importedSettings.tshirtSizes) && importedSettings.tshirtSizes.length > 0
+                                     ? importedSettings.tshirtSizes
+                                     : config.defaultSettings.tshirtSizes;
+                
+                if (typeof window !== 'undefined') {
+                    if (typeof importedSettings.showReferenceMarkers === 'boolean') {
+                        window.showReferenceMarkers = importedSettings.showReferenceMarkers;
+                    } else {
+                        window.showReferenceMarkers = true;
+                    }
+                }
+
+                if (typeof importedSettings.isResolutionWarningDismissed === 'boolean') {
+                    window.isResolutionWarningDismissed = importedSettings.isResolutionWarningDismissed;
+                }
+
+                if (importedSettings.colors) {
+                    config.colors = importedSettings.colors;
+                } else if (config.defaultColors) {
+                    config.colors = JSON.parse(JSON.stringify(config.defaultColors));
+                }
+                
+                if (importedSettings.editorColors) {
+                    config.editorColors = importedSettings.editorColors;
+                } else if (config.defaultEditorColors) {
+                    config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
+                }
+
+                if (config.languages && config.languages[currentLanguage]) {
+                    config.uiStrings = config.languages[currentLanguage];
+                }
+
+                currentSortCriteria = importedSettings.sortCriteria || 'creationOrder';
+                currentSortDirection = importedSettings.sortDirection || 'asc';
+                isFilterLocked = (currentSortCriteria === 'lock');
+
+                preLockSortCriteria = importedSettings.preLockSortCriteria || (isFilterLocked ? 'creationOrder' : currentSortCriteria);
+                preLockSortDirection = importedSettings.preLockSortDirection || (isFilterLocked ? 'asc' : currentSortDirection);
+
+                if (currentSortCriteria !== 'custom' && currentSortCriteria !== 'lock') {
+                   lockedPbiOrder = [];
+                   initialCustomOrderSet = false;
+                }
+
+                if (typeof applyColorSettings === 'function') {
+                    applyColorSettings(config.colors);
+                }
+                if (typeof applyUiStrings === 'function') {
+                    applyUiStrings();
+                }
+            } else {
+                currentLanguage = config.defaultSettings.language;
+                currentScale = config.defaultSettings.scale;
+                config.tshirtSizes = config.defaultSettings.tshirtSizes;
+                applyComponentWeights(config.defaultSettings.componentWeights);
+                applyPrioritizationModel(config.defaultSettings.prioritizationModel);
+                applyCapacity(config.defaultSettings.capacity);
+                applyQuadrantThresholds(config.defaultSettings.quadrantThresholds);
+                applyTshirtMapping(config.defaultSettings.tshirtMapping);
+                applyCsvExportOptions(config.defaultSettings.csvExport);
+                applyUndoHistoryDepth(config.defaultSettings.undoHistoryDepth);
+                
+                if (typeof window !== 'undefined') {
+                    window.showReferenceMarkers = config.defaultSettings.showReferenceMarkers !== undefined ? config.defaultSettings.showReferenceMarkers : true;
+                }
+                
+                if (config.defaultColors) {
+                    config.colors = JSON.parse(JSON.stringify(config.defaultColors));
+                }
+                if (config.defaultEditorColors) {
+                    config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
+                }
+
+                if (config.languages && config.languages[currentLanguage]) {
+                    config.uiStrings = config.languages[currentLanguage];
+                }
+
+                currentSortCriteria = 'creationOrder';
+                currentSortDirection = 'asc';
+                isFilterLocked = false;
+                lockedPbiOrder = []; 
+                preLockSortCriteria = 'creationOrder';
+                preLockSortDirection = 'asc';
+                initialCustomOrderSet = false; 
+                window.isResolutionWarningDismissed = false;
+
+                if (typeof applyColorSettings === 'function') {
+                    applyColorSettings(config.colors);
+                }
+                if (typeof applyUiStrings === 'function') {
+                    applyUiStrings();
+                }
+            }
+
+            pbis = importedPbis;
+
+            if (typeof syncSliderMax === 'function') syncSliderMax();
+            if (typeof generateSliderScales === 'function') generateSliderScales();
+            if (typeof renderAll === 'function') renderAll(); 
+            if (typeof updateFilterLockButtonState === 'function') updateFilterLockButtonState();
+            if (typeof updateRefMarkerButtonState === 'function') updateRefMarkerButtonState();
+            
+           var splitRootElement = document.getElementById('split-root');
+            if (splitRootElement) {
+                splitRootElement.classList.toggle('filter-locked', isFilterLocked);
+            }
+            
+            if (typeof checkScreenResolution === 'function') {
+                checkScreenResolution();
+            }
+
+            if (typeof saveToLocalStorage === 'function') saveToLocalStorage();
+        };
+
+        if (typeof pbis !== 'undefined' && pbis.length > 0 && !pbis.every(function(p) { return p.isLastItem; })) {
+            if (confirm(messages.confirm || config.uiStrings.confirmImport)) {
+                lastImportedFileName = fileName || null;
+                applyImport();
+                alert(messages.success || config.uiStrings.importSuccess);
+            } else {
+                 if (fileName) {
+                    lastImportedFileName = null; 
+                 }
+            }
+        } else {
+            lastImportedFileName = fileName || null;
+            applyImport();
+            alert(messages.success || config.uiStrings.importSuccess);
+        }
+
+    } catch (error) {
+        console.error("Import failed:", error);
+        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + error.message);
+        lastImportedFileName = null;
+    }
+}
+
+
+/**
+ * Returns the PBI fields that are compared and merged by the merge import.
+ * These are the editable fields of a Backlog Item; derived values (Job Size, CoD, WSJF) are recalculated after the merge.
+ *
+ * @param {Object} uiStrings - The localized strings used for the field labels.
+ * @returns {Array<{field: string, label: string}>} The mergeable fields in display order.
+ */
+function getMergeFieldDefinitions(uiStrings) {
+    return getCsvColumnDefinitions(uiStrings).filter(function(column) {
+        return !column.derived && column.field !== 'reference';
+    });
+}
+
+
+/**
+ * Compares an incoming backlog with the current one and prepares a merge plan, without changing any state.
+ * <br><b>Matching:</b>
+ * <ol>
+ * <li><b>By ID:</b> Items exported from the same session keep their timestamp IDs, so an equal <code>id</code> identifies the same item.</li>
+ * <li><b>By Title (Fallback):</b> Remaining items are paired by their trimmed, case-insensitive title (e.g. an item that was re-created by another team).</li>
+ * </ol>
+ * <br><b>Result Categories:</b>
+ * <ul>
+ * <li><b>additions:</b> Incoming items without a counterpart. Their IDs are kept unless they are already taken.</li>
+ * <li><b>conflicts:</b> Matched pairs with at least one differing field (see <code>getMergeFieldDefinitions</code>).</li>
+ * <li><b>referenceConflicts:</b> Reference MIN / MAX slots that the incoming file assigns to a different item than the local backlog.
+ * Entries with <code>localId: null</code> fill an empty slot and need no decision.</li>
+ * </ul>
+ * <br><b>Scale Safety:</b>
+ * Incoming numeric values that are not on the active scale (e.g. the file was estimated with another scale) are snapped via <code>findNearestScaleValue</code>.
+ *
+ * @param {Array<Object>} localPbis - The current backlog (the spacer item is ignored).
+ * @param {Array<Object>} incomingPbis - The imported Backlog Items.
+ * @returns {{additions: Array<Object>, conflicts: Array<Object>, referenceConflicts: Array<Object>, unchangedCount: number}} The merge plan.
+ */
+function buildMergePlan(localPbis, incomingPbis) {
+    var fields = getMergeFieldDefinitions({}).map(function(column) { return column.field; });
+    var numericFields = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+    var scaleValues = (SCALES && SCALES[currentScale]) ? SCALES[currentScale].values : [];
+
+    var locals = localPbis.filter(function(p) { return p && !p.isLastItem; });
+    var localIds = {};
+    locals.forEach(function(p) { localIds[p.id] = true; });
+
+    var normalize = function(pbi) {
+        var item = JSON.parse(JSON.stringify(pbi));
+        if (item.isReference === true && !item.referenceType) item.referenceType = 'min';
+        numericFields.forEach(function(field) {
+            var value = Number(item[field]) || 0;
+            if (value > 0 && scaleValues.length > 0 && scaleValues.indexOf(value) === -1) {
+                value = findNearestScaleValue(value, scaleValues);
+            }
+            item[field] = value;
+        });
+        return item;
+    };
+
+    var incoming = incomingPbis.filter(function(p) { return p && !p.isLastItem; }).map(normalize);
+    var normalizeTitle = function(title) { return String(title || '').trim().toLowerCase(); };
+
+    var pairs = [];
+    var unmatchedLocals = locals.slice();
+    var unmatchedIncoming = [];
+
+    incoming.forEach(function(item) {
+        var index = unmatchedLocals.findIndex(function(p) { return p.id === item.id; });
+        if (index !== -1) {
+            pairs.push({ local: unmatchedLocals[index], incoming: item });
+            unmatchedLocals.splice(index, 1);
+        } else {
+            unmatchedIncoming.push(item);
+        }
+    });
+
+    var additions = [];
+    var nextId = Date.now();
+    unmatchedIncoming.forEach(function(item) {
+        var index = unmatchedLocals.findIndex(function(p) { return normalizeTitle(p.title) === normalizeTitle(item.title); });
+        if (index !== -1) {
+            pairs.push({ local: unmatchedLocals[index], incoming: item });
+            unmatchedLocals.splice(index, 1);
+            return;
+        }
+        if (item.id === undefined || item.id === null || localIds[item.id]) {
+            while (localIds[nextId]) nextId++;
+            item.id = nextId;
+        }
+        localIds[item.id] = true;
+        additions.push(item);
+    });
+
+    var conflicts = [];
+    var unchangedCount = 0;
+    pairs.forEach(function(pair) {
+        var differing = fields.filter(function(field) {
+            var localValue = pair.local[field] === undefined ? null : pair.local[field];
+            var incomingValue = pair.incoming[field] === undefined ? null : pair.incoming[field];
+            return localValue !== incomingValue;
+        });
+        if (differing.length > 0) {
+            conflicts.push({ localId: pair.local.id, incoming: pair.incoming, fields: differing });
+        } else {
+            unchangedCount++;
+        }
+    });
+
+    var referenceConflicts = [];
+    ['min', 'max'].forEach(function(type) {
+        var localHolder = locals.find(function(p) { return p.referenceType === type; });
+        var incomingPair = pairs.find(function(pair) { return pair.incoming.referenceType === type; });
+        var incomingAddition = additions.find(function(p) { return p.referenceType === type; });
+        var incomingId = incomingPair ? incomingPair.local.id : (incomingAddition ? incomingAddition.id : null);
+
+        if (incomingId !== null && (!localHolder || localHolder.id !== incomingId)) {
+            referenceConflicts.push({ type: type, localId: localHolder ? localHolder.id : null, incomingId: incomingId });
+        }
+    });
+
+    // References are assigned exclusively through referenceConflicts
+    additions.forEach(function(p) {
+        p.isReference = false;
+        p.referenceType = null;
+    });
+
+    return { additions: additions, conflicts: conflicts, referenceConflicts: referenceConflicts, unchangedCount: unchangedCount };
+}
+
+
+/**
+ * Applies a merge plan (see <code>buildMergePlan</code>) to the global <code>pbis</code> array.
+ * <br><b>Resolutions:</b>
+ * <ul>
+ * <li><code>resolutions.fields[localId][field]</code>: `'local'` or `'incoming'`. Unresolved fields keep the local value.</li>
+ * <li><code>resolutions.references[type]</code>: `'local'` or `'incoming'`. Unresolved slots keep the local reference; empty slots are filled.</li>
+ * </ul>
+ * <br><b>Side Effects:</b>
+ * <ul>
+ * <li>Job Size and CoD of updated and new items are recalculated with the current weights (the incoming totals were
+ * calculated with the weights of the other file), and the memory bucket of the active scale is kept in sync.
+ * The T-Shirt Size is cleared if the merged Job Size is incomplete.</li>
+ * <li>New items are appended to the custom order (<code>lockedPbiOrder</code>) if one exists, and their WSJF rank colors are taken over.</li>
+ * <li>Settings, the custom order of existing items and <code>lastImportedFileName</code> stay untouched.</li>
+ * </ul>
+ *
+ * @param {Object} plan - The merge plan.
+ * @param {Object} [resolutions] - The decisions of the facilitator.
+ * @returns {{added: number, updated: number}} Counts for the success message.
+ */
+function applyMergePlan(plan, resolutions) {
+    resolutions = resolutions || {};
+    var fieldResolutions = resolutions.fields || {};
+    var referenceResolutions = resolutions.references || {};
+    var numericFields = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+    var updated = 0;
+
+    var findPbi = function(id) {
+        return pbis.find(function(p) { return p.id === id; });
+    };
+
+    plan.conflicts.forEach(function(conflict) {
+        var pbi = findPbi(conflict.localId);
+        if (!pbi) return;
+        var choices = fieldResolutions[conflict.localId] || {};
+        var changed = false;
+
+        conflict.fields.forEach(function(field) {
+            if (choices[field] !== 'incoming') return;
+            pbi[field] = conflict.incoming[field];
+            if (numericFields.indexOf(field) !== -1) {
+                var storedValue = {};
+                storedValue[field] = pbi[field];
+                storeScaleValues(pbi, currentScale, storedValue);
+            }
+            changed = true;
+        });
+
+        if (changed) {
+            var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+            pbi.jobSize = calculateJobSize(pbi);
+            pbi.cod = calculateCod(pbi);
+            if (!isJobSizeComplete) pbi.tshirtSize = null;
+            updated++;
+        }
+    });
+
+    var spacerIndex = pbis.findIndex(function(p) { return p.isLastItem; });
+    plan.additions.forEach(function(item) {
+        var storedValues = {};
+        numericFields.forEach(function(field) {
+            storedValues[field] = item[field];
+        });
+        storeScaleValues(item, currentScale, storedValues);
+        recalculatePbiTotals(item);
+        if (item.jobSize === null) item.tshirtSize = null;
+        delete item.customSortIndex;
+
+        if (spacerIndex !== -1) {
+            pbis.splice(spacerIndex, 0, item);
+            spacerIndex++;
+        } else {
+            pbis.push(item);
+        }
+
+        if (item.wsjfRankColor && typeof pbiIdToCustomColor !== 'undefined') {
+            pbiIdToCustomColor[item.id] = item.wsjfRankColor;
+        }
+        if (typeof lockedPbiOrder !== 'undefined' && lockedPbiOrder.length > 0) {
+            lockedPbiOrder.push(item.id);
+        }
+    });
+
+    plan.referenceConflicts.forEach(function(conflict) {
+        var choice = referenceResolutions[conflict.type] || (conflict.localId === null ? 'incoming' : 'local');
+        if (choice !== 'incoming') return;
+
+        pbis.forEach(function(p) {
+            if (p.referenceType === conflict.type) {
+                p.referenceType = null;
+                p.isReference = false;
+            }
+        });
+        var target = findPbi(conflict.incomingId);
+        if (target) {
+            target.referenceType = conflict.type;
+            target.isReference = true;
+        }
+    });
+
+    return { added: plan.additions.length, updated: updated };
+}
+
+
+/**
+ * Entry point of the merge import: combines an imported backlog with the current one instead of replacing it.
+ * <br><b>Use Case:</b>
+ * Two teams pre-estimate the same backlog in separate sessions; the facilitator merges both files into one session.
+ * <br><b>Workflow:</b>
+ * <ol>
+ * <li><b>Format Detection:</b> Accepts every save-file version (see <code>prepareSaveFile</code>) and the items of a CSV file.
+ * The imported settings are ignored — the local session keeps its language, scale, colors and sort order.</li>
+ * <li><b>Planning:</b> <code>buildMergePlan</code> matches the items and collects the differences.</li>
+ * <li><b>Decision:</b> If fields or reference slots differ, the conflict dialog (<code>openMergeConflictModal</code>) is shown.
+ * Otherwise the plan is applied immediately.</li>
+ * </ol>
+ *
+ * @param {object|Array} data - The parsed JSON data (or the items of a CSV file).
+ */
+function mergeImportedData(data) {
+    try {
+        var importedPbis = prepareSaveFile(data, currentScale).backlogItems;
+        var plan = buildMergePlan(pbis, importedPbis);
+        var needsDecision = plan.conflicts.length > 0 || plan.referenceConflicts.some(function(c) { return c.localId !== null; });
+
+        if (needsDecision && typeof openMergeConflictModal === 'function') {
+            openMergeConflictModal(plan);
+        } else {
+            finishMergeImport(plan, {});
+        }
+    } catch (error) {
+        console.error("Merge import failed:", error);
+        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + error.message);
+    }
+}
+
+
+/**
+ * Applies a merge plan and refreshes the application afterwards (render, persistence, success message).
+ * Called directly by <code>mergeImportedData</code> or by the conflict dialog once the facilitator has decided.
+ *
+ * @param {Object} plan - The merge plan (see <code>buildMergePlan</code>).
+ * @param {Object} resolutions - The decisions of the facilitator (see <code>applyMergePlan</code>).
+ */
+function finishMergeImport(plan, resolutions) {
+    var result = applyMergePlan(plan, resolutions);
+
+    if (typeof renderAll === 'function') renderAll();
+    if (typeof updateRefMarkerButtonState === 'function') updateRefMarkerButtonState();
+    if (typeof saveToLocalStorage === 'function') saveToLocalStorage();
+
+    var s = (config && config.uiStrings) || {};
+    alert((s.mergeSuccess || "Merge complete: {added} items added, {updated} items updated.")
+        .replace("{added}", result.added)
+        .replace("{updated}", result.updated));
+}
+
+
+/**
+ * Event handler triggered when a user selects a file via the `<input type="file">` element.
+ * <br><b>Responsibilities:</b>
+ * Acts as the entry point for the file import workflow. It orchestrates reading the file from the disk
+ * and preparing the data for the core logic function (`applyImportedData`).
+ *
+ * <br><b>Technical Workflow:</b>
+ * 1. <b>File Access:</b> Retrieves the first file object from `event.target.files`.
+ * 2. <b>Asynchronous Reading:</b> Instantiates a `FileReader` to read the file content as text without blocking the UI thread.
+ * 3. <b>Parsing & Validation:</b> Inside the `onload` callback, it attempts to `JSON.parse` the content.
+ * - If parsing fails (SyntaxError), it alerts the user and aborts.
+ * 4. <b>Delegation:</b> If valid JSON is obtained, it calls `applyImportedData(data, filename)` to handle the state restoration.
+ * - Files with a `.csv` extension skip the JSON step and are handed to `importBacklogCsv` instead.
+ * - In <b>merge mode</b> the data is handed to `mergeImportedData`, which combines it with the current backlog instead of replacing it.
+ * - <b>Encrypted files</b> (see `encryptSaveFile`) open the passphrase dialog first; the decrypted content then takes the same path.
+ *
+ * <br><b>UX Pattern (Input Reset):</b>
+ * Immediately after initiating the read, it executes `event.target.value = ''`.
+ * <b>Why?</b> By clearing the input value, we allow the `change` event to fire again even if the user selects the <i>exact same file</i> immediately afterwards (e.g., if the first attempt failed or if they modified the file externally and want to reload it).
+ *
+ * @param {Event} event - The DOM `change` event triggered by the file input.
+ * @param {string} [mode] - `'merge'` to merge the file into the current backlog; replaces the backlog otherwise.
+ */
+function handleImport(event, mode) {
+    var file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    var isCsvFile = /\.csv$/i.test(file.name || "");
+
+    var reader = new FileReader();
+    reader.onload = function(e) {
+        if (isCsvFile) {
+            importBacklogCsv(e.target.result, file.name, mode);
+            return;
+        }
+
+        var data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+             console.error("Import failed (JSON parse):", error);
+             alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + error.message);
+             lastImportedFileName = null;
+             if (event.target) {
+                 event.target.value = '';
+             }
+             return;
+        }
+
+        if (isEncryptedSaveFile(data)) {
+            requestSaveFileDecryption(data, file.name, importData);
+            return;
+        }
+        importData(data);
+    };
+
+    var importData = function(data) {
+        if (mode === 'merge') {
+            mergeImportedData(data);
+        } else if (typeof applyImportedData === 'function') {
+            applyImportedData(data, file.name);
+        } else {
+            console.error('applyImportedData function is not defined.');
+            alert('A critical error occurred. Please reload the application.');
+        }
+    };
+
+    reader.onerror = function(e) {
+        console.error("File reading error:", e);
+        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + "File could not be read.");
+        lastImportedFileName = null;
+    };
+
+    reader.readAsText(file);
+
+    if (event.target) {
+         event.target.value = '';
+    }
+}
+
+
+/**
+ * Fetches and injects a predefined demo dataset based on the user's selected language.
+ * <br><b>Architecture (Remote Loading):</b>
+ * Instead of hardcoding demo data into the JavaScript (which would bloat the application size), this function fetches an external JSON file from the server.
+ * The path is resolved dynamically via `config.demoData[lang].path`.
+ * <br><b>Mechanism (Reuse):</b>
+ * Once the JSON is fetched, it treats the data exactly like a user-uploaded file. It passes the result to `applyImportedData`, 
+ * ensuring that all validation, sanitization, and setting-restoration logic is applied consistently, regardless of the source.
+ * <br><b>Network Strategy:</b>
+ * Uses <code>fetch(path, { cache: 'no-store' })</code> to bypass the browser cache. This is critical to ensure that if the demo file is updated on the server 
+ * (e.g., to fix a typo or update the data structure), the user immediately gets the new version without needing to clear their cache.
+ *
+ * @param {string} lang - The language code (e.g., 'en', 'de') to determine which demo file to load.
+ */
+function loadDemoData(lang) {
+    if (!config || !config.demoData || !config.demoData[lang] || !config.demoData[lang].path) { // <-- Änderung: Prüfung auf 'path' hinzugefügt
+        console.error('Demo data configuration not found for language: ' + lang);
+        alert('Could not find the demo data file path.');
+        return;
+    }
+
+    var path = config.demoData[lang].path;
+
+    fetch(path, { cache: 'no-store' })
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error('Network response was not ok: ' + response.statusText + ' (' + path + ')');
+            }
+            return response.json();
+        })
+        .then(function(data) {
+            if (typeof applyImportedData === 'function') {
+                applyImportedData(data, path);
+            } else {
+                console.error('applyImportedData function is not defined.');
+                alert('A critical error occurred. Please reload the application.');
+            }
+        })
+        .catch(function(error) {
+            console.error('Demo data fetch failed:', error);
+            alert(config.uiStrings.importError + "\n" + error.message);
+        });
+}
+
+
+/**
+ * Establishes a synchronized scrolling link between the main PBI List and the Relative Sizing List.
+ * <br><b>UX Goal:</b>
+ * When the user scrolls in the main list, the secondary list (used for relative comparison) automatically moves with it, 
+ * keeping the items visually aligned across both panels.
+ *
+ * <br><b>Technical Challenge (The Scroll Loop):</b>
+ * Naively setting <code>target.scrollTop = source.scrollTop</code> inside a scroll event listener triggers a <i>new</i> scroll event on the target.
+ * Since the target also listens for scroll events to sync back to the source, this creates an infinite loop (List A updates B -> B updates A -> A updates B...).
+ *
+ * <br><b>The Solution (Debounce/Lock):</b>
+ * Uses a boolean lock <code>isSyncing</code> combined with <code>requestAnimationFrame</code>.
+ * 1. When a scroll event fires, it checks if a sync is already in progress.
+ * 2. If not, it sets the lock to <code>true</code> and updates the target position.
+ * 3. The lock is released only in the next animation frame. This ensures that the "echo" event generated by the programmatic scroll is ignored.
+ */
+function initSyncScroll() {
+    const list1 = document.getElementById('pbi-list');
+    const list2 = document.getElementById('relative-sizing-list');
+    let isSyncing = false;
+
+    function syncScroll(source, target) {
+        if (!isSyncing) {
+            isSyncing = true;
+            target.scrollTop = source.scrollTop;
+            requestAnimationFrame(() => { isSyncing = false; });
+        }
+    }
+
+    list1.addEventListener('scroll', () => syncScroll(list1, list2));
+    list2.addEventListener('scroll', () => syncScroll(list2, list1));
+}
+
+
+/**
+ * Enforces visual alignment between the Left Pane (PBI List) and the Right Pane (Relative Sizing) 
+ * by synchronizing the height of corresponding items.
+ * <br><b>The Problem:</b>
+ * In a split-view layout, an item on the left might have a long title (wrapping to 3 lines), while the corresponding 
+ * visualization on the right is short. Without synchronization, the rows would drift apart, breaking the visual 1-to-1 relationship.
+ * * <br><b>Algorithm (Two-Pass Layout):</b>
+ * 1. <b>Reset:</b> Temporarily disables CSS transitions and removes any existing `min-height` constraints. This returns elements to their "natural" content height.
+ * 2. <b>Force Reflow:</b> Accesses `.offsetHeight` (using the `void` operator to ignore the result). This forces the browser to immediately flush pending style changes and recalculate the layout <i>before</i> we start measuring. Without this, `getBoundingClientRect` might return old, cached values.
+ * 3. <b>Measure & Expand:</b> Compares the natural height of the Left vs. Right item, finds the maximum, and applies it as the new `min-height` to both.
+ * 4. <b>Restore:</b> Re-enables CSS transitions in the next animation frame so that hover effects (like growing on mouseover) still work smoothly afterwards.
+ * * <br><b>Performance Note:</b>
+ * This function forces a synchronous layout (Reflow), which can be expensive. It is batched to minimize DOM thrashing 
+ * but should still be called sparingly (e.g., only on window resize, drag-split end, or content changes).
+ */
+function syncRowHeights() {
+    const pairs = [
+        { leftId: "ref-slot-left", rightId: "ref-slot-right" },
+        { leftId: "pbi-list", rightId: "relative-sizing-list" }
+    ];
+
+    pairs.forEach(function(pair) {
+        var leftContainer = document.getElementById(pair.leftId);
+        var rightContainer = document.getElementById(pair.rightId);
+
+        if (leftContainer && rightContainer) {
+            var leftItems = Array.from(leftContainer.children).filter(e => e.classList.contains("pbi-item"));
+            var rightItems = Array.from(rightContainer.children).filter(e => e.classList.contains("rs-item"));
+            
+            var rightMap = {};
+            rightItems.forEach(e => {
+                var id = e.getAttribute("data-id");
+                if (id) rightMap[id] = e;
+            });
+
+            var resetStyle = function(el) {
+                el.style.transition = "none"; 
+                el.style.minHeight = "";
+                el.style.height = "";
+            };
+
+            leftItems.forEach(resetStyle);
+            rightItems.forEach(resetStyle);
+
+            void leftContainer.offsetHeight;
+            void rightContainer.offsetHeight;
+
+            leftItems.forEach(function(leftItem) {
+                var id = leftItem.getAttribute("data-id");
+                var rightItem = rightMap[id];
+
+                if (rightItem) {
+                    var hLeft = leftItem.getBoundingClientRect().height;
+                    var hRight = rightItem.getBoundingClientRect().height;
+                    var maxHeight = Math.max(hLeft, hRight);
+
+                    leftItem.style.boxSizing = "border-box";
+                    rightItem.style.boxSizing = "border-box";
+                    
+                    leftItem.style.minHeight = maxHeight + "px";
+                    rightItem.style.minHeight = maxHeight + "px";
+                }
+            });
+        }
+    });
+
+    requestAnimationFrame(function() {
+        var allItems = document.querySelectorAll('.pbi-item, .rs-item');
+        allItems.forEach(function(el) {
+            el.style.transition = "";
+        });
+    });
+}
+
+
+/**
+ * Helper function to retrieve a specific Reference Item (Anchor) from the backlog list.
+ * <br><b>Concept (Relative Estimation):</b>
+ * In relative estimation (like Magic Estimation), it is crucial to have baseline items to compare against. 
+ * These items serve as fixed "Anchors" in the UI to help the team triangulate new estimates:
+ * <ul>
+ * <li><b>Min Reference:</b> Represents the smallest unit of work (e.g., a "1" or "XS").</li>
+ * <li><b>Max Reference:</b> Represents the largest known unit of work (e.g., a "100" or "XL").</li>
+ * </ul>
+ * <br><b>Polymorphic Behavior:</b>
+ * The function behaves differently based on the second argument:
+ * <ul>
+ * <li><b>With Type ('min'/'max'):</b> Returns the specific reference item matching that type (strict filter).</li>
+ * <li><b>Without Type:</b> Returns the <i>first</i> item marked as a reference found in the list (generic lookup).</li>
+ * </ul>
+ *
+ * @param {Array<Object>} list - The array of PBI objects to search.
+ * @param {string} [type] - Optional. The specific reference type to look for (usually 'min' or 'max').
+ * @returns {Object|null} The found PBI object, or <code>null</code> if no matching reference exists or the list is invalid.
+ */
+function getReferencePbi(list, type) {
+    if (!Array.isArray(list)) { return null; }
+    for (var i = 0; i < list.length; i++) {
+        var p = list[i];
+        if (p && p.isReference === true) {
+            if (type) {
+                if (p.referenceType === type) return p;
+            } else {
+                return p; 
+            }
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Convenience Wrapper: Retrieves the unique Identifier (ID) of a specific Reference Item from the list.
+ * <br><b>Abstraction Layer:</b>
+ * This function simplifies the access pattern. Instead of the caller having to:
+ * 1. Call `getReferencePbi`
+ * 2. Check if the result is not null
+ * 3. Access `.id`
+ * ...this function handles the existence check internally and directly returns the ID string or <code>null</code>.
+ * <br><b>Use Case:</b>
+ * Primarily used for DOM selections (e.g., finding the HTML element <code>[data-id="..."]</code> associated with the reference) 
+ * or for logical comparisons (e.g., "Is the item currently being edited the Min-Reference?").
+ *
+ * @param {Array<Object>} list - The backlog list to search.
+ * @param {string} [type] - The reference type ('min' or 'max').
+ * @returns {string|null} The ID of the reference item, or <code>null</code> if none exists.
+ */
+function getReferencePbiId(list, type) {
+    var ref = getReferencePbi(list, type);
+    return ref ? ref.id : null;
+}
+
+
+/**
+ * Determines whether the "Pin as Reference" feature is currently enabled based on the provided configuration.
+ * <br><b>Feature Flag Logic (Opt-Out Strategy):</b>
+ * This function implements a "True by Default" strategy to ensure the feature remains available unless explicitly disabled.
+ * <ul>
+ * <li><b>Explicit Disable:</b> The feature is only turned off if the config object <i>specifically</i> contains <code>pinReferenceEnabled: false</code>.</li>
+ * <li><b>Default Enable:</b> In all other cases (config is missing, null, not an object, or the property is undefined), the function returns <code>true</code>.</li>
+ * </ul>
+ * <br><b>Use Case:</b>
+ * Used by the UI rendering logic (specifically the Context Menu builder) to decide whether to render the "Pin as Min/Max Reference" options.
+ * This allows administrators to simplify the UI by hiding advanced features via configuration if needed.
+ *
+ * @param {object} cfg - The configuration object to check.
+ * @returns {boolean} <code>true</code> if the feature is allowed, <code>false</code> otherwise.
+ */
+function isPinReferenceEnabled(cfg) {
+    if (!cfg || typeof cfg !== 'object') { return true; }
+    if (typeof cfg.pinReferenceEnabled === 'boolean') { return cfg.pinReferenceEnabled; }
+    return true;
+}
+
+
+/**
+ * Computes the relative rank (1, 2, 3...) for all valid PBIs based on their calculated WSJF score.
+ * <br><b>Business Logic (Prioritization):</b>
+ * WSJF (Weighted Shortest Job First) dictates that items with the highest score deliver the most economic value per unit of time.
+ * Therefore, the list is sorted in <b>Descending Order</b>:
+ * <ul>
+ * <li><b>Rank #1:</b> The item with the highest WSJF score (Highest Priority).</li>
+ * <li><b>Rank #N:</b> The item with the lowest WSJF score.</li>
+ * </ul>
+ * <br><b>Filtering (Data Integrity):</b>
+ * Not all items in the backlog are ranked. An item is strictly <b>excluded</b> from ranking if:
+ * <ul>
+ * <li>It is the internal "Last Item" (Spacer).</li>
+ * <li>It has incomplete data (missing Cost of Delay or Job Size).</li>
+ * <li>It has a value of 0 for either metric (prevents Division by Zero and ignores unestimated items).</li>
+ * </ul>
+ * <br><b>Output Format:</b>
+ * Returns a Lookup Object (Hash Map) mapping <code>PBI ID -> Rank Number</code>.
+ * This structure allows the UI renderer to check <code>ranks[id]</code> in O(1) time without looping through arrays.
+ *
+ * @param {Array<Object>} pbiList - The raw list of all backlog items.
+ * @returns {Object} A map where keys are PBI IDs and values are their calculated rank (e.g., <code>{ "id_123": 1, "id_456": 2 }</code>).
+ */
+function calculateWsjfRanks(pbiList) {
+    if (!pbiList || pbiList.length === 0) {
+        return {};
+    }
+
+    var pbisWithWsjf = pbiList.filter(function(pbi) {
+        return pbi &&
+               !pbi.isLastItem &&
+               typeof pbi.cod === 'number' && pbi.cod > 0 &&
+               typeof pbi.jobSize === 'number' && pbi.jobSize > 0;
+    }).map(function(pbi) {
+        return {
+            id: pbi.id,
+            wsjf: pbi.cod / pbi.jobSize
+        };
+    });
+
+    pbisWithWsjf.sort(function(a, b) {
+        return b.wsjf - a.wsjf; 
+    });
+
+    var ranks = {};
+    pbisWithWsjf.forEach(function(pbi, index) {
+        ranks[pbi.id] = index + 1;
+    });
+
+    return ranks;
+}
+
+
+/**
+ * Utility: Generates one or more colors from the configured global pastel palette.
+ * <br><b>Modes of Operation:</b>
+ * The function behaves differently depending on the input parameters:
+ * <ol>
+ * <li><b>Fallback Mode:</b> If the global `config.pastelColorPalette` is missing or empty, it returns a safe default gray (`#e0e0e0`) to prevent UI crashes.</li>
+ * <li><b>Smart Single Mode (Anti-Collision):</b> If `count` is 1 and a `currentColor` is provided, it returns a random color from the palette excluding the current one.
+ * <i>Why?</i> This is used when the user clicks a "Change Color" button. It ensures the color actually changes and doesn't randomly pick the same one again.</li>
+ * <li><b>Sequential Mode:</b> If generating multiple colors or starting from a specific index, it uses modulo arithmetic (`%`) to loop through the fixed palette array. This ensures deterministic and evenly distributed colors for lists.</li>
+ * </ol>
+ *
+ * @param {number} count - The number of colors to generate.
+ * @param {string} [currentColor] - Optional. The current hex color to avoid (only used when count is 1).
+ * @param {number} [startIndex] - Optional. The index in the palette array to start from (useful for sequential coloring of list items).
+ * @returns {Array<string>} An array of hex color strings.
+ */
+function generatePastelColors(count, currentColor, startIndex) {
+    var palette = (config && config.pastelColorPalette) || [];
+    var result = [];
+    var fallbackColor = '#e0e0e0';
+
+    if (palette.length === 0) {
+        console.warn("Pastel color palette is empty or not found in config. Using fallback.");
+        for (var k = 0; k < count; k++) {
+            result.push(fallbackColor);
+        }
+        return result;
+    }
+
+    if (count === 1 && currentColor) {
+        var availableColors = [];
+        for (var i = 0; i < palette.length; i++) {
+            if (palette[i].toUpperCase() !== currentColor.toUpperCase()) {
+                availableColors.push(palette[i]);
+            }
+        }
+        if (availableColors.length > 0) {
+            var randomIndex = Math.floor(Math.random() * availableColors.length);
+            result.push(availableColors[randomIndex]);
+        }
+        else if (palette.length > 0) {
+             result.push(palette[0]);
+        } else {
+             result.push(fallbackColor);
+        }
+        return result;
+    }
+
+    var actualStartIndex = (typeof startIndex === 'number' && startIndex >= 0) ? startIndex : 0;
+    for (var j = 0; j < count; j++) {
+        var colorIndex = (actualStartIndex + j) % palette.length;
+        result.push(palette[colorIndex]);
+    }
+
+    return result;
+}
+
+
+/**
+ * Utility: Converts a CSS RGB color string into its Hexadecimal representation.
+ * <br><b>The Problem:</b>
+ * When reading styles from the DOM (e.g., via `getComputedStyle`), browsers typically return colors in the format <code>rgb(255, 0, 0)</code>, 
+ * even if the developer originally defined them as <code>#FF0000</code>. This makes strict string comparison difficult.
+ * <br><b>Logic:</b>
+ * 1. <b>Validation:</b> Checks if the input is a valid string.
+ * 2. <b>Pattern Matching:</b> Uses a Regex to extract the three numeric components (Red, Green, Blue) from the string.
+ * 3. <b>Conversion:</b> Converts each number to Base-16, pads it with a leading zero if necessary (e.g., 'A' -> '0A'), and concatenates them.
+ * <br><b>Idempotency:</b>
+ * If the input string is <i>already</i> a valid Hex code (e.g., "#ffffff"), the function detects this and simply returns it in uppercase format ("#FFFFFF"), acting as a pass-through normalizer.
+ *
+ * @param {string} rgbString - The color string to convert (e.g., "rgb(255, 99, 71)" or "#ff6347").
+ * @returns {string|null} The normalized Hex string (e.g., "#FF6347") or <code>null</code> if the input format was invalid.
+ */
+function rgbToHex(rgbString) {
+    if (!rgbString || typeof rgbString !== 'string') {
+        return null;
+    }
+    
+    var rgbMatch = rgbString.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i); 
+    
+    if (!rgbMatch) {
+        if (/^#[0-9A-F]{6}$/i.test(rgbString)) {
+            return rgbString.toUpperCase();
+        }
+        return null; 
+    }
+
+    function hex(x) {
+        return ("0" + parseInt(x, 10).toString(16)).slice(-2);
+    }
+
+    return ("#" + hex(rgbMatch[1]) + hex(rgbMatch[2]) + hex(rgbMatch[3])).toUpperCase();
+}
+
+
+/**
+ * Attaches an optimized event listener to the window's `resize` event to handle responsive layout adjustments.
+ * <br><b>Performance Pattern (Throttling/Debouncing):</b>
+ * Resize events fire extremely rapidly while the user drags the window edge. Executing heavy DOM calculations (`syncRowHeights`) 
+ * on every single event would cause "jank" (visual stuttering).
+ * <br><b>The Logic:</b>
+ * 1. <b>Cancellation:</b> If a frame is already requested but hasn't executed yet, it is cancelled (`cancelAnimationFrame`). This ensures we don't stack up pending updates.
+ * 2. <b>Scheduling:</b> The layout update logic is scheduled for the next available paint frame (`requestAnimationFrame`). 
+ * This effectively limits the update rate to the screen's refresh rate (usually 60fps), keeping the UI smooth.
+ * <br><b>Tasks executed on resize:</b>
+ * <ul>
+ * <li><b>Header Sync:</b> Re-calculates padding to account for scrollbar appearance/disappearance (`syncRelativeSizingHeaderPadding`).</li>
+ * <li><b>Row Alignment:</b> Enforces height equality between the PBI list and the Relative Sizing visualization (`syncRowHeights`).</li>
+ * <li><b>Grid Equalization:</b> Updates any grid layouts (if `_equalizeGridRows` exists).</li>
+ * <li><b>Resolution Check:</b> Re-evaluates if the screen is too small and toggles the warning banner (`checkScreenResolution`).</li>
+ * </ul>
+ * <br><b>Initialization:</b>
+ * Calls `checkScreenResolution()` immediately on invocation to handle the initial page load state.
+ */
+function initResizeHandler() {
+    let resizeRequestId;
+    window.addEventListener('resize', function() {
+        if (resizeRequestId) {
+            window.cancelAnimationFrame(resizeRequestId);
+        }
+
+        resizeRequestId = window.requestAnimationFrame(function() {
+            if (typeof syncRelativeSizingHeaderPadding === 'function') {
+                syncRelativeSizingHeaderPadding();
+            }
+            
+            syncRowHeights();
+            
+            if (window._equalizeGridRows) {
+                window._equalizeGridRows();
+            }
+
+            checkScreenResolution();
+        });
+    });
+
+    checkScreenResolution();
+}
+
+
+/**
+ * Checks the current browser viewport dimensions against the configured minimum requirements.
+ * <br><b>UX Pattern (Feature Gating):</b>
+ * Since this application uses a complex, multi-column "Split View" layout with extensive data visualization, 
+ * it requires a certain amount of screen real estate to function usable.
+ * <br><b>Logic:</b>
+ * 1. <b>Thresholds:</b> Retrieves minimum width/height from `config.resolutionSettings` (Default: 1468px x 658px).
+ * 2. <b>Validation:</b> Compares `window.innerWidth` and `window.innerHeight`.
+ * 3. <b>State Check:</b> Respects the user's choice. If `window.isResolutionWarningDismissed` is true (set via the "Ignore" button), the check is bypassed.
+ * <br><b>Visual Handling:</b>
+ * <ul>
+ * <li><b>Too Small:</b> Shows the `#resolution-warning` overlay (removes `hidden` class) and likely locks body scrolling (removes `scroll-active`).</li>
+ * <li><b>Adequate Size:</b> Hides the overlay and restores normal interaction.</li>
+ * </ul>
+ */
+function checkScreenResolution() {
+    var warningOverlay = document.getElementById('resolution-warning');
+    if (!warningOverlay) return;
+
+    var minWidth = (config && config.resolutionSettings && config.resolutionSettings.minWidth) || 1468;
+    var minHeight = (config && config.resolutionSettings && config.resolutionSettings.minHeight) || 658;
+
+    var width = window.innerWidth;
+    var height = window.innerHeight;
+
+    if ((width < minWidth || height < minHeight) && !window.isResolutionWarningDismissed) {
+        warningOverlay.classList.remove('hidden');
+        document.body.classList.remove('scroll-active'); 
+    } else {
+        warningOverlay.classList.add('hidden');
+        document.body.classList.add('scroll-active');
+    }
+}
+
+
+/**
+ * Hard resets the application by clearing all persisted local data and reloading the page.
+ * <br><b>Scope of Deletion:</b>
+ * Specifically targets and removes:
+ * <ul>
+ * <li><code>'sizeRight_autosave_v1'</code>: The user's main data (PBIs, Settings, Sort Order) of earlier versions.</li>
+ * <li><code>'sizeRight_workspaces_v1'</code> and all <code>'sizeRight_workspace_&lt;id&gt;'</code> keys: The workspaces and their data.</li>
+ * <li><code>'sizeRight_dismissedUpdateVersion'</code>: Any flags related to update notifications/changelogs.</li>
+ * <li>The IndexedDB stores of the saved states (see <code>clearStoredStates</code>).</li>
+ * </ul>
+ * <br><b>Mechanism:</b>
+ * After removing the keys from `localStorage` (and clearing IndexedDB), it forces a browser reload (`window.location.reload()`).
+ * This ensures the application re-initializes from a clean slate (using default config values) without any "ghost" state lingering in JavaScript variables.
+ * <br><b>Use Case:</b>
+ * Triggered by the "Factory Reset" button in the settings menu, typically used when the application state is corrupted or the user wants to start completely fresh.
+ */
+function clearLocalStorageAndReset() {
+    if (typeof window !== 'undefined' && window.localStorage) {
+        window.localStorage.removeItem('sizeRight_autosave_v1');
+        removeStoredRecord(getUndoHistoryStorageKey(LEGACY_AUTOSAVE_KEY));
+        removeStoredRecord(getSnapshotStorageKey(LEGACY_AUTOSAVE_KEY));
+        window.localStorage.removeItem('sizeRight_dismissedUpdateVersion');
+
+        var index = loadWorkspaceIndex();
+        if (index) {
+            index.workspaces.forEach(function(ws) {
+                removeStoredState(getWorkspaceStorageKey(ws.id));
+                removeStoredRecord(getUndoHistoryStorageKey(getWorkspaceStorageKey(ws.id)));
+                removeStoredRecord(getSnapshotStorageKey(getWorkspaceStorageKey(ws.id)));
+            });
+        }
+        window.localStorage.removeItem(WORKSPACE_INDEX_KEY);
+
+        if (isIndexedDbStorageActive()) {
+            clearStoredStates().then(function() { window.location.reload(); });
+        } else {
+            window.location.reload();
+        }
+    }
+}
+
+
+/**
+ * Utility: Converts an HTML string into Markdown format.
+ * <br><b>Purpose:</b>
+ * Used when switching between rich-text contexts (e.g., `contenteditable` divs) and plain-text storage or export formats.
+ * <br><b>Algorithm (Recursive Traversal):</b>
+ * 1. <b>Parsing:</b> Injects the HTML string into a temporary, disconnected DOM element (`temp`) to leverage the browser's native parser.
+ * 2. <b>Tree Walking:</b> The inner `traverse` function recursively visits every node.
+ * - <b>Text Nodes:</b> Returned as-is.
+ * - <b>Element Nodes:</b> Their children are processed first (`content`), and then the resulting string is wrapped in specific Markdown delimiters based on the tag type.
+ * <br><b>Whitespace Handling (The Regex Trick):</b>
+ * The function uses `content.match(/^(\s*)(.*?)(\s*)$/s)` before wrapping text in bold/italic markers.
+ * <b>Why?</b> Markdown parsers are strict. `** Text**` (space inside) is often rendered literally, whereas ` **Text** ` (space outside) renders correctly as bold.
+ * This logic extracts leading/trailing whitespace and places the Markdown delimiters <i>inside</i> the whitespace envelope.
+ * <br><b>Supported Tags:</b>
+ * <ul>
+ * <li>Formatting: `<b>`, `<strong>`, `<i>`, `<em>`, `<s>`, `<strike>`, `<del>`</li>
+ * <li>Structure: `<p>`, `<div>`, `<br>`, `<ul>`, `<ol>`, `<li>`</li>
+ * <li>Links: `<a>` (converts to `[text](href)`)</li>
+ * </ul>
+ *
+ * @param {string} html - The input HTML string.
+ * @returns {string} The converted Markdown string, with excessive newlines trimmed.
+ */
+function htmlToMarkdown(html) {
+    if (!html) return "";
+    
+    var temp = document.createElement("div");
+    temp.innerHTML = html;
+
+    function traverse(node) {
+        if (node.nodeType === 3) { 
+            return node.nodeValue;
+        }
+        if (node.nodeType !== 1) { 
+            return "";
+        }
+
+        var tagName = node.tagName.toLowerCase();
+        var content = "";
+        
+        for (var i = 0; i < node.childNodes.length; i++) {
+            content += traverse(node.childNodes[i]);
+        }
+
+        function wrap(wrapper) {
+            if (!content.trim()) return content;
+            var match = content.match(/^(\s*)(.*?)(\s*)$/s);
+            return match[1] + wrapper + match[2] + wrapper + match[3];
+        }
+
+        switch (tagName) {
+            case "b":
+            case "strong":
+                return wrap("**");
+            case "i":
+            case "em":
+                return wrap("_");
+            case "u": 
+                return content; 
+            case "s":
+            case "strike":
+            case "del":
+                return wrap("~~");
+            case "br":
+                return "\n";
+            case "div":
+                return content.trim() ? content.trim() + "\n" : "";
+            case "p":
+                return content.trim() ? content.trim() + "\n\n" : "";
+            case "li":
+                return "- " + content.trim() + "\n";
+            case "ul":
+            case "ol":
+                return "\n" + content.trim() + "\n";
+            case "a":
+                var href = node.getAttribute("href") || "";
+                return "[" + content.trim() + "](" + href + ")";
+            default:
+                return content;
+        }
+    }
+
+    var markdown = traverse(temp);
+
+    return markdown.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+
+/**
+ * Returns the ordered column layout shared by the CSV export and the CSV import.
+ * <br><b>Single Source of Truth:</b>
+ * Both <code>exportPbisAsCsv</code> and <code>parseBacklogCsv</code> derive their headers from this list, so a file written
+ * by the export can always be read back by the import, regardless of which language was active at the time.
+ * <br><b>Derived Columns:</b>
+ * Job Size, CoD and WSJF are marked as <code>derived</code>. They are written for spreadsheet users but ignored when importing,
+ * because the application recalculates them from their components.
+ *
+ * @param {Object} [uiStrings] - The localization object used for the header labels. Missing keys fall back to English.
+ * @returns {Array<{field: string, label: string, derived: boolean}>} The column definitions in file order.
+ */
+function getCsvColumnDefinitions(uiStrings) {
+    var s = uiStrings || {};
+    return [
+        { field: 'title',       label: s.modalPlaceholderTitle || "Title",        derived: false },
+        { field: 'complexity',  label: s.colComplexity || "Complexity",           derived: false },
+        { field: 'effort',      label: s.colEffort || "Effort",                   derived: false },
+        { field: 'doubt',       label: s.colDoubt || "Uncertainty",               derived: false },
+        { field: 'jobSize',     label: s.colJobSize || "Job Size",                derived: true },
+        { field: 'tshirtSize',  label: s.pbiInfoTshirtSize || "T-Shirt Size",     derived: false },
+        { field: 'cod_bv',      label: s.modalLabelCodBv || "BV",                 derived: false },
+        { field: 'cod_tc',      label: s.modalLabelCodTc || "TC",                 derived: false },
+        { field: 'cod_rroe',    label: s.modalLabelCodRroe || "RR/OE",            derived: false },
+        { field: 'cod',         label: s.pbiInfoCoD || "CoD",                     derived: true },
+        { field: 'wsjf',        label: s.colWsjf || "WSJF",                       derived: true },
+        { field: 'notes',       label: s.modalLabelNotes || "Notes",              derived: false },
+        { field: 'reference',   label: s.csvHeaderRef || "Reference Item",        derived: false }
+    ];
+}
+
+
+/**
+ * Builds the content of a CSV file containing the provided Backlog Items.
+ * <br><b>Format Options (see <code>normalizeCsvExportOptions</code>):</b>
+ * The defaults are tuned to open correctly in Microsoft Excel (especially in European locales). Other tools and locales can be served via the options:
+ * <ul>
+ * <li><b>Delimiter:</b> Semicolon (default), comma or tab. The semicolon is the standard delimiter for regions that use a comma as a decimal separator (e.g., Germany), preventing column shifting.</li>
+ * <li><b>Decimal Separator:</b> Comma (default) or point, used for Job Size, CoD and WSJF (and for decimal scale values).
+ * Job Size and CoD can have decimals if components are weighted (see <code>calculateJobSize</code>). Numbers never get thousands separators.</li>
+ * <li><b>WSJF Decimals:</b> The number of decimals of the WSJF score (default 2).</li>
+ * <li><b>Quoting:</b> See <code>CSV_EXPORT_CHOICES</code>. Fields containing the delimiter, quotes or line breaks are always wrapped in double quotes (`"..."`),
+ * internal quotes are escaped (`""`) to adhere to the CSV standard. This also protects numbers when comma is both delimiter and decimal separator.</li>
+ * <li><b>Line Endings:</b> Windows (CRLF, default) or Unix (LF).</li>
+ * <li><b>Encoding:</b> UTF-8 (default) or Windows-1252 for tools that do not read UTF-8 (see <code>encodeWindows1252</code>, applied by <code>exportPbisAsCsv</code>).</li>
+ * <li><b>BOM (\uFEFF):</b> Prepended by default for UTF-8. This forces Excel to recognize the file as UTF-8 (rendering Emojis and special characters correctly).
+ * Windows-1252 files never get a BOM.</li>
+ * </ul>
+ * <br><b>Data Transformation:</b>
+ * <ul>
+ * <li><b>Notes Cleaning:</b> Calls <code>htmlToMarkdown</code> to convert the rich-text notes into readable plain text/markdown, removing HTML tags that would clutter the spreadsheet.</li>
+ * </ul>
+ *
+ * @param {Array<Object>} pbisToList - The list of PBI objects to export.
+ * @param {Object} [options] - The CSV export options. Defaults to <code>getCsvExportOptions()</code>.
+ * @returns {string} The file content.
+ */
+function buildBacklogCsv(pbisToList, options) {
+    var s = config.uiStrings;
+    var opts = normalizeCsvExportOptions(options || getCsvExportOptions());
+    var sep = opts.delimiter;
+    var lineBreak = opts.lineEnding === 'lf' ? "\n" : "\r\n";
+
+    function escapeCsv(val, isText) {
+        if (val === null || val === undefined) val = "";
+        var stringVal = String(val);
+        var needsQuotes = stringVal.indexOf(sep) > -1 || stringVal.indexOf('"') > -1 || stringVal.indexOf('\n') > -1 || stringVal.indexOf('\r') > -1;
+        if (needsQuotes || opts.quoting === 'all' || (opts.quoting === 'text' && isText)) {
+            return '"' + stringVal.replace(/"/g, '""') + '"';
+        }
+        return stringVal;
+    }
+
+    function formatNumberCell(val) {
+        return escapeCsv(formatCsvNumber(val || 0, opts.decimalSeparator), false);
+    }
+
+    var headers = getCsvColumnDefinitions(s).map(function(column) { return escapeCsv(column.label, true); });
+
+    var csvContent = (opts.bom && opts.encoding === 'utf-8') ? "\uFEFF" : "";
+    csvContent += headers.join(sep) + lineBreak;
+
+    (pbisToList || []).forEach(function(pbi) {
+        if (!pbi || pbi.isLastItem) return;
+
+        var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+        var hasCod = pbi.cod && pbi.cod > 0;
+
+        var jobSize = isJobSizeComplete ? formatCsvNumber(pbi.jobSize, opts.decimalSeparator) : "";
+        var cod = hasCod ? formatCsvNumber(pbi.cod, opts.decimalSeparator) : "";
+
+        var wsjf = "";
+        if (isJobSizeComplete && hasCod) {
+            wsjf = formatCsvNumber(pbi.cod / pbi.jobSize, opts.decimalSeparator, opts.wsjfDecimals);
+        }
+
+        var refType = "";
+        if (pbi.isReference) {
+            refType = pbi.referenceType || "yes";
+        }
+
+        var notesMarkdown = htmlToMarkdown(pbi.notes);
+
+        var row = [
+            escapeCsv(pbi.title, true),
+            formatNumberCell(pbi.complexity),
+            formatNumberCell(pbi.effort),
+            formatNumberCell(pbi.doubt),
+            escapeCsv(jobSize, false),
+            escapeCsv(pbi.tshirtSize || "-", true),
+            formatNumberCell(pbi.cod_bv),
+            formatNumberCell(pbi.cod_tc),
+            formatNumberCell(pbi.cod_rroe),
+            escapeCsv(cod, false),
+            escapeCsv(wsjf, false),
+            escapeCsv(notesMarkdown, true),
+            escapeCsv(refType, true)
+        ];
+
+        csvContent += row.join(sep) + lineBreak;
+    });
+
+    return csvContent;
+}
+
+
+/**
+ * Generates and downloads a CSV file containing the provided Backlog Items.
+ * <br><b>Content:</b> Built by <code>buildBacklogCsv</code> with the given (or the active) CSV export options and
+ * written in the chosen encoding (Windows-1252 via <code>encodeWindows1252</code>).
+ * <br><b>Filename Logic:</b>
+ * Tries to preserve the name of the last imported file (swapping extension to .csv) to maintain project context. If no file was loaded, generates a timestamped default name.
+ *
+ * @param {Array<Object>} pbisToList - The list of PBI objects to export.
+ * @param {Object} [options] - The CSV export options. Defaults to <code>getCsvExportOptions()</code>.
+ */
+function exportPbisAsCsv(pbisToList, options) {
+    if (!pbisToList || pbisToList.length === 0) return;
+
+    var opts = normalizeCsvExportOptions(options || getCsvExportOptions());
+    var csvContent = buildBacklogCsv(pbisToList, opts);
+
+    var blob = opts.encoding === 'windows-1252'
+        ? new Blob([encodeWindows1252(csvContent)], { type: 'text/csv;charset=windows-1252;' })
+        : new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    
+    var fileName;
+    if (lastImportedFileName) {
+        var baseName = lastImportedFileName.replace(/\.[^/.]+$/, "");
+        fileName = baseName + ".csv";
+    } else {
+        var timestamp = new Date();
+        var pad = function(num) { return num.toString().padStart(2, '0'); };
+        fileName = timestamp.getFullYear() + '-' + pad(timestamp.getMonth() + 1) + '-' + pad(timestamp.getDate()) + '_' + (pad(timestamp.getHours()) + '-' + pad(timestamp.getMinutes())) + ' - Backlog.csv';
+    }
+
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+
+/**
+ * Splits CSV text into a two-dimensional array of raw string fields.
+ * <br><b>Parser Rules (RFC 4180 compatible):</b>
+ * <ul>
+ * <li><b>BOM:</b> A leading Byte Order Mark (written by <code>exportPbisAsCsv</code> for Excel) is stripped.</li>
+ * <li><b>Quoting:</b> Fields wrapped in double quotes may contain the separator, line breaks and escaped quotes (`""`).</li>
+ * <li><b>Line Endings:</b> Accepts <code>\r\n</code> as well as <code>\n</code>.</li>
+ * <li><b>Empty Lines:</b> Rows without any content are skipped.</li>
+ * </ul>
+ *
+ * @param {string} text - The raw file content.
+ * @param {string} [sep=";"] - The field separator.
+ * @returns {Array<Array<string>>} The parsed rows.
+ */
+function parseCsv(text, sep) {
+    sep = sep || ";";
+    var input = String(text || "").replace(/^\uFEFF/, "");
+    var rows = [];
+    var row = [];
+    var field = "";
+    var inQuotes = false;
+
+    var pushRow = function() {
+        row.push(field);
+        field = "";
+        var hasContent = row.some(function(value) { return value.trim() !== ""; });
+        if (hasContent) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (var i = 0; i < input.length; i++) {
+        var ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === sep) {
+            row.push(field);
+            field = "";
+        } else if (ch === '\r') {
+            if (input[i + 1] === '\n') i++;
+            pushRow();
+        } else if (ch === '\n') {
+            pushRow();
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        pushRow();
+    }
+
+    return rows;
+}
+
+
+/**
+ * Converts the Markdown subset produced by <code>htmlToMarkdown</code> back into editor HTML.
+ * <br><b>Purpose (Round-Trip):</b>
+ * Notes are written to CSV as readable Markdown. When such a file is imported again, the notes must be turned back
+ * into the HTML structure the <code>contenteditable</code> notes editor works with.
+ * <br><b>Supported Syntax:</b>
+ * <ul>
+ * <li>Formatting: `**bold**` → `&lt;b&gt;`, `_italic_` → `&lt;i&gt;`, `~~strike~~` → `&lt;s&gt;`</li>
+ * <li>Links: `[text](href)` → `&lt;a href&gt;`</li>
+ * <li>Lists: Consecutive lines starting with `- ` are grouped into one `&lt;ul&gt;`.</li>
+ * <li>Lines: Every other line becomes a `&lt;div&gt;`, empty lines become `&lt;div&gt;&lt;br&gt;&lt;/div&gt;` (the editor's own representation).</li>
+ * </ul>
+ * <br><b>Security:</b>
+ * The text is HTML-escaped before any tags are generated, so markup contained in a CSV cell is displayed literally instead of being executed.
+ *
+ * @param {string} markdown - The Markdown string from the CSV cell.
+ * @returns {string} The resulting HTML string (empty string for empty input).
+ */
+function markdownToHtml(markdown) {
+    if (!markdown || !String(markdown).trim()) return "";
+
+    var escapeHtml = function(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    };
+
+    var formatInline = function(text) {
+        return escapeHtml(text)
+            .replace(/\[([^\]]*)\]\(([^)\s]*)\)/g, function(match, label, href) {
+                if (/^\s*javascript:/i.test(href)) return label;
+                return '<a href="' + href + '">' + label + '</a>';
+            })
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, "<b>$1</b>")
+            .replace(/~~(\S(?:.*?\S)?)~~/g, "<s>$1</s>")
+            .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?=[^\w]|$)/g, "$1<i>$2</i>");
+    };
+
+    var lines = String(markdown).replace(/\r\n?/g, "\n").trim().split("\n");
+    var html = "";
+    var openList = false;
+
+    lines.forEach(function(line) {
+        var listMatch = line.match(/^\s*-\s+(.*)$/);
+        if (listMatch) {
+            if (!openList) {
+                html += "<ul>";
+                openList = true;
+            }
+            html += "<li>" + formatInline(listMatch[1]) + "</li>";
+            return;
+        }
+
+        if (openList) {
+            html += "</ul>";
+            openList = false;
+        }
+
+        html += line.trim() ? "<div>" + formatInline(line) + "</div>" : "<div><br></div>";
+    });
+
+    if (openList) {
+        html += "</ul>";
+    }
+
+    return html;
+}
+
+
+/**
+ * Rebuilds Backlog Items from a CSV file in the layout written by <code>exportPbisAsCsv</code>.
+ * <br><b>Header Recognition:</b>
+ * Columns are matched by their header text, not by position. The header labels of <i>every</i> configured language
+ * (plus the English fallbacks) are accepted, so a file exported with the German UI can be imported while the English UI is active.
+ * Only the title column is mandatory; missing value columns are treated as "not estimated".
+ * The delimiter is detected from the header line (<code>detectCsvDelimiter</code>), so files written with any of the CSV export options can be read back.
+ *
+ * <br><b>Value Handling:</b>
+ * <ul>
+ * <li><b>Numbers:</b> Decimal commas and points are accepted (`2,0` → `2`). Empty cells and `-` mean "not set" (0).</li>
+ * <li><b>Scale Validation:</b> Every estimation value must exist on the active scale (<code>SCALES[currentScale].values</code>).
+ * Invalid values are left empty (0) and reported in the returned <code>errors</code> list, one entry per cell.</li>
+ * <li><b>Derived Columns:</b> Job Size, CoD and WSJF are ignored and recalculated from their components.</li>
+ * <li><b>T-Shirt Size:</b> Only sizes from <code>config.allTshirtSizes</code> are taken over, and only if the Job Size is complete.</li>
+ * <li><b>Notes:</b> Converted from Markdown back to HTML via <code>markdownToHtml</code>.</li>
+ * <li><b>Reference:</b> `min` / `max` set the reference type; any other non-empty value (e.g. `yes`) marks a reference,
+ * which <code>applyImportedData</code> then treats as 'min'.</li>
+ * </ul>
+ *
+ * @param {string} csvText - The raw CSV file content.
+ * @returns {{backlogItems: Array<Object>, errors: Array<{row: number, column: string, value: string}>}}
+ * The reconstructed PBIs and the list of rejected values. <code>row</code> is the 1-based spreadsheet row (the header is row 1).
+ * @throws {Error} If the file is empty or no title column can be found.
+ */
+function parseBacklogCsv(csvText) {
+    var rows = parseCsv(csvText, detectCsvDelimiter(csvText));
+    if (rows.length === 0) {
+        throw new Error("The CSV file is empty.");
+    }
+
+    var normalize = function(label) {
+        return String(label || "").trim().toLowerCase();
+    };
+
+    var labelToField = {};
+    var registerLabels = function(uiStrings) {
+        getCsvColumnDefinitions(uiStrings).forEach(function(column) {
+            labelToField[normalize(column.label)] = column;
+        });
+    };
+    registerLabels({});
+    if (config && config.languages) {
+        Object.keys(config.languages).forEach(function(lang) {
+            registerLabels(config.languages[lang]);
+        });
+    }
+    if (config && config.uiStrings) {
+        registerLabels(config.uiStrings);
+    }
+
+    var columnIndex = {};
+    var columnLabel = {};
+    rows[0].forEach(function(header, index) {
+        var column = labelToField[normalize(header)];
+        if (column && !column.derived && columnIndex[column.field] === undefined) {
+            columnIndex[column.field] = index;
+            columnLabel[column.field] = String(header).trim();
+        }
+    });
+
+    if (columnIndex.title === undefined) {
+        throw new Error("No title column found in the CSV header.");
+    }
+
+    var scaleValues = (SCALES && SCALES[currentScale] && SCALES[currentScale].values) || [];
+    var valueFields = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+    var allSizes = (config && config.allTshirtSizes) || [];
+    var baseId = Date.now();
+    var backlogItems = [];
+    var errors = [];
+
+    var getCell = function(cells, field) {
+        var index = columnIndex[field];
+        if (index === undefined || cells[index] === undefined) return "";
+        return cells[index];
+    };
+
+    rows.slice(1).forEach(function(cells, rowOffset) {
+        var rowNumber = rowOffset + 2;
+        var title = getCell(cells, 'title').trim();
+        var values = {};
+
+        valueFields.forEach(function(field) {
+            var raw = getCell(cells, field).trim();
+            if (raw === "" || raw === "-") {
+                values[field] = 0;
+                return;
+            }
+
+            var num = Number(raw.replace(",", "."));
+            if (!isNaN(num) && scaleValues.indexOf(num) !== -1) {
+                values[field] = num;
+            } else {
+                values[field] = 0;
+                errors.push({ row: rowNumber, column: columnLabel[field], value: raw });
+            }
+        });
+
+        var isJobSizeComplete = values.complexity > 0 && values.effort > 0 && values.doubt > 0;
+        var rawSize = getCell(cells, 'tshirtSize').trim().toUpperCase();
+        var tshirtSize = (isJobSizeComplete && allSizes.indexOf(rawSize) !== -1) ? rawSize : null;
+
+        var rawRef = getCell(cells, 'reference').trim().toLowerCase();
+        var referenceType = (rawRef === 'min' || rawRef === 'max') ? rawRef : null;
+
+        var storedValues = {};
+        storedValues[currentScale] = Object.assign({}, values);
+
+        backlogItems.push({
+            id: baseId + rowOffset,
+            title: title,
+            complexity: values.complexity,
+            effort: values.effort,
+            doubt: values.doubt,
+            jobSize: calculateJobSize(values),
+            cod_bv: values.cod_bv,
+            cod_tc: values.cod_tc,
+            cod_rroe: values.cod_rroe,
+            cod: calculateCod(values),
+            tshirtSize: tshirtSize,
+            notes: markdownToHtml(getCell(cells, 'notes')),
+            isReference: rawRef !== "",
+            referenceType: referenceType,
+            creationDate: new Date().toISOString(),
+            scaleValues: storedValues
+        });
+    });
+
+    return { backlogItems: backlogItems, errors: errors };
+}
+
+
+/**
+ * Imports a CSV file (as written by <code>exportPbisAsCsv</code>) into the application.
+ * <br><b>Workflow:</b>
+ * <ol>
+ * <li><b>Parsing:</b> Delegates to <code>parseBacklogCsv</code> to rebuild the Backlog Items.</li>
+ * <li><b>Error Report:</b> If values were rejected because they are not on the active scale, an alert lists them row by row
+ * (capped to keep the dialog readable) before the import continues.</li>
+ * <li><b>Delegation:</b> Hands the items to <code>applyCsvBacklogItems</code>, which runs the regular import pipeline,
+ * or to <code>mergeImportedData</code> in merge mode.</li>
+ * </ol>
+ *
+ * @param {string} csvText - The raw CSV file content.
+ * @param {string} [fileName] - The name of the imported file.
+ * @param {string} [mode] - `'merge'` to merge the items into the current backlog.
+ */
+function importBacklogCsv(csvText, fileName, mode) {
+    var s = (config && config.uiStrings) || {};
+    var result;
+
+    try {
+        result = parseBacklogCsv(csvText);
+    } catch (error) {
+        console.error("Import failed (CSV parse):", error);
+        alert((s.importError || "Error") + "\n" + error.message);
+        lastImportedFileName = null;
+        return;
+    }
+
+    if (result.errors.length > 0) {
+        var maxReportLines = 20;
+        var scaleValues = (SCALES && SCALES[currentScale]) ? SCALES[currentScale].values : [];
+        var activeValues = scaleValues.filter(function(v) { return v !== 0; }).join(", ");
+
+        var reportLines = result.errors.slice(0, maxReportLines).map(function(err) {
+            return (s.csvImportReportRow || 'Row {row}: {column} = "{value}"')
+                .replace("{row}", err.row)
+                .replace("{column}", err.column)
+                .replace("{value}", err.value);
+        });
+        if (result.errors.length > maxReportLines) {
+            reportLines.push((s.csvImportReportMore || "... and {count} more.").replace("{count}", result.errors.length - maxReportLines));
+        }
+
+        alert((s.csvImportReportTitle || "The following values are not on the active scale ({values}) and were left empty:").replace("{values}", activeValues) +
+            "\n\n" + reportLines.join("\n"));
+    }
+
+    if (mode === 'merge') {
+        mergeImportedData(result.backlogItems);
+        return;
+    }
+
+    applyCsvBacklogItems(result.backlogItems, fileName);
+}
+
+
+/**
+ * Hands Backlog Items rebuilt from a CSV file over to the regular import pipeline.
+ * <br><b>Why not pass the array directly?</b>
+ * A CSV carries no settings. Passing the items as a legacy array would make <code>applyImportedData</code> reset the scale
+ * to the default and silently invalidate values that were just validated (or snapped) against the active scale.
+ * The items are therefore wrapped in the <i>current</i> settings. Only a custom/locked sort order is dropped,
+ * because it refers to items that no longer exist.
+ * <br><b>File Name:</b>
+ * The extension is swapped to <code>.json</code> so a later JSON export proposes a sensible file name.
+ *
+ * @param {Array<Object>} backlogItems - The PBIs created from the CSV rows.
+ * @param {string} [fileName] - The name of the imported file.
+ */
+function applyCsvBacklogItems(backlogItems, fileName) {
+    var keepCustomOrder = (currentSortCriteria === 'custom' || currentSortCriteria === 'lock');
+    var settings = {
+        language: currentLanguage,
+        scale: currentScale,
+        tshirtSizes: config.tshirtSizes,
+        colors: config.colors,
+        editorColors: config.editorColors || config.defaultEditorColors,
+        sortCriteria: keepCustomOrder ? 'creationOrder' : currentSortCriteria,
+        sortDirection: currentSortDirection,
+        showReferenceMarkers: (typeof window.showReferenceMarkers === 'boolean') ? window.showReferenceMarkers : true,
+        isResolutionWarningDismissed: window.isResolutionWarningDismissed,
+        undoHistoryDepth: getUndoHistoryDepth(),
+        componentWeights: getComponentWeights(),
+        prioritizationModel: getActivePrioritizationModel(),
+        capacity: getCapacity(),
+        quadrantThresholds: getQuadrantThresholds(),
+        tshirtMapping: getTshirtMapping(),
+        csvExport: getCsvExportOptions(),
+        customScales: getCustomScales()
+    };
+
+    var jsonFileName = fileName ? fileName.replace(/\.[^/.]+$/, "") + ".json" : undefined;
+    applyImportedData({ settings: settings, backlogItems: backlogItems }, jsonFileName);
+}
+
+
+/**
+ * Guesses the field separator of a CSV file from its header line.
+ * <br><b>Why?</b>
+ * SizeRight itself writes semicolons (Excel, European locales), while Jira and Azure DevOps export comma-separated files.
+ * Tabs are accepted as well, for data copied from a spreadsheet.
+ * <br><b>Algorithm:</b>
+ * Quoted segments of the first line are removed (they may contain any character), then the candidate that occurs most
+ * often wins. Ties and lines without any candidate fall back to the semicolon.
+ *
+ * @param {string} text - The raw CSV content.
+ * @returns {string} The detected separator (`;`, `,` or a tab).
+ */
+function detectCsvDelimiter(text) {
+    var firstLine = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/)[0].replace(/"(?:[^"]|"")*"/g, "");
+    var best = ";";
+    var bestCount = 0;
+
+    [";", ",", "\t"].forEach(function(candidate) {
+        var count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            best = candidate;
+            bestCount = count;
+        }
+    });
+
+    return best;
+}
+
+
+/**
+ * Reads the column mappings remembered by the CSV mapping import.
+ * <br><b>Storage Key:</b> <code>'sizeRight_csvMappings_v1'</code>
+ * <br><b>Structure:</b>
+ * An object keyed by the source name the user entered (e.g. "Jira", "Azure DevOps"). Each entry holds
+ * <code>{ mapping: { field: columnHeader }, updated: timestamp }</code>. Columns are stored by their header text rather than by
+ * position, so a mapping keeps working when the tool exports its columns in a different order.
+ *
+ * @returns {Object} The stored mappings, or an empty object if nothing is stored or the data is unreadable.
+ */
+function loadCsvMappings() {
+    if (typeof window === 'undefined' || !window.localStorage) return {};
+
+    try {
+        var raw = window.localStorage.getItem('sizeRight_csvMappings_v1');
+        var parsed = raw ? JSON.parse(raw) : {};
+        return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+    } catch (e) {
+        console.warn('Failed to read CSV mappings from localStorage:', e);
+        return {};
+    }
+}
+
+
+/**
+ * Remembers the column mapping for a source so the next import from the same tool is preselected.
+ * Empty (unmapped) fields are not stored.
+ *
+ * @param {string} source - The user-visible name of the source (e.g. "Jira").
+ * @param {Object} mapping - Map of PBI field to CSV column header.
+ */
+function saveCsvMapping(source, mapping) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    var name = String(source || "").trim();
+    if (!name) return;
+
+    try {
+        var mappings = loadCsvMappings();
+        var cleanMapping = {};
+        Object.keys(mapping || {}).forEach(function(field) {
+            if (mapping[field]) cleanMapping[field] = mapping[field];
+        });
+
+        mappings[name] = { mapping: cleanMapping, updated: Date.now() };
+        window.localStorage.setItem('sizeRight_csvMappings_v1', JSON.stringify(mappings));
+    } catch (e) {
+        console.warn('Failed to save CSV mapping to localStorage:', e);
+    }
+}
+
+
+/**
+ * Finds the remembered source whose mapping fits the headers of a newly loaded file.
+ * <br><b>Matching Rule:</b>
+ * A source qualifies only if it maps the title column and <i>every</i> column it references exists in the file.
+ * If several sources qualify, the one that maps the most columns wins (the most specific match).
+ *
+ * @param {Array<string>} headers - The header row of the CSV file.
+ * @param {Object} mappings - The stored mappings as returned by <code>loadCsvMappings</code>.
+ * @returns {string|null} The name of the matching source, or <code>null</code>.
+ */
+function findCsvMappingSource(headers, mappings) {
+    var bestSource = null;
+    var bestSize = 0;
+
+    Object.keys(mappings || {}).forEach(function(source) {
+        var mapping = (mappings[source] && mappings[source].mapping) || {};
+        var columns = Object.keys(mapping).map(function(field) { return mapping[field]; });
+        if (!mapping.title) return;
+
+        var allPresent = columns.every(function(column) { return headers.indexOf(column) !== -1; });
+        if (allPresent && columns.length > bestSize) {
+            bestSource = source;
+            bestSize = columns.length;
+        }
+    });
+
+    return bestSource;
+}
+
+
+/**
+ * Proposes a column mapping for a file that does not match any remembered source.
+ * <br><b>Recognized Headers (case-insensitive):</b>
+ * <ul>
+ * <li>The SizeRight CSV headers of every configured language (see <code>getCsvColumnDefinitions</code>).</li>
+ * <li>The usual title and description columns of Jira ("Summary", "Description") and Azure DevOps ("Title", "Description").</li>
+ * </ul>
+ * Estimation columns of external tools are deliberately <i>not</i> guessed, because their meaning (e.g. "Story Points")
+ * does not correspond to a single SizeRight dimension.
+ *
+ * @param {Array<string>} headers - The header row of the CSV file.
+ * @returns {Object} Map of PBI field to CSV column header (only recognized fields are present).
+ */
+function guessCsvMapping(headers) {
+    var aliases = {
+        title: ['summary', 'title', 'zusammenfassung', 'titel'],
+        notes: ['description', 'beschreibung']
+    };
+
+    var addLabels = function(uiStrings) {
+        getCsvColumnDefinitions(uiStrings).forEach(function(column) {
+            if (column.derived || column.field === 'reference') return;
+            if (!aliases[column.field]) aliases[column.field] = [];
+            aliases[column.field].push(String(column.label).trim().toLowerCase());
+        });
+    };
+    addLabels({});
+    if (config && config.languages) {
+        Object.keys(config.languages).forEach(function(lang) { addLabels(config.languages[lang]); });
+    }
+
+    var mapping = {};
+    Object.keys(aliases).forEach(function(field) {
+        var match = headers.find(function(header) {
+            return aliases[field].indexOf(String(header).trim().toLowerCase()) !== -1;
+        });
+        if (match !== undefined) mapping[field] = match;
+    });
+
+    return mapping;
+}
+
+
+/**
+ * Creates Backlog Items from the rows of an arbitrary CSV file using a user-defined column mapping.
+ * <br><b>Value Handling:</b>
+ * <ul>
+ * <li><b>Numbers:</b> Decimal commas are accepted. Values that are not on the active scale are snapped to the nearest
+ * scale value via <code>findNearestScaleValue</code> (e.g. 13 story points → 8 on the SAFe scale). Empty or non-numeric cells mean "not set" (0).</li>
+ * <li><b>T-Shirt Size:</b> Taken over only if it is a known size and the Job Size is complete.</li>
+ * <li><b>Notes:</b> Plain-text descriptions are converted via <code>markdownToHtml</code>, which also escapes any HTML.</li>
+ * <li><b>Title:</b> Rows without a title are skipped.</li>
+ * </ul>
+ *
+ * @param {Array<Array<string>>} rows - The parsed CSV rows, the first row being the header.
+ * @param {Object} mapping - Map of PBI field to CSV column header.
+ * @returns {{backlogItems: Array<Object>, snappedCount: number}} The new PBIs and the number of values that had to be snapped.
+ */
+function buildPbisFromCsvMapping(rows, mapping) {
+    var headers = rows[0] || [];
+    var scaleValues = (SCALES && SCALES[currentScale] && SCALES[currentScale].values) || [];
+    var valueFields = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+    var allSizes = (config && config.allTshirtSizes) || [];
+    var baseId = Date.now();
+    var backlogItems = [];
+    var snappedCount = 0;
+
+    var getCell = function(cells, field) {
+        var index = mapping[field] ? headers.indexOf(mapping[field]) : -1;
+        return (index !== -1 && cells[index] !== undefined) ? String(cells[index]).trim() : "";
+    };
+
+    rows.slice(1).forEach(function(cells, rowOffset) {
+        var title = getCell(cells, 'title');
+        if (!title) return;
+
+        var values = {};
+        valueFields.forEach(function(field) {
+            var num = parseFloat(getCell(cells, field).replace(",", "."));
+            if (isNaN(num) || num <= 0) {
+                values[field] = 0;
+            } else if (scaleValues.indexOf(num) !== -1) {
+                values[field] = num;
+            } else {
+                values[field] = findNearestScaleValue(num, scaleValues);
+                snappedCount++;
+            }
+        });
+
+        var isJobSizeComplete = values.complexity > 0 && values.effort > 0 && values.doubt > 0;
+        var rawSize = getCell(cells, 'tshirtSize').toUpperCase();
+
+        var storedValues = {};
+        storedValues[currentScale] = Object.assign({}, values);
+
+        backlogItems.push({
+            id: baseId + rowOffset,
+            title: title,
+            complexity: values.complexity,
+            effort: values.effort,
+            doubt: values.doubt,
+            jobSize: calculateJobSize(values),
+            cod_bv: values.cod_bv,
+            cod_tc: values.cod_tc,
+            cod_rroe: values.cod_rroe,
+            cod: calculateCod(values),
+            tshirtSize: (isJobSizeComplete && allSizes.indexOf(rawSize) !== -1) ? rawSize : null,
+            notes: markdownToHtml(getCell(cells, 'notes')),
+            isReference: false,
+            referenceType: null,
+            creationDate: new Date().toISOString(),
+            scaleValues: storedValues
+        });
+    });
+
+    return { backlogItems: backlogItems, snappedCount: snappedCount };
+}
+
+
+// ===================================================================================
+// SHARE LINK (READ-ONLY VIEWER)
+// ===================================================================================
+
+
+/**
+ * Name of the URL fragment parameter that carries a shared backlog (<code>#share=...</code>).
+ * The fragment is never sent to a server, so the shared data stays between the people exchanging the link.
+ */
+var SHARE_LINK_PARAM = 'share';
+
+
+/**
+ * Builds the compact share payload of the current backlog.
+ * <br><b>Format (version 1):</b>
+ * <code>{ v: 1, s: scale, z: tshirtSizes, o: [sortCriteria, sortDirection], i: [[title, complexity, effort, doubt, cod_bv, cod_tc, cod_rroe, tshirtSize, referenceType]], k: [custom order] }</code>.
+ * Arrays instead of named properties keep the link short. Notes are not included, as they would make the URL too long.
+ * <code>k</code> lists the item positions in the custom (Drag &amp; Drop) order and is omitted if no custom order exists.
+ * <code>c</code> carries the definition <code>[name, values, labels]</code> if the active scale is a custom scale, which the recipient does not know.
+ * <code>w</code> lists the component weights (in the order of <code>JOB_SIZE_COMPONENTS</code> and <code>COD_COMPONENTS</code>) and is omitted if no component is weighted.
+ * <code>m</code> names the prioritization model if it is not WSJF; the inputs of each item for this model are then appended to its entry (index 9).
+ * Items with an urgency profile other than "standard" carry <code>[profile, deadline]</code> at index 10 of their entry.
+ * Items with dependencies carry the positions of these items in <code>i</code> at index 11 (the ids are not part of the link).
+ * <code>p</code> carries the capacity <code>[points, period]</code> and is omitted if no capacity is configured.
+ * <code>q</code> carries the quadrant thresholds <code>[jobSize, cod]</code> and is omitted if both are automatic.
+ *
+ * @returns {Object} The payload.
+ */
+function buildSharePayload() {
+    var items = pbis.filter(function(pbi) { return pbi && !pbi.isLastItem; });
+
+    var payload = {
+        v: 1,
+        s: currentScale,
+        z: config.tshirtSizes,
+        o: [currentSortCriteria, currentSortDirection],
+        i: items.map(function(pbi) {
+            return [
+                pbi.title || "",
+                pbi.complexity || 0, pbi.effort || 0, pbi.doubt || 0,
+                pbi.cod_bv || 0, pbi.cod_tc || 0, pbi.cod_rroe || 0,
+                pbi.tshirtSize || null,
+                pbi.referenceType || null
+            ];
+        })
+    };
+
+    var modelId = getActivePrioritizationModel();
+    if (modelId !== 'wsjf') {
+        payload.m = modelId;
+        items.forEach(function(pbi, index) {
+            var values = getPriorityValues(pbi, modelId);
+            if (Object.keys(values).length > 0) payload.i[index][9] = values;
+        });
+    }
+
+    items.forEach(function(pbi, index) {
+        var urgency = getUrgencyProfile(pbi);
+        if (urgency.profile !== 'standard') payload.i[index][10] = [urgency.profile, urgency.deadline];
+    });
+
+    var itemIds = items.map(function(pbi) { return String(pbi.id); });
+    items.forEach(function(pbi, index) {
+        var positions = getDependencies(pbi)
+            .map(function(id) { return itemIds.indexOf(String(id)); })
+            .filter(function(position) { return position !== -1; });
+        if (positions.length > 0) payload.i[index][11] = positions;
+    });
+
+    if (initialCustomOrderSet && lockedPbiOrder.length > 0) {
+        var ids = items.map(function(pbi) { return pbi.id; });
+        payload.k = lockedPbiOrder.map(function(id) { return ids.indexOf(id); }).filter(function(index) { return index !== -1; });
+    }
+
+    if (SCALES[currentScale] && SCALES[currentScale].isCustom) {
+        payload.c = [SCALES[currentScale].name, SCALES[currentScale].values, SCALES[currentScale].labels || []];
+    }
+
+    if (!hasDefaultComponentWeights()) {
+        var weights = getComponentWeights();
+        payload.w = JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).map(function(field) { return weights[field]; });
+    }
+
+    var capacity = getCapacity();
+    if (capacity.points > 0) {
+        payload.p = [capacity.points, capacity.period];
+    }
+
+    var quadrantThresholds = getQuadrantThresholds();
+    if (quadrantThresholds.jobSize > 0 || quadrantThresholds.cod > 0) {
+        payload.q = [quadrantThresholds.jobSize, quadrantThresholds.cod];
+    }
+
+    return payload;
+}
+
+
+/**
+ * Expands a share payload into a regular save state, which is then migrated and validated like an imported file.
+ * Job Size and CoD are recalculated from their components with the shared weights; the language stays the one of the recipient.
+ *
+ * @param {Object} payload - The payload created by <code>buildSharePayload</code>.
+ * @returns {Object} The save state <code>{ schemaVersion, timestamp, settings, backlogItems }</code>.
+ * @throws {Error} If the payload has an unknown version or no item list.
+ */
+function expandSharePayload(payload) {
+    if (!payload || payload.v !== 1 || !Array.isArray(payload.i)) {
+        throw new Error('Unsupported share link format.');
+    }
+
+    var customOrder = Array.isArray(payload.k) ? payload.k : [];
+    var sort = Array.isArray(payload.o) ? payload.o : [];
+    var weights = {};
+    if (Array.isArray(payload.w)) {
+        JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).forEach(function(field, index) {
+            weights[field] = payload.w[index];
+        });
+    }
+    weights = normalizeComponentWeights(weights);
+    var modelId = PRIORITIZATION_MODELS[payload.m] ? payload.m : null;
+
+    var backlogItems = payload.i.map(function(entry, index) {
+        var values = {
+            complexity: entry[1], effort: entry[2], doubt: entry[3],
+            cod_bv: entry[4], cod_tc: entry[5], cod_rroe: entry[6]
+        };
+        var isJobSizeComplete = values.complexity > 0 && values.effort > 0 && values.doubt > 0;
+        var isCodComplete = values.cod_bv > 0 && values.cod_tc > 0 && values.cod_rroe > 0;
+        var referenceType = (entry[8] === 'min' || entry[8] === 'max') ? entry[8] : null;
+
+        var pbi = {
+            id: index + 1,
+            title: String(entry[0] || ""),
+            complexity: values.complexity,
+            effort: values.effort,
+            doubt: values.doubt,
+            jobSize: isJobSizeComplete ? calculateJobSize(values, weights) : null,
+            cod_bv: values.cod_bv,
+            cod_tc: values.cod_tc,
+            cod_rroe: values.cod_rroe,
+            cod: isCodComplete ? calculateCod(values, weights) : null,
+            tshirtSize: isJobSizeComplete ? (entry[7] || null) : null,
+            notes: "",
+            isReference: referenceType !== null,
+            referenceType: referenceType
+        };
+
+        if (modelId && entry[9] && typeof entry[9] === 'object') {
+            pbi.priority = {};
+            pbi.priority[modelId] = entry[9];
+        }
+
+        if (Array.isArray(entry[10])) {
+            storeUrgencyProfile(pbi, entry[10][0], entry[10][1]);
+        }
+
+        if (Array.isArray(entry[11])) {
+            storeDependencies(pbi, entry[11]
+                .filter(function(position) { return typeof position === 'number' && position >= 0 && position < payload.i.length; })
+                .map(function(position) { return position + 1; }));
+        }
+
+        var customSortIndex = customOrder.indexOf(index);
+        if (customSortIndex !== -1) pbi.customSortIndex = customSortIndex;
+        return pbi;
+    });
+
+    return {
+        schemaVersion: SAVE_FILE_SCHEMA_VERSION,
+        timestamp: Date.now(),
+        settings: {
+            language: currentLanguage,
+            scale: payload.s,
+            tshirtSizes: Array.isArray(payload.z) ? payload.z : config.defaultSettings.tshirtSizes,
+            sortCriteria: sort[0] || 'creationOrder',
+            sortDirection: sort[1] || 'asc',
+            showReferenceMarkers: true,
+            componentWeights: weights,
+            prioritizationModel: modelId || 'wsjf',
+            capacity: normalizeCapacity(Array.isArray(payload.p) ? { points: payload.p[0], period: payload.p[1] } : null),
+            quadrantThresholds: normalizeQuadrantThresholds(Array.isArray(payload.q) ? { jobSize: payload.q[0], cod: payload.q[1] } : null),
+            customScales: Array.isArray(payload.c) ? [{ id: payload.s, name: String(payload.c[0] || payload.s), values: payload.c[1], labels: payload.c[2] || [] }] : []
+        },
+        backlogItems: backlogItems
+    };
+}
+
+
+/**
+ * Encodes bytes as URL-safe Base64 (<code>-</code> and <code>_</code> instead of <code>+</code> and <code>/</code>, no padding).
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The encoded text.
+ */
+function bytesToBase64Url(bytes) {
+    var binary = "";
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+
+/**
+ * Decodes URL-safe Base64 into bytes.
+ *
+ * @param {string} text - The encoded text.
+ * @returns {Uint8Array} The bytes.
+ * @throws {Error} If the text is not valid Base64.
+ */
+function base64UrlToBytes(text) {
+    var binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+
+/**
+ * Pipes bytes through a <code>CompressionStream</code> or <code>DecompressionStream</code> and collects the output.
+ *
+ * @param {Uint8Array} bytes - The input.
+ * @param {Object} transform - The stream (e.g. <code>new CompressionStream('deflate-raw')</code>).
+ * @returns {Promise<Uint8Array>} The output.
+ */
+function transformBytes(bytes, transform) {
+    var writer = transform.writable.getWriter();
+    writer.write(bytes);
+    writer.close();
+
+    var reader = transform.readable.getReader();
+    var chunks = [];
+    var length = 0;
+
+    var pump = function() {
+        return reader.read().then(function(result) {
+            if (!result.done) {
+                chunks.push(result.value);
+                length += result.value.length;
+                return pump();
+            }
+            var output = new Uint8Array(length);
+            var offset = 0;
+            chunks.forEach(function(chunk) {
+                output.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return output;
+        });
+    };
+    return pump();
+}
+
+
+/**
+ * Serializes a share payload for the URL fragment.
+ * <br><b>Format:</b> A one-letter prefix followed by URL-safe Base64:
+ * <ul>
+ * <li><code>z</code>: The JSON is compressed with <code>deflate-raw</code> (browsers with <code>CompressionStream</code>).</li>
+ * <li><code>j</code>: The JSON is only Base64-encoded (older browsers; the link is longer but works everywhere).</li>
+ * </ul>
+ *
+ * @param {Object} payload - The payload.
+ * @returns {Promise<string>} The encoded payload.
+ */
+function encodeSharePayload(payload) {
+    var bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+    if (typeof CompressionStream !== 'function') {
+        return Promise.resolve('j' + bytesToBase64Url(bytes));
+    }
+    return transformBytes(bytes, new CompressionStream('deflate-raw')).then(function(compressed) {
+        return 'z' + bytesToBase64Url(compressed);
+    });
+}
+
+
+/**
+ * Reverses <code>encodeSharePayload</code>.
+ *
+ * @param {string} encoded - The encoded payload from the URL fragment.
+ * @returns {Promise<Object>} The payload.
+ */
+function decodeSharePayload(encoded) {
+    return Promise.resolve().then(function() {
+        var format = String(encoded || "").charAt(0);
+        var bytes = base64UrlToBytes(String(encoded).substring(1));
+
+        if (format === 'j') return bytes;
+        if (format === 'z' && typeof DecompressionStream === 'function') {
+            return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        throw new Error('Unsupported share link encoding: ' + format);
+    }).then(function(bytes) {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    });
+}
+
+
+/**
+ * Reads the encoded share payload from a URL fragment.
+ *
+ * @param {string} hash - The fragment, e.g. <code>window.location.hash</code>.
+ * @returns {string|null} The encoded payload, or <code>null</code> if the URL is not a share link.
+ */
+function getSharePayloadFromHash(hash) {
+    var prefix = '#' + SHARE_LINK_PARAM + '=';
+    if (typeof hash !== 'string' || hash.indexOf(prefix) !== 0) return null;
+    return hash.substring(prefix.length) || null;
+}
+
+
+/**
+ * Creates the share link of the current backlog: the current page address with the encoded payload in the fragment.
+ *
+ * @returns {Promise<string>} The link.
+ */
+function createShareLink() {
+    return encodeSharePayload(buildSharePayload()).then(function(encoded) {
+        var base = window.location.href.split('#')[0];
+        return base + '#' + SHARE_LINK_PARAM + '=' + encoded;
+    });
+}
+
+
+/**
+ * "Copy share link" action: Creates the link and copies it to the clipboard.
+ * If the clipboard is not available (e.g. the file is opened via <code>file://</code> in some browsers), the link is shown in a prompt to copy it manually.
+ *
+ * @returns {Promise} Resolves once the user was informed.
+ */
+function copyShareLink() {
+    var s = config.uiStrings || {};
+
+    if (pbis.filter(function(pbi) { return pbi && !pbi.isLastItem; }).length === 0) {
+        alert(s.shareLinkEmpty || "There are no backlog items to share.");
+        return Promise.resolve();
+    }
+
+    return createShareLink().then(function(link) {
+        var showLink = function() {
+            prompt(s.shareLinkPrompt || "Copy the share link:", link);
+        };
+
+        if (typeof navigator === 'undefined' || !navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+            showLink();
+            return;
+        }
+        return navigator.clipboard.writeText(link).then(function() {
+            alert(s.shareLinkCopied || "The share link was copied to the clipboard. Recipients see a read-only view of the backlog.");
+        }, showLink);
+    }).catch(function(e) {
+        console.error('Failed to create the share link:', e);
+        alert(s.shareLinkError || "The share link could not be created.");
+    });
+}
+
+
+/**
+ * Loads the backlog of a share link into the application (bootstrap of the read-only viewer).
+ * The shared state is migrated and validated like an imported file and is never written to the browser storage.
+ * <br><b>Error Handling:</b> If the link is damaged, the user is informed and the read-only mode is left,
+ * so the application starts normally with the own workspaces.
+ *
+ * @param {string} encoded - The encoded payload from the URL fragment.
+ * @returns {Promise<boolean>} Resolves to <code>true</code> if the shared backlog was applied.
+ */
+function openSharedView(encoded) {
+    return decodeSharePayload(encoded).then(function(payload) {
+        var data = prepareSaveFile(expandSharePayload(payload), currentScale);
+        return applySavedState(data);
+    }).catch(function(e) {
+        console.error('Failed to open the share link:', e);
+        var s = config.uiStrings || {};
+        alert((s.shareLinkInvalid || "This share link is damaged or incomplete.") + "\n\n" + e.message);
+        return false;
+    }).then(function(applied) {
+        if (!applied) isReadOnlyView = false;
+        return applied;
+    });
+}
+
+
+/**
+ * Switches the UI into the read-only viewer mode of a share link.
+ * <ul>
+ * <li>Marks the <code>&lt;body&gt;</code> with <code>read-only-view</code>; the stylesheet hides all editing controls (add, delete, import, settings, ...).</li>
+ * <li>Disables the sliders, the title and the notes in the item dialog, which can still be opened to look at the values.</li>
+ * <li>Removes Drag &amp; Drop (<code>destroySortable</code>); <code>initSortable</code> and the value popups check <code>isReadOnlyView</code> themselves.</li>
+ * <li>Shows the viewer banner with a link to the application without the shared data.</li>
+ * </ul>
+ */
+function applyReadOnlyMode() {
+    document.body.classList.add('read-only-view');
+
+    document.querySelectorAll('#edit-modal input[type="range"], #pbi-title').forEach(function(input) {
+        input.disabled = true;
+    });
+    var notes = document.getElementById('pbi-notes');
+    if (notes) notes.setAttribute('contenteditable', 'false');
+
+    if (typeof destroySortable === 'function') destroySortable();
+
+    var banner = document.getElementById('read-only-banner');
+    if (banner) banner.classList.remove('hidden');
+    var exitLink = document.getElementById('read-only-exit-link');
+    if (exitLink) exitLink.href = window.location.href.split('#')[0];
+}
+
+
+// ===================================================================================
+// ENCRYPTED SAVE FILES (WEBCRYPTO)
+// ===================================================================================
+
+
+/**
+ * Marker of an encrypted save file. The file is still JSON, but only contains the envelope written by <code>encryptSaveFile</code>.
+ */
+var ENCRYPTED_FILE_FORMAT = 'sizeRight-encrypted';
+
+/**
+ * Number of PBKDF2 iterations for new files (OWASP recommendation for PBKDF2-HMAC-SHA256).
+ * The count is stored in each file, so it can be raised later without breaking older files.
+ */
+var ENCRYPTION_PBKDF2_ITERATIONS = 600000;
+
+/**
+ * The iteration counts accepted when decrypting. The count comes from the file, so it is bounded:
+ * too few iterations would weaken the key, too many would freeze the browser during the key derivation.
+ */
+var ENCRYPTION_PBKDF2_MIN_ITERATIONS = 100000;
+var ENCRYPTION_PBKDF2_MAX_ITERATIONS = 10000000;
+
+
+/**
+ * Checks whether the browser provides the WebCrypto API.
+ * Browsers only offer <code>crypto.subtle</code> in secure contexts (HTTPS, <code>localhost</code> or a local file).
+ *
+ * @returns {boolean} <code>true</code> if files can be encrypted and decrypted.
+ */
+function isEncryptionAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && typeof crypto.getRandomValues === 'function';
+}
+
+
+/**
+ * Checks whether parsed JSON is an encrypted save file.
+ *
+ * @param {*} data - The parsed file content.
+ * @returns {boolean} <code>true</code> for the envelope of <code>encryptSaveFile</code>.
+ */
+function isEncryptedSaveFile(data) {
+    return !!data && typeof data === 'object' && data.format === ENCRYPTED_FILE_FORMAT;
+}
+
+
+/**
+ * Derives the AES-GCM key (256 bit) from a passphrase with PBKDF2 (SHA-256).
+ *
+ * @param {string} passphrase - The passphrase.
+ * @param {Uint8Array} salt - The random salt stored in the file.
+ * @param {number} iterations - The PBKDF2 iteration count stored in the file.
+ * @returns {Promise<CryptoKey>} The key.
+ */
+function deriveEncryptionKey(passphrase, salt, iterations) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']).then(function(baseKey) {
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    });
+}
+
+
+/**
+ * Encrypts the JSON text of a save file with a passphrase.
+ * <br><b>Envelope:</b>
+ * <code>{ format: 'sizeRight-encrypted', version: 1, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt }, cipher: { name: 'AES-GCM', iv }, data }</code>.
+ * Salt, IV and ciphertext are URL-safe Base64. A new random salt and IV are used for every export.
+ * Nothing but the format marker is readable without the passphrase: titles, notes and settings are all part of the ciphertext.
+ *
+ * @param {string} jsonText - The plain save file.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<Object>} The envelope.
+ */
+function encryptSaveFile(jsonText, passphrase) {
+    var salt = crypto.getRandomValues(new Uint8Array(16));
+    var iv = crypto.getRandomValues(new Uint8Array(12));
+
+    return deriveEncryptionKey(passphrase, salt, ENCRYPTION_PBKDF2_ITERATIONS).then(function(key) {
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(jsonText));
+    }).then(function(cipherText) {
+        return {
+            format: ENCRYPTED_FILE_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTION_PBKDF2_ITERATIONS, salt: bytesToBase64Url(salt) },
+            cipher: { name: 'AES-GCM', iv: bytesToBase64Url(iv) },
+            data: bytesToBase64Url(new Uint8Array(cipherText))
+        };
+    });
+}
+
+
+/**
+ * Decrypts an encrypted save file.
+ * <br><b>Error Handling:</b>
+ * AES-GCM authenticates the ciphertext, so a wrong passphrase and a modified file both fail the decryption.
+ * The error is then marked with <code>isWrongPassphrase</code>, which lets the passphrase dialog ask again.
+ * An envelope with an unknown version or algorithm, or with an iteration count outside
+ * <code>ENCRYPTION_PBKDF2_MIN_ITERATIONS</code>–<code>ENCRYPTION_PBKDF2_MAX_ITERATIONS</code>, is rejected with a plain error.
+ *
+ * @param {Object} envelope - The parsed encrypted file.
+ * @param {string} passphrase - The passphrase.
+ * @returns {Promise<string>} The plain JSON text of the save file.
+ */
+function decryptSaveFile(envelope, passphrase) {
+    var s = (config && config.uiStrings) || {};
+
+    return Promise.resolve().then(function() {
+        var iterations = envelope.kdf && envelope.kdf.iterations;
+        var isSupported = envelope.version === 1 && envelope.kdf && envelope.kdf.name === 'PBKDF2' &&
+            typeof iterations === 'number' && Math.floor(iterations) === iterations &&
+            iterations >= ENCRYPTION_PBKDF2_MIN_ITERATIONS && iterations <= ENCRYPTION_PBKDF2_MAX_ITERATIONS &&
+            envelope.cipher && envelope.cipher.name === 'AES-GCM' && typeof envelope.data === 'string';
+        if (!isSupported) {
+            throw new Error(s.encryptedFileInvalid || "The encrypted file is damaged or has an unknown format.");
+        }
+
+        var salt = base64UrlToBytes(envelope.kdf.salt);
+        var iv = base64UrlToBytes(envelope.cipher.iv);
+        var cipherText = base64UrlToBytes(envelope.data);
+
+        return deriveEncryptionKey(passphrase, salt, iterations).then(function(key) {
+            return crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, cipherText);
+        }).catch(function(e) {
+            console.warn('Decryption failed:', e);
+            var error = new Error(s.passphraseWrong || "Wrong passphrase. The file could not be decrypted.");
+            error.isWrongPassphrase = true;
+            throw error;
+        });
+    }).then(function(plainText) {
+        return new TextDecoder().decode(plainText);
+    });
+}
+
+
+/**
+ * Import step for encrypted files: asks for the passphrase and hands the decrypted save file to the regular import.
+ * The passphrase dialog is closed before <code>onDecrypted</code> runs, as the import may ask for confirmation itself.
+ *
+ * @param {Object} envelope - The parsed encrypted file.
+ * @param {string} fileName - The file name (shown in the dialog).
+ * @param {Function} onDecrypted - Receives the parsed save file.
+ */
+function requestSaveFileDecryption(envelope, fileName, onDecrypted) {
+    if (!isEncryptionAvailable()) {
+        var s = config.uiStrings || {};
+        alert(s.encryptionUnavailable || "Encryption is not available in this browser. Please open the application via HTTPS or as a local file.");
+        return;
+    }
+
+    openPassphraseModal({
+        mode: 'import',
+        fileName: fileName,
+        onConfirm: function(passphrase) {
+            return decryptSaveFile(envelope, passphrase).then(function(jsonText) {
+                closePassphraseModal();
+                onDecrypted(JSON.parse(jsonText));
+            });
+        }
+    });
+}
+
+
+// ===================================================================================
+// PLANNING POKER (VOTING)
+// ===================================================================================
+
+
+/**
+ * The estimation fields participants can vote on, in display order.
+ */
+var VOTING_FIELDS = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+
+
+/**
+ * Creates an empty voting for a Backlog Item.
+ * <br><b>Structure (stored as <code>pbi.voting</code> and included in the JSON export):</b>
+ * <code>{ revealed: false, participants: [{ name: 'Anna', values: { complexity: 3, effort: 5 } }] }</code>.
+ * A missing field in <code>values</code> means that the participant has not voted on it yet.
+ *
+ * @param {Array<string>} [names] - The participants to start with.
+ * @returns {Object} The voting.
+ */
+function createVoting(names) {
+    return {
+        revealed: false,
+        participants: (names || []).map(function(name) { return { name: name, values: {} }; })
+    };
+}
+
+
+/**
+ * Collects the names of all participants who voted on any item, in the order they first appear.
+ * New votings start with these names, so the facilitator enters the team only once. Names differing only in case are listed once.
+ *
+ * @returns {Array<string>} The names.
+ */
+function getKnownVotingParticipants() {
+    var names = [];
+    var seen = {};
+    (pbis || []).forEach(function(pbi) {
+        if (!pbi || !pbi.voting || !Array.isArray(pbi.voting.participants)) return;
+        pbi.voting.participants.forEach(function(participant) {
+            if (!participant || !participant.name) return;
+            var key = participant.name.toLowerCase();
+            if (seen[key]) return;
+            seen[key] = true;
+            names.push(participant.name);
+        });
+    });
+    return names;
+}
+
+
+/**
+ * Adds a participant to a voting.
+ *
+ * @param {Object} voting - The voting.
+ * @param {string} name - The name (surrounding whitespace is removed).
+ * @returns {boolean} <code>false</code> if the name is empty or already taken (case-insensitive).
+ */
+function addVotingParticipant(voting, name) {
+    var trimmed = String(name || '').trim();
+    if (!trimmed) return false;
+
+    var isTaken = voting.participants.some(function(participant) {
+        return participant.name.toLowerCase() === trimmed.toLowerCase();
+    });
+    if (isTaken) return false;
+
+    voting.participants.push({ name: trimmed, values: {} });
+    return true;
+}
+
+
+/**
+ * Removes a participant and all of their votes.
+ *
+ * @param {Object} voting - The voting.
+ * @param {string} name - The name.
+ */
+function removeVotingParticipant(voting, name) {
+    voting.participants = voting.participants.filter(function(participant) { return participant.name !== name; });
+}
+
+
+/**
+ * Stores (or clears) the vote of one participant for one field.
+ *
+ * @param {Object} voting - The voting.
+ * @param {string} name - The participant.
+ * @param {string} field - One of <code>VOTING_FIELDS</code>.
+ * @param {number|null} value - The vote; <code>null</code> or <code>0</code> removes it.
+ */
+function setVotingValue(voting, name, field, value) {
+    var participant = voting.participants.find(function(p) { return p.name === name; });
+    if (!participant) return;
+
+    if (typeof value === 'number' && value > 0) {
+        participant.values[field] = value;
+    } else {
+        delete participant.values[field];
+    }
+}
+
+
+/**
+ * Starts a new round: all votes are cleared and hidden again, the participants stay.
+ *
+ * @param {Object} voting - The voting.
+ */
+function startNewVotingRound(voting) {
+    voting.revealed = false;
+    voting.participants.forEach(function(participant) { participant.values = {}; });
+}
+
+
+/**
+ * Checks whether anybody has voted yet.
+ *
+ * @param {Object} voting - The voting.
+ * @returns {boolean} <code>true</code> if at least one vote exists.
+ */
+function hasVotes(voting) {
+    return !!voting && Array.isArray(voting.participants) && voting.participants.some(function(participant) {
+        return participant.values && Object.keys(participant.values).length > 0;
+    });
+}
+
+
+/**
+ * Snaps a number to the closest value of a scale. On a tie the larger value wins (estimates are rounded up).
+ *
+ * @param {number} value - The number.
+ * @param {Array<number>} scaleValues - The scale values.
+ * @returns {number} The closest scale value.
+ */
+function snapToScaleValue(value, scaleValues) {
+    return scaleValues.reduce(function(best, candidate) {
+        var distance = Math.abs(candidate - value);
+        var bestDistance = Math.abs(best - value);
+        return (distance < bestDistance || (distance === bestDistance && candidate > best)) ? candidate : best;
+    });
+}
+
+
+/**
+ * Evaluates the votes of one field.
+ * <br><b>Key Figures:</b>
+ * <ul>
+ * <li><b>min / max / spread:</b> The lowest and highest vote and the distance between them in scale steps.</li>
+ * <li><b>median:</b> The median of all votes (the mean of the two middle votes for an even count).</li>
+ * <li><b>consensus:</b> The median snapped to the active scale; the value the facilitator can accept.</li>
+ * <li><b>outliers:</b> Participants whose vote is two or more scale steps away from the consensus.
+ * These are the people who should explain their estimate before the next round.</li>
+ * </ul>
+ *
+ * @param {Object} voting - The voting.
+ * @param {string} field - One of <code>VOTING_FIELDS</code>.
+ * @returns {Object|null} The statistics, or <code>null</code> if nobody voted on the field.
+ */
+function getVoteStatistics(voting, field) {
+    if (!voting || !Array.isArray(voting.participants)) return null;
+
+    var votes = voting.participants.filter(function(participant) {
+        return participant.values && participant.values[field] > 0;
+    }).map(function(participant) {
+        return { name: participant.name, value: participant.values[field] };
+    });
+    if (votes.length === 0) return null;
+
+    var scaleValues = SCALES[currentScale].values.filter(function(value) { return value > 0; });
+    var stepOf = function(value) { return scaleValues.indexOf(snapToScaleValue(value, scaleValues)); };
+
+    var sorted = votes.map(function(vote) { return vote.value; }).sort(function(a, b) { return a - b; });
+    var middle = Math.floor(sorted.length / 2);
+    var median = (sorted.length % 2 === 1) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    var consensus = snapToScaleValue(median, scaleValues);
+    var min = sorted[0];
+    var max = sorted[sorted.length - 1];
+
+    return {
+        votes: votes,
+        count: votes.length,
+        min: min,
+        max: max,
+        spread: stepOf(max) - stepOf(min),
+        median: median,
+        consensus: consensus,
+        outliers: votes.filter(function(vote) {
+            return Math.abs(stepOf(vote.value) - stepOf(consensus)) >= 2;
+        }).map(function(vote) { return vote.name; })
+    };
+}
+
+
+/**
+ * Sets one estimation value of a Backlog Item and keeps the dependent values consistent
+ * (value popup of the Relative Estimation Table and accepted voting consensus).
+ * <ul>
+ * <li>Remembers the value for the active scale (<code>storeScaleValues</code>), so the edit dialog shows the new value.</li>
+ * <li>Recalculates Job Size or CoD; if a component is missing, the sum (and the T-Shirt Size) is reset.</li>
+ * </ul>
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} field - One of <code>VOTING_FIELDS</code>.
+ * @param {number} value - The new value.
+ */
+function applyEstimateValue(pbi, field, value) {
+    pbi[field] = value;
+
+    var storedValue = {};
+    storedValue[field] = value;
+    storeScaleValues(pbi, currentScale, storedValue);
+
+    if (['complexity', 'effort', 'doubt'].indexOf(field) > -1) {
+        if (pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0) {
+            pbi.jobSize = calculateJobSize(pbi);
+        } else {
+            pbi.jobSize = null;
+            pbi.tshirtSize = null;
+        }
+    }
+    if (['cod_bv', 'cod_tc', 'cod_rroe'].indexOf(field) > -1) {
+        if (pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0) {
+            pbi.cod = calculateCod(pbi);
+        } else {
+            pbi.cod = null;
+        }
+    }
+}
+
+
+// ===================================================================================
+// PRESENTER VIEW (MULTI-WINDOW SYNC)
+// ===================================================================================
+
+
+/**
+ * URL fragment that starts a window as presenter view (<code>#presenter</code>).
+ */
+var PRESENTER_HASH = 'presenter';
+
+/**
+ * Name of the <code>BroadcastChannel</code> between the facilitator window and the presenter views.
+ */
+var PRESENTER_CHANNEL_NAME = 'sizeRight_presenter';
+
+/**
+ * LocalStorage key used to pass the messages if <code>BroadcastChannel</code> is not available (<code>storage</code> events).
+ */
+var PRESENTER_STORAGE_KEY = 'sizeRight_presenterMessage';
+
+let presenterChannel = null;
+let hasPresenterWindow = false;
+let presenterBroadcastTimer = null;
+let lastPresenterOpenItemId = null;
+
+
+/**
+ * Checks whether a URL fragment starts the presenter view.
+ *
+ * @param {string} hash - The fragment including <code>#</code> (e.g. <code>window.location.hash</code>).
+ * @returns {boolean} <code>true</code> for <code>#presenter</code>.
+ */
+function isPresenterHash(hash) {
+    return typeof hash === 'string' && hash.replace(/^#/, '') === PRESENTER_HASH;
+}
+
+
+/**
+ * Opens the local channel between the windows of this browser. No server is involved.
+ * <br><b>Transport:</b>
+ * <ul>
+ * <li><b>BroadcastChannel:</b> Used if available; it reaches all windows and tabs of the same origin.</li>
+ * <li><b>Storage Events (Fallback):</b> The message is written to <code>PRESENTER_STORAGE_KEY</code> and removed again;
+ * the other windows receive it as <code>storage</code> event. A nonce makes sure identical messages still change the value.</li>
+ * </ul>
+ *
+ * @param {Function} onMessage - Called with every message received from another window.
+ * @returns {{post: Function, close: Function}|null} The channel, or <code>null</code> if neither transport is available.
+ */
+function createPresenterChannel(onMessage) {
+    if (typeof BroadcastChannel === 'function') {
+        var channel = new BroadcastChannel(PRESENTER_CHANNEL_NAME);
+        channel.onmessage = function(event) { onMessage(event.data); };
+        return {
+            post: function(message) { channel.postMessage(message); },
+            close: function() { channel.close(); }
+        };
+    }
+
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+
+    var listener = function(event) {
+        if (event.key !== PRESENTER_STORAGE_KEY || !event.newValue) return;
+        try {
+            onMessage(JSON.parse(event.newValue).message);
+        } catch (e) {
+            console.warn('Ignoring an unreadable presenter message:', e);
+        }
+    };
+    window.addEventListener('storage', listener);
+
+    return {
+        post: function(message) {
+            try {
+                window.localStorage.setItem(PRESENTER_STORAGE_KEY, JSON.stringify({ message: message, nonce: Date.now() + '-' + Math.random() }));
+                window.localStorage.removeItem(PRESENTER_STORAGE_KEY);
+            } catch (e) {
+                console.warn('Could not send the presenter message:', e);
+            }
+        },
+        close: function() { window.removeEventListener('storage', listener); }
+    };
+}
+
+
+/**
+ * Returns the ID of the active view tab (e.g. <code>'view-tab-wsjf-viz'</code>).
+ *
+ * @returns {string|null} The ID, or <code>null</code> if no tab is active.
+ */
+function getActiveViewTabId() {
+    var tab = document.querySelector('#view-tabs .view-tab-btn.active');
+    return tab ? tab.id : null;
+}
+
+
+/**
+ * Returns the ID of the item open in the edit dialog, or <code>null</code> if the dialog is closed or shows a new item.
+ *
+ * @returns {number|null} The item ID.
+ */
+function getOpenItemId() {
+    var modal = document.getElementById('edit-modal');
+    if (!modal || modal.style.display !== 'flex') return null;
+    return currentEditingId || null;
+}
+
+
+/**
+ * Builds the message that mirrors the facilitator window in the presenter views.
+ * <br><b>Content:</b> The save state (<code>buildSaveState</code>: items, scale, sort order, colors), the active view tab,
+ * the highlighted column of the Relative Sizing table and the item open in the edit dialog.
+ *
+ * @returns {Object} The message <code>{ type: 'state', state, viewTabId, highlightedColumn, openItemId }</code>.
+ */
+function buildPresenterState() {
+    return {
+        type: 'state',
+        state: buildSaveState(),
+        viewTabId: getActiveViewTabId(),
+        highlightedColumn: currentHighlightedColumn,
+        openItemId: getOpenItemId()
+    };
+}
+
+
+/**
+ * Starts the facilitator side of the sync (every editable window).
+ * <ul>
+ * <li>Answers the <code>hello</code> of a new presenter view with the complete state.</li>
+ * <li>Watches the edit dialog, so opening, switching and closing an item is mirrored (<code>syncPresenterOpenItem</code>).</li>
+ * <li>Says <code>bye</code> when the window is closed, so the presenter views can show that they are no longer updated.</li>
+ * </ul>
+ * Messages are only sent after a presenter view has connected, so a single window does not serialize its backlog for nobody.
+ */
+function initPresenterSync() {
+    if (presenterChannel) return;
+
+    presenterChannel = createPresenterChannel(function(message) {
+        if (!message || message.type !== 'hello') return;
+        hasPresenterWindow = true;
+        presenterChannel.post(buildPresenterState());
+    });
+    if (!presenterChannel) return;
+
+    var modal = document.getElementById('edit-modal');
+    if (modal && typeof MutationObserver === 'function') {
+        new MutationObserver(syncPresenterOpenItem).observe(modal, { attributes: true, attributeFilter: ['style'] });
+    }
+
+    window.addEventListener('pagehide', function() {
+        if (hasPresenterWindow) presenterChannel.post({ type: 'bye' });
+    });
+}
+
+
+/**
+ * Sends a message from the facilitator window to the presenter views.
+ * Does nothing in a presenter view itself and as long as no presenter view has connected.
+ *
+ * @param {Object} message - The message.
+ */
+function notifyPresenters(message) {
+    if ((typeof isPresenterView !== 'undefined' && isPresenterView) || !presenterChannel || !hasPresenterWindow) return;
+    presenterChannel.post(message);
+}
+
+
+/**
+ * Schedules sending the complete state after a change (called at the end of <code>renderAll</code>).
+ * Several renderings in quick succession (e.g. while dragging) are combined into one message.
+ */
+function schedulePresenterBroadcast() {
+    if ((typeof isPresenterView !== 'undefined' && isPresenterView) || !presenterChannel || !hasPresenterWindow) return;
+
+    clearTimeout(presenterBroadcastTimer);
+    presenterBroadcastTimer = setTimeout(function() {
+        presenterBroadcastTimer = null;
+        notifyPresenters(buildPresenterState());
+    }, 100);
+}
+
+
+/**
+ * Mirrors the item of the edit dialog: sends an <code>open-item</code> message if the open item has changed since the last message.
+ */
+function syncPresenterOpenItem() {
+    var openItemId = getOpenItemId();
+    if (openItemId === lastPresenterOpenItemId) return;
+    lastPresenterOpenItemId = openItemId;
+    notifyPresenters({ type: 'open-item', pbiId: openItemId });
+}
+
+
+/**
+ * "Open presenter view" action: Opens a second window with <code>#presenter</code>, e.g. for the projector.
+ * Reuses the window if it is already open.
+ */
+function openPresenterWindow() {
+    initPresenterSync();
+
+    var url = window.location.href.split('#')[0] + '#' + PRESENTER_HASH;
+    var presenterWindow = window.open(url, 'sizeRight_presenter');
+    if (!presenterWindow) {
+        var s = config.uiStrings || {};
+        alert(s.presenterPopupBlocked || "The presenter view could not be opened. Please allow pop-ups for this page.");
+        return;
+    }
+    presenterWindow.focus();
+}
+
+
+/**
+ * Starts the presenter view (bootstrap of a window opened with <code>#presenter</code>).
+ * <ul>
+ * <li>The view is read-only (<code>applyReadOnlyMode</code>) and shows only the charts (<code>presenter-view</code> class), without the backlog list and the toolbar.</li>
+ * <li>Nothing is loaded from or written to the browser storage; the data comes from the facilitator window only.</li>
+ * <li>A status line is shown until the first state has arrived and after the facilitator window was closed.</li>
+ * </ul>
+ */
+function startPresenterView() {
+    document.body.classList.add('presenter-view');
+    if (typeof applyReadOnlyMode === 'function') applyReadOnlyMode();
+
+    presenterChannel = createPresenterChannel(handlePresenterMessage);
+    if (!presenterChannel) {
+        showPresenterStatus('presenterUnsupported', "This browser cannot connect windows. The presenter view is not available.");
+        return;
+    }
+    showPresenterStatus('presenterWaiting', "Waiting for the facilitator window...");
+    presenterChannel.post({ type: 'hello' });
+}
+
+
+/**
+ * Shows or hides the status line of the presenter view.
+ *
+ * @param {string|null} key - The language key of the message, or <code>null</code> to hide the status line.
+ * @param {string} [fallback] - The English text if the key is missing.
+ */
+function showPresenterStatus(key, fallback) {
+    var status = document.getElementById('presenter-status');
+    if (!status) return;
+
+    if (!key) {
+        status.classList.add('hidden');
+        return;
+    }
+    var s = config.uiStrings || {};
+    status.textContent = s[key] || fallback;
+    status.classList.remove('hidden');
+}
+
+
+/**
+ * Applies a message of the facilitator window in the presenter view.
+ * <ul>
+ * <li><b>state:</b> Replaces the backlog and the settings (<code>applySavedState</code>), switches to the active view tab and re-renders.</li>
+ * <li><b>highlight:</b> Highlights an item like hovering it (<code>toggleHighlight</code>).</li>
+ * <li><b>open-item:</b> Opens the item in the (read-only) edit dialog, or closes the dialog.</li>
+ * <li><b>bye:</b> Shows that the facilitator window was closed.</li>
+ * </ul>
+ *
+ * @param {Object} message - The received message.
+ */
+function handlePresenterMessage(message) {
+    if (!message) return;
+
+    if (message.type === 'state') {
+        if (!applySavedState(message.state)) return;
+        pbis = ensureLastItemExists(pbis);
+        currentHighlightedColumn = message.highlightedColumn || null;
+        applyColorSettings(config.colors);
+        applyUiStrings();
+
+        var tab = message.viewTabId ? document.getElementById(message.viewTabId) : null;
+        if (tab && !tab.classList.contains('active')) {
+            tab.click();
+        } else {
+            renderAll();
+        }
+        showPresenterStatus(null);
+        showPresenterOpenItem(message.openItemId);
+    } else if (message.type === 'highlight') {
+        if (typeof toggleHighlight === 'function') toggleHighlight(message.pbiId, message.on);
+    } else if (message.type === 'open-item') {
+        showPresenterOpenItem(message.pbiId);
+    } else if (message.type === 'bye') {
+        showPresenterStatus('presenterDisconnected', "The facilitator window was closed. This view is no longer updated.");
+    }
+}
+
+
+/**
+ * Opens the given item in the edit dialog of the presenter view, or closes the dialog.
+ *
+ * @param {number|null} pbiId - The item ID, or <code>null</code>.
+ */
+function showPresenterOpenItem(pbiId) {
+    var modal = document.getElementById('edit-modal');
+    var pbi = pbiId ? pbis.find(function(p) { return p.id === pbiId; }) : null;
+
+    if (pbi && typeof showModal === 'function') {
+        showModal(pbi);
+    } else if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+
+// ===================================================================================
+// ESTIMATION SCALES (CUSTOM SCALES & PER-SCALE VALUES)
+// ===================================================================================
+
+
+/**
+ * The estimation fields whose values are remembered per scale (see <code>storeScaleValues</code>).
+ */
+var SCALE_VALUE_FIELDS = ['complexity', 'effort', 'doubt', 'cod_bv', 'cod_tc', 'cod_rroe'];
+
+
+/**
+ * The highest value a custom scale may contain.
+ * The sliders reserve one tick position per whole number up to the maximum, so larger values would squeeze the labels.
+ */
+var CUSTOM_SCALE_MAX_VALUE = 100;
+
+/**
+ * The format of custom scale ids as generated by <code>parseCustomScale</code> (<code>custom-&lt;name&gt;</code>).
+ * The id is used as value of the scale radio buttons and in CSS selectors, so quotes or other special characters are not allowed.
+ */
+var CUSTOM_SCALE_ID_PATTERN = /^custom-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+
+/**
+ * Returns the values a Backlog Item was last estimated with on a given scale.
+ * <br><b>Value Store:</b> Every item keeps one entry per scale in <code>pbi.scaleValues</code>
+ * (e.g. <code>{ metric: { complexity: 4, ... }, safe: { complexity: 5, ... } }</code>).
+ * This lets users switch scales back and forth without the snapping of one scale corrupting the values of the other.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} scaleId - The key of the scale in <code>SCALES</code>.
+ * @returns {Object} The remembered values (empty if the item was never estimated on this scale).
+ */
+function getStoredScaleValues(pbi, scaleId) {
+    return (pbi && pbi.scaleValues && pbi.scaleValues[scaleId]) || {};
+}
+
+
+/**
+ * Remembers estimation values of a Backlog Item for a scale (merged into <code>pbi.scaleValues[scaleId]</code>).
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} scaleId - The key of the scale in <code>SCALES</code>.
+ * @param {Object} values - The values by field, e.g. <code>{ complexity: 5 }</code>.
+ */
+function storeScaleValues(pbi, scaleId, values) {
+    if (!pbi.scaleValues) pbi.scaleValues = {};
+    pbi.scaleValues[scaleId] = Object.assign({}, pbi.scaleValues[scaleId], values);
+}
+
+
+/**
+ * Snaps a value onto a scale by rounding <b>up</b> to the next scale value (a step function).
+ * <i>Example:</i> 4 becomes 5 on SAFe Fibonacci. Values above the scale are capped at its highest value; 0 (unset) stays 0.
+ *
+ * @param {number} value - The value to snap.
+ * @param {Array<number>} scaleValues - The values of the target scale, in ascending order.
+ * @returns {number} The snapped value.
+ */
+function getNextHigherScaleValue(value, scaleValues) {
+    if (!value) return 0;
+    if (scaleValues.indexOf(value) !== -1) return value;
+    var nextValue = scaleValues.find(function(v) { return v >= value; });
+    return nextValue !== undefined ? nextValue : scaleValues[scaleValues.length - 1];
+}
+
+
+/**
+ * Converts the estimation values of a Backlog Item from one scale to another.
+ * <br><b>Logic:</b>
+ * <ol>
+ * <li>The current values are remembered for the old scale.</li>
+ * <li>For each field, the value remembered for the new scale is restored if it still fits: it must be on the new scale
+ * and lead to the current value when snapped onto the old scale. Otherwise the item was re-estimated in the meantime,
+ * and the current value is snapped onto the new scale (<code>getNextHigherScaleValue</code>).</li>
+ * <li>Job Size and CoD are recalculated from the converted values.</li>
+ * </ol>
+ * <i>Example:</i> 4 on Metric becomes 5 on SAFe; switching back restores the 4 unless the item was changed to 8 on SAFe in between.
+ * <br><b>Non-numeric scales</b> are not converted, as their values cannot be compared.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} oldScaleId - The scale the item is currently estimated with.
+ * @param {string} newScaleId - The scale to convert to.
+ */
+function convertPbiToScale(pbi, oldScaleId, newScaleId) {
+    var newValues = SCALES[newScaleId].values;
+    var oldValues = SCALES[oldScaleId] ? SCALES[oldScaleId].values : null;
+    if (typeof newValues[0] !== 'number') return;
+
+    var currentValues = {};
+    SCALE_VALUE_FIELDS.forEach(function(field) {
+        currentValues[field] = (typeof pbi[field] === 'number') ? pbi[field] : 0;
+    });
+    storeScaleValues(pbi, oldScaleId, currentValues);
+
+    var rememberedValues = getStoredScaleValues(pbi, newScaleId);
+    var convertedValues = {};
+    SCALE_VALUE_FIELDS.forEach(function(field) {
+        var remembered = rememberedValues[field];
+        var isStillValid = typeof remembered === 'number' && newValues.indexOf(remembered) !== -1 &&
+            (!oldValues || getNextHigherScaleValue(remembered, oldValues) === currentValues[field]);
+
+        convertedValues[field] = isStillValid ? remembered : getNextHigherScaleValue(currentValues[field], newValues);
+        pbi[field] = convertedValues[field];
+    });
+    storeScaleValues(pbi, newScaleId, convertedValues);
+
+    recalculatePbiTotals(pbi);
+}
+
+
+/**
+ * Returns the optional label of a scale value, e.g. "L" for 8 on a scale with the labels XS–XL.
+ * Labels are stored as <code>labels</code> array parallel to <code>values</code> (built-in scales in <code>config.json</code> may define them, too).
+ *
+ * @param {string} scaleId - The key of the scale in <code>SCALES</code>.
+ * @param {number} value - The scale value.
+ * @returns {string} The label, or an empty string if the value has none.
+ */
+function getScaleValueLabel(scaleId, value) {
+    var scale = SCALES && SCALES[scaleId];
+    if (!scale || !Array.isArray(scale.labels)) return '';
+    var index = scale.values.indexOf(Number(value));
+    return (index !== -1 && scale.labels[index]) ? String(scale.labels[index]) : '';
+}
+
+
+/**
+ * Parses the input of the custom scale editor (Settings Modal) into a scale definition.
+ * <br><b>Rules:</b>
+ * <ul>
+ * <li><b>Values:</b> Whole numbers from 1 to <code>CUSTOM_SCALE_MAX_VALUE</code>, separated by commas, semicolons or spaces.
+ * They are sorted and de-duplicated; at least two are required. The 0 ("not estimated") is always added in front.</li>
+ * <li><b>Labels:</b> Optional, separated by commas, one per value in ascending order (empty entries are allowed).</li>
+ * <li><b>Id:</b> Derived from the name (<code>custom-&lt;name&gt;</code>) and made unique against <code>takenIds</code>.</li>
+ * </ul>
+ *
+ * @param {string} name - The display name.
+ * @param {string} valuesText - The values, e.g. <code>"1, 2, 4, 8, 16"</code>.
+ * @param {string} [labelsText] - The labels, e.g. <code>"XS, S, M, L, XL"</code>.
+ * @param {Array<string>} [takenIds] - The ids already in use.
+ * @returns {{id: string, name: string, values: Array<number>, labels: Array<string>}} The scale definition.
+ * @throws {Error} With a localized message if the input is invalid.
+ */
+function parseCustomScale(name, valuesText, labelsText, takenIds) {
+    var s = (config && config.uiStrings) || {};
+    takenIds = takenIds || [];
+    name = (name || '').trim();
+
+    if (!name) {
+        throw new Error(s.customScaleErrorName || "Please enter a name for the scale.");
+    }
+
+    var values = [];
+    var isValid = true;
+    (valuesText || '').split(/[,;\s]+/).forEach(function(part) {
+        if (part === '') return;
+        var value = Number(part);
+        if (Math.floor(value) !== value || value < 0 || value > CUSTOM_SCALE_MAX_VALUE) {
+            isValid = false;
+        } else if (value > 0 && values.indexOf(value) === -1) {
+            values.push(value);
+        }
+    });
+    if (!isValid || values.length < 2) {
+        throw new Error((s.customScaleErrorValues || "Please enter at least two different whole numbers from 1 to {max}, separated by commas.")
+            .replace("{max}", CUSTOM_SCALE_MAX_VALUE));
+    }
+    values.sort(function(a, b) { return a - b; });
+
+    var labels = (labelsText || '').trim() === '' ? [] : labelsText.split(',').map(function(label) { return label.trim(); });
+    if (labels.length > 0 && labels.length !== values.length) {
+        throw new Error((s.customScaleErrorLabels || "Please enter one label per value ({count}) or leave the labels empty.")
+            .replace("{count}", values.length));
+    }
+
+    var baseId = 'custom-' + (name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'scale');
+    var id = baseId;
+    for (var n = 2; takenIds.indexOf(id) !== -1; n++) {
+        id = baseId + '-' + n;
+    }
+
+    return {
+        id: id,
+        name: name,
+        values: [0].concat(values),
+        labels: labels.length > 0 ? [''].concat(labels) : []
+    };
+}
+
+
+/**
+ * Checks a custom scale from a save file or share link against the rules of <code>parseCustomScale</code> and repairs what can be repaired.
+ * <br><b>Repairs:</b> The values are sorted and de-duplicated and the 0 is added in front if it is missing; labels follow their values.
+ * Labels that do not match the number of values are dropped.
+ * <br><b>Rejections:</b> An id that does not match <code>CUSTOM_SCALE_ID_PATTERN</code>, values that are not whole numbers
+ * from 0 to <code>CUSTOM_SCALE_MAX_VALUE</code> and fewer than two values above 0.
+ *
+ * @param {Object} scale - The scale definition.
+ * @returns {{id: string, name: string, values: Array<number>, labels: Array<string>}|null} The repaired scale, or <code>null</code> if it is invalid.
+ */
+function normalizeCustomScale(scale) {
+    if (!scale || typeof scale !== 'object' || typeof scale.id !== 'string' || !CUSTOM_SCALE_ID_PATTERN.test(scale.id)) return null;
+    if (!Array.isArray(scale.values) || !scale.values.every(function(value) {
+        return typeof value === 'number' && Math.floor(value) === value && value >= 0 && value <= CUSTOM_SCALE_MAX_VALUE;
+    })) return null;
+
+    var hasLabels = Array.isArray(scale.labels) && scale.labels.length === scale.values.length;
+    var entries = scale.values.map(function(value, index) {
+        return { value: value, label: hasLabels ? String(scale.labels[index] || '') : '' };
+    });
+    if (scale.values.indexOf(0) === -1) entries.push({ value: 0, label: '' });
+    entries.sort(function(a, b) { return a.value - b.value; });
+    entries = entries.filter(function(entry, index) {
+        return index === 0 || entry.value !== entries[index - 1].value;
+    });
+    if (entries.length < 3) return null;
+
+    var name = typeof scale.name === 'string' ? scale.name.trim() : '';
+    return {
+        id: scale.id,
+        name: name || scale.id,
+        values: entries.map(function(entry) { return entry.value; }),
+        labels: hasLabels ? [''].concat(entries.slice(1).map(function(entry) { return entry.label; })) : []
+    };
+}
+
+
+/**
+ * Returns the user-defined scales in the format of the save file (<code>settings.customScales</code>).
+ *
+ * @returns {Array<{id: string, name: string, values: Array<number>, labels: Array<string>}>} The custom scales.
+ */
+function getCustomScales() {
+    if (!SCALES) return [];
+    return Object.keys(SCALES).filter(function(id) {
+        return SCALES[id].isCustom;
+    }).map(function(id) {
+        return { id: id, name: SCALES[id].name, values: SCALES[id].values.slice(), labels: (SCALES[id].labels || []).slice() };
+    });
+}
+
+
+/**
+ * Replaces the user-defined scales in <code>SCALES</code> (e.g. after loading a save file or saving the Settings Modal).
+ * The built-in scales of <code>config.json</code> cannot be overwritten; every entry passes <code>normalizeCustomScale</code>, invalid ones are skipped.
+ *
+ * @param {Array<Object>} customScales - The scales as returned by <code>getCustomScales</code>.
+ */
+function applyCustomScales(customScales) {
+    if (!SCALES) return;
+
+    Object.keys(SCALES).forEach(function(id) {
+        if (SCALES[id].isCustom) delete SCALES[id];
+    });
+
+    (Array.isArray(customScales) ? customScales : []).forEach(function(entry) {
+        var scale = normalizeCustomScale(entry);
+        if (!scale || SCALES[scale.id]) return;
+        SCALES[scale.id] = {
+            name: scale.name,
+            values: scale.values,
+            labels: scale.labels,
+            isCustom: true
+        };
+    });
+}
+
+
+/**
+ * Looks up the values of a scale for the validation of a save file.
+ * The custom scales of the file take part in the lookup, since they are only applied after the file has been validated.
+ * They are looked up in the form <code>applyCustomScales</code> will apply them (see <code>normalizeCustomScale</code>).
+ *
+ * @param {string} scaleId - The scale named in the file.
+ * @param {Array<Object>} [customScales] - The custom scales of the file.
+ * @returns {Array|null} The scale values, or <code>null</code> if the scale is unknown.
+ */
+function findScaleValues(scaleId, customScales) {
+    if (SCALES && SCALES[scaleId] && !SCALES[scaleId].isCustom) return SCALES[scaleId].values;
+
+    var custom = (Array.isArray(customScales) ? customScales : []).map(normalizeCustomScale).find(function(scale) {
+        return scale && scale.id === scaleId;
+    });
+    if (custom) return custom.values;
+
+    return (SCALES && SCALES[scaleId]) ? SCALES[scaleId].values : null;
+}
+
+
+// ===================================================================================
+// COMPONENT WEIGHTS (WEIGHTED JOB SIZE & COST OF DELAY)
+// ===================================================================================
+
+
+/**
+ * The components that add up to the Job Size and to the Cost of Delay, in display order.
+ */
+var JOB_SIZE_COMPONENTS = ['complexity', 'effort', 'doubt'];
+var COD_COMPONENTS = ['cod_bv', 'cod_tc', 'cod_rroe'];
+
+
+/**
+ * The highest weight a single component may get. Larger inputs are capped; save files with larger weights fail the validation.
+ */
+var COMPONENT_WEIGHT_MAX = 10;
+
+
+/**
+ * Brings a weights object into its canonical form <code>{ complexity, effort, doubt, cod_bv, cod_tc, cod_rroe }</code>.
+ * <br><b>Fallback:</b> Missing, non-numeric, zero or negative weights become <code>1</code>, so a file without weights
+ * (or from an older version) keeps the plain sums. A weight of 0 is not allowed, as it would remove a component entirely
+ * and could turn the Job Size into 0 (division by zero in WSJF).
+ *
+ * @param {Object} [weights] - The weights to normalize (e.g. <code>settings.componentWeights</code> of a file).
+ * @returns {Object} A new object with one positive weight per component.
+ */
+function normalizeComponentWeights(weights) {
+    var source = (weights && typeof weights === 'object') ? weights : {};
+    var normalized = {};
+
+    JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).forEach(function(field) {
+        var weight = Number(source[field]);
+        normalized[field] = (isFinite(weight) && weight > 0) ? Math.min(weight, COMPONENT_WEIGHT_MAX) : 1;
+    });
+
+    return normalized;
+}
+
+
+/**
+ * Returns the weights currently in effect (<code>window.componentWeights</code>, see <code>applyComponentWeights</code>).
+ *
+ * @returns {Object} The normalized weights.
+ */
+function getComponentWeights() {
+    return normalizeComponentWeights(typeof window !== 'undefined' ? window.componentWeights : null);
+}
+
+
+/**
+ * Checks whether all components have the weight 1, i.e. Job Size and CoD are plain sums.
+ *
+ * @param {Object} [weights] - The weights to check. Defaults to the current weights.
+ * @returns {boolean} <code>true</code> if no component is weighted.
+ */
+function hasDefaultComponentWeights(weights) {
+    var normalized = weights ? normalizeComponentWeights(weights) : getComponentWeights();
+    return JOB_SIZE_COMPONENTS.concat(COD_COMPONENTS).every(function(field) {
+        return normalized[field] === 1;
+    });
+}
+
+
+/**
+ * Sums up the given components, each multiplied by its weight.
+ * The result is rounded to two decimals to avoid floating point noise such as <code>7.499999</code>.
+ *
+ * @param {Object} values - An object holding the component values (e.g. a PBI).
+ * @param {Array<string>} fields - The components to sum up.
+ * @param {Object} [weights] - The weights. Defaults to the current weights.
+ * @returns {number} The weighted sum.
+ */
+function calculateWeightedSum(values, fields, weights) {
+    var normalized = weights ? normalizeComponentWeights(weights) : getComponentWeights();
+    var total = fields.reduce(function(sum, field) {
+        return sum + (Number(values[field]) || 0) * normalized[field];
+    }, 0);
+    return Math.round(total * 100) / 100;
+}
+
+
+/**
+ * Calculates the Job Size as the weighted sum of Complexity, Effort and Doubt.
+ * <br><b>Note:</b> The caller decides whether the estimate is complete (all components &gt; 0); this function only does the math.
+ *
+ * @param {Object} values - An object holding <code>complexity</code>, <code>effort</code> and <code>doubt</code>.
+ * @param {Object} [weights] - The weights. Defaults to the current weights.
+ * @returns {number} The Job Size.
+ */
+function calculateJobSize(values, weights) {
+    return calculateWeightedSum(values, JOB_SIZE_COMPONENTS, weights);
+}
+
+
+/**
+ * Calculates the Cost of Delay as the weighted sum of Business Value, Time Criticality and Risk Reduction/Opportunity Enablement.
+ *
+ * @param {Object} values - An object holding <code>cod_bv</code>, <code>cod_tc</code> and <code>cod_rroe</code>.
+ * @param {Object} [weights] - The weights. Defaults to the current weights.
+ * @returns {number} The Cost of Delay.
+ */
+function calculateCod(values, weights) {
+    return calculateWeightedSum(values, COD_COMPONENTS, weights);
+}
+
+
+/**
+ * Recalculates <code>jobSize</code> and <code>cod</code> of a PBI from its components.
+ * Incomplete estimates (any component 0) get <code>null</code>, like everywhere else in the application.
+ *
+ * @param {Object} pbi - The PBI to update.
+ * @param {Object} [weights] - The weights. Defaults to the current weights.
+ */
+function recalculatePbiTotals(pbi, weights) {
+    var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+    var isCodComplete = pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0;
+
+    pbi.jobSize = isJobSizeComplete ? calculateJobSize(pbi, weights) : null;
+    pbi.cod = isCodComplete ? calculateCod(pbi, weights) : null;
+}
+
+
+/**
+ * Makes the given weights the current ones.
+ * <br><b>Stored Totals:</b> <code>jobSize</code> and <code>cod</code> are stored on every PBI, and all views (sorting, WSJF ranks,
+ * charts, CSV export) read them from there. Therefore the totals must be recalculated whenever the weights change,
+ * which is done for the passed items. Loading a file does not need this, as its totals were saved together with its weights.
+ *
+ * @param {Object} [weights] - The new weights (normalized, see <code>normalizeComponentWeights</code>).
+ * @param {Array<Object>} [items] - The PBIs whose totals should be recalculated. The spacer item is skipped.
+ */
+function applyComponentWeights(weights, items) {
+    var normalized = normalizeComponentWeights(weights);
+    if (typeof window !== 'undefined') {
+        window.componentWeights = normalized;
+    }
+
+    (Array.isArray(items) ? items : []).forEach(function(pbi) {
+        if (!pbi || pbi.isLastItem) return;
+        recalculatePbiTotals(pbi, normalized);
+    });
+}
+
+
+// ===================================================================================
+// PRIORITIZATION MODELS (WSJF, RICE, ICE, CD3, MOSCOW)
+// ===================================================================================
+
+
+/**
+ * The ranks of the MoSCoW buckets. A higher rank means a higher priority ("Won't have" still ranks above unsorted items).
+ */
+var MOSCOW_RANKS = { must: 4, should: 3, could: 2, wont: 1 };
+
+
+/**
+ * The registry of prioritization models. WSJF is the default; the others are alternatives for teams that do not use SAFe.
+ * <br><b>Structure of a model:</b>
  * <ul>
- * <li><b>Modern Format (State Object):</b> An object containing <code>{ settings: {...}, backlogItems: [...] }</code>. This restores the full environment including language, colors, and sort preferences.</li>
- * <li><b>Legacy Format (Array):</b> A simple array of PBI objects. In this case, the Backlog is populated, but all Settings (Colors, Scale) are reset to application defaults to ensure a clean state.</li>
+ * <li><code>name</code> / <code>nameKey</code>: The display name (fallback / key in <code>uiStrings</code>).</li>
+ * <li><code>descriptionKey</code> / <code>description</code>: The formula shown in the Settings Modal.</li>
+ * <li><code>fields</code>: The inputs of the model in the edit modal. Numeric fields define <code>min</code>, <code>max</code> and <code>step</code>;
+ * fields with <code>options</code> are rendered as a selection (numbers, or objects with <code>value</code> and a label).</li>
+ * <li><code>calculate(values, pbi)</code>: Returns the score from the complete inputs (the item is passed for models that use its CoD or Job Size).</li>
+ * </ul>
+ * <br><b>Storage:</b> The inputs are stored per model in <code>pbi.priority[modelId]</code>, so switching models keeps the data of the others.
+ * WSJF has no inputs of its own; it uses the Job Size and CoD of the item.
+ */
+var PRIORITIZATION_MODELS = {
+    wsjf: {
+        nameKey: 'modelNameWsjf', name: 'WSJF',
+        descriptionKey: 'modelDescriptionWsjf', description: 'Cost of Delay / Job Size',
+        fields: [],
+        calculate: function(values, pbi) {
+            var isComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0 &&
+                             pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0;
+            return (isComplete && pbi.jobSize > 0) ? (pbi.cod || 0) / pbi.jobSize : null;
+        }
+    },
+    rice: {
+        nameKey: 'modelNameRice', name: 'RICE',
+        descriptionKey: 'modelDescriptionRice', description: 'Reach × Impact × Confidence / Effort',
+        fields: [
+            { key: 'reach', labelKey: 'priorityFieldReach', label: 'Reach', min: 0, step: 1 },
+            { key: 'impact', labelKey: 'priorityFieldImpact', label: 'Impact', options: [0.25, 0.5, 1, 2, 3] },
+            { key: 'confidence', labelKey: 'priorityFieldConfidencePercent', label: 'Confidence (%)', options: [50, 80, 100] },
+            { key: 'effort', labelKey: 'priorityFieldEffortMonths', label: 'Effort (person-months)', min: 0.1, step: 0.1 }
+        ],
+        calculate: function(values) {
+            return values.effort > 0 ? values.reach * values.impact * (values.confidence / 100) / values.effort : null;
+        }
+    },
+    ice: {
+        nameKey: 'modelNameIce', name: 'ICE',
+        descriptionKey: 'modelDescriptionIce', description: 'Impact × Confidence × Ease',
+        fields: [
+            { key: 'impact', labelKey: 'priorityFieldImpact', label: 'Impact', min: 1, max: 10, step: 1 },
+            { key: 'confidence', labelKey: 'priorityFieldConfidence', label: 'Confidence', min: 1, max: 10, step: 1 },
+            { key: 'ease', labelKey: 'priorityFieldEase', label: 'Ease', min: 1, max: 10, step: 1 }
+        ],
+        calculate: function(values) {
+            return values.impact * values.confidence * values.ease;
+        }
+    },
+    cd3: {
+        nameKey: 'modelNameCd3', name: 'CD3',
+        descriptionKey: 'modelDescriptionCd3', description: 'Cost of Delay / Duration',
+        fields: [
+            { key: 'duration', labelKey: 'priorityFieldDuration', label: 'Duration (weeks)', min: 0.5, step: 0.5 }
+        ],
+        calculate: function(values, pbi) {
+            var isCodComplete = pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0;
+            return (isCodComplete && pbi.cod > 0 && values.duration > 0) ? pbi.cod / values.duration : null;
+        }
+    },
+    moscow: {
+        nameKey: 'modelNameMoscow', name: 'MoSCoW',
+        descriptionKey: 'modelDescriptionMoscow', description: "Must, Should, Could, Won't have",
+        fields: [
+            { key: 'bucket', labelKey: 'priorityFieldBucket', label: 'Bucket', options: [
+                { value: 'must', labelKey: 'moscowMust', label: 'Must have' },
+                { value: 'should', labelKey: 'moscowShould', label: 'Should have' },
+                { value: 'could', labelKey: 'moscowCould', label: 'Could have' },
+                { value: 'wont', labelKey: 'moscowWont', label: "Won't have" }
+            ] }
+        ],
+        calculate: function(values) {
+            return MOSCOW_RANKS[values.bucket] || null;
+        }
+    }
+};
+
+
+/**
+ * Returns the key of the active prioritization model (<code>currentPrioritizationModel</code>).
+ * Unknown models (e.g. from a newer file) fall back to WSJF.
+ *
+ * @returns {string} A key of <code>PRIORITIZATION_MODELS</code>.
+ */
+function getActivePrioritizationModel() {
+    var modelId = (typeof currentPrioritizationModel !== 'undefined') ? currentPrioritizationModel : null;
+    return PRIORITIZATION_MODELS[modelId] ? modelId : 'wsjf';
+}
+
+
+/**
+ * Returns the display name of a prioritization model in the current language.
+ *
+ * @param {string} [modelId] - The model; defaults to the active one.
+ * @returns {string} The name, e.g. "RICE".
+ */
+function getPrioritizationModelName(modelId) {
+    var model = PRIORITIZATION_MODELS[modelId || getActivePrioritizationModel()] || PRIORITIZATION_MODELS.wsjf;
+    var s = (typeof config !== 'undefined' && config && config.uiStrings) ? config.uiStrings : {};
+    return s[model.nameKey] || model.name;
+}
+
+
+/**
+ * Returns the display label of an input field or of one of its options.
+ *
+ * @param {Object} entry - A field or option definition of <code>PRIORITIZATION_MODELS</code>.
+ * @returns {string} The label in the current language.
+ */
+function getPriorityLabel(entry) {
+    var s = (typeof config !== 'undefined' && config && config.uiStrings) ? config.uiStrings : {};
+    return s[entry.labelKey] || entry.label;
+}
+
+
+/**
+ * Returns the stored inputs of a Backlog Item for a prioritization model.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} modelId - The key of the model in <code>PRIORITIZATION_MODELS</code>.
+ * @returns {Object} The inputs by field (empty if the item has none for this model).
+ */
+function getPriorityValues(pbi, modelId) {
+    return (pbi && pbi.priority && pbi.priority[modelId]) || {};
+}
+
+
+/**
+ * Stores the inputs of a Backlog Item for a prioritization model (replaces <code>pbi.priority[modelId]</code>).
+ * Empty inputs (<code>null</code>, <code>undefined</code>, <code>''</code>) are dropped; without any input the entry
+ * (and finally <code>pbi.priority</code>) is removed, so items without prioritization data stay lean in the save file.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} modelId - The key of the model.
+ * @param {Object} values - The inputs by field.
+ */
+function storePriorityValues(pbi, modelId, values) {
+    var cleaned = {};
+    Object.keys(values || {}).forEach(function(key) {
+        if (values[key] !== null && values[key] !== undefined && values[key] !== '') cleaned[key] = values[key];
+    });
+
+    if (!pbi.priority) pbi.priority = {};
+    if (Object.keys(cleaned).length > 0) {
+        pbi.priority[modelId] = cleaned;
+    } else {
+        delete pbi.priority[modelId];
+    }
+    if (Object.keys(pbi.priority).length === 0) delete pbi.priority;
+}
+
+
+/**
+ * Lists the labels of the inputs a Backlog Item still lacks for a score (used for the "n/a" tooltips).
+ * CD3 also needs the complete Cost of Delay of the item.
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} [modelId] - The model; defaults to the active one.
+ * @returns {Array<string>} The missing inputs (empty if the score can be calculated).
+ */
+function getMissingPriorityFields(pbi, modelId) {
+    var id = modelId || getActivePrioritizationModel();
+    var model = PRIORITIZATION_MODELS[id];
+    var s = (typeof config !== 'undefined' && config && config.uiStrings) ? config.uiStrings : {};
+    var missing = [];
+
+    if (id === 'wsjf') {
+        if (!(pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0)) missing.push(s.groupJobSize || 'Job Size');
+    }
+    if (id === 'wsjf' || id === 'cd3') {
+        if (!(pbi.cod_bv > 0 && pbi.cod_tc > 0 && pbi.cod_rroe > 0)) missing.push(s.groupCoD || 'Cost of Delay');
+    }
+
+    var values = getPriorityValues(pbi, id);
+    (model ? model.fields : []).forEach(function(field) {
+        if (values[field.key] === undefined || values[field.key] === null || values[field.key] === '') {
+            missing.push(getPriorityLabel(field));
+        }
+    });
+    return missing;
+}
+
+
+/**
+ * Calculates the score of a Backlog Item in a prioritization model. Higher scores mean higher priority.
+ * <br><b>Formulas:</b>
+ * <ul>
+ * <li><b>WSJF:</b> Cost of Delay / Job Size.</li>
+ * <li><b>RICE:</b> Reach × Impact × Confidence (%) / Effort.</li>
+ * <li><b>ICE:</b> Impact × Confidence × Ease (each 1–10).</li>
+ * <li><b>CD3:</b> Cost of Delay / Duration.</li>
+ * <li><b>MoSCoW:</b> The rank of the bucket (<code>MOSCOW_RANKS</code>).</li>
+ * </ul>
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} [modelId] - The model; defaults to the active one.
+ * @returns {number|null} The score, or <code>null</code> if inputs are missing.
+ */
+function getPriorityScore(pbi, modelId) {
+    if (!pbi || pbi.isLastItem) return null;
+    var id = modelId || getActivePrioritizationModel();
+    var model = PRIORITIZATION_MODELS[id];
+    if (!model) return null;
+
+    var values = getPriorityValues(pbi, id);
+    var isComplete = model.fields.every(function(field) {
+        return values[field.key] !== undefined && values[field.key] !== null && values[field.key] !== '';
+    });
+    if (!isComplete) return null;
+
+    var score = model.calculate(values, pbi);
+    return (typeof score === 'number' && isFinite(score)) ? score : null;
+}
+
+
+/**
+ * Formats a score for display: MoSCoW shows the bucket name, all other models a number with two decimals in the number format of the UI language (as in the WSJF column, see <code>formatNumber</code>).
+ *
+ * @param {Object} pbi - The Backlog Item.
+ * @param {string} [modelId] - The model; defaults to the active one.
+ * @returns {string|null} The formatted score, or <code>null</code> if it cannot be calculated.
+ */
+function formatPriorityScore(pbi, modelId) {
+    var id = modelId || getActivePrioritizationModel();
+    var score = getPriorityScore(pbi, id);
+    if (score === null) return null;
+
+    if (id === 'moscow') {
+        return formatPriorityValue(PRIORITIZATION_MODELS.moscow.fields[0], getPriorityValues(pbi, id).bucket);
+    }
+    return formatNumber(score, 2);
+}
+
+
+/**
+ * Formats one stored input for display (e.g. in the Relative Sizing table).
+ *
+ * @param {Object} field - The field definition of <code>PRIORITIZATION_MODELS</code>.
+ * @param {*} value - The stored value.
+ * @returns {string} The label of the chosen option, the number in the format of the UI language (<code>formatNumber</code>), or "-" if empty.
+ */
+function formatPriorityValue(field, value) {
+    if (value === undefined || value === null || value === '') return '-';
+    var option = (field.options || []).find(function(o) { return typeof o === 'object' && o.value === value; });
+    if (option) return getPriorityLabel(option);
+    return formatNumber(value);
+}
+
+
+/**
+ * Activates a prioritization model. Unknown keys fall back to WSJF.
+ * The sort criteria <code>'wsjf'</code> always stands for the score of the active model, so an active sort follows the switch.
+ *
+ * @param {string} modelId - The key of the model.
+ */
+function applyPrioritizationModel(modelId) {
+    currentPrioritizationModel = PRIORITIZATION_MODELS[modelId] ? modelId : 'wsjf';
+}
+
+
+// ===================================================================================
+// URGENCY PROFILES (COST OF DELAY OVER TIME)
+// ===================================================================================
+
+
+/**
+ * Multiplier of the Cost of Delay for items with the "Expedite" profile.
+ * Expedited items are so urgent that every moment of waiting costs several times their regular CoD.
+ */
+var URGENCY_EXPEDITE_FACTOR = 3;
+
+
+/**
+ * Up to this number of items, <code>computeOptimalSchedule</code> searches all orders exactly (dynamic programming over subsets, 2^n states).
+ * Larger backlogs are improved heuristically, starting from the WSJF order.
+ */
+var OPTIMAL_SCHEDULE_EXACT_LIMIT = 16;
+
+/**
+ * The budget of the heuristic search in <code>improveScheduleLocally</code>, counted in evaluated item costs.
+ * The schedule is computed on every render, so the search stops when the budget is used up (a few ten milliseconds),
+ * even if further moves would still lower the cost.
+ */
+var OPTIMAL_SCHEDULE_MAX_STEPS = 1000000;
+
+/**
+ * The last result of <code>computeOptimalSchedule</code>: <code>{ signature, ids }</code>.
+ * Most renders (e.g. opening a dialog or switching tabs) do not change Job Size, CoD, urgency or dependencies, so the search is skipped then.
+ */
+let optimalScheduleCache = null;
+
+
+/**
+ * The registry of urgency profiles (time criticality). A profile describes how the Cost of Delay of an item develops while it waits.
+ * <br><b>Structure of a profile:</b>
+ * <ul>
+ * <li><code>labelKey</code> / <code>label</code>: The display name (key in <code>uiStrings</code> / fallback).</li>
+ * <li><code>delayCost(cod, time, deadline, horizon)</code>: The delay cost accumulated if the item waits from time 0 until <code>time</code>
+ * (the area under its CoD curve). Time is measured in cumulative Job Size, like the x-axis of the delay chart;
+ * <code>horizon</code> is the total Job Size of the planned items.</li>
+ * </ul>
+ * <br><b>Profiles:</b>
+ * <ul>
+ * <li><b>Standard:</b> The CoD is constant (the classic WSJF assumption).</li>
+ * <li><b>Fixed date:</b> Waiting costs nothing until the deadline; afterwards the full CoD is due.</li>
+ * <li><b>Expedite:</b> The CoD is constant but multiplied by <code>URGENCY_EXPEDITE_FACTOR</code>.</li>
+ * <li><b>Intangible (rising):</b> The CoD is close to zero today and rises linearly, reaching the full CoD at the end of the horizon.</li>
+ * </ul>
+ * <br><b>Storage:</b> <code>pbi.urgency = { profile, deadline }</code>. Items without this property use the standard profile.
+ */
+var URGENCY_PROFILES = {
+    standard: {
+        labelKey: 'urgencyProfileStandard', label: 'Standard',
+        delayCost: function(cod, time) {
+            return cod * time;
+        }
+    },
+    fixedDate: {
+        labelKey: 'urgencyProfileFixedDate', label: 'Fixed date',
+        delayCost: function(cod, time, deadline) {
+            return cod * Math.max(0, time - (deadline || 0));
+        }
+    },
+    expedite: {
+        labelKey: 'urgencyProfileExpedite', label: 'Expedite',
+        delayCost: function(cod, time) {
+            return cod * URGENCY_EXPEDITE_FACTOR * time;
+        }
+    },
+    intangible: {
+        labelKey: 'urgencyProfileIntangible', label: 'Intangible (rising)',
+        delayCost: function(cod, time, deadline, horizon) {
+            return horizon > 0 ? cod * time * time / (2 * horizon) : 0;
+        }
+    }
+};
+
+
+/**
+ * Returns the urgency profile of an item. Missing or unknown profiles fall back to "standard";
+ * the deadline is only kept for the fixed-date profile.
+ *
+ * @param {Object} pbi - The item.
+ * @returns {{profile: string, deadline: (number|null)}} The normalized profile.
+ */
+function getUrgencyProfile(pbi) {
+    var urgency = (pbi && pbi.urgency && typeof pbi.urgency === 'object') ? pbi.urgency : {};
+    var profile = URGENCY_PROFILES[urgency.profile] ? urgency.profile : 'standard';
+    var deadline = (profile === 'fixedDate' && typeof urgency.deadline === 'number' && isFinite(urgency.deadline))
+        ? Math.max(0, urgency.deadline)
+        : null;
+    return { profile: profile, deadline: deadline };
+}
+
+
+/**
+ * Returns the display name of an urgency profile in the current language.
+ *
+ * @param {string} profileId - A key of <code>URGENCY_PROFILES</code>.
+ * @returns {string} The name, e.g. "Fixed date".
+ */
+function getUrgencyProfileLabel(profileId) {
+    var profile = URGENCY_PROFILES[profileId] || URGENCY_PROFILES.standard;
+    var s = (typeof config !== 'undefined' && config.uiStrings) ? config.uiStrings : {};
+    return s[profile.labelKey] || profile.label;
+}
+
+
+/**
+ * Stores the urgency profile on an item. The standard profile removes <code>pbi.urgency</code>, so unchanged items keep their old shape.
+ *
+ * @param {Object} pbi - The item to update.
+ * @param {string} profileId - A key of <code>URGENCY_PROFILES</code>.
+ * @param {number|null} [deadline] - The deadline in cumulative Job Size (fixed-date profile only).
+ */
+function storeUrgencyProfile(pbi, profileId, deadline) {
+    if (!URGENCY_PROFILES[profileId] || profileId === 'standard') {
+        delete pbi.urgency;
+        return;
+    }
+    var isValidDeadline = profileId === 'fixedDate' && typeof deadline === 'number' && isFinite(deadline);
+    pbi.urgency = { profile: profileId, deadline: isValidDeadline ? Math.max(0, deadline) : null };
+}
+
+
+/**
+ * Calculates the delay cost an item accumulates while it waits from time 0 until <code>time</code>, following its urgency profile.
+ *
+ * @param {Object} pbi - The item (uses <code>cod</code> and <code>urgency</code>).
+ * @param {number} time - The time at which the item is started, in cumulative Job Size.
+ * @param {number} horizon - The total Job Size of the planned items (scales the rising profile).
+ * @returns {number} The accumulated delay cost.
+ */
+function calculateDelayCost(pbi, time, horizon) {
+    var urgency = getUrgencyProfile(pbi);
+    return URGENCY_PROFILES[urgency.profile].delayCost(pbi.cod || 0, Math.max(0, time), urgency.deadline, horizon);
+}
+
+
+/**
+ * Calculates the total delay cost of processing items in the given order.
+ * Each item waits until all items before it are done, so it accumulates its delay cost up to the sum of their Job Sizes.
+ *
+ * @param {Array<Object>} orderedPbis - The items in processing order.
+ * @returns {number} The total delay cost (the area under the delay chart).
+ */
+function calculateScheduleDelayCost(orderedPbis) {
+    var horizon = orderedPbis.reduce(function(sum, pbi) { return sum + (pbi.jobSize || 0); }, 0);
+    var startTime = 0;
+    var total = 0;
+    orderedPbis.forEach(function(pbi) {
+        total += calculateDelayCost(pbi, startTime, horizon);
+        startTime += pbi.jobSize || 0;
+    });
+    return total;
+}
+
+
+/**
+ * Computes the processing order with the lowest total delay cost (<code>calculateScheduleDelayCost</code>).
+ * <br><b>Why not just sort by WSJF?</b> Sorting by CoD / Job Size is only optimal while every CoD is constant.
+ * With deadlines and rising costs the best position of an item depends on when the others are done, so the order is searched:
+ * <ul>
+ * <li><b>Up to <code>OPTIMAL_SCHEDULE_EXACT_LIMIT</code> items:</b> Exact search by dynamic programming over the set of already processed items.
+ * The start time of the next item only depends on that set, so the cheapest way to reach every set is enough.</li>
+ * <li><b>Larger backlogs:</b> Starting from the WSJF order, items are moved to other positions as long as this lowers the total cost (local search).</li>
  * </ul>
+ * The WSJF order is kept if no order is cheaper, so backlogs with only standard profiles show the familiar ranking.
+ * <br><b>Dependencies:</b> If items depend on each other (<code>dependsOn</code>), the starting point is the WSJF-greedy schedule under these
+ * constraints (<code>orderByDependencies</code>) and both searches only consider orders in which every item follows its dependencies.
+ * A cyclic dependency (<code>findDependencyCycle</code>) cannot be satisfied; the links are then ignored and the caller reports the cycle.
+ * <br><b>Cache:</b> The result is reused as long as the inputs of the search are unchanged (see <code>optimalScheduleCache</code>).
+ *
+ * @param {Array<Object>} pbiList - The items with a valid Job Size and CoD.
+ * @returns {Array<Object>} The items in optimal order (a new array).
+ */
+function computeOptimalSchedule(pbiList) {
+    var signature = JSON.stringify(pbiList.map(function(pbi) {
+        return [pbi.id, pbi.jobSize, pbi.cod, pbi.urgency || null, getDependencies(pbi)];
+    }));
+    if (optimalScheduleCache && optimalScheduleCache.signature === signature) {
+        var byId = {};
+        pbiList.forEach(function(pbi) { byId[pbi.id] = pbi; });
+        return optimalScheduleCache.ids.map(function(id) { return byId[id]; });
+    }
+
+    var schedule = searchOptimalSchedule(pbiList);
+    optimalScheduleCache = { signature: signature, ids: schedule.map(function(pbi) { return pbi.id; }) };
+    return schedule;
+}
+
+
+/**
+ * The search behind <code>computeOptimalSchedule</code> (without the cache).
+ *
+ * @param {Array<Object>} pbiList - The items with a valid Job Size and CoD.
+ * @returns {Array<Object>} The items in optimal order (a new array).
+ */
+function searchOptimalSchedule(pbiList) {
+    var wsjfOrder = pbiList.slice().sort(function(a, b) {
+        return (b.cod / (b.jobSize || 1)) - (a.cod / (a.jobSize || 1));
+    });
+    if (wsjfOrder.length < 2) return wsjfOrder;
+
+    var ignoreDependencies = findDependencyCycle(wsjfOrder) !== null;
+    if (!ignoreDependencies) wsjfOrder = orderByDependencies(wsjfOrder);
+
+    var wsjfCost = calculateScheduleDelayCost(wsjfOrder);
+    var candidate = (wsjfOrder.length <= OPTIMAL_SCHEDULE_EXACT_LIMIT)
+        ? searchExactSchedule(wsjfOrder, ignoreDependencies)
+        : improveScheduleLocally(wsjfOrder, ignoreDependencies);
+
+    return (calculateScheduleDelayCost(candidate) < wsjfCost - 1e-9) ? candidate : wsjfOrder;
+}
+
+
+/**
+ * Exact search for <code>computeOptimalSchedule</code>: dynamic programming over all subsets of items.
+ * <code>best[mask]</code> is the lowest cost to process the items in <code>mask</code> first; <code>last[mask]</code> remembers the item processed last.
+ * An item can only be added to a set that already contains all of its dependencies (<code>required[j]</code>).
+ *
+ * @param {Array<Object>} items - The items (at most <code>OPTIMAL_SCHEDULE_EXACT_LIMIT</code>).
+ * @param {boolean} [ignoreDependencies=false] - Searches all orders, e.g. if the dependencies contain a cycle.
+ * @returns {Array<Object>} The items in an optimal order.
+ */
+function searchExactSchedule(items, ignoreDependencies) {
+    var n = items.length;
+    var size = 1 << n;
+    var horizon = items.reduce(function(sum, pbi) { return sum + (pbi.jobSize || 0); }, 0);
+    var best = new Float64Array(size).fill(Infinity);
+    var last = new Int8Array(size);
+    var elapsed = new Float64Array(size);
+    var dependencyMap = buildDependencyMap(items);
+    var required = items.map(function(pbi) {
+        return ignoreDependencies ? 0 : dependencyMap[pbi.id].reduce(function(bits, dependency) { return bits | (1 << items.indexOf(dependency)); }, 0);
+    });
+    best[0] = 0;
+
+    for (var mask = 1; mask < size; mask++) {
+        var lowest = 31 - Math.clz32(mask & -mask);
+        elapsed[mask] = elapsed[mask & (mask - 1)] + (items[lowest].jobSize || 0);
+    }
+
+    for (mask = 0; mask < size; mask++) {
+        if (best[mask] === Infinity) continue;
+        for (var j = 0; j < n; j++) {
+            var bit = 1 << j;
+            if ((mask & bit) || (mask & required[j]) !== required[j]) continue;
+            var cost = best[mask] + calculateDelayCost(items[j], elapsed[mask], horizon);
+            if (cost < best[mask | bit] - 1e-9) {
+                best[mask | bit] = cost;
+                last[mask | bit] = j;
+            }
+        }
+    }
+
+    if (best[size - 1] === Infinity) return items.slice();
+
+    var order = [];
+    for (mask = size - 1; mask > 0; mask &= ~(1 << last[mask])) {
+        order.unshift(items[last[mask]]);
+    }
+    return order;
+}
+
+
+/**
+ * Heuristic search for <code>computeOptimalSchedule</code>: moves single items to other positions as long as this lowers the total cost.
+ * Moves that would put an item before one of its dependencies are skipped. Stops when no move helps anymore, after a fixed number of passes
+ * or when <code>OPTIMAL_SCHEDULE_MAX_STEPS</code> is used up.
+ * <br><b>Incremental Costs:</b> A move only shifts the items between its two positions (the horizon stays the same),
+ * so only their costs are recalculated instead of the whole schedule.
+ *
+ * @param {Array<Object>} items - The items in their starting order.
+ * @param {boolean} [ignoreDependencies=false] - Allows moves that violate dependencies, e.g. if the dependencies contain a cycle.
+ * @returns {Array<Object>} The improved order.
+ */
+function improveScheduleLocally(items, ignoreDependencies) {
+    var order = items.slice();
+    var n = order.length;
+    var horizon = order.reduce(function(sum, pbi) { return sum + (pbi.jobSize || 0); }, 0);
+    var maxPasses = 20;
+    var steps = 0;
+    var dependencyMap = (!ignoreDependencies && hasDependencies(order)) ? buildDependencyMap(order) : null;
+    var starts = new Float64Array(n);
+    var costs = new Float64Array(n);
+    var urgencies = {};
+    order.forEach(function(pbi) { urgencies[pbi.id] = getUrgencyProfile(pbi); });
+
+    var costAt = function(pbi, time) {
+        var urgency = urgencies[pbi.id];
+        return URGENCY_PROFILES[urgency.profile].delayCost(pbi.cod || 0, Math.max(0, time), urgency.deadline, horizon);
+    };
+    var dependsOn = function(pbi, other) {
+        return dependencyMap[pbi.id].indexOf(other) !== -1;
+    };
+    var measure = function() {
+        var time = 0;
+        for (var i = 0; i < n; i++) {
+            starts[i] = time;
+            costs[i] = costAt(order[i], time);
+            time += order[i].jobSize || 0;
+        }
+    };
+
+    measure();
+    for (var pass = 0; pass < maxPasses && steps < OPTIMAL_SCHEDULE_MAX_STEPS; pass++) {
+        var improved = false;
+        for (var from = 0; from < n && steps < OPTIMAL_SCHEDULE_MAX_STEPS; from++) {
+            var moved = order[from];
+            var size = moved.jobSize || 0;
+            var bestTo = -1;
+            var bestDelta = -1e-9;
+            var to, delta, shiftedBefore, shiftedAfter;
+
+            // The costs of the passed items are summed up while "to" moves away from "from", so each position costs two evaluations.
+            // Moving earlier stops at the first dependency, moving later at the first dependent item.
+            shiftedBefore = 0;
+            shiftedAfter = 0;
+            for (to = from - 1; to >= 0 && !(dependencyMap && dependsOn(moved, order[to])); to--) {
+                shiftedBefore += costs[to];
+                shiftedAfter += costAt(order[to], starts[to] + size);
+                delta = costAt(moved, starts[to]) + shiftedAfter - shiftedBefore - costs[from];
+                if (delta < bestDelta) { bestDelta = delta; bestTo = to; }
+            }
+            shiftedBefore = 0;
+            shiftedAfter = 0;
+            for (to = from + 1; to < n && !(dependencyMap && dependsOn(order[to], moved)); to++) {
+                shiftedBefore += costs[to];
+                shiftedAfter += costAt(order[to], starts[to] - size);
+                delta = costAt(moved, starts[to] + (order[to].jobSize || 0) - size) + shiftedAfter - shiftedBefore - costs[from];
+                if (delta < bestDelta) { bestDelta = delta; bestTo = to; }
+            }
+            steps += 2 * (n - 1);
+            if (bestTo !== -1) {
+                order.splice(bestTo, 0, order.splice(from, 1)[0]);
+                measure();
+                improved = true;
+            }
+        }
+        if (!improved) break;
+    }
+    return order;
+}
+
+
+// ===================================================================================
+// CAPACITY PLANNING (PI / ITERATION BOUNDARIES)
+// ===================================================================================
+
+
+/**
+ * The planning periods a capacity can refer to. The label is used for the boundaries in the charts (e.g. "PI 2") and the cut line in the lists.
+ */
+var CAPACITY_PERIODS = {
+    pi: { labelKey: 'capacityPeriodPi', label: 'PI' },
+    iteration: { labelKey: 'capacityPeriodIteration', label: 'Iteration' }
+};
+
+
+/**
+ * Normalizes a capacity setting (e.g. from a save file).
+ * A missing, zero or invalid number of points disables the capacity display; unknown periods fall back to "pi".
+ *
+ * @param {Object} [capacity] - The raw setting <code>{ points, period }</code>.
+ * @returns {{points: number, period: string}} The normalized setting.
+ */
+function normalizeCapacity(capacity) {
+    var source = (capacity && typeof capacity === 'object') ? capacity : {};
+    var points = parseFloat(source.points);
+    return {
+        points: (isFinite(points) && points > 0) ? points : 0,
+        period: CAPACITY_PERIODS[source.period] ? source.period : 'pi'
+    };
+}
+
+
+/**
+ * Returns the capacity currently in effect (<code>window.capacitySettings</code>, see <code>applyCapacity</code>).
+ *
+ * @returns {{points: number, period: string}} The normalized setting; <code>points</code> is 0 if no capacity is configured.
+ */
+function getCapacity() {
+    return normalizeCapacity(typeof window !== 'undefined' ? window.capacitySettings : null);
+}
+
+
+/**
+ * Activates a capacity setting.
  *
- * <h3>Restoration Logic:</h3>
- * <ul>
- * <li><b>Custom Sort Reconstruction:</b> The function reads the <code>customSortIndex</code> from each imported item to rebuild the global <code>lockedPbiOrder</code> array. This ensures that a list manually sorted via Drag-and-Drop looks exactly the same after import.</li>
- * <li><b>Visual State:</b> Restores custom colors (WSJF Ranks) and Reference Markers.</li>
- * <li><b>Global Reset:</b> Before applying, it clears specific global state variables (`pbiIdToCustomColor`, `lockedPbiOrder`) to prevent mixing old and new data traces.</li>
- * </ul>
+ * @param {Object} [capacity] - The new setting <code>{ points, period }</code> (normalized, see <code>normalizeCapacity</code>).
+ */
+function applyCapacity(capacity) {
+    if (typeof window !== 'undefined') {
+        window.capacitySettings = normalizeCapacity(capacity);
+    }
+}
+
+
+/**
+ * Returns the display name of a planning period, e.g. "PI 2" or "Iteration 3".
  *
- * <br><b>User Interaction:</b>
- * If the current session already contains data (non-spacer items), it triggers a browser <code>confirm()</code> dialog to prevent accidental data loss.
- * Upon success, it updates <code>lastImportedFileName</code>, triggers a full re-render, and forces a save to LocalStorage.
+ * @param {number} number - The 1-based number of the period.
+ * @param {string} [period] - A key of <code>CAPACITY_PERIODS</code>. Defaults to the configured period.
+ * @returns {string} The name.
+ */
+function formatCapacityPeriod(number, period) {
+    var periodInfo = CAPACITY_PERIODS[period || getCapacity().period] || CAPACITY_PERIODS.pi;
+    var s = (typeof config !== 'undefined' && config.uiStrings) ? config.uiStrings : {};
+    return (s[periodInfo.labelKey] || periodInfo.label) + ' ' + number;
+}
+
+
+/**
+ * Assigns items to planning periods by filling the capacity in the given order.
+ * <br><b>Logic:</b> The items are processed one after another, like on the x-axis of the delay chart. An item belongs to the period in which it starts;
+ * if it ends after the boundary of that period, it is <i>split</i> across periods. Items that end within the first period fit into the next PI (or iteration).
+ * Items without a Job Size take no capacity and are not planned.
  *
- * @param {object|Array} data - The parsed JSON data from the file.
- * @param {string} [fileName] - The name of the file (used for tracking and defaulting future exports).
+ * @param {Array<Object>} orderedPbis - The items in processing order.
+ * @param {{points: number, period: string}} capacity - The capacity per period.
+ * @returns {{points: number, items: Object, boundaries: Array<number>, cutBeforeId: (number|string|null)}}
+ * <code>items</code> maps the item IDs to <code>{ start, end, period, lastPeriod, isSplit, fitsNextPeriod }</code>;
+ * <code>boundaries</code> lists the cumulative Job Sizes at which a period ends (within the planned work);
+ * <code>cutBeforeId</code> is the first item that does not completely fit into the next period (<code>null</code> if all fit).
  */
-function applyImportedData(data, fileName) {
-    try {
-        var importedPbis;
-        var importedSettings = null;
-
-        if (data.hasOwnProperty('settings') && data.hasOwnProperty('backlogItems')) {
-            importedSettings = data.settings;
-            importedPbis = data.backlogItems;
-            if (!Array.isArray(importedPbis)) {
-                throw new Error("Invalid backlogItems format in new structure");
-            }
-        }
-        else if (Array.isArray(data)) {
-            importedPbis = data;
-            importedSettings = null;
-            console.warn("Importing old format (array of PBIs). Settings will be reset to defaults.");
-        }
-        else {
-            throw new Error("Unrecognized file format");
-        }
+function calculateCapacityPlan(orderedPbis, capacity) {
+    var points = capacity ? capacity.points : 0;
+    var plan = { points: points, items: {}, boundaries: [], cutBeforeId: null };
+    if (!(points > 0)) return plan;
+
+    var time = 0;
+    (orderedPbis || []).forEach(function(pbi) {
+        if (!pbi || pbi.isLastItem || !(pbi.jobSize > 0)) return;
+
+        var start = time;
+        var end = time + pbi.jobSize;
+        var period = Math.floor(start / points + 1e-9) + 1;
+        var lastPeriod = Math.max(period, Math.ceil(end / points - 1e-9));
+
+        plan.items[pbi.id] = {
+            start: start,
+            end: end,
+            period: period,
+            lastPeriod: lastPeriod,
+            isSplit: lastPeriod > period,
+            fitsNextPeriod: lastPeriod === 1
+        };
+        if (plan.cutBeforeId === null && lastPeriod > 1) plan.cutBeforeId = pbi.id;
+        time = end;
+    });
 
-        if (importedPbis.length > 0 && (!importedPbis[0] || !importedPbis[0].hasOwnProperty('title'))) {
-             throw new Error("Invalid backlog item structure in data");
-        }
+    for (var boundary = points, k = 1; boundary < time - 1e-9; k++, boundary = k * points) {
+        plan.boundaries.push(boundary);
+    }
+    return plan;
+}
 
-        var applyImport = function() {
-            if (typeof pbiIdToCustomColor !== 'undefined') {
-                pbiIdToCustomColor = {};
-            }
-            if (typeof lockedPbiOrder !== 'undefined') {
-                lockedPbiOrder = [];
-            }
-            if (typeof initialCustomOrderSet !== 'undefined') {
-                initialCustomOrderSet = false;
-            }
 
-            var pbisWithSortIndex = [];
-            var pbisWithoutSortIndex = [];
+// ===================================================================================
+// DEPENDENCIES (DEPENDS-ON LINKS)
+// ===================================================================================
 
-            importedPbis.forEach(function(pbi) {
-                if (!pbi) return;
 
-                if (pbi.isReference === true && !pbi.referenceType) {
-                    pbi.referenceType = 'min';
-                }
+/**
+ * Returns the ids of the items an item depends on ("B depends on A": A has to be done first).
+ * <br><b>Storage:</b> <code>pbi.dependsOn = [id, ...]</code>. Items without this property have no dependencies.
+ * Links to the item itself and duplicates are ignored; links to deleted items are filtered by the functions that resolve them against a list.
+ *
+ * @param {Object} pbi - The item.
+ * @returns {Array<number|string>} The ids of its dependencies.
+ */
+function getDependencies(pbi) {
+    if (!pbi || !Array.isArray(pbi.dependsOn)) return [];
+    var seen = {};
+    return pbi.dependsOn.filter(function(id) {
+        if ((typeof id !== 'number' && typeof id !== 'string') || String(id) === String(pbi.id) || seen[id]) return false;
+        seen[id] = true;
+        return true;
+    });
+}
 
-                pbi.isReference = (pbi.referenceType === 'min' || pbi.referenceType === 'max');
 
-                if (pbi.wsjfRankColor && typeof pbi.wsjfRankColor === 'string' && typeof pbiIdToCustomColor !== 'undefined') {
-                    pbiIdToCustomColor[pbi.id] = pbi.wsjfRankColor;
-                }
+/**
+ * Stores the dependencies of an item. An empty list removes <code>pbi.dependsOn</code>, so items without links keep their old shape.
+ *
+ * @param {Object} pbi - The item to update.
+ * @param {Array<number|string>} ids - The ids of the items it depends on.
+ */
+function storeDependencies(pbi, ids) {
+    var dependencies = getDependencies({ id: pbi.id, dependsOn: ids });
+    if (dependencies.length > 0) {
+        pbi.dependsOn = dependencies;
+    } else {
+        delete pbi.dependsOn;
+    }
+}
 
-                if (typeof pbi.customSortIndex === 'number' && pbi.customSortIndex >= 0) {
-                    pbisWithSortIndex.push(pbi);
-                    initialCustomOrderSet = true;
-                } else {
-                    pbisWithoutSortIndex.push(pbi);
-                }
-            });
 
-            if (initialCustomOrderSet && typeof lockedPbiOrder !== 'undefined') {
-                pbisWithSortIndex.sort(function(a, b) {
-                    return a.customSortIndex - b.customSortIndex;
-                });
-                lockedPbiOrder = pbisWithSortIndex.map(function(pbi) { return pbi.id; });
-                pbisWithoutSortIndex.forEach(function(pbi) {
-                    lockedPbiOrder.push(pbi.id);
-                });
+/**
+ * Removes all links to a deleted item.
+ *
+ * @param {Array<Object>} pbiList - The remaining items.
+ * @param {number|string} removedId - The id of the deleted item.
+ */
+function removeDependencyLinks(pbiList, removedId) {
+    pbiList.forEach(function(pbi) {
+        if (Array.isArray(pbi.dependsOn)) {
+            storeDependencies(pbi, pbi.dependsOn.filter(function(id) { return String(id) !== String(removedId); }));
+        }
+    });
+}
+
+
+/**
+ * Resolves the dependencies of a list of items against the list itself.
+ * Links to items outside the list (deleted, filtered or incomplete items) are dropped, as they cannot constrain the order.
+ *
+ * @param {Array<Object>} pbiList - The items.
+ * @returns {Object} A map <code>{ [id]: [dependency items] }</code>.
+ */
+function buildDependencyMap(pbiList) {
+    var byId = {};
+    pbiList.forEach(function(pbi) { byId[pbi.id] = pbi; });
+
+    var map = {};
+    pbiList.forEach(function(pbi) {
+        map[pbi.id] = getDependencies(pbi)
+            .map(function(id) { return byId[id]; })
+            .filter(function(dependency) { return dependency !== undefined; });
+    });
+    return map;
+}
+
+
+/**
+ * Searches the dependencies of a list of items for a cycle (e.g. A depends on B and B depends on A), which makes every order infeasible.
+ * Uses a depth-first search; the first cycle found is returned.
+ *
+ * @param {Array<Object>} pbiList - The items.
+ * @returns {Array<Object>|null} The items of the cycle in link order (the first item repeated at the end), or <code>null</code> if there is none.
+ */
+function findDependencyCycle(pbiList) {
+    var dependencyMap = buildDependencyMap(pbiList);
+    var state = {};
+    var path = [];
+    var cycle = null;
+
+    function visit(pbi) {
+        state[pbi.id] = 'active';
+        path.push(pbi);
+        dependencyMap[pbi.id].some(function(dependency) {
+            if (state[dependency.id] === 'active') {
+                cycle = path.slice(path.indexOf(dependency)).concat([dependency]);
+            } else if (!state[dependency.id]) {
+                visit(dependency);
             }
+            return cycle !== null;
+        });
+        path.pop();
+        state[pbi.id] = 'done';
+    }
 
-            if (importedSettings) {
-                currentLanguage = importedSettings.language || config.defaultSettings.language;
-                currentScale = importedSettings.scale || config.defaultSettings.scale;
-                config.tshirtSizes = Array.isArray(importedSettings.tshirtSizes) && importedSettings.tshirtSizes.length > 0
-                                     ? importedSettings.tshirtSizes
-                                     : config.defaultSettings.tshirtSizes;
-                
-                if (typeof window !== 'undefined') {
-                    if (typeof importedSettings.showReferenceMarkers === 'boolean') {
-                        window.showReferenceMarkers = importedSettings.showReferenceMarkers;
-                    } else {
-                        window.showReferenceMarkers = true;
-                    }
-                }
+    pbiList.some(function(pbi) {
+        if (!state[pbi.id]) visit(pbi);
+        return cycle !== null;
+    });
+    return cycle;
+}
 
-                if (typeof importedSettings.isResolutionWarningDismissed === 'boolean') {
-                    window.isResolutionWarningDismissed = importedSettings.isResolutionWarningDismissed;
-                }
 
-                if (importedSettings.colors) {
-                    config.colors = importedSettings.colors;
-                } else if (config.defaultColors) {
-                    config.colors = JSON.parse(JSON.stringify(config.defaultColors));
-                }
-                
-                if (importedSettings.editorColors) {
-                    config.editorColors = importedSettings.editorColors;
-                } else if (config.defaultEditorColors) {
-                    config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
-                }
+/**
+ * Orders items so that every item comes after its dependencies, keeping the preferred order wherever the links allow it
+ * (topological sort, greedy on the preferred order: the next item is always the first one whose dependencies are done).
+ * With the WSJF order as preference, this is the WSJF-greedy schedule under the dependency constraints.
+ * Items of a cycle can never become ready; they are appended in their preferred order.
+ *
+ * @param {Array<Object>} preferredOrder - The items in their preferred order.
+ * @returns {Array<Object>} The items in a feasible order (a new array).
+ */
+function orderByDependencies(preferredOrder) {
+    var dependencyMap = buildDependencyMap(preferredOrder);
+    var done = {};
+    var remaining = preferredOrder.slice();
+    var order = [];
+
+    while (remaining.length > 0) {
+        var readyIndex = remaining.findIndex(function(pbi) {
+            return dependencyMap[pbi.id].every(function(dependency) { return done[dependency.id]; });
+        });
+        if (readyIndex === -1) break;
+        var next = remaining.splice(readyIndex, 1)[0];
+        done[next.id] = true;
+        order.push(next);
+    }
+    return order.concat(remaining);
+}
 
-                if (config.languages && config.languages[currentLanguage]) {
-                    config.uiStrings = config.languages[currentLanguage];
-                }
 
-                currentSortCriteria = importedSettings.sortCriteria || 'creationOrder';
-                currentSortDirection = importedSettings.sortDirection || 'asc';
-                isFilterLocked = (currentSortCriteria === 'lock');
+/**
+ * Lists the dependencies that are violated by an order, i.e. items that come before an item they depend on.
+ *
+ * @param {Array<Object>} orderedPbis - The items in processing order.
+ * @returns {Array<{pbi: Object, dependency: Object}>} One entry per violated link.
+ */
+function findDependencyViolations(orderedPbis) {
+    var dependencyMap = buildDependencyMap(orderedPbis);
+    var position = {};
+    orderedPbis.forEach(function(pbi, index) { position[pbi.id] = index; });
+
+    var violations = [];
+    orderedPbis.forEach(function(pbi, index) {
+        dependencyMap[pbi.id].forEach(function(dependency) {
+            if (position[dependency.id] > index) violations.push({ pbi: pbi, dependency: dependency });
+        });
+    });
+    return violations;
+}
 
-                preLockSortCriteria = importedSettings.preLockSortCriteria || (isFilterLocked ? 'creationOrder' : currentSortCriteria);
-                preLockSortDirection = importedSettings.preLockSortDirection || (isFilterLocked ? 'asc' : currentSortDirection);
 
-                if (currentSortCriteria !== 'custom' && currentSortCriteria !== 'lock') {
-                   lockedPbiOrder = [];
-                   initialCustomOrderSet = false;
-                }
+/**
+ * Checks whether any item of a list depends on another item of the same list.
+ *
+ * @param {Array<Object>} pbiList - The items.
+ * @returns {boolean} <code>true</code> if at least one link constrains the order.
+ */
+function hasDependencies(pbiList) {
+    var dependencyMap = buildDependencyMap(pbiList);
+    return pbiList.some(function(pbi) { return dependencyMap[pbi.id].length > 0; });
+}
 
-                if (typeof applyColorSettings === 'function') {
-                    applyColorSettings(config.colors);
-                }
-                if (typeof applyUiStrings === 'function') {
-                    applyUiStrings();
-                }
-            } else {
-                currentLanguage = config.defaultSettings.language;
-                currentScale = config.defaultSettings.scale;
-                config.tshirtSizes = config.defaultSettings.tshirtSizes;
-                
-                if (typeof window !== 'undefined') {
-                    window.showReferenceMarkers = config.defaultSettings.showReferenceMarkers !== undefined ? config.defaultSettings.showReferenceMarkers : true;
-                }
-                
-                if (config.defaultColors) {
-                    config.colors = JSON.parse(JSON.stringify(config.defaultColors));
-                }
-                if (config.defaultEditorColors) {
-                    config.editorColors = JSON.parse(JSON.stringify(config.defaultEditorColors));
-                }
 
-                if (config.languages && config.languages[currentLanguage]) {
-                    config.uiStrings = config.languages[currentLanguage];
-                }
+// ===================================================================================
+// QUADRANT MATRIX (VALUE VS. SIZE)
+// ===================================================================================
 
-                currentSortCriteria = 'creationOrder';
-                currentSortDirection = 'asc';
-                isFilterLocked = false;
-                lockedPbiOrder = []; 
-                preLockSortCriteria = 'creationOrder';
-                preLockSortDirection = 'asc';
-                initialCustomOrderSet = false; 
-                window.isResolutionWarningDismissed = false;
 
-                if (typeof applyColorSettings === 'function') {
-                    applyColorSettings(config.colors);
-                }
-                if (typeof applyUiStrings === 'function') {
-                    applyUiStrings();
-                }
-            }
+/**
+ * The four fields of the value-vs-size matrix. <code>highCod</code> and <code>largeJobSize</code> describe the side of the thresholds the field lies on.
+ */
+var QUADRANTS = {
+    quickWins: { labelKey: 'quadrantQuickWins', label: 'Quick Wins', highCod: true, largeJobSize: false },
+    bigBets: { labelKey: 'quadrantBigBets', label: 'Big Bets', highCod: true, largeJobSize: true },
+    fillIns: { labelKey: 'quadrantFillIns', label: 'Fill-Ins', highCod: false, largeJobSize: false },
+    moneyPits: { labelKey: 'quadrantMoneyPits', label: 'Money Pits', highCod: false, largeJobSize: true }
+};
 
-            pbis = importedPbis;
 
-            if (typeof syncSliderMax === 'function') syncSliderMax();
-            if (typeof generateSliderScales === 'function') generateSliderScales();
-            if (typeof renderAll === 'function') renderAll(); 
-            if (typeof updateFilterLockButtonState === 'function') updateFilterLockButtonState();
-            if (typeof updateRefMarkerButtonState === 'function') updateRefMarkerButtonState();
-            
-           var splitRootElement = document.getElementById('split-root');
-            if (splitRootElement) {
-                splitRootElement.classList.toggle('filter-locked', isFilterLocked);
-            }
-            
-            if (typeof checkScreenResolution === 'function') {
-                checkScreenResolution();
-            }
+/**
+ * Normalizes the thresholds of the quadrant matrix (e.g. from a save file).
+ * A missing, zero or invalid threshold means "automatic": the median of the plotted items is used (see <code>resolveQuadrantThresholds</code>).
+ *
+ * @param {Object} [thresholds] - The raw setting <code>{ jobSize, cod }</code>.
+ * @returns {{jobSize: number, cod: number}} The normalized setting.
+ */
+function normalizeQuadrantThresholds(thresholds) {
+    var source = (thresholds && typeof thresholds === 'object') ? thresholds : {};
+    var normalized = {};
+    ['jobSize', 'cod'].forEach(function(field) {
+        var value = parseFloat(source[field]);
+        normalized[field] = (isFinite(value) && value > 0) ? value : 0;
+    });
+    return normalized;
+}
 
-            if (typeof saveToLocalStorage === 'function') saveToLocalStorage();
-        };
 
-        if (typeof pbis !== 'undefined' && pbis.length > 0 && !pbis.every(function(p) { return p.isLastItem; })) {
-            if (confirm(config.uiStrings.confirmImport)) {
-                lastImportedFileName = fileName || null;
-                applyImport();
-                alert(config.uiStrings.importSuccess);
-            } else {
-                 if (fileName) {
-                    lastImportedFileName = null; 
-                 }
-            }
-        } else {
-            lastImportedFileName = fileName || null;
-            applyImport();
-            alert(config.uiStrings.importSuccess);
-        }
+/**
+ * Returns the quadrant thresholds currently in effect (<code>window.quadrantThresholds</code>, see <code>applyQuadrantThresholds</code>).
+ *
+ * @returns {{jobSize: number, cod: number}} The normalized setting; 0 stands for the automatic threshold.
+ */
+function getQuadrantThresholds() {
+    return normalizeQuadrantThresholds(typeof window !== 'undefined' ? window.quadrantThresholds : null);
+}
 
-    } catch (error) {
-        console.error("Import failed:", error);
-        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + error.message);
-        lastImportedFileName = null;
+
+/**
+ * Activates the quadrant thresholds.
+ *
+ * @param {Object} [thresholds] - The new setting <code>{ jobSize, cod }</code> (normalized, see <code>normalizeQuadrantThresholds</code>).
+ */
+function applyQuadrantThresholds(thresholds) {
+    if (typeof window !== 'undefined') {
+        window.quadrantThresholds = normalizeQuadrantThresholds(thresholds);
     }
 }
 
+
+/**
+ * Resolves the thresholds for a set of plotted items. Automatic thresholds (0) become the median Job Size or CoD of the items
+ * (the mean of the two middle values for an even count).
+ *
+ * @param {Array<Object>} pbiList - The plotted items (with <code>jobSize</code> and <code>cod</code>).
+ * @param {{jobSize: number, cod: number}} [thresholds] - The setting. Defaults to <code>getQuadrantThresholds()</code>.
+ * @returns {{jobSize: number, cod: number, isAutoJobSize: boolean, isAutoCod: boolean}} The thresholds in effect.
+ */
+function resolveQuadrantThresholds(pbiList, thresholds) {
+    var setting = normalizeQuadrantThresholds(thresholds || getQuadrantThresholds());
+    var median = function(field) {
+        var values = (pbiList || []).map(function(pbi) { return pbi[field]; }).sort(function(a, b) { return a - b; });
+        if (values.length === 0) return 0;
+        var middle = Math.floor(values.length / 2);
+        return (values.length % 2 === 1) ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    };
+
+    return {
+        jobSize: setting.jobSize > 0 ? setting.jobSize : median('jobSize'),
+        cod: setting.cod > 0 ? setting.cod : median('cod'),
+        isAutoJobSize: !(setting.jobSize > 0),
+        isAutoCod: !(setting.cod > 0)
+    };
+}
+
+
 /**
- * Event handler triggered when a user selects a file via the `<input type="file">` element.
- * <br><b>Responsibilities:</b>
- * Acts as the entry point for the file import workflow. It orchestrates reading the file from the disk
- * and preparing the data for the core logic function (`applyImportedData`).
+ * Returns the quadrant of an item. An item lies in the high-CoD half if its CoD is above the CoD threshold and in the large half
+ * if its Job Size is above the Job Size threshold; items exactly on a threshold count as low CoD or small.
  *
- * <br><b>Technical Workflow:</b>
- * 1. <b>File Access:</b> Retrieves the first file object from `event.target.files`.
- * 2. <b>Asynchronous Reading:</b> Instantiates a `FileReader` to read the file content as text without blocking the UI thread.
- * 3. <b>Parsing & Validation:</b> Inside the `onload` callback, it attempts to `JSON.parse` the content.
- * - If parsing fails (SyntaxError), it alerts the user and aborts.
- * 4. <b>Delegation:</b> If valid JSON is obtained, it calls `applyImportedData(data, filename)` to handle the state restoration.
- *
- * <br><b>UX Pattern (Input Reset):</b>
- * Immediately after initiating the read, it executes `event.target.value = ''`.
- * <b>Why?</b> By clearing the input value, we allow the `change` event to fire again even if the user selects the <i>exact same file</i> immediately afterwards (e.g., if the first attempt failed or if they modified the file externally and want to reload it).
+ * @param {Object} pbi - The item.
+ * @param {{jobSize: number, cod: number}} thresholds - The resolved thresholds (<code>resolveQuadrantThresholds</code>).
+ * @returns {string} A key of <code>QUADRANTS</code>.
+ */
+function getQuadrant(pbi, thresholds) {
+    var highCod = pbi.cod > thresholds.cod;
+    var largeJobSize = pbi.jobSize > thresholds.jobSize;
+    return Object.keys(QUADRANTS).filter(function(key) {
+        return QUADRANTS[key].highCod === highCod && QUADRANTS[key].largeJobSize === largeJobSize;
+    })[0];
+}
+
+
+/**
+ * Returns the display name of a quadrant, e.g. "Quick Wins".
  *
- * @param {Event} event - The DOM `change` event triggered by the file input.
+ * @param {string} quadrant - A key of <code>QUADRANTS</code>.
+ * @returns {string} The name.
  */
-function handleImport(event) {
-    var file = event.target.files[0];
-    if (!file) {
-        return;
-    }
+function getQuadrantLabel(quadrant) {
+    var quadrantInfo = QUADRANTS[quadrant];
+    if (!quadrantInfo) return quadrant;
+    var s = (typeof config !== 'undefined' && config.uiStrings) ? config.uiStrings : {};
+    return s[quadrantInfo.labelKey] || quadrantInfo.label;
+}
 
-    var reader = new FileReader();
-    reader.onload = function(e) {
-        var data;
-        try {
-            data = JSON.parse(e.target.result);
-        } catch (error) {
-             console.error("Import failed (JSON parse):", error);
-             alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + error.message);
-             lastImportedFileName = null;
-             if (event.target) {
-                 event.target.value = '';
-             }
-             return;
-        }
-        
-        if (typeof applyImportedData === 'function') {
-            applyImportedData(data, file.name);
-        } else {
-            console.error('applyImportedData function is not defined.');
-            alert('A critical error occurred. Please reload the application.');
-        }
-    };
 
-    reader.onerror = function(e) {
-        console.error("File reading error:", e);
-        alert((config && config.uiStrings ? config.uiStrings.importError : "Error") + "\n" + "File could not be read.");
-        lastImportedFileName = null;
-    };
+// ===================================================================================
+// ESTIMATION CONSISTENCY (REFERENCE TRIANGULATION)
+// ===================================================================================
 
-    reader.readAsText(file);
 
-    if (event.target) {
-         event.target.value = '';
+/**
+ * The kinds of inconsistencies reported by <code>findEstimationInconsistencies</code>, with the message template of each finding.
+ * The templates use <code>{other}</code> (the reference or the compared item), <code>{measure}</code>, <code>{value}</code> and <code>{otherValue}</code>.
+ */
+var CONSISTENCY_FINDING_TYPES = {
+    belowMinReference: {
+        labelKey: 'consistencyBelowMinReference',
+        label: 'Every dimension is below the min reference "{other}", but the {measure} is larger ({value} vs. {otherValue}).'
+    },
+    aboveMaxReference: {
+        labelKey: 'consistencyAboveMaxReference',
+        label: 'Larger than the max reference "{other}" ({measure} {value} vs. {otherValue}).'
+    },
+    tshirtMismatch: {
+        labelKey: 'consistencyTshirtMismatch',
+        label: 'Same Complexity, Effort and Uncertainty as "{other}", but T-shirt size {value} instead of {otherValue}.'
     }
-}
+};
 
 
 /**
- * Fetches and injects a predefined demo dataset based on the user's selected language.
- * <br><b>Architecture (Remote Loading):</b>
- * Instead of hardcoding demo data into the JavaScript (which would bloat the application size), this function fetches an external JSON file from the server.
- * The path is resolved dynamically via `config.demoData[lang].path`.
- * <br><b>Mechanism (Reuse):</b>
- * Once the JSON is fetched, it treats the data exactly like a user-uploaded file. It passes the result to `applyImportedData`, 
- * ensuring that all validation, sanitization, and setting-restoration logic is applied consistently, regardless of the source.
- * <br><b>Network Strategy:</b>
- * Uses <code>fetch(path, { cache: 'no-store' })</code> to bypass the browser cache. This is critical to ensure that if the demo file is updated on the server 
- * (e.g., to fix a typo or update the data structure), the user immediately gets the new version without needing to clear their cache.
+ * Returns the first size measure in which an item is larger than another one: the Job Size, or else the T-shirt size
+ * (in the order of <code>config.allTshirtSizes</code>, only if both items have one).
  *
- * @param {string} lang - The language code (e.g., 'en', 'de') to determine which demo file to load.
+ * @param {Object} pbi - The item to check.
+ * @param {Object} other - The item to compare with.
+ * @returns {{measure: string, value: (number|string), otherValue: (number|string)}|null} The measure, or <code>null</code> if the item is not larger.
  */
-function loadDemoData(lang) {
-    if (!config || !config.demoData || !config.demoData[lang] || !config.demoData[lang].path) { // <-- Änderung: Prüfung auf 'path' hinzugefügt
-        console.error('Demo data configuration not found for language: ' + lang);
-        alert('Could not find the demo data file path.');
-        return;
+function findLargerSizeMeasure(pbi, other) {
+    if (pbi.jobSize > other.jobSize) {
+        return { measure: 'jobSize', value: pbi.jobSize, otherValue: other.jobSize };
+    }
+    var sizeOrder = (typeof config !== 'undefined' && config && Array.isArray(config.allTshirtSizes)) ? config.allTshirtSizes : [];
+    var sizeIndex = sizeOrder.indexOf(pbi.tshirtSize);
+    var otherSizeIndex = sizeOrder.indexOf(other.tshirtSize);
+    if (sizeIndex !== -1 && otherSizeIndex !== -1 && sizeIndex > otherSizeIndex) {
+        return { measure: 'tshirtSize', value: pbi.tshirtSize, otherValue: other.tshirtSize };
     }
+    return null;
+}
 
-    var path = config.demoData[lang].path;
 
-    fetch(path, { cache: 'no-store' })
-        .then(function(response) {
-            if (!response.ok) {
-                throw new Error('Network response was not ok: ' + response.statusText + ' (' + path + ')');
-            }
-            return response.json();
-        })
-        .then(function(data) {
-            if (typeof applyImportedData === 'function') {
-                applyImportedData(data, path);
-            } else {
-                console.error('applyImportedData function is not defined.');
-                alert('A critical error occurred. Please reload the application.');
+/**
+ * Checks whether the estimates of the backlog are consistent with the reference items and with each other.
+ * <br><b>Checks:</b> Only items with a complete Job Size (Complexity, Effort and Doubt) are considered.
+ * <ul>
+ * <li><b>belowMinReference:</b> No dimension of the item is above the min reference (and at least one is below),
+ * yet its Job Size or T-shirt size is larger than that of the reference.</li>
+ * <li><b>aboveMaxReference:</b> The Job Size or T-shirt size of the item is larger than that of the max reference,
+ * so either the item should be split or the reference is no longer the largest item.</li>
+ * <li><b>tshirtMismatch:</b> Two items have identical Complexity, Effort and Doubt but different T-shirt sizes.
+ * The finding is reported for the later item of the pair.</li>
+ * </ul>
+ *
+ * @param {Array<Object>} pbiList - The backlog items (the spacer item is ignored).
+ * @returns {Array<{type: string, pbi: Object, other: Object, measure: string, value: (number|string), otherValue: (number|string)}>}
+ * The findings in the order of the list; <code>type</code> is a key of <code>CONSISTENCY_FINDING_TYPES</code>.
+ */
+function findEstimationInconsistencies(pbiList) {
+    var items = (pbiList || []).filter(function(pbi) {
+        return pbi && !pbi.isLastItem && pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+    });
+    var minReference = getReferencePbi(items, 'min');
+    var maxReference = getReferencePbi(items, 'max');
+    var findings = [];
+
+    var addFinding = function(type, pbi, other, larger) {
+        findings.push({ type: type, pbi: pbi, other: other, measure: larger.measure, value: larger.value, otherValue: larger.otherValue });
+    };
+
+    items.forEach(function(pbi, index) {
+        if (minReference && pbi !== minReference) {
+            var isNeverAbove = JOB_SIZE_COMPONENTS.every(function(field) { return pbi[field] <= minReference[field]; });
+            var isBelow = JOB_SIZE_COMPONENTS.some(function(field) { return pbi[field] < minReference[field]; });
+            var largerThanMin = (isNeverAbove && isBelow) ? findLargerSizeMeasure(pbi, minReference) : null;
+            if (largerThanMin) addFinding('belowMinReference', pbi, minReference, largerThanMin);
+        }
+
+        if (maxReference && pbi !== maxReference) {
+            var largerThanMax = findLargerSizeMeasure(pbi, maxReference);
+            if (largerThanMax) addFinding('aboveMaxReference', pbi, maxReference, largerThanMax);
+        }
+
+        items.slice(0, index).forEach(function(other) {
+            var isSameEstimate = JOB_SIZE_COMPONENTS.every(function(field) { return pbi[field] === other[field]; });
+            if (isSameEstimate && pbi.tshirtSize && other.tshirtSize && pbi.tshirtSize !== other.tshirtSize) {
+                addFinding('tshirtMismatch', pbi, other, { measure: 'tshirtSize', value: pbi.tshirtSize, otherValue: other.tshirtSize });
             }
-        })
-        .catch(function(error) {
-            console.error('Demo data fetch failed:', error);
-            alert(config.uiStrings.importError + "\n" + error.message);
         });
+    });
+
+    return findings;
 }
 
 
 /**
- * Establishes a synchronized scrolling link between the main PBI List and the Relative Sizing List.
- * <br><b>UX Goal:</b>
- * When the user scrolls in the main list, the secondary list (used for relative comparison) automatically moves with it, 
- * keeping the items visually aligned across both panels.
- *
- * <br><b>Technical Challenge (The Scroll Loop):</b>
- * Naively setting <code>target.scrollTop = source.scrollTop</code> inside a scroll event listener triggers a <i>new</i> scroll event on the target.
- * Since the target also listens for scroll events to sync back to the source, this creates an infinite loop (List A updates B -> B updates A -> A updates B...).
+ * Returns the message of a consistency finding in the active language.
  *
- * <br><b>The Solution (Debounce/Lock):</b>
- * Uses a boolean lock <code>isSyncing</code> combined with <code>requestAnimationFrame</code>.
- * 1. When a scroll event fires, it checks if a sync is already in progress.
- * 2. If not, it sets the lock to <code>true</code> and updates the target position.
- * 3. The lock is released only in the next animation frame. This ensures that the "echo" event generated by the programmatic scroll is ignored.
+ * @param {Object} finding - A finding of <code>findEstimationInconsistencies</code>.
+ * @returns {string} The message.
  */
-function initSyncScroll() {
-    const list1 = document.getElementById('pbi-list');
-    const list2 = document.getElementById('relative-sizing-list');
-    let isSyncing = false;
+function formatConsistencyFinding(finding) {
+    var s = (typeof config !== 'undefined' && config.uiStrings) ? config.uiStrings : {};
+    var typeInfo = CONSISTENCY_FINDING_TYPES[finding.type];
+    var measureLabel = finding.measure === 'tshirtSize'
+        ? (s.pbiInfoTshirtSize || 'T-Shirt Size')
+        : (s.colJobSize || 'Job Size');
+    return (s[typeInfo.labelKey] || typeInfo.label)
+        .replace('{other}', finding.other.title)
+        .replace('{measure}', measureLabel)
+        .replace('{value}', finding.value)
+        .replace('{otherValue}', finding.otherValue);
+}
 
-    function syncScroll(source, target) {
-        if (!isSyncing) {
-            isSyncing = true;
-            target.scrollTop = source.scrollTop;
-            requestAnimationFrame(() => { isSyncing = false; });
-        }
-    }
 
-    list1.addEventListener('scroll', () => syncScroll(list1, list2));
-    list2.addEventListener('scroll', () => syncScroll(list2, list1));
-}
+// ===================================================================================
+// MONTE CARLO SIMULATION (DOUBT AS UNCERTAINTY)
+// ===================================================================================
 
 
 /**
- * Enforces visual alignment between the Left Pane (PBI List) and the Right Pane (Relative Sizing) 
- * by synchronizing the height of corresponding items.
- * <br><b>The Problem:</b>
- * In a split-view layout, an item on the left might have a long title (wrapping to 3 lines), while the corresponding 
- * visualization on the right is short. Without synchronization, the rows would drift apart, breaking the visual 1-to-1 relationship.
- * * <br><b>Algorithm (Two-Pass Layout):</b>
- * 1. <b>Reset:</b> Temporarily disables CSS transitions and removes any existing `min-height` constraints. This returns elements to their "natural" content height.
- * 2. <b>Force Reflow:</b> Accesses `.offsetHeight` (using the `void` operator to ignore the result). This forces the browser to immediately flush pending style changes and recalculate the layout <i>before</i> we start measuring. Without this, `getBoundingClientRect` might return old, cached values.
- * 3. <b>Measure & Expand:</b> Compares the natural height of the Left vs. Right item, finds the maximum, and applies it as the new `min-height` to both.
- * 4. <b>Restore:</b> Re-enables CSS transitions in the next animation frame so that hover effects (like growing on mouseover) still work smoothly afterwards.
- * * <br><b>Performance Note:</b>
- * This function forces a synchronous layout (Reflow), which can be expensive. It is batched to minimize DOM thrashing 
- * but should still be called sparingly (e.g., only on window resize, drag-split end, or content changes).
+ * Number of simulated runs per forecast. Enough for stable P50/P85 values while a run over a large backlog stays well below a second.
  */
-function syncRowHeights() {
-    const pairs = [
-        { leftId: "ref-slot-left", rightId: "ref-slot-right" },
-        { leftId: "pbi-list", rightId: "relative-sizing-list" }
-    ];
+var MONTE_CARLO_ITERATIONS = 2000;
 
-    pairs.forEach(function(pair) {
-        var leftContainer = document.getElementById(pair.leftId);
-        var rightContainer = document.getElementById(pair.rightId);
+/**
+ * How far the actual size of an item may deviate from its Job Size, as multiples of its (weighted) Doubt.
+ * Doubt rarely turns out to be nothing, but it can easily double, so the distribution is skewed to the right.
+ */
+var MONTE_CARLO_SPREAD = { below: 0.5, above: 2 };
 
-        if (leftContainer && rightContainer) {
-            var leftItems = Array.from(leftContainer.children).filter(e => e.classList.contains("pbi-item"));
-            var rightItems = Array.from(rightContainer.children).filter(e => e.classList.contains("rs-item"));
-            
-            var rightMap = {};
-            rightItems.forEach(e => {
-                var id = e.getAttribute("data-id");
-                if (id) rightMap[id] = e;
-            });
+/**
+ * Fixed seed of the random numbers, so the same backlog always gives the same forecast (no flickering between renderings).
+ */
+var MONTE_CARLO_SEED = 20240917;
 
-            var resetStyle = function(el) {
-                el.style.transition = "none"; 
-                el.style.minHeight = "";
-                el.style.height = "";
-            };
+let monteCarloWorker = null;
+let monteCarloRequestId = 0;
+let monteCarloCache = null;
 
-            leftItems.forEach(resetStyle);
-            rightItems.forEach(resetStyle);
 
-            void leftContainer.offsetHeight;
-            void rightContainer.offsetHeight;
+/**
+ * Returns the size distribution of an item in the probabilistic mode.
+ * <br><b>Model:</b> A triangular distribution with the Job Size as most likely value. Its width is driven by the Doubt only
+ * (weighted like in the Job Size), as Complexity and Effort describe the known part of the work:
+ * <code>min = Job Size - 0.5 × Doubt</code>, <code>max = Job Size + 2 × Doubt</code> (see <code>MONTE_CARLO_SPREAD</code>).
+ *
+ * @param {Object} pbi - An item with a complete Job Size.
+ * @returns {{min: number, mode: number, max: number}} The distribution.
+ */
+function getJobSizeDistribution(pbi) {
+    var jobSize = pbi.jobSize || 0;
+    var weightedDoubt = Math.min((Number(pbi.doubt) || 0) * getComponentWeights().doubt, jobSize);
+    return {
+        min: Math.max(0, jobSize - MONTE_CARLO_SPREAD.below * weightedDoubt),
+        mode: jobSize,
+        max: jobSize + MONTE_CARLO_SPREAD.above * weightedDoubt
+    };
+}
 
-            leftItems.forEach(function(leftItem) {
-                var id = leftItem.getAttribute("data-id");
-                var rightItem = rightMap[id];
 
-                if (rightItem) {
-                    var hLeft = leftItem.getBoundingClientRect().height;
-                    var hRight = rightItem.getBoundingClientRect().height;
-                    var maxHeight = Math.max(hLeft, hRight);
+/**
+ * Creates a small seeded random number generator (Mulberry32), as <code>Math.random</code> cannot be seeded.
+ *
+ * @param {number} seed - The seed.
+ * @returns {Function} A function returning the next number in [0, 1).
+ */
+function createSeededRandom(seed) {
+    var state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-                    leftItem.style.boxSizing = "border-box";
-                    rightItem.style.boxSizing = "border-box";
-                    
-                    leftItem.style.minHeight = maxHeight + "px";
-                    rightItem.style.minHeight = maxHeight + "px";
-                }
-            });
-        }
-    });
 
-    requestAnimationFrame(function() {
-        var allItems = document.querySelectorAll('.pbi-item, .rs-item');
-        allItems.forEach(function(el) {
-            el.style.transition = "";
-        });
-    });
+/**
+ * Draws a value from a triangular distribution (inverse transform sampling).
+ *
+ * @param {{min: number, mode: number, max: number}} distribution - The distribution.
+ * @param {Function} random - The random number generator.
+ * @returns {number} The drawn value.
+ */
+function sampleTriangular(distribution, random) {
+    var min = distribution.min;
+    var mode = distribution.mode;
+    var max = distribution.max;
+    if (max <= min) return mode;
+
+    var u = random();
+    var modeShare = (mode - min) / (max - min);
+    return u < modeShare
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
 }
 
 
 /**
- * Helper function to retrieve a specific Reference Item (Anchor) from the backlog list.
- * <br><b>Concept (Relative Estimation):</b>
- * In relative estimation (like Magic Estimation), it is crucial to have baseline items to compare against. 
- * These items serve as fixed "Anchors" in the UI to help the team triangulate new estimates:
- * <ul>
- * <li><b>Min Reference:</b> Represents the smallest unit of work (e.g., a "1" or "XS").</li>
- * <li><b>Max Reference:</b> Represents the largest known unit of work (e.g., a "100" or "XL").</li>
- * </ul>
- * <br><b>Polymorphic Behavior:</b>
- * The function behaves differently based on the second argument:
- * <ul>
- * <li><b>With Type ('min'/'max'):</b> Returns the specific reference item matching that type (strict filter).</li>
- * <li><b>Without Type:</b> Returns the <i>first</i> item marked as a reference found in the list (generic lookup).</li>
- * </ul>
+ * Returns a percentile of sorted values (nearest rank), i.e. the smallest value that at least <code>p</code> of the values do not exceed.
+ *
+ * @param {Array<number>} sortedValues - The values in ascending order.
+ * @param {number} p - The percentile as a share (e.g. <code>0.85</code>).
+ * @returns {number} The percentile, or 0 for an empty list.
+ */
+function getPercentile(sortedValues, p) {
+    if (sortedValues.length === 0) return 0;
+    var index = Math.min(sortedValues.length - 1, Math.max(0, Math.ceil(p * sortedValues.length) - 1));
+    return sortedValues[index];
+}
+
+
+/**
+ * Runs the Monte Carlo simulation of one or more processing orders.
+ * <br><b>Per run:</b> The size of every item is drawn once from its distribution and used for all orders,
+ * so the orders are compared under the same outcomes. For each order, the items are processed one after another:
+ * an item is done at the sum of the drawn sizes up to and including itself, and it accumulates its delay cost
+ * until it is started (<code>calculateDelayCost</code>, so urgency profiles are respected like in the charts).
+ * <br><b>Accumulated Cost:</b> Per item, the delay cost accumulated by it and all items before it once it is started
+ * (<code>accumulatedCost</code>). For the last item this is the total delay cost of the run, so the band of the chart ends at the cost band.
+ * <br><b>Worker:</b> The function only uses its arguments and the delay cost functions, so it also runs inside the
+ * Web Worker (<code>buildMonteCarloWorkerSource</code>).
+ *
+ * @param {Object} task - The task of <code>buildMonteCarloTask</code>:
+ * <code>{ items: [{ id, cod, urgency, distribution }], orders: { [key]: [ids] }, iterations, seed }</code>.
+ * @returns {Object} <code>{ iterations, orders: { [key]: { completion: { [id]: { p50, p85 } }, accumulatedCost: { [id]: { p10, p50, p90 } },
+ * cost: { p10, p50, p85, p90 } } } }</code>.
+ */
+function simulateScheduleOutcomes(task) {
+    var random = createSeededRandom(task.seed);
+    var itemsById = {};
+    task.items.forEach(function(item) { itemsById[item.id] = item; });
+
+    var orderKeys = Object.keys(task.orders);
+    var completions = {};
+    var accumulatedCosts = {};
+    var costs = {};
+    orderKeys.forEach(function(key) {
+        completions[key] = {};
+        accumulatedCosts[key] = {};
+        task.orders[key].forEach(function(id) {
+            completions[key][id] = [];
+            accumulatedCosts[key][id] = [];
+        });
+        costs[key] = [];
+    });
+
+    for (var run = 0; run < task.iterations; run++) {
+        var sizes = {};
+        var horizon = 0;
+        task.items.forEach(function(item) {
+            sizes[item.id] = sampleTriangular(item.distribution, random);
+            horizon += sizes[item.id];
+        });
+
+        orderKeys.forEach(function(key) {
+            var time = 0;
+            var cost = 0;
+            task.orders[key].forEach(function(id) {
+                cost += calculateDelayCost(itemsById[id], time, horizon);
+                accumulatedCosts[key][id].push(cost);
+                time += sizes[id];
+                completions[key][id].push(time);
+            });
+            costs[key].push(cost);
+        });
+    }
+
+    var ascending = function(a, b) { return a - b; };
+    var result = { iterations: task.iterations, orders: {} };
+    orderKeys.forEach(function(key) {
+        var completion = {};
+        Object.keys(completions[key]).forEach(function(id) {
+            var values = completions[key][id].sort(ascending);
+            completion[id] = { p50: getPercentile(values, 0.5), p85: getPercentile(values, 0.85) };
+        });
+        var accumulatedCost = {};
+        Object.keys(accumulatedCosts[key]).forEach(function(id) {
+            var values = accumulatedCosts[key][id].sort(ascending);
+            accumulatedCost[id] = { p10: getPercentile(values, 0.1), p50: getPercentile(values, 0.5), p90: getPercentile(values, 0.9) };
+        });
+        var sortedCosts = costs[key].sort(ascending);
+        result.orders[key] = {
+            completion: completion,
+            accumulatedCost: accumulatedCost,
+            cost: {
+                p10: getPercentile(sortedCosts, 0.1),
+                p50: getPercentile(sortedCosts, 0.5),
+                p85: getPercentile(sortedCosts, 0.85),
+                p90: getPercentile(sortedCosts, 0.9)
+            }
+        };
+    });
+    return result;
+}
+
+
+/**
+ * Prepares the input of <code>simulateScheduleOutcomes</code>: plain data that can be posted to the worker.
  *
- * @param {Array<Object>} list - The array of PBI objects to search.
- * @param {string} [type] - Optional. The specific reference type to look for (usually 'min' or 'max').
- * @returns {Object|null} The found PBI object, or <code>null</code> if no matching reference exists or the list is invalid.
+ * @param {Object} orders - The orders to simulate, e.g. <code>{ optimal: [pbi, ...], current: [pbi, ...] }</code>.
+ * @returns {Object} The task with the items of all orders, their distributions and the orders as ID lists.
  */
-function getReferencePbi(list, type) {
-    if (!Array.isArray(list)) { return null; }
-    for (var i = 0; i < list.length; i++) {
-        var p = list[i];
-        if (p && p.isReference === true) {
-            if (type) {
-                if (p.referenceType === type) return p;
-            } else {
-                return p; 
+function buildMonteCarloTask(orders) {
+    var items = [];
+    var seen = {};
+    var orderIds = {};
+
+    Object.keys(orders).forEach(function(key) {
+        orderIds[key] = orders[key].map(function(pbi) {
+            if (!seen[pbi.id]) {
+                seen[pbi.id] = true;
+                items.push({ id: pbi.id, cod: pbi.cod || 0, urgency: pbi.urgency || null, distribution: getJobSizeDistribution(pbi) });
             }
-        }
-    }
-    return null;
+            return pbi.id;
+        });
+    });
+
+    return { items: items, orders: orderIds, iterations: MONTE_CARLO_ITERATIONS, seed: MONTE_CARLO_SEED };
 }
 
 
 /**
- * Convenience Wrapper: Retrieves the unique Identifier (ID) of a specific Reference Item from the list.
- * <br><b>Abstraction Layer:</b>
- * This function simplifies the access pattern. Instead of the caller having to:
- * 1. Call `getReferencePbi`
- * 2. Check if the result is not null
- * 3. Access `.id`
- * ...this function handles the existence check internally and directly returns the ID string or <code>null</code>.
- * <br><b>Use Case:</b>
- * Primarily used for DOM selections (e.g., finding the HTML element <code>[data-id="..."]</code> associated with the reference) 
- * or for logical comparisons (e.g., "Is the item currently being edited the Min-Reference?").
+ * Builds the script of the simulation worker from the functions of this module.
+ * The application is a single HTML file, so the worker cannot load a script file; it is started from a Blob instead.
  *
- * @param {Array<Object>} list - The backlog list to search.
- * @param {string} [type] - The reference type ('min' or 'max').
- * @returns {string|null} The ID of the reference item, or <code>null</code> if none exists.
+ * @returns {string} The JavaScript source of the worker.
  */
-function getReferencePbiId(list, type) {
-    var ref = getReferencePbi(list, type);
-    return ref ? ref.id : null;
+function buildMonteCarloWorkerSource() {
+    var profiles = Object.keys(URGENCY_PROFILES).map(function(profileId) {
+        return JSON.stringify(profileId) + ': { delayCost: ' + URGENCY_PROFILES[profileId].delayCost.toString() + ' }';
+    });
+
+    return [
+        'var URGENCY_EXPEDITE_FACTOR = ' + JSON.stringify(URGENCY_EXPEDITE_FACTOR) + ';',
+        'var URGENCY_PROFILES = { ' + profiles.join(', ') + ' };',
+        getUrgencyProfile.toString(),
+        calculateDelayCost.toString(),
+        createSeededRandom.toString(),
+        sampleTriangular.toString(),
+        getPercentile.toString(),
+        simulateScheduleOutcomes.toString(),
+        'self.onmessage = function(event) {',
+        '    self.postMessage({ requestId: event.data.requestId, result: simulateScheduleOutcomes(event.data.task) });',
+        '};'
+    ].join('\n');
 }
 
 
 /**
- * Determines whether the "Pin as Reference" feature is currently enabled based on the provided configuration.
- * <br><b>Feature Flag Logic (Opt-Out Strategy):</b>
- * This function implements a "True by Default" strategy to ensure the feature remains available unless explicitly disabled.
- * <ul>
- * <li><b>Explicit Disable:</b> The feature is only turned off if the config object <i>specifically</i> contains <code>pinReferenceEnabled: false</code>.</li>
- * <li><b>Default Enable:</b> In all other cases (config is missing, null, not an object, or the property is undefined), the function returns <code>true</code>.</li>
- * </ul>
- * <br><b>Use Case:</b>
- * Used by the UI rendering logic (specifically the Context Menu builder) to decide whether to render the "Pin as Min/Max Reference" options.
- * This allows administrators to simplify the UI by hiding advanced features via configuration if needed.
+ * Returns the simulation worker, starting it on first use.
  *
- * @param {object} cfg - The configuration object to check.
- * @returns {boolean} <code>true</code> if the feature is allowed, <code>false</code> otherwise.
+ * @returns {Worker|null} The worker, or <code>null</code> if workers are not available (the simulation then runs in the page).
  */
-function isPinReferenceEnabled(cfg) {
-    if (!cfg || typeof cfg !== 'object') { return true; }
-    if (typeof cfg.pinReferenceEnabled === 'boolean') { return cfg.pinReferenceEnabled; }
-    return true;
+function getMonteCarloWorker() {
+    if (monteCarloWorker === null) {
+        try {
+            var blob = new Blob([buildMonteCarloWorkerSource()], { type: 'text/javascript' });
+            monteCarloWorker = new Worker(URL.createObjectURL(blob));
+        } catch (e) {
+            monteCarloWorker = false;
+        }
+    }
+    return monteCarloWorker || null;
 }
 
 
 /**
- * Computes the relative rank (1, 2, 3...) for all valid PBIs based on their calculated WSJF score.
- * <br><b>Business Logic (Prioritization):</b>
- * WSJF (Weighted Shortest Job First) dictates that items with the highest score deliver the most economic value per unit of time.
- * Therefore, the list is sorted in <b>Descending Order</b>:
- * <ul>
- * <li><b>Rank #1:</b> The item with the highest WSJF score (Highest Priority).</li>
- * <li><b>Rank #N:</b> The item with the lowest WSJF score.</li>
- * </ul>
- * <br><b>Filtering (Data Integrity):</b>
- * Not all items in the backlog are ranked. An item is strictly <b>excluded</b> from ranking if:
+ * Runs the Monte Carlo simulation of the given orders in the background and passes the result to <code>onResult</code>.
+ * <br><b>Behavior:</b>
  * <ul>
- * <li>It is the internal "Last Item" (Spacer).</li>
- * <li>It has incomplete data (missing Cost of Delay or Job Size).</li>
- * <li>It has a value of 0 for either metric (prevents Division by Zero and ignores unestimated items).</li>
+ * <li><b>Cache:</b> The last result is kept; as long as items and orders are unchanged, <code>onResult</code> is called immediately,
+ * so re-rendering the charts does not start a new simulation.</li>
+ * <li><b>Superseded Requests:</b> Only the latest request is answered; results of older requests are dropped.</li>
+ * <li><b>Fallback:</b> Without Web Workers (or if the worker fails), the simulation runs in the page.</li>
  * </ul>
- * <br><b>Output Format:</b>
- * Returns a Lookup Object (Hash Map) mapping <code>PBI ID -> Rank Number</code>.
- * This structure allows the UI renderer to check <code>ranks[id]</code> in O(1) time without looping through arrays.
  *
- * @param {Array<Object>} pbiList - The raw list of all backlog items.
- * @returns {Object} A map where keys are PBI IDs and values are their calculated rank (e.g., <code>{ "id_123": 1, "id_456": 2 }</code>).
+ * @param {Object} orders - The orders to simulate, e.g. <code>{ optimal: [pbi, ...], current: [pbi, ...] }</code>.
+ * @param {Function} onResult - Called with the result of <code>simulateScheduleOutcomes</code>.
  */
-function calculateWsjfRanks(pbiList) {
-    if (!pbiList || pbiList.length === 0) {
-        return {};
+function requestMonteCarloSimulation(orders, onResult) {
+    var task = buildMonteCarloTask(orders);
+    var cacheKey = JSON.stringify(task);
+    if (monteCarloCache && monteCarloCache.key === cacheKey) {
+        onResult(monteCarloCache.result);
+        return;
     }
 
-    var pbisWithWsjf = pbiList.filter(function(pbi) {
-        return pbi &&
-               !pbi.isLastItem &&
-               typeof pbi.cod === 'number' && pbi.cod > 0 &&
-               typeof pbi.jobSize === 'number' && pbi.jobSize > 0;
-    }).map(function(pbi) {
-        return {
-            id: pbi.id,
-            wsjf: pbi.cod / pbi.jobSize
-        };
-    });
-
-    pbisWithWsjf.sort(function(a, b) {
-        return b.wsjf - a.wsjf; 
-    });
+    var requestId = ++monteCarloRequestId;
+    var deliver = function(result) {
+        if (requestId !== monteCarloRequestId) return;
+        monteCarloCache = { key: cacheKey, result: result };
+        onResult(result);
+    };
 
-    var ranks = {};
-    pbisWithWsjf.forEach(function(pbi, index) {
-        ranks[pbi.id] = index + 1;
-    });
+    var worker = getMonteCarloWorker();
+    if (!worker) {
+        deliver(simulateScheduleOutcomes(task));
+        return;
+    }
 
-    return ranks;
+    worker.onmessage = function(event) {
+        if (event.data && event.data.requestId === requestId) deliver(event.data.result);
+    };
+    worker.onerror = function(event) {
+        console.error("Monte Carlo worker failed, simulating in the page instead:", event.message);
+        monteCarloWorker = false;
+        deliver(simulateScheduleOutcomes(task));
+    };
+    worker.postMessage({ requestId: requestId, task: task });
 }
 
 
+// ===================================================================================
+// T-SHIRT SIZE MAPPING (AUTO SIZING)
+// ===================================================================================
+
+
 /**
- * Utility: Generates one or more colors from the configured global pastel palette.
- * <br><b>Modes of Operation:</b>
- * The function behaves differently depending on the input parameters:
- * <ol>
- * <li><b>Fallback Mode:</b> If the global `config.pastelColorPalette` is missing or empty, it returns a safe default gray (`#e0e0e0`) to prevent UI crashes.</li>
- * <li><b>Smart Single Mode (Anti-Collision):</b> If `count` is 1 and a `currentColor` is provided, it returns a random color from the palette excluding the current one.
- * <i>Why?</i> This is used when the user clicks a "Change Color" button. It ensures the color actually changes and doesn't randomly pick the same one again.</li>
- * <li><b>Sequential Mode:</b> If generating multiple colors or starting from a specific index, it uses modulo arithmetic (`%`) to loop through the fixed palette array. This ensures deterministic and evenly distributed colors for lists.</li>
- * </ol>
+ * The default upper Job Size limits of the T-shirt sizes (for a Job Size of 3 to 24 on the default scales).
+ * An item gets the first enabled size whose limit is not below its Job Size; the largest enabled size takes all larger items.
+ */
+var DEFAULT_TSHIRT_THRESHOLDS = { XXS: 3, XS: 4, S: 5, M: 9, L: 13, XL: 18, XXL: 24 };
+
+
+/**
+ * Sorts T-shirt sizes in the logical order of <code>config.allTshirtSizes</code> (XXS -> XXL). Unknown sizes are pushed to the end.
  *
- * @param {number} count - The number of colors to generate.
- * @param {string} [currentColor] - Optional. The current hex color to avoid (only used when count is 1).
- * @param {number} [startIndex] - Optional. The index in the palette array to start from (useful for sequential coloring of list items).
- * @returns {Array<string>} An array of hex color strings.
+ * @param {Array<string>} [sizes] - The sizes. Defaults to the enabled sizes (<code>config.tshirtSizes</code>).
+ * @returns {Array<string>} A sorted copy.
  */
-function generatePastelColors(count, currentColor, startIndex) {
-    var palette = (config && config.pastelColorPalette) || [];
-    var result = [];
-    var fallbackColor = '#e0e0e0';
+function getSortedTshirtSizes(sizes) {
+    var allSizes = (typeof config !== 'undefined' && Array.isArray(config.allTshirtSizes)) ? config.allTshirtSizes : Object.keys(DEFAULT_TSHIRT_THRESHOLDS);
+    var source = sizes || ((typeof config !== 'undefined' && Array.isArray(config.tshirtSizes)) ? config.tshirtSizes : []);
+    var orderOf = function(size) {
+        var index = allSizes.indexOf(size);
+        return index === -1 ? 99 : index;
+    };
+    return source.slice().sort(function(a, b) { return orderOf(a) - orderOf(b); });
+}
 
-    if (palette.length === 0) {
-        console.warn("Pastel color palette is empty or not found in config. Using fallback.");
-        for (var k = 0; k < count; k++) {
-            result.push(fallbackColor);
-        }
-        return result;
-    }
 
-    if (count === 1 && currentColor) {
-        var availableColors = [];
-        for (var i = 0; i < palette.length; i++) {
-            if (palette[i].toUpperCase() !== currentColor.toUpperCase()) {
-                availableColors.push(palette[i]);
-            }
-        }
-        if (availableColors.length > 0) {
-            var randomIndex = Math.floor(Math.random() * availableColors.length);
-            result.push(availableColors[randomIndex]);
-        }
-        else if (palette.length > 0) {
-             result.push(palette[0]);
-        } else {
-             result.push(fallbackColor);
+/**
+ * Normalizes the T-shirt size mapping (e.g. from a save file).
+ * <br><b>Logic:</b> Every size of <code>config.allTshirtSizes</code> gets a positive upper limit. Missing or invalid limits use
+ * <code>DEFAULT_TSHIRT_THRESHOLDS</code> (or the limit of the next smaller size for sizes without a default).
+ * The limits are not forced into ascending order, as only the enabled sizes count: a size whose limit is below the one of a smaller enabled size simply gets no items.
+ *
+ * @param {Object} [mapping] - The raw setting <code>{ auto, thresholds: { S: 5, M: 9, ... } }</code>.
+ * @returns {{auto: boolean, thresholds: Object}} The normalized setting.
+ */
+function normalizeTshirtMapping(mapping) {
+    var source = (mapping && typeof mapping === 'object') ? mapping : {};
+    var sourceThresholds = (source.thresholds && typeof source.thresholds === 'object') ? source.thresholds : {};
+    var allSizes = getSortedTshirtSizes((typeof config !== 'undefined' && Array.isArray(config.allTshirtSizes)) ? config.allTshirtSizes : Object.keys(DEFAULT_TSHIRT_THRESHOLDS));
+
+    var thresholds = {};
+    var previous = 0;
+    allSizes.forEach(function(size) {
+        var value = parseFloat(sourceThresholds[size]);
+        if (!(isFinite(value) && value > 0)) {
+            value = DEFAULT_TSHIRT_THRESHOLDS[size] || previous || 1;
         }
-        return result;
-    }
+        thresholds[size] = value;
+        previous = value;
+    });
 
-    var actualStartIndex = (typeof startIndex === 'number' && startIndex >= 0) ? startIndex : 0;
-    for (var j = 0; j < count; j++) {
-        var colorIndex = (actualStartIndex + j) % palette.length;
-        result.push(palette[colorIndex]);
-    }
+    return { auto: source.auto === true, thresholds: thresholds };
+}
 
-    return result;
+
+/**
+ * Returns the T-shirt size mapping currently in effect (<code>window.tshirtMapping</code>, see <code>applyTshirtMapping</code>).
+ *
+ * @returns {{auto: boolean, thresholds: Object}} The normalized setting.
+ */
+function getTshirtMapping() {
+    return normalizeTshirtMapping(typeof window !== 'undefined' ? window.tshirtMapping : null);
 }
 
 
 /**
- * Utility: Converts a CSS RGB color string into its Hexadecimal representation.
- * <br><b>The Problem:</b>
- * When reading styles from the DOM (e.g., via `getComputedStyle`), browsers typically return colors in the format <code>rgb(255, 0, 0)</code>, 
- * even if the developer originally defined them as <code>#FF0000</code>. This makes strict string comparison difficult.
- * <br><b>Logic:</b>
- * 1. <b>Validation:</b> Checks if the input is a valid string.
- * 2. <b>Pattern Matching:</b> Uses a Regex to extract the three numeric components (Red, Green, Blue) from the string.
- * 3. <b>Conversion:</b> Converts each number to Base-16, pads it with a leading zero if necessary (e.g., 'A' -> '0A'), and concatenates them.
- * <br><b>Idempotency:</b>
- * If the input string is <i>already</i> a valid Hex code (e.g., "#ffffff"), the function detects this and simply returns it in uppercase format ("#FFFFFF"), acting as a pass-through normalizer.
+ * Activates a T-shirt size mapping. In auto mode, the sizes follow the Job Sizes from the next <code>renderAll</code> on (<code>syncAutoTshirtSizes</code>).
  *
- * @param {string} rgbString - The color string to convert (e.g., "rgb(255, 99, 71)" or "#ff6347").
- * @returns {string|null} The normalized Hex string (e.g., "#FF6347") or <code>null</code> if the input format was invalid.
+ * @param {Object} [mapping] - The new setting <code>{ auto, thresholds }</code> (normalized, see <code>normalizeTshirtMapping</code>).
  */
-function rgbToHex(rgbString) {
-    if (!rgbString || typeof rgbString !== 'string') {
-        return null;
-    }
-    
-    var rgbMatch = rgbString.match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i); 
-    
-    if (!rgbMatch) {
-        if (/^#[0-9A-F]{6}$/i.test(rgbString)) {
-            return rgbString.toUpperCase();
-        }
-        return null; 
+function applyTshirtMapping(mapping) {
+    if (typeof window !== 'undefined') {
+        window.tshirtMapping = normalizeTshirtMapping(mapping);
     }
+}
 
-    function hex(x) {
-        return ("0" + parseInt(x, 10).toString(16)).slice(-2);
-    }
 
-    return ("#" + hex(rgbMatch[1]) + hex(rgbMatch[2]) + hex(rgbMatch[3])).toUpperCase();
+/**
+ * Derives the T-shirt size for a Job Size: the first enabled size whose upper limit is not below the Job Size.
+ * Job Sizes above the limit of the second largest enabled size get the largest enabled size.
+ *
+ * @param {number} jobSize - The Job Size of the item.
+ * @param {Object} [mapping] - The mapping. Defaults to <code>getTshirtMapping()</code>.
+ * @param {Array<string>} [sizes] - The enabled sizes. Defaults to <code>config.tshirtSizes</code>.
+ * @returns {string|null} The size, or <code>null</code> without a Job Size or without enabled sizes.
+ */
+function getTshirtSizeFromValue(jobSize, mapping, sizes) {
+    if (!(jobSize > 0)) return null;
+    var enabledSizes = getSortedTshirtSizes(sizes);
+    if (enabledSizes.length === 0) return null;
+
+    var thresholds = normalizeTshirtMapping(mapping || getTshirtMapping()).thresholds;
+    for (var i = 0; i < enabledSizes.length - 1; i++) {
+        var limit = thresholds[enabledSizes[i]];
+        if (limit !== undefined && jobSize <= limit) return enabledSizes[i];
+    }
+    return enabledSizes[enabledSizes.length - 1];
 }
 
 
 /**
- * Attaches an optimized event listener to the window's `resize` event to handle responsive layout adjustments.
- * <br><b>Performance Pattern (Throttling/Debouncing):</b>
- * Resize events fire extremely rapidly while the user drags the window edge. Executing heavy DOM calculations (`syncRowHeights`) 
- * on every single event would cause "jank" (visual stuttering).
- * <br><b>The Logic:</b>
- * 1. <b>Cancellation:</b> If a frame is already requested but hasn't executed yet, it is cancelled (`cancelAnimationFrame`). This ensures we don't stack up pending updates.
- * 2. <b>Scheduling:</b> The layout update logic is scheduled for the next available paint frame (`requestAnimationFrame`). 
- * This effectively limits the update rate to the screen's refresh rate (usually 60fps), keeping the UI smooth.
- * <br><b>Tasks executed on resize:</b>
- * <ul>
- * <li><b>Header Sync:</b> Re-calculates padding to account for scrollbar appearance/disappearance (`syncRelativeSizingHeaderPadding`).</li>
- * <li><b>Row Alignment:</b> Enforces height equality between the PBI list and the Relative Sizing visualization (`syncRowHeights`).</li>
- * <li><b>Grid Equalization:</b> Updates any grid layouts (if `_equalizeGridRows` exists).</li>
- * <li><b>Resolution Check:</b> Re-evaluates if the screen is too small and toggles the warning banner (`checkScreenResolution`).</li>
- * </ul>
- * <br><b>Initialization:</b>
- * Calls `checkScreenResolution()` immediately on invocation to handle the initial page load state.
+ * Keeps the T-shirt sizes in sync with the Job Sizes while the auto mode is active.
+ * <br><b>Logic:</b> Every item without a manual override (<code>pbi.tshirtSizeOverride</code>) gets the size derived by
+ * <code>getTshirtSizeFromValue</code>; items with an incomplete Job Size lose their size. Manually assigned sizes stay untouched.
+ * Nothing is changed in manual mode or for the backlog of a share link.
+ *
+ * @param {Array<Object>} pbiList - The items.
+ * @returns {number} The number of items whose size changed.
  */
-function initResizeHandler() {
-    let resizeRequestId;
-    window.addEventListener('resize', function() {
-        if (resizeRequestId) {
-            window.cancelAnimationFrame(resizeRequestId);
+function syncAutoTshirtSizes(pbiList) {
+    if (!getTshirtMapping().auto) return 0;
+    if (typeof isReadOnlyView !== 'undefined' && isReadOnlyView) return 0;
+
+    var changed = 0;
+    (pbiList || []).forEach(function(pbi) {
+        if (!pbi || pbi.isLastItem || pbi.tshirtSizeOverride) return;
+        var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+        var size = isJobSizeComplete ? getTshirtSizeFromValue(pbi.jobSize) : null;
+        if ((pbi.tshirtSize || null) !== size) {
+            pbi.tshirtSize = size;
+            changed++;
         }
+    });
+    return changed;
+}
 
-        resizeRequestId = window.requestAnimationFrame(function() {
-            if (typeof syncRelativeSizingHeaderPadding === 'function') {
-                syncRelativeSizingHeaderPadding();
-            }
-            
-            syncRowHeights();
-            
-            if (window._equalizeGridRows) {
-                window._equalizeGridRows();
-            }
 
-            checkScreenResolution();
-        });
+/**
+ * Checks whether the T-shirt size of an item was set by hand while the auto mode is active (shown with a marker in the list and the charts).
+ *
+ * @param {Object} pbi - The item.
+ * @returns {boolean} <code>true</code> for a manual override in auto mode.
+ */
+function isTshirtSizeOverridden(pbi) {
+    return !!pbi && pbi.tshirtSizeOverride === true && getTshirtMapping().auto;
+}
+
+
+/**
+ * Counts how a backlog would be distributed across the T-shirt sizes with a given mapping (live preview in the settings).
+ * Items with a manual override keep their size and are also counted in <code>overridden</code>; items without a complete Job Size are counted in <code>unsized</code>.
+ *
+ * @param {Array<Object>} pbiList - The items.
+ * @param {Object} mapping - The mapping to preview.
+ * @param {Array<string>} sizes - The enabled sizes to preview.
+ * @returns {{counts: Object, overridden: number, unsized: number}} <code>counts</code> maps every enabled size (in logical order) to its number of items.
+ */
+function getTshirtSizeDistribution(pbiList, mapping, sizes) {
+    var enabledSizes = getSortedTshirtSizes(sizes);
+    var distribution = { counts: {}, overridden: 0, unsized: 0 };
+    enabledSizes.forEach(function(size) { distribution.counts[size] = 0; });
+
+    (pbiList || []).forEach(function(pbi) {
+        if (!pbi || pbi.isLastItem) return;
+        var size;
+        if (pbi.tshirtSizeOverride) {
+            size = pbi.tshirtSize;
+            distribution.overridden++;
+        } else {
+            var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
+            size = isJobSizeComplete ? getTshirtSizeFromValue(pbi.jobSize, mapping, enabledSizes) : null;
+        }
+        if (size && distribution.counts[size] !== undefined) {
+            distribution.counts[size]++;
+        } else if (!pbi.tshirtSizeOverride) {
+            distribution.unsized++;
+        }
     });
-
-    checkScreenResolution();
+    return distribution;
 }
 
 
 /**
- * Checks the current browser viewport dimensions against the configured minimum requirements.
- * <br><b>UX Pattern (Feature Gating):</b>
- * Since this application uses a complex, multi-column "Split View" layout with extensive data visualization, 
- * it requires a certain amount of screen real estate to function usable.
- * <br><b>Logic:</b>
- * 1. <b>Thresholds:</b> Retrieves minimum width/height from `config.resolutionSettings` (Default: 1468px x 658px).
- * 2. <b>Validation:</b> Compares `window.innerWidth` and `window.innerHeight`.
- * 3. <b>State Check:</b> Respects the user's choice. If `window.isResolutionWarningDismissed` is true (set via the "Ignore" button), the check is bypassed.
- * <br><b>Visual Handling:</b>
+ * The spacings the calibration assistant can use to place the limits between the Job Sizes of the two reference items.
+ */
+var TSHIRT_CALIBRATION_METHODS = {
+    linear: { labelKey: 'tshirtCalibrationLinear', label: 'Linear' },
+    logarithmic: { labelKey: 'tshirtCalibrationLogarithmic', label: 'Logarithmic' },
+    quantile: { labelKey: 'tshirtCalibrationQuantile', label: 'Quantiles of the backlog' }
+};
+
+
+/**
+ * Proposes the T-shirt size limits from the reference items (calibration assistant in the settings).
+ * <br><b>Logic:</b> The Job Sizes of the min and max reference item (<code>getReferencePbi</code>) span the scale; it is split into as many buckets as sizes are enabled.
+ * The smallest size ends at the first limit, the largest size takes everything above the last one.
  * <ul>
- * <li><b>Too Small:</b> Shows the `#resolution-warning` overlay (removes `hidden` class) and likely locks body scrolling (removes `scroll-active`).</li>
- * <li><b>Adequate Size:</b> Hides the overlay and restores normal interaction.</li>
+ * <li><b>linear:</b> Buckets of equal width, e.g. 3 to 21 with four sizes gives 7.5, 12 and 16.5.</li>
+ * <li><b>logarithmic:</b> Buckets of equal ratio, so the small sizes are narrower (fits the growing gaps of Fibonacci-like scales).</li>
+ * <li><b>quantile:</b> The limits are the quantiles of the Job Sizes of the items between the references, so every size gets about the same number of items.</li>
  * </ul>
+ * The limits are rounded to one decimal place.
+ *
+ * @param {Array<Object>} pbiList - The items, including the reference items.
+ * @param {Array<string>} sizes - The enabled sizes.
+ * @param {string} method - A key of <code>TSHIRT_CALIBRATION_METHODS</code>.
+ * @returns {Object} The proposed limits <code>{ S: 7.5, M: 12, ... }</code> of all enabled sizes except the largest.
+ * @throws {Error} With a localized message if a reference item with a Job Size is missing, the references span no range or fewer than two sizes are enabled.
  */
-function checkScreenResolution() {
-    var warningOverlay = document.getElementById('resolution-warning');
-    if (!warningOverlay) return;
-
-    var minWidth = (config && config.resolutionSettings && config.resolutionSettings.minWidth) || 1468;
-    var minHeight = (config && config.resolutionSettings && config.resolutionSettings.minHeight) || 658;
+function calibrateTshirtThresholds(pbiList, sizes, method) {
+    var s = (typeof config !== 'undefined' && config.uiStrings) ? config.uiStrings : {};
+    var minReference = getReferencePbi(pbiList, 'min');
+    var maxReference = getReferencePbi(pbiList, 'max');
+    if (!minReference || !maxReference || !(minReference.jobSize > 0) || !(maxReference.jobSize > 0)) {
+        throw new Error(s.tshirtCalibrationErrorReferences || "Please mark a min and a max reference item with a complete Job Size first.");
+    }
 
-    var width = window.innerWidth;
-    var height = window.innerHeight;
+    var low = minReference.jobSize;
+    var high = maxReference.jobSize;
+    if (!(high > low)) {
+        throw new Error(s.tshirtCalibrationErrorRange || "The max reference item needs a larger Job Size than the min reference item.");
+    }
 
-    if ((width < minWidth || height < minHeight) && !window.isResolutionWarningDismissed) {
-        warningOverlay.classList.remove('hidden');
-        document.body.classList.remove('scroll-active'); 
-    } else {
-        warningOverlay.classList.add('hidden');
-        document.body.classList.add('scroll-active');
+    var enabledSizes = getSortedTshirtSizes(sizes);
+    if (enabledSizes.length < 2) {
+        throw new Error(s.tshirtCalibrationErrorSizes || "Please enable at least two T-shirt sizes.");
     }
+
+    var bucketCount = enabledSizes.length;
+    var jobSizes = (pbiList || []).filter(function(pbi) {
+        return pbi && !pbi.isLastItem && pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0 && pbi.jobSize >= low && pbi.jobSize <= high;
+    }).map(function(pbi) { return pbi.jobSize; }).sort(function(a, b) { return a - b; });
+
+    var thresholds = {};
+    enabledSizes.slice(0, -1).forEach(function(size, index) {
+        var fraction = (index + 1) / bucketCount;
+        var limit;
+        if (method === 'logarithmic') {
+            limit = low * Math.pow(high / low, fraction);
+        } else if (method === 'quantile' && jobSizes.length > 0) {
+            limit = getPercentile(jobSizes, fraction);
+        } else {
+            limit = low + (high - low) * fraction;
+        }
+        thresholds[size] = Math.round(limit * 10) / 10;
+    });
+    return thresholds;
 }
 
 
+// ===================================================================================
+// LANGUAGES (LANGUAGE PACKS)
+// ===================================================================================
+
+
 /**
- * Hard resets the application by clearing all persisted local data and reloading the page.
- * <br><b>Scope of Deletion:</b>
- * Specifically targets and removes:
- * <ul>
- * <li><code>'sizeRight_autosave_v1'</code>: The user's main data (PBIs, Settings, Sort Order).</li>
- * <li><code>'sizeRight_dismissedUpdateVersion'</code>: Any flags related to update notifications/changelogs.</li>
- * </ul>
- * <br><b>Mechanism:</b>
- * After removing the keys from `localStorage`, it forces a browser reload (`window.location.reload()`).
- * This ensures the application re-initializes from a clean slate (using default config values) without any "ghost" state lingering in JavaScript variables.
- * <br><b>Use Case:</b>
- * Triggered by the "Factory Reset" button in the settings menu, typically used when the application state is corrupted or the user wants to start completely fresh.
+ * The language whose strings fill the gaps of incomplete language packs. It is the only language that is guaranteed to be complete.
  */
-function clearLocalStorageAndReset() {
-    if (typeof window !== 'undefined' && window.localStorage) {
-        window.localStorage.removeItem('sizeRight_autosave_v1');
-        window.localStorage.removeItem('sizeRight_dismissedUpdateVersion');
-        
-        window.location.reload();
-    }
-}
+var FALLBACK_LANGUAGE = 'en';
 
 
 /**
- * Utility: Converts an HTML string into Markdown format.
- * <br><b>Purpose:</b>
- * Used when switching between rich-text contexts (e.g., `contenteditable` divs) and plain-text storage or export formats.
- * <br><b>Algorithm (Recursive Traversal):</b>
- * 1. <b>Parsing:</b> Injects the HTML string into a temporary, disconnected DOM element (`temp`) to leverage the browser's native parser.
- * 2. <b>Tree Walking:</b> The inner `traverse` function recursively visits every node.
- * - <b>Text Nodes:</b> Returned as-is.
- * - <b>Element Nodes:</b> Their children are processed first (`content`), and then the resulting string is wrapped in specific Markdown delimiters based on the tag type.
- * <br><b>Whitespace Handling (The Regex Trick):</b>
- * The function uses `content.match(/^(\s*)(.*?)(\s*)$/s)` before wrapping text in bold/italic markers.
- * <b>Why?</b> Markdown parsers are strict. `** Text**` (space inside) is often rendered literally, whereas ` **Text** ` (space outside) renders correctly as bold.
- * This logic extracts leading/trailing whitespace and places the Markdown delimiters <i>inside</i> the whitespace envelope.
- * <br><b>Supported Tags:</b>
- * <ul>
- * <li>Formatting: `<b>`, `<strong>`, `<i>`, `<em>`, `<s>`, `<strike>`, `<del>`</li>
- * <li>Structure: `<p>`, `<div>`, `<br>`, `<ul>`, `<ol>`, `<li>`</li>
- * <li>Links: `<a>` (converts to `[text](href)`)</li>
- * </ul>
+ * Completes all languages with the strings of the fallback language (English).
+ * <br><b>Context:</b> Besides the built-in languages of <code>language.json</code>, the build picks up any <code>language.&lt;code&gt;.json</code> pack.
+ * New packs are often translated step by step, so a missing key must not show up as <code>undefined</code> in the UI.
+ * <br><b>Logic:</b>
+ * Every key of the fallback language that is missing (<code>undefined</code>) in another language is copied over.
+ * Nested objects (e.g. <code>updateChecker</code>) are completed key by key; their missing keys are reported with their path (e.g. <code>updateChecker.title</code>).
+ * The untranslated keys are reported per language via <code>console.warn</code>, so translators can find them in the browser console.
+ * Keys whose English value is empty are not reported. The language objects are completed in place.
+ * <br><b>Exceptions:</b> A missing <code>documentationHtml</code> (no <code>documentation_&lt;code&gt;.md</code>) silently falls back to the English documentation.
+ * <code>languageName</code> is reported but never copied, as "English" would mislabel the language in the settings (see <code>getAvailableLanguages</code>).
  *
- * @param {string} html - The input HTML string.
- * @returns {string} The converted Markdown string, with excessive newlines trimmed.
+ * @param {Object} languages - The language objects, keyed by language code (<code>config.languages</code>).
+ * @returns {Object} The untranslated keys per language code (only languages with gaps).
  */
-function htmlToMarkdown(html) {
-    if (!html) return "";
-    
-    var temp = document.createElement("div");
-    temp.innerHTML = html;
-
-    function traverse(node) {
-        if (node.nodeType === 3) { 
-            return node.nodeValue;
-        }
-        if (node.nodeType !== 1) { 
-            return "";
-        }
+function applyLanguageFallback(languages) {
+    var missingByLanguage = {};
+    if (!languages || typeof languages !== 'object') return missingByLanguage;
+    var fallback = languages[FALLBACK_LANGUAGE];
+    if (!fallback || typeof fallback !== 'object') return missingByLanguage;
+
+    Object.keys(languages).forEach(function(code) {
+        var strings = languages[code];
+        if (code === FALLBACK_LANGUAGE || !strings || typeof strings !== 'object') return;
+
+        var missing = [];
+        var complete = function(target, source, path) {
+            Object.keys(source).forEach(function(key) {
+                var value = source[key];
+                var isNested = value && typeof value === 'object' && !Array.isArray(value);
+                if (target[key] !== undefined) {
+                    if (isNested && target[key] && typeof target[key] === 'object') complete(target[key], value, path + key + '.');
+                    return;
+                }
+                if (path !== '' || key !== 'languageName') target[key] = value;
+                if ((path !== '' || key !== 'documentationHtml') && value !== '') missing.push(path + key);
+            });
+        };
+        complete(strings, fallback, '');
 
-        var tagName = node.tagName.toLowerCase();
-        var content = "";
-        
-        for (var i = 0; i < node.childNodes.length; i++) {
-            content += traverse(node.childNodes[i]);
+        if (missing.length > 0) {
+            missingByLanguage[code] = missing;
+            console.warn('Language "' + code + '": ' + missing.length + ' untranslated string(s), using English instead: ' + missing.join(', '));
         }
+    });
+    return missingByLanguage;
+}
 
-        function wrap(wrapper) {
-            if (!content.trim()) return content;
-            var match = content.match(/^(\s*)(.*?)(\s*)$/s);
-            return match[1] + wrapper + match[2] + wrapper + match[3];
-        }
 
-        switch (tagName) {
-            case "b":
-            case "strong":
-                return wrap("**");
-            case "i":
-            case "em":
-                return wrap("_");
-            case "u": 
-                return content; 
-            case "s":
-            case "strike":
-            case "del":
-                return wrap("~~");
-            case "br":
-                return "\n";
-            case "div":
-                return content.trim() ? content.trim() + "\n" : "";
-            case "p":
-                return content.trim() ? content.trim() + "\n\n" : "";
-            case "li":
-                return "- " + content.trim() + "\n";
-            case "ul":
-            case "ol":
-                return "\n" + content.trim() + "\n";
-            case "a":
-                var href = node.getAttribute("href") || "";
-                return "[" + content.trim() + "](" + href + ")";
-            default:
-                return content;
-        }
-    }
+/**
+ * Lists the available UI languages for the language selection of the settings modal.
+ * <br><b>Logic:</b> The languages of <code>config.languages</code> in their build order. Each language is labelled with its own name
+ * (<code>languageName</code>, e.g. "Français"), so users find their language regardless of the current UI language.
+ *
+ * @returns {Array<{code: string, name: string}>} The languages.
+ */
+function getAvailableLanguages() {
+    var languages = (typeof config !== 'undefined' && config && config.languages) ? config.languages : {};
+    return Object.keys(languages).map(function(code) {
+        var strings = languages[code] || {};
+        return { code: code, name: strings.languageName || code };
+    });
+}
 
-    var markdown = traverse(temp);
 
-    return markdown.replace(/\n{3,}/g, "\n\n").trim();
+/**
+ * Checks a language code (e.g. from a save file or the autosave) against the available languages.
+ * <br><b>Context:</b> A backlog saved with a language pack that is not part of this build would otherwise leave the UI without strings.
+ *
+ * @param {string} code - The language code.
+ * @returns {string} The code if <code>config.languages</code> contains it, otherwise the default language of the configuration or English.
+ */
+function resolveLanguage(code) {
+    var languages = (typeof config !== 'undefined' && config && config.languages) ? config.languages : {};
+    if (code && languages[code]) return code;
+    var defaultLanguage = config && config.defaultSettings ? config.defaultSettings.language : null;
+    return (defaultLanguage && languages[defaultLanguage]) ? defaultLanguage : FALLBACK_LANGUAGE;
 }
 
 
+// ===================================================================================
+// CSV EXPORT OPTIONS & NUMBER FORMATTING
+// ===================================================================================
+
+
 /**
- * Generates and downloads a CSV file containing the provided Backlog Items.
- * <br><b>Excel Compatibility Strategy:</b>
- * This export is specifically tuned to open correctly in Microsoft Excel (especially in European locales):
- * <ul>
- * <li><b>BOM (\uFEFF):</b> Prepends a Byte Order Mark. This forces Excel to recognize the file as UTF-8 (rendering Emojis and special characters correctly).</li>
- * <li><b>Separator (;):</b> Uses a semicolon instead of a comma. This is the standard delimiter for regions that use a comma as a decimal separator (e.g., Germany), preventing column shifting.</li>
- * <li><b>Decimals:</b> Explicitly converts the WSJF score to use a comma (<code>.replace('.', ',')</code>) to ensure it is recognized as a number in these locales.</li>
- * </ul>
- * <br><b>Data Transformation:</b>
- * <ul>
- * <li><b>Notes Cleaning:</b> Calls <code>htmlToMarkdown</code> to convert the rich-text notes into readable plain text/markdown, removing HTML tags that would clutter the spreadsheet.</li>
- * <li><b>Escaping:</b> Wraps fields containing the separator, quotes, or newlines in double quotes (`"..."`) and escapes internal quotes (`""`) to adhere to the CSV standard.</li>
- * </ul>
- * <br><b>Filename Logic:</b>
- * Tries to preserve the name of the last imported file (swapping extension to .csv) to maintain project context. If no file was loaded, generates a timestamped default name.
+ * The choices of the CSV export options. <code>labelKey</code> refers to the option label in <code>language.json</code>.
+ * <br><b>Quoting:</b> <code>minimal</code> quotes only fields that contain the delimiter, quotes or line breaks (RFC 4180),
+ * <code>text</code> quotes every text field (title, T-shirt size, notes, reference), <code>all</code> quotes every field.
+ */
+var CSV_EXPORT_CHOICES = {
+    delimiter: [
+        { value: ';', labelKey: 'csvDelimiterSemicolon', label: 'Semicolon (;)' },
+        { value: ',', labelKey: 'csvDelimiterComma', label: 'Comma (,)' },
+        { value: '\t', labelKey: 'csvDelimiterTab', label: 'Tab' }
+    ],
+    decimalSeparator: [
+        { value: ',', labelKey: 'csvDecimalComma', label: 'Comma (1,50)' },
+        { value: '.', labelKey: 'csvDecimalPoint', label: 'Point (1.50)' }
+    ],
+    quoting: [
+        { value: 'minimal', labelKey: 'csvQuotingMinimal', label: 'Only where needed' },
+        { value: 'text', labelKey: 'csvQuotingText', label: 'All text fields' },
+        { value: 'all', labelKey: 'csvQuotingAll', label: 'All fields' }
+    ],
+    lineEnding: [
+        { value: 'crlf', labelKey: 'csvLineEndingCrlf', label: 'Windows (CRLF)' },
+        { value: 'lf', labelKey: 'csvLineEndingLf', label: 'Unix/macOS (LF)' }
+    ],
+    encoding: [
+        { value: 'utf-8', labelKey: 'csvEncodingUtf8', label: 'UTF-8' },
+        { value: 'windows-1252', labelKey: 'csvEncodingWindows1252', label: 'Windows-1252 (Western European)' }
+    ]
+};
+
+
+/**
+ * The default CSV export options. They reproduce the Excel-friendly format of earlier versions
+ * (semicolon, decimal comma, UTF-8 with BOM, Windows line endings, WSJF with two decimals).
+ */
+var DEFAULT_CSV_EXPORT_OPTIONS = { delimiter: ';', decimalSeparator: ',', quoting: 'minimal', lineEnding: 'crlf', encoding: 'utf-8', bom: true, wsjfDecimals: 2 };
+
+
+/**
+ * The characters of Windows-1252 in the range 0x80 - 0x9F (the only range that differs from ISO-8859-1), keyed by their Unicode code point.
+ */
+var WINDOWS_1252_SPECIAL_BYTES = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88,
+    0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93,
+    0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+    0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+
+/**
+ * Normalizes the CSV export options (e.g. from a save file). Unknown choices fall back to <code>DEFAULT_CSV_EXPORT_OPTIONS</code>,
+ * the WSJF decimals are limited to 0 - 4.
  *
- * @param {Array<Object>} pbisToList - The list of PBI objects to export.
+ * @param {Object} [options] - The raw setting <code>{ delimiter, decimalSeparator, quoting, lineEnding, encoding, bom, wsjfDecimals }</code>.
+ * @returns {Object} The normalized setting.
  */
-function exportPbisAsCsv(pbisToList) {
-    if (!pbisToList || pbisToList.length === 0) return;
+function normalizeCsvExportOptions(options) {
+    var source = (options && typeof options === 'object') ? options : {};
+    var normalized = {};
+    Object.keys(CSV_EXPORT_CHOICES).forEach(function(key) {
+        var isKnown = CSV_EXPORT_CHOICES[key].some(function(choice) { return choice.value === source[key]; });
+        normalized[key] = isKnown ? source[key] : DEFAULT_CSV_EXPORT_OPTIONS[key];
+    });
+    normalized.bom = (typeof source.bom === 'boolean') ? source.bom : DEFAULT_CSV_EXPORT_OPTIONS.bom;
 
-    var s = config.uiStrings;
-    var sep = ";"; 
-    var lineBreak = "\r\n";
-
-    var headers = [
-        s.modalPlaceholderTitle || "Title",
-        s.colComplexity || "Complexity",
-        s.colEffort || "Effort",
-        s.colDoubt || "Uncertainty",
-        s.colJobSize || "Job Size",
-        s.pbiInfoTshirtSize || "T-Shirt Size", 
-        s.modalLabelCodBv || "BV",
-        s.modalLabelCodTc || "TC",
-        s.modalLabelCodRroe || "RR/OE",
-        s.pbiInfoCoD || "CoD",
-        s.colWsjf || "WSJF",
-        s.modalLabelNotes || "Notes",
-        s.csvHeaderRef || "Reference Item"
-    ];
+    var decimals = parseInt(source.wsjfDecimals, 10);
+    normalized.wsjfDecimals = (isFinite(decimals) && decimals >= 0) ? Math.min(decimals, 4) : DEFAULT_CSV_EXPORT_OPTIONS.wsjfDecimals;
+    return normalized;
+}
 
-    var csvContent = "\uFEFF"; 
-    csvContent += headers.join(sep) + lineBreak;
 
-    function escapeCsv(val) {
-        if (val === null || val === undefined) return "";
-        var stringVal = String(val);
-        if (stringVal.indexOf(sep) > -1 || stringVal.indexOf('"') > -1 || stringVal.indexOf('\n') > -1) {
-            return '"' + stringVal.replace(/"/g, '""') + '"';
-        }
-        return stringVal;
-    }
+/**
+ * Returns the CSV export options currently in effect (<code>window.csvExportOptions</code>, see <code>applyCsvExportOptions</code>).
+ *
+ * @returns {Object} The normalized setting.
+ */
+function getCsvExportOptions() {
+    return normalizeCsvExportOptions(typeof window !== 'undefined' ? window.csvExportOptions : null);
+}
 
-    pbisToList.forEach(function(pbi) {
-        if (!pbi || pbi.isLastItem) return;
 
-        var isJobSizeComplete = pbi.complexity > 0 && pbi.effort > 0 && pbi.doubt > 0;
-        
-        var jobSize = isJobSizeComplete ? pbi.jobSize : "";
-        var cod = (pbi.cod && pbi.cod > 0) ? pbi.cod : "";
-        
-        var wsjf = "";
-        if (isJobSizeComplete && cod !== "") {
-            wsjf = (pbi.cod / pbi.jobSize).toFixed(2).replace('.', ',');
-        }
+/**
+ * Activates the CSV export options.
+ *
+ * @param {Object} [options] - The new setting (normalized, see <code>normalizeCsvExportOptions</code>).
+ */
+function applyCsvExportOptions(options) {
+    if (typeof window !== 'undefined') {
+        window.csvExportOptions = normalizeCsvExportOptions(options);
+    }
+}
 
-        var refType = "";
-        if (pbi.isReference) {
-            refType = pbi.referenceType || "yes";
-        }
 
-        var notesMarkdown = htmlToMarkdown(pbi.notes);
+/**
+ * Writes a number for a CSV cell: without thousands separators and with the chosen decimal separator, so spreadsheets
+ * recognize it as a number regardless of the locale of the machine.
+ *
+ * @param {number} value - The number.
+ * @param {string} decimalSeparator - <code>','</code> or <code>'.'</code>.
+ * @param {number} [decimals] - Fixed number of decimals; by default the number is written as is.
+ * @returns {string} The formatted number.
+ */
+function formatCsvNumber(value, decimalSeparator, decimals) {
+    var text = (typeof decimals === 'number') ? Number(value).toFixed(decimals) : String(value);
+    return text.replace('.', decimalSeparator);
+}
 
-        var row = [
-            escapeCsv(pbi.title),
-            pbi.complexity || 0,
-            pbi.effort || 0,
-            pbi.doubt || 0,
-            jobSize,
-            pbi.tshirtSize || "-", 
-            pbi.cod_bv || 0,
-            pbi.cod_tc || 0,
-            pbi.cod_rroe || 0,
-            cod,
-            wsjf,
-            escapeCsv(notesMarkdown),
-            refType
-        ];
 
-        csvContent += row.join(sep) + lineBreak;
+/**
+ * Encodes a text as Windows-1252 (the "ANSI" code page of Western European Windows systems, which older Excel versions expect).
+ * <br><b>Logic:</b> Characters up to U+00FF keep their code, the typographic characters of 0x80 - 0x9F are looked up in
+ * <code>WINDOWS_1252_SPECIAL_BYTES</code>. Characters the code page cannot represent (e.g. Emojis) become <code>?</code>.
+ *
+ * @param {string} text - The text.
+ * @returns {Uint8Array} The encoded bytes.
+ */
+function encodeWindows1252(text) {
+    var codePoints = Array.from(text || '');
+    var bytes = new Uint8Array(codePoints.length);
+    codePoints.forEach(function(character, index) {
+        var code = character.codePointAt(0);
+        if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+            bytes[index] = code;
+        } else {
+            bytes[index] = WINDOWS_1252_SPECIAL_BYTES[code] || 0x3F;
+        }
     });
+    return bytes;
+}
 
-    var blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    
-    var fileName;
-    if (lastImportedFileName) {
-        var baseName = lastImportedFileName.replace(/\.[^/.]+$/, "");
-        fileName = baseName + ".csv";
-    } else {
-        var timestamp = new Date();
-        var pad = function(num) { return num.toString().padStart(2, '0'); };
-        fileName = timestamp.getFullYear() + '-' + pad(timestamp.getMonth() + 1) + '-' + pad(timestamp.getDate()) + '_' + (pad(timestamp.getHours()) + '-' + pad(timestamp.getMinutes())) + ' - Backlog.csv';
-    }
 
-    var url = URL.createObjectURL(blob);
-    var a = document.createElement('a');
-    a.href = url;
-    a.download = fileName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+/**
+ * Returns the locale used to format numbers in the UI: the selected UI language (<code>currentLanguage</code>),
+ * so a backlog shows the same numbers on every machine instead of following the browser default.
+ *
+ * @returns {string} The locale (language code).
+ */
+function getNumberLocale() {
+    return (typeof currentLanguage === 'string' && currentLanguage) ? currentLanguage : FALLBACK_LANGUAGE;
 }
 
 
+/**
+ * Formats a number for display in charts and tables according to the UI language (e.g. "1.234,5" in German, "1,234.5" in English).
+ * Language codes without locale data in the browser fall back to English.
+ *
+ * @param {number} value - The number.
+ * @param {number} [decimals] - Fixed number of decimals (e.g. 2 for WSJF scores); by default up to three decimals are shown.
+ * @returns {string} The formatted number (non-numeric values are returned as text).
+ */
+function formatNumber(value, decimals) {
+    var number = Number(value);
+    if (value === null || value === undefined || value === '' || !isFinite(number)) return String(value);
+
+    var options = (typeof decimals === 'number') ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals } : undefined;
+    try {
+        return number.toLocaleString(getNumberLocale(), options);
+    } catch (error) {
+        return number.toLocaleString(FALLBACK_LANGUAGE, options);
+    }
+}
+
 
 /**
  * @ignore
@@ -2299,6 +8588,7 @@ function exportPbisAsCsv(pbisToList) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         saveToLocalStorage,
+        buildSaveState,
         loadFromLocalStorage,
         calculateWSJF,
         updateSliderFill,
@@ -2332,7 +8622,224 @@ if (typeof module !== 'undefined' && module.exports) {
         updateRefMarkerButtonState,
         clearLocalStorageAndReset,
         htmlToMarkdown,
+        getCsvColumnDefinitions,
+        buildBacklogCsv,
         exportPbisAsCsv,
+        parseCsv,
+        markdownToHtml,
+        parseBacklogCsv,
+        importBacklogCsv,
+        applyCsvBacklogItems,
+        detectCsvDelimiter,
+        loadCsvMappings,
+        saveCsvMapping,
+        findCsvMappingSource,
+        guessCsvMapping,
+        buildPbisFromCsvMapping,
+        getMergeFieldDefinitions,
+        buildMergePlan,
+        applyMergePlan,
+        mergeImportedData,
+        finishMergeImport,
+        getSaveFileSchemaVersion,
+        migrateSaveFile,
+        getSaveFileSchema,
+        validateJsonSchema,
+        validateSaveFile,
+        formatSchemaErrors,
+        prepareSaveFile,
+        SAVE_FILE_SCHEMA_VERSION,
+        isIndexedDbStorageActive,
+        getStoredItemKey,
+        openStorageDatabase,
+        loadStoredStates,
+        diffStoredItems,
+        readStoredState,
+        writeStoredState,
+        removeStoredState,
+        clearStoredStates,
+        migrateLocalStorageStates,
+        initStorageBackend,
+        reportPersistenceResult,
+        retryPersistence,
+        readStoredRecord,
+        writeStoredRecord,
+        removeStoredRecord,
+        applySavedState,
+        getWorkspaceStorageKey,
+        getActiveStorageKey,
+        loadWorkspaceIndex,
+        saveWorkspaceIndex,
+        initWorkspaces,
+        getDefaultWorkspaceState,
+        switchWorkspace,
+        createWorkspace,
+        duplicateWorkspace,
+        renameWorkspace,
+        deleteWorkspace,
+        normalizeUndoHistoryDepth,
+        getUndoHistoryDepth,
+        applyUndoHistoryDepth,
+        getUndoHistoryStorageKey,
+        captureUndoState,
+        recordUndoHistory,
+        saveUndoHistory,
+        loadUndoHistory,
+        restoreUndoState,
+        undoLastChange,
+        redoLastChange,
+        updateUndoRedoButtonState,
+        getSnapshotStorageKey,
+        loadSnapshots,
+        saveSnapshots,
+        createSnapshot,
+        deleteSnapshot,
+        restoreSnapshot,
+        compareWithSnapshot,
+        startSnapshotComparison,
+        endSnapshotComparison,
+        buildSharePayload,
+        expandSharePayload,
+        bytesToBase64Url,
+        base64UrlToBytes,
+        encodeSharePayload,
+        decodeSharePayload,
+        getSharePayloadFromHash,
+        createShareLink,
+        copyShareLink,
+        openSharedView,
+        applyReadOnlyMode,
+        isEncryptionAvailable,
+        isEncryptedSaveFile,
+        encryptSaveFile,
+        decryptSaveFile,
+        requestSaveFileDecryption,
+        VOTING_FIELDS,
+        createVoting,
+        getKnownVotingParticipants,
+        addVotingParticipant,
+        removeVotingParticipant,
+        setVotingValue,
+        startNewVotingRound,
+        hasVotes,
+        snapToScaleValue,
+        getVoteStatistics,
+        applyEstimateValue,
+        isPresenterHash,
+        createPresenterChannel,
+        buildPresenterState,
+        initPresenterSync,
+        notifyPresenters,
+        schedulePresenterBroadcast,
+        syncPresenterOpenItem,
+        openPresenterWindow,
+        startPresenterView,
+        handlePresenterMessage,
+        SCALE_VALUE_FIELDS,
+        getStoredScaleValues,
+        storeScaleValues,
+        getNextHigherScaleValue,
+        convertPbiToScale,
+        getScaleValueLabel,
+        parseCustomScale,
+        CUSTOM_SCALE_ID_PATTERN,
+        normalizeCustomScale,
+        getCustomScales,
+        applyCustomScales,
+        findScaleValues,
+        JOB_SIZE_COMPONENTS,
+        COD_COMPONENTS,
+        COMPONENT_WEIGHT_MAX,
+        normalizeComponentWeights,
+        getComponentWeights,
+        hasDefaultComponentWeights,
+        calculateWeightedSum,
+        calculateJobSize,
+        calculateCod,
+        recalculatePbiTotals,
+        applyComponentWeights,
+        MOSCOW_RANKS,
+        PRIORITIZATION_MODELS,
+        getActivePrioritizationModel,
+        getPrioritizationModelName,
+        getPriorityLabel,
+        getPriorityValues,
+        storePriorityValues,
+        getMissingPriorityFields,
+        getPriorityScore,
+        formatPriorityScore,
+        formatPriorityValue,
+        applyPrioritizationModel,
+        URGENCY_EXPEDITE_FACTOR,
+        OPTIMAL_SCHEDULE_EXACT_LIMIT,
+        OPTIMAL_SCHEDULE_MAX_STEPS,
+        URGENCY_PROFILES,
+        getUrgencyProfile,
+        getUrgencyProfileLabel,
+        storeUrgencyProfile,
+        calculateDelayCost,
+        calculateScheduleDelayCost,
+        computeOptimalSchedule,
+        searchExactSchedule,
+        improveScheduleLocally,
+        CAPACITY_PERIODS,
+        normalizeCapacity,
+        getCapacity,
+        applyCapacity,
+        formatCapacityPeriod,
+        calculateCapacityPlan,
+        getDependencies,
+        storeDependencies,
+        removeDependencyLinks,
+        buildDependencyMap,
+        findDependencyCycle,
+        orderByDependencies,
+        findDependencyViolations,
+        hasDependencies,
+        QUADRANTS,
+        normalizeQuadrantThresholds,
+        getQuadrantThresholds,
+        applyQuadrantThresholds,
+        resolveQuadrantThresholds,
+        getQuadrant,
+        getQuadrantLabel,
+        CONSISTENCY_FINDING_TYPES,
+        findLargerSizeMeasure,
+        findEstimationInconsistencies,
+        formatConsistencyFinding,
+        MONTE_CARLO_ITERATIONS,
+        getJobSizeDistribution,
+        createSeededRandom,
+        sampleTriangular,
+        getPercentile,
+        simulateScheduleOutcomes,
+        buildMonteCarloTask,
+        buildMonteCarloWorkerSource,
+        requestMonteCarloSimulation,
+        DEFAULT_TSHIRT_THRESHOLDS,
+        getSortedTshirtSizes,
+        normalizeTshirtMapping,
+        getTshirtMapping,
+        applyTshirtMapping,
+        getTshirtSizeFromValue,
+        syncAutoTshirtSizes,
+        isTshirtSizeOverridden,
+        getTshirtSizeDistribution,
+        TSHIRT_CALIBRATION_METHODS,
+        calibrateTshirtThresholds,
+        FALLBACK_LANGUAGE,
+        applyLanguageFallback,
+        getAvailableLanguages,
+        resolveLanguage,
+        CSV_EXPORT_CHOICES,
+        DEFAULT_CSV_EXPORT_OPTIONS,
+        normalizeCsvExportOptions,
+        getCsvExportOptions,
+        applyCsvExportOptions,
+        formatCsvNumber,
+        encodeWindows1252,
+        getNumberLocale,
+        formatNumber,
         updateResetCoDButtonVisibility
     };
 }
\ No newline at end of file
@@ -75,6 +75,19 @@ async function build() {
         const languageDataForBuild = JSON.parse(languageJsonContent);
         const documentation = {};
 
+        // Pick up additional language packs (language.<code>.json, e.g. language.fr.json).
+        // Each pack contains the flat key/value object of a single language; the language code is taken
+        // from the file name. Missing keys are filled with English at runtime (see applyLanguageFallback).
+        const languagePackFiles = (await fs.readdir(__dirname))
+            .filter(file => /^language\.[a-z]{2,3}(-[A-Za-z]{2,4})?\.json$/.test(file))
+            .sort();
+        for (const file of languagePackFiles) {
+            const lang = file.slice('language.'.length, -'.json'.length);
+            const packContent = await fs.readFile(path.join(__dirname, file), 'utf8');
+            languageDataForBuild[lang] = Object.assign({}, languageDataForBuild[lang], JSON.parse(packContent));
+            console.log('  [Build] Language pack found: ' + lang + ' (' + file + ')');
+        }
+
         // Iterate through languages, find corresponding Markdown files, and convert to HTML
         for (const lang in languageDataForBuild) {
              try {